@@ -1,22 +1,62 @@
 /**
  * CLAIMS MANAGER
  * MVP CMS for managing Truth Hunters claims
+ * Fact-checks published as schema.org ClaimReview JSON-LD can be imported as
+ * custom claims, and any claims shown can be exported as ClaimReview, Moodle
+ * GIFT or a QTI 2.1 package. Every claim is checked by the content linter
+ * (src/utils/claimLint.js) and its issues are shown alongside it.
  */
 
 import { useState, useMemo } from 'react';
 import { CLAIMS_DATABASE, AI_ERROR_PATTERNS } from '../src/data/claims';
+import {
+  SUBJECTS,
+  STANDARDS,
+  getSubject,
+  getSubjectName,
+  getUnit,
+  resolveSubjectId,
+  claimMatchesStandards
+} from '../src/data/subjects';
+import { ClaimMedia } from '../src/components/ClaimMedia';
+import { importClaimReviews, exportClaimReviews } from '../src/utils/claimReview';
+import { exportGift, exportQtiPackage } from '../src/utils/assessmentExport';
+import { downloadFile } from '../src/utils/generic';
+import { lintClaims } from '../src/utils/claimLint';
 
 const STORAGE_KEY = 'truthHunters_customClaims';
 
+// Custom claims used to store pattern names from the CMS's own list
+const LEGACY_ERROR_PATTERNS = {
+  'Confident terminology swap': 'plausible-adjacency',
+  'N/A - Accurate': null
+};
+
+/**
+ * Map a stored errorPattern to an AI_ERROR_PATTERNS id
+ * Unknown values are kept so the linter reports them.
+ */
+function toPatternId(value) {
+  if (!value || value in LEGACY_ERROR_PATTERNS) return LEGACY_ERROR_PATTERNS[value] ?? null;
+  const id = value.toLowerCase().replace(/[^a-z]+/g, '-');
+  return AI_ERROR_PATTERNS.some(p => p.id === id) ? id : value;
+}
+
+function normalizeCustomClaim(claim) {
+  return 'errorPattern' in claim ? { ...claim, errorPattern: toPatternId(claim.errorPattern) } : claim;
+}
+
 function loadCustomClaims() {
   try {
     const data = localStorage.getItem(STORAGE_KEY);
-    return data ? JSON.parse(data) : [];
+    return data ? JSON.parse(data).map(normalizeCustomClaim) : [];
   } catch (e) {
     return [];
   }
 }
 
+const getPatternName = (id) => AI_ERROR_PATTERNS.find(p => p.id === id)?.name || id;
+
 function saveCustomClaims(claims) {
   try {
     localStorage.setItem(STORAGE_KEY, JSON.stringify(claims));
@@ -27,24 +67,20 @@ function saveCustomClaims(claims) {
   }
 }
 
-const SUBJECTS = [
-  'Biology', 'Physics', 'Chemistry', 'History', 'Geography', 'Astronomy',
-  'Neuroscience', 'History of Science', 'Marine Biology', 'Human Biology',
-  'Animal Science', 'Evolution', 'Botany', 'Weather Science', 'Mathematics',
-  'Computer Science', 'Biotechnology', 'Medical Science'
-];
-
-const ERROR_PATTERNS = [
-  'Confident terminology swap', 'Myth perpetuation', 'Timeline compression',
-  'Geographic fabrication', 'Confident specificity', 'Plausible adjacency',
-  'N/A - Accurate'
-];
-
 export function ClaimsManager() {
   const [customClaims, setCustomClaims] = useState(loadCustomClaims);
   const [showEditor, setShowEditor] = useState(false);
   const [editingClaim, setEditingClaim] = useState(null);
-  const [filter, setFilter] = useState({ difficulty: 'all', source: 'all', search: '' });
+  const [filter, setFilter] = useState({
+    subject: 'all',
+    difficulty: 'all',
+    gradeLevel: 'all',
+    source: 'all',
+    errorPattern: 'all',
+    standard: 'all',
+    lint: 'all',
+    search: ''
+  });
   const [notification, setNotification] = useState(null);
 
   // Combine built-in and custom claims
@@ -52,22 +88,39 @@ export function ClaimsManager() {
     return [...CLAIMS_DATABASE, ...customClaims];
   }, [customClaims]);
 
+  // Content lint issues, grouped by claim
+  const lintReport = useMemo(() => lintClaims(allClaims), [allClaims]);
+  const lintIssues = useMemo(() => {
+    const byClaim = new Map();
+    lintReport.issues.forEach((issue) => {
+      const claim = allClaims[issue.index];
+      byClaim.set(claim, [...(byClaim.get(claim) || []), issue]);
+    });
+    return byClaim;
+  }, [allClaims, lintReport]);
+
   // Filter claims
   const filteredClaims = useMemo(() => {
     return allClaims.filter((claim) => {
+      if (filter.subject !== 'all' && resolveSubjectId(claim.subject) !== filter.subject) return false;
       if (filter.difficulty !== 'all' && claim.difficulty !== filter.difficulty) return false;
+      if (filter.gradeLevel !== 'all' && (claim.gradeLevel || 'middle') !== filter.gradeLevel) return false;
       if (filter.source !== 'all' && claim.source !== filter.source) return false;
+      if (filter.errorPattern !== 'all' && claim.errorPattern !== filter.errorPattern) return false;
+      if (filter.standard !== 'all' && !claimMatchesStandards(claim, [filter.standard])) return false;
+      if (filter.lint === 'issues' && !lintIssues.has(claim)) return false;
+      if (filter.lint === 'errors' && !lintIssues.get(claim)?.some(i => i.severity === 'error')) return false;
       if (filter.search) {
         const searchLower = filter.search.toLowerCase();
         return (
           claim.text.toLowerCase().includes(searchLower) ||
-          claim.subject.toLowerCase().includes(searchLower) ||
+          getSubjectName(claim.subject).toLowerCase().includes(searchLower) ||
           claim.explanation.toLowerCase().includes(searchLower)
         );
       }
       return true;
     });
-  }, [allClaims, filter]);
+  }, [allClaims, filter, lintIssues]);
 
   const showNotification = (message, type = 'success') => {
     setNotification({ message, type });
@@ -105,17 +158,68 @@ export function ClaimsManager() {
   };
 
   const handleExport = () => {
-    const exportData = JSON.stringify(customClaims, null, 2);
-    const blob = new Blob([exportData], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'truth-hunters-custom-claims.json';
-    a.click();
-    URL.revokeObjectURL(url);
+    downloadFile(JSON.stringify(customClaims, null, 2), 'truth-hunters-custom-claims.json', 'application/json');
     showNotification('Claims exported!');
   };
 
+  const handleExportClaimReview = () => {
+    const jsonLd = exportClaimReviews(filteredClaims);
+    downloadFile(JSON.stringify(jsonLd, null, 2), 'truth-hunters-claimreview.jsonld', 'application/ld+json');
+    showNotification(`Exported ${filteredClaims.length} claims as ClaimReview!`);
+  };
+
+  const handleExportGift = () => {
+    downloadFile(exportGift(filteredClaims), 'truth-hunters-claims.gift.txt', 'text/plain');
+    showNotification(`Exported ${filteredClaims.length} claims as Moodle GIFT!`);
+  };
+
+  const handleExportQti = () => {
+    downloadFile(exportQtiPackage(filteredClaims), 'truth-hunters-claims-qti.zip', 'application/zip');
+    showNotification(`Exported ${filteredClaims.length} claims as a QTI package!`);
+  };
+
+  const handleExportLintReport = () => {
+    downloadFile(JSON.stringify(lintReport, null, 2), 'truth-hunters-claims-lint.json', 'application/json');
+    showNotification('Lint report exported!');
+  };
+
+  // One or more ClaimReview files; imported claims are flagged for the fields a person must check
+  const handleImportClaimReview = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = ''; // Reset input
+    if (files.length === 0) return;
+
+    const imported = [];
+    let skipped = 0;
+    let unreadable = 0;
+    for (const file of files) {
+      try {
+        const result = importClaimReviews(JSON.parse(await file.text()), {
+          existing: [...allClaims, ...imported]
+        });
+        imported.push(...result.claims.map((c) => ({ ...c, isCustom: true })));
+        skipped += result.skipped.length;
+      } catch (err) {
+        unreadable++;
+      }
+    }
+
+    if (imported.length === 0) {
+      showNotification(unreadable ? 'Failed to import: Invalid file format' : 'No new fact-checks found', 'error');
+      return;
+    }
+
+    const merged = [...customClaims, ...imported];
+    setCustomClaims(merged);
+    saveCustomClaims(merged);
+    const flagged = imported.filter((c) => c.needsReview?.length).length;
+    showNotification(
+      `Imported ${imported.length} fact-checks${flagged ? ` (${flagged} need review)` : ''}` +
+      `${skipped + unreadable ? `, skipped ${skipped + unreadable}` : ''}`,
+      flagged ? 'warning' : 'success'
+    );
+  };
+
   const handleImport = (e) => {
     const file = e.target.files?.[0];
     if (!file) return;
@@ -128,7 +232,7 @@ export function ClaimsManager() {
 
         // Merge with existing, avoiding duplicates by ID
         const existingIds = new Set(customClaims.map((c) => c.id));
-        const newClaims = imported.filter((c) => !existingIds.has(c.id));
+        const newClaims = imported.filter((c) => !existingIds.has(c.id)).map(normalizeCustomClaim);
         const merged = [...customClaims, ...newClaims];
 
         setCustomClaims(merged);
@@ -211,7 +315,9 @@ export function ClaimsManager() {
             { label: 'Total Claims', value: allClaims.length, color: 'var(--accent-cyan)' },
             { label: 'Built-in', value: CLAIMS_DATABASE.length, color: 'var(--text-secondary)' },
             { label: 'Custom', value: customClaims.length, color: 'var(--accent-violet)' },
-            { label: 'AI-Generated', value: allClaims.filter(c => c.source === 'ai-generated').length, color: 'var(--accent-rose)' }
+            { label: 'AI-Generated', value: allClaims.filter(c => c.source === 'ai-generated').length, color: 'var(--accent-rose)' },
+            { label: 'Lint Errors', value: lintReport.counts.error, color: lintReport.counts.error ? 'var(--accent-rose)' : 'var(--accent-emerald)' },
+            { label: 'Lint Warnings', value: lintReport.counts.warning, color: 'var(--accent-amber)' }
           ].map((stat, i) => (
             <div key={i} style={{ background: 'var(--bg-card)', border: '1px solid var(--border)', borderRadius: '10px', padding: '1rem', textAlign: 'center' }}>
               <div className="mono" style={{ fontSize: '0.6875rem', color: 'var(--text-muted)', marginBottom: '0.25rem' }}>{stat.label}</div>
@@ -238,6 +344,22 @@ export function ClaimsManager() {
                 fontSize: '0.875rem'
               }}
             />
+            <select
+              value={filter.subject}
+              onChange={(e) => setFilter(f => ({ ...f, subject: e.target.value }))}
+              aria-label="Filter by subject"
+              style={{
+                padding: '0.625rem',
+                background: 'var(--bg-elevated)',
+                border: '1px solid var(--border)',
+                borderRadius: '6px',
+                color: 'var(--text-primary)',
+                fontSize: '0.875rem'
+              }}
+            >
+              <option value="all">All Subjects</option>
+              {SUBJECTS.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+            </select>
             <select
               value={filter.difficulty}
               onChange={(e) => setFilter(f => ({ ...f, difficulty: e.target.value }))}
@@ -255,6 +377,25 @@ export function ClaimsManager() {
               <option value="medium">Medium</option>
               <option value="hard">Hard</option>
             </select>
+            <select
+              value={filter.gradeLevel}
+              onChange={(e) => setFilter(f => ({ ...f, gradeLevel: e.target.value }))}
+              aria-label="Filter by grade level"
+              style={{
+                padding: '0.625rem',
+                background: 'var(--bg-elevated)',
+                border: '1px solid var(--border)',
+                borderRadius: '6px',
+                color: 'var(--text-primary)',
+                fontSize: '0.875rem'
+              }}
+            >
+              <option value="all">All Grade Levels</option>
+              <option value="elementary">Elementary</option>
+              <option value="middle">Middle</option>
+              <option value="high">High</option>
+              <option value="college">College</option>
+            </select>
             <select
               value={filter.source}
               onChange={(e) => setFilter(f => ({ ...f, source: e.target.value }))}
@@ -271,11 +412,62 @@ export function ClaimsManager() {
               <option value="ai-generated">AI-Generated</option>
               <option value="expert-sourced">Expert-Sourced</option>
             </select>
+            <select
+              value={filter.errorPattern}
+              onChange={(e) => setFilter(f => ({ ...f, errorPattern: e.target.value }))}
+              aria-label="Filter by error pattern"
+              style={{
+                padding: '0.625rem',
+                background: 'var(--bg-elevated)',
+                border: '1px solid var(--border)',
+                borderRadius: '6px',
+                color: 'var(--text-primary)',
+                fontSize: '0.875rem'
+              }}
+            >
+              <option value="all">All Error Patterns</option>
+              {AI_ERROR_PATTERNS.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+            </select>
+            <select
+              value={filter.standard}
+              onChange={(e) => setFilter(f => ({ ...f, standard: e.target.value }))}
+              aria-label="Filter by standard"
+              style={{
+                padding: '0.625rem',
+                background: 'var(--bg-elevated)',
+                border: '1px solid var(--border)',
+                borderRadius: '6px',
+                color: 'var(--text-primary)',
+                fontSize: '0.875rem'
+              }}
+            >
+              <option value="all">All Standards</option>
+              {Object.entries(STANDARDS).map(([code, standard]) => (
+                <option key={code} value={code}>{code} - {standard.description}</option>
+              ))}
+            </select>
+            <select
+              value={filter.lint}
+              onChange={(e) => setFilter(f => ({ ...f, lint: e.target.value }))}
+              aria-label="Filter by lint results"
+              style={{
+                padding: '0.625rem',
+                background: 'var(--bg-elevated)',
+                border: '1px solid var(--border)',
+                borderRadius: '6px',
+                color: 'var(--text-primary)',
+                fontSize: '0.875rem'
+              }}
+            >
+              <option value="all">All Lint Results</option>
+              <option value="issues">Any Lint Issue</option>
+              <option value="errors">Lint Errors</option>
+            </select>
           </div>
         </div>
 
         {/* Import/Export */}
-        <div style={{ display: 'flex', gap: '0.5rem', marginBottom: '1rem' }}>
+        <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', marginBottom: '1rem' }}>
           <button
             onClick={handleExport}
             disabled={customClaims.length === 0}
@@ -307,6 +499,84 @@ export function ClaimsManager() {
             📥 Import Claims
             <input type="file" accept=".json" onChange={handleImport} style={{ display: 'none' }} />
           </label>
+          <label
+            className="mono"
+            style={{
+              padding: '0.5rem 1rem',
+              background: 'var(--bg-elevated)',
+              color: 'var(--accent-cyan)',
+              border: '1px solid var(--border)',
+              borderRadius: '6px',
+              fontSize: '0.75rem',
+              cursor: 'pointer'
+            }}
+          >
+            📥 Import ClaimReview
+            <input type="file" accept=".json,.jsonld" multiple onChange={handleImportClaimReview} style={{ display: 'none' }} />
+          </label>
+          <button
+            onClick={handleExportClaimReview}
+            disabled={filteredClaims.length === 0}
+            className="mono"
+            style={{
+              padding: '0.5rem 1rem',
+              background: 'var(--bg-elevated)',
+              color: filteredClaims.length ? 'var(--accent-cyan)' : 'var(--text-muted)',
+              border: '1px solid var(--border)',
+              borderRadius: '6px',
+              fontSize: '0.75rem',
+              cursor: filteredClaims.length ? 'pointer' : 'not-allowed'
+            }}
+          >
+            📤 Export ClaimReview ({filteredClaims.length})
+          </button>
+          <button
+            onClick={handleExportGift}
+            disabled={filteredClaims.length === 0}
+            className="mono"
+            style={{
+              padding: '0.5rem 1rem',
+              background: 'var(--bg-elevated)',
+              color: filteredClaims.length ? 'var(--accent-cyan)' : 'var(--text-muted)',
+              border: '1px solid var(--border)',
+              borderRadius: '6px',
+              fontSize: '0.75rem',
+              cursor: filteredClaims.length ? 'pointer' : 'not-allowed'
+            }}
+          >
+            📤 Export Moodle GIFT ({filteredClaims.length})
+          </button>
+          <button
+            onClick={handleExportQti}
+            disabled={filteredClaims.length === 0}
+            className="mono"
+            style={{
+              padding: '0.5rem 1rem',
+              background: 'var(--bg-elevated)',
+              color: filteredClaims.length ? 'var(--accent-cyan)' : 'var(--text-muted)',
+              border: '1px solid var(--border)',
+              borderRadius: '6px',
+              fontSize: '0.75rem',
+              cursor: filteredClaims.length ? 'pointer' : 'not-allowed'
+            }}
+          >
+            📤 Export QTI 2.1 ({filteredClaims.length})
+          </button>
+          <button
+            onClick={handleExportLintReport}
+            className="mono"
+            style={{
+              padding: '0.5rem 1rem',
+              background: 'var(--bg-elevated)',
+              color: 'var(--accent-cyan)',
+              border: '1px solid var(--border)',
+              borderRadius: '6px',
+              fontSize: '0.75rem',
+              cursor: 'pointer'
+            }}
+          >
+            📤 Lint Report (JSON)
+          </button>
         </div>
 
         {/* Claims List */}
@@ -330,7 +600,8 @@ export function ClaimsManager() {
                 {/* Badges */}
                 <div style={{ display: 'flex', gap: '0.5rem', marginBottom: '0.5rem', flexWrap: 'wrap' }}>
                   <span className="mono" style={{ fontSize: '0.625rem', padding: '0.25rem 0.5rem', background: 'var(--bg-elevated)', borderRadius: '4px', color: 'var(--text-secondary)' }}>
-                    {claim.subject}
+                    {getSubjectName(claim.subject)}
+                    {claim.unit && ` · ${getUnit(claim.subject, claim.unit)?.name || claim.unit}`}
                   </span>
                   <span className="mono" style={{
                     fontSize: '0.625rem',
@@ -361,8 +632,19 @@ export function ClaimsManager() {
                     color: claim.answer === 'TRUE' ? 'var(--correct)' :
                            claim.answer === 'FALSE' ? 'var(--incorrect)' : 'var(--accent-amber)'
                   }}>
-                    {claim.answer}
+                    {claim.answer || '?'}
                   </span>
+                  {claim.needsReview?.length > 0 && (
+                    <span className="mono" style={{
+                      fontSize: '0.625rem',
+                      padding: '0.25rem 0.5rem',
+                      background: 'rgba(251, 191, 36, 0.2)',
+                      borderRadius: '4px',
+                      color: 'var(--accent-amber)'
+                    }}>
+                      ⚠ NEEDS REVIEW: {claim.needsReview.join(', ')}
+                    </span>
+                  )}
                   {claim.isCustom && (
                     <span className="mono" style={{
                       fontSize: '0.625rem',
@@ -381,6 +663,8 @@ export function ClaimsManager() {
                   "{claim.text}"
                 </p>
 
+                {claim.media && <ClaimMedia media={claim.media} />}
+
                 {/* Explanation */}
                 <p style={{ fontSize: '0.75rem', color: 'var(--text-muted)', marginBottom: '0.5rem' }}>
                   <strong>Explanation:</strong> {claim.explanation}
@@ -388,10 +672,25 @@ export function ClaimsManager() {
 
                 {claim.source === 'ai-generated' && (
                   <p style={{ fontSize: '0.6875rem', color: 'var(--accent-rose)' }}>
-                    <strong>Error Pattern:</strong> {claim.errorPattern}
+                    <strong>Error Pattern:</strong> {claim.errorPattern ? getPatternName(claim.errorPattern) : 'None'}
                   </p>
                 )}
 
+                {/* Lint issues */}
+                {lintIssues.has(claim) && (
+                  <ul style={{ listStyle: 'none', padding: 0, margin: '0.5rem 0 0', display: 'flex', flexDirection: 'column', gap: '0.25rem' }}>
+                    {lintIssues.get(claim).map((issue, j) => (
+                      <li
+                        key={j}
+                        className="mono"
+                        style={{ fontSize: '0.6875rem', color: issue.severity === 'error' ? 'var(--accent-rose)' : 'var(--accent-amber)' }}
+                      >
+                        {issue.severity === 'error' ? '✖' : '⚠'} {issue.message} [{issue.rule}]
+                      </li>
+                    ))}
+                  </ul>
+                )}
+
                 {/* Actions for custom claims */}
                 {claim.isCustom && (
                   <div style={{ display: 'flex', gap: '0.5rem', marginTop: '0.75rem' }}>
@@ -451,8 +750,9 @@ function ClaimEditor({ claim, onSave, onClose }) {
     answer: claim?.answer || 'TRUE',
     source: claim?.source || 'ai-generated',
     explanation: claim?.explanation || '',
-    errorPattern: claim?.errorPattern || 'Confident specificity',
-    subject: claim?.subject || 'Biology',
+    errorPattern: claim ? toPatternId(claim.errorPattern) || '' : AI_ERROR_PATTERNS[0].id,
+    subject: resolveSubjectId(claim?.subject) || 'biology',
+    unit: claim?.unit || '',
     difficulty: claim?.difficulty || 'medium',
     id: claim?.id || null
   });
@@ -463,9 +763,22 @@ function ClaimEditor({ claim, onSave, onClose }) {
       alert('Please fill in all required fields');
       return;
     }
-    onSave(form);
+    // Keep fields the editor has no inputs for (media, translations, citation);
+    // saving counts as reviewing an imported fact-check
+    // Only AI-generated claims carry an error pattern
+    const { unit, ...rest } = form;
+    const updated = {
+      ...claim,
+      ...rest,
+      errorPattern: form.source === 'ai-generated' ? form.errorPattern || null : null
+    };
+    delete updated.unit;
+    delete updated.needsReview;
+    onSave(unit ? { ...updated, unit } : updated);
   };
 
+  const units = getSubject(form.subject)?.units || [];
+
   return (
     <div
       style={{
@@ -498,6 +811,12 @@ function ClaimEditor({ claim, onSave, onClose }) {
           {claim ? 'Edit Claim' : 'Add New Claim'}
         </h2>
 
+        {claim?.needsReview?.length > 0 && (
+          <p style={{ fontSize: '0.75rem', color: 'var(--accent-amber)', marginBottom: '1rem' }}>
+            ⚠ Imported from a fact-check. Please check: {claim.needsReview.join(', ')}
+          </p>
+        )}
+
         <form onSubmit={handleSubmit}>
           {/* Claim Text */}
           <div style={{ marginBottom: '1rem' }}>
@@ -578,7 +897,7 @@ function ClaimEditor({ claim, onSave, onClose }) {
               </label>
               <select
                 value={form.subject}
-                onChange={(e) => setForm(f => ({ ...f, subject: e.target.value }))}
+                onChange={(e) => setForm(f => ({ ...f, subject: e.target.value, unit: '' }))}
                 style={{
                   width: '100%',
                   padding: '0.625rem',
@@ -589,7 +908,7 @@ function ClaimEditor({ claim, onSave, onClose }) {
                   fontSize: '0.875rem'
                 }}
               >
-                {SUBJECTS.map(s => <option key={s} value={s}>{s}</option>)}
+                {SUBJECTS.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
               </select>
             </div>
             <div>
@@ -616,6 +935,35 @@ function ClaimEditor({ claim, onSave, onClose }) {
             </div>
           </div>
 
+          {/* Unit (only for subjects split into units) */}
+          {units.length > 0 && (
+            <div style={{ marginBottom: '1rem' }}>
+              <label className="mono" style={{ display: 'block', fontSize: '0.6875rem', color: 'var(--text-muted)', marginBottom: '0.375rem' }}>
+                UNIT
+              </label>
+              <select
+                value={form.unit}
+                onChange={(e) => setForm(f => ({ ...f, unit: e.target.value }))}
+                style={{
+                  width: '100%',
+                  padding: '0.625rem',
+                  background: 'var(--bg-elevated)',
+                  border: '1px solid var(--border)',
+                  borderRadius: '6px',
+                  color: 'var(--text-primary)',
+                  fontSize: '0.875rem'
+                }}
+              >
+                <option value="">No unit</option>
+                {units.map(u => (
+                  <option key={u.id} value={u.id}>
+                    {u.name}{u.standards.length > 0 ? ` (${u.standards.join(', ')})` : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
           {/* Error Pattern (only for AI-generated) */}
           {form.source === 'ai-generated' && (
             <div style={{ marginBottom: '1rem' }}>
@@ -635,7 +983,8 @@ function ClaimEditor({ claim, onSave, onClose }) {
                   fontSize: '0.875rem'
                 }}
               >
-                {ERROR_PATTERNS.map(p => <option key={p} value={p}>{p}</option>)}
+                <option value="">None (accurate claim)</option>
+                {AI_ERROR_PATTERNS.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
               </select>
             </div>
           )}
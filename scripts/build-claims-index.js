@@ -0,0 +1,25 @@
+/**
+ * Regenerate src/data/claimsIndex.json from the subject chunks in src/data/claims/
+ * Usage: npm run claims:index
+ */
+
+import { readdirSync, writeFileSync } from 'node:fs';
+import { dirname, join, basename } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { buildClaimsIndex } from '../src/utils/claimsIndex.js';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+const chunkDir = join(root, 'src/data/claims');
+const outFile = join(root, 'src/data/claimsIndex.json');
+
+const chunks = {};
+for (const file of readdirSync(chunkDir).filter(name => name.endsWith('.js'))) {
+  const module = await import(pathToFileURL(join(chunkDir, file)).href);
+  chunks[basename(file, '.js')] = module.default;
+}
+
+const index = buildClaimsIndex(chunks);
+writeFileSync(outFile, `${JSON.stringify(index, null, 2)}\n`);
+
+const total = Object.values(index.subjects).reduce((sum, subject) => sum + subject.count, 0);
+console.log(`Wrote ${outFile}: ${Object.keys(index.subjects).length} subjects, ${total} claims`);
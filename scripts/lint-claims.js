@@ -0,0 +1,42 @@
+/**
+ * Check the claims in src/data/claims/ (and any claim pack files given) against
+ * the content rules in src/utils/claimLint.js
+ * Usage: npm run claims:lint -- [--json] [--max-age=<months>] [pack.json ...]
+ * Exits with status 1 when any error-severity issue is found.
+ */
+
+import { readdirSync, readFileSync } from 'node:fs';
+import process from 'node:process';
+import { dirname, join } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { lintClaims } from '../src/utils/claimLint.js';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+const chunkDir = join(root, 'src/data/claims');
+
+const args = process.argv.slice(2);
+const json = args.includes('--json');
+const maxAgeArg = args.find(arg => arg.startsWith('--max-age='));
+const packFiles = args.filter(arg => !arg.startsWith('--'));
+
+const claims = [];
+for (const file of readdirSync(chunkDir).filter(name => name.endsWith('.js')).sort()) {
+  const module = await import(pathToFileURL(join(chunkDir, file)).href);
+  claims.push(...module.default);
+}
+for (const file of packFiles) {
+  claims.push(...JSON.parse(readFileSync(file, 'utf8')).claims);
+}
+
+const report = lintClaims(claims, maxAgeArg ? { maxAgeMonths: Number(maxAgeArg.split('=')[1]) } : {});
+
+if (json) {
+  console.log(JSON.stringify(report, null, 2));
+} else {
+  report.issues.forEach(issue => {
+    console.log(`${issue.severity.padEnd(7)} ${issue.claimId}  ${issue.message}  [${issue.rule}]`);
+  });
+  console.log(`${report.totalClaims} claims: ${report.counts.error} errors, ${report.counts.warning} warnings`);
+}
+
+process.exitCode = report.valid ? 0 : 1;
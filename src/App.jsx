@@ -15,10 +15,12 @@ import { logger } from './utils/logger';
 const SetupScreen = lazy(() => import('./components/SetupScreen').then(m => ({ default: m.SetupScreen })));
 const PlayingScreen = lazy(() => import('./components/PlayingScreen').then(m => ({ default: m.PlayingScreen })));
 const DebriefScreen = lazy(() => import('./components/DebriefScreen').then(m => ({ default: m.DebriefScreen })));
-import { TEAM_AVATARS } from './data/constants';
+import { TEAM_AVATARS, PROBABILITY_CONFIDENCE, DEFAULT_SCORING_PROFILE, SPEED_BONUS, RATINGS, SPACED_REPETITION, DEFAULT_ROUND_FORMAT } from './data/constants';
 import { ACHIEVEMENTS, getNewLifetimeAchievements } from './data/achievements';
-import { selectClaimsByDifficulty } from './utils/helpers';
-import { calculateGameStats } from './utils/scoring';
+import { selectClaimsByDifficulty, selectPatternPracticeClaims, selectReviewClaims, mixReviewClaims, selectEstimationQuestions, selectPairRounds } from './utils/helpers';
+import { calculateGameStats, calculateCalibrationBonus, getResultCredit } from './utils/scoring';
+import { getSeedRating, mergeClaimRatings } from './utils/ratings';
+import { getPlayedClaimIds } from './utils/claimPairs';
 import { SoundManager } from './services/sound';
 import { LeaderboardManager } from './services/leaderboard';
 import { FirebaseBackend } from './services/firebase';
@@ -159,6 +161,71 @@ export function App() {
     gameState.team.results.length // Use length instead of array reference
   ]);
 
+  // Report each finished game to Firebase exactly once. These writes are not idempotent,
+  // so they stay out of the setGameState updater (StrictMode runs updaters twice).
+  const reportedResultsRef = useRef(null);
+  useEffect(() => {
+    if (gameState.phase !== 'debrief' || reportedResultsRef.current === gameState.team.results) {
+      return;
+    }
+    reportedResultsRef.current = gameState.team.results;
+    if (!FirebaseBackend.initialized) {
+      return;
+    }
+
+    const { record, team, claims } = gameState;
+    const hasClass = Boolean(FirebaseBackend.getClassCode());
+
+    // Fold this game into the class-wide claim and team ratings (estimation and pair rounds aren't rated)
+    if (hasClass) {
+      const ratedRounds = team.results
+        .filter(r => !r.forfeited && !r.estimate && !r.pairPick)
+        .map(r => {
+          const claim = claims.find(c => c.id === r.claimId);
+          return { claimId: r.claimId, seedRating: getSeedRating(claim), outcome: getResultCredit(r, claim) };
+        });
+      FirebaseBackend.recordClassRatings(ratedRounds, team.name).catch(e => {
+        logger.warn('Failed to record class ratings:', e);
+      });
+    }
+
+    // "Fix the claim" rewrites for the teacher's grading queue
+    const rewrites = hasClass && record?.sessionId
+      ? team.results
+        .filter(r => r.rewrite)
+        .map(r => {
+          const claim = claims.find(c => c.id === r.claimId);
+          return {
+            claimId: r.claimId,
+            claimText: claim?.text || '',
+            claimAnswer: claim?.answer || null,
+            verdict: r.teamVerdict,
+            rewrite: r.rewrite,
+            reasoning: r.reasoning,
+            round: r.round
+          };
+        })
+      : [];
+
+    // Save for the class-wide leaderboard; rewrites are checked against the saved record, so they follow it
+    if (record) {
+      FirebaseBackend.save(record)
+        .then(saved => {
+          if (!saved || rewrites.length === 0) return;
+          return FirebaseBackend.submitRewrites(rewrites, {
+            sessionId: record.sessionId,
+            teamName: team.name,
+            teamAvatar: team.avatar?.emoji || '🔍'
+          });
+        })
+        .catch(e => {
+          logger.warn('Firebase save failed:', e);
+        });
+    }
+    // Everything read here is set in the same update as team.results
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [gameState.phase, gameState.team.results]);
+
   // Clean up session on unmount or window close
   useEffect(() => {
     const cleanup = async () => {
@@ -338,7 +405,8 @@ export function App() {
 
   // Start game with new settings object - but show prediction modal first
   const startGame = useCallback(async (settings) => {
-    const { teamName, rounds, difficulty, avatar, soundEnabled, players, subjects } = settings;
+    const { teamName, rounds, avatar, soundEnabled, players, subjects, scoringProfile, reviewMode, roundFormat = DEFAULT_ROUND_FORMAT, gameCode, gameSeed, errorPatterns } = settings;
+    let { difficulty } = settings;
 
     // CRITICAL: Atomic lock to prevent rapid clicking
     if (preparingGameRef.current) {
@@ -362,7 +430,7 @@ export function App() {
       return;
     }
 
-    if (!difficulty || !['easy', 'medium', 'hard', 'mixed'].includes(difficulty)) {
+    if (!difficulty || !['easy', 'medium', 'hard', 'mixed', 'adaptive'].includes(difficulty)) {
       logger.error('Cannot start game: Invalid difficulty', { difficulty });
       alert('Please select a valid difficulty level.');
       preparingGameRef.current = false;
@@ -406,15 +474,72 @@ export function App() {
         logger.warn('Could not fetch student claims:', e);
       }
 
+      // Round format: numeric estimates answered with a range, or "which is AI?" pairs
+      // (shared-code games play verdicts, since the code only carries verdict claims)
+      const format = gameCode ? DEFAULT_ROUND_FORMAT : roundFormat;
+      const estimation = format === 'estimate';
+      const pairs = format === 'pair';
+
+      // Error-pattern practice: picked on the setup screen, or the teacher's lesson focus for the class
+      // (shared-code games skip it, since the code doesn't carry patterns)
+      const practicePatterns = gameCode || estimation || pairs
+        ? []
+        : (errorPatterns?.length ? errorPatterns : classSettings?.practicePatterns || []);
+      if (practicePatterns.length > 0 || estimation || pairs) {
+        difficulty = 'mixed'; // Practice, estimation and pair games run easy to hard
+      }
+
+      // Adaptive difficulty: match claims to the team's rating, using class-wide claim ratings when available
+      let ratingContext = null;
+      if (difficulty === 'adaptive') {
+        const localRatings = PlayerProfile.getRatings();
+        const classRatings = classSettings ? await FirebaseBackend.getClassRatings() : null;
+        const teamRating = classRatings?.teams?.[FirebaseBackend.getTeamRatingKey(teamName)];
+        ratingContext = {
+          playerRating: teamRating?.rating ?? localRatings.player.rating,
+          claimRatings: mergeClaimRatings(classRatings?.claims, localRatings.claims),
+          targetSuccess: classSettings?.adaptiveTargetSuccess ?? RATINGS.DEFAULT_TARGET_SUCCESS
+        };
+      }
+
+      // Review mode: bring back missed claims that are due, up to REVIEW_SHARE of the game
+      // (not in shared-code games, where every team must get the same claims)
+      const reviewClaims = reviewMode && !gameCode && format === DEFAULT_ROUND_FORMAT && practicePatterns.length === 0
+        ? await selectReviewClaims(
+          PlayerProfile.getDueReviewIds(),
+          Math.ceil(rounds * SPACED_REPETITION.REVIEW_SHARE),
+          subjects,
+          studentClaims
+        )
+        : [];
+
       // Select claims based on difficulty, subjects, grade level, including student contributions
-      const selectedClaims = selectClaimsByDifficulty(
-        difficulty,
-        rounds,
-        subjects,
-        previouslySeenIds,
-        studentClaims,
-        classSettings
-      );
+      const freshClaims = estimation
+        ? await selectEstimationQuestions(rounds, subjects, previouslySeenIds)
+        : pairs
+        ? await selectPairRounds(rounds, subjects, previouslySeenIds, studentClaims, classSettings)
+        : practicePatterns.length > 0
+        ? await selectPatternPracticeClaims(
+          practicePatterns,
+          rounds,
+          subjects,
+          previouslySeenIds,
+          studentClaims,
+          classSettings
+        )
+        : await selectClaimsByDifficulty(
+          difficulty,
+          rounds,
+          subjects,
+          previouslySeenIds,
+          studentClaims,
+          classSettings,
+          ratingContext,
+          gameCode ? gameSeed : null
+        );
+      const selectedClaims = reviewClaims.length > 0
+        ? mixReviewClaims(freshClaims, reviewClaims, rounds)
+        : freshClaims;
 
       // Validate that we have enough claims to start the game
       if (!selectedClaims || selectedClaims.length === 0) {
@@ -440,9 +565,18 @@ export function App() {
         claims: selectedClaims,
         rounds: Math.min(rounds, selectedClaims.length), // Adjust rounds if needed
         difficulty,
+        gameCode: gameCode || null,
+        practicePatterns,
         teamName,
         avatar,
-        players: players || []
+        players: players || [],
+        confidenceMode: classSettings?.confidenceMode || 'levels',
+        probabilityRule: classSettings?.probabilityScoringRule || PROBABILITY_CONFIDENCE.DEFAULT_RULE,
+        // A class-wide scoring profile overrides the one picked on the setup screen
+        scoringProfile: classSettings?.scoringProfile || scoringProfile || DEFAULT_SCORING_PROFILE,
+        speedBaseline: classSettings?.speedBonusBaseline || SPEED_BONUS.DEFAULT_BASELINE,
+        // Snapshot of answer times so adaptive speed baselines stay fixed for the whole game
+        responseHistory: playerProfile.responseHistory || []
       });
       setShowPrediction(true);
     } catch (error) {
@@ -490,6 +624,13 @@ export function App() {
       claims: pendingGameSettings.claims,
       currentClaim: pendingGameSettings.claims[0],
       difficulty: pendingGameSettings.difficulty,
+      gameCode: pendingGameSettings.gameCode,
+      practicePatterns: pendingGameSettings.practicePatterns,
+      confidenceMode: pendingGameSettings.confidenceMode,
+      probabilityRule: pendingGameSettings.probabilityRule,
+      scoringProfile: pendingGameSettings.scoringProfile,
+      speedBaseline: pendingGameSettings.speedBaseline,
+      responseHistory: pendingGameSettings.responseHistory,
       team: {
         name: pendingGameSettings.teamName,
         score: 0,
@@ -534,6 +675,13 @@ export function App() {
         subject: result.subject || gameState.currentClaim?.subject
       });
 
+      // Update skill ratings for adaptive difficulty (forfeits say nothing about skill,
+      // and estimation and pair rounds aren't rated against verdict claims)
+      if (!result.forfeited && !result.estimate && !result.pairPick) {
+        const playedClaim = gameState.claims.find(c => c.id === result.claimId);
+        PlayerProfile.recordRating(playedClaim, getResultCredit(result, playedClaim));
+      }
+
       // Track streak achievements
       if (result.correct && currentStreak >= 2) {
         Analytics.track(AnalyticsEvents.STREAK_ACHIEVED, { streak: currentStreak + 1 });
@@ -582,7 +730,7 @@ export function App() {
           const validNewScore = isFinite(newScore) ? newScore : 0;
           const validPredictedScore = isFinite(prev.team.predictedScore) ? prev.team.predictedScore : 0;
 
-          const calibrationBonus = Math.abs(validNewScore - validPredictedScore) <= 2 ? 3 : 0;
+          const calibrationBonus = calculateCalibrationBonus(validNewScore, validPredictedScore);
           const finalScore = validNewScore + calibrationBonus;
 
           // Calculate accuracy percentage
@@ -603,18 +751,16 @@ export function App() {
             accuracy: accuracy,
             difficulty: prev.difficulty,
             rounds: prev.totalRounds,
+            scoringProfile: prev.scoringProfile || DEFAULT_SCORING_PROFILE,
+            confidenceMode: prev.confidenceMode || 'levels',
+            ...(prev.gameCode && { gameCode: prev.gameCode }),
+            ...(sessionId && { sessionId }), // Links graded claim rewrites back to this record
+            claimIds: newResults.map(r => r.claimId), // One per round, checked against each rewrite
             achievements: earnedAchievementIds
           };
 
           LeaderboardManager.save(gameRecord);
 
-          // Also save to Firebase for class-wide leaderboard
-          if (FirebaseBackend.initialized) {
-            FirebaseBackend.save(gameRecord).catch((e) => {
-              logger.warn('Firebase save failed:', e);
-            });
-          }
-
           // Record to player profile for solo stats tracking
           const maxStreak = Math.max(
             ...newResults.map((_, i) => {
@@ -632,6 +778,7 @@ export function App() {
             rounds: newResults,
             claims: prev.claims,
             difficulty: prev.difficulty,
+            scoringProfile: prev.scoringProfile || DEFAULT_SCORING_PROFILE,
             predictedScore: prev.team.predictedScore,
             maxStreak: maxStreak,
             achievements: earnedAchievementIds,
@@ -689,7 +836,7 @@ export function App() {
             });
 
             // Record claims as seen by this class (prevents other groups from getting same claims)
-            const claimIds = prev.claims.map(c => c.id);
+            const claimIds = getPlayedClaimIds(prev.claims);
             FirebaseBackend.recordClassSeenClaims(claimIds).catch(e => {
               logger.warn('Failed to record class seen claims:', e);
             });
@@ -711,6 +858,7 @@ export function App() {
           return {
             ...prev,
             phase: 'debrief',
+            record: gameRecord, // Saved to Firebase by the debrief effect
             team: {
               ...prev.team,
               score: newScore, // Keep raw score, debrief calculates bonus
@@ -731,7 +879,7 @@ export function App() {
         };
       });
     },
-    [currentStreak, gameState.currentClaim?.subject]
+    [currentStreak, gameState.currentClaim?.subject, gameState.claims, sessionId]
   );
 
 
@@ -837,6 +985,11 @@ export function App() {
                 sessionId={sessionId}
                 showLiveLeaderboard={showLiveLeaderboard}
                 onToggleLiveLeaderboard={() => setShowLiveLeaderboard(prev => !prev)}
+                confidenceMode={gameState.confidenceMode}
+                probabilityRule={gameState.probabilityRule}
+                scoringProfile={gameState.scoringProfile}
+                speedBaseline={gameState.speedBaseline}
+                responseHistory={gameState.responseHistory}
               />
             </ErrorBoundary>
           )}
@@ -852,6 +1005,10 @@ export function App() {
                 onRestart={restartGame}
                 difficulty={gameState.difficulty}
                 teamAvatar={gameState.team.avatar}
+                scoringProfile={gameState.scoringProfile}
+                probabilityRule={gameState.probabilityRule}
+                gameCode={gameState.gameCode}
+                practicePatterns={gameState.practicePatterns}
               />
             </ErrorBoundary>
           )}
@@ -864,6 +1021,7 @@ export function App() {
           onSubmit={handleStartPrediction}
           totalRounds={pendingGameSettings.rounds}
           difficulty={pendingGameSettings.difficulty}
+          practicePatterns={pendingGameSettings.practicePatterns}
         />
       )}
 
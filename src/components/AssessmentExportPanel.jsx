@@ -0,0 +1,142 @@
+/**
+ * ASSESSMENT EXPORT PANEL
+ * Teacher controls for exporting a filtered claim set as an LMS quiz
+ * (Moodle GIFT text or a QTI 2.1 zip package)
+ */
+
+import { useState } from 'react';
+import { loadFilteredClaims } from '../data/claimsLoader';
+import { AI_ERROR_PATTERNS } from '../data/errorPatterns';
+import { SUBJECTS } from '../data/subjects';
+import { exportGift, exportQtiPackage } from '../utils/assessmentExport';
+import { downloadFile } from '../utils/generic';
+import { logger } from '../utils/logger';
+
+const selectStyle = {
+  flex: '1 1 140px',
+  padding: '0.625rem',
+  background: 'var(--bg-elevated)',
+  border: '1px solid var(--border)',
+  borderRadius: '6px',
+  color: 'var(--text-primary)',
+  fontSize: '0.8125rem'
+};
+
+const buttonStyle = {
+  flex: 1,
+  padding: '0.625rem 0.75rem',
+  background: 'var(--bg-elevated)',
+  border: '1px solid var(--accent-cyan)',
+  borderRadius: '4px',
+  color: 'var(--accent-cyan)',
+  fontSize: '0.75rem',
+  cursor: 'pointer'
+};
+
+const FORMATS = {
+  gift: {
+    build: exportGift,
+    filename: 'truth-hunters-claims.gift.txt',
+    type: 'text/plain',
+    name: 'Moodle GIFT'
+  },
+  qti: {
+    build: exportQtiPackage,
+    filename: 'truth-hunters-claims-qti.zip',
+    type: 'application/zip',
+    name: 'QTI 2.1 package'
+  }
+};
+
+export function AssessmentExportPanel() {
+  const [filters, setFilters] = useState({ subject: '', difficulty: '', gradeLevel: '', errorPattern: '' });
+  const [status, setStatus] = useState(null); // { type: 'success' | 'error', message }
+  const [isLoading, setIsLoading] = useState(false);
+
+  const setFilter = (key) => (e) => setFilters(f => ({ ...f, [key]: e.target.value }));
+
+  const handleExport = async (formatKey) => {
+    const format = FORMATS[formatKey];
+    setIsLoading(true);
+    try {
+      // Empty selects mean "any"
+      const active = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+      const claims = await loadFilteredClaims(active);
+      if (claims.length === 0) {
+        setStatus({ type: 'error', message: 'No claims match these filters' });
+      } else {
+        downloadFile(format.build(claims), format.filename, format.type);
+        setStatus({ type: 'success', message: `Exported ${claims.length} claims as ${format.name}` });
+      }
+    } catch (e) {
+      logger.error('Failed to export claims:', e);
+      setStatus({ type: 'error', message: 'Export failed. Please try again.' });
+    }
+    setIsLoading(false);
+  };
+
+  return (
+    <div
+      style={{
+        background: 'var(--bg-card)',
+        border: '1px solid var(--border)',
+        borderRadius: '12px',
+        padding: '1rem',
+        marginBottom: '1rem'
+      }}
+    >
+      <h3 className="mono" style={{ fontSize: '1rem', color: 'var(--accent-cyan)', marginBottom: '0.5rem' }}>
+        Export as LMS Quiz
+      </h3>
+      <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)', marginBottom: '0.75rem', lineHeight: 1.4 }}>
+        Download claims as a quiz or exit ticket for Moodle (GIFT) or any LMS that imports QTI 2.1. Each question includes the claim&apos;s explanation as feedback.
+      </div>
+
+      <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', marginBottom: '0.75rem' }}>
+        <select value={filters.subject} onChange={setFilter('subject')} aria-label="Subject" style={selectStyle}>
+          <option value="">All subjects</option>
+          {SUBJECTS.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+        </select>
+        <select value={filters.difficulty} onChange={setFilter('difficulty')} aria-label="Difficulty" style={selectStyle}>
+          <option value="">All difficulties</option>
+          <option value="easy">Easy</option>
+          <option value="medium">Medium</option>
+          <option value="hard">Hard</option>
+        </select>
+        <select value={filters.gradeLevel} onChange={setFilter('gradeLevel')} aria-label="Grade level" style={selectStyle}>
+          <option value="">All grade levels</option>
+          <option value="elementary">Elementary</option>
+          <option value="middle">Middle</option>
+          <option value="high">High</option>
+          <option value="college">College</option>
+        </select>
+        <select value={filters.errorPattern} onChange={setFilter('errorPattern')} aria-label="Error pattern" style={selectStyle}>
+          <option value="">All error patterns</option>
+          {AI_ERROR_PATTERNS.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+        </select>
+      </div>
+
+      <div style={{ display: 'flex', gap: '0.5rem' }}>
+        <button type="button" onClick={() => handleExport('gift')} disabled={isLoading} style={buttonStyle}>
+          📤 Moodle GIFT
+        </button>
+        <button type="button" onClick={() => handleExport('qti')} disabled={isLoading} style={buttonStyle}>
+          📤 QTI 2.1 (zip)
+        </button>
+      </div>
+
+      {status && (
+        <div
+          role={status.type === 'error' ? 'alert' : 'status'}
+          style={{
+            marginTop: '0.5rem',
+            fontSize: '0.8125rem',
+            color: status.type === 'error' ? 'var(--accent-rose)' : 'var(--correct)'
+          }}
+        >
+          {status.type === 'error' ? '⚠️ ' : '✓ '}{status.message}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,85 @@
+/**
+ * CALIBRATION TREND
+ * SVG line of per-game confidence bias across recent games
+ * Above zero = overconfident, below zero = underconfident
+ */
+
+import { memo } from 'react';
+import PropTypes from 'prop-types';
+
+const WIDTH = 300;
+const HEIGHT = 110;
+const PADDING_X = 28;
+const PADDING_Y = 14;
+const BIAS_RANGE = 0.5; // Chart shows bias from -50% to +50%
+
+function CalibrationTrendComponent({ games }) {
+  const plotted = games.filter(g => typeof g.calibrationBias === 'number' && isFinite(g.calibrationBias));
+
+  if (plotted.length < 2) {
+    return (
+      <p style={{ fontSize: '0.8125rem', color: 'var(--text-muted)', textAlign: 'center', margin: 0 }}>
+        Play at least 2 games to see your trend.
+      </p>
+    );
+  }
+
+  const toX = (i) => PADDING_X + (i / (plotted.length - 1)) * (WIDTH - PADDING_X * 2);
+  const toY = (bias) => {
+    const clamped = Math.max(-BIAS_RANGE, Math.min(BIAS_RANGE, bias));
+    return HEIGHT / 2 - (clamped / BIAS_RANGE) * (HEIGHT / 2 - PADDING_Y);
+  };
+
+  const latest = plotted[plotted.length - 1].calibrationBias;
+
+  return (
+    <svg
+      viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+      role="img"
+      aria-label={`Confidence bias over your last ${plotted.length} games. Latest game: ${latest >= 0 ? '+' : ''}${Math.round(latest * 100)}%.`}
+      style={{ width: '100%', display: 'block' }}
+    >
+      {/* Zero line = perfectly calibrated */}
+      <line
+        x1={PADDING_X} y1={toY(0)} x2={WIDTH - PADDING_X} y2={toY(0)}
+        stroke="var(--text-muted)" strokeWidth="1" strokeDasharray="4 3"
+      />
+      <text x={PADDING_X - 4} y={toY(BIAS_RANGE) + 3} fontSize="8" textAnchor="end" fill="var(--accent-rose)">
+        over
+      </text>
+      <text x={PADDING_X - 4} y={toY(0) + 3} fontSize="8" textAnchor="end" fill="var(--text-muted)">
+        0
+      </text>
+      <text x={PADDING_X - 4} y={toY(-BIAS_RANGE) + 3} fontSize="8" textAnchor="end" fill="var(--accent-amber)">
+        under
+      </text>
+
+      <polyline
+        points={plotted.map((g, i) => `${toX(i)},${toY(g.calibrationBias)}`).join(' ')}
+        fill="none"
+        stroke="var(--accent-violet)"
+        strokeWidth="2"
+      />
+      {plotted.map((g, i) => (
+        <circle
+          key={g.timestamp || i}
+          cx={toX(i)}
+          cy={toY(g.calibrationBias)}
+          r="3"
+          fill={g.calibrationBias > 0 ? 'var(--accent-rose)' : 'var(--accent-amber)'}
+        />
+      ))}
+    </svg>
+  );
+}
+
+CalibrationTrendComponent.propTypes = {
+  // Games in chronological order (oldest first)
+  games: PropTypes.arrayOf(PropTypes.shape({
+    timestamp: PropTypes.number,
+    calibrationBias: PropTypes.number
+  })).isRequired
+};
+
+export const CalibrationTrend = memo(CalibrationTrendComponent);
+export default CalibrationTrend;
@@ -1,12 +1,87 @@
 /**
  * CLAIM CARD COMPONENT
  * Displays a claim with optional answer reveal
+ * Shows the claim in the active language, or in English with an "English only" badge
+ * With onTellTap, students can tap the phrase they think gives the error away
+ * ("spot the tell"); with the answer, the claim's error spans are highlighted.
+ * Estimation questions reveal their numeric answer instead of a verdict.
  */
 
-import { memo } from 'react';
+import { memo, useState, useEffect } from 'react';
 import PropTypes from 'prop-types';
+import { useTranslation } from 'react-i18next';
+import { getSubjectName } from '../data/subjects';
+import { localizeClaim } from '../utils/claimLocale';
+import { tokenizeWords, splitBySpans, getTells } from '../utils/errorSpans';
+import { isEstimateClaim, formatEstimate } from '../utils/estimation';
+import { SPOT_THE_TELL } from '../data/constants';
+import { ClaimMedia } from './ClaimMedia';
+
+/**
+ * Claim text as tappable words, keeping the spacing between them
+ */
+function TappableText({ text, tap, onTap }) {
+  const words = tokenizeWords(text);
+  return words.map((word, i) => {
+    const pressed = tap?.start === word.start;
+    return (
+      <span key={word.start}>
+        {i > 0 && text.slice(words[i - 1].end, word.start)}
+        <button
+          type="button"
+          onClick={() => onTap(pressed ? null : { start: word.start, end: word.end })}
+          aria-pressed={pressed}
+          style={{
+            font: 'inherit',
+            color: 'inherit',
+            padding: 0,
+            background: pressed ? 'rgba(251, 191, 36, 0.3)' : 'transparent',
+            border: 'none',
+            borderBottom: '1px dashed var(--text-muted)',
+            cursor: 'pointer'
+          }}
+        >
+          {word.text}
+        </button>
+      </span>
+    );
+  });
+}
+
+/**
+ * Claim text with its error spans highlighted
+ */
+function HighlightedText({ text, spans }) {
+  const tells = getTells({ text, errorSpans: spans });
+  return splitBySpans(text, spans).map(segment => {
+    if (!segment.span) return segment.text;
+    const tell = tells.find(item => item.start === segment.span.start);
+    return (
+      <mark
+        key={segment.span.start}
+        title={tell?.pattern?.name}
+        style={{ background: 'rgba(244, 63, 94, 0.25)', color: 'inherit', borderRadius: '2px' }}
+      >
+        {segment.text}
+      </mark>
+    );
+  });
+}
+
+function ClaimCardComponent({ claim, showAnswer = false, tellTap = null, onTellTap = null }) {
+  const { t, i18n } = useTranslation();
+  const content = localizeClaim(claim, i18n.language);
+  const [spotting, setSpotting] = useState(false);
+
+  // Spans index the English text, so tells are only tapped and shown there
+  const isSourceText = content.language === 'en';
+  const canSpot = !!onTellTap && !showAnswer && isSourceText;
+  const showTells = showAnswer && isSourceText && claim.errorSpans?.length > 0;
+
+  useEffect(() => {
+    setSpotting(false);
+  }, [claim.id]);
 
-function ClaimCardComponent({ claim, showAnswer = false }) {
   return (
     <>
       {/* Student-friendly responsive CSS */}
@@ -72,9 +147,25 @@ function ClaimCardComponent({ claim, showAnswer = false }) {
             color: 'var(--text-secondary)'
           }}
         >
-          {claim.subject}
+          {getSubjectName(claim.subject, i18n.language)}
         </span>
 
+        {content.isFallback && (
+          <span
+            className="mono"
+            title={t('claims.englishOnlyTitle')}
+            style={{
+              fontSize: '0.75rem',
+              padding: '0.1875rem 0.4375rem',
+              background: 'var(--bg-elevated)',
+              borderRadius: '3px',
+              color: 'var(--text-muted)'
+            }}
+          >
+            <span aria-hidden="true">🌐</span> {t('claims.englishOnly')}
+          </span>
+        )}
+
         {showAnswer && (
           <span
             className="mono"
@@ -108,6 +199,7 @@ function ClaimCardComponent({ claim, showAnswer = false }) {
       {/* Claim text - uses claim-text class for presentation mode scaling */}
       <blockquote
         className="claim-text"
+        lang={content.language}
         style={{
           fontSize: '1.125rem',
           lineHeight: 1.7,
@@ -119,9 +211,44 @@ function ClaimCardComponent({ claim, showAnswer = false }) {
           fontWeight: 500
         }}
       >
-        &ldquo;{claim.text}&rdquo;
+        &ldquo;{canSpot && spotting
+          ? <TappableText text={content.text} tap={tellTap} onTap={onTellTap} />
+          : showTells
+          ? <HighlightedText text={content.text} spans={claim.errorSpans} />
+          : content.text}&rdquo;
       </blockquote>
 
+      {/* Spot the tell - optional bonus for tapping the phrase that gives the error away */}
+      {canSpot && (
+        <div style={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: '0.5rem', margin: '-0.5rem 0 0.75rem' }}>
+          <button
+            type="button"
+            onClick={() => setSpotting(prev => !prev)}
+            aria-pressed={spotting}
+            className="mono"
+            style={{
+              padding: '0.25rem 0.5rem',
+              fontSize: '0.75rem',
+              background: spotting ? 'rgba(251, 191, 36, 0.15)' : 'var(--bg-elevated)',
+              border: `1px solid ${spotting ? 'var(--accent-amber)' : 'var(--border)'}`,
+              borderRadius: '4px',
+              color: 'var(--text-primary)',
+              cursor: 'pointer'
+            }}
+          >
+            <span aria-hidden="true">🎯</span> {spotting ? t('claims.spotTellDone') : t('claims.spotTell')}
+          </button>
+          <span style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+            {tellTap
+              ? t('claims.spotTellPicked', { word: content.text.slice(tellTap.start, tellTap.end) })
+              : t('claims.spotTellHelp', { points: SPOT_THE_TELL.BONUS_POINTS })}
+          </span>
+        </div>
+      )}
+
+      {/* Image or chart the claim is about */}
+      <ClaimMedia media={claim.media} />
+
       {/* Answer reveal section */}
       {showAnswer && (
         <div className="animate-in" style={{ marginTop: '1rem' }}>
@@ -133,34 +260,51 @@ function ClaimCardComponent({ claim, showAnswer = false }) {
               marginBottom: '0.75rem'
             }}
           >
-            <span
-              className="mono"
-              style={{
-                fontSize: '1rem',
-                fontWeight: 700,
-                padding: '0.5rem 0.875rem',
-                borderRadius: '6px',
-                background:
-                  claim.answer === 'TRUE'
-                    ? 'rgba(16, 185, 129, 0.25)'
-                    : claim.answer === 'FALSE'
-                    ? 'rgba(239, 68, 68, 0.25)'
-                    : 'rgba(251, 191, 36, 0.25)',
-                border: `2px solid ${claim.answer === 'TRUE'
-                  ? 'var(--correct)'
-                  : claim.answer === 'FALSE'
-                  ? 'var(--incorrect)'
-                  : 'var(--accent-amber)'}`,
-                color:
-                  claim.answer === 'TRUE'
+            {isEstimateClaim(claim) ? (
+              <span
+                className="mono"
+                style={{
+                  fontSize: '1rem',
+                  fontWeight: 700,
+                  padding: '0.5rem 0.875rem',
+                  borderRadius: '6px',
+                  background: 'rgba(34, 211, 238, 0.2)',
+                  border: '2px solid var(--accent-cyan)',
+                  color: 'var(--accent-cyan)'
+                }}
+              >
+                {formatEstimate(claim.estimate.value, claim.estimate.unit)}
+              </span>
+            ) : (
+              <span
+                className="mono"
+                style={{
+                  fontSize: '1rem',
+                  fontWeight: 700,
+                  padding: '0.5rem 0.875rem',
+                  borderRadius: '6px',
+                  background:
+                    claim.answer === 'TRUE'
+                      ? 'rgba(16, 185, 129, 0.25)'
+                      : claim.answer === 'FALSE'
+                      ? 'rgba(239, 68, 68, 0.25)'
+                      : 'rgba(251, 191, 36, 0.25)',
+                  border: `2px solid ${claim.answer === 'TRUE'
                     ? 'var(--correct)'
                     : claim.answer === 'FALSE'
                     ? 'var(--incorrect)'
-                    : 'var(--accent-amber)'
-              }}
-            >
-              {claim.answer}
-            </span>
+                    : 'var(--accent-amber)'}`,
+                  color:
+                    claim.answer === 'TRUE'
+                      ? 'var(--correct)'
+                      : claim.answer === 'FALSE'
+                      ? 'var(--incorrect)'
+                      : 'var(--accent-amber)'
+                }}
+              >
+                {claim.answer}
+              </span>
+            )}
             {claim.source === 'ai-generated' && (
               <span
                 className="mono"
@@ -175,6 +319,7 @@ function ClaimCardComponent({ claim, showAnswer = false }) {
             )}
           </div>
           <p
+            lang={content.language}
             style={{
               color: 'var(--text-primary)',
               fontSize: '1rem',
@@ -189,7 +334,7 @@ function ClaimCardComponent({ claim, showAnswer = false }) {
                 : 'var(--accent-amber)'}`
             }}
           >
-            {claim.explanation}
+            {content.explanation}
           </p>
         </div>
       )}
@@ -198,24 +343,58 @@ function ClaimCardComponent({ claim, showAnswer = false }) {
   );
 }
 
+TappableText.propTypes = {
+  text: PropTypes.string.isRequired,
+  tap: PropTypes.shape({ start: PropTypes.number, end: PropTypes.number }),
+  onTap: PropTypes.func.isRequired
+};
+
+HighlightedText.propTypes = {
+  text: PropTypes.string.isRequired,
+  spans: PropTypes.arrayOf(PropTypes.object).isRequired
+};
+
 // PropTypes validation
 ClaimCardComponent.propTypes = {
   claim: PropTypes.shape({
     id: PropTypes.string,
     text: PropTypes.string.isRequired,
-    answer: PropTypes.oneOf(['TRUE', 'FALSE', 'MIXED']).isRequired,
+    answer: PropTypes.oneOf(['TRUE', 'FALSE', 'MIXED']), // Absent on estimation questions
+    type: PropTypes.string,
+    estimate: PropTypes.shape({
+      value: PropTypes.number.isRequired,
+      unit: PropTypes.string
+    }),
     difficulty: PropTypes.oneOf(['easy', 'medium', 'hard', 'expert']),
     subject: PropTypes.string,
     source: PropTypes.string,
     contributor: PropTypes.string,
     errorPattern: PropTypes.string,
-    explanation: PropTypes.string
+    explanation: PropTypes.string,
+    media: PropTypes.object,
+    errorSpans: PropTypes.arrayOf(PropTypes.shape({
+      start: PropTypes.number.isRequired,
+      end: PropTypes.number.isRequired,
+      pattern: PropTypes.string.isRequired
+    })),
+    translations: PropTypes.objectOf(PropTypes.shape({
+      text: PropTypes.string,
+      explanation: PropTypes.string,
+      status: PropTypes.string
+    }))
   }).isRequired,
-  showAnswer: PropTypes.bool
+  showAnswer: PropTypes.bool,
+  tellTap: PropTypes.shape({
+    start: PropTypes.number.isRequired,
+    end: PropTypes.number.isRequired
+  }),
+  onTellTap: PropTypes.func
 };
 
 ClaimCardComponent.defaultProps = {
-  showAnswer: false
+  showAnswer: false,
+  tellTap: null,
+  onTellTap: null
 };
 
 // Memoize to prevent re-renders when props haven't changed
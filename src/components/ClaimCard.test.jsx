@@ -3,8 +3,9 @@
  * Tests the claim display component with and without answer reveal
  */
 
-import { describe, it, expect } from 'vitest';
-import { render, screen } from '@testing-library/react';
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import i18n from '../i18n/config';
 import { ClaimCard } from './ClaimCard';
 
 describe('ClaimCard', () => {
@@ -152,4 +153,83 @@ describe('ClaimCard', () => {
       expect(screen.getByText(/quotes.*apostrophes/i)).toBeInTheDocument();
     });
   });
+
+  describe('Spot the Tell', () => {
+    const aiClaim = {
+      ...mockClaim,
+      text: 'Bats are blind and navigate only by sound.',
+      answer: 'FALSE',
+      source: 'ai-generated',
+      errorPattern: 'myth-perpetuation',
+      errorSpans: [{ start: 9, end: 14, pattern: 'myth-perpetuation' }]
+    };
+
+    it('is only offered when a tap handler is given', () => {
+      render(<ClaimCard claim={aiClaim} />);
+      expect(screen.queryByRole('button', { name: /Spot the tell/ })).not.toBeInTheDocument();
+    });
+
+    it('reports the tapped word range', () => {
+      const onTellTap = vi.fn();
+      render(<ClaimCard claim={aiClaim} onTellTap={onTellTap} />);
+      fireEvent.click(screen.getByRole('button', { name: /Spot the tell/ }));
+      fireEvent.click(screen.getByRole('button', { name: 'blind' }));
+      expect(onTellTap).toHaveBeenCalledWith({ start: 9, end: 14 });
+    });
+
+    it('shows the picked word and lets it be untapped', () => {
+      const onTellTap = vi.fn();
+      render(<ClaimCard claim={aiClaim} tellTap={{ start: 9, end: 14 }} onTellTap={onTellTap} />);
+      expect(screen.getByText(/You picked “blind”/)).toBeInTheDocument();
+      fireEvent.click(screen.getByRole('button', { name: /Spot the tell/ }));
+      fireEvent.click(screen.getByRole('button', { name: 'blind', pressed: true }));
+      expect(onTellTap).toHaveBeenCalledWith(null);
+    });
+
+    it('highlights the tells with the answer', () => {
+      const { container } = render(<ClaimCard claim={aiClaim} showAnswer={true} onTellTap={vi.fn()} />);
+      const mark = container.querySelector('mark');
+      expect(mark).toHaveTextContent('blind');
+      expect(mark).toHaveAttribute('title', 'Myth Perpetuation');
+      expect(screen.queryByRole('button', { name: /Spot the tell/ })).not.toBeInTheDocument();
+    });
+  });
+
+  describe('Translations', () => {
+    const translatedClaim = {
+      ...mockClaim,
+      translations: {
+        es: {
+          text: 'La Tierra gira alrededor del Sol.',
+          explanation: 'Es un hecho fundamental de nuestro sistema solar.',
+          status: 'reviewed'
+        }
+      }
+    };
+
+    afterEach(async () => {
+      await i18n.changeLanguage('en');
+    });
+
+    it('shows the translation for the active language', async () => {
+      await i18n.changeLanguage('es');
+      render(<ClaimCard claim={translatedClaim} showAnswer={true} />);
+      expect(screen.getByText(/La Tierra gira alrededor del Sol/)).toBeInTheDocument();
+      expect(screen.getByText(/hecho fundamental/)).toBeInTheDocument();
+      expect(screen.getByText('Astronomía')).toBeInTheDocument();
+      expect(screen.queryByText(/Solo en inglés/)).not.toBeInTheDocument();
+    });
+
+    it('falls back to English with an indicator', async () => {
+      await i18n.changeLanguage('es');
+      render(<ClaimCard claim={mockClaim} />);
+      expect(screen.getByText(/The Earth revolves around the Sun/)).toBeInTheDocument();
+      expect(screen.getByText(/Solo en inglés/)).toBeInTheDocument();
+    });
+
+    it('shows no indicator in English', () => {
+      render(<ClaimCard claim={mockClaim} />);
+      expect(screen.queryByText(/English only/)).not.toBeInTheDocument();
+    });
+  });
 });
@@ -0,0 +1,192 @@
+/**
+ * CLAIM MEDIA
+ * Image or chart shown with a claim (e.g. a bar chart with a truncated y-axis)
+ * Charts are drawn from the declarative spec in claim.media.chart (see data/claims.js),
+ * with the alt text as the accessible name and the data available as a table.
+ */
+
+import { memo } from 'react';
+import PropTypes from 'prop-types';
+
+const WIDTH = 320;
+const HEIGHT = 190;
+const PAD_LEFT = 44;
+const PAD_RIGHT = 12;
+const PAD_TOP = 26;
+const PAD_BOTTOM = 30;
+const Y_TICKS = 4;
+
+/**
+ * Y-axis range as the chart draws it
+ * Without yMin the axis starts at zero; without yMax it ends at the largest value.
+ * @param {Object} chart - Chart spec
+ * @returns {{min: number, max: number}}
+ */
+function getChartRange(chart) {
+  const values = chart.points.map(p => p.value);
+  const min = chart.yMin ?? Math.min(0, ...values);
+  const max = chart.yMax ?? Math.max(...values);
+  return { min, max: max > min ? max : min + 1 };
+}
+
+function formatValue(value, unit = '') {
+  return `${Number.isInteger(value) ? value : value.toFixed(1)}${unit}`;
+}
+
+function ChartSvg({ chart, alt }) {
+  const { min, max } = getChartRange(chart);
+  const plotWidth = WIDTH - PAD_LEFT - PAD_RIGHT;
+  const plotHeight = HEIGHT - PAD_TOP - PAD_BOTTOM;
+  const slot = plotWidth / chart.points.length;
+
+  const toY = (value) => {
+    const clamped = Math.max(min, Math.min(max, value));
+    return PAD_TOP + plotHeight - ((clamped - min) / (max - min)) * plotHeight;
+  };
+  const toX = (i) => PAD_LEFT + slot * i + slot / 2;
+  const ticks = Array.from({ length: Y_TICKS + 1 }, (_, i) => min + ((max - min) * i) / Y_TICKS);
+
+  return (
+    <svg
+      viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+      role="img"
+      aria-label={alt}
+      style={{ width: '100%', maxWidth: '480px', display: 'block', margin: '0 auto' }}
+    >
+      {chart.title && (
+        <text x={WIDTH / 2} y={14} fontSize="11" fontWeight="600" textAnchor="middle" fill="var(--text-primary)">
+          {chart.title}
+        </text>
+      )}
+
+      {/* Y axis with gridlines - the range is drawn as specified, truncated or not */}
+      {ticks.map(tick => (
+        <g key={tick}>
+          <line
+            x1={PAD_LEFT} y1={toY(tick)} x2={WIDTH - PAD_RIGHT} y2={toY(tick)}
+            stroke="var(--border)" strokeWidth="0.5"
+          />
+          <text x={PAD_LEFT - 4} y={toY(tick) + 3} fontSize="8" textAnchor="end" fill="var(--text-secondary)">
+            {formatValue(tick, chart.unit)}
+          </text>
+        </g>
+      ))}
+      <line x1={PAD_LEFT} y1={PAD_TOP} x2={PAD_LEFT} y2={PAD_TOP + plotHeight} stroke="var(--text-secondary)" strokeWidth="1" />
+      {chart.yLabel && (
+        <text
+          x={10} y={PAD_TOP + plotHeight / 2} fontSize="8" textAnchor="middle" fill="var(--text-secondary)"
+          transform={`rotate(-90 10 ${PAD_TOP + plotHeight / 2})`}
+        >
+          {chart.yLabel}
+        </text>
+      )}
+
+      {chart.kind === 'line' ? (
+        <>
+          <polyline
+            points={chart.points.map((p, i) => `${toX(i)},${toY(p.value)}`).join(' ')}
+            fill="none"
+            stroke="var(--accent-cyan)"
+            strokeWidth="2"
+          />
+          {chart.points.map((p, i) => (
+            <circle key={p.label} cx={toX(i)} cy={toY(p.value)} r="3" fill="var(--accent-cyan)" />
+          ))}
+        </>
+      ) : (
+        chart.points.map((p, i) => (
+          <rect
+            key={p.label}
+            x={toX(i) - slot * 0.3}
+            y={toY(p.value)}
+            width={slot * 0.6}
+            height={PAD_TOP + plotHeight - toY(p.value)}
+            fill="var(--accent-cyan)"
+            rx="2"
+          />
+        ))
+      )}
+
+      {chart.points.map((p, i) => (
+        <text key={p.label} x={toX(i)} y={HEIGHT - PAD_BOTTOM + 14} fontSize="9" textAnchor="middle" fill="var(--text-secondary)">
+          {p.label}
+        </text>
+      ))}
+    </svg>
+  );
+}
+
+ChartSvg.propTypes = {
+  chart: PropTypes.object.isRequired,
+  alt: PropTypes.string.isRequired
+};
+
+function ClaimMediaComponent({ media }) {
+  if (!media) return null;
+
+  return (
+    <figure style={{ margin: '0 0 1rem' }}>
+      {media.type === 'chart' && media.chart ? (
+        <>
+          <ChartSvg chart={media.chart} alt={media.alt} />
+          <details style={{ marginTop: '0.375rem', fontSize: '0.75rem', color: 'var(--text-secondary)' }}>
+            <summary style={{ cursor: 'pointer' }}>Chart data</summary>
+            <table style={{ marginTop: '0.25rem', borderCollapse: 'collapse' }}>
+              <thead>
+                <tr>
+                  <th scope="col" style={{ textAlign: 'left', paddingRight: '1rem' }}>{media.chart.xLabel || 'Label'}</th>
+                  <th scope="col" style={{ textAlign: 'right' }}>{media.chart.yLabel || 'Value'}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {media.chart.points.map(p => (
+                  <tr key={p.label}>
+                    <td style={{ paddingRight: '1rem' }}>{p.label}</td>
+                    <td style={{ textAlign: 'right' }}>{formatValue(p.value, media.chart.unit)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </details>
+        </>
+      ) : (
+        <img
+          src={media.src}
+          alt={media.alt}
+          loading="lazy"
+          style={{ display: 'block', maxWidth: '100%', maxHeight: '320px', margin: '0 auto', borderRadius: '6px' }}
+        />
+      )}
+      {media.caption && (
+        <figcaption style={{ marginTop: '0.375rem', fontSize: '0.75rem', color: 'var(--text-muted)', textAlign: 'center' }}>
+          {media.caption}
+        </figcaption>
+      )}
+    </figure>
+  );
+}
+
+ClaimMediaComponent.propTypes = {
+  media: PropTypes.shape({
+    type: PropTypes.oneOf(['image', 'chart']).isRequired,
+    alt: PropTypes.string.isRequired,
+    caption: PropTypes.string,
+    src: PropTypes.string,
+    chart: PropTypes.shape({
+      kind: PropTypes.oneOf(['bar', 'line']).isRequired,
+      title: PropTypes.string,
+      xLabel: PropTypes.string,
+      yLabel: PropTypes.string,
+      unit: PropTypes.string,
+      yMin: PropTypes.number,
+      yMax: PropTypes.number,
+      points: PropTypes.arrayOf(PropTypes.shape({
+        label: PropTypes.string.isRequired,
+        value: PropTypes.number.isRequired
+      })).isRequired
+    })
+  })
+};
+
+export const ClaimMedia = memo(ClaimMediaComponent);
+export default ClaimMedia;
@@ -0,0 +1,68 @@
+/**
+ * ClaimMedia Component Tests
+ * Tests accessible rendering of claim images and charts
+ */
+
+import { describe, it, expect } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import { ClaimMedia } from './ClaimMedia';
+
+const chartMedia = {
+  type: 'chart',
+  alt: 'Bar chart. The y-axis starts at 40% and ends at 48%. Town A: 41%. Town B: 47%.',
+  caption: 'Survey of two towns',
+  chart: {
+    kind: 'bar',
+    title: 'Household waste recycled',
+    xLabel: 'Town',
+    yLabel: 'Waste recycled',
+    unit: '%',
+    yMin: 40,
+    yMax: 48,
+    points: [
+      { label: 'Town A', value: 41 },
+      { label: 'Town B', value: 47 }
+    ]
+  }
+};
+
+describe('ClaimMedia', () => {
+  it('renders nothing without media', () => {
+    const { container } = render(<ClaimMedia media={undefined} />);
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it('names the chart with its alt text', () => {
+    render(<ClaimMedia media={chartMedia} />);
+    expect(screen.getByRole('img', { name: chartMedia.alt })).toBeInTheDocument();
+    expect(screen.getByText('Survey of two towns')).toBeInTheDocument();
+  });
+
+  it('draws the axis range as specified', () => {
+    const { container } = render(<ClaimMedia media={chartMedia} />);
+    const ticks = [...container.querySelectorAll('svg text')].map(t => t.textContent);
+    expect(ticks).toContain('40%');
+    expect(ticks).toContain('48%');
+    expect(ticks).not.toContain('0%');
+    expect(container.querySelectorAll('rect')).toHaveLength(2);
+  });
+
+  it('offers the data as a table', () => {
+    render(<ClaimMedia media={chartMedia} />);
+    expect(screen.getByRole('columnheader', { name: 'Town' })).toBeInTheDocument();
+    expect(screen.getByRole('cell', { name: '47%' })).toBeInTheDocument();
+  });
+
+  it('draws line charts', () => {
+    const { container } = render(
+      <ClaimMedia media={{ ...chartMedia, chart: { ...chartMedia.chart, kind: 'line' } }} />
+    );
+    expect(container.querySelector('polyline')).toBeInTheDocument();
+    expect(container.querySelectorAll('circle')).toHaveLength(2);
+  });
+
+  it('renders images with alt text', () => {
+    render(<ClaimMedia media={{ type: 'image', src: '/claim-media/poster.png', alt: 'A poster claiming 9 out of 10 dentists agree' }} />);
+    expect(screen.getByRole('img', { name: /9 out of 10 dentists/ })).toHaveAttribute('src', '/claim-media/poster.png');
+  });
+});
@@ -6,6 +6,7 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
 import { Button } from './Button';
 import { FirebaseBackend } from '../services/firebase';
+import { getSubjectName } from '../data/subjects';
 import { logger } from '../utils/logger';
 
 export function ClaimModeration({ classCode }) {
@@ -215,7 +216,7 @@ function ClaimReviewCard({ claim, onApprove, onReject, isProcessing }) {
                 fontSize: '0.75rem',
                 color: 'var(--accent-violet)'
               }}>
-                {claim.subject}
+                {getSubjectName(claim.subject)}
               </span>
               <span style={{
                 padding: '0.25rem 0.5rem',
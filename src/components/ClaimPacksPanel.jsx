@@ -0,0 +1,197 @@
+/**
+ * CLAIM PACKS PANEL
+ * Teacher controls for installing district or unit claim packs on this device
+ */
+
+import { useState, useRef } from 'react';
+import { ClaimPacks } from '../services/claimPacks';
+
+const inputStyle = {
+  flex: 1,
+  padding: '0.625rem',
+  background: 'var(--bg-elevated)',
+  border: '1px solid var(--border)',
+  borderRadius: '6px',
+  color: 'var(--text-primary)',
+  fontFamily: 'var(--font-mono)',
+  fontSize: '0.8125rem'
+};
+
+const smallButtonStyle = {
+  padding: '0.375rem 0.625rem',
+  background: 'var(--bg-elevated)',
+  border: '1px solid var(--border)',
+  borderRadius: '4px',
+  color: 'var(--text-secondary)',
+  fontSize: '0.75rem',
+  cursor: 'pointer'
+};
+
+export function ClaimPacksPanel() {
+  const [packs, setPacks] = useState(() => ClaimPacks.getInstalled());
+  const [packPath, setPackPath] = useState('');
+  const [status, setStatus] = useState(null); // { type: 'success' | 'error', message }
+  const [isLoading, setIsLoading] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const refresh = () => setPacks(ClaimPacks.getInstalled());
+
+  const handleResult = (result) => {
+    if (result.success) {
+      const { pack, replacedVersion } = result;
+      setStatus({
+        type: 'success',
+        message: replacedVersion
+          ? `Updated ${pack.name || pack.id} from ${replacedVersion} to ${pack.version}`
+          : `Installed ${pack.name || pack.id} (${pack.claims.length} claims)`
+      });
+      refresh();
+    } else {
+      setStatus({ type: 'error', message: result.error });
+    }
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    setIsLoading(true);
+    handleResult(await ClaimPacks.installFromFile(file));
+    setIsLoading(false);
+  };
+
+  const handlePath = async () => {
+    if (!packPath.trim()) return;
+    setIsLoading(true);
+    handleResult(await ClaimPacks.installFromPath(packPath.trim()));
+    setIsLoading(false);
+  };
+
+  const handleToggle = (pack) => {
+    ClaimPacks.setEnabled(pack.id, !pack.enabled);
+    refresh();
+  };
+
+  const handleRemove = (pack) => {
+    ClaimPacks.remove(pack.id);
+    setStatus(null);
+    refresh();
+  };
+
+  return (
+    <div
+      style={{
+        background: 'var(--bg-card)',
+        border: '1px solid var(--border)',
+        borderRadius: '12px',
+        padding: '1rem',
+        marginBottom: '1rem'
+      }}
+    >
+      <h3 className="mono" style={{ fontSize: '1rem', color: 'var(--accent-cyan)', marginBottom: '0.5rem' }}>
+        Claim Packs
+      </h3>
+      <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)', marginBottom: '0.75rem', lineHeight: 1.4 }}>
+        Add district or unit claims from a pack file. Packs are saved on this device and mixed into every game while enabled.
+      </div>
+
+      {packs.length > 0 && (
+        <ul style={{ listStyle: 'none', padding: 0, margin: '0 0 0.75rem', display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+          {packs.map(pack => (
+            <li
+              key={pack.id}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '0.5rem',
+                padding: '0.625rem',
+                background: 'var(--bg-elevated)',
+                borderRadius: '6px',
+                opacity: pack.enabled ? 1 : 0.6
+              }}
+            >
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <div style={{ fontSize: '0.875rem', fontWeight: 600, color: 'var(--text-primary)' }}>
+                  {pack.name || pack.id}
+                </div>
+                <div className="mono" style={{ fontSize: '0.6875rem', color: 'var(--text-muted)' }}>
+                  v{pack.version} · {pack.locale} · {pack.claims.length} claims · {pack.license}
+                </div>
+              </div>
+              <button
+                type="button"
+                onClick={() => handleToggle(pack)}
+                aria-pressed={pack.enabled}
+                aria-label={`${pack.enabled ? 'Disable' : 'Enable'} ${pack.name || pack.id}`}
+                style={{
+                  ...smallButtonStyle,
+                  color: pack.enabled ? 'var(--correct)' : 'var(--text-muted)',
+                  borderColor: pack.enabled ? 'var(--correct)' : 'var(--border)'
+                }}
+              >
+                {pack.enabled ? 'On' : 'Off'}
+              </button>
+              <button
+                type="button"
+                onClick={() => handleRemove(pack)}
+                aria-label={`Remove ${pack.name || pack.id}`}
+                style={{ ...smallButtonStyle, color: 'var(--accent-rose)' }}
+              >
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".json,application/json"
+        onChange={handleFile}
+        style={{ display: 'none' }}
+      />
+      <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+        <button
+          type="button"
+          onClick={() => fileInputRef.current?.click()}
+          disabled={isLoading}
+          style={{ ...smallButtonStyle, padding: '0.625rem 0.75rem', color: 'var(--accent-cyan)', borderColor: 'var(--accent-cyan)' }}
+        >
+          📦 Upload pack file
+        </button>
+        <input
+          type="text"
+          value={packPath}
+          onChange={(e) => setPackPath(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && handlePath()}
+          placeholder="/claim-packs/unit-3.json"
+          aria-label="Bundled pack path"
+          style={{ ...inputStyle, minWidth: '160px' }}
+        />
+        <button
+          type="button"
+          onClick={handlePath}
+          disabled={isLoading || !packPath.trim()}
+          style={{ ...smallButtonStyle, padding: '0.625rem 0.75rem' }}
+        >
+          Load
+        </button>
+      </div>
+
+      {status && (
+        <div
+          role={status.type === 'error' ? 'alert' : 'status'}
+          style={{
+            marginTop: '0.5rem',
+            fontSize: '0.8125rem',
+            color: status.type === 'error' ? 'var(--accent-rose)' : 'var(--correct)',
+            wordBreak: 'break-word'
+          }}
+        >
+          {status.type === 'error' ? '⚠️ ' : '✓ '}{status.message}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -9,11 +9,9 @@ import PropTypes from 'prop-types';
 import { FirebaseBackend } from '../services/firebase';
 import { OfflineQueue } from '../services/offlineQueue';
 import { PlayerProfile } from '../services/playerProfile';
-import { SUBJECT_HINTS } from '../data/constants';
+import { SUBJECTS } from '../data/subjects';
 import { sanitizeUserContent } from '../utils/sanitize';
 
-const SUBJECTS = Object.keys(SUBJECT_HINTS);
-
 const ERROR_PATTERNS = [
   'Inverted cause and effect',
   'Exaggerated numbers',
@@ -32,7 +30,7 @@ export function ClaimSubmissionForm({ onClose, onSubmitSuccess }) {
     claimText: '',
     answer: 'TRUE',
     explanation: '',
-    subject: 'Biology',
+    subject: 'biology',
     difficulty: 'medium',
     citation: '',
     errorPattern: ''
@@ -309,7 +307,7 @@ export function ClaimSubmissionForm({ onClose, onSubmitSuccess }) {
               onChange={(e) => setFormData(prev => ({ ...prev, subject: e.target.value }))}
             >
               {SUBJECTS.map(subject => (
-                <option key={subject} value={subject}>{subject}</option>
+                <option key={subject.id} value={subject.id}>{subject.name}</option>
               ))}
             </select>
           </div>
@@ -0,0 +1,378 @@
+/**
+ * CLASS SETTINGS PANEL
+ * Teacher controls for per-class game settings stored in Firestore
+ */
+
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { Button } from './Button';
+import { FirebaseBackend } from '../services/firebase';
+import { PROBABILITY_CONFIDENCE, SCORING_PROFILES, SPEED_BONUS, RATINGS, SELECTION_BALANCE, TIMING } from '../data/constants';
+import { AI_ERROR_PATTERNS } from '../data/errorPatterns';
+import { STANDARDS, STANDARD_FRAMEWORKS, getSubjectsForStandards, getSubjectName } from '../data/subjects';
+import { resolveSelectionBalance, getBalanceTargets } from '../utils/selectionBalance';
+import { logger } from '../utils/logger';
+
+const CONFIDENCE_MODES = [
+  { id: 'levels', label: '3 levels', description: 'Not sure / Pretty sure / Certain (+1/+3/+5)' },
+  { id: 'probability', label: 'Probability', description: 'Students pick 50-99% - finer calibration practice' }
+];
+
+const selectStyle = {
+  width: '100%',
+  padding: '0.625rem',
+  background: 'var(--bg-elevated)',
+  border: '1px solid var(--border)',
+  borderRadius: '6px',
+  color: 'var(--text-primary)'
+};
+
+const helpStyle = {
+  fontSize: '0.75rem',
+  color: 'var(--text-muted)',
+  marginTop: '0.375rem',
+  lineHeight: 1.4
+};
+
+const labelStyle = {
+  display: 'block',
+  fontSize: '0.75rem',
+  color: 'var(--accent-amber)',
+  marginBottom: '0.5rem'
+};
+
+const ANSWER_COLORS = { TRUE: 'var(--correct)', FALSE: 'var(--incorrect)', MIXED: 'var(--accent-amber)' };
+
+const optionStyle = (selected) => ({
+  flex: '1 1 0',
+  minWidth: '140px',
+  padding: '0.625rem',
+  background: selected ? 'rgba(34, 211, 238, 0.1)' : 'var(--bg-elevated)',
+  border: `2px solid ${selected ? 'var(--accent-cyan)' : 'var(--border)'}`,
+  borderRadius: '6px',
+  color: 'var(--text-primary)',
+  textAlign: 'left',
+  cursor: 'pointer'
+});
+
+const chipStyle = (selected) => ({
+  padding: '0.375rem 0.625rem',
+  background: selected ? 'rgba(167, 139, 250, 0.15)' : 'var(--bg-elevated)',
+  border: `1px solid ${selected ? 'var(--accent-violet)' : 'var(--border)'}`,
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '0.75rem',
+  color: selected ? 'var(--text-primary)' : 'var(--text-muted)'
+});
+
+export function ClassSettingsPanel({ classCode }) {
+  const [settings, setSettings] = useState(null);
+  const [saveStatus, setSaveStatus] = useState(null); // null | 'saving' | 'saved' | 'error'
+
+  useEffect(() => {
+    let cancelled = false;
+    FirebaseBackend.getClassSettings(classCode)
+      .then(loaded => {
+        if (!cancelled) setSettings(loaded);
+      })
+      .catch(e => {
+        logger.warn('Failed to load class settings:', e);
+        if (!cancelled) setSettings(FirebaseBackend._getDefaultClassSettings());
+      });
+    return () => { cancelled = true; };
+  }, [classCode]);
+
+  const updateSetting = (key, value) => {
+    setSettings(prev => ({ ...prev, [key]: value }));
+    setSaveStatus(null);
+  };
+
+  const handleSave = async () => {
+    setSaveStatus('saving');
+    const result = await FirebaseBackend.saveClassSettings(settings, classCode);
+    setSaveStatus(result.success ? 'saved' : 'error');
+    if (result.success) {
+      setTimeout(() => setSaveStatus(null), TIMING.SETTINGS_SAVE_FEEDBACK_MS);
+    }
+  };
+
+  if (!settings) {
+    return (
+      <div style={{ fontSize: '0.8125rem', color: 'var(--text-muted)', textAlign: 'center', padding: '1rem' }}>
+        Loading class settings...
+      </div>
+    );
+  }
+
+  const balance = resolveSelectionBalance(settings);
+  const sampleTargets = getBalanceTargets(10, balance);
+  const practicePatterns = settings.practicePatterns || [];
+  const standards = settings.standards || [];
+
+  return (
+    <div
+      style={{
+        background: 'var(--bg-card)',
+        border: '1px solid var(--border)',
+        borderRadius: '12px',
+        padding: '1rem',
+        marginBottom: '1rem'
+      }}
+    >
+      <h3 className="mono" style={{ fontSize: '1rem', color: 'var(--accent-cyan)', marginBottom: '1rem' }}>
+        Class Settings · {classCode}
+      </h3>
+
+      {/* Confidence input mode */}
+      <div style={{ marginBottom: '1rem' }}>
+        <span className="mono" style={labelStyle}>CONFIDENCE INPUT</span>
+        <div role="radiogroup" aria-label="Confidence input" style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+          {CONFIDENCE_MODES.map(mode => (
+            <button
+              key={mode.id}
+              type="button"
+              role="radio"
+              aria-checked={settings.confidenceMode === mode.id}
+              onClick={() => updateSetting('confidenceMode', mode.id)}
+              style={optionStyle(settings.confidenceMode === mode.id)}
+            >
+              <div style={{ fontWeight: 600, fontSize: '0.875rem' }}>{mode.label}</div>
+              <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>{mode.description}</div>
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {settings.confidenceMode === 'probability' && (
+        <div style={{ marginBottom: '1rem' }}>
+          <label htmlFor="probability-scoring-rule" className="mono" style={labelStyle}>
+            PROBABILITY SCORING RULE
+          </label>
+          <select
+            id="probability-scoring-rule"
+            value={settings.probabilityScoringRule}
+            onChange={(e) => updateSetting('probabilityScoringRule', e.target.value)}
+            style={selectStyle}
+          >
+            {Object.entries(PROBABILITY_CONFIDENCE.RULES).map(([id, rule]) => (
+              <option key={id} value={id}>{rule.label}</option>
+            ))}
+          </select>
+          <div style={helpStyle}>
+            Both rules reward honest probabilities. Logarithmic punishes confident mistakes (e.g. 99% and wrong) much more harshly.
+          </div>
+        </div>
+      )}
+
+      {/* Scoring profile */}
+      <div style={{ marginBottom: '1rem' }}>
+        <label htmlFor="class-scoring-profile" className="mono" style={labelStyle}>
+          SCORING PROFILE
+        </label>
+        <select
+          id="class-scoring-profile"
+          value={settings.scoringProfile || ''}
+          onChange={(e) => updateSetting('scoringProfile', e.target.value || null)}
+          style={selectStyle}
+        >
+          <option value="">Let students choose</option>
+          {Object.values(SCORING_PROFILES).map(profile => (
+            <option key={profile.id} value={profile.id}>{profile.icon} {profile.name}</option>
+          ))}
+        </select>
+        <div style={helpStyle}>
+          {settings.scoringProfile
+            ? SCORING_PROFILES[settings.scoringProfile]?.description
+            : 'Students pick a scoring profile on the setup screen.'}
+        </div>
+      </div>
+
+      {/* Speed bonus baseline */}
+      <div style={{ marginBottom: '1rem' }}>
+        <label htmlFor="speed-bonus-baseline" className="mono" style={labelStyle}>
+          SPEED BONUS BASELINE
+        </label>
+        <select
+          id="speed-bonus-baseline"
+          value={settings.speedBonusBaseline || SPEED_BONUS.DEFAULT_BASELINE}
+          onChange={(e) => updateSetting('speedBonusBaseline', e.target.value)}
+          style={selectStyle}
+        >
+          {Object.entries(SPEED_BONUS.BASELINES).map(([id, baseline]) => (
+            <option key={id} value={id}>{baseline.label}</option>
+          ))}
+        </select>
+        <div style={helpStyle}>
+          {SPEED_BONUS.BASELINES[settings.speedBonusBaseline || SPEED_BONUS.DEFAULT_BASELINE]?.description}
+          {(settings.speedBonusBaseline || SPEED_BONUS.DEFAULT_BASELINE) !== 'fixed' &&
+            ` Uses the round timer until a player has answered ${SPEED_BONUS.MIN_HISTORY} rounds.`}
+        </div>
+      </div>
+
+      {/* Adaptive difficulty target */}
+      <div style={{ marginBottom: '1rem' }}>
+        <label htmlFor="adaptive-target-success" className="mono" style={labelStyle}>
+          ADAPTIVE DIFFICULTY TARGET
+        </label>
+        <select
+          id="adaptive-target-success"
+          value={settings.adaptiveTargetSuccess ?? RATINGS.DEFAULT_TARGET_SUCCESS}
+          onChange={(e) => updateSetting('adaptiveTargetSuccess', Number(e.target.value))}
+          style={selectStyle}
+        >
+          {RATINGS.TARGET_SUCCESS_OPTIONS.map(target => (
+            <option key={target} value={target}>{Math.round(target * 100)}% of answers correct</option>
+          ))}
+        </select>
+        <div style={helpStyle}>
+          Adaptive games pick claims each team should get right about this often, based on skill ratings learned from every game in the class.
+        </div>
+      </div>
+
+      {/* Claim mix - how selection balances answers, sources and error patterns */}
+      <div style={{ marginBottom: '1rem' }}>
+        <span className="mono" style={labelStyle}>CLAIM MIX PER GAME</span>
+        <div role="group" aria-label="Answer mix" style={{ display: 'flex', gap: '0.5rem' }}>
+          {Object.keys(SELECTION_BALANCE.DEFAULT_ANSWER_MIX).map(answer => (
+            <label key={answer} style={{ flex: 1, fontSize: '0.75rem', color: ANSWER_COLORS[answer] }}>
+              <span className="mono">{answer} %</span>
+              <input
+                type="number"
+                min={0}
+                max={100}
+                step={5}
+                value={balance.answerMix[answer]}
+                onChange={(e) => updateSetting('answerMix', {
+                  ...balance.answerMix,
+                  [answer]: Math.min(100, Math.max(0, Number(e.target.value) || 0))
+                })}
+                style={{ ...selectStyle, marginTop: '0.25rem' }}
+              />
+            </label>
+          ))}
+        </div>
+        <div style={helpStyle}>
+          A 10-round game aims for {Object.entries(sampleTargets.answers).map(([answer, n]) => `${n} ${answer}`).join(', ')}.
+          Numbers are relative weights, so they don&apos;t need to add up to 100.
+        </div>
+
+        <div style={{ display: 'flex', gap: '0.5rem', marginTop: '0.75rem' }}>
+          <div style={{ flex: 1 }}>
+            <label htmlFor="ai-source-share" className="mono" style={{ ...labelStyle, color: 'var(--text-muted)' }}>
+              AI-GENERATED
+            </label>
+            <select
+              id="ai-source-share"
+              value={balance.aiShare}
+              onChange={(e) => updateSetting('aiSourceShare', Number(e.target.value))}
+              style={selectStyle}
+            >
+              {SELECTION_BALANCE.AI_SHARE_OPTIONS.map(share => (
+                <option key={share} value={share}>{Math.round(share * 100)}% of claims</option>
+              ))}
+            </select>
+          </div>
+          <div style={{ flex: 1 }}>
+            <label htmlFor="max-per-error-pattern" className="mono" style={{ ...labelStyle, color: 'var(--text-muted)' }}>
+              SAME ERROR PATTERN
+            </label>
+            <select
+              id="max-per-error-pattern"
+              value={balance.maxPerErrorPattern}
+              onChange={(e) => updateSetting('maxPerErrorPattern', Number(e.target.value))}
+              style={selectStyle}
+            >
+              {SELECTION_BALANCE.MAX_PER_ERROR_PATTERN_OPTIONS.map(max => (
+                <option key={max} value={max}>{max === 0 ? 'No limit' : `At most ${max} per game`}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+        <div style={helpStyle}>
+          Mixing answers and AI error patterns stops students winning by guessing &quot;it&apos;s usually FALSE&quot;.
+          Small subject or grade pools may not always hit every target.
+        </div>
+      </div>
+
+      {/* Lesson focus - every game in the class practices these error patterns */}
+      <div style={{ marginBottom: '1rem' }}>
+        <span className="mono" style={labelStyle}>LESSON FOCUS</span>
+        <div role="group" aria-label="Error patterns to practice" style={{ display: 'flex', flexWrap: 'wrap', gap: '0.375rem' }}>
+          {AI_ERROR_PATTERNS.map(pattern => {
+            const isSelected = practicePatterns.includes(pattern.id);
+            return (
+              <button
+                key={pattern.id}
+                type="button"
+                aria-pressed={isSelected}
+                title={pattern.description}
+                onClick={() => updateSetting('practicePatterns', isSelected
+                  ? practicePatterns.filter(id => id !== pattern.id)
+                  : [...practicePatterns, pattern.id])}
+                style={chipStyle(isSelected)}
+              >
+                {pattern.name}
+              </button>
+            );
+          })}
+        </div>
+        <div style={helpStyle}>
+          {practicePatterns.length > 0
+            ? 'Games draw claims with these error patterns plus accurate controls, and end with a mastery summary. Students can still pick their own patterns.'
+            : 'Pick error patterns for today\'s lesson, or leave empty for normal games.'}
+        </div>
+      </div>
+
+      {/* Standards - games only use claims that cover the chosen standards */}
+      <div style={{ marginBottom: '1rem' }}>
+        <span className="mono" style={labelStyle}>STANDARDS</span>
+        {Object.entries(STANDARD_FRAMEWORKS).map(([framework, frameworkName]) => (
+          <div
+            key={framework}
+            role="group"
+            aria-label={frameworkName}
+            style={{ display: 'flex', flexWrap: 'wrap', gap: '0.375rem', marginBottom: '0.375rem' }}
+          >
+            {Object.entries(STANDARDS)
+              .filter(([, standard]) => standard.framework === framework)
+              .map(([code, standard]) => {
+                const isSelected = standards.includes(code);
+                return (
+                  <button
+                    key={code}
+                    type="button"
+                    aria-pressed={isSelected}
+                    title={`${framework}: ${standard.description}`}
+                    onClick={() => updateSetting('standards', isSelected
+                      ? standards.filter(c => c !== code)
+                      : [...standards, code])}
+                    style={{ ...chipStyle(isSelected), fontFamily: 'var(--font-mono)' }}
+                  >
+                    {code}
+                  </button>
+                );
+              })}
+          </div>
+        ))}
+        <div style={helpStyle}>
+          {standards.length > 0
+            ? `Games use claims covering ${standards.join(', ')} (from ${getSubjectsForStandards(standards).map(getSubjectName).join(', ')}).`
+            : 'Pick the NGSS, CCSS or C3 standards you are teaching, or leave empty for claims from every subject.'}
+        </div>
+      </div>
+
+      <Button onClick={handleSave} fullWidth disabled={saveStatus === 'saving'}>
+        {saveStatus === 'saving' ? 'Saving...' : saveStatus === 'saved' ? '✓ Saved' : 'Save Class Settings'}
+      </Button>
+      {saveStatus === 'error' && (
+        <div role="alert" style={{ marginTop: '0.5rem', fontSize: '0.8125rem', color: 'var(--accent-rose)' }}>
+          Could not save settings. Check your connection and try again.
+        </div>
+      )}
+    </div>
+  );
+}
+
+ClassSettingsPanel.propTypes = {
+  classCode: PropTypes.string.isRequired
+};
@@ -5,12 +5,18 @@
 
 import { memo } from 'react';
 import PropTypes from 'prop-types';
+import { POINTS_MATRIX } from '../data/constants';
 
-export const ConfidenceSelector = memo(function ConfidenceSelector({ value, onChange, disabled }) {
+// "Right +3 · Wrong -3" label for a confidence level
+function formatRisk({ correct, incorrect }) {
+  return `Right +${correct} · Wrong ${incorrect > 0 ? '+' : ''}${incorrect}`;
+}
+
+export const ConfidenceSelector = memo(function ConfidenceSelector({ value, onChange, disabled, pointsMatrix = POINTS_MATRIX }) {
   const levels = [
-    { value: 1, label: 'Not sure', risk: 'Right +1 · Wrong -1', color: 'var(--confidence-1)', levelText: 'Safe' },
-    { value: 2, label: 'Pretty sure', risk: 'Right +3 · Wrong -3', color: 'var(--confidence-2)', levelText: 'Medium' },
-    { value: 3, label: 'Certain!', risk: 'Right +5 · Wrong -6', color: 'var(--confidence-3)', levelText: 'Risky' }
+    { value: 1, label: 'Not sure', risk: formatRisk(pointsMatrix[1]), color: 'var(--confidence-1)', levelText: 'Safe' },
+    { value: 2, label: 'Pretty sure', risk: formatRisk(pointsMatrix[2]), color: 'var(--confidence-2)', levelText: 'Medium' },
+    { value: 3, label: 'Certain!', risk: formatRisk(pointsMatrix[3]), color: 'var(--confidence-3)', levelText: 'Risky' }
   ];
 
   const handleKeyDown = (e, levelValue) => {
@@ -119,9 +125,14 @@ export const ConfidenceSelector = memo(function ConfidenceSelector({ value, onCh
 ConfidenceSelector.propTypes = {
   value: PropTypes.oneOf([1, 2, 3]).isRequired,
   onChange: PropTypes.func.isRequired,
-  disabled: PropTypes.bool
+  disabled: PropTypes.bool,
+  pointsMatrix: PropTypes.objectOf(PropTypes.shape({
+    correct: PropTypes.number.isRequired,
+    incorrect: PropTypes.number.isRequired
+  }))
 };
 
 ConfidenceSelector.defaultProps = {
-  disabled: false
+  disabled: false,
+  pointsMatrix: POINTS_MATRIX
 };
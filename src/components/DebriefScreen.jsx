@@ -6,17 +6,35 @@
 import { useState, useEffect, useMemo, useCallback, useRef } from 'react';
 import PropTypes from 'prop-types';
 import { Button } from './Button';
+import { ScoreLedger } from './ScoreLedger';
+import { PatternMastery } from './PatternMastery';
+import { IntervalCalibration } from './IntervalCalibration';
 import { ACHIEVEMENTS } from '../data/achievements';
-import { AI_ERROR_PATTERNS } from '../data/claims';
-import { REFLECTION_PROMPTS } from '../data/constants';
-import { calculateGameStats } from '../utils/scoring';
+import { AI_ERROR_PATTERNS } from '../data/errorPatterns';
+import { REFLECTION_PROMPTS, PROBABILITY_CONFIDENCE, DEFAULT_SCORING_PROFILE } from '../data/constants';
+import { calculateGameStats, calculateCalibrationBonus, recomputeScore } from '../utils/scoring';
+import { describeCalibrationBias } from '../utils/calibration';
+import { calculatePatternMastery } from '../utils/patternPractice';
+import { formatEstimate, formatLevel } from '../utils/estimation';
 import { getRandomItem } from '../utils/helpers';
 import { SoundManager } from '../services/sound';
 import { FirebaseBackend } from '../services/firebase';
+import { PlayerProfile } from '../services/playerProfile';
 import { Analytics, AnalyticsEvents } from '../services/analytics';
 
-export function DebriefScreen({ team, claims, onRestart, difficulty: _difficulty, teamAvatar: _teamAvatar }) {
+export function DebriefScreen({
+  team,
+  claims,
+  onRestart,
+  difficulty = 'mixed',
+  teamAvatar: _teamAvatar,
+  scoringProfile = DEFAULT_SCORING_PROFILE,
+  probabilityRule = PROBABILITY_CONFIDENCE.DEFAULT_RULE,
+  gameCode = null,
+  practicePatterns = []
+}) {
   const [showPatterns, setShowPatterns] = useState(false);
+  const [showScoreLedger, setShowScoreLedger] = useState(false);
   const [showAchievements, setShowAchievements] = useState(true);
   const [selectedReflection, setSelectedReflection] = useState(null);
   const [reflectionResponse, setReflectionResponse] = useState('');
@@ -35,9 +53,29 @@ export function DebriefScreen({ team, claims, onRestart, difficulty: _difficulty
     };
   }, []);
 
-  const calibrationBonus = Math.abs(team.score - team.predictedScore) <= 2 ? 3 : 0;
+  const calibrationBonus = calculateCalibrationBonus(team.score, team.predictedScore);
   const finalScore = team.score + calibrationBonus;
 
+  // Itemized recomputation of the score for "How was my score calculated?"
+  const scoreLedger = useMemo(
+    () => recomputeScore(team.results, claims, {
+      difficulty,
+      scoringProfile,
+      probabilityRule,
+      predictedScore: team.predictedScore,
+      recordedScore: team.score
+    }),
+    [team.results, claims, difficulty, scoringProfile, probabilityRule, team.predictedScore, team.score]
+  );
+
+  // Per-pattern results for error-pattern practice games (lifetime stats already include this game)
+  const patternMastery = useMemo(
+    () => (practicePatterns.length > 0
+      ? calculatePatternMastery(practicePatterns, team.results, claims, PlayerProfile.get().errorPatternStats)
+      : null),
+    [practicePatterns, team.results, claims]
+  );
+
   // Calculate comprehensive stats
   const gameStats = useMemo(
     () => calculateGameStats(team.results, claims, team.score, team.predictedScore),
@@ -221,6 +259,14 @@ Play Truth Hunters and test your fact-checking skills!`;
         </div>
         <div style={{ color: 'var(--text-primary)', fontSize: '1.125rem', fontWeight: 600, marginBottom: '1rem' }}>{team.name}</div>
 
+        {/* Shared game code - every team with this code played the same claims */}
+        {gameCode && (
+          <div style={{ fontSize: '0.8125rem', color: 'var(--text-secondary)', marginBottom: '1rem' }}>
+            🔗 Game code <span className="mono" style={{ color: 'var(--accent-violet)', fontWeight: 600 }}>{gameCode}</span>
+            {' '}- compare answers with other teams that played it
+          </div>
+        )}
+
         {calibrationBonus > 0 ? (
           <div
             style={{
@@ -282,6 +328,71 @@ Play Truth Hunters and test your fact-checking skills!`;
         ))}
       </div>
 
+      {/* Confidence Calibration - did stated confidence match accuracy? */}
+      {gameStats.calibration?.count > 0 && (() => {
+        const { brierScore, bias, accuracy, meanConfidence } = gameStats.calibration;
+        const biasType = describeCalibrationBias(bias);
+        const biasColor = biasType === 'overconfident'
+          ? 'var(--accent-rose)'
+          : biasType === 'underconfident'
+          ? 'var(--accent-amber)'
+          : 'var(--accent-emerald)';
+        return (
+          <div
+            className="animate-in"
+            style={{
+              background: 'var(--bg-card)',
+              border: '1px solid var(--border)',
+              borderRadius: '12px',
+              padding: '1rem 1.25rem',
+              marginBottom: '1.25rem'
+            }}
+          >
+            <h3 className="mono" style={{ fontSize: '0.875rem', color: 'var(--accent-violet)', marginBottom: '0.75rem' }}>
+              🎚️ CONFIDENCE CALIBRATION
+            </h3>
+            <div style={{ display: 'flex', gap: '1rem', flexWrap: 'wrap', alignItems: 'center' }}>
+              <div style={{ minWidth: '90px' }} title="Average squared gap between confidence and outcome. 0 is perfect.">
+                <div className="mono" style={{ fontSize: '1.375rem', fontWeight: 700, color: 'var(--text-primary)' }}>
+                  {brierScore.toFixed(2)}
+                </div>
+                <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>Brier score</div>
+              </div>
+              <div style={{ flex: 1, minWidth: '180px', fontSize: '0.8125rem', color: 'var(--text-secondary)' }}>
+                Your confidence averaged <strong>{Math.round(meanConfidence * 100)}%</strong> and you were right{' '}
+                <strong>{Math.round(accuracy * 100)}%</strong> of the time —{' '}
+                <span style={{ color: biasColor, fontWeight: 600 }}>
+                  {biasType === 'overconfident'
+                    ? 'a bit overconfident.'
+                    : biasType === 'underconfident'
+                    ? 'trust yourself more!'
+                    : 'well calibrated!'}
+                </span>
+              </div>
+            </div>
+          </div>
+        );
+      })()}
+
+      {/* Range Calibration - did estimation ranges catch the answer as often as stated? */}
+      {gameStats.intervalCalibration?.length > 0 && (
+        <div
+          className="animate-in"
+          style={{
+            background: 'var(--bg-card)',
+            border: '1px solid var(--border)',
+            borderRadius: '12px',
+            padding: '1rem 1.25rem',
+            marginBottom: '1.25rem'
+          }}
+        >
+          <h3 className="mono" style={{ fontSize: '0.875rem', color: 'var(--accent-violet)', marginBottom: '0.75rem' }}>
+            📏 RANGE CALIBRATION
+          </h3>
+          <IntervalCalibration calibration={gameStats.intervalCalibration} />
+        </div>
+      )}
+
       {/* Achievements Section - CELEBRATORY! */}
       {earnedAchievements.length > 0 && (
         <div
@@ -401,7 +512,7 @@ Play Truth Hunters and test your fact-checking skills!`;
                     display: 'flex',
                     alignItems: 'center',
                     gap: '0.75rem',
-                    marginBottom: result.reasoning ? '0.5rem' : 0
+                    marginBottom: result.reasoning || result.rewrite ? '0.5rem' : 0
                   }}
                 >
                   <div
@@ -410,15 +521,18 @@ Play Truth Hunters and test your fact-checking skills!`;
                       height: '24px',
                       borderRadius: '50%',
                       flexShrink: 0,
-                      background: result.correct ? 'rgba(16, 185, 129, 0.2)' : 'rgba(239, 68, 68, 0.2)',
+                      background: result.correct
+                        ? 'rgba(16, 185, 129, 0.2)'
+                        : result.nearMiss ? 'rgba(251, 191, 36, 0.2)' : 'rgba(239, 68, 68, 0.2)',
                       display: 'flex',
                       alignItems: 'center',
                       justifyContent: 'center',
                       fontSize: '0.875rem',
-                      color: result.correct ? 'var(--correct)' : 'var(--incorrect)'
+                      color: result.correct ? 'var(--correct)' : result.nearMiss ? 'var(--accent-amber)' : 'var(--incorrect)'
                     }}
+                    title={result.nearMiss ? 'Close - partial credit' : undefined}
                   >
-                    {result.correct ? '✓' : '✗'}
+                    {result.correct ? '✓' : result.nearMiss ? '◐' : '✗'}
                   </div>
                   <div style={{ flex: 1, minWidth: 0 }}>
                     <div
@@ -433,7 +547,9 @@ Play Truth Hunters and test your fact-checking skills!`;
                       {claim?.text ? `${claim.text.substring(0, 50)}...` : 'Unknown claim'}
                     </div>
                     <div className="mono" style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>
-                      {result.teamVerdict} • {'●'.repeat(result.confidence)}
+                      {result.estimate
+                        ? `${formatEstimate(result.estimate.low, claim?.estimate?.unit)} – ${formatEstimate(result.estimate.high, claim?.estimate?.unit)} • ${formatLevel(result.estimate.level)}`
+                        : <>{result.pairPick ? `${result.pairPick} is AI` : result.teamVerdict} • {'●'.repeat(result.confidence)}</>}
                     </div>
                   </div>
                   <div
@@ -465,12 +581,30 @@ Play Truth Hunters and test your fact-checking skills!`;
                     {result.reasoning}
                   </div>
                 )}
-                {!result.correct && claim?.explanation && (
+                {result.rewrite && (
                   <div
                     style={{
                       marginLeft: '2.25rem',
                       marginTop: result.reasoning ? '0.375rem' : 0,
                       padding: '0.5rem 0.75rem',
+                      background: 'var(--bg-card)',
+                      borderRadius: '6px',
+                      borderLeft: '2px solid var(--accent-emerald)',
+                      fontSize: '0.75rem',
+                      color: 'var(--text-secondary)',
+                      fontStyle: 'italic'
+                    }}
+                  >
+                    <span style={{ color: 'var(--text-muted)', marginRight: '0.25rem' }}>Your fix:</span>
+                    {result.rewrite}
+                  </div>
+                )}
+                {!result.correct && claim?.explanation && (
+                  <div
+                    style={{
+                      marginLeft: '2.25rem',
+                      marginTop: result.reasoning || result.rewrite ? '0.375rem' : 0,
+                      padding: '0.5rem 0.75rem',
                       background: 'rgba(239, 68, 68, 0.1)',
                       borderRadius: '6px',
                       borderLeft: '2px solid var(--incorrect)',
@@ -523,6 +657,62 @@ Play Truth Hunters and test your fact-checking skills!`;
         </div>
       </div>
 
+      {/* Error Pattern Mastery */}
+      {patternMastery && (
+        <div
+          className="animate-in"
+          style={{
+            background: 'var(--bg-card)',
+            border: '1px solid var(--accent-violet)',
+            borderRadius: '12px',
+            padding: '1.25rem',
+            marginBottom: '1.5rem'
+          }}
+        >
+          <h3 className="mono" style={{ fontSize: '0.875rem', color: 'var(--accent-violet)', marginBottom: '0.75rem' }}>
+            🧩 PATTERN MASTERY
+          </h3>
+          <PatternMastery mastery={patternMastery} />
+        </div>
+      )}
+
+      {/* Score Breakdown */}
+      <div
+        className="animate-in"
+        style={{
+          background: 'var(--bg-card)',
+          border: '1px solid var(--border)',
+          borderRadius: '12px',
+          padding: '1.25rem',
+          marginBottom: '1.5rem'
+        }}
+      >
+        <button
+          onClick={() => setShowScoreLedger(!showScoreLedger)}
+          aria-expanded={showScoreLedger}
+          style={{
+            width: '100%',
+            background: 'none',
+            border: 'none',
+            cursor: 'pointer',
+            display: 'flex',
+            justifyContent: 'space-between',
+            alignItems: 'center'
+          }}
+        >
+          <h3 className="mono" style={{ fontSize: '0.875rem', color: 'var(--accent-cyan)' }}>
+            🧾 HOW WAS MY SCORE CALCULATED?
+          </h3>
+          <span style={{ color: 'var(--text-muted)' }}>{showScoreLedger ? '▲' : '▼'}</span>
+        </button>
+
+        {showScoreLedger && (
+          <div style={{ marginTop: '1rem' }}>
+            <ScoreLedger ledger={scoreLedger} />
+          </div>
+        )}
+      </div>
+
       {/* AI Error Patterns */}
       <div
         className="animate-in"
@@ -779,10 +969,12 @@ DebriefScreen.propTypes = {
     results: PropTypes.arrayOf(PropTypes.shape({
       claimId: PropTypes.string.isRequired,
       correct: PropTypes.bool.isRequired,
+      nearMiss: PropTypes.bool,
       points: PropTypes.number.isRequired,
       teamVerdict: PropTypes.string.isRequired,
       confidence: PropTypes.number.isRequired,
-      reasoning: PropTypes.string
+      reasoning: PropTypes.string,
+      rewrite: PropTypes.string
     })).isRequired,
     players: PropTypes.arrayOf(PropTypes.shape({
       firstName: PropTypes.string,
@@ -802,10 +994,18 @@ DebriefScreen.propTypes = {
   teamAvatar: PropTypes.shape({
     emoji: PropTypes.string,
     name: PropTypes.string
-  })
+  }),
+  scoringProfile: PropTypes.string,
+  probabilityRule: PropTypes.string,
+  gameCode: PropTypes.string,
+  practicePatterns: PropTypes.arrayOf(PropTypes.string)
 };
 
 DebriefScreen.defaultProps = {
   difficulty: 'mixed',
-  teamAvatar: null
+  teamAvatar: null,
+  scoringProfile: DEFAULT_SCORING_PROFILE,
+  probabilityRule: PROBABILITY_CONFIDENCE.DEFAULT_RULE,
+  gameCode: null,
+  practicePatterns: []
 };
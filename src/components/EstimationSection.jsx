@@ -0,0 +1,203 @@
+/**
+ * ESTIMATION SECTION
+ * Answer interface for numeric estimation questions: a low-high range,
+ * how sure the team is that it contains the answer, and reasoning
+ */
+
+import { memo } from 'react';
+import PropTypes from 'prop-types';
+import { Button } from './Button';
+import { ESTIMATION } from '../data/constants';
+import { formatLevel } from '../utils/estimation';
+
+const inputStyle = {
+  width: '100%',
+  padding: '0.75rem',
+  minHeight: '44px',
+  background: 'var(--bg-elevated)',
+  border: '1px solid var(--border)',
+  borderRadius: '6px',
+  color: 'var(--text-primary)',
+  fontSize: '1rem',
+  fontFamily: 'var(--font-mono)'
+};
+
+const cardStyle = {
+  background: 'var(--bg-card)',
+  border: '1px solid var(--border)',
+  borderRadius: '8px',
+  padding: '1rem',
+  marginBottom: '0.75rem'
+};
+
+/**
+ * Estimation section component for numeric questions
+ * @param {Object} props - Component props
+ */
+function EstimationSectionComponent({
+  unit,
+  low,
+  high,
+  onLowChange,
+  onHighChange,
+  level,
+  onLevelChange,
+  problem,
+  reasoning,
+  onReasoningChange,
+  onSubmit,
+  teamAvatar,
+  disabled
+}) {
+  // Only explain a problem once both ends have been typed
+  const showProblem = problem && low !== '' && high !== '';
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!problem && !disabled) onSubmit();
+  };
+
+  return (
+    <form className="animate-in" style={{ marginTop: '0.75rem' }} onSubmit={handleSubmit} noValidate>
+      {/* Range */}
+      <div style={cardStyle}>
+        <h3 className="mono" style={{ fontSize: '0.875rem', color: 'var(--accent-amber)', marginBottom: '0.75rem' }}>
+          1. WHAT&apos;S YOUR RANGE?
+        </h3>
+        <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'flex-end' }}>
+          <label style={{ flex: 1, fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+            <span className="mono" style={{ display: 'block', marginBottom: '0.25rem' }}>LOW</span>
+            <input
+              type="text"
+              inputMode="decimal"
+              value={low}
+              onChange={(e) => onLowChange(e.target.value)}
+              aria-label={`Low end${unit ? ` (${unit})` : ''}`}
+              disabled={disabled}
+              style={inputStyle}
+            />
+          </label>
+          <span className="mono" style={{ paddingBottom: '0.75rem', color: 'var(--text-muted)' }}>to</span>
+          <label style={{ flex: 1, fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+            <span className="mono" style={{ display: 'block', marginBottom: '0.25rem' }}>HIGH</span>
+            <input
+              type="text"
+              inputMode="decimal"
+              value={high}
+              onChange={(e) => onHighChange(e.target.value)}
+              aria-label={`High end${unit ? ` (${unit})` : ''}`}
+              disabled={disabled}
+              style={inputStyle}
+            />
+          </label>
+          {unit && (
+            <span className="mono" style={{ paddingBottom: '0.75rem', color: 'var(--text-secondary)', fontSize: '0.875rem' }}>
+              {unit}
+            </span>
+          )}
+        </div>
+        {showProblem && (
+          <p role="alert" style={{ marginTop: '0.5rem', fontSize: '0.8125rem', color: 'var(--incorrect)' }}>
+            {problem}
+          </p>
+        )}
+      </div>
+
+      {/* Confidence level */}
+      <div style={cardStyle}>
+        <h3 className="mono" style={{ fontSize: '0.875rem', color: 'var(--accent-amber)', marginBottom: '0.75rem' }}>
+          2. HOW SURE ARE YOU IT&apos;S IN THERE?
+        </h3>
+        <div role="group" aria-label="Confidence the range contains the answer" style={{ display: 'flex', gap: '0.5rem' }}>
+          {ESTIMATION.LEVELS.map((option) => (
+            <button
+              key={option}
+              type="button"
+              onClick={() => onLevelChange(option)}
+              aria-pressed={level === option}
+              disabled={disabled}
+              className="mono"
+              style={{
+                flex: 1,
+                padding: '0.625rem',
+                minHeight: '44px',
+                background: level === option ? 'rgba(167, 139, 250, 0.15)' : 'var(--bg-elevated)',
+                color: level === option ? 'var(--accent-violet)' : 'var(--text-secondary)',
+                border: `2px solid ${level === option ? 'var(--accent-violet)' : 'var(--border)'}`,
+                borderRadius: '6px',
+                fontSize: '0.9375rem',
+                fontWeight: 600,
+                cursor: 'pointer'
+              }}
+            >
+              {formatLevel(option)} sure
+            </button>
+          ))}
+        </div>
+        <p style={{ marginTop: '0.5rem', fontSize: '0.75rem', color: 'var(--text-muted)', textAlign: 'center' }}>
+          Narrow ranges that catch the answer score best - a miss costs more the surer you were
+        </p>
+      </div>
+
+      {/* Reasoning (optional) */}
+      <div style={cardStyle}>
+        <label
+          className="mono"
+          style={{ display: 'block', fontSize: '0.75rem', color: 'var(--text-muted)', marginBottom: '0.5rem' }}
+        >
+          3. WHY? (optional - helps you learn!)
+        </label>
+        <textarea
+          value={reasoning}
+          onChange={(e) => onReasoningChange(e.target.value)}
+          placeholder="What do you already know that helps you pin it down?"
+          rows={2}
+          maxLength={500}
+          aria-label="Explain your reasoning"
+          style={{
+            ...inputStyle,
+            fontSize: '0.9375rem',
+            fontFamily: 'var(--font-serif)',
+            resize: 'none',
+            lineHeight: 1.5
+          }}
+        />
+      </div>
+
+      {/* Button renders a plain <button>, so it submits the form (Enter in a bound also submits) */}
+      <Button fullWidth disabled={!!problem || disabled}>
+        {teamAvatar?.emoji || '✓'} Submit Range
+      </Button>
+    </form>
+  );
+}
+
+EstimationSectionComponent.propTypes = {
+  unit: PropTypes.string,
+  low: PropTypes.string.isRequired,
+  high: PropTypes.string.isRequired,
+  onLowChange: PropTypes.func.isRequired,
+  onHighChange: PropTypes.func.isRequired,
+  level: PropTypes.number.isRequired,
+  onLevelChange: PropTypes.func.isRequired,
+  problem: PropTypes.string,
+  reasoning: PropTypes.string,
+  onReasoningChange: PropTypes.func.isRequired,
+  onSubmit: PropTypes.func.isRequired,
+  teamAvatar: PropTypes.shape({
+    emoji: PropTypes.string,
+    name: PropTypes.string
+  }),
+  disabled: PropTypes.bool
+};
+
+EstimationSectionComponent.defaultProps = {
+  unit: '',
+  problem: null,
+  reasoning: '',
+  teamAvatar: null,
+  disabled: false
+};
+
+// Memoize to prevent re-renders during gameplay - critical for Chromebook performance
+export const EstimationSection = memo(EstimationSectionComponent);
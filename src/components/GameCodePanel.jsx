@@ -0,0 +1,118 @@
+/**
+ * GAME CODE PANEL
+ * Create or enter a shareable game code so every team plays the same claims
+ */
+
+import PropTypes from 'prop-types';
+import { DIFFICULTY_CONFIG, GAME_CODE } from '../data/constants';
+import { getSubjectName } from '../data/subjects';
+import { GAME_CODE_LENGTH, createGameSeed, encodeGameCode, parseGameCode } from '../utils/gameCode';
+
+const smallButtonStyle = {
+  padding: '0.5rem 0.75rem',
+  background: 'var(--bg-elevated)',
+  border: '1px solid var(--border)',
+  borderRadius: '6px',
+  color: 'var(--text-secondary)',
+  fontSize: '0.75rem',
+  cursor: 'pointer',
+  whiteSpace: 'nowrap'
+};
+
+export function GameCodePanel({ value, onChange, difficulty, subjects, rounds }) {
+  const canCreate = GAME_CODE.DIFFICULTIES.includes(difficulty);
+  const parsed = value.trim() ? parseGameCode(value) : null;
+  // Only complain once the player has typed a full-length code
+  const showError = parsed && !parsed.isValid && value.replace(/[\s-]/g, '').length >= GAME_CODE_LENGTH;
+
+  const handleCreate = () => {
+    onChange(encodeGameCode({ seed: createGameSeed(), difficulty, subjects, rounds }));
+  };
+
+  return (
+    <div
+      className="animate-in"
+      style={{
+        background: 'var(--bg-card)',
+        border: `1px solid ${parsed?.isValid ? 'var(--accent-violet)' : 'var(--border)'}`,
+        borderRadius: '12px',
+        padding: '1rem',
+        marginBottom: '0.75rem'
+      }}
+    >
+      <label
+        htmlFor="game-code"
+        className="mono"
+        style={{ display: 'block', fontSize: '0.75rem', color: 'var(--text-muted)', marginBottom: '0.5rem' }}
+      >
+        🔗 GAME CODE (optional)
+      </label>
+      <div style={{ display: 'flex', gap: '0.375rem' }}>
+        <input
+          id="game-code"
+          type="text"
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          placeholder="XXXXX-XXXXXXXXXX"
+          maxLength={20}
+          autoComplete="off"
+          spellCheck={false}
+          aria-invalid={showError || undefined}
+          aria-describedby="game-code-status"
+          className="mono"
+          style={{
+            flex: 1,
+            minWidth: 0,
+            padding: '0.5rem 0.625rem',
+            background: 'var(--bg-elevated)',
+            border: `1px solid ${showError ? 'var(--accent-rose)' : 'var(--border)'}`,
+            borderRadius: '6px',
+            color: 'var(--text-primary)',
+            fontSize: '0.875rem',
+            letterSpacing: '0.05em',
+            textTransform: 'uppercase'
+          }}
+        />
+        {value ? (
+          <button onClick={() => onChange('')} style={smallButtonStyle}>
+            Clear
+          </button>
+        ) : (
+          <button
+            onClick={handleCreate}
+            disabled={!canCreate}
+            title={canCreate ? 'Create a code for the settings below' : 'Adaptive games are tailored to each team, so they can\'t be shared'}
+            style={{ ...smallButtonStyle, cursor: canCreate ? 'pointer' : 'not-allowed', opacity: canCreate ? 1 : 0.5 }}
+          >
+            🎲 Create
+          </button>
+        )}
+      </div>
+      <div
+        id="game-code-status"
+        role={showError ? 'alert' : undefined}
+        style={{
+          marginTop: '0.375rem',
+          fontSize: '0.75rem',
+          color: showError ? 'var(--accent-rose)' : parsed?.isValid ? 'var(--accent-violet)' : 'var(--text-muted)'
+        }}
+      >
+        {parsed?.isValid
+          ? `✓ ${DIFFICULTY_CONFIG[parsed.settings.difficulty]?.name || parsed.settings.difficulty} · ${parsed.settings.rounds} rounds · ${parsed.settings.subjects.length > 0 ? parsed.settings.subjects.map(getSubjectName).join(', ') : 'All subjects'} - everyone with this code plays the same claims`
+          : showError
+            ? parsed.error
+            : 'Share a code so every team plays the same claims in the same order.'}
+      </div>
+    </div>
+  );
+}
+
+GameCodePanel.propTypes = {
+  value: PropTypes.string.isRequired,
+  onChange: PropTypes.func.isRequired,
+  difficulty: PropTypes.string.isRequired,
+  subjects: PropTypes.arrayOf(PropTypes.string).isRequired,
+  rounds: PropTypes.number.isRequired
+};
+
+export default GameCodePanel;
@@ -0,0 +1,77 @@
+/**
+ * INTERVAL CALIBRATION
+ * Hit rate per stated range level for estimation questions
+ * A well calibrated 90% range catches the answer about 9 times in 10.
+ */
+
+import { memo } from 'react';
+import PropTypes from 'prop-types';
+import { formatLevel } from '../utils/estimation';
+
+// Student-friendly descriptions of range hit rates (see describeHitRate)
+const HIT_RATE_LABELS = {
+  overconfident: { text: 'Ranges too narrow', color: 'var(--accent-rose)' },
+  underconfident: { text: 'Ranges wider than needed', color: 'var(--accent-amber)' },
+  calibrated: { text: 'Well calibrated', color: 'var(--accent-emerald)' },
+  'too-few': { text: 'Keep estimating to find out', color: 'var(--text-muted)' }
+};
+
+/**
+ * Interval calibration component
+ * @param {Object} props - Component props
+ */
+function IntervalCalibrationComponent({ calibration }) {
+  if (!calibration?.length) return null;
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+      {calibration.map(({ level, total, hits, hitRate, verdict }) => {
+        const label = HIT_RATE_LABELS[verdict] || HIT_RATE_LABELS['too-few'];
+        return (
+          <div
+            key={level}
+            style={{
+              display: 'flex',
+              justifyContent: 'space-between',
+              alignItems: 'center',
+              gap: '0.5rem',
+              padding: '0.5rem 0.75rem',
+              background: 'var(--bg-elevated)',
+              borderRadius: '6px'
+            }}
+          >
+            <div>
+              <div style={{ fontSize: '0.875rem', color: 'var(--text-primary)' }}>
+                {formatLevel(level)} ranges caught the answer {hits} of {total}
+              </div>
+              <div style={{ fontSize: '0.6875rem', color: label.color }}>{label.text}</div>
+            </div>
+            <div
+              className="mono"
+              style={{ fontSize: '1rem', fontWeight: 700, color: 'var(--text-primary)' }}
+              title={`Aim for about ${formatLevel(level)}`}
+            >
+              {Math.round(hitRate * 100)}%
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+IntervalCalibrationComponent.propTypes = {
+  calibration: PropTypes.arrayOf(PropTypes.shape({
+    level: PropTypes.number.isRequired,
+    total: PropTypes.number.isRequired,
+    hits: PropTypes.number.isRequired,
+    hitRate: PropTypes.number.isRequired,
+    verdict: PropTypes.oneOf(['overconfident', 'underconfident', 'calibrated', 'too-few'])
+  }))
+};
+
+IntervalCalibrationComponent.defaultProps = {
+  calibration: []
+};
+
+export const IntervalCalibration = memo(IntervalCalibrationComponent);
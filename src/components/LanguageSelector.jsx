@@ -18,7 +18,7 @@ export function LanguageSelector({ compact = false }) {
     // Compact dropdown version for header
     return (
       <select
-        value={i18n.language}
+        value={i18n.language?.split('-')[0]}
         onChange={(e) => handleLanguageChange(e.target.value)}
         aria-label="Select language"
         className="mono"
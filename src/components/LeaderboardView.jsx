@@ -236,6 +236,12 @@ function LeaderboardViewComponent({ onBack }) {
                     {leaderboardTab === 'teams'
                       ? `${item.score >= 0 ? '+' : ''}${item.score}`
                       : `${item.bestScore || 0}`}
+                    {/* Graded "fix the claim" bonus, kept apart from the played score */}
+                    {leaderboardTab === 'teams' && item.rewriteBonus > 0 && (
+                      <div style={{ fontSize: '0.6875rem', fontWeight: 600, color: 'var(--accent-amber)' }}>
+                        ✏️ +{item.rewriteBonus}
+                      </div>
+                    )}
                   </div>
                 </div>
               ))}
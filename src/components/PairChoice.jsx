@@ -0,0 +1,124 @@
+/**
+ * PAIR CHOICE
+ * Two claims on the same topic side by side for "which is AI?" rounds
+ * Students tap the claim they think is AI-generated; with the answer, both
+ * claims are labeled with their source and the AI claim's error is explained.
+ */
+
+import { memo } from 'react';
+import PropTypes from 'prop-types';
+import { useTranslation } from 'react-i18next';
+import { getSubjectName } from '../data/subjects';
+import { localizeClaim } from '../utils/claimLocale';
+import { PAIR_SIDES } from '../utils/claimPairs';
+
+/**
+ * Pair choice component
+ * @param {Object} props - Component props
+ */
+function PairChoiceComponent({ round, pick = null, onPick = null, showAnswer = false, disabled = false }) {
+  const { t, i18n } = useTranslation();
+  const canPick = !!onPick && !showAnswer && !disabled;
+
+  return (
+    <div className="animate-in">
+      <div className="mono" style={{ fontSize: '0.75rem', color: 'var(--text-secondary)', marginBottom: '0.5rem' }}>
+        {getSubjectName(round.subject, i18n.language)}
+      </div>
+      <div
+        role="radiogroup"
+        aria-label={t('claims.pair.title')}
+        style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(240px, 1fr))', gap: '0.75rem' }}
+      >
+        {PAIR_SIDES.map((side, i) => {
+          const claim = round.claims[i];
+          const content = localizeClaim(claim, i18n.language);
+          const picked = pick === side;
+          const isAi = side === round.aiSide;
+          const color = showAnswer
+            ? (isAi ? 'var(--accent-violet)' : 'var(--accent-emerald)')
+            : picked ? 'var(--accent-amber)' : 'var(--border)';
+
+          return (
+            <button
+              key={side}
+              type="button"
+              role="radio"
+              aria-checked={picked}
+              aria-label={`${t('claims.pair.claimLabel', { side })}: ${content.text}`}
+              onClick={() => onPick(side)}
+              disabled={!canPick}
+              style={{
+                display: 'flex',
+                flexDirection: 'column',
+                gap: '0.5rem',
+                padding: '1rem',
+                background: picked && !showAnswer ? 'rgba(251, 191, 36, 0.1)' : 'var(--bg-card)',
+                border: `2px solid ${color}`,
+                borderRadius: '12px',
+                textAlign: 'left',
+                color: 'inherit',
+                font: 'inherit',
+                cursor: canPick ? 'pointer' : 'default'
+              }}
+            >
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '0.5rem', width: '100%' }}>
+                <span className="mono" style={{ fontSize: '0.75rem', fontWeight: 700, color: 'var(--text-secondary)' }}>
+                  {t('claims.pair.claimLabel', { side })}
+                </span>
+                {showAnswer ? (
+                  <span className="mono" style={{ fontSize: '0.75rem', fontWeight: 600, color }}>
+                    <span aria-hidden="true">{isAi ? '🤖' : '📚'}</span>{' '}
+                    {t(isAi ? 'claims.pair.aiGenerated' : 'claims.pair.expertSourced')}
+                    {picked && ` · ${t('claims.pair.yourPick')}`}
+                  </span>
+                ) : picked && (
+                  <span className="mono" style={{ fontSize: '0.75rem', fontWeight: 600, color: 'var(--accent-amber)' }}>
+                    <span aria-hidden="true">🤖</span> {t('claims.pair.pickAi')}
+                  </span>
+                )}
+              </div>
+              <span
+                lang={content.language}
+                style={{ fontSize: '1rem', lineHeight: 1.6, fontStyle: 'italic', color: 'var(--text-primary)' }}
+              >
+                &ldquo;{content.text}&rdquo;
+              </span>
+              {showAnswer && (
+                <span lang={content.language} style={{ fontSize: '0.875rem', lineHeight: 1.5, color: 'var(--text-secondary)' }}>
+                  {content.explanation}
+                </span>
+              )}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+PairChoiceComponent.propTypes = {
+  round: PropTypes.shape({
+    subject: PropTypes.string,
+    aiSide: PropTypes.oneOf(PAIR_SIDES).isRequired,
+    claims: PropTypes.arrayOf(PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      text: PropTypes.string.isRequired,
+      explanation: PropTypes.string
+    })).isRequired
+  }).isRequired,
+  pick: PropTypes.oneOf(PAIR_SIDES),
+  onPick: PropTypes.func,
+  showAnswer: PropTypes.bool,
+  disabled: PropTypes.bool
+};
+
+PairChoiceComponent.defaultProps = {
+  pick: null,
+  onPick: null,
+  showAnswer: false,
+  disabled: false
+};
+
+// Memoize to prevent re-renders during gameplay - critical for Chromebook performance
+export const PairChoice = memo(PairChoiceComponent);
@@ -0,0 +1,86 @@
+/**
+ * PATTERN MASTERY
+ * End-of-game summary for error-pattern practice, built from calculatePatternMastery()
+ */
+
+import { memo } from 'react';
+import PropTypes from 'prop-types';
+import { PATTERN_PRACTICE } from '../data/constants';
+
+function PatternMasteryComponent({ mastery }) {
+  const { patterns, controls } = mastery;
+
+  return (
+    <div>
+      <ul style={{ listStyle: 'none', padding: 0, margin: 0, display: 'flex', flexDirection: 'column', gap: '0.625rem' }}>
+        {patterns.map(pattern => {
+          const level = PATTERN_PRACTICE.LEVELS[pattern.level];
+          return (
+            <li
+              key={pattern.id}
+              style={{
+                padding: '0.75rem',
+                background: 'var(--bg-elevated)',
+                borderRadius: '8px',
+                borderLeft: `3px solid ${level.color}`
+              }}
+            >
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', gap: '0.5rem' }}>
+                <span style={{ fontWeight: 600, fontSize: '0.875rem', color: 'var(--text-primary)' }}>{pattern.name}</span>
+                <span className="mono" style={{ fontSize: '0.75rem', color: level.color, whiteSpace: 'nowrap' }}>
+                  {level.icon} {level.label}
+                </span>
+              </div>
+              <div className="mono" style={{ fontSize: '0.75rem', color: 'var(--text-secondary)', marginTop: '0.25rem' }}>
+                {pattern.encountered > 0
+                  ? `Caught ${pattern.caught} of ${pattern.encountered} this game`
+                  : 'No claims with this pattern this game'}
+                {pattern.lifetimeEncountered > 0 && (
+                  <span style={{ color: 'var(--text-muted)' }}>
+                    {' '}· {Math.round((pattern.lifetimeCaught / pattern.lifetimeEncountered) * 100)}% all time ({pattern.lifetimeEncountered})
+                  </span>
+                )}
+              </div>
+              {pattern.level !== 'mastered' && (
+                <div style={{ fontSize: '0.75rem', color: 'var(--accent-emerald)', marginTop: '0.375rem' }}>
+                  💡 {pattern.teachingPoint}
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+
+      {controls.total > 0 && (
+        <div style={{ marginTop: '0.75rem', fontSize: '0.8125rem', color: 'var(--text-secondary)' }}>
+          ✅ Trusted {controls.trusted} of {controls.total} accurate control {controls.total === 1 ? 'claim' : 'claims'}
+          {controls.trusted < controls.total && (
+            <span style={{ color: 'var(--text-muted)' }}> - not every claim has the pattern, so check before calling it false.</span>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+PatternMasteryComponent.propTypes = {
+  mastery: PropTypes.shape({
+    patterns: PropTypes.arrayOf(PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      teachingPoint: PropTypes.string,
+      caught: PropTypes.number.isRequired,
+      encountered: PropTypes.number.isRequired,
+      lifetimeCaught: PropTypes.number.isRequired,
+      lifetimeEncountered: PropTypes.number.isRequired,
+      level: PropTypes.string.isRequired
+    })).isRequired,
+    controls: PropTypes.shape({
+      trusted: PropTypes.number.isRequired,
+      total: PropTypes.number.isRequired
+    }).isRequired
+  }).isRequired
+};
+
+export const PatternMastery = memo(PatternMasteryComponent);
+export default PatternMastery;
@@ -5,18 +5,27 @@
 
 import { useState, useCallback, useEffect, useRef, useMemo } from 'react';
 import PropTypes from 'prop-types';
+import { useTranslation } from 'react-i18next';
 import { Button } from './Button';
 import { ClaimCard } from './ClaimCard';
 import { LiveClassLeaderboard } from './LiveClassLeaderboard';
 import { TutorialOverlay } from './TutorialOverlay';
 import { VotingSection } from './VotingSection';
+import { EstimationSection } from './EstimationSection';
+import { PairChoice } from './PairChoice';
 import { ResultPhase } from './ResultPhase';
-import { DIFFICULTY_CONFIG, DIFFICULTY_BG_COLORS, DIFFICULTY_MULTIPLIERS, HINT_TYPES, ENCOURAGEMENTS, ANTI_CHEAT } from '../data/constants';
-import { calculatePoints } from '../utils/scoring';
-import { getRandomItem, getHintContent } from '../utils/helpers';
+import { SourceCards } from './SourceCards';
+import { DIFFICULTY_CONFIG, DIFFICULTY_BG_COLORS, HINT_TYPES, ENCOURAGEMENTS, ANTI_CHEAT, CONFIDENCE_PROBABILITIES, PROBABILITY_CONFIDENCE, SCORING_PROFILES, DEFAULT_SCORING_PROFILE, SPEED_BONUS, ESTIMATION, PAIR_ROUNDS, CLAIM_REWRITES } from '../data/constants';
+import { calculatePoints, calculateEstimatePoints, getSpeedBaseline, getVerdictCredit, resolveScoringProfile, getHintCost } from '../utils/scoring';
+import { probabilityToConfidence } from '../utils/calibration';
+import { getRandomItem, getHintContent, countWords } from '../utils/helpers';
 import { SoundManager } from '../services/sound';
 import { useGameIntegrity } from '../hooks/useGameIntegrity';
 import { safeGetItem } from '../utils/safeStorage';
+import { getTellBonus, getTells } from '../utils/errorSpans';
+import { localizeClaim } from '../utils/claimLocale';
+import { isEstimateClaim, parseEstimateInput, getIntervalProblem } from '../utils/estimation';
+import { isPairClaim, getPairCredit } from '../utils/claimPairs';
 
 // Tips shown after each round based on how confidence matched the result
 const CALIBRATION_TIPS = {
@@ -37,6 +46,21 @@ const CALIBRATION_TIPS = {
   ]
 };
 
+// Tips shown after estimation rounds based on whether the range caught the answer
+const ESTIMATE_TIPS = {
+  caught: [
+    "💡 Your range caught it! Could you have made it narrower and still been safe?",
+    "💡 Nice range! Tight ranges that still catch the answer score the most."
+  ],
+  missed: [
+    "💡 The answer slipped past your range. Most people make ranges too narrow - go wider when you're unsure.",
+    "💡 Missed! Saying 90% means being wrong only 1 time in 10, so leave room for surprises."
+  ]
+};
+
+// The source check would give a pair round away (see PAIR_ROUNDS)
+const PAIR_HINTS = HINT_TYPES.filter(h => PAIR_ROUNDS.HINTS.includes(h.id));
+
 export function PlayingScreen({
   claim,
   round,
@@ -52,16 +76,30 @@ export function PlayingScreen({
   predictedScore = 0,
   sessionId = null,
   showLiveLeaderboard = true,
-  onToggleLiveLeaderboard = () => {}
+  onToggleLiveLeaderboard = () => {},
+  confidenceMode = 'levels',
+  probabilityRule = PROBABILITY_CONFIDENCE.DEFAULT_RULE,
+  scoringProfile = DEFAULT_SCORING_PROFILE,
+  speedBaseline = SPEED_BONUS.DEFAULT_BASELINE,
+  responseHistory = []
 }) {
+  const { i18n } = useTranslation();
   const [confidence, setConfidence] = useState(2);
+  const [probability, setProbability] = useState(PROBABILITY_CONFIDENCE.DEFAULT);
   const [verdict, setVerdict] = useState(null);
   const [reasoning, setReasoning] = useState('');
+  const [rewrite, setRewrite] = useState(''); // "Fix the claim" rewrite after a FALSE/MIXED verdict
   const [showResult, setShowResult] = useState(false);
   const [resultData, setResultData] = useState(null);
   const [activeHint, setActiveHint] = useState(null);
   const [usedHints, setUsedHints] = useState([]); // Track all hints used this round
   const [hintCostTotal, setHintCostTotal] = useState(0); // Running total of hint costs
+  const [openedSources, setOpenedSources] = useState([]); // Source card ids opened this round
+  const [tellTap, setTellTap] = useState(null); // Word tapped as the tell this round ({start, end})
+  const [estimateLow, setEstimateLow] = useState(''); // Typed range bounds for estimation questions
+  const [estimateHigh, setEstimateHigh] = useState('');
+  const [estimateLevel, setEstimateLevel] = useState(ESTIMATION.DEFAULT_LEVEL);
+  const [pairPick, setPairPick] = useState(null); // Side picked as AI-generated in pair rounds ('A' | 'B')
   const [encouragement, setEncouragement] = useState('');
   const [calibrationTip, setCalibrationTip] = useState(null);
   const [showKeyboardHint, setShowKeyboardHint] = useState(round === 1); // Show on first round
@@ -78,6 +116,25 @@ export function PlayingScreen({
   const timerIntervalRef = useRef(null);
   const submittingRef = useRef(false); // Atomic lock to prevent double submission race condition
 
+  // In probability mode the stated percentage maps to the nearest level for tips
+  // and achievements; points and calibration use the probability itself
+  const isProbabilityMode = confidenceMode === 'probability';
+  const statedConfidence = isProbabilityMode ? probabilityToConfidence(probability) : confidence;
+  const statedProbability = isProbabilityMode ? probability : null;
+  const profile = resolveScoringProfile(scoringProfile);
+
+  // Estimation questions are answered with a range instead of a verdict
+  const isEstimate = isEstimateClaim(claim);
+  const estimateInterval = useMemo(
+    () => ({ low: parseEstimateInput(estimateLow), high: parseEstimateInput(estimateHigh), level: estimateLevel }),
+    [estimateLow, estimateHigh, estimateLevel]
+  );
+  const estimateProblem = isEstimate ? getIntervalProblem(estimateInterval) : null;
+
+  // Pair rounds are answered by picking which of two claims is AI-generated
+  const isPair = isPairClaim(claim);
+  const hasAnswer = isEstimate ? !estimateProblem : isPair ? !!pairPick : !!verdict;
+
   // Check if tutorial should be shown (first time user in this session)
   useEffect(() => {
     const tutorialData = safeGetItem('truthDetector_tutorialSeen', null);
@@ -95,6 +152,16 @@ export function PlayingScreen({
   // Get time limits from difficulty config
   const totalTimeAllowed = DIFFICULTY_CONFIG[difficulty]?.discussTime || 120;
 
+  // Speed tiers are measured against the round timer, or the player's own pace if the class enables it
+  const speedReference = useMemo(
+    () => getSpeedBaseline(speedBaseline, {
+      totalTime: totalTimeAllowed,
+      claimWords: countWords(claim?.text),
+      history: responseHistory
+    }),
+    [speedBaseline, totalTimeAllowed, claim?.text, responseHistory]
+  );
+
   // Anti-cheat integrity tracking
   const integrity = useGameIntegrity(
     !showResult, // Active when not showing result
@@ -109,11 +176,11 @@ export function PlayingScreen({
       if (!showResult) {
         // Force submit with forfeit penalty - no verdict since they cheated
         const correct = false;
-        const points = ANTI_CHEAT.FORFEIT_PENALTY;
+        const points = profile.forfeitPenalty;
         const timeElapsed = roundStartTimeRef.current
           ? Math.floor((Date.now() - roundStartTimeRef.current) / 1000)
           : 0;
-        setResultData({ correct, points, confidence, verdict: null, forfeited: true, timeElapsed, forfeitReason: 'tab-switch' });
+        setResultData({ correct, points, confidence: isEstimate ? null : statedConfidence, probability: isEstimate ? null : statedProbability, verdict: null, forfeited: true, timeElapsed, forfeitReason: 'tab-switch' });
         setShowResult(true);
       }
     }
@@ -125,9 +192,17 @@ export function PlayingScreen({
     // Don't trigger if user is typing in textarea
     if (e.target.tagName === 'TEXTAREA' || e.target.tagName === 'INPUT') return;
 
+    // Estimation questions have no verdict or confidence shortcuts (Enter in a bound submits the range)
+    if (!showResult && isEstimate) return;
+
     if (!showResult) {
+      // Pair rounds pick a side with A/B (a verdict set there is never scored)
+      if (isPair && (e.key === 'a' || e.key === 'A' || e.key === 'b' || e.key === 'B')) {
+        setPairPick(e.key.toUpperCase());
+        SoundManager.play('tick');
+      }
       // Verdict shortcuts
-      if (e.key === 't' || e.key === 'T') {
+      else if (e.key === 't' || e.key === 'T') {
         setVerdict('TRUE');
         SoundManager.play('tick');
       } else if (e.key === 'f' || e.key === 'F') {
@@ -138,18 +213,17 @@ export function PlayingScreen({
         SoundManager.play('tick');
       }
       // Confidence shortcuts
-      else if (e.key === '1') {
-        setConfidence(1);
-        SoundManager.play('tick');
-      } else if (e.key === '2') {
-        setConfidence(2);
-        SoundManager.play('tick');
-      } else if (e.key === '3') {
-        setConfidence(3);
+      else if (e.key === '1' || e.key === '2' || e.key === '3') {
+        const level = Number(e.key);
+        if (isProbabilityMode) {
+          setProbability(CONFIDENCE_PROBABILITIES[level]);
+        } else {
+          setConfidence(level);
+        }
         SoundManager.play('tick');
       }
-      // Submit with Enter when verdict is selected
-      else if (e.key === 'Enter' && verdict) {
+      // Submit with Enter when verdict (or pair pick) is selected
+      else if (e.key === 'Enter' && hasAnswer) {
         e.preventDefault();
         setPendingSubmit(true);
       }
@@ -164,7 +238,7 @@ export function PlayingScreen({
         setPendingNext(true);
       }
     }
-  }, [showResult, verdict]); // Include all dependencies used inside handler
+  }, [showResult, hasAnswer, isPair, isProbabilityMode, isEstimate]); // Include all dependencies used inside handler
 
   useEffect(() => {
     window.addEventListener('keydown', handleKeyDown);
@@ -214,6 +288,39 @@ export function PlayingScreen({
     };
   }, [showResult, claim, totalTimeAllowed]); // Removed verdict dependency
 
+  // Score an estimation round and show the result (shared by the submit button and timer paths)
+  const showEstimateResult = useCallback((timeElapsed) => {
+    const pointsResult = calculateEstimatePoints(estimateInterval, claim.estimate.value, difficulty, {
+      timeElapsed,
+      totalTime: totalTimeAllowed,
+      speedBaseline: speedReference.seconds,
+      integrityPenalty: integrity.penalty,
+      scoringProfile
+    });
+    const correct = pointsResult.hit;
+
+    SoundManager.play(correct ? 'correct' : 'incorrect');
+    const msgs = correct ? ENCOURAGEMENTS.correct : ENCOURAGEMENTS.incorrect;
+    setEncouragement(getRandomItem(msgs) || (correct ? 'Nice work!' : 'Keep trying!'));
+    setCalibrationTip(getRandomItem(ESTIMATE_TIPS[correct ? 'caught' : 'missed']) || null);
+    setResultData({
+      correct,
+      answer: claim.estimate.value,
+      points: pointsResult.points,
+      confidence: null,
+      probability: null,
+      verdict: null,
+      estimate: estimateInterval,
+      intervalScore: pointsResult.breakdown.intervalScore,
+      speedBonus: pointsResult.speedBonus,
+      timeElapsed,
+      speedBaseline: speedReference.seconds,
+      integrityPenalty: integrity.penalty
+    });
+    setShowResult(true);
+    setIsSubmitting(false); // Reset for next round
+  }, [estimateInterval, claim, difficulty, totalTimeAllowed, speedReference.seconds, integrity.penalty, scoringProfile]);
+
   // Handle pending keyboard actions and timer auto-submit (to avoid circular dependencies)
   useEffect(() => {
     if (pendingSubmit && claim && !isSubmitting) {
@@ -227,16 +334,17 @@ export function PlayingScreen({
       submittingRef.current = true;
       setIsSubmitting(true);
 
-      // If no verdict selected (time ran out), forfeit the round
-      if (!verdict) {
+      // If no verdict or usable range (time ran out), forfeit the round
+      if (!hasAnswer) {
         const timeElapsed = roundStartTimeRef.current
           ? Math.floor((Date.now() - roundStartTimeRef.current) / 1000)
           : totalTimeAllowed;
 
         setResultData({
           correct: false,
-          points: ANTI_CHEAT.FORFEIT_PENALTY,
-          confidence,
+          points: profile.forfeitPenalty,
+          confidence: isEstimate ? null : statedConfidence,
+          probability: isEstimate ? null : statedProbability,
           verdict: null,
           forfeited: true,
           timeElapsed,
@@ -247,8 +355,17 @@ export function PlayingScreen({
         return;
       }
 
-      // Normal verdict submission
-      const correct = verdict === claim.answer;
+      if (isEstimate) {
+        showEstimateResult(roundStartTimeRef.current
+          ? Math.floor((Date.now() - roundStartTimeRef.current) / 1000)
+          : totalTimeAllowed);
+        return;
+      }
+
+      // Normal verdict submission (near misses earn partial credit; pair rounds score the pick)
+      const credit = isPair ? getPairCredit(pairPick, claim) : getVerdictCredit(verdict, claim.answer);
+      const correct = credit === 1;
+      const nearMiss = !correct && credit > 0;
 
       // Calculate time elapsed for speed bonus
       const timeElapsed = roundStartTimeRef.current
@@ -256,27 +373,33 @@ export function PlayingScreen({
         : totalTimeAllowed;
 
       // Calculate points with speed bonus and integrity penalties
-      const pointsResult = calculatePoints(correct, confidence, difficulty, {
+      const pointsResult = calculatePoints(correct, statedConfidence, difficulty, {
         timeElapsed,
         totalTime: totalTimeAllowed,
-        integrityPenalty: integrity.penalty
+        speedBaseline: speedReference.seconds,
+        integrityPenalty: integrity.penalty,
+        probability: statedProbability,
+        scoringRule: probabilityRule,
+        scoringProfile,
+        credit
       });
 
-      const points = typeof pointsResult === 'number' ? pointsResult : pointsResult.points;
+      const tellBonus = getTellBonus(claim.errorSpans, tellTap);
+      const points = (typeof pointsResult === 'number' ? pointsResult : pointsResult.points) + tellBonus;
       const speedBonus = typeof pointsResult === 'object' ? pointsResult.speedBonus : null;
 
       SoundManager.play(correct ? 'correct' : 'incorrect');
-      const msgs = correct ? ENCOURAGEMENTS.correct : ENCOURAGEMENTS.incorrect;
+      const msgs = correct ? ENCOURAGEMENTS.correct : nearMiss ? ENCOURAGEMENTS.nearMiss : ENCOURAGEMENTS.incorrect;
       setEncouragement(getRandomItem(msgs) || (correct ? 'Nice work!' : 'Keep trying!'));
       let calibrationType = 'calibrated';
-      if (correct && confidence === 1) calibrationType = 'underconfident';
-      else if (!correct && confidence === 3) calibrationType = 'overconfident';
+      if (correct && statedConfidence === 1) calibrationType = 'underconfident';
+      else if (!correct && statedConfidence === 3) calibrationType = 'overconfident';
       setCalibrationTip(getRandomItem(CALIBRATION_TIPS[calibrationType]) || null);
-      setResultData({ correct, points, confidence, verdict, speedBonus, timeElapsed });
+      setResultData({ correct, nearMiss, credit, answer: isPair ? claim.aiSide : claim.answer, points, confidence: statedConfidence, probability: statedProbability, verdict: isPair ? null : verdict, pairPick: isPair ? pairPick : null, speedBonus, timeElapsed, speedBaseline: speedReference.seconds, integrityPenalty: integrity.penalty, tellBonus });
       setShowResult(true);
       setIsSubmitting(false); // Reset for next round
     }
-  }, [pendingSubmit, verdict, claim, confidence, difficulty, totalTimeAllowed, integrity.penalty, isSubmitting]);
+  }, [pendingSubmit, verdict, pairPick, isPair, hasAnswer, isEstimate, showEstimateResult, claim, statedConfidence, statedProbability, probabilityRule, scoringProfile, profile.forfeitPenalty, difficulty, totalTimeAllowed, speedReference.seconds, integrity.penalty, tellTap, isSubmitting]);
 
   useEffect(() => {
     if (pendingNext && resultData) {
@@ -286,27 +409,49 @@ export function PlayingScreen({
         teamVerdict: resultData.verdict,
         confidence: resultData.confidence,
         correct: resultData.correct,
+        ...(resultData.nearMiss && { nearMiss: true, credit: resultData.credit }),
         points: resultData.points,
-        reasoning
+        forfeited: !!resultData.forfeited,
+        ...(resultData.probability !== null && resultData.probability !== undefined && { probability: resultData.probability }),
+        ...(resultData.estimate && { estimate: resultData.estimate }),
+        ...(resultData.pairPick && { pairPick: resultData.pairPick }),
+        // Scoring inputs kept so the score can be recomputed later (see recomputeScore)
+        timeElapsed: resultData.timeElapsed,
+        totalTime: totalTimeAllowed,
+        speedBaseline: resultData.speedBaseline,
+        integrityPenalty: resultData.integrityPenalty || 0,
+        hintsUsed: usedHints,
+        ...(claim.sources && { sourcesOpened: openedSources }),
+        ...(tellTap && !resultData.forfeited && { tellTap, tellBonus: resultData.tellBonus || 0 }),
+        reasoning,
+        ...(CLAIM_REWRITES.VERDICTS.includes(resultData.verdict) && rewrite.trim() && { rewrite: rewrite.trim() })
       });
       // Reset for next round
       setConfidence(2);
+      setProbability(PROBABILITY_CONFIDENCE.DEFAULT);
       setVerdict(null);
       setReasoning('');
+      setRewrite('');
       setShowResult(false);
       setResultData(null);
       setActiveHint(null);
       setUsedHints([]);
       setHintCostTotal(0);
+      setOpenedSources([]);
+      setTellTap(null);
+      setEstimateLow('');
+      setEstimateHigh('');
+      setEstimateLevel(ESTIMATION.DEFAULT_LEVEL);
+      setPairPick(null);
       setCalibrationTip(null);
       setForfeitAcknowledged(true); // Reset forfeit warning for next round
       integrity.reset(); // Reset anti-cheat tracking
       submittingRef.current = false; // Reset atomic lock for next round
     }
-  }, [pendingNext, resultData, claim, reasoning, onSubmit, integrity]);
+  }, [pendingNext, resultData, claim, reasoning, rewrite, usedHints, openedSources, tellTap, totalTimeAllowed, onSubmit, integrity]);
 
   const handleSubmitVerdict = useCallback(() => {
-    if (!verdict || !claim || isSubmitting) return;
+    if (!hasAnswer || !claim || isSubmitting) return;
 
     // CRITICAL: Atomic lock to prevent race condition
     if (submittingRef.current) {
@@ -321,7 +466,17 @@ export function PlayingScreen({
       timerIntervalRef.current = null;
     }
 
-    const correct = verdict === claim.answer;
+    if (isEstimate) {
+      showEstimateResult(roundStartTimeRef.current
+        ? Math.floor((Date.now() - roundStartTimeRef.current) / 1000)
+        : totalTimeAllowed);
+      return;
+    }
+
+    // Near misses (one step away on TRUE - MIXED - FALSE) earn partial credit; pair rounds score the pick
+    const credit = isPair ? getPairCredit(pairPick, claim) : getVerdictCredit(verdict, claim.answer);
+    const correct = credit === 1;
+    const nearMiss = !correct && credit > 0;
 
     // Calculate time elapsed for speed bonus
     const timeElapsed = roundStartTimeRef.current
@@ -329,32 +484,38 @@ export function PlayingScreen({
       : totalTimeAllowed;
 
     // Calculate points with speed bonus and integrity penalties
-    const pointsResult = calculatePoints(correct, confidence, difficulty, {
+    const pointsResult = calculatePoints(correct, statedConfidence, difficulty, {
       timeElapsed,
       totalTime: totalTimeAllowed,
-      integrityPenalty: integrity.penalty
+      speedBaseline: speedReference.seconds,
+      integrityPenalty: integrity.penalty,
+      probability: statedProbability,
+      scoringRule: probabilityRule,
+      scoringProfile,
+      credit
     });
 
-    const points = typeof pointsResult === 'number' ? pointsResult : pointsResult.points;
+    const tellBonus = getTellBonus(claim.errorSpans, tellTap);
+    const points = (typeof pointsResult === 'number' ? pointsResult : pointsResult.points) + tellBonus;
     const speedBonus = typeof pointsResult === 'object' ? pointsResult.speedBonus : null;
 
     SoundManager.play(correct ? 'correct' : 'incorrect');
 
-    const msgs = correct ? ENCOURAGEMENTS.correct : ENCOURAGEMENTS.incorrect;
+    const msgs = correct ? ENCOURAGEMENTS.correct : nearMiss ? ENCOURAGEMENTS.nearMiss : ENCOURAGEMENTS.incorrect;
     setEncouragement(getRandomItem(msgs) || (correct ? 'Nice work!' : 'Keep trying!'));
 
     // Determine calibration and show relevant tip
     let calibrationType = 'calibrated';
-    if (correct && confidence === 1) calibrationType = 'underconfident';
-    else if (!correct && confidence === 3) calibrationType = 'overconfident';
-    else if (correct && confidence === 3) calibrationType = 'calibrated';
-    else if (!correct && confidence === 1) calibrationType = 'calibrated';
+    if (correct && statedConfidence === 1) calibrationType = 'underconfident';
+    else if (!correct && statedConfidence === 3) calibrationType = 'overconfident';
+    else if (correct && statedConfidence === 3) calibrationType = 'calibrated';
+    else if (!correct && statedConfidence === 1) calibrationType = 'calibrated';
 
     setCalibrationTip(getRandomItem(CALIBRATION_TIPS[calibrationType]) || null);
-    setResultData({ correct, points, confidence, verdict, speedBonus, timeElapsed });
+    setResultData({ correct, nearMiss, credit, answer: isPair ? claim.aiSide : claim.answer, points, confidence: statedConfidence, probability: statedProbability, verdict: isPair ? null : verdict, pairPick: isPair ? pairPick : null, speedBonus, timeElapsed, speedBaseline: speedReference.seconds, integrityPenalty: integrity.penalty, tellBonus });
     setShowResult(true);
     setIsSubmitting(false); // Reset for next round
-  }, [verdict, confidence, claim, difficulty, totalTimeAllowed, integrity.penalty, isSubmitting]);
+  }, [verdict, pairPick, isPair, hasAnswer, isEstimate, showEstimateResult, statedConfidence, statedProbability, probabilityRule, scoringProfile, claim, difficulty, totalTimeAllowed, speedReference.seconds, integrity.penalty, tellTap, isSubmitting]);
 
   const handleNextRound = useCallback(() => {
     onSubmit({
@@ -362,35 +523,73 @@ export function PlayingScreen({
       teamVerdict: resultData.verdict,
       confidence: resultData.confidence,
       correct: resultData.correct,
+      ...(resultData.nearMiss && { nearMiss: true, credit: resultData.credit }),
       points: resultData.points,
-      reasoning
+      forfeited: !!resultData.forfeited,
+      ...(resultData.probability !== null && resultData.probability !== undefined && { probability: resultData.probability }),
+      ...(resultData.estimate && { estimate: resultData.estimate }),
+      ...(resultData.pairPick && { pairPick: resultData.pairPick }),
+      // Scoring inputs kept so the score can be recomputed later (see recomputeScore)
+      timeElapsed: resultData.timeElapsed,
+      totalTime: totalTimeAllowed,
+      speedBaseline: resultData.speedBaseline,
+      integrityPenalty: resultData.integrityPenalty || 0,
+      hintsUsed: usedHints,
+      ...(claim.sources && { sourcesOpened: openedSources }),
+      ...(tellTap && !resultData.forfeited && { tellTap, tellBonus: resultData.tellBonus || 0 }),
+      reasoning,
+      ...(CLAIM_REWRITES.VERDICTS.includes(resultData.verdict) && rewrite.trim() && { rewrite: rewrite.trim() })
     });
 
     // Reset for next round
     setConfidence(2);
+    setProbability(PROBABILITY_CONFIDENCE.DEFAULT);
     setVerdict(null);
     setReasoning('');
+    setRewrite('');
     setShowResult(false);
     setResultData(null);
     setActiveHint(null);
     setUsedHints([]);
     setHintCostTotal(0);
+    setOpenedSources([]);
+    setTellTap(null);
+    setEstimateLow('');
+    setEstimateHigh('');
+    setEstimateLevel(ESTIMATION.DEFAULT_LEVEL);
+    setPairPick(null);
     setCalibrationTip(null);
     setForfeitAcknowledged(true); // Reset forfeit warning for next round
     integrity.reset(); // Reset anti-cheat tracking
-  }, [claim, resultData, reasoning, onSubmit, integrity]);
+  }, [claim, resultData, reasoning, rewrite, usedHints, openedSources, tellTap, totalTimeAllowed, onSubmit, integrity]);
+
+  // Hints on offer this round, priced by the scoring profile (free under Gentle)
+  const hints = useMemo(
+    () => (isPair ? PAIR_HINTS : HINT_TYPES).map(h => ({ ...h, cost: getHintCost(h, scoringProfile) })),
+    [isPair, scoringProfile]
+  );
 
   const handleHintRequest = useCallback((hintType) => {
-    const hint = HINT_TYPES.find((h) => h.id === hintType);
+    const hint = hints.find((h) => h.id === hintType);
     if (!hint || usedHints.includes(hintType)) return;
 
-    const content = getHintContent(claim, hintType);
+    const content = getHintContent(claim, hintType, i18n.language);
     setActiveHint({ ...hint, content });
     setUsedHints(prev => [...prev, hintType]);
     setHintCostTotal(prev => prev + hint.cost);
     onUseHint(hint.cost, hintType);
     SoundManager.play('tick');
-  }, [claim, usedHints, onUseHint]);
+  }, [claim, hints, usedHints, onUseHint, i18n.language]);
+
+  const handleOpenSource = useCallback((sourceId) => {
+    setOpenedSources(prev => (prev.includes(sourceId) ? prev : [...prev, sourceId]));
+  }, []);
+
+  // Tells are shown with the answer only when the claim is in English (spans index the English text)
+  const tells = useMemo(
+    () => (claim && localizeClaim(claim, i18n.language).language === 'en' ? getTells(claim) : []),
+    [claim, i18n.language]
+  );
 
   // Check if this is the last round (rounds are 1-indexed: 1, 2, 3)
   const isLastRound = round >= totalRounds;
@@ -398,17 +597,13 @@ export function PlayingScreen({
   // Calculate confidence risk preview (memoized for performance)
   // Note: Must be called before any conditional returns to comply with Rules of Hooks
   const confidencePreview = useMemo(() => {
-    const basePoints = {
-      1: { correct: 1, incorrect: -1 },
-      2: { correct: 3, incorrect: -3 },
-      3: { correct: 5, incorrect: -6 }
-    }[confidence];
-    const multiplier = DIFFICULTY_MULTIPLIERS[difficulty] || 1;
+    // Same calculation as submission, minus time-based bonuses
+    const previewOptions = { probability: statedProbability, scoringRule: probabilityRule, scoringProfile };
     return {
-      ifCorrect: Math.round(basePoints.correct * multiplier),
-      ifWrong: -Math.round(Math.abs(basePoints.incorrect * multiplier))
+      ifCorrect: calculatePoints(true, statedConfidence, difficulty, previewOptions).points,
+      ifWrong: calculatePoints(false, statedConfidence, difficulty, previewOptions).points
     };
-  }, [confidence, difficulty]);
+  }, [statedConfidence, statedProbability, probabilityRule, scoringProfile, difficulty]);
 
   // Loading state check - placed after all hooks to comply with Rules of Hooks
   if (!claim || !claim.id) {
@@ -535,7 +730,7 @@ export function PlayingScreen({
           </div>
           <div style={{ fontSize: '0.875rem', color: 'var(--text-primary)', marginBottom: '0.75rem' }}>
             Switching tabs ends your round automatically.<br />
-            <strong>Penalty: {ANTI_CHEAT.FORFEIT_PENALTY} points</strong>
+            <strong>Penalty: {profile.forfeitPenalty} points</strong>
           </div>
           <Button
             onClick={() => {
@@ -574,7 +769,7 @@ export function PlayingScreen({
           {/* Timer Display with speed bonus zones */}
           {!showResult && timeRemaining !== null && (() => {
             const elapsed = totalTimeAllowed - timeRemaining;
-            const pct = elapsed / totalTimeAllowed;
+            const pct = elapsed / speedReference.seconds;
             const inBonusZone = pct <= 0.50 && timeRemaining > 10;
             const bonusLabel = pct <= 0.10 ? '⚡2x' : pct <= 0.20 ? '⚡1.5x' : pct <= 0.35 ? '⚡1.3x' : pct <= 0.50 ? '⚡1.1x' : '';
             return (
@@ -682,9 +877,17 @@ export function PlayingScreen({
           }}
         >
           {round === 1 && <span style={{ marginRight: '0.5rem' }}>⌨️ Keyboard shortcuts:</span>}
-          <span style={{ color: 'var(--accent-violet)' }}>T</span>=True
-          <span style={{ color: 'var(--accent-violet)' }}> F</span>=False
-          <span style={{ color: 'var(--accent-violet)' }}> M</span>=Mixed
+          {isPair ? (
+            <>
+              <span style={{ color: 'var(--accent-violet)' }}>A</span>/<span style={{ color: 'var(--accent-violet)' }}>B</span>=pick the AI claim
+            </>
+          ) : (
+            <>
+              <span style={{ color: 'var(--accent-violet)' }}>T</span>=True
+              <span style={{ color: 'var(--accent-violet)' }}> F</span>=False
+              <span style={{ color: 'var(--accent-violet)' }}> M</span>=Mixed
+            </>
+          )}
           {' · '}
           <span style={{ color: 'var(--accent-violet)' }}>1-3</span>=confidence
           {' · '}
@@ -727,23 +930,40 @@ export function PlayingScreen({
         </div>
       )}
 
-      {/* Difficulty Badge with Multiplier */}
-      {claim.difficulty && (
-        <div style={{ display: 'flex', justifyContent: 'center', marginBottom: '0.5rem' }}>
-          <span
-            className="mono"
-            style={{
-              padding: '0.25rem 0.5rem',
-              fontSize: '0.75rem',
-              background: DIFFICULTY_BG_COLORS[claim.difficulty] || 'rgba(167, 139, 250, 0.2)',
-              color: DIFFICULTY_CONFIG[claim.difficulty]?.color,
-              borderRadius: '4px',
-              textTransform: 'uppercase'
-            }}
-            title={`Points multiplier: ${DIFFICULTY_MULTIPLIERS[claim.difficulty] || 1}x`}
-          >
-            {DIFFICULTY_CONFIG[claim.difficulty]?.icon} {claim.difficulty} • {DIFFICULTY_MULTIPLIERS[claim.difficulty] || 1}x
-          </span>
+      {/* Difficulty Badge with Multiplier (plus review marker for spaced-repetition claims) */}
+      {(claim.difficulty || claim.isReview) && (
+        <div style={{ display: 'flex', justifyContent: 'center', gap: '0.375rem', marginBottom: '0.5rem' }}>
+          {claim.isReview && (
+            <span
+              className="mono"
+              style={{
+                padding: '0.25rem 0.5rem',
+                fontSize: '0.75rem',
+                background: 'rgba(251, 191, 36, 0.15)',
+                color: 'var(--accent-amber)',
+                borderRadius: '4px'
+              }}
+              title="You missed this claim before - it's back for review"
+            >
+              🔁 REVIEW
+            </span>
+          )}
+          {claim.difficulty && (
+            <span
+              className="mono"
+              style={{
+                padding: '0.25rem 0.5rem',
+                fontSize: '0.75rem',
+                background: DIFFICULTY_BG_COLORS[claim.difficulty] || 'rgba(167, 139, 250, 0.2)',
+                color: DIFFICULTY_CONFIG[claim.difficulty]?.color,
+                borderRadius: '4px',
+                textTransform: 'uppercase'
+              }}
+              title={`Points multiplier: ${profile.difficultyMultipliers[claim.difficulty] || 1}x`}
+            >
+              {DIFFICULTY_CONFIG[claim.difficulty]?.icon} {claim.difficulty} • {profile.difficultyMultipliers[claim.difficulty] || 1}x
+            </span>
+          )}
         </div>
       )}
 
@@ -755,8 +975,12 @@ export function PlayingScreen({
         flexDirection: 'column',
         minHeight: 0
       }}>
-        {/* Claim Card */}
-        <ClaimCard claim={claim} showAnswer={showResult} />
+        {/* Claim Card (pair rounds show both claims in the voting section, revealed here after the pick) */}
+        {isPair ? (
+          showResult && <PairChoice round={claim} pick={pairPick} showAnswer />
+        ) : (
+          <ClaimCard claim={claim} showAnswer={showResult} tellTap={tellTap} onTellTap={isEstimate ? null : setTellTap} />
+        )}
 
         {/* Active Hint Display */}
         {activeHint && !showResult && (
@@ -780,22 +1004,59 @@ export function PlayingScreen({
           </div>
         )}
 
+        {/* Source cards for lateral reading - opened before voting */}
+        {claim.sources && !showResult && (
+          <SourceCards sources={claim.sources} openedIds={openedSources} onOpen={handleOpenSource} />
+        )}
+
+        {/* Estimation Section - numeric questions are answered with a range */}
+        {!showResult && isEstimate && (
+          <EstimationSection
+            unit={claim.estimate.unit}
+            low={estimateLow}
+            high={estimateHigh}
+            onLowChange={setEstimateLow}
+            onHighChange={setEstimateHigh}
+            level={estimateLevel}
+            onLevelChange={setEstimateLevel}
+            problem={estimateProblem}
+            reasoning={reasoning}
+            onReasoningChange={setReasoning}
+            onSubmit={handleSubmitVerdict}
+            teamAvatar={teamAvatar}
+            disabled={isSubmitting}
+          />
+        )}
+
         {/* Voting Section - shown when not viewing result */}
-        {!showResult && (
+        {!showResult && !isEstimate && (
           <VotingSection
             verdict={verdict}
             onVerdictChange={setVerdict}
             confidence={confidence}
             onConfidenceChange={setConfidence}
+            confidenceMode={confidenceMode}
+            probability={probability}
+            onProbabilityChange={setProbability}
+            pointsMatrix={profile.pointsMatrix}
+            showSpeedBonus={profile.speedBonus}
             confidencePreview={confidencePreview}
             reasoning={reasoning}
             onReasoningChange={setReasoning}
+            rewrite={rewrite}
+            onRewriteChange={setRewrite}
             usedHints={usedHints}
+            hints={hints}
             hintCostTotal={hintCostTotal}
             onHintRequest={handleHintRequest}
             onSubmit={handleSubmitVerdict}
             teamAvatar={teamAvatar}
             disabled={isSubmitting}
+            {...(isPair && {
+              selector: <PairChoice round={claim} pick={pairPick} onPick={setPairPick} disabled={isSubmitting} />,
+              selectorTitle: '1. WHICH ONE IS AI-GENERATED?',
+              hasSelection: !!pairPick
+            })}
           />
         )}
 
@@ -808,6 +1069,10 @@ export function PlayingScreen({
             calibrationTip={calibrationTip}
             integrityPenalty={integrity.penalty}
             isLastRound={isLastRound}
+            sources={claim.sources}
+            openedSources={openedSources}
+            tells={tells}
+            unit={isEstimate ? claim.estimate.unit : ''}
             onNext={handleNextRound}
           />
         )}
@@ -821,11 +1086,21 @@ PlayingScreen.propTypes = {
   claim: PropTypes.shape({
     id: PropTypes.string.isRequired,
     text: PropTypes.string.isRequired,
-    answer: PropTypes.oneOf(['TRUE', 'FALSE', 'MIXED']).isRequired,
+    answer: PropTypes.oneOf(['TRUE', 'FALSE', 'MIXED']), // Absent on estimation questions and pair rounds
+    type: PropTypes.string,
+    aiSide: PropTypes.oneOf(['A', 'B']), // Pair rounds (see utils/claimPairs.js)
+    claims: PropTypes.arrayOf(PropTypes.object),
+    estimate: PropTypes.shape({
+      value: PropTypes.number.isRequired,
+      unit: PropTypes.string
+    }),
     difficulty: PropTypes.oneOf(['easy', 'medium', 'hard', 'expert']),
     category: PropTypes.string,
     source: PropTypes.string,
-    context: PropTypes.string
+    context: PropTypes.string,
+    isReview: PropTypes.bool,
+    sources: PropTypes.arrayOf(PropTypes.object),
+    errorSpans: PropTypes.arrayOf(PropTypes.object)
   }).isRequired,
   round: PropTypes.number.isRequired,
   totalRounds: PropTypes.number.isRequired,
@@ -856,7 +1131,15 @@ PlayingScreen.propTypes = {
   predictedScore: PropTypes.number,
   sessionId: PropTypes.string,
   showLiveLeaderboard: PropTypes.bool,
-  onToggleLiveLeaderboard: PropTypes.func
+  onToggleLiveLeaderboard: PropTypes.func,
+  confidenceMode: PropTypes.oneOf(['levels', 'probability']),
+  probabilityRule: PropTypes.oneOf(Object.keys(PROBABILITY_CONFIDENCE.RULES)),
+  scoringProfile: PropTypes.oneOf(Object.keys(SCORING_PROFILES)),
+  speedBaseline: PropTypes.oneOf(Object.keys(SPEED_BONUS.BASELINES)),
+  responseHistory: PropTypes.arrayOf(PropTypes.shape({
+    seconds: PropTypes.number.isRequired,
+    words: PropTypes.number
+  }))
 };
 
 PlayingScreen.defaultProps = {
@@ -869,5 +1152,10 @@ PlayingScreen.defaultProps = {
   predictedScore: 0,
   sessionId: null,
   showLiveLeaderboard: true,
-  onToggleLiveLeaderboard: () => {}
+  onToggleLiveLeaderboard: () => {},
+  confidenceMode: 'levels',
+  probabilityRule: PROBABILITY_CONFIDENCE.DEFAULT_RULE,
+  scoringProfile: DEFAULT_SCORING_PROFILE,
+  speedBaseline: SPEED_BONUS.DEFAULT_BASELINE,
+  responseHistory: []
 };
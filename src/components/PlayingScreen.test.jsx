@@ -114,6 +114,14 @@ describe('PlayingScreen', () => {
     expect(defaultProps.onUseHint).toHaveBeenCalledWith(2, 'source-hint');
   });
 
+  it('makes hints free with the Gentle scoring profile', () => {
+    render(<PlayingScreen {...defaultProps} scoringProfile="gentle" />);
+
+    fireEvent.click(screen.getByText(/Source Check/i));
+
+    expect(defaultProps.onUseHint).toHaveBeenCalledWith(0, 'source-hint');
+  });
+
   it('renders reasoning textarea', () => {
     render(<PlayingScreen {...defaultProps} />);
     expect(screen.getByPlaceholderText(/What made you choose this/i)).toBeInTheDocument();
@@ -200,4 +208,176 @@ describe('PlayingScreen', () => {
       })
     );
   });
+
+  it('shows a probability slider and records the probability in probability mode', () => {
+    render(<PlayingScreen {...defaultProps} confidenceMode="probability" />);
+
+    const slider = screen.getByRole('slider', { name: /chance you are right/i });
+    fireEvent.change(slider, { target: { value: '90' } });
+
+    fireEvent.click(screen.getByText('TRUE'));
+    fireEvent.click(screen.getByRole('button', { name: /submit/i }));
+    fireEvent.click(screen.getByText(/Next Round/i));
+
+    expect(defaultProps.onSubmit).toHaveBeenCalledWith(
+      expect.objectContaining({
+        correct: true,
+        probability: 0.9,
+        confidence: 3
+      })
+    );
+  });
+
+  it('lets students open source cards and records which they opened', () => {
+    const sources = [
+      { id: 'about', kind: 'about-page', title: 'About the Institute', body: 'We are funded by industry.', reliability: 'low', reliabilityNote: 'The group describing itself.' },
+      { id: 'news', kind: 'news', title: 'Independent report', body: 'Reporters looked into the institute.', reliability: 'high', reliabilityNote: 'Independent coverage of the group.' }
+    ];
+    render(<PlayingScreen {...defaultProps} claim={{ ...mockClaim, sources }} />);
+
+    fireEvent.click(screen.getByRole('button', { name: /About Page/i }));
+    expect(screen.getByText('We are funded by industry.')).toBeInTheDocument();
+    expect(screen.getByText(/1\/2 opened/)).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('TRUE'));
+    fireEvent.click(screen.getByRole('button', { name: /submit/i }));
+    expect(screen.getByText('Independent coverage of the group.')).toBeInTheDocument();
+    expect(screen.getByText(/you opened 1 of 2/i)).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText(/Next Round/i));
+    expect(defaultProps.onSubmit).toHaveBeenCalledWith(
+      expect.objectContaining({ sourcesOpened: ['about'] })
+    );
+  });
+
+  it('adds the spot-the-tell bonus for tapping the error', () => {
+    const claim = {
+      ...mockClaim,
+      text: 'Bats are blind and navigate only by sound.',
+      answer: 'FALSE',
+      errorSpans: [{ start: 9, end: 14, pattern: 'myth-perpetuation' }]
+    };
+    render(<PlayingScreen {...defaultProps} claim={claim} />);
+
+    fireEvent.click(screen.getByRole('button', { name: /Spot the tell/ }));
+    fireEvent.click(screen.getByRole('button', { name: 'blind' }));
+    fireEvent.click(screen.getByText('FALSE'));
+    fireEvent.click(screen.getByRole('button', { name: /submit/i }));
+    expect(screen.getByText(/Spotted the tell \+2/)).toBeInTheDocument();
+    expect(screen.getByText(/Myth Perpetuation/)).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText(/Next Round/i));
+    expect(defaultProps.onSubmit).toHaveBeenCalledWith(
+      expect.objectContaining({ tellTap: { start: 9, end: 14 }, tellBonus: 2 })
+    );
+  });
+
+  it('answers estimation questions with a range instead of a verdict', () => {
+    const question = {
+      id: 'est-geo-001',
+      type: 'estimate',
+      text: 'How tall is Mount Everest, in meters?',
+      estimate: { value: 8849, unit: 'm' },
+      explanation: 'Surveyed at 8,849 m.',
+      subject: 'geography',
+      difficulty: 'easy'
+    };
+    render(<PlayingScreen {...defaultProps} claim={question} />);
+
+    expect(screen.queryByRole('radio', { name: /TRUE/i })).not.toBeInTheDocument();
+    const submit = screen.getByRole('button', { name: /Submit Range/i });
+    expect(submit).toBeDisabled();
+
+    fireEvent.change(screen.getByRole('textbox', { name: /Low end/i }), { target: { value: '9,000' } });
+    fireEvent.change(screen.getByRole('textbox', { name: /High end/i }), { target: { value: '8,000' } });
+    expect(screen.getByRole('alert')).toHaveTextContent(/low end must not be above/i);
+    expect(submit).toBeDisabled();
+
+    fireEvent.change(screen.getByRole('textbox', { name: /Low end/i }), { target: { value: '8,000' } });
+    fireEvent.change(screen.getByRole('textbox', { name: /High end/i }), { target: { value: '9,500' } });
+    fireEvent.click(screen.getByRole('button', { name: /80% sure/ }));
+    fireEvent.click(submit);
+
+    expect(screen.getByText(/YOUR RANGE CAUGHT IT/)).toBeInTheDocument();
+    expect(screen.getByText(/The answer: 8,849 m/)).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText(/Next Round/i));
+    expect(defaultProps.onSubmit).toHaveBeenCalledWith(
+      expect.objectContaining({
+        claimId: 'est-geo-001',
+        teamVerdict: null,
+        confidence: null,
+        correct: true,
+        estimate: { low: 8000, high: 9500, level: 0.8 }
+      })
+    );
+  });
+
+  it('plays pair rounds by picking the AI-generated claim', () => {
+    const pairRound = {
+      id: 'pair-ai-1-ex-1',
+      type: 'pair',
+      text: 'Which is AI-generated? A: "Bats are blind." B: "Octopuses have three hearts."',
+      explanation: 'Claim A is AI-generated.',
+      claims: [
+        { id: 'ai-1', text: 'Bats are blind.', source: 'ai-generated', explanation: 'Bats can see.', subject: 'biology' },
+        { id: 'ex-1', text: 'Octopuses have three hearts.', source: 'expert-sourced', explanation: 'Two gill hearts and one main heart.', subject: 'biology' }
+      ],
+      aiSide: 'A',
+      subject: 'biology',
+      difficulty: 'easy'
+    };
+    render(<PlayingScreen {...defaultProps} claim={pairRound} />);
+
+    expect(screen.queryByRole('radio', { name: /TRUE/i })).not.toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: /Source Check/i })).not.toBeInTheDocument();
+    const submit = screen.getByRole('button', { name: /Submit Answer/i });
+    expect(submit).toBeDisabled();
+
+    fireEvent.click(screen.getByRole('radio', { name: /Claim A: Bats are blind/ }));
+    fireEvent.click(submit);
+
+    expect(screen.getByText(/YOU SPOTTED THE AI/)).toBeInTheDocument();
+    expect(screen.getByText(/Two gill hearts/)).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText(/Next Round/i));
+    expect(defaultProps.onSubmit).toHaveBeenCalledWith(
+      expect.objectContaining({
+        claimId: 'pair-ai-1-ex-1',
+        teamVerdict: null,
+        pairPick: 'A',
+        confidence: 2,
+        correct: true
+      })
+    );
+  });
+
+  it('offers a "fix the claim" rewrite after a FALSE verdict and sends it with the round', () => {
+    render(<PlayingScreen {...defaultProps} />);
+
+    expect(screen.queryByLabelText(/Rewrite the claim/i)).not.toBeInTheDocument();
+    fireEvent.click(screen.getByText('FALSE'));
+    fireEvent.change(screen.getByLabelText(/Rewrite the claim/i), {
+      target: { value: '  A corrected test claim  ' }
+    });
+    fireEvent.click(screen.getByRole('button', { name: /submit/i }));
+    fireEvent.click(screen.getByText(/Next Round/i));
+
+    expect(defaultProps.onSubmit).toHaveBeenCalledWith(
+      expect.objectContaining({ teamVerdict: 'FALSE', rewrite: 'A corrected test claim' })
+    );
+  });
+
+  it('drops the rewrite when the verdict is changed to TRUE', () => {
+    render(<PlayingScreen {...defaultProps} />);
+
+    fireEvent.click(screen.getByText('FALSE'));
+    fireEvent.change(screen.getByLabelText(/Rewrite the claim/i), { target: { value: 'A corrected test claim' } });
+    fireEvent.click(screen.getByText('TRUE'));
+    expect(screen.queryByLabelText(/Rewrite the claim/i)).not.toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: /submit/i }));
+    fireEvent.click(screen.getByText(/Next Round/i));
+
+    expect(defaultProps.onSubmit.mock.calls[0][0]).not.toHaveProperty('rewrite');
+  });
 });
@@ -7,8 +7,10 @@ import { useState, useEffect } from 'react';
 import PropTypes from 'prop-types';
 import { Button } from './Button';
 import { useFocusTrap } from '../hooks/useFocusTrap';
+import { getPracticePatterns } from '../utils/patternPractice';
 
-export function PredictionModal({ onSubmit, totalRounds, difficulty, isStartOfGame: _isStartOfGame = true }) {
+export function PredictionModal({ onSubmit, totalRounds, difficulty, isStartOfGame: _isStartOfGame = true, practicePatterns = [] }) {
+  const focusPatterns = getPracticePatterns(practicePatterns);
   // Default prediction based on rounds and difficulty (rough estimate)
   const defaultPrediction = Math.round(totalRounds * 2); // Assume ~2 points per round average
   const [prediction, setPrediction] = useState(defaultPrediction);
@@ -59,9 +61,50 @@ export function PredictionModal({ onSubmit, totalRounds, difficulty, isStartOfGa
           borderRadius: '16px',
           padding: '2rem',
           maxWidth: '440px',
-          width: '100%'
+          width: '100%',
+          maxHeight: '100%',
+          overflowY: 'auto'
         }}
       >
+        {/* Practice games open with the teaching point for each pattern */}
+        {focusPatterns.length > 0 && (
+          <section
+            aria-label="Today's error patterns"
+            style={{
+              marginBottom: '1.25rem',
+              paddingBottom: '1rem',
+              borderBottom: '1px solid var(--border)'
+            }}
+          >
+            <div className="mono" style={{ fontSize: '0.875rem', color: 'var(--accent-violet)', marginBottom: '0.5rem' }}>
+              <span aria-hidden="true">🧩</span> TODAY&apos;S ERROR {focusPatterns.length === 1 ? 'PATTERN' : 'PATTERNS'}
+            </div>
+            {focusPatterns.map(pattern => (
+              <div
+                key={pattern.id}
+                style={{
+                  padding: '0.625rem 0.75rem',
+                  background: 'var(--bg-elevated)',
+                  borderLeft: '3px solid var(--accent-violet)',
+                  borderRadius: '6px',
+                  marginBottom: '0.5rem'
+                }}
+              >
+                <div style={{ fontWeight: 600, fontSize: '0.875rem', color: 'var(--text-primary)' }}>{pattern.name}</div>
+                <div style={{ fontSize: '0.8125rem', color: 'var(--text-secondary)', marginTop: '0.125rem' }}>
+                  {pattern.description}
+                </div>
+                <div style={{ fontSize: '0.75rem', color: 'var(--accent-emerald)', marginTop: '0.25rem' }}>
+                  💡 {pattern.teachingPoint}
+                </div>
+              </div>
+            ))}
+            <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+              Some claims are accurate - don&apos;t call everything false!
+            </div>
+          </section>
+        )}
+
         <h2
           id="prediction-modal-title"
           className="mono"
@@ -155,9 +198,11 @@ PredictionModal.propTypes = {
   onSubmit: PropTypes.func.isRequired,
   totalRounds: PropTypes.number.isRequired,
   difficulty: PropTypes.string.isRequired,
-  isStartOfGame: PropTypes.bool
+  isStartOfGame: PropTypes.bool,
+  practicePatterns: PropTypes.arrayOf(PropTypes.string)
 };
 
 PredictionModal.defaultProps = {
-  isStartOfGame: true
+  isStartOfGame: true,
+  practicePatterns: []
 };
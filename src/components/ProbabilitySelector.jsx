@@ -0,0 +1,119 @@
+/**
+ * PROBABILITY SELECTOR COMPONENT
+ * Lets users state their chance of being right (50-99%) with a slider or keypad
+ * Used instead of ConfidenceSelector when a class enables probability mode
+ */
+
+import { memo } from 'react';
+import PropTypes from 'prop-types';
+import { PROBABILITY_CONFIDENCE } from '../data/constants';
+
+const MIN_PERCENT = Math.round(PROBABILITY_CONFIDENCE.MIN * 100);
+const MAX_PERCENT = Math.round(PROBABILITY_CONFIDENCE.MAX * 100);
+
+// Quick picks for students who prefer tapping over dragging
+const PRESETS = [50, 60, 70, 80, 90, 99];
+
+// Slider color follows the same low/medium/high scheme as the level buttons
+function getPercentColor(percent) {
+  if (percent < 65) return 'var(--confidence-1)';
+  if (percent < 85) return 'var(--confidence-2)';
+  return 'var(--confidence-3)';
+}
+
+export const ProbabilitySelector = memo(function ProbabilitySelector({ value, onChange, disabled }) {
+  const percent = Math.round(value * 100);
+  const color = getPercentColor(percent);
+
+  const setPercent = (next) => {
+    if (!Number.isFinite(next)) return;
+    const clamped = Math.min(MAX_PERCENT, Math.max(MIN_PERCENT, Math.round(next)));
+    onChange(clamped / 100);
+  };
+
+  return (
+    <div style={{ opacity: disabled ? 0.5 : 1 }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem', marginBottom: '0.75rem' }}>
+        <input
+          type="range"
+          min={MIN_PERCENT}
+          max={MAX_PERCENT}
+          step={Math.round(PROBABILITY_CONFIDENCE.STEP * 100)}
+          value={percent}
+          onChange={(e) => setPercent(Number(e.target.value))}
+          disabled={disabled}
+          aria-label="Chance you are right"
+          aria-valuetext={`${percent}% sure`}
+          style={{ flex: 1, accentColor: color, cursor: disabled ? 'not-allowed' : 'pointer' }}
+        />
+        <div style={{ display: 'flex', alignItems: 'center', gap: '0.25rem' }}>
+          <input
+            type="number"
+            inputMode="numeric"
+            min={MIN_PERCENT}
+            max={MAX_PERCENT}
+            value={percent}
+            onChange={(e) => setPercent(Number(e.target.value))}
+            disabled={disabled}
+            aria-label="Chance you are right, in percent"
+            className="mono"
+            style={{
+              width: '4.5rem',
+              padding: '0.5rem',
+              background: 'var(--bg-elevated)',
+              border: `2px solid ${color}`,
+              borderRadius: '6px',
+              color: 'var(--text-primary)',
+              fontSize: '1.125rem',
+              fontWeight: 700,
+              textAlign: 'center'
+            }}
+          />
+          <span className="mono" style={{ fontSize: '1.125rem', fontWeight: 700, color }}>%</span>
+        </div>
+      </div>
+
+      <div style={{ display: 'flex', gap: '0.375rem', flexWrap: 'wrap' }}>
+        {PRESETS.map(preset => (
+          <button
+            key={preset}
+            type="button"
+            onClick={() => setPercent(preset)}
+            disabled={disabled}
+            aria-pressed={percent === preset}
+            className="mono"
+            style={{
+              flex: '1 1 0',
+              minWidth: '3rem',
+              minHeight: '44px',
+              padding: '0.375rem',
+              background: percent === preset ? `${getPercentColor(preset)}25` : 'var(--bg-elevated)',
+              border: `2px solid ${percent === preset ? getPercentColor(preset) : 'var(--border)'}`,
+              borderRadius: '6px',
+              color: 'var(--text-secondary)',
+              fontSize: '0.8125rem',
+              fontWeight: 600,
+              cursor: disabled ? 'not-allowed' : 'pointer'
+            }}
+          >
+            {preset}%
+          </button>
+        ))}
+      </div>
+
+      <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)', marginTop: '0.5rem' }}>
+        50% = a coin flip. Say exactly how sure you are — honest guesses score best over time.
+      </div>
+    </div>
+  );
+});
+
+ProbabilitySelector.propTypes = {
+  value: PropTypes.number.isRequired,
+  onChange: PropTypes.func.isRequired,
+  disabled: PropTypes.bool
+};
+
+ProbabilitySelector.defaultProps = {
+  disabled: false
+};
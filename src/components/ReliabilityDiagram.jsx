@@ -0,0 +1,147 @@
+/**
+ * RELIABILITY DIAGRAM
+ * SVG chart of stated confidence vs observed accuracy (no chart dependency)
+ * One point per stated-probability bin (see buildReliabilityPoints).
+ * Points on the diagonal are perfectly calibrated; below it is overconfident
+ */
+
+import { memo } from 'react';
+import PropTypes from 'prop-types';
+
+const SIZE = 240;
+const PADDING = 36;
+const PLOT = SIZE - PADDING * 2;
+const GRID_STEPS = [0, 0.25, 0.5, 0.75, 1];
+
+const CONFIDENCE_COLORS = {
+  1: 'var(--confidence-1)',
+  2: 'var(--confidence-2)',
+  3: 'var(--confidence-3)'
+};
+
+// Map a 0-1 value onto plot coordinates
+const toX = (value) => PADDING + value * PLOT;
+const toY = (value) => SIZE - PADDING - value * PLOT;
+
+function ReliabilityDiagramComponent({ points }) {
+  const maxTotal = Math.max(1, ...points.map(p => p.total));
+  const summary = points
+    .map(p => `${p.label}: stated ${Math.round(p.stated * 100)}%, actual ${Math.round(p.observed * 100)}% over ${p.total} rounds`)
+    .join('; ');
+
+  return (
+    <figure style={{ margin: 0 }}>
+      <svg
+        viewBox={`0 0 ${SIZE} ${SIZE}`}
+        role="img"
+        aria-label={`Reliability diagram. ${summary || 'No rounds yet.'}`}
+        style={{ width: '100%', maxWidth: '320px', display: 'block', margin: '0 auto' }}
+      >
+        {/* Grid lines and axis labels */}
+        {GRID_STEPS.map(step => (
+          <g key={step}>
+            <line
+              x1={toX(0)} y1={toY(step)} x2={toX(1)} y2={toY(step)}
+              stroke="var(--border)" strokeWidth="0.5"
+            />
+            <line
+              x1={toX(step)} y1={toY(0)} x2={toX(step)} y2={toY(1)}
+              stroke="var(--border)" strokeWidth="0.5"
+            />
+            <text x={toX(0) - 4} y={toY(step) + 3} fontSize="8" textAnchor="end" fill="var(--text-muted)">
+              {Math.round(step * 100)}%
+            </text>
+            <text x={toX(step)} y={toY(0) + 12} fontSize="8" textAnchor="middle" fill="var(--text-muted)">
+              {Math.round(step * 100)}%
+            </text>
+          </g>
+        ))}
+
+        {/* Perfect calibration diagonal */}
+        <line
+          x1={toX(0)} y1={toY(0)} x2={toX(1)} y2={toY(1)}
+          stroke="var(--text-muted)" strokeWidth="1" strokeDasharray="4 3"
+        />
+
+        {/* Calibration curve */}
+        {points.length > 1 && (
+          <polyline
+            points={points.map(p => `${toX(p.stated)},${toY(p.observed)}`).join(' ')}
+            fill="none"
+            stroke="var(--accent-violet)"
+            strokeWidth="2"
+          />
+        )}
+
+        {/* Bucket points - area scales with number of rounds */}
+        {points.map(p => (
+          <g key={p.label}>
+            <circle
+              cx={toX(p.stated)}
+              cy={toY(p.observed)}
+              r={4 + 6 * Math.sqrt(p.total / maxTotal)}
+              fill={CONFIDENCE_COLORS[p.confidence] || 'var(--accent-violet)'}
+              fillOpacity="0.85"
+              stroke="var(--bg-deep)"
+              strokeWidth="1"
+            />
+            <text
+              x={toX(p.stated)}
+              y={toY(p.observed) - 12}
+              fontSize="8"
+              textAnchor="middle"
+              fill="var(--text-secondary)"
+            >
+              n={p.total}
+            </text>
+          </g>
+        ))}
+
+        <text x={SIZE / 2} y={SIZE - 6} fontSize="9" textAnchor="middle" fill="var(--text-secondary)">
+          Stated confidence
+        </text>
+        <text
+          x={10}
+          y={SIZE / 2}
+          fontSize="9"
+          textAnchor="middle"
+          fill="var(--text-secondary)"
+          transform={`rotate(-90 10 ${SIZE / 2})`}
+        >
+          Actual accuracy
+        </text>
+      </svg>
+
+      {/* Same data as a table for screen readers */}
+      <table className="sr-only">
+        <caption>Confidence vs accuracy</caption>
+        <thead>
+          <tr><th>Range</th><th>Stated</th><th>Actual</th><th>Rounds</th></tr>
+        </thead>
+        <tbody>
+          {points.map(p => (
+            <tr key={p.label}>
+              <td>{p.label}</td>
+              <td>{Math.round(p.stated * 100)}%</td>
+              <td>{Math.round(p.observed * 100)}%</td>
+              <td>{p.total}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </figure>
+  );
+}
+
+ReliabilityDiagramComponent.propTypes = {
+  points: PropTypes.arrayOf(PropTypes.shape({
+    label: PropTypes.string.isRequired,
+    confidence: PropTypes.number,
+    stated: PropTypes.number.isRequired,
+    observed: PropTypes.number.isRequired,
+    total: PropTypes.number.isRequired
+  })).isRequired
+};
+
+export const ReliabilityDiagram = memo(ReliabilityDiagramComponent);
+export default ReliabilityDiagram;
@@ -1,12 +1,17 @@
 /**
  * RESULT PHASE
  * Displays result after verdict submission with feedback and stats
+ * (estimation rounds show the stated range and the true value instead,
+ * and pair rounds the side picked as AI-generated)
  */
 
 import { memo } from 'react';
 import PropTypes from 'prop-types';
+import { useTranslation } from 'react-i18next';
 import { Button } from './Button';
+import { SourceReview } from './SourceCards';
 import { ENCOURAGEMENTS } from '../data/constants';
+import { formatEstimate, formatLevel } from '../utils/estimation';
 
 /**
  * Result phase component showing outcome and feedback
@@ -19,48 +24,74 @@ function ResultPhaseComponent({
   calibrationTip,
   integrityPenalty,
   isLastRound,
+  sources,
+  openedSources = [],
+  tells = [],
+  unit = '',
   onNext
 }) {
+  const { t } = useTranslation();
   if (!resultData) return null;
 
+  // Near misses (e.g. MIXED on a FALSE claim) get their own partial-credit styling
+  const nearMiss = !resultData.correct && !!resultData.nearMiss;
+  const outcomeColor = resultData.correct ? 'var(--correct)' : nearMiss ? 'var(--accent-amber)' : 'var(--incorrect)';
+  const hasBadges = resultData.speedBonus || integrityPenalty < 0 || resultData.tellBonus > 0;
+
   return (
     <div
-      className={`animate-in ${resultData.correct ? 'animate-celebrate' : 'animate-shake'}`}
+      className={`animate-in ${resultData.correct ? 'animate-celebrate' : nearMiss ? '' : 'animate-shake'}`}
       style={{
         marginTop: '0.75rem',
-        background: resultData.correct ? 'rgba(16, 185, 129, 0.1)' : 'rgba(239, 68, 68, 0.1)',
-        border: `2px solid ${resultData.correct ? 'var(--correct)' : 'var(--incorrect)'}`,
+        background: resultData.correct
+          ? 'rgba(16, 185, 129, 0.1)'
+          : nearMiss ? 'rgba(251, 191, 36, 0.1)' : 'rgba(239, 68, 68, 0.1)',
+        border: `2px solid ${outcomeColor}`,
         borderRadius: '8px',
         padding: '1rem',
         textAlign: 'center'
       }}
     >
-      <div style={{ fontSize: '2rem', marginBottom: '0.25rem' }}>{resultData.correct ? '✓' : '✗'}</div>
+      <div style={{ fontSize: '2rem', marginBottom: '0.25rem' }}>{resultData.correct ? '✓' : nearMiss ? '◐' : '✗'}</div>
       <div
         className="mono"
         style={{
           fontSize: '1.125rem',
           fontWeight: 700,
-          color: resultData.correct ? 'var(--correct)' : 'var(--incorrect)',
+          color: outcomeColor,
           marginBottom: '0.25rem'
         }}
       >
-        {resultData.correct ? 'CORRECT!' : 'INCORRECT'}
+        {resultData.estimate
+          ? t(resultData.correct ? 'result.rangeCaught' : 'result.rangeMissed')
+          : resultData.pairPick
+          ? t(resultData.correct ? 'result.aiSpotted' : 'result.aiMissed')
+          : resultData.correct ? t('result.correct') : nearMiss ? t('result.partialCredit') : t('result.incorrect')}
       </div>
+      {resultData.estimate && (
+        <div style={{ fontSize: '0.8125rem', color: 'var(--text-secondary)', marginBottom: '0.25rem' }}>
+          {t('result.trueValue', { answer: formatEstimate(resultData.answer, unit) })}
+        </div>
+      )}
+      {nearMiss && resultData.answer && (
+        <div style={{ fontSize: '0.8125rem', color: 'var(--text-secondary)', marginBottom: '0.25rem' }}>
+          {t('result.answerWas', { answer: resultData.answer })}
+        </div>
+      )}
       <div
         className="mono"
         style={{
           fontSize: '1rem',
           color: resultData.points >= 0 ? 'var(--correct)' : 'var(--incorrect)',
-          marginBottom: resultData.speedBonus || integrityPenalty < 0 ? '0.375rem' : '0.5rem'
+          marginBottom: hasBadges ? '0.375rem' : '0.5rem'
         }}
       >
         {resultData.points >= 0 ? '+' : ''}
-        {resultData.points} points
+        {t('result.points', { points: resultData.points })}
       </div>
 
-      {/* Speed Bonus & Penalty - Combined inline */}
-      {(resultData.speedBonus || integrityPenalty < 0) && (
+      {/* Speed Bonus, Tell Bonus & Penalty - Combined inline */}
+      {hasBadges && (
         <div style={{ display: 'flex', gap: '0.5rem', justifyContent: 'center', flexWrap: 'wrap', marginBottom: '0.375rem' }}>
           {resultData.speedBonus && (
             <div
@@ -86,6 +117,20 @@ function ResultPhaseComponent({
               </span>
             </div>
           )}
+          {resultData.tellBonus > 0 && (
+            <div
+              style={{
+                padding: '0.375rem 0.625rem',
+                background: 'rgba(244, 63, 94, 0.12)',
+                border: '1px solid var(--accent-rose)',
+                borderRadius: '4px'
+              }}
+            >
+              <span className="mono" style={{ fontSize: '0.75rem', color: 'var(--accent-rose)', fontWeight: 600 }}>
+                {t('result.tellSpotted', { points: resultData.tellBonus })}
+              </span>
+            </div>
+          )}
           {integrityPenalty < 0 && (
             <div
               style={{
@@ -143,7 +188,9 @@ function ResultPhaseComponent({
       <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)', marginBottom: calibrationTip ? '0.5rem' : '0.75rem' }}>
         {resultData.forfeited
           ? `No answer submitted · Time: ${resultData.timeElapsed || 0}s`
-          : `${resultData.verdict} · ${'●'.repeat(resultData.confidence)} confidence${resultData.timeElapsed ? ` · ⏱️ ${resultData.timeElapsed}s` : ''}`
+          : resultData.estimate
+          ? `${formatEstimate(resultData.estimate.low, unit)} – ${formatEstimate(resultData.estimate.high, unit)} · ${formatLevel(resultData.estimate.level)} sure${resultData.timeElapsed ? ` · ⏱️ ${resultData.timeElapsed}s` : ''}`
+          : `${resultData.pairPick ? t('result.pickSummary', { side: resultData.pairPick }) : resultData.verdict} · ${typeof resultData.probability === 'number' ? `${Math.round(resultData.probability * 100)}% sure` : `${'●'.repeat(resultData.confidence)} confidence`}${resultData.timeElapsed ? ` · ⏱️ ${resultData.timeElapsed}s` : ''}`
         }
       </div>
 
@@ -165,9 +212,31 @@ function ResultPhaseComponent({
         </div>
       )}
 
+      {/* The phrases that gave the error away (claims with error spans) */}
+      {tells.length > 0 && (
+        <div style={{ marginBottom: '0.75rem', fontSize: '0.75rem', textAlign: 'left', color: 'var(--text-secondary)' }}>
+          <div className="mono" style={{ marginBottom: '0.25rem' }}>
+            <span aria-hidden="true">🎯</span> {t('result.theTell', { count: tells.length })}
+          </div>
+          <ul style={{ margin: 0, paddingLeft: '1.25rem' }}>
+            {tells.map(tell => (
+              <li key={tell.start}>
+                <span style={{ color: 'var(--text-primary)' }}>&ldquo;{tell.phrase}&rdquo;</span>
+                {tell.pattern && <> - {tell.pattern.name}</>}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Which source cards were trustworthy (lateral-reading claims) */}
+      {sources && sources.length > 0 && (
+        <SourceReview sources={sources} openedIds={openedSources} />
+      )}
+
       {/* Next Round Button */}
       <Button onClick={onNext} fullWidth>
-        {isLastRound ? '📊 See Final Results' : '➡️ Next Round'}
+        {isLastRound ? t('result.seeFinalResults') : t('result.nextRound')}
       </Button>
     </div>
   );
@@ -176,9 +245,19 @@ function ResultPhaseComponent({
 ResultPhaseComponent.propTypes = {
   resultData: PropTypes.shape({
     correct: PropTypes.bool.isRequired,
+    nearMiss: PropTypes.bool,
+    credit: PropTypes.number,
+    answer: PropTypes.oneOfType([PropTypes.oneOf(['TRUE', 'FALSE', 'MIXED', 'A', 'B']), PropTypes.number]),
     points: PropTypes.number.isRequired,
-    confidence: PropTypes.number.isRequired,
+    confidence: PropTypes.number, // null on estimation rounds
+    estimate: PropTypes.shape({
+      low: PropTypes.number.isRequired,
+      high: PropTypes.number.isRequired,
+      level: PropTypes.number.isRequired
+    }),
+    probability: PropTypes.number,
     verdict: PropTypes.oneOf(['TRUE', 'FALSE', 'MIXED']),
+    pairPick: PropTypes.oneOf(['A', 'B']),
     speedBonus: PropTypes.shape({
       tier: PropTypes.string,
       icon: PropTypes.string,
@@ -187,13 +266,22 @@ ResultPhaseComponent.propTypes = {
     }),
     forfeited: PropTypes.bool,
     forfeitReason: PropTypes.oneOf(['tab-switch', 'time-out']),
-    timeElapsed: PropTypes.number
+    timeElapsed: PropTypes.number,
+    tellBonus: PropTypes.number
   }),
   currentStreak: PropTypes.number,
   encouragement: PropTypes.string,
   calibrationTip: PropTypes.string,
   integrityPenalty: PropTypes.number,
   isLastRound: PropTypes.bool.isRequired,
+  sources: PropTypes.arrayOf(PropTypes.object),
+  openedSources: PropTypes.arrayOf(PropTypes.string),
+  tells: PropTypes.arrayOf(PropTypes.shape({
+    phrase: PropTypes.string.isRequired,
+    start: PropTypes.number.isRequired,
+    pattern: PropTypes.shape({ name: PropTypes.string })
+  })),
+  unit: PropTypes.string,
   onNext: PropTypes.func.isRequired
 };
 
@@ -202,7 +290,11 @@ ResultPhaseComponent.defaultProps = {
   currentStreak: 0,
   encouragement: '',
   calibrationTip: null,
-  integrityPenalty: 0
+  integrityPenalty: 0,
+  sources: null,
+  openedSources: [],
+  tells: [],
+  unit: ''
 };
 
 // Memoize to prevent re-renders - improves Chromebook performance during gameplay
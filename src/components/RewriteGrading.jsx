@@ -0,0 +1,366 @@
+/**
+ * REWRITE GRADING COMPONENT
+ * For teacher tools - grade students' "fix the claim" rewrites with a rubric
+ * The rubric total is shown as a rewrite bonus beside the team's game on the class leaderboard.
+ */
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { Button } from './Button';
+import { FirebaseBackend } from '../services/firebase';
+import { CLAIM_REWRITES } from '../data/constants';
+import { calculateRewriteBonus } from '../utils/scoring';
+import { logger } from '../utils/logger';
+
+export function RewriteGrading({ classCode }) {
+  const [pendingRewrites, setPendingRewrites] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [processingId, setProcessingId] = useState(null);
+  const isMountedRef = useRef(true);
+
+  useEffect(() => {
+    return () => {
+      isMountedRef.current = false;
+    };
+  }, []);
+
+  const loadPendingRewrites = useCallback(async () => {
+    if (!isMountedRef.current) return;
+    setLoading(true);
+    setError(null);
+
+    try {
+      const rewrites = await FirebaseBackend.getPendingRewrites(classCode);
+      if (isMountedRef.current) {
+        setPendingRewrites(rewrites || []);
+      }
+    } catch (err) {
+      if (isMountedRef.current) {
+        setError(`Failed to load rewrites: ${err.message}`);
+        logger.error('Error loading rewrites:', err);
+      }
+    } finally {
+      if (isMountedRef.current) {
+        setLoading(false);
+      }
+    }
+  }, [classCode]);
+
+  // Fetch pending rewrites from Firebase
+  useEffect(() => {
+    if (!FirebaseBackend.initialized) {
+      setLoading(false);
+      return;
+    }
+
+    loadPendingRewrites();
+  }, [loadPendingRewrites]);
+
+  const handleGrade = async (rewrite, rubricScores, note) => {
+    if (!isMountedRef.current) return;
+    setProcessingId(rewrite.id);
+
+    try {
+      const result = await FirebaseBackend.gradeRewrite(rewrite, rubricScores, note);
+      if (!result?.success) {
+        throw new Error(result?.error || 'Unknown error');
+      }
+      if (isMountedRef.current) {
+        setPendingRewrites(prev => prev.filter(r => r.id !== rewrite.id));
+      }
+    } catch (err) {
+      if (isMountedRef.current) {
+        setError(`Failed to grade rewrite: ${err.message}`);
+      }
+    } finally {
+      if (isMountedRef.current) {
+        setProcessingId(null);
+      }
+    }
+  };
+
+  if (!FirebaseBackend.initialized) {
+    return (
+      <div style={{ padding: '2rem', textAlign: 'center' }}>
+        <p style={{ color: 'var(--text-muted)' }}>
+          🔌 Firebase not configured. Grading claim rewrites requires Firebase setup.
+        </p>
+      </div>
+    );
+  }
+
+  if (loading) {
+    return (
+      <div style={{ padding: '2rem', textAlign: 'center' }}>
+        <p style={{ color: 'var(--text-muted)' }}>Loading claim rewrites...</p>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div style={{ padding: '2rem' }}>
+        <div style={{
+          background: 'rgba(239, 68, 68, 0.1)',
+          border: '1px solid var(--incorrect)',
+          borderRadius: '8px',
+          padding: '1rem',
+          color: 'var(--incorrect)'
+        }}>
+          <strong>Error:</strong> {error}
+        </div>
+        <Button onClick={loadPendingRewrites} style={{ marginTop: '1rem' }}>
+          Retry
+        </Button>
+      </div>
+    );
+  }
+
+  if (pendingRewrites.length === 0) {
+    return (
+      <div style={{ padding: '2rem', textAlign: 'center' }}>
+        <div style={{ fontSize: '3rem', marginBottom: '1rem' }}>✓</div>
+        <h3 className="mono" style={{ color: 'var(--correct)', marginBottom: '0.5rem' }}>
+          All Caught Up!
+        </h3>
+        <p style={{ color: 'var(--text-muted)' }}>
+          No claim rewrites to grade.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ padding: '1rem' }}>
+      <div style={{ marginBottom: '1.5rem' }}>
+        <h2 className="mono" style={{ fontSize: '1.25rem', color: 'var(--accent-cyan)', marginBottom: '0.5rem' }}>
+          ✏️ Claim Rewrites ({pendingRewrites.length})
+        </h2>
+        <p style={{ fontSize: '0.875rem', color: 'var(--text-muted)' }}>
+          Grade students&apos; corrected claims. The rubric total is shown as a bonus beside the team&apos;s leaderboard score.
+        </p>
+      </div>
+
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '1rem' }}>
+        {pendingRewrites.map((rewrite) => (
+          <RewriteGradeCard
+            key={rewrite.id}
+            rewrite={rewrite}
+            onGrade={(scores, note) => handleGrade(rewrite, scores, note)}
+            isProcessing={processingId === rewrite.id}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+RewriteGrading.propTypes = {
+  classCode: PropTypes.string
+};
+
+function RewriteGradeCard({ rewrite, onGrade, isProcessing }) {
+  const [scores, setScores] = useState({});
+  const [note, setNote] = useState('');
+  const [isExpanded, setIsExpanded] = useState(false);
+
+  const isComplete = CLAIM_REWRITES.RUBRIC.every(({ id }) => typeof scores[id] === 'number');
+  const bonus = calculateRewriteBonus(scores);
+
+  return (
+    <div style={{
+      background: 'var(--bg-card)',
+      border: '1px solid var(--border)',
+      borderRadius: '12px',
+      padding: '1.5rem',
+      position: 'relative'
+    }}>
+      {/* Rewrite Header */}
+      <div style={{ marginBottom: '1rem' }}>
+        <span className="mono" style={{
+          fontSize: '0.75rem',
+          color: 'var(--text-muted)',
+          display: 'block',
+          marginBottom: '0.25rem'
+        }}>
+          {rewrite.teamAvatar} {rewrite.teamName || 'Team'} • {new Date(rewrite.timestamp).toLocaleDateString()}
+          {rewrite.round ? ` • Round ${rewrite.round}` : ''}
+        </span>
+        {rewrite.verdict && (
+          <span style={{
+            padding: '0.25rem 0.5rem',
+            background: 'rgba(239, 68, 68, 0.2)',
+            border: '1px solid var(--incorrect)',
+            borderRadius: '4px',
+            fontSize: '0.75rem',
+            color: 'var(--incorrect)'
+          }}>
+            Judged {rewrite.verdict}
+          </span>
+        )}
+      </div>
+
+      {/* Original and Rewritten Claim */}
+      <div style={{
+        background: 'var(--bg-elevated)',
+        padding: '1rem',
+        borderRadius: '8px',
+        marginBottom: '1rem'
+      }}>
+        <div className="mono" style={{ fontSize: '0.75rem', color: 'var(--text-muted)', marginBottom: '0.25rem' }}>
+          Original
+        </div>
+        <p style={{ fontSize: '0.875rem', lineHeight: 1.6, color: 'var(--text-secondary)', marginBottom: '0.75rem' }}>
+          &ldquo;{rewrite.claimText}&rdquo;
+        </p>
+        <div className="mono" style={{ fontSize: '0.75rem', color: 'var(--accent-emerald)', marginBottom: '0.25rem' }}>
+          Rewrite
+        </div>
+        <p style={{ fontSize: '1rem', lineHeight: 1.6, color: 'var(--text-primary)' }}>
+          &ldquo;{rewrite.rewrite}&rdquo;
+        </p>
+      </div>
+
+      {/* Expandable Details */}
+      <button
+        onClick={() => setIsExpanded(!isExpanded)}
+        style={{
+          background: 'transparent',
+          border: 'none',
+          color: 'var(--accent-cyan)',
+          fontSize: '0.875rem',
+          cursor: 'pointer',
+          marginBottom: '1rem',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '0.5rem'
+        }}
+      >
+        <span>{isExpanded ? '▼' : '▶'}</span>
+        {isExpanded ? 'Hide Details' : 'Show Details'}
+      </button>
+
+      {isExpanded && (
+        <div style={{
+          background: 'var(--bg-elevated)',
+          padding: '1rem',
+          borderRadius: '8px',
+          marginBottom: '1rem',
+          fontSize: '0.875rem'
+        }}>
+          <div style={{ marginBottom: '0.75rem' }}>
+            <strong style={{ color: 'var(--text-secondary)' }}>Correct answer:</strong>
+            <p style={{ marginTop: '0.25rem', color: 'var(--text-muted)' }}>
+              {rewrite.claimAnswer || '(Unknown)'}
+            </p>
+          </div>
+          <div>
+            <strong style={{ color: 'var(--text-secondary)' }}>Student reasoning:</strong>
+            <p style={{ marginTop: '0.25rem', color: 'var(--text-muted)' }}>
+              {rewrite.reasoning || '(No reasoning provided)'}
+            </p>
+          </div>
+        </div>
+      )}
+
+      {/* Rubric */}
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '0.75rem', marginBottom: '1rem' }}>
+        {CLAIM_REWRITES.RUBRIC.map((criterion) => (
+          <div key={criterion.id} role="group" aria-label={criterion.name}>
+            <div style={{ fontSize: '0.875rem', color: 'var(--text-primary)', fontWeight: 600 }}>
+              {criterion.name}
+            </div>
+            <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)', marginBottom: '0.375rem' }}>
+              {criterion.description}
+            </div>
+            <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+              {CLAIM_REWRITES.LEVEL_NAMES.map((levelName, level) => {
+                const isSelected = scores[criterion.id] === level;
+                return (
+                  <button
+                    key={level}
+                    onClick={() => setScores(prev => ({ ...prev, [criterion.id]: level }))}
+                    disabled={isProcessing}
+                    aria-pressed={isSelected}
+                    className="mono"
+                    style={{
+                      padding: '0.375rem 0.75rem',
+                      minHeight: '36px',
+                      background: isSelected ? 'var(--accent-cyan)' : 'var(--bg-elevated)',
+                      color: isSelected ? 'var(--bg-deep)' : 'var(--text-secondary)',
+                      border: `1px solid ${isSelected ? 'var(--accent-cyan)' : 'var(--border)'}`,
+                      borderRadius: '6px',
+                      fontSize: '0.75rem',
+                      fontWeight: 600,
+                      cursor: isProcessing ? 'default' : 'pointer'
+                    }}
+                  >
+                    {levelName} ({level})
+                  </button>
+                );
+              })}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <textarea
+        value={note}
+        onChange={(e) => setNote(e.target.value)}
+        placeholder="Optional feedback for the team"
+        aria-label="Feedback for the team"
+        rows={2}
+        maxLength={500}
+        style={{
+          width: '100%',
+          padding: '0.75rem',
+          background: 'var(--bg-elevated)',
+          border: '1px solid var(--border)',
+          borderRadius: '6px',
+          color: 'var(--text-primary)',
+          fontSize: '0.875rem',
+          fontFamily: 'inherit',
+          resize: 'vertical',
+          marginBottom: '1rem'
+        }}
+      />
+
+      {/* Action Buttons */}
+      <div style={{ display: 'flex', gap: '0.75rem', justifyContent: 'flex-end' }}>
+        <Button
+          onClick={() => onGrade(scores, note)}
+          disabled={isProcessing || !isComplete}
+          style={{
+            padding: '0.625rem 1rem',
+            background: 'var(--correct)',
+            border: 'none',
+            color: 'white',
+            fontSize: '0.875rem',
+            fontWeight: 600,
+            opacity: isComplete ? 1 : 0.5
+          }}
+        >
+          {isProcessing ? 'Saving...' : `✓ Award +${bonus} pts`}
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+RewriteGradeCard.propTypes = {
+  rewrite: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    teamName: PropTypes.string,
+    teamAvatar: PropTypes.string,
+    timestamp: PropTypes.number,
+    round: PropTypes.number,
+    verdict: PropTypes.string,
+    claimText: PropTypes.string,
+    claimAnswer: PropTypes.string,
+    rewrite: PropTypes.string.isRequired,
+    reasoning: PropTypes.string
+  }).isRequired,
+  onGrade: PropTypes.func.isRequired,
+  isProcessing: PropTypes.bool
+};
@@ -0,0 +1,99 @@
+/**
+ * RewriteGrading Component Tests
+ * Tests the teacher queue for grading "fix the claim" rewrites
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, waitFor, fireEvent } from '@testing-library/react';
+
+// Mock Firebase backend
+vi.mock('../services/firebase', () => ({
+  FirebaseBackend: {
+    initialized: true,
+    getPendingRewrites: vi.fn(),
+    gradeRewrite: vi.fn()
+  }
+}));
+
+import { RewriteGrading } from './RewriteGrading';
+import { FirebaseBackend } from '../services/firebase';
+
+describe('RewriteGrading', () => {
+  const mockRewrites = [
+    {
+      id: 'rewrite-1',
+      teamName: 'Fact Finders',
+      teamAvatar: '🦉',
+      timestamp: Date.now(),
+      round: 2,
+      verdict: 'FALSE',
+      claimText: 'Water boils at 50°C at sea level',
+      claimAnswer: 'FALSE',
+      rewrite: 'Water boils at 100°C at sea level',
+      reasoning: 'It boils at 100'
+    }
+  ];
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    FirebaseBackend.getPendingRewrites.mockResolvedValue(mockRewrites);
+    FirebaseBackend.gradeRewrite.mockResolvedValue({ success: true, bonus: 5 });
+  });
+
+  it('loads and shows the original claim next to the rewrite', async () => {
+    render(<RewriteGrading classCode="TEST123" />);
+
+    await waitFor(() => {
+      expect(FirebaseBackend.getPendingRewrites).toHaveBeenCalledWith('TEST123');
+      expect(screen.getByText(/Claim Rewrites \(1\)/)).toBeInTheDocument();
+    });
+    expect(screen.getByText(/Water boils at 50°C/)).toBeInTheDocument();
+    expect(screen.getByText(/Water boils at 100°C/)).toBeInTheDocument();
+  });
+
+  it('awards the rubric total once every criterion is scored', async () => {
+    render(<RewriteGrading classCode="TEST123" />);
+    await waitFor(() => expect(screen.getByText(/Claim Rewrites/)).toBeInTheDocument());
+
+    const award = screen.getByRole('button', { name: /Award/ });
+    expect(award).toBeDisabled();
+
+    fireEvent.click(screen.getAllByRole('button', { name: /Yes \(2\)/ })[0]);
+    fireEvent.click(screen.getAllByRole('button', { name: /Yes \(2\)/ })[1]);
+    fireEvent.click(screen.getAllByRole('button', { name: /Partly \(1\)/ })[2]);
+    expect(screen.getByRole('button', { name: /Award \+5 pts/ })).toBeEnabled();
+
+    fireEvent.click(screen.getByRole('button', { name: /Award \+5 pts/ }));
+
+    await waitFor(() => {
+      expect(FirebaseBackend.gradeRewrite).toHaveBeenCalledWith(
+        mockRewrites[0],
+        { accurate: 2, targeted: 2, precise: 1 },
+        ''
+      );
+      expect(screen.getByText(/No claim rewrites to grade/)).toBeInTheDocument();
+    });
+  });
+
+  it('keeps the rewrite and shows the error when grading fails', async () => {
+    FirebaseBackend.gradeRewrite.mockResolvedValue({ success: false, error: 'Rewrite was already graded' });
+    render(<RewriteGrading classCode="TEST123" />);
+    await waitFor(() => expect(screen.getByText(/Claim Rewrites/)).toBeInTheDocument());
+
+    screen.getAllByRole('button', { name: /Not yet \(0\)/ }).forEach(button => fireEvent.click(button));
+    fireEvent.click(screen.getByRole('button', { name: /Award \+0 pts/ }));
+
+    await waitFor(() => {
+      expect(screen.getByText(/Rewrite was already graded/)).toBeInTheDocument();
+    });
+  });
+
+  it('shows a message when there is nothing to grade', async () => {
+    FirebaseBackend.getPendingRewrites.mockResolvedValue([]);
+    render(<RewriteGrading classCode="TEST123" />);
+
+    await waitFor(() => {
+      expect(screen.getByText(/No claim rewrites to grade/)).toBeInTheDocument();
+    });
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * SCORE LEDGER
+ * Itemized "How was my score calculated?" view built from recomputeScore()
+ */
+
+import { memo } from 'react';
+import PropTypes from 'prop-types';
+import { SCORING_PROFILES } from '../data/constants';
+import { formatEstimate, formatLevel } from '../utils/estimation';
+
+const formatSigned = (value) => `${value > 0 ? '+' : ''}${value}`;
+
+// Base points can be fractional in probability mode
+const formatBase = (value) => formatSigned(Math.round(value * 10) / 10);
+
+/**
+ * Describe how a round's points were reached, e.g. "+3 × 1.5 difficulty × 1.25 speed − 2 integrity"
+ */
+function describeRound(entry) {
+  if (entry.forfeited) return 'Forfeited round';
+
+  const parts = [formatBase(entry.basePoints)];
+  if (entry.credit > 0 && entry.credit < 1) parts.push(`(${Math.round(entry.credit * 100)}% credit)`);
+  if (entry.difficultyMultiplier !== 1) parts.push(`× ${entry.difficultyMultiplier} difficulty`);
+  if (entry.speedMultiplier !== 1) parts.push(`× ${entry.speedMultiplier} speed`);
+  if (entry.integrityPenalty) parts.push(`${entry.integrityPenalty} integrity`);
+  if (entry.tellBonus) parts.push(`+ ${entry.tellBonus} tell`);
+  return parts.join(' ');
+}
+
+function describeStake(entry) {
+  if (entry.estimate) return `${formatLevel(entry.estimate.level)} range`;
+  if (entry.probability !== null) return `${Math.round(entry.probability * 100)}% sure`;
+  return `${'●'.repeat(entry.confidence || 0)} confidence`;
+}
+
+function ScoreLedgerComponent({ ledger }) {
+  const profile = SCORING_PROFILES[ledger.scoringProfile];
+
+  const rowStyle = {
+    display: 'flex',
+    justifyContent: 'space-between',
+    gap: '0.75rem',
+    padding: '0.375rem 0',
+    fontSize: '0.8125rem'
+  };
+
+  return (
+    <div>
+      <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)', marginBottom: '0.75rem' }}>
+        Scoring: {profile?.icon} {profile?.name || ledger.scoringProfile} · Difficulty: {ledger.difficulty}
+      </div>
+
+      <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+        <caption className="sr-only">Points earned each round</caption>
+        <thead>
+          <tr className="mono" style={{ fontSize: '0.6875rem', color: 'var(--text-muted)', textAlign: 'left' }}>
+            <th scope="col" style={{ padding: '0.25rem' }}>Round</th>
+            <th scope="col" style={{ padding: '0.25rem' }}>Answer</th>
+            <th scope="col" style={{ padding: '0.25rem' }}>Calculation</th>
+            <th scope="col" style={{ padding: '0.25rem', textAlign: 'right' }}>Points</th>
+          </tr>
+        </thead>
+        <tbody>
+          {ledger.rounds.map(entry => (
+            <tr key={entry.round} style={{ borderTop: '1px solid var(--border)', fontSize: '0.75rem', verticalAlign: 'top' }}>
+              <td className="mono" style={{ padding: '0.375rem 0.25rem', color: 'var(--text-muted)' }}>{entry.round}</td>
+              <td style={{ padding: '0.375rem 0.25rem', color: 'var(--text-secondary)' }}>
+                <span style={{ color: entry.correct ? 'var(--correct)' : entry.credit > 0 ? 'var(--accent-amber)' : 'var(--incorrect)' }}>
+                  {entry.correct ? '✓' : entry.credit > 0 ? '◐' : '✗'}
+                </span>{' '}
+                {entry.estimate ? (
+                  <>
+                    {formatEstimate(entry.estimate.low)}–{formatEstimate(entry.estimate.high)}
+                    {entry.answer !== null && ` (was ${formatEstimate(entry.answer)})`}
+                  </>
+                ) : entry.pairPick ? (
+                  <>
+                    {entry.pairPick} is AI
+                    {entry.answer && entry.pairPick !== entry.answer && ` (was ${entry.answer})`}
+                  </>
+                ) : (
+                  <>
+                    {entry.verdict || '—'}
+                    {entry.answer && entry.verdict !== entry.answer && ` (was ${entry.answer})`}
+                  </>
+                )}
+                <div style={{ color: 'var(--text-muted)' }}>{describeStake(entry)}</div>
+              </td>
+              <td className="mono" style={{ padding: '0.375rem 0.25rem', color: 'var(--text-secondary)' }}>
+                {describeRound(entry)}
+                {entry.hints.map(hint => (
+                  <div key={hint.id} style={{ color: 'var(--text-muted)' }}>
+                    {hint.cost > 0 ? `− ${hint.cost}` : 'Free'} {hint.name} hint
+                  </div>
+                ))}
+              </td>
+              <td className="mono" style={{ padding: '0.375rem 0.25rem', textAlign: 'right', fontWeight: 600 }}>
+                <span style={{ color: entry.points >= 0 ? 'var(--correct)' : 'var(--incorrect)' }}>
+                  {formatSigned(entry.points)}
+                </span>
+                {entry.hintCost > 0 && (
+                  <div style={{ color: 'var(--incorrect)', fontWeight: 400 }}>−{entry.hintCost}</div>
+                )}
+                {entry.matchesRecorded === false && (
+                  <div style={{ color: 'var(--accent-amber)', fontWeight: 400 }} title="Points recorded during the game">
+                    recorded {formatSigned(entry.recordedPoints)}
+                  </div>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="mono" style={{ marginTop: '0.75rem', borderTop: '1px solid var(--border)', paddingTop: '0.5rem' }}>
+        <div style={rowStyle}>
+          <span style={{ color: 'var(--text-secondary)' }}>Round points</span>
+          <span>{formatSigned(ledger.roundTotal)}</span>
+        </div>
+        {ledger.hintTotal > 0 && (
+          <div style={rowStyle}>
+            <span style={{ color: 'var(--text-secondary)' }}>Hints used</span>
+            <span>−{ledger.hintTotal}</span>
+          </div>
+        )}
+        <div style={rowStyle}>
+          <span style={{ color: 'var(--text-secondary)' }}>
+            Prediction bonus (guessed {ledger.predictedScore}, within 2)
+          </span>
+          <span>{formatSigned(ledger.calibrationBonus)}</span>
+        </div>
+        <div style={{ ...rowStyle, fontWeight: 700, fontSize: '0.9375rem', color: 'var(--accent-cyan)' }}>
+          <span>Final score</span>
+          <span>{ledger.total}</span>
+        </div>
+      </div>
+
+      {ledger.verified !== null && (
+        <div
+          role="status"
+          style={{
+            marginTop: '0.5rem',
+            fontSize: '0.75rem',
+            color: ledger.verified ? 'var(--correct)' : 'var(--accent-amber)'
+          }}
+        >
+          {ledger.verified
+            ? '✓ Recomputed from your answers - matches the score recorded during the game.'
+            : '⚠ Recomputed total differs from the score recorded during the game. Ask your teacher to review.'}
+        </div>
+      )}
+    </div>
+  );
+}
+
+ScoreLedgerComponent.propTypes = {
+  ledger: PropTypes.shape({
+    scoringProfile: PropTypes.string.isRequired,
+    difficulty: PropTypes.string.isRequired,
+    rounds: PropTypes.arrayOf(PropTypes.shape({
+      round: PropTypes.number.isRequired,
+      verdict: PropTypes.string,
+      pairPick: PropTypes.oneOf(['A', 'B']),
+      answer: PropTypes.string,
+      correct: PropTypes.bool.isRequired,
+      credit: PropTypes.number,
+      confidence: PropTypes.number,
+      probability: PropTypes.number,
+      forfeited: PropTypes.bool.isRequired,
+      basePoints: PropTypes.number.isRequired,
+      points: PropTypes.number.isRequired,
+      hints: PropTypes.array.isRequired,
+      hintCost: PropTypes.number.isRequired,
+      recordedPoints: PropTypes.number,
+      matchesRecorded: PropTypes.bool
+    })).isRequired,
+    roundTotal: PropTypes.number.isRequired,
+    hintTotal: PropTypes.number.isRequired,
+    predictedScore: PropTypes.number.isRequired,
+    calibrationBonus: PropTypes.number.isRequired,
+    total: PropTypes.number.isRequired,
+    verified: PropTypes.bool
+  }).isRequired
+};
+
+export const ScoreLedger = memo(ScoreLedgerComponent);
+export default ScoreLedger;
@@ -11,23 +11,30 @@ import { ScrollingLeaderboard } from './ScrollingLeaderboard';
 import { SoloStatsView } from './SoloStatsView';
 import { ClaimSubmissionForm } from './ClaimSubmissionForm';
 import { StudentClaimNotifications } from './StudentClaimNotifications';
-import { TEAM_AVATARS, DIFFICULTY_CONFIG, EDUCATIONAL_TIPS } from '../data/constants';
-import { getSubjects } from '../data/subjects';
+import { GameCodePanel } from './GameCodePanel';
+import { LanguageSelector } from './LanguageSelector';
+import { TEAM_AVATARS, DIFFICULTY_CONFIG, EDUCATIONAL_TIPS, SCORING_PROFILES, DEFAULT_SCORING_PROFILE, ROUND_FORMATS, DEFAULT_ROUND_FORMAT } from '../data/constants';
+import { SUBJECTS, ALL_SUBJECTS, resolveSubjectId } from '../data/subjects';
+import { AI_ERROR_PATTERNS } from '../data/errorPatterns';
 import { SoundManager } from '../services/sound';
 import { PlayerProfile } from '../services/playerProfile';
 import { validateName, isContentAppropriate, sanitizeInput } from '../utils/moderation';
 import { sanitizeUserContent } from '../utils/sanitize';
+import { parseGameCode } from '../utils/gameCode';
 import { getRandomItem, getUnseenClaimStats } from '../utils/helpers';
 import { preloadClaims } from '../data/claimsLoader';
 
-// Get all available subjects
-const ALL_SUBJECTS = getSubjects();
+// Saved settings from older versions store subject names ('Biology') instead of ids
+function toSubjectIds(subjects = []) {
+  return [...new Set(subjects.map(resolveSubjectId))].filter(id => ALL_SUBJECTS.includes(id));
+}
 
 export function SetupScreen({ onStart, isLoading = false }) {
   // Check if returning solo player
   const existingProfile = useMemo(() => PlayerProfile.get(), []);
   const isReturningPlayer = existingProfile.stats.totalGames > 0;
   const quickStartSettings = useMemo(() => PlayerProfile.getQuickStartSettings(), []);
+  const reviewSummary = useMemo(() => PlayerProfile.getReviewSummary(), []);
 
   // Calculate unseen claims for returning players (async - use state instead of useMemo)
   const [unseenStats, setUnseenStats] = useState(null);
@@ -48,6 +55,11 @@ export function SetupScreen({ onStart, isLoading = false }) {
   const [teamName, setTeamName] = useState(isReturningPlayer ? quickStartSettings.playerName : '');
   const [rounds, setRounds] = useState(isReturningPlayer ? quickStartSettings.rounds : 5);
   const [difficulty, setDifficulty] = useState(isReturningPlayer ? quickStartSettings.difficulty : 'mixed');
+  const [scoringProfile, setScoringProfile] = useState(
+    isReturningPlayer && SCORING_PROFILES[quickStartSettings.scoringProfile]
+      ? quickStartSettings.scoringProfile
+      : DEFAULT_SCORING_PROFILE
+  );
   const [selectedAvatar, setSelectedAvatar] = useState(
     isReturningPlayer && quickStartSettings.avatar
       ? quickStartSettings.avatar
@@ -56,6 +68,10 @@ export function SetupScreen({ onStart, isLoading = false }) {
   const [soundEnabled, setSoundEnabled] = useState(
     isReturningPlayer ? quickStartSettings.soundEnabled : true
   );
+  const [reviewMode, setReviewMode] = useState(false);
+  const [roundFormat, setRoundFormat] = useState(DEFAULT_ROUND_FORMAT);
+  const [gameCode, setGameCode] = useState('');
+  const [errorPatterns, setErrorPatterns] = useState([]);
   const [showHowToPlay, setShowHowToPlay] = useState(false);
   const [showLeaderboard, setShowLeaderboard] = useState(false);
   const [showSoloStats, setShowSoloStats] = useState(false);
@@ -63,7 +79,7 @@ export function SetupScreen({ onStart, isLoading = false }) {
   const [showMySubmissions, setShowMySubmissions] = useState(false);
   const [validationError, setValidationError] = useState('');
   const [selectedSubjects, setSelectedSubjects] = useState(
-    isReturningPlayer ? (quickStartSettings.subjects || []) : []
+    isReturningPlayer ? toSubjectIds(quickStartSettings.subjects) : []
   );
 
   // Calculate available claims for selected subjects (warn if too few) - async
@@ -88,15 +104,18 @@ export function SetupScreen({ onStart, isLoading = false }) {
   ]);
   const MAX_PLAYERS = 6;
 
-  // Initialize sound manager and preload claims database
+  // Initialize sound manager
   useEffect(() => {
     SoundManager.init();
-
-    // Preload claims database in background for better performance
-    // This happens during setup phase when user is configuring their team
-    preloadClaims();
   }, []);
 
+  // Preload the chosen subjects' claims in background for better performance
+  // This happens during setup phase when user is configuring their team
+  useEffect(() => {
+    preloadClaims(selectedSubjects);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [selectedSubjects.length]); // Use length to avoid array reference changes
+
   // Quick Solo Start - uses saved preferences
   const handleQuickSoloStart = () => {
     const playerName = quickStartSettings.playerName || 'Solo Hunter';
@@ -107,6 +126,7 @@ export function SetupScreen({ onStart, isLoading = false }) {
       avatar: quickStartSettings.avatar || TEAM_AVATARS[0],
       soundEnabled: quickStartSettings.soundEnabled !== false,
       subjects: quickStartSettings.subjects || [],
+      scoringProfile: quickStartSettings.scoringProfile || DEFAULT_SCORING_PROFILE,
       players: [{ firstName: playerName, lastInitial: '' }],
       isSoloMode: true
     });
@@ -164,14 +184,26 @@ export function SetupScreen({ onStart, isLoading = false }) {
       }
     }
 
+    // A game code replaces the difficulty, subjects and rounds picked below
+    const sharedGame = gameCode.trim() ? parseGameCode(gameCode) : null;
+    if (sharedGame && !sharedGame.isValid) {
+      setValidationError(sharedGame.error);
+      return;
+    }
+
     setValidationError('');
     onStart({
       teamName: teamValidation.cleaned,
-      rounds,
-      difficulty,
+      rounds: sharedGame ? sharedGame.settings.rounds : rounds,
+      difficulty: sharedGame ? sharedGame.settings.difficulty : difficulty,
       avatar: selectedAvatar,
       soundEnabled,
-      subjects: selectedSubjects,
+      subjects: sharedGame ? sharedGame.settings.subjects : selectedSubjects,
+      scoringProfile,
+      reviewMode: reviewMode && reviewSummary.due > 0,
+      errorPatterns,
+      roundFormat,
+      ...(sharedGame && { gameCode: sharedGame.code, gameSeed: sharedGame.settings.seed }),
       players: playersWithNames.map((p) => ({
         firstName: sanitizeInput(p.firstName),
         lastInitial: sanitizeInput(p.lastInitial)
@@ -189,12 +221,19 @@ export function SetupScreen({ onStart, isLoading = false }) {
     });
   }, []); // No dependencies - uses functional update
 
+  const toggleErrorPattern = useCallback((patternId) => {
+    setErrorPatterns(prev => (prev.includes(patternId)
+      ? prev.filter(id => id !== patternId)
+      : [...prev, patternId]));
+  }, []);
+
   // Difficulty background colors
   const difficultyBgColors = {
     easy: 'rgba(52, 211, 153, 0.15)',
     medium: 'rgba(251, 191, 36, 0.15)',
     hard: 'rgba(251, 113, 133, 0.15)',
-    mixed: 'rgba(167, 139, 250, 0.15)'
+    mixed: 'rgba(167, 139, 250, 0.15)',
+    adaptive: 'rgba(34, 211, 238, 0.15)'
   };
 
   // Delegate to LeaderboardView component
@@ -387,6 +426,19 @@ export function SetupScreen({ onStart, isLoading = false }) {
               🌟 You&apos;ve seen all {unseenStats.total} claims! Ready for a fresh challenge?
             </div>
           )}
+          {/* Spaced repetition indicator */}
+          {reviewSummary.due > 0 && (
+            <div style={{
+              marginTop: '0.5rem',
+              padding: '0.375rem 0.75rem',
+              background: 'rgba(251, 191, 36, 0.1)',
+              borderRadius: '6px',
+              fontSize: '0.75rem',
+              color: 'var(--accent-amber)'
+            }}>
+              🔁 {reviewSummary.due} missed {reviewSummary.due === 1 ? 'claim is' : 'claims are'} due for review
+            </div>
+          )}
         </div>
       )}
 
@@ -689,6 +741,199 @@ export function SetupScreen({ onStart, isLoading = false }) {
         </div>
       </div>
 
+      {/* Scoring Profile */}
+      <div
+        className="animate-in"
+        style={{
+          background: 'var(--bg-card)',
+          border: '1px solid var(--border)',
+          borderRadius: '12px',
+          padding: '1rem',
+          marginBottom: '0.75rem'
+        }}
+      >
+        <label className="mono" style={{ display: 'block', fontSize: '0.75rem', color: 'var(--text-muted)', marginBottom: '0.5rem' }}>
+          SCORING
+        </label>
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '0.375rem' }}>
+          {Object.values(SCORING_PROFILES).map((profile) => (
+            <button
+              key={profile.id}
+              onClick={() => setScoringProfile(profile.id)}
+              aria-pressed={scoringProfile === profile.id}
+              title={profile.description}
+              style={{
+                padding: '0.625rem',
+                background: scoringProfile === profile.id ? 'rgba(34, 211, 238, 0.15)' : 'var(--bg-elevated)',
+                border: `2px solid ${scoringProfile === profile.id ? 'var(--accent-cyan)' : 'var(--border)'}`,
+                borderRadius: '6px',
+                cursor: 'pointer',
+                textAlign: 'left'
+              }}
+            >
+              <div style={{ display: 'flex', alignItems: 'center', gap: '0.375rem' }}>
+                <span style={{ fontSize: '0.875rem' }}>{profile.icon}</span>
+                <span
+                  className="mono"
+                  style={{
+                    fontSize: '0.75rem',
+                    fontWeight: 600,
+                    color: scoringProfile === profile.id ? 'var(--accent-cyan)' : 'var(--text-primary)'
+                  }}
+                >
+                  {profile.name}
+                </span>
+              </div>
+            </button>
+          ))}
+        </div>
+        <div style={{ marginTop: '0.375rem', fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+          {SCORING_PROFILES[scoringProfile]?.description}
+        </div>
+      </div>
+
+      {/* Review Mode - only once the player has missed claims to review */}
+      {reviewSummary.total > 0 && (
+        <div
+          className="animate-in"
+          style={{
+            background: 'var(--bg-card)',
+            border: '1px solid var(--border)',
+            borderRadius: '12px',
+            padding: '1rem',
+            marginBottom: '0.75rem'
+          }}
+        >
+          <button
+            onClick={() => setReviewMode(!reviewMode)}
+            disabled={reviewSummary.due === 0}
+            aria-pressed={reviewMode && reviewSummary.due > 0}
+            style={{
+              width: '100%',
+              padding: '0.625rem',
+              background: reviewMode && reviewSummary.due > 0 ? 'rgba(251, 191, 36, 0.15)' : 'var(--bg-elevated)',
+              border: `2px solid ${reviewMode && reviewSummary.due > 0 ? 'var(--accent-amber)' : 'var(--border)'}`,
+              borderRadius: '6px',
+              cursor: reviewSummary.due === 0 ? 'not-allowed' : 'pointer',
+              opacity: reviewSummary.due === 0 ? 0.6 : 1,
+              textAlign: 'left'
+            }}
+          >
+            <div
+              className="mono"
+              style={{
+                fontSize: '0.75rem',
+                fontWeight: 600,
+                color: reviewMode && reviewSummary.due > 0 ? 'var(--accent-amber)' : 'var(--text-primary)'
+              }}
+            >
+              🔁 REVIEW MODE {reviewMode && reviewSummary.due > 0 ? 'ON' : 'OFF'}
+            </div>
+            <div style={{ marginTop: '0.25rem', fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+              {reviewSummary.due > 0
+                ? `${reviewSummary.due} missed ${reviewSummary.due === 1 ? 'claim' : 'claims'} due - mixed into up to half of this game's rounds`
+                : `Nothing due yet - next review ${new Date(reviewSummary.nextDue).toLocaleDateString()}`}
+            </div>
+          </button>
+        </div>
+      )}
+
+      {/* Round Format - verdicts, numeric estimates, or "which is AI?" pairs */}
+      <div
+        className="animate-in"
+        style={{
+          background: 'var(--bg-card)',
+          border: '1px solid var(--border)',
+          borderRadius: '12px',
+          padding: '1rem',
+          marginBottom: '0.75rem'
+        }}
+      >
+        <label className="mono" style={{ display: 'block', fontSize: '0.75rem', color: 'var(--text-muted)', marginBottom: '0.5rem' }}>
+          ROUND FORMAT
+        </label>
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '0.375rem' }}>
+          {Object.entries(ROUND_FORMATS).map(([id, format]) => (
+            <button
+              key={id}
+              onClick={() => setRoundFormat(id)}
+              aria-pressed={roundFormat === id}
+              title={format.description}
+              style={{
+                padding: '0.625rem',
+                background: roundFormat === id ? 'rgba(34, 211, 238, 0.15)' : 'var(--bg-elevated)',
+                border: `2px solid ${roundFormat === id ? 'var(--accent-cyan)' : 'var(--border)'}`,
+                borderRadius: '6px',
+                cursor: 'pointer',
+                textAlign: 'left'
+              }}
+            >
+              <div style={{ display: 'flex', alignItems: 'center', gap: '0.375rem' }}>
+                <span style={{ fontSize: '0.875rem' }}>{format.icon}</span>
+                <span
+                  className="mono"
+                  style={{
+                    fontSize: '0.75rem',
+                    fontWeight: 600,
+                    color: roundFormat === id ? 'var(--accent-cyan)' : 'var(--text-primary)'
+                  }}
+                >
+                  {format.name}
+                </span>
+              </div>
+            </button>
+          ))}
+        </div>
+        <div style={{ marginTop: '0.375rem', fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+          {ROUND_FORMATS[roundFormat]?.description}
+        </div>
+      </div>
+
+      {/* Error Pattern Practice */}
+      <div
+        className="animate-in"
+        style={{
+          background: 'var(--bg-card)',
+          border: '1px solid var(--border)',
+          borderRadius: '12px',
+          padding: '1rem',
+          marginBottom: '0.75rem'
+        }}
+      >
+        <label className="mono" style={{ display: 'block', fontSize: '0.75rem', color: 'var(--text-muted)', marginBottom: '0.5rem' }}>
+          🧩 PRACTICE ERROR PATTERNS {errorPatterns.length > 0 ? `(${errorPatterns.length} selected)` : '(optional)'}
+        </label>
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.375rem' }}>
+          {AI_ERROR_PATTERNS.map((pattern) => {
+            const isSelected = errorPatterns.includes(pattern.id);
+            return (
+              <button
+                key={pattern.id}
+                onClick={() => toggleErrorPattern(pattern.id)}
+                aria-pressed={isSelected}
+                title={pattern.description}
+                style={{
+                  padding: '0.375rem 0.625rem',
+                  background: isSelected ? 'rgba(167, 139, 250, 0.15)' : 'var(--bg-elevated)',
+                  border: `1px solid ${isSelected ? 'var(--accent-violet)' : 'var(--border)'}`,
+                  borderRadius: '4px',
+                  cursor: 'pointer',
+                  fontSize: '0.75rem',
+                  color: isSelected ? 'var(--text-primary)' : 'var(--text-muted)'
+                }}
+              >
+                {pattern.name}
+              </button>
+            );
+          })}
+        </div>
+        <div style={{ marginTop: '0.375rem', fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+          {errorPatterns.length > 0
+            ? 'Practice games use claims with these patterns plus accurate controls, at mixed difficulty'
+            : 'Pick patterns to drill, or leave empty for a normal game'}
+        </div>
+      </div>
+
       {/* Subject Filter */}
       <div
         className="animate-in"
@@ -704,24 +949,24 @@ export function SetupScreen({ onStart, isLoading = false }) {
           📚 SUBJECTS {selectedSubjects.length > 0 ? `(${selectedSubjects.length} selected)` : '(all)'}
         </label>
         <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.375rem' }}>
-          {ALL_SUBJECTS.map((subject) => {
-            const isSelected = selectedSubjects.length === 0 || selectedSubjects.includes(subject);
+          {SUBJECTS.map(({ id, name }) => {
+            const isSelected = selectedSubjects.length === 0 || selectedSubjects.includes(id);
             return (
               <button
-                key={subject}
-                onClick={() => toggleSubject(subject)}
+                key={id}
+                onClick={() => toggleSubject(id)}
                 style={{
                   padding: '0.375rem 0.625rem',
-                  background: selectedSubjects.includes(subject) ? 'rgba(34, 211, 238, 0.15)' : 'var(--bg-elevated)',
-                  border: `1px solid ${selectedSubjects.includes(subject) ? 'var(--accent-cyan)' : 'var(--border)'}`,
+                  background: selectedSubjects.includes(id) ? 'rgba(34, 211, 238, 0.15)' : 'var(--bg-elevated)',
+                  border: `1px solid ${selectedSubjects.includes(id) ? 'var(--accent-cyan)' : 'var(--border)'}`,
                   borderRadius: '4px',
                   cursor: 'pointer',
                   fontSize: '0.75rem',
                   color: isSelected ? 'var(--text-primary)' : 'var(--text-muted)',
-                  opacity: selectedSubjects.length > 0 && !selectedSubjects.includes(subject) ? 0.5 : 1
+                  opacity: selectedSubjects.length > 0 && !selectedSubjects.includes(id) ? 0.5 : 1
                 }}
               >
-                {subject}
+                {name}
               </button>
             );
           })}
@@ -787,6 +1032,18 @@ export function SetupScreen({ onStart, isLoading = false }) {
         </div>
       </div>
 
+      {/* Shareable game code */}
+      <GameCodePanel
+        value={gameCode}
+        onChange={(code) => {
+          setGameCode(code);
+          if (validationError) setValidationError('');
+        }}
+        difficulty={difficulty}
+        subjects={selectedSubjects}
+        rounds={rounds}
+      />
+
       {/* Sound Toggle + Start */}
       <div className="animate-in" style={{ display: 'flex', gap: '0.75rem', alignItems: 'center', marginBottom: '1rem' }}>
         {/* iOS-style toggle */}
@@ -830,6 +1087,7 @@ export function SetupScreen({ onStart, isLoading = false }) {
             </span>
           </button>
         </div>
+        <LanguageSelector compact />
         <Button onClick={handleStartGame} fullWidth size="lg" disabled={!teamName.trim() || isLoading}>
           {isLoading ? '⏳ Preparing Mission...' : `${selectedAvatar.emoji} START MISSION →`}
         </Button>
@@ -13,13 +13,56 @@ import {
   ACHIEVEMENT_CATEGORIES,
   getAllEarnedLifetimeAchievements
 } from '../data/achievements';
-import { AI_ERROR_PATTERNS } from '../data/claims';
+import { AI_ERROR_PATTERNS } from '../data/errorPatterns';
+import {
+  describeCalibrationBias,
+  addToConfidenceBuckets,
+  buildReliabilityPoints
+} from '../utils/calibration';
+import { ReliabilityDiagram } from './ReliabilityDiagram';
+import { CalibrationTrend } from './CalibrationTrend';
+import { IntervalCalibration } from './IntervalCalibration';
+
+// Student-friendly descriptions of calibration bias
+const BIAS_LABELS = {
+  overconfident: { text: 'Overconfident', color: 'var(--accent-rose)' },
+  underconfident: { text: 'Underconfident', color: 'var(--accent-amber)' },
+  calibrated: { text: 'Well calibrated', color: 'var(--accent-emerald)' }
+};
+
+// Rounds included in the "recent" reliability diagram window
+const RECENT_ROUNDS_WINDOW = 50;
+
+// Bins are colored by their nearest confidence level
+const CONFIDENCE_COLORS = {
+  1: 'var(--confidence-1)',
+  2: 'var(--confidence-2)',
+  3: 'var(--confidence-3)'
+};
 
 function SoloStatsViewComponent({ onBack, onQuickStart }) {
   const [activeTab, setActiveTab] = useState('overview');
+  const [calibrationWindow, setCalibrationWindow] = useState('all');
 
   const stats = useMemo(() => PlayerProfile.getDisplayStats(), []);
 
+  const calibration = stats.calibrationMetrics;
+  const biasLabel = BIAS_LABELS[describeCalibrationBias(calibration?.bias)] || null;
+
+  // Reliability diagram data for the selected window
+  const reliabilityPoints = useMemo(() => {
+    const buckets = calibrationWindow === 'recent'
+      ? addToConfidenceBuckets(null, stats.confidenceHistory.slice(-RECENT_ROUNDS_WINDOW))
+      : stats.confidenceBuckets;
+    return buildReliabilityPoints(buckets);
+  }, [calibrationWindow, stats]);
+
+  // Per-game calibration, oldest first for the trend line
+  const calibrationTrendGames = useMemo(
+    () => [...stats.recentGames].reverse(),
+    [stats]
+  );
+
   const earnedAchievements = useMemo(() => {
     const profileData = PlayerProfile.get();
     return getAllEarnedLifetimeAchievements({
@@ -102,6 +145,7 @@ function SoloStatsViewComponent({ onBack, onQuickStart }) {
   const tabs = [
     { id: 'overview', label: 'Overview', icon: '📊' },
     { id: 'subjects', label: 'Subjects', icon: '📚' },
+    { id: 'calibration', label: 'Calibration', icon: '🎚️' },
     { id: 'achievements', label: 'Achievements', icon: '🏆' },
     { id: 'history', label: 'History', icon: '📈' }
   ];
@@ -190,7 +234,8 @@ function SoloStatsViewComponent({ onBack, onQuickStart }) {
               { label: 'Accuracy', value: `${stats.accuracy}%`, icon: '🎯' },
               { label: 'Best Score', value: stats.bestScore, icon: '⭐' },
               { label: 'Best Streak', value: stats.bestStreak, icon: '🔥' },
-              { label: 'Total Points', value: stats.totalPoints, icon: '💎' }
+              { label: 'Total Points', value: stats.totalPoints, icon: '💎' },
+              { label: 'Skill Rating', value: stats.skillRating, icon: '📶' }
             ].map((stat, i) => (
               <div key={i} style={{
                 background: 'var(--bg-card)',
@@ -270,7 +315,7 @@ function SoloStatsViewComponent({ onBack, onQuickStart }) {
           )}
 
           {/* Calibration Stats */}
-          {stats.totalPredictions > 0 && (
+          {(stats.totalPredictions > 0 || calibration?.count > 0) && (
             <div className="animate-in" style={{
               background: 'var(--bg-card)',
               border: '1px solid var(--border)',
@@ -303,6 +348,49 @@ function SoloStatsViewComponent({ onBack, onQuickStart }) {
                   </div>
                 </div>
               </div>
+              {calibration?.count > 0 && (
+                <div style={{
+                  display: 'flex',
+                  gap: '1rem',
+                  flexWrap: 'wrap',
+                  marginTop: '0.75rem',
+                  paddingTop: '0.75rem',
+                  borderTop: '1px solid var(--border)'
+                }}>
+                  <div style={{ flex: 1, minWidth: '90px' }} title="Average squared gap between confidence and outcome. 0 is perfect.">
+                    <div className="mono" style={{ fontSize: '1.25rem', fontWeight: 700, color: 'var(--text-primary)' }}>
+                      {calibration.brierScore.toFixed(2)}
+                    </div>
+                    <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+                      Brier score
+                    </div>
+                  </div>
+                  <div style={{ flex: 1, minWidth: '90px' }} title="Penalizes confident mistakes heavily. Lower is better.">
+                    <div className="mono" style={{ fontSize: '1.25rem', fontWeight: 700, color: 'var(--text-primary)' }}>
+                      {calibration.logLoss.toFixed(2)}
+                    </div>
+                    <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+                      Log loss
+                    </div>
+                  </div>
+                  <div style={{ flex: 1, minWidth: '90px' }} title="Average confidence minus actual accuracy">
+                    <div className="mono" style={{ fontSize: '1.25rem', fontWeight: 700, color: biasLabel?.color || 'var(--text-primary)' }}>
+                      {calibration.bias >= 0 ? '+' : ''}{Math.round(calibration.bias * 100)}%
+                    </div>
+                    <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+                      {biasLabel?.text || 'Confidence bias'}
+                    </div>
+                  </div>
+                  <div style={{ flex: 1, minWidth: '90px' }} title="How much your accuracy changes with your confidence. Higher is better.">
+                    <div className="mono" style={{ fontSize: '1.25rem', fontWeight: 700, color: 'var(--text-primary)' }}>
+                      {calibration.resolution.toFixed(3)}
+                    </div>
+                    <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+                      Resolution
+                    </div>
+                  </div>
+                </div>
+              )}
             </div>
           )}
 
@@ -376,7 +464,7 @@ function SoloStatsViewComponent({ onBack, onQuickStart }) {
                       {subject.name}
                     </span>
                     <span className="mono" style={{ fontSize: '0.75rem', color: 'var(--text-muted)', marginLeft: '0.5rem' }}>
-                      ({subject.correct}/{subject.total})
+                      ({subject.correct}/{subject.total}{subject.partial > 0 && `, ${subject.partial} close`})
                     </span>
                   </div>
                   <span className="mono" style={{
@@ -420,7 +508,7 @@ function SoloStatsViewComponent({ onBack, onQuickStart }) {
                       {subject.name}
                     </span>
                     <span className="mono" style={{ fontSize: '0.75rem', color: 'var(--text-muted)', marginLeft: '0.5rem' }}>
-                      ({subject.correct}/{subject.total})
+                      ({subject.correct}/{subject.total}{subject.partial > 0 && `, ${subject.partial} close`})
                     </span>
                   </div>
                   <span className="mono" style={{
@@ -494,6 +582,137 @@ function SoloStatsViewComponent({ onBack, onQuickStart }) {
         </>
       )}
 
+      {/* Calibration Tab */}
+      {activeTab === 'calibration' && (
+        <div className="animate-in">
+          {reliabilityPoints.length > 0 || stats.confidenceHistory.length > 0 ? (
+            <>
+              <div style={{
+                background: 'var(--bg-card)',
+                border: '1px solid var(--border)',
+                borderRadius: '12px',
+                padding: '1rem',
+                marginBottom: '1rem'
+              }}>
+                <div style={{
+                  display: 'flex',
+                  justifyContent: 'space-between',
+                  alignItems: 'center',
+                  marginBottom: '0.75rem',
+                  gap: '0.5rem',
+                  flexWrap: 'wrap'
+                }}>
+                  <h3 className="mono" style={{ fontSize: '0.875rem', color: 'var(--accent-violet)', margin: 0 }}>
+                    CONFIDENCE VS ACCURACY
+                  </h3>
+                  <div role="group" aria-label="Calibration time window" style={{ display: 'flex', gap: '0.25rem' }}>
+                    {[
+                      { id: 'all', label: 'All time' },
+                      { id: 'recent', label: `Last ${RECENT_ROUNDS_WINDOW} rounds` }
+                    ].map(option => (
+                      <button
+                        key={option.id}
+                        onClick={() => setCalibrationWindow(option.id)}
+                        aria-pressed={calibrationWindow === option.id}
+                        className="mono"
+                        style={{
+                          padding: '0.25rem 0.625rem',
+                          fontSize: '0.6875rem',
+                          background: calibrationWindow === option.id ? 'var(--accent-violet)' : 'var(--bg-elevated)',
+                          color: calibrationWindow === option.id ? 'var(--bg-deep)' : 'var(--text-secondary)',
+                          border: '1px solid var(--border)',
+                          borderRadius: '6px',
+                          cursor: 'pointer'
+                        }}
+                      >
+                        {option.label}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+
+                {reliabilityPoints.length > 0 ? (
+                  <ReliabilityDiagram points={reliabilityPoints} />
+                ) : (
+                  <p style={{ fontSize: '0.8125rem', color: 'var(--text-muted)', textAlign: 'center' }}>
+                    No rounds in this window yet.
+                  </p>
+                )}
+
+                <p style={{ fontSize: '0.75rem', color: 'var(--text-muted)', marginTop: '0.75rem', marginBottom: 0 }}>
+                  Dots on the dashed line mean your confidence matches how often you are right.
+                  Below the line means overconfident; above it means underconfident.
+                </p>
+
+                {/* Rounds per stated-probability bin */}
+                <div style={{
+                  display: 'grid',
+                  gridTemplateColumns: 'repeat(auto-fit, minmax(80px, 1fr))',
+                  gap: '0.5rem',
+                  marginTop: '0.75rem'
+                }}>
+                  {reliabilityPoints.map(point => (
+                    <div key={point.label} style={{
+                      textAlign: 'center',
+                      padding: '0.5rem',
+                      background: 'var(--bg-elevated)',
+                      borderRadius: '6px'
+                    }}>
+                      <div style={{ fontSize: '0.6875rem', color: CONFIDENCE_COLORS[point.confidence] }}>
+                        Said {point.label}
+                      </div>
+                      <div className="mono" style={{ fontSize: '1rem', fontWeight: 700, color: 'var(--text-primary)' }}>
+                        {Math.round(point.observed * 100)}%
+                      </div>
+                      <div style={{ fontSize: '0.625rem', color: 'var(--text-muted)' }}>
+                        {point.total} rounds
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              <div style={{
+                background: 'var(--bg-card)',
+                border: '1px solid var(--border)',
+                borderRadius: '12px',
+                padding: '1rem'
+              }}>
+                <h3 className="mono" style={{ fontSize: '0.875rem', color: 'var(--accent-violet)', marginBottom: '0.75rem' }}>
+                  CALIBRATION TREND
+                </h3>
+                <CalibrationTrend games={calibrationTrendGames} />
+              </div>
+            </>
+          ) : (
+            <div style={{
+              textAlign: 'center',
+              padding: '2rem',
+              color: 'var(--text-muted)'
+            }}>
+              <div style={{ fontSize: '2rem', marginBottom: '0.5rem' }}>🎚️</div>
+              <p>Play a few games to see how well your confidence matches your accuracy.</p>
+            </div>
+          )}
+
+          {/* Estimation ranges - hit rate per stated level */}
+          {stats.intervalCalibration?.length > 0 && (
+            <div style={{
+              background: 'var(--bg-card)',
+              border: '1px solid var(--border)',
+              borderRadius: '12px',
+              padding: '1rem',
+              marginTop: '1rem'
+            }}>
+              <h3 className="mono" style={{ fontSize: '0.875rem', color: 'var(--accent-violet)', marginBottom: '0.75rem' }}>
+                📏 ESTIMATION RANGES
+              </h3>
+              <IntervalCalibration calibration={stats.intervalCalibration} />
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Achievements Tab */}
       {activeTab === 'achievements' && (
         <div className="animate-in">
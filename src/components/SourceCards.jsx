@@ -0,0 +1,192 @@
+/**
+ * SOURCE CARDS
+ * Simulated documents for lateral reading: students open them before voting
+ * (SourceCards) and see which were trustworthy with the answer (SourceReview)
+ */
+
+import { memo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { SOURCE_CARDS } from '../data/constants';
+
+const SOURCE_PROP_TYPE = PropTypes.shape({
+  id: PropTypes.string.isRequired,
+  kind: PropTypes.oneOf(Object.keys(SOURCE_CARDS.KINDS)).isRequired,
+  title: PropTypes.string.isRequired,
+  publisher: PropTypes.string,
+  body: PropTypes.string,
+  results: PropTypes.arrayOf(PropTypes.shape({
+    title: PropTypes.string.isRequired,
+    url: PropTypes.string,
+    snippet: PropTypes.string
+  })),
+  reliability: PropTypes.oneOf(Object.keys(SOURCE_CARDS.RELIABILITY)).isRequired,
+  reliabilityNote: PropTypes.string.isRequired
+});
+
+function kindOf(source) {
+  return SOURCE_CARDS.KINDS[source.kind] || { name: 'Source', icon: '📄' };
+}
+
+/**
+ * One source document, as the student would see it on the web
+ */
+function SourceDocument({ source }) {
+  return (
+    <div style={{ fontSize: '0.8125rem', color: 'var(--text-primary)', lineHeight: 1.5 }}>
+      {source.publisher && (
+        <div className="mono" style={{ fontSize: '0.6875rem', color: 'var(--text-muted)', marginBottom: '0.25rem' }}>
+          {source.publisher}
+        </div>
+      )}
+      <div style={{ fontWeight: 600, marginBottom: '0.375rem' }}>{source.title}</div>
+      {source.body && <p style={{ margin: 0 }}>{source.body}</p>}
+      {source.results && (
+        <ol style={{ listStyle: 'none', margin: 0, padding: 0, display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+          {source.results.map(result => (
+            <li key={result.title}>
+              <div style={{ color: 'var(--accent-cyan)' }}>{result.title}</div>
+              {result.url && (
+                <div className="mono" style={{ fontSize: '0.6875rem', color: 'var(--text-muted)' }}>{result.url}</div>
+              )}
+              {result.snippet && <div style={{ color: 'var(--text-secondary)' }}>{result.snippet}</div>}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+SourceDocument.propTypes = {
+  source: SOURCE_PROP_TYPE.isRequired
+};
+
+/**
+ * Source cards students can open before voting
+ * @param {Object} props - Component props
+ */
+function SourceCardsComponent({ sources, openedIds = [], onOpen = () => {} }) {
+  const [activeId, setActiveId] = useState(null);
+  const active = sources.find(source => source.id === activeId);
+
+  const handleToggle = (id) => {
+    setActiveId(current => (current === id ? null : id));
+    if (!openedIds.includes(id)) onOpen(id);
+  };
+
+  return (
+    <section
+      aria-label="Sources to check"
+      style={{
+        marginTop: '0.5rem',
+        padding: '0.5rem',
+        background: 'var(--bg-elevated)',
+        border: '1px solid var(--border)',
+        borderRadius: '6px'
+      }}
+    >
+      <div className="mono" style={{ fontSize: '0.75rem', color: 'var(--text-secondary)', marginBottom: '0.375rem' }}>
+        <span aria-hidden="true">📂</span> Read laterally - check the sources before you vote ({openedIds.length}/{sources.length} opened)
+      </div>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.375rem' }}>
+        {sources.map(source => {
+          const kind = kindOf(source);
+          const isActive = source.id === activeId;
+          return (
+            <button
+              key={source.id}
+              onClick={() => handleToggle(source.id)}
+              aria-expanded={isActive}
+              aria-controls="source-card-viewer"
+              className="mono"
+              style={{
+                padding: '0.25rem 0.5rem',
+                fontSize: '0.6875rem',
+                background: isActive ? 'rgba(34, 211, 238, 0.15)' : 'var(--bg-card)',
+                border: `1px solid ${isActive ? 'var(--accent-cyan)' : 'var(--border)'}`,
+                borderRadius: '4px',
+                color: openedIds.includes(source.id) ? 'var(--text-secondary)' : 'var(--text-primary)',
+                cursor: 'pointer'
+              }}
+            >
+              <span aria-hidden="true">{kind.icon}</span> {kind.name}
+            </button>
+          );
+        })}
+      </div>
+      {active && (
+        <div
+          id="source-card-viewer"
+          className="animate-in"
+          style={{
+            marginTop: '0.5rem',
+            padding: '0.625rem',
+            background: 'var(--bg-card)',
+            borderRadius: '6px',
+            maxHeight: '180px',
+            overflowY: 'auto'
+          }}
+        >
+          <SourceDocument source={active} />
+        </div>
+      )}
+    </section>
+  );
+}
+
+SourceCardsComponent.propTypes = {
+  sources: PropTypes.arrayOf(SOURCE_PROP_TYPE).isRequired,
+  openedIds: PropTypes.arrayOf(PropTypes.string),
+  onOpen: PropTypes.func
+};
+
+/**
+ * Which sources were trustworthy and why, shown with the answer
+ * @param {Object} props - Component props
+ */
+function SourceReviewComponent({ sources, openedIds = [] }) {
+  return (
+    <div style={{ marginBottom: '0.75rem', textAlign: 'left' }}>
+      <div className="mono" style={{ fontSize: '0.75rem', color: 'var(--text-secondary)', marginBottom: '0.375rem' }}>
+        <span aria-hidden="true">🔎</span> Checking the sources - you opened {openedIds.length} of {sources.length}
+      </div>
+      <ul style={{ listStyle: 'none', margin: 0, padding: 0, display: 'flex', flexDirection: 'column', gap: '0.375rem' }}>
+        {sources.map(source => {
+          const reliability = SOURCE_CARDS.RELIABILITY[source.reliability];
+          return (
+            <li
+              key={source.id}
+              style={{
+                fontSize: '0.75rem',
+                padding: '0.375rem 0.5rem',
+                background: 'var(--bg-elevated)',
+                borderLeft: `3px solid ${reliability.color}`,
+                borderRadius: '4px'
+              }}
+            >
+              <div style={{ display: 'flex', justifyContent: 'space-between', gap: '0.5rem' }}>
+                <span style={{ color: 'var(--text-primary)', fontWeight: 600 }}>
+                  <span aria-hidden="true">{kindOf(source).icon}</span> {source.title}
+                  {!openedIds.includes(source.id) && (
+                    <span style={{ color: 'var(--text-muted)', fontWeight: 400 }}> (not opened)</span>
+                  )}
+                </span>
+                <span className="mono" style={{ color: reliability.color, whiteSpace: 'nowrap' }}>{reliability.name}</span>
+              </div>
+              <div style={{ color: 'var(--text-secondary)', marginTop: '0.125rem' }}>{source.reliabilityNote}</div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+SourceReviewComponent.propTypes = {
+  sources: PropTypes.arrayOf(SOURCE_PROP_TYPE).isRequired,
+  openedIds: PropTypes.arrayOf(PropTypes.string)
+};
+
+export const SourceCards = memo(SourceCardsComponent);
+export const SourceReview = memo(SourceReviewComponent);
+export default SourceCards;
@@ -0,0 +1,73 @@
+/**
+ * SourceCards Component Tests
+ * Tests opening lateral-reading source cards and the reliability review
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { SourceCards, SourceReview } from './SourceCards';
+
+const sources = [
+  {
+    id: 'about',
+    kind: 'about-page',
+    title: 'About the Institute for Healthy Sweetness',
+    publisher: 'healthysweetness.org',
+    body: 'Our research is made possible by partners across the beverage industry.',
+    reliability: 'low',
+    reliabilityNote: 'The organization describing itself.'
+  },
+  {
+    id: 'search',
+    kind: 'search-results',
+    title: 'Search: Institute for Healthy Sweetness',
+    results: [
+      { title: 'Soda-funded institute sends research to schools', url: 'news.example.com/soda', snippet: 'Set up by a trade group.' }
+    ],
+    reliability: 'high',
+    reliabilityNote: 'Independent reporting on who runs the institute.'
+  }
+];
+
+describe('SourceCards', () => {
+  it('lists the cards without revealing reliability', () => {
+    render(<SourceCards sources={sources} />);
+    expect(screen.getByRole('button', { name: /About Page/i })).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: /Search Results/i })).toBeInTheDocument();
+    expect(screen.queryByText(/Unreliable|Trustworthy/)).not.toBeInTheDocument();
+  });
+
+  it('opens a card and reports it once', () => {
+    const onOpen = vi.fn();
+    const { rerender } = render(<SourceCards sources={sources} onOpen={onOpen} />);
+
+    fireEvent.click(screen.getByRole('button', { name: /Search Results/i }));
+    expect(screen.getByText('Soda-funded institute sends research to schools')).toBeInTheDocument();
+    expect(screen.getByText('news.example.com/soda')).toBeInTheDocument();
+    expect(onOpen).toHaveBeenCalledWith('search');
+
+    rerender(<SourceCards sources={sources} openedIds={['search']} onOpen={onOpen} />);
+    fireEvent.click(screen.getByRole('button', { name: /Search Results/i }));
+    fireEvent.click(screen.getByRole('button', { name: /Search Results/i }));
+    expect(onOpen).toHaveBeenCalledTimes(1);
+  });
+
+  it('shows one card at a time', () => {
+    render(<SourceCards sources={sources} />);
+    fireEvent.click(screen.getByRole('button', { name: /About Page/i }));
+    fireEvent.click(screen.getByRole('button', { name: /Search Results/i }));
+    expect(screen.queryByText(/beverage industry/)).not.toBeInTheDocument();
+    expect(screen.getByRole('button', { name: /Search Results/i })).toHaveAttribute('aria-expanded', 'true');
+  });
+});
+
+describe('SourceReview', () => {
+  it('explains each source and marks unopened ones', () => {
+    render(<SourceReview sources={sources} openedIds={['about']} />);
+    expect(screen.getByText('Unreliable')).toBeInTheDocument();
+    expect(screen.getByText('Trustworthy')).toBeInTheDocument();
+    expect(screen.getByText('Independent reporting on who runs the institute.')).toBeInTheDocument();
+    expect(screen.getAllByText(/not opened/)).toHaveLength(1);
+    expect(screen.getByText(/you opened 1 of 2/i)).toBeInTheDocument();
+  });
+});
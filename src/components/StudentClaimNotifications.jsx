@@ -7,6 +7,7 @@ import { useState, useEffect, useRef } from 'react';
 import PropTypes from 'prop-types';
 import { FirebaseBackend } from '../services/firebase';
 import { PlayerProfile } from '../services/playerProfile';
+import { getSubjectName } from '../data/subjects';
 import { logger } from '../utils/logger';
 
 export function StudentClaimNotifications({ onClose }) {
@@ -145,7 +146,7 @@ export function StudentClaimNotifications({ onClose }) {
                   <span className="answer-badge" data-answer={claim.answer}>
                     {claim.answer}
                   </span>
-                  <span className="subject">{claim.subject}</span>
+                  <span className="subject">{getSubjectName(claim.subject)}</span>
                 </div>
 
                 {claim.status === 'approved' && (
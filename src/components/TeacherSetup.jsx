@@ -5,6 +5,10 @@
 
 import { useState } from 'react';
 import { Button } from './Button';
+import { ClassSettingsPanel } from './ClassSettingsPanel';
+import { ClaimPacksPanel } from './ClaimPacksPanel';
+import { AssessmentExportPanel } from './AssessmentExportPanel';
+import { RewriteGrading } from './RewriteGrading';
 import { FirebaseBackend } from '../services/firebase';
 import { logger } from '../utils/logger';
 
@@ -480,6 +484,22 @@ export function TeacherSetup({ onBack }) {
         </div>
       </div>
 
+      {/* Class Settings (needs Firebase and a class code) */}
+      {firebaseStatus === 'connected' && classCode && (
+        <ClassSettingsPanel classCode={classCode} />
+      )}
+
+      {/* "Fix the claim" grading queue (rewrites are stored per class in Firebase) */}
+      {firebaseStatus === 'connected' && classCode && (
+        <RewriteGrading classCode={classCode} />
+      )}
+
+      {/* Claim packs are stored on this device, so they work in local mode too */}
+      <ClaimPacksPanel />
+
+      {/* Quiz export for the LMS (built-in claims plus enabled packs) */}
+      <AssessmentExportPanel />
+
       {/* Actions */}
       <div style={{ display: 'flex', gap: '0.75rem' }}>
         {firebaseStatus === 'connected' && (
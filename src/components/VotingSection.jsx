@@ -1,6 +1,10 @@
 /**
  * VOTING SECTION
  * Main voting interface with verdict, confidence, reasoning, and hints
+ * Other round formats can swap in their own selector for step 1 (e.g. the
+ * "which is AI?" pair choice) and limit the hints on offer.
+ * After a FALSE or MIXED verdict, students can also rewrite the claim so it
+ * becomes true, for a teacher-graded bonus.
  */
 
 import { memo } from 'react';
@@ -8,7 +12,8 @@ import PropTypes from 'prop-types';
 import { Button } from './Button';
 import { VerdictSelector } from './VerdictSelector';
 import { ConfidenceSelector } from './ConfidenceSelector';
-import { HINT_TYPES } from '../data/constants';
+import { ProbabilitySelector } from './ProbabilitySelector';
+import { HINT_TYPES, CLAIM_REWRITES } from '../data/constants';
 
 /**
  * Voting section component for claim evaluation
@@ -19,15 +24,26 @@ function VotingSectionComponent({
   onVerdictChange,
   confidence,
   onConfidenceChange,
+  confidenceMode,
+  probability,
+  onProbabilityChange,
+  pointsMatrix,
+  showSpeedBonus,
   confidencePreview,
   reasoning,
   onReasoningChange,
+  rewrite = '',
+  onRewriteChange = null,
   usedHints,
   hintCostTotal,
   onHintRequest,
   onSubmit,
   teamAvatar,
-  disabled
+  disabled,
+  selector = null,
+  selectorTitle = null,
+  hasSelection = null,
+  hints = HINT_TYPES
 }) {
   return (
     <div className="animate-in" style={{ marginTop: '0.75rem' }}>
@@ -42,9 +58,9 @@ function VotingSectionComponent({
         }}
       >
         <h3 className="mono" style={{ fontSize: '0.875rem', color: 'var(--accent-amber)', marginBottom: '0.75rem' }}>
-          1. WHAT&apos;S YOUR VERDICT?
+          {selectorTitle || <>1. WHAT&apos;S YOUR VERDICT?</>}
         </h3>
-        <VerdictSelector value={verdict} onChange={onVerdictChange} />
+        {selector || <VerdictSelector value={verdict} onChange={onVerdictChange} />}
       </div>
 
       {/* Confidence Selection with Risk Preview */}
@@ -60,7 +76,11 @@ function VotingSectionComponent({
         <h3 className="mono" style={{ fontSize: '0.875rem', color: 'var(--accent-amber)', marginBottom: '0.75rem' }}>
           2. HOW CONFIDENT ARE YOU?
         </h3>
-        <ConfidenceSelector value={confidence} onChange={onConfidenceChange} aria-describedby="confidence-preview" />
+        {confidenceMode === 'probability' ? (
+          <ProbabilitySelector value={probability} onChange={onProbabilityChange} disabled={disabled} />
+        ) : (
+          <ConfidenceSelector value={confidence} onChange={onConfidenceChange} pointsMatrix={pointsMatrix} aria-describedby="confidence-preview" />
+        )}
         {/* Risk Preview */}
         <div
           id="confidence-preview"
@@ -81,8 +101,12 @@ function VotingSectionComponent({
           If right: <span style={{ color: 'var(--correct)', fontWeight: 700, fontSize: '1rem' }}>+{confidencePreview.ifCorrect}</span>
           {' | '}
           If wrong: <span style={{ color: 'var(--incorrect)', fontWeight: 700, fontSize: '1rem' }}>{confidencePreview.ifWrong}</span>
-          <br />
-          <span style={{ fontSize: '0.75rem', color: 'var(--text-muted)', marginTop: '0.25rem', display: 'inline-block' }}>+ speed bonus (up to 2.0x)</span>
+          {showSpeedBonus && (
+            <>
+              <br />
+              <span style={{ fontSize: '0.75rem', color: 'var(--text-muted)', marginTop: '0.25rem', display: 'inline-block' }}>+ speed bonus (up to 2.0x)</span>
+            </>
+          )}
         </div>
       </div>
 
@@ -124,6 +148,46 @@ function VotingSectionComponent({
         />
       </div>
 
+      {/* Fix the claim (optional, FALSE/MIXED verdicts) */}
+      {onRewriteChange && CLAIM_REWRITES.VERDICTS.includes(verdict) && (
+        <div
+          style={{
+            background: 'var(--bg-card)',
+            border: '1px solid var(--border)',
+            borderRadius: '8px',
+            padding: '1rem',
+            marginBottom: '0.75rem'
+          }}
+        >
+          <label
+            className="mono"
+            style={{ display: 'block', fontSize: '0.75rem', color: 'var(--accent-emerald)', marginBottom: '0.5rem' }}
+          >
+            ✏️ FIX THE CLAIM (optional - your teacher can award bonus points)
+          </label>
+          <textarea
+            value={rewrite}
+            onChange={(e) => onRewriteChange(e.target.value)}
+            placeholder="Rewrite the claim so it's true"
+            rows={2}
+            maxLength={CLAIM_REWRITES.MAX_LENGTH}
+            aria-label="Rewrite the claim so it is true"
+            style={{
+              width: '100%',
+              padding: '0.75rem',
+              background: 'var(--bg-elevated)',
+              border: '1px solid var(--border)',
+              borderRadius: '6px',
+              color: 'var(--text-primary)',
+              fontSize: '0.9375rem',
+              fontFamily: 'var(--font-serif)',
+              resize: 'none',
+              lineHeight: 1.5
+            }}
+          />
+        </div>
+      )}
+
       {/* Hint System */}
       <div
         style={{
@@ -158,7 +222,7 @@ function VotingSectionComponent({
           )}
         </div>
         <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
-          {HINT_TYPES.map((hint) => {
+          {hints.map((hint) => {
             const isUsed = usedHints.includes(hint.id);
             return (
               <button
@@ -181,14 +245,14 @@ function VotingSectionComponent({
                   transition: 'all 0.2s ease'
                 }}
               >
-                {hint.icon} {hint.name} (-{hint.cost})
+                {hint.icon} {hint.name} ({hint.cost > 0 ? `-${hint.cost}` : 'free'})
               </button>
             );
           })}
         </div>
       </div>
 
-      <Button onClick={onSubmit} fullWidth disabled={!verdict || disabled}>
+      <Button onClick={onSubmit} fullWidth disabled={!(hasSelection ?? verdict) || disabled}>
         {teamAvatar?.emoji || '✓'} Submit Answer
       </Button>
     </div>
@@ -200,12 +264,19 @@ VotingSectionComponent.propTypes = {
   onVerdictChange: PropTypes.func.isRequired,
   confidence: PropTypes.oneOf([1, 2, 3]).isRequired,
   onConfidenceChange: PropTypes.func.isRequired,
+  confidenceMode: PropTypes.oneOf(['levels', 'probability']),
+  probability: PropTypes.number,
+  onProbabilityChange: PropTypes.func,
+  pointsMatrix: PropTypes.object,
+  showSpeedBonus: PropTypes.bool,
   confidencePreview: PropTypes.shape({
     ifCorrect: PropTypes.number.isRequired,
     ifWrong: PropTypes.number.isRequired
   }).isRequired,
   reasoning: PropTypes.string,
   onReasoningChange: PropTypes.func.isRequired,
+  rewrite: PropTypes.string,
+  onRewriteChange: PropTypes.func, // Offers "fix the claim" after a FALSE/MIXED verdict
   usedHints: PropTypes.arrayOf(PropTypes.string).isRequired,
   hintCostTotal: PropTypes.number.isRequired,
   onHintRequest: PropTypes.func.isRequired,
@@ -214,14 +285,34 @@ VotingSectionComponent.propTypes = {
     emoji: PropTypes.string,
     name: PropTypes.string
   }),
-  disabled: PropTypes.bool
+  disabled: PropTypes.bool,
+  selector: PropTypes.node, // Replaces the verdict selector
+  selectorTitle: PropTypes.string,
+  hasSelection: PropTypes.bool, // Whether the custom selector has a choice (defaults to having a verdict)
+  hints: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+    cost: PropTypes.number.isRequired,
+    icon: PropTypes.string
+  }))
 };
 
 VotingSectionComponent.defaultProps = {
   verdict: null,
+  confidenceMode: 'levels',
+  probability: null,
+  onProbabilityChange: () => {},
+  pointsMatrix: undefined,
+  showSpeedBonus: true,
   reasoning: '',
+  rewrite: '',
+  onRewriteChange: null,
   teamAvatar: null,
-  disabled: false
+  disabled: false,
+  selector: null,
+  selectorTitle: null,
+  hasSelection: null,
+  hints: HINT_TYPES
 };
 
 // Memoize to prevent re-renders during gameplay - critical for Chromebook performance
@@ -0,0 +1,347 @@
+/**
+ * CLAIM PACK SCHEMA
+ * JSON format for claim packs loaded at runtime (district or unit content)
+ *
+ * A pack is a JSON file:
+ * {
+ *   "id": "district-42-local-history",
+ *   "version": "1.2.0",
+ *   "locale": "en",
+ *   "license": "CC-BY-4.0",
+ *   "name": "Local History Unit",
+ *   "claims": [ { "id": "d42-hist-001", "text": "...", "answer": "TRUE", ... } ]
+ * }
+ *
+ * Claims may show an image or chart ("media"), bundle lateral-reading source cards
+ * ("sources", see claims.js) and carry translations keyed by language code:
+ *   "translations": { "es": { "text": "...", "explanation": "...", "status": "draft" } }
+ *
+ * CLAIM_PACK_SCHEMA is a JSON Schema (draft-07) document, so packs can also be
+ * checked with standard tooling before they are shared. validateClaimPack() checks
+ * the subset of JSON Schema used here, plus rules a schema can't express.
+ */
+
+import { AI_ERROR_PATTERNS } from './errorPatterns';
+import { ALL_SUBJECTS, getUnit } from './subjects';
+import { CLAIM_TRANSLATIONS, SOURCE_CARDS } from './constants';
+import { getErrorSpanProblems } from '../utils/errorSpans';
+
+const ID_PATTERN = '^[a-z0-9][a-z0-9-]*$';
+const DATE_PATTERN = '^\\d{4}-\\d{2}-\\d{2}$';
+
+export const TRANSLATION_SCHEMA = {
+  type: 'object',
+  required: ['text', 'explanation', 'status'],
+  additionalProperties: false,
+  properties: {
+    text: { type: 'string', minLength: 10, maxLength: 500 },
+    explanation: { type: 'string', minLength: 10, maxLength: 2000 },
+    status: { enum: CLAIM_TRANSLATIONS.STATUSES },
+    translatedBy: { type: 'string', maxLength: 100 },
+    reviewedBy: { type: 'array', items: { type: 'string', maxLength: 100 } },
+    lastReviewed: { type: ['string', 'null'], pattern: DATE_PATTERN }
+  }
+};
+
+export const CHART_SCHEMA = {
+  type: 'object',
+  required: ['kind', 'points'],
+  additionalProperties: false,
+  properties: {
+    kind: { enum: ['bar', 'line'] },
+    title: { type: 'string', maxLength: 100 },
+    xLabel: { type: 'string', maxLength: 50 },
+    yLabel: { type: 'string', maxLength: 50 },
+    unit: { type: 'string', maxLength: 10 },
+    yMin: { type: 'number' },
+    yMax: { type: 'number' },
+    points: {
+      type: 'array',
+      minItems: 2,
+      maxItems: 24,
+      items: {
+        type: 'object',
+        required: ['label', 'value'],
+        additionalProperties: false,
+        properties: {
+          label: { type: 'string', minLength: 1, maxLength: 30 },
+          value: { type: 'number' }
+        }
+      }
+    }
+  }
+};
+
+export const MEDIA_SCHEMA = {
+  type: 'object',
+  required: ['type', 'alt'],
+  additionalProperties: false,
+  properties: {
+    type: { enum: ['image', 'chart'] },
+    alt: { type: 'string', minLength: 10, maxLength: 500 },
+    caption: { type: 'string', maxLength: 200 },
+    src: { type: 'string', pattern: '^(https://|/)', maxLength: 500 },
+    chart: CHART_SCHEMA
+  }
+};
+
+export const SOURCE_CARD_SCHEMA = {
+  type: 'object',
+  required: ['id', 'kind', 'title', 'reliability', 'reliabilityNote'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string', pattern: ID_PATTERN, maxLength: 32 },
+    kind: { enum: Object.keys(SOURCE_CARDS.KINDS) },
+    title: { type: 'string', minLength: 1, maxLength: 150 },
+    publisher: { type: 'string', maxLength: 100 },
+    body: { type: 'string', maxLength: 1500 },
+    results: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 8,
+      items: {
+        type: 'object',
+        required: ['title'],
+        additionalProperties: false,
+        properties: {
+          title: { type: 'string', minLength: 1, maxLength: 150 },
+          url: { type: 'string', maxLength: 200 },
+          snippet: { type: 'string', maxLength: 300 }
+        }
+      }
+    },
+    reliability: { enum: Object.keys(SOURCE_CARDS.RELIABILITY) },
+    reliabilityNote: { type: 'string', minLength: 10, maxLength: 500 }
+  }
+};
+
+export const CLAIM_SCHEMA = {
+  type: 'object',
+  required: ['id', 'text', 'answer', 'source', 'explanation', 'subject', 'difficulty'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string', pattern: ID_PATTERN, maxLength: 64 },
+    text: { type: 'string', minLength: 10, maxLength: 500 },
+    answer: { enum: ['TRUE', 'FALSE', 'MIXED'] },
+    source: { enum: ['ai-generated', 'expert-sourced'] },
+    explanation: { type: 'string', minLength: 10, maxLength: 2000 },
+    errorPattern: { enum: [...AI_ERROR_PATTERNS.map(p => p.id), null] },
+    errorSpans: {
+      type: 'array',
+      maxItems: 5,
+      items: {
+        type: 'object',
+        required: ['start', 'end', 'pattern'],
+        additionalProperties: false,
+        properties: {
+          start: { type: 'integer' },
+          end: { type: 'integer' },
+          pattern: { enum: AI_ERROR_PATTERNS.map(p => p.id) }
+        }
+      }
+    },
+    subject: { enum: ALL_SUBJECTS },
+    unit: { type: 'string', pattern: ID_PATTERN, maxLength: 64 },
+    pairId: { type: 'string', pattern: ID_PATTERN, maxLength: 64 },
+    difficulty: { enum: ['easy', 'medium', 'hard'] },
+    gradeLevel: { enum: ['elementary', 'middle', 'high', 'college'] },
+    citation: { type: ['string', 'null'], maxLength: 500 },
+    lastVerified: { type: ['string', 'null'], pattern: DATE_PATTERN },
+    reviewedBy: { type: 'array', items: { type: 'string', maxLength: 100 } },
+    media: MEDIA_SCHEMA,
+    sources: {
+      type: 'array',
+      minItems: SOURCE_CARDS.MIN_CARDS,
+      maxItems: SOURCE_CARDS.MAX_CARDS,
+      items: SOURCE_CARD_SCHEMA
+    },
+    translations: {
+      type: 'object',
+      propertyNames: { pattern: '^[a-z]{2,3}$' },
+      additionalProperties: TRANSLATION_SCHEMA
+    }
+  }
+};
+
+export const CLAIM_PACK_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'Truth Hunters claim pack',
+  type: 'object',
+  required: ['id', 'version', 'locale', 'license', 'claims'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string', pattern: ID_PATTERN, maxLength: 64 },
+    version: { type: 'string', pattern: '^\\d+\\.\\d+\\.\\d+$' },
+    locale: { type: 'string', pattern: '^[a-z]{2,3}(-[A-Z]{2})?$' },
+    license: { type: 'string', minLength: 1, maxLength: 100 },
+    name: { type: 'string', maxLength: 100 },
+    description: { type: 'string', maxLength: 500 },
+    author: { type: 'string', maxLength: 100 },
+    claims: { type: 'array', minItems: 1, maxItems: 2000, items: CLAIM_SCHEMA }
+  }
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Check a value against the JSON Schema keywords used in this file
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema node
+ * @param {string} path - Location for error messages
+ * @param {Array<string>} errors - Collected errors (updated in place)
+ */
+function checkSchema(value, schema, path, errors) {
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.map(String).join(', ')}`);
+    return;
+  }
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${path}: must be ${types.join(' or ')}`);
+      return;
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path}: must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path}: must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path}: does not match the expected format`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => checkSchema(item, schema.items, `${path}[${i}]`, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push(`${path}.${key}: is required`);
+    });
+    Object.entries(value).forEach(([key, child]) => {
+      if (schema.propertyNames?.pattern && !new RegExp(schema.propertyNames.pattern).test(key)) {
+        errors.push(`${path}.${key}: is not a valid key`);
+      } else if (properties[key]) {
+        checkSchema(child, properties[key], `${path}.${key}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key}: is not a known field`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        checkSchema(child, schema.additionalProperties, `${path}.${key}`, errors);
+      }
+    });
+  }
+}
+
+/**
+ * Media rules the schema can't express
+ * @param {Object} [media] - claim.media
+ * @returns {string|null} Problem, or null
+ */
+function getMediaProblem(media) {
+  if (typeOf(media) !== 'object') return null;
+  if (media.type === 'image' && !media.src) return 'an image needs src';
+  if (media.type === 'chart' && !media.chart) return 'a chart needs chart';
+  const { yMin, yMax } = media.chart || {};
+  if (typeof yMin === 'number' && typeof yMax === 'number' && yMin >= yMax) return 'chart.yMin must be below chart.yMax';
+  return null;
+}
+
+/**
+ * Source card rules the schema can't express
+ * @param {Array} [sources] - claim.sources
+ * @returns {Array<string>} Problems
+ */
+function getSourceProblems(sources) {
+  if (!Array.isArray(sources)) return [];
+  const problems = [];
+  const ids = new Set();
+  sources.forEach(source => {
+    if (!source?.id) return;
+    if (ids.has(source.id)) problems.push(`duplicate card id ${source.id}`);
+    ids.add(source.id);
+    if (source.body === undefined && source.results === undefined) {
+      problems.push(`card ${source.id} needs body or results`);
+    }
+  });
+  return problems;
+}
+
+/**
+ * Validate a parsed claim pack
+ * @param {*} pack - Parsed JSON
+ * @returns {{isValid: boolean, errors: Array<string>, error: string|null}}
+ *   error summarizes the first problem for display
+ */
+export function validateClaimPack(pack) {
+  const errors = [];
+  checkSchema(pack, CLAIM_PACK_SCHEMA, 'pack', errors);
+
+  // Rules JSON Schema can't express
+  if (Array.isArray(pack?.claims)) {
+    const ids = new Set();
+    pack.claims.forEach((claim, i) => {
+      if (claim?.unit && ALL_SUBJECTS.includes(claim.subject) && !getUnit(claim.subject, claim.unit)) {
+        errors.push(`pack.claims[${i}].unit: ${claim.subject} has no unit ${claim.unit}`);
+      }
+      const problem = getMediaProblem(claim?.media);
+      if (problem) errors.push(`pack.claims[${i}].media: ${problem}`);
+      getSourceProblems(claim?.sources).forEach(p => errors.push(`pack.claims[${i}].sources: ${p}`));
+      if (Array.isArray(claim?.errorSpans) && typeof claim.text === 'string') {
+        // Unknown patterns are already reported by the schema
+        const known = claim.errorSpans.filter(span => AI_ERROR_PATTERNS.some(p => p.id === span?.pattern));
+        getErrorSpanProblems(claim.text, known)
+          .forEach(p => errors.push(`pack.claims[${i}].errorSpans: ${p}`));
+      }
+      if (!claim?.id) return;
+      if (ids.has(claim.id)) errors.push(`pack.claims[${i}].id: duplicate id ${claim.id}`);
+      ids.add(claim.id);
+    });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    error: errors.length === 0
+      ? null
+      : `${errors[0]}${errors.length > 1 ? ` (and ${errors.length - 1} more)` : ''}`
+  };
+}
+
+/**
+ * Compare two "major.minor.patch" versions
+ * @param {string} a - Version
+ * @param {string} b - Version
+ * @returns {number} Negative if a is older, positive if newer, 0 if equal
+ */
+export function compareVersions(a, b) {
+  const partsA = a.split('.').map(Number);
+  const partsB = b.split('.').map(Number);
+  for (let i = 0; i < 3; i++) {
+    if (partsA[i] !== partsB[i]) return partsA[i] - partsB[i];
+  }
+  return 0;
+}
@@ -0,0 +1,196 @@
+/**
+ * Claim Pack Schema Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { validateClaimPack, compareVersions } from './claimPackSchema';
+import { CLAIMS_DATABASE } from './claims';
+
+const claim = {
+  id: 'd42-hist-001',
+  text: 'The town library opened in 1905.',
+  answer: 'TRUE',
+  source: 'expert-sourced',
+  explanation: 'Founding date from the county historical society.',
+  errorPattern: null,
+  subject: 'history',
+  difficulty: 'easy'
+};
+
+const pack = {
+  id: 'district-42-history',
+  version: '1.0.0',
+  locale: 'en',
+  license: 'CC-BY-4.0',
+  name: 'Local History',
+  claims: [claim]
+};
+
+describe('validateClaimPack', () => {
+  it('accepts a valid pack', () => {
+    expect(validateClaimPack(pack)).toEqual({ isValid: true, errors: [], error: null });
+  });
+
+  it('accepts every built-in claim', () => {
+    const result = validateClaimPack({ ...pack, claims: CLAIMS_DATABASE });
+    expect(result.errors).toEqual([]);
+  });
+
+  it('requires the manifest fields', () => {
+    const { errors } = validateClaimPack({ claims: [claim] });
+    expect(errors).toEqual(expect.arrayContaining([
+      'pack.id: is required',
+      'pack.version: is required',
+      'pack.locale: is required',
+      'pack.license: is required'
+    ]));
+  });
+
+  it('checks formats and enums', () => {
+    const { errors } = validateClaimPack({
+      ...pack,
+      version: '1.0',
+      locale: 'English',
+      claims: [{ ...claim, answer: 'MAYBE', errorPattern: 'made-up', difficulty: 'extreme' }]
+    });
+    expect(errors).toContain('pack.version: does not match the expected format');
+    expect(errors).toContain('pack.locale: does not match the expected format');
+    expect(errors).toContain('pack.claims[0].answer: must be one of TRUE, FALSE, MIXED');
+    expect(errors.some(e => e.startsWith('pack.claims[0].errorPattern'))).toBe(true);
+    expect(errors.some(e => e.startsWith('pack.claims[0].difficulty'))).toBe(true);
+  });
+
+  it('rejects unknown fields and wrong types', () => {
+    const { errors } = validateClaimPack({ ...pack, claims: [{ ...claim, answr: 'TRUE', reviewedBy: 'me' }] });
+    expect(errors).toContain('pack.claims[0].answr: is not a known field');
+    expect(errors).toContain('pack.claims[0].reviewedBy: must be array');
+  });
+
+  it('requires registry subject and unit ids', () => {
+    const { errors } = validateClaimPack({
+      ...pack,
+      claims: [
+        { ...claim, id: 'a-001', subject: 'History' },
+        { ...claim, id: 'a-002', subject: 'biology', unit: 'ecosystems' },
+        { ...claim, id: 'a-003', subject: 'biology', unit: 'genetics-and-evolution' }
+      ]
+    });
+    expect(errors.some(e => e.startsWith('pack.claims[0].subject: must be one of'))).toBe(true);
+    expect(errors).toContain('pack.claims[1].unit: biology has no unit ecosystems');
+    expect(errors).toHaveLength(2);
+  });
+
+  it('checks claim translations', () => {
+    const translation = {
+      text: 'La biblioteca del pueblo abrió en 1905.',
+      explanation: 'Fecha de fundación según la sociedad histórica del condado.',
+      status: 'reviewed',
+      reviewedBy: ['ms-garcia'],
+      lastReviewed: '2026-09-01'
+    };
+    expect(validateClaimPack({ ...pack, claims: [{ ...claim, translations: { es: translation } }] }).errors).toEqual([]);
+
+    const { errors } = validateClaimPack({
+      ...pack,
+      claims: [{
+        ...claim,
+        translations: {
+          Spanish: translation,
+          fr: { text: 'La bibliothèque a ouvert en 1905.', status: 'done' }
+        }
+      }]
+    });
+    expect(errors).toContain('pack.claims[0].translations.Spanish: is not a valid key');
+    expect(errors).toContain('pack.claims[0].translations.fr.explanation: is required');
+    expect(errors).toContain('pack.claims[0].translations.fr.status: must be one of machine, draft, reviewed');
+  });
+
+  it('checks claim media', () => {
+    const chart = {
+      kind: 'bar',
+      yMin: 40,
+      yMax: 48,
+      points: [{ label: 'Town A', value: 41 }, { label: 'Town B', value: 47 }]
+    };
+    const media = { type: 'chart', alt: 'Bar chart with a y-axis from 40% to 48%.', chart };
+    expect(validateClaimPack({ ...pack, claims: [{ ...claim, media }] }).errors).toEqual([]);
+
+    const { errors } = validateClaimPack({
+      ...pack,
+      claims: [
+        { ...claim, id: 'a-001', media: { type: 'chart', chart } },
+        { ...claim, id: 'a-002', media: { type: 'image', alt: 'A poster about the library.' } },
+        { ...claim, id: 'a-003', media: { ...media, chart: { ...chart, yMin: 50 } } },
+        { ...claim, id: 'a-004', media: { ...media, type: 'image', src: 'javascript:alert(1)' } }
+      ]
+    });
+    expect(errors).toContain('pack.claims[0].media.alt: is required');
+    expect(errors).toContain('pack.claims[1].media: an image needs src');
+    expect(errors).toContain('pack.claims[2].media: chart.yMin must be below chart.yMax');
+    expect(errors).toContain('pack.claims[3].media.src: does not match the expected format');
+  });
+
+  it('checks source cards', () => {
+    const card = {
+      id: 'about',
+      kind: 'about-page',
+      title: 'About the Historical Society',
+      body: 'Founded in 1921 by local volunteers.',
+      reliability: 'mixed',
+      reliabilityNote: 'A volunteer group describing itself.'
+    };
+    const news = { ...card, id: 'news', kind: 'news', reliability: 'high' };
+    expect(validateClaimPack({ ...pack, claims: [{ ...claim, sources: [card, news] }] }).errors).toEqual([]);
+
+    const { errors } = validateClaimPack({
+      ...pack,
+      claims: [
+        { ...claim, id: 'a-001', sources: [card] },
+        { ...claim, id: 'a-002', sources: [card, { ...card, body: undefined, reliability: 'great' }] }
+      ]
+    });
+    expect(errors).toContain('pack.claims[0].sources: must have at least 2 items');
+    expect(errors).toContain('pack.claims[1].sources[1].reliability: must be one of high, mixed, low');
+    expect(errors).toContain('pack.claims[1].sources: duplicate card id about');
+    expect(errors).toContain('pack.claims[1].sources: card about needs body or results');
+  });
+
+  it('checks error spans', () => {
+    const errorSpans = [{ start: 27, end: 31, pattern: 'confident-specificity' }];
+    expect(validateClaimPack({ ...pack, claims: [{ ...claim, errorSpans }] }).errors).toEqual([]);
+
+    const { errors } = validateClaimPack({
+      ...pack,
+      claims: [
+        { ...claim, id: 'a-001', errorSpans: [{ start: 27, end: 60, pattern: 'confident-specificity' }] },
+        { ...claim, id: 'a-002', errorSpans: [{ start: 27, end: 31, pattern: 'made-up' }] }
+      ]
+    });
+    expect(errors).toContain('pack.claims[0].errorSpans: span 27-60 is outside the text');
+    expect(errors.some(e => e.startsWith('pack.claims[1].errorSpans[0].pattern: must be one of'))).toBe(true);
+  });
+
+  it('rejects duplicate claim ids', () => {
+    const { errors } = validateClaimPack({ ...pack, claims: [claim, claim] });
+    expect(errors).toContain('pack.claims[1].id: duplicate id d42-hist-001');
+  });
+
+  it('rejects empty packs and non-objects', () => {
+    expect(validateClaimPack({ ...pack, claims: [] }).isValid).toBe(false);
+    expect(validateClaimPack(null).error).toBe('pack: must be object');
+    expect(validateClaimPack([]).isValid).toBe(false);
+  });
+
+  it('summarizes the first error', () => {
+    const result = validateClaimPack({ ...pack, id: 'Bad Id', version: 'x' });
+    expect(result.error).toBe('pack.id: does not match the expected format (and 1 more)');
+  });
+});
+
+describe('compareVersions', () => {
+  it('compares numerically, not as text', () => {
+    expect(compareVersions('1.10.0', '1.9.0')).toBeGreaterThan(0);
+    expect(compareVersions('1.0.0', '2.0.0')).toBeLessThan(0);
+    expect(compareVersions('1.2.3', '1.2.3')).toBe(0);
+  });
+});
@@ -4,6 +4,7 @@
 
 import { describe, it, expect } from 'vitest';
 import { CLAIMS_DATABASE, AI_ERROR_PATTERNS, validateClaimsDatabase } from './claims';
+import { getErrorSpanProblems } from '../utils/errorSpans';
 
 describe('CLAIMS_DATABASE', () => {
   it('has at least 30 claims', () => {
@@ -111,4 +112,90 @@ describe('validateClaimsDatabase', () => {
     expect(result.duplicates).toHaveLength(0);
     expect(result.invalidClaims).toHaveLength(0);
   });
+
+  it('rejects subjects and units missing from the registry', () => {
+    const base = { text: 'A claim', answer: 'TRUE', source: 'expert-sourced', difficulty: 'easy' };
+    const result = validateClaimsDatabase([
+      { ...base, id: 'a', subject: 'biology', unit: 'genetics-and-evolution' },
+      { ...base, id: 'b', subject: 'Space Science' },
+      { ...base, id: 'c', subject: 'physics', unit: 'ecosystems' }
+    ]);
+    expect(result.valid).toBe(false);
+    expect(result.invalidClaims.map(entry => entry.reason)).toEqual([
+      'Unknown subject: Space Science',
+      'Unknown unit for physics: ecosystems'
+    ]);
+    expect(result.totalClaims).toBe(3);
+  });
+
+  it('rejects incomplete translations and unknown statuses', () => {
+    const base = { text: 'A claim', answer: 'TRUE', source: 'expert-sourced', difficulty: 'easy', subject: 'biology' };
+    const result = validateClaimsDatabase([
+      { ...base, id: 'a', translations: { es: { text: 'Una afirmación', explanation: 'Porque sí', status: 'draft' } } },
+      { ...base, id: 'b', translations: { es: { text: 'Una afirmación', status: 'draft' } } },
+      { ...base, id: 'c', translations: { es: { text: 'Una afirmación', explanation: 'Porque sí', status: 'final' } } }
+    ]);
+    expect(result.invalidClaims.map(entry => entry.reason)).toEqual([
+      'Incomplete es translation',
+      'Invalid es translation status: final'
+    ]);
+  });
+
+  it('requires alt text on media', () => {
+    const base = { text: 'A claim', answer: 'TRUE', source: 'expert-sourced', difficulty: 'easy', subject: 'media-literacy' };
+    const result = validateClaimsDatabase([
+      { ...base, id: 'a', media: { type: 'image', src: '/chart.png' } }
+    ]);
+    expect(result.invalidClaims.map(entry => entry.reason)).toEqual(['Media is missing alt text']);
+  });
+
+  it('checks error spans against the claim text', () => {
+    const base = { text: 'Bats are blind.', answer: 'FALSE', source: 'ai-generated', difficulty: 'easy', subject: 'biology' };
+    const result = validateClaimsDatabase([
+      { ...base, id: 'a', errorSpans: [{ start: 9, end: 14, pattern: 'myth-perpetuation' }] },
+      { ...base, id: 'b', errorSpans: [{ start: 9, end: 40, pattern: 'myth-perpetuation' }] }
+    ]);
+    expect(result.invalidClaims.map(entry => entry.reason)).toEqual(['Invalid error span: span 9-40 is outside the text']);
+  });
+
+  it('keeps annotated error spans inside their claims', () => {
+    const annotated = CLAIMS_DATABASE.filter(c => c.errorSpans);
+    expect(annotated.length).toBeGreaterThanOrEqual(10);
+    annotated.forEach(c => {
+      expect(getErrorSpanProblems(c.text, c.errorSpans)).toEqual([]);
+    });
+  });
+
+  it('checks source card counts and ratings', () => {
+    const base = { text: 'A claim', answer: 'TRUE', source: 'expert-sourced', difficulty: 'easy', subject: 'media-literacy' };
+    const card = { id: 'news', kind: 'news', title: 'Report', body: 'Text', reliability: 'high', reliabilityNote: 'Independent' };
+    const result = validateClaimsDatabase([
+      { ...base, id: 'a', sources: [card, { ...card, id: 'post' }] },
+      { ...base, id: 'b', sources: [card] },
+      { ...base, id: 'c', sources: [card, { ...card, id: 'post', reliability: 'great' }] }
+    ]);
+    expect(result.invalidClaims.map(entry => entry.reason)).toEqual([
+      'Needs 2-5 source cards',
+      'Invalid source card: post'
+    ]);
+  });
+
+  it('checks that pairs are one AI and one expert claim on the same subject', () => {
+    const base = { text: 'A claim', answer: 'TRUE', difficulty: 'easy', subject: 'biology' };
+    const result = validateClaimsDatabase([
+      { ...base, id: 'a', source: 'ai-generated', pairId: 'good' },
+      { ...base, id: 'b', source: 'expert-sourced', pairId: 'good' },
+      { ...base, id: 'c', source: 'ai-generated', pairId: 'same-source' },
+      { ...base, id: 'd', source: 'ai-generated', pairId: 'same-source' },
+      { ...base, id: 'e', source: 'ai-generated', pairId: 'alone' }
+    ]);
+    expect(result.invalidClaims.map(entry => entry.claim.id)).toEqual(['c', 'd', 'e']);
+    expect(result.invalidClaims[0].reason).toMatch(/^Invalid pair same-source/);
+  });
+
+  it('pairs annotated claims in the built-in database', () => {
+    const paired = CLAIMS_DATABASE.filter(c => c.pairId);
+    expect(paired.length).toBeGreaterThanOrEqual(20);
+    expect(new Set(paired.map(c => c.pairId)).size).toBe(paired.length / 2);
+  });
 });
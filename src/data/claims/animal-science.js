@@ -0,0 +1,402 @@
+/**
+ * CLAIMS - ANIMAL SCIENCE
+ * One subject chunk of the claims database, loaded on demand by claimsLoader.js
+ * See claims.js for the claim format; run `npm run claims:index` after editing
+ */
+
+export default [
+  {
+    id: 'animal-001',
+    text: 'Cows have best friends and get stressed when separated from them.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Research shows cows form strong bonds with other cows and show signs of stress (increased heart rate, cortisol) when separated from their preferred companions.',
+    errorPattern: null,
+    subject: 'animal-science',
+    difficulty: 'easy',
+    citation: 'https://www.appliedanimalbehaviour.com/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'animal-002',
+    text: 'Elephants are the only animals that cannot jump.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'While elephants cannot jump due to their weight and bone structure, many other animals also cannot jump, including hippos, rhinos, and sloths.',
+    errorPattern: 'confident-specificity',
+    errorSpans: [{ start: 14, end: 30, pattern: 'confident-specificity' }],
+    subject: 'animal-science',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'animal-003',
+    text: 'Butterflies taste with their feet.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Butterflies have taste sensors (chemoreceptors) on their feet that help them identify plants suitable for laying eggs and find nectar.',
+    errorPattern: null,
+    subject: 'animal-science',
+    difficulty: 'easy',
+    citation: 'https://www.britannica.com/animal/butterfly-insect',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'animal-004',
+    text: "A shrimp's heart is located in its head.",
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The heart of a shrimp is indeed located in its cephalothorax (the fused head and thorax region), which we commonly call the "head."',
+    errorPattern: null,
+    subject: 'animal-science',
+    difficulty: 'medium',
+    citation: 'https://www.britannica.com/animal/shrimp-crustacean',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'animal-005',
+    text: 'Koalas sleep 22 hours a day because eucalyptus leaves are toxic and their bodies need time to process the poison.',
+    answer: 'MIXED',
+    source: 'ai-generated',
+    explanation: 'Koalas DO sleep 18-22 hours daily, but not to "process poison." They sleep so much because eucalyptus is very low in nutrients and energy, not because of toxins.',
+    errorPattern: 'false-causation',
+    errorSpans: [{ start: 28, end: 63, pattern: 'false-causation' }],
+    subject: 'animal-science',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'animal-006',
+    text: 'Hummingbirds are the only birds that can fly backwards.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Due to their unique wing structure that allows full rotation, hummingbirds can fly backwards, sideways, and even hover in place.',
+    errorPattern: null,
+    subject: 'animal-science',
+    difficulty: 'easy',
+    citation: 'https://www.audubon.org/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'animal-007',
+    text: 'A group of owls is called a "parliament."',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The collective noun for owls is "parliament," possibly due to the ancient Greek belief that owls were wise creatures.',
+    errorPattern: null,
+    subject: 'animal-science',
+    difficulty: 'easy',
+    citation: 'https://www.merriam-webster.com/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'animal-008',
+    text: 'Cats always land on their feet due to a "righting reflex" that develops at exactly 3 weeks old.',
+    answer: 'MIXED',
+    source: 'ai-generated',
+    explanation: 'Cats DO have a righting reflex (true), but it develops between 3-4 weeks and is refined over time. Also, cats do NOT always land on their feet.',
+    errorPattern: 'confident-specificity',
+    errorSpans: [{ start: 75, end: 94, pattern: 'confident-specificity' }],
+    subject: 'animal-science',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'animal-new-001',
+    text: 'Goldfish have a 3-second memory.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Goldfish can remember things for months. Studies show they can learn and remember tasks for extended periods.',
+    errorPattern: 'myth-perpetuation',
+    errorSpans: [{ start: 16, end: 31, pattern: 'myth-perpetuation' }],
+    subject: 'animal-science',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'animal-new-002',
+    text: 'Elephants are the only animals that cannot jump.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'While elephants cannot jump, neither can sloths, hippos, and rhinos due to their body structure.',
+    errorPattern: 'confident-specificity',
+    subject: 'animal-science',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'animal-new-003',
+    text: 'Octopuses have three hearts.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Octopuses have one main heart and two branchial hearts that pump blood to the gills.',
+    errorPattern: null,
+    subject: 'animal-science',
+    difficulty: 'easy',
+    citation: 'https://www.nationalgeographic.com/animals/invertebrates/facts/octopus',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'animal-new-004',
+    text: 'Dogs see the world in black and white.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Dogs see colors but differently than humans. They see blues and yellows but not reds and greens.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'animal-science',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'animal-new-005',
+    text: 'Bats are completely blind and rely only on echolocation.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'All bat species can see. Many also use echolocation, but "blind as a bat" is a myth.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'animal-science',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'animal-new-006',
+    text: 'Honeybees die after stinging.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Honeybee stingers are barbed and tear from their body when stinging mammals, killing the bee.',
+    errorPattern: null,
+    subject: 'animal-science',
+    difficulty: 'easy',
+    citation: 'https://www.usgs.gov/faqs/what-happens-bee-after-it-stings-someone',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'animal-new-007',
+    text: 'Chameleons change color primarily for camouflage.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Color changes mainly reflect mood, temperature, and social signals. Camouflage is secondary.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'animal-science',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'animal-new-008',
+    text: 'Sharks must keep swimming to breathe.',
+    answer: 'MIXED',
+    source: 'expert-sourced',
+    explanation: 'Some shark species must swim to breathe (ram ventilation), but many can pump water over their gills while stationary.',
+    errorPattern: null,
+    subject: 'animal-science',
+    difficulty: 'medium',
+    citation: 'https://www.floridamuseum.ufl.edu/discover-fish/sharks/faqs/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'animal-new-009',
+    text: 'A group of crows is called a murder.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The collective noun for crows is indeed a "murder," dating back to medieval times.',
+    errorPattern: null,
+    subject: 'animal-science',
+    difficulty: 'medium',
+    citation: 'https://www.audubon.org/news/why-group-crows-called-murder',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'animal-new-010',
+    text: 'Cats always land on their feet.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'While cats have a righting reflex, they may not land safely from very short or very high falls.',
+    errorPattern: 'confident-specificity',
+    subject: 'animal-science',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'animal-new-011',
+    text: 'Flamingos are pink because of their diet.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Flamingos get their pink color from carotenoids in shrimp and algae they eat. Zoo flamingos need supplements.',
+    errorPattern: null,
+    subject: 'animal-science',
+    difficulty: 'medium',
+    citation: 'https://www.britannica.com/animal/flamingo-bird',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'animal-new-012',
+    text: 'Dolphins sleep with one eye open.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Dolphins sleep with half their brain at a time, keeping one eye open to watch for predators and surface to breathe.',
+    errorPattern: null,
+    subject: 'animal-science',
+    difficulty: 'medium',
+    citation: 'https://www.nature.com/articles/d41586-019-02233-5',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'animal-new-013',
+    text: 'Tardigrades can survive in the vacuum of space.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Tardigrades (water bears) can survive extreme conditions including space vacuum, radiation, and extreme temperatures.',
+    errorPattern: null,
+    subject: 'animal-science',
+    difficulty: 'hard',
+    citation: 'https://www.scientificamerican.com/article/tardigrades-may-have-survived-crash-landing-on-moon/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'animal-new-014',
+    text: 'Earthworms have five hearts.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Earthworms have five pairs of aortic arches that function like hearts, pumping blood through their bodies.',
+    errorPattern: null,
+    subject: 'animal-science',
+    difficulty: 'hard',
+    citation: 'https://www.britannica.com/animal/earthworm',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'animal-new-015',
+    text: 'Hummingbirds can fly backwards.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Hummingbirds are the only birds that can fly backwards, thanks to their unique wing structure.',
+    errorPattern: null,
+    subject: 'animal-science',
+    difficulty: 'easy',
+    citation: 'https://www.audubon.org/news/the-amazing-science-behind-hummingbird-flight',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'animal-new-016',
+    text: 'Penguins live only in cold climates.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'African penguins live in warm climates, and Galápagos penguins live near the equator.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'animal-science',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'animal-new-017',
+    text: 'Cows have four stomachs.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Cows have one stomach with four compartments (rumen, reticulum, omasum, abomasum), not four separate stomachs.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'animal-science',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'animal-new-018',
+    text: 'Some species of jellyfish are immortal.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Turritopsis dohrnii can revert to its juvenile form, theoretically living forever if not killed by predators or disease.',
+    errorPattern: null,
+    subject: 'animal-science',
+    difficulty: 'hard',
+    citation: 'https://www.amnh.org/explore/news-blogs/on-exhibit-posts/the-immortal-jellyfish',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'animal-new-019',
+    text: 'Kangaroos cannot walk backwards.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Due to their large tails and leg structure, kangaroos physically cannot walk backwards.',
+    errorPattern: null,
+    subject: 'animal-science',
+    difficulty: 'medium',
+    citation: 'https://www.nationalgeographic.com/animals/mammals/facts/kangaroos',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'animal-new-020',
+    text: 'Sloths are lazy because they are slow.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Sloths move slowly to conserve energy due to their low-calorie leaf diet, not laziness.',
+    errorPattern: 'false-causation',
+    subject: 'animal-science',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'animal-new-021',
+    text: 'Mantis shrimp can punch as fast as a bullet.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Mantis shrimp strike at about 50 mph, accelerating faster than a .22 caliber bullet.',
+    errorPattern: null,
+    subject: 'animal-science',
+    difficulty: 'hard',
+    citation: 'https://www.nature.com/articles/nature.2012.10527',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'animal-new-022',
+    text: 'Butterflies taste with their feet.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Butterflies have taste receptors on their feet, helping them identify plants for feeding and laying eggs.',
+    errorPattern: null,
+    subject: 'animal-science',
+    difficulty: 'medium',
+    citation: 'https://www.britannica.com/animal/butterfly-insect',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  }
+];
@@ -0,0 +1,412 @@
+/**
+ * CLAIMS - ASTRONOMY
+ * One subject chunk of the claims database, loaded on demand by claimsLoader.js
+ * See claims.js for the claim format; run `npm run claims:index` after editing
+ */
+
+export default [
+  {
+    id: 'sci-med-004',
+    text: 'A day on Venus is longer than a year on Venus.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Venus rotates so slowly that one day (243 Earth days) is longer than its year (225 Earth days to orbit the Sun).',
+    errorPattern: null,
+    subject: 'astronomy',
+    pairId: 'venus-spin',
+    difficulty: 'medium',
+    citation: 'https://solarsystem.nasa.gov/planets/venus/in-depth/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'sci-hard-002',
+    text: 'Neutron stars are so dense that a teaspoon of neutron star material would weigh about 6 billion tons on Earth.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Neutron stars have densities of 10^17 kg/m³. A teaspoon (about 5 mL) would indeed weigh several billion tons due to this extreme density.',
+    errorPattern: null,
+    subject: 'astronomy',
+    difficulty: 'hard',
+    citation: 'https://www.nasa.gov/vision/universe/starsgalaxies/neutron_stars.html',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'astro-viral-001',
+    text: 'If you could fly a plane to the sun, it would take over 20 years to get there.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'At 575 mph (average jet speed), reaching the sun (93 million miles away) would take about 19-20 years of non-stop flight.',
+    errorPattern: null,
+    subject: 'astronomy',
+    difficulty: 'medium',
+    citation: 'https://solarsystem.nasa.gov/solar-system/sun/overview/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'astro-viral-002',
+    text: 'There\'s a planet made entirely of diamonds called 55 Cancri e.',
+    answer: 'MIXED',
+    source: 'ai-generated',
+    explanation: 'Research suggests 55 Cancri e may have a carbon-rich composition that could include diamond, but "entirely of diamonds" is exaggerated. Its exact composition remains uncertain.',
+    errorPattern: 'confident-specificity',
+    subject: 'astronomy',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'astro-viral-003',
+    text: 'One million Earths could fit inside the Sun.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The Sun\'s volume is about 1.3 million times that of Earth. If the Sun were hollow, you could fit approximately 1.3 million Earths inside.',
+    errorPattern: null,
+    subject: 'astronomy',
+    difficulty: 'easy',
+    citation: 'https://solarsystem.nasa.gov/solar-system/sun/by-the-numbers/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'astro-viral-004',
+    text: 'Astronauts on the ISS see 16 sunrises and sunsets every single day.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The ISS orbits Earth every 90 minutes, so astronauts experience 16 complete day-night cycles in 24 hours.',
+    errorPattern: null,
+    subject: 'astronomy',
+    difficulty: 'medium',
+    citation: 'https://www.nasa.gov/mission_pages/station/main/index.html',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'astro-viral-005',
+    text: 'Space is completely silent because there\'s no air for sound waves to travel through.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Sound needs a medium (like air or water) to travel. In the vacuum of space, there are no molecules to carry sound waves.',
+    errorPattern: null,
+    subject: 'astronomy',
+    difficulty: 'easy',
+    citation: 'https://science.nasa.gov/science-news/science-at-nasa/2001/ast06nov_1',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'mixed-astro-001',
+    text: 'The dark side of the Moon is always dark because it never receives sunlight.',
+    answer: 'MIXED',
+    source: 'ai-generated',
+    explanation: 'There IS a "far side" of the Moon we never see from Earth (true). But it\'s not "always dark" - it receives just as much sunlight as the near side. "Dark" refers to "unknown/unseen," not "unlit."',
+    errorPattern: 'plausible-adjacency',
+    subject: 'astronomy',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'elem-astro-001',
+    text: 'A day on Venus is longer than a year on Venus.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Venus rotates very slowly! One day (rotation) takes 243 Earth days, but one year (orbit) only takes 225 Earth days.',
+    errorPattern: null,
+    subject: 'astronomy',
+    difficulty: 'easy',
+    gradeLevel: 'elementary',
+    citation: 'https://solarsystem.nasa.gov/planets/venus/overview/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'elem-astro-002',
+    text: 'The Moon makes its own light like the Sun does.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'The Moon doesn\'t make light - it reflects sunlight! The Sun is a star that makes light from nuclear fusion. The Moon is just a giant rock.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'astronomy',
+    pairId: 'moon-light',
+    difficulty: 'easy',
+    gradeLevel: 'elementary',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'elem-astro-003',
+    text: 'You could fit all the other planets between Earth and the Moon.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The average Earth-Moon distance is about 384,400 km. All the other planets lined up equal about 380,000 km!',
+    errorPattern: null,
+    subject: 'astronomy',
+    difficulty: 'medium',
+    gradeLevel: 'elementary',
+    citation: 'https://www.nasa.gov/audience/forstudents/k-4/stories/distances-in-space',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'elem-astro-004',
+    text: 'Saturn would float if you could find a bathtub big enough.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Saturn is the only planet less dense than water (0.687 g/cm³ vs water\'s 1 g/cm³). It would float like a giant beach ball!',
+    errorPattern: null,
+    subject: 'astronomy',
+    difficulty: 'easy',
+    gradeLevel: 'elementary',
+    citation: 'https://solarsystem.nasa.gov/planets/saturn/overview/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'elem-astro-005',
+    text: 'There are exactly 100 billion stars in our galaxy.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Scientists estimate 100-400 billion stars in the Milky Way, but we can\'t count them exactly! "Exactly 100 billion" is made up.',
+    errorPattern: 'confident-specificity',
+    subject: 'astronomy',
+    difficulty: 'easy',
+    gradeLevel: 'elementary',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'high-chem-001',
+    text: 'Neutron stars are so dense that a teaspoon would weigh about 6 billion tons.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Neutron stars pack the mass of the Sun into a sphere ~20 km across. A teaspoon of neutron star material would weigh billions of tons on Earth.',
+    errorPattern: null,
+    subject: 'astronomy',
+    difficulty: 'hard',
+    gradeLevel: 'high',
+    citation: 'https://www.nasa.gov/mission_pages/GLAST/science/neutron_stars.html',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'viral-010',
+    text: 'Venus is the only planet that spins clockwise (viewed from above the north pole).',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Uranus also spins differently - it rotates on its side! And technically Venus and Uranus both have retrograde rotation. Saying Venus is "the only" planet is incorrect.',
+    errorPattern: 'confident-specificity',
+    subject: 'astronomy',
+    pairId: 'venus-spin',
+    difficulty: 'medium',
+    gradeLevel: 'middle',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'viral-015',
+    text: 'A day on Mercury (sunrise to sunrise) lasts 176 Earth days.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Mercury rotates very slowly (59 Earth days) and orbits fast (88 days). Combined with its elliptical orbit, one solar day (noon to noon) equals 176 Earth days!',
+    errorPattern: null,
+    subject: 'astronomy',
+    difficulty: 'hard',
+    gradeLevel: 'high',
+    citation: 'https://solarsystem.nasa.gov/planets/mercury/overview/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'astro-new-001',
+    text: 'The Moon is slowly moving away from Earth.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The Moon drifts about 3.8 cm farther from Earth each year due to tidal interactions.',
+    errorPattern: null,
+    subject: 'astronomy',
+    pairId: 'moon-light',
+    difficulty: 'easy',
+    citation: 'https://www.nasa.gov/moon',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'astro-new-002',
+    text: 'Stars twinkle because they are blinking on and off.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Stars appear to twinkle because Earth\'s atmosphere bends their light. The stars themselves shine steadily.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'astronomy',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'astro-new-003',
+    text: 'A day on Venus is longer than a year on Venus.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Venus rotates so slowly that one day (243 Earth days) is longer than its year (225 Earth days).',
+    errorPattern: null,
+    subject: 'astronomy',
+    difficulty: 'easy',
+    citation: 'https://solarsystem.nasa.gov/planets/venus',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'astro-new-004',
+    text: 'All planets in our solar system rotate in the same direction.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Venus and Uranus rotate in the opposite direction compared to most other planets.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'astronomy',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'astro-new-005',
+    text: 'The Sun contains over 99% of all the mass in our solar system.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The Sun is so massive that all planets, moons, and asteroids combined make up less than 1%.',
+    errorPattern: null,
+    subject: 'astronomy',
+    difficulty: 'easy',
+    citation: 'https://solarsystem.nasa.gov/sun',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'astro-new-006',
+    text: 'Black holes emit a type of radiation called Hawking radiation.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Stephen Hawking theorized that black holes slowly emit radiation due to quantum effects.',
+    errorPattern: null,
+    subject: 'astronomy',
+    difficulty: 'medium',
+    citation: 'https://www.nature.com/articles/nature.2014.14583',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'astro-new-007',
+    text: 'The North Star (Polaris) is the brightest star in the night sky.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Sirius is the brightest star. Polaris is only about the 50th brightest but marks true north.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'astronomy',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'astro-new-008',
+    text: 'Neutron stars can spin hundreds of times per second.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Some neutron stars rotate over 700 times per second due to conservation of angular momentum.',
+    errorPattern: null,
+    subject: 'astronomy',
+    difficulty: 'medium',
+    citation: 'https://www.nasa.gov/mission_pages/GLAST/science/pulsars.html',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'astro-new-009',
+    text: 'Light from the Sun takes exactly 1 minute to reach Earth.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Sunlight takes about 8 minutes and 20 seconds to reach Earth.',
+    errorPattern: 'confident-specificity',
+    subject: 'astronomy',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'astro-new-010',
+    text: 'The observable universe contains approximately 2 trillion galaxies.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Studies using Hubble data estimate about 2 trillion galaxies in the observable universe.',
+    errorPattern: null,
+    subject: 'astronomy',
+    pairId: 'big-bang',
+    difficulty: 'hard',
+    citation: 'https://hubblesite.org/contents/news-releases/2016/news-2016-39',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'astro-new-011',
+    text: 'Gravity travels at the speed of light.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Gravitational waves propagate at light speed, confirmed by LIGO observations.',
+    errorPattern: null,
+    subject: 'astronomy',
+    difficulty: 'hard',
+    citation: 'https://www.ligo.org/science/GW-Specifics.php',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'astro-new-012',
+    text: 'Dark matter makes up about 27% of the universe.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Current models estimate dark matter ~27%, dark energy ~68%, ordinary matter only ~5%.',
+    errorPattern: null,
+    subject: 'astronomy',
+    difficulty: 'hard',
+    citation: 'https://science.nasa.gov/astrophysics/focus-areas/what-is-dark-energy',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'astro-new-013',
+    text: 'The Big Bang was an explosion in space.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'The Big Bang was not an explosion in space but an expansion of space itself from a singularity.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'astronomy',
+    pairId: 'big-bang',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'astro-new-014',
+    text: 'There is a supermassive black hole at the center of the Milky Way.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Sagittarius A* is a supermassive black hole with 4 million solar masses at our galaxy\'s center.',
+    errorPattern: null,
+    subject: 'astronomy',
+    difficulty: 'hard',
+    citation: 'https://www.nasa.gov/mission_pages/chandra/news/black-hole-image-makes-history',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  }
+];
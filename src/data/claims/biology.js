@@ -0,0 +1,956 @@
+/**
+ * CLAIMS - BIOLOGY
+ * One subject chunk of the claims database, loaded on demand by claimsLoader.js
+ * See claims.js for the claim format; run `npm run claims:index` after editing
+ */
+
+export default [
+  {
+    id: 'sci-easy-001',
+    text: 'The mitochondria converts glucose into ATP through a process called photosynthesis, which occurs in all animal cells.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Mitochondria use cellular respiration, not photosynthesis. Photosynthesis occurs in chloroplasts in plant cells.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'biology',
+    unit: 'cells-and-body',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'sci-easy-002',
+    text: "Your brain uses about 20% of your body's total energy, even though it's only about 2% of your body weight.",
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: "Well-documented in neuroscience literature. The brain's high metabolic demand reflects its computational complexity.",
+    errorPattern: null,
+    subject: 'biology',
+    unit: 'cells-and-body',
+    pairId: 'brain-energy',
+    difficulty: 'easy',
+    citation: 'https://doi.org/10.1073/pnas.162041399',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'sci-easy-005',
+    text: 'Goldfish have a 3-second memory, which is why they seem content swimming in small bowls.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Studies show goldfish can remember things for months! They can learn mazes, recognize their owners, and remember feeding times.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'biology',
+    unit: 'plants-and-animals',
+    pairId: 'animal-memory',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'sci-easy-006',
+    text: 'Bananas are berries, but strawberries are not.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Botanically, berries develop from a single ovary and have seeds embedded in flesh. Bananas qualify; strawberries are "accessory fruits."',
+    errorPattern: null,
+    subject: 'biology',
+    unit: 'plants-and-animals',
+    difficulty: 'easy',
+    citation: 'https://www.britannica.com/science/berry-plant-reproductive-body',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'sci-easy-007',
+    text: 'Humans only use 10% of their brains.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Brain scans show we use virtually all parts of our brain, and most of the brain is active almost all the time.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'biology',
+    unit: 'cells-and-body',
+    pairId: 'brain-energy',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'sci-easy-008',
+    text: 'A group of flamingos is called a "flamboyance."',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'This is the official collective noun for flamingos, likely inspired by their vibrant pink color and dramatic appearance.',
+    errorPattern: null,
+    subject: 'biology',
+    unit: 'plants-and-animals',
+    difficulty: 'easy',
+    citation: 'https://www.merriam-webster.com/dictionary/flamboyance',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'sci-easy-010',
+    text: 'Octopuses have three hearts and blue blood.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Two hearts pump blood to the gills, while the third pumps it to the body. Their blood contains copper-based hemocyanin, making it blue.',
+    errorPattern: null,
+    subject: 'biology',
+    unit: 'plants-and-animals',
+    difficulty: 'easy',
+    citation: 'https://www.scientificamerican.com/article/how-octopus-arms-move/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'sci-med-005',
+    text: 'Sharks have been around longer than trees.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Sharks appeared about 450 million years ago. Trees evolved about 350 million years ago. Sharks predate trees by 100 million years!',
+    errorPattern: null,
+    subject: 'biology',
+    unit: 'genetics-and-evolution',
+    difficulty: 'medium',
+    citation: 'https://www.nhm.ac.uk/discover/shark-evolution-a-450-million-year-timeline.html',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'sci-hard-003',
+    text: 'CRISPR gene editing was discovered when scientists noticed bacteria defending themselves against viruses, leading to the first human trials in China in 2015 at Beijing University.',
+    answer: 'MIXED',
+    source: 'ai-generated',
+    explanation: 'CRISPR was discovered from bacterial immune systems (true), but the first human trials were in 2016, not 2015, and occurred at Sichuan University, not Beijing University.',
+    errorPattern: 'geographic-fabrication',
+    errorSpans: [{ start: 157, end: 178, pattern: 'geographic-fabrication' }],
+    subject: 'biology',
+    unit: 'genetics-and-evolution',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'bio-viral-001',
+    text: 'You share 50% of your DNA with bananas.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Humans and bananas share about 50-60% of identical DNA because all life evolved from common ancestors. Basic cellular functions use similar genetic code.',
+    errorPattern: null,
+    subject: 'biology',
+    unit: 'genetics-and-evolution',
+    pairId: 'banana-dna',
+    difficulty: 'medium',
+    citation: 'https://www.nhm.ac.uk/discover/what-do-humans-have-in-common-with-bananas.html',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'bio-viral-002',
+    text: 'There are more bacteria in your mouth right now than there are people on Earth.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Your mouth contains 20 billion+ bacteria. Earth has ~8 billion people. Your mouth is a thriving ecosystem!',
+    errorPattern: null,
+    subject: 'biology',
+    unit: 'cells-and-body',
+    difficulty: 'easy',
+    citation: 'https://www.ncbi.nlm.nih.gov/pmc/articles/PMC3086586/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'bio-viral-003',
+    text: 'Stomach acid is strong enough to dissolve metal, which is why your stomach dissolves itself every few days and regrows.',
+    answer: 'MIXED',
+    source: 'ai-generated',
+    explanation: 'Stomach acid (pH 1.5-3.5) CAN dissolve some metals, but your stomach is protected by mucus lining - it doesn\'t "dissolve and regrow." The lining regenerates cells, not the whole stomach.',
+    errorPattern: 'confident-specificity',
+    subject: 'biology',
+    unit: 'cells-and-body',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'bio-viral-004',
+    text: 'Sloths can hold their breath longer than dolphins.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Sloths can slow their heart rate and hold breath for up to 40 minutes. Dolphins typically surface every 8-10 minutes.',
+    errorPattern: null,
+    subject: 'biology',
+    unit: 'plants-and-animals',
+    difficulty: 'hard',
+    citation: 'https://www.smithsonianmag.com/science-nature/14-fun-facts-about-sloths-180971029/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'bio-viral-005',
+    text: 'Your body contains enough fat to make 7 bars of soap.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The average adult has about 35 billion fat cells containing enough lipids to produce 7+ bars of soap. (Don\'t try this at home!)',
+    errorPattern: null,
+    subject: 'biology',
+    unit: 'cells-and-body',
+    difficulty: 'medium',
+    citation: 'https://www.britannica.com/science/adipose-tissue',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'mixed-sci-001',
+    text: 'Humans swallow an average of 8 spiders per year while sleeping, according to a 1993 study.',
+    answer: 'MIXED',
+    source: 'ai-generated',
+    explanation: 'The "1993 study" is fabricated - this "fact" was actually invented to demonstrate how misinformation spreads. Humans swallowing spiders while sleeping is extremely rare because spiders avoid large, breathing creatures.',
+    errorPattern: 'appeal-to-authority',
+    errorSpans: [
+      { start: 15, end: 47, pattern: 'confident-specificity' },
+      { start: 64, end: 89, pattern: 'appeal-to-authority' }
+    ],
+    subject: 'biology',
+    unit: 'cells-and-body',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'mixed-sci-002',
+    text: 'Dogs see only in black and white, which is why they rely more on smell than sight.',
+    answer: 'MIXED',
+    source: 'ai-generated',
+    explanation: 'Dogs DO rely heavily on smell (true), but they are NOT colorblind. Dogs see blue and yellow, just not the full spectrum humans see. The reasoning is flawed even though the smell part is accurate.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'biology',
+    unit: 'plants-and-animals',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'mixed-sci-003',
+    text: 'Bats are blind, which is why they evolved echolocation to navigate.',
+    answer: 'MIXED',
+    source: 'ai-generated',
+    explanation: 'Bats DID evolve echolocation for navigation (true), but they are NOT blind. Most bats can see quite well, and some fruit bats have excellent vision. Echolocation evolved for hunting in darkness, not to compensate for blindness.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'biology',
+    unit: 'plants-and-animals',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'mixed-bio-001',
+    text: 'Chameleons change color to camouflage with their surroundings, which helps them hide from predators.',
+    answer: 'MIXED',
+    source: 'ai-generated',
+    explanation: 'Chameleons DO change color (true), but primarily to communicate mood, regulate temperature, and signal to other chameleons - not mainly for camouflage. The camouflage purpose is overstated in popular belief.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'biology',
+    unit: 'plants-and-animals',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'body-002',
+    text: 'Humans shed about 600,000 particles of skin every hour.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'We lose about 30,000-40,000 dead skin cells every minute. Over time, we shed our entire outer layer every 2-4 weeks.',
+    errorPattern: null,
+    subject: 'biology',
+    unit: 'cells-and-body',
+    difficulty: 'medium',
+    citation: 'https://www.aad.org/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'body-003',
+    text: 'You cannot sneeze with your eyes open.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'While most people close their eyes when sneezing (it\'s a reflex), it IS physically possible to sneeze with your eyes open.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'biology',
+    unit: 'cells-and-body',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'body-004',
+    text: 'Babies are born with 300 bones, but adults only have 206.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Babies have about 270-300 bones, many of which fuse together as they grow. By adulthood, we have 206 bones.',
+    errorPattern: null,
+    subject: 'biology',
+    unit: 'cells-and-body',
+    difficulty: 'easy',
+    citation: 'https://www.livescience.com/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'body-005',
+    text: 'Your fingernails grow faster on your dominant hand.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The dominant hand gets more blood flow and trauma (tiny impacts), which stimulates nail growth.',
+    errorPattern: null,
+    subject: 'biology',
+    unit: 'cells-and-body',
+    difficulty: 'hard',
+    citation: 'https://www.aad.org/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'body-006',
+    text: "Humans can't breathe and swallow at the same time.",
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The epiglottis closes over the windpipe when we swallow, preventing simultaneous breathing.',
+    errorPattern: null,
+    subject: 'biology',
+    unit: 'cells-and-body',
+    difficulty: 'medium',
+    citation: 'https://www.britannica.com/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'food-001',
+    text: "Peanuts are not actually nuts - they're legumes.",
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Peanuts grow underground and are part of the legume family, related to beans and lentils. True nuts grow on trees.',
+    errorPattern: null,
+    subject: 'biology',
+    unit: 'plants-and-animals',
+    difficulty: 'easy',
+    citation: 'https://www.britannica.com/plant/peanut',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'food-003',
+    text: 'Apples, pears, and plums are all members of the rose family.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The Rosaceae (rose) family includes many fruits: apples, pears, plums, cherries, peaches, strawberries, and raspberries.',
+    errorPattern: null,
+    subject: 'biology',
+    unit: 'plants-and-animals',
+    difficulty: 'hard',
+    citation: 'https://www.britannica.com/plant/Rosaceae',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'env-002',
+    text: 'A single tree can absorb 48 pounds of carbon dioxide per year.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'A mature tree absorbs about 48 pounds of CO2 annually, though the amount varies by species and conditions.',
+    errorPattern: null,
+    subject: 'biology',
+    unit: 'plants-and-animals',
+    difficulty: 'medium',
+    citation: 'https://www.arborday.org/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'elem-bio-001',
+    text: 'A giraffe\'s tongue is about 18-20 inches long and is purple-black to protect it from sunburn.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Giraffes have dark tongues (purple, black, or dark blue) with melanin that protects against UV rays while eating from trees for hours.',
+    errorPattern: null,
+    subject: 'biology',
+    unit: 'plants-and-animals',
+    difficulty: 'easy',
+    gradeLevel: 'elementary',
+    citation: 'https://www.nationalgeographic.com/animals/mammals/facts/giraffe',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team'],
+    translations: {
+      es: {
+        text: 'La lengua de una jirafa mide unos 45-50 centímetros y es de color morado oscuro para protegerla del sol.',
+        explanation: 'Las jirafas tienen la lengua oscura (morada, negra o azul oscuro) con melanina, que la protege de los rayos UV mientras comen de los árboles durante horas.',
+        status: 'draft',
+        translatedBy: 'content-team'
+      }
+    }
+  },
+  {
+    id: 'elem-bio-002',
+    text: 'Butterflies taste with their feet.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Butterflies have taste sensors (chemoreceptors) on their feet! When they land on a plant, they can taste it immediately.',
+    errorPattern: null,
+    subject: 'biology',
+    unit: 'plants-and-animals',
+    difficulty: 'easy',
+    gradeLevel: 'elementary',
+    citation: 'https://www.scientificamerican.com/article/butterflies-taste-with-their-feet/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team'],
+    translations: {
+      es: {
+        text: 'Las mariposas saborean con las patas.',
+        explanation: '¡Las mariposas tienen sensores del gusto (quimiorreceptores) en las patas! Cuando se posan en una planta, pueden saborearla de inmediato.',
+        status: 'draft',
+        translatedBy: 'content-team'
+      }
+    }
+  },
+  {
+    id: 'elem-bio-003',
+    text: 'Dogs can only see in black and white.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Dogs can see colors! They see blues and yellows well, but have trouble with reds and greens. They see fewer colors than humans, but not just black and white.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'biology',
+    unit: 'plants-and-animals',
+    difficulty: 'easy',
+    gradeLevel: 'elementary',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team'],
+    translations: {
+      es: {
+        text: 'Los perros solo pueden ver en blanco y negro.',
+        explanation: '¡Los perros pueden ver colores! Ven bien los azules y los amarillos, pero les cuesta distinguir los rojos y los verdes. Ven menos colores que las personas, pero no solo blanco y negro.',
+        status: 'draft',
+        translatedBy: 'content-team'
+      }
+    }
+  },
+  {
+    id: 'elem-bio-004',
+    text: 'Elephants are the only animals that can\'t jump.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'While elephants can\'t jump, they\'re not alone! Sloths, hippos, and rhinos can\'t jump either. Many heavy animals can\'t.',
+    errorPattern: 'confident-specificity',
+    subject: 'biology',
+    unit: 'plants-and-animals',
+    difficulty: 'easy',
+    gradeLevel: 'elementary',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team'],
+    translations: {
+      es: {
+        text: 'Los elefantes son los únicos animales que no pueden saltar.',
+        explanation: 'Es cierto que los elefantes no pueden saltar, ¡pero no son los únicos! Los perezosos, los hipopótamos y los rinocerontes tampoco pueden. Muchos animales pesados no pueden saltar.',
+        status: 'draft',
+        translatedBy: 'content-team'
+      }
+    }
+  },
+  {
+    id: 'elem-bio-005',
+    text: 'A snail can sleep for 3 years.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Some snails can enter a deep sleep (estivation) during dry conditions for up to 3 years to survive without water!',
+    errorPattern: null,
+    subject: 'biology',
+    unit: 'plants-and-animals',
+    difficulty: 'easy',
+    gradeLevel: 'elementary',
+    citation: 'https://www.britannica.com/animal/snail',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team'],
+    translations: {
+      es: {
+        text: 'Un caracol puede dormir durante 3 años.',
+        explanation: '¡Algunos caracoles pueden entrar en un sueño profundo (estivación) durante épocas secas, hasta 3 años, para sobrevivir sin agua!',
+        status: 'draft',
+        translatedBy: 'content-team'
+      }
+    }
+  },
+  {
+    id: 'elem-bio-006',
+    text: 'Octopuses have three hearts and blue blood.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Two hearts pump blood to the gills, one pumps to the body. Their blood is blue because it uses copper (not iron like ours) to carry oxygen.',
+    errorPattern: null,
+    subject: 'biology',
+    unit: 'plants-and-animals',
+    difficulty: 'easy',
+    gradeLevel: 'elementary',
+    citation: 'https://ocean.si.edu/ocean-life/invertebrates/octopus',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team'],
+    translations: {
+      es: {
+        text: 'Los pulpos tienen tres corazones y sangre azul.',
+        explanation: 'Dos corazones bombean sangre a las branquias y uno al resto del cuerpo. Su sangre es azul porque usa cobre (no hierro como la nuestra) para transportar el oxígeno.',
+        status: 'draft',
+        translatedBy: 'content-team'
+      }
+    }
+  },
+  {
+    id: 'elem-bio-007',
+    text: 'Cows have exactly four stomachs.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Cows have ONE stomach with FOUR compartments (rumen, reticulum, omasum, abomasum). It\'s one stomach divided into parts, not four separate stomachs.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'biology',
+    unit: 'plants-and-animals',
+    difficulty: 'easy',
+    gradeLevel: 'elementary',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'elem-bio-008',
+    text: 'A group of owls is called a "parliament."',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The collective noun for owls is a "parliament," possibly because owls are often seen as wise, like parliament members.',
+    errorPattern: null,
+    subject: 'biology',
+    unit: 'plants-and-animals',
+    difficulty: 'easy',
+    gradeLevel: 'elementary',
+    citation: 'https://www.merriam-webster.com/dictionary/parliament',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'elem-bio-009',
+    text: 'Sharks are older than trees.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Sharks appeared about 450 million years ago. Trees only appeared about 350 million years ago. Sharks are 100 million years older!',
+    errorPattern: null,
+    subject: 'biology',
+    unit: 'genetics-and-evolution',
+    difficulty: 'easy',
+    gradeLevel: 'elementary',
+    citation: 'https://www.smithsonianmag.com/smart-news/sharks-are-older-trees-180957312/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'elem-bio-010',
+    text: 'Penguins have knees hidden under their feathers.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Penguins do have knees! Their legs are structured with knees hidden inside their bodies, which is why they waddle.',
+    errorPattern: null,
+    subject: 'biology',
+    unit: 'plants-and-animals',
+    difficulty: 'easy',
+    gradeLevel: 'elementary',
+    citation: 'https://www.britannica.com/animal/penguin',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'elem-bio-011',
+    text: 'A frog must close its eyes to swallow food.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Frogs push their eyes down to help push food down their throats! They literally use their eyeballs to swallow.',
+    errorPattern: null,
+    subject: 'biology',
+    unit: 'plants-and-animals',
+    difficulty: 'easy',
+    gradeLevel: 'elementary',
+    citation: 'https://www.scientificamerican.com/article/frogs-use-their-eyes-to-swallow-prey/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'elem-bio-012',
+    text: 'Cats always land on their feet because they have exactly 9 lives.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Cats often land on their feet because they have a flexible spine and inner ear balance. The "9 lives" is just a saying - cats have one life like all animals.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'biology',
+    unit: 'plants-and-animals',
+    difficulty: 'easy',
+    gradeLevel: 'elementary',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'elem-human-001',
+    text: 'Your nose and ears never stop growing your entire life.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Unlike bones, the cartilage in your nose and ears keeps growing slowly throughout your life. That\'s why older people have bigger noses and ears!',
+    errorPattern: null,
+    subject: 'biology',
+    unit: 'cells-and-body',
+    difficulty: 'easy',
+    gradeLevel: 'elementary',
+    citation: 'https://www.scientificamerican.com/article/why-do-noses-and-ears-continue-to-grow/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'elem-human-002',
+    text: 'You are about 1 cm taller in the morning than at night.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The cartilage between your spine bones (vertebrae) compresses during the day from gravity. You\'re slightly shorter at night and "taller" after sleeping!',
+    errorPattern: null,
+    subject: 'biology',
+    unit: 'cells-and-body',
+    difficulty: 'easy',
+    gradeLevel: 'elementary',
+    citation: 'https://www.scientificamerican.com/article/why-am-i-taller-in-the-morning/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'elem-human-003',
+    text: 'Humans have exactly 206 bones at all ages.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Babies are born with about 270-300 bones! Many fuse together as you grow. Adults have 206 bones, but babies have more.',
+    errorPattern: 'confident-specificity',
+    subject: 'biology',
+    unit: 'cells-and-body',
+    difficulty: 'easy',
+    gradeLevel: 'elementary',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'elem-human-004',
+    text: 'Your stomach gets a new lining every few days.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Your stomach lining replaces itself every 3-4 days to protect against the strong acid that digests your food!',
+    errorPattern: null,
+    subject: 'biology',
+    unit: 'cells-and-body',
+    difficulty: 'easy',
+    gradeLevel: 'elementary',
+    citation: 'https://www.ncbi.nlm.nih.gov/books/NBK534792/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'mid-bio-001',
+    text: 'The human body contains enough iron to make a 3-inch nail.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Adults have about 4 grams of iron in their blood and tissues. That\'s enough to forge a small nail!',
+    errorPattern: null,
+    subject: 'biology',
+    unit: 'cells-and-body',
+    difficulty: 'medium',
+    gradeLevel: 'middle',
+    citation: 'https://www.ncbi.nlm.nih.gov/pmc/articles/PMC3685880/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'mid-bio-002',
+    text: 'Humans share exactly 60% of their DNA with bananas.',
+    answer: 'MIXED',
+    source: 'ai-generated',
+    explanation: 'Humans share about 40-60% of DNA with bananas, but "exactly 60%" is too precise. The actual percentage depends on which genes you compare.',
+    errorPattern: 'confident-specificity',
+    subject: 'biology',
+    unit: 'genetics-and-evolution',
+    pairId: 'banana-dna',
+    difficulty: 'medium',
+    gradeLevel: 'middle',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'mid-bio-003',
+    text: 'A cockroach can live for several weeks without its head.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Cockroaches breathe through body segments and don\'t need their head for breathing. They eventually die from dehydration since they can\'t drink.',
+    errorPattern: null,
+    subject: 'biology',
+    unit: 'plants-and-animals',
+    difficulty: 'medium',
+    gradeLevel: 'middle',
+    citation: 'https://www.scientificamerican.com/article/fact-or-fiction-a-luftwa/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'mid-bio-004',
+    text: 'The mantis shrimp can punch with the force of a bullet.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Mantis shrimp can accelerate their clubs at 50 mph, creating a force equivalent to a .22 caliber bullet! They can break aquarium glass.',
+    errorPattern: null,
+    subject: 'biology',
+    unit: 'plants-and-animals',
+    difficulty: 'medium',
+    gradeLevel: 'middle',
+    citation: 'https://www.nature.com/articles/nature03657',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'mid-bio-005',
+    text: 'Tardigrades (water bears) can survive in the vacuum of space.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Tardigrades have survived exposure to space vacuum, extreme radiation, and temperatures from -458°F to 300°F! They enter a dried state called cryptobiosis.',
+    errorPattern: null,
+    subject: 'biology',
+    unit: 'plants-and-animals',
+    difficulty: 'medium',
+    gradeLevel: 'middle',
+    citation: 'https://www.nature.com/articles/news.2008.1087',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'mid-bio-006',
+    text: 'Jellyfish are immortal and cannot die of old age.',
+    answer: 'MIXED',
+    source: 'ai-generated',
+    explanation: 'Only ONE species (Turritopsis dohrnii) can potentially reverse aging. Most jellyfish die normally. Saying "jellyfish are immortal" is a huge overgeneralization.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'biology',
+    unit: 'plants-and-animals',
+    difficulty: 'hard',
+    gradeLevel: 'middle',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'high-bio-001',
+    text: 'Humans are 99.9% genetically identical to each other.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'All humans share about 99.9% of their DNA sequence. The 0.1% difference accounts for all variation in traits, disease susceptibility, and individual uniqueness.',
+    errorPattern: null,
+    subject: 'biology',
+    unit: 'genetics-and-evolution',
+    difficulty: 'medium',
+    gradeLevel: 'high',
+    citation: 'https://www.genome.gov/about-genomics/fact-sheets/Genetics-vs-Genomics',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'high-bio-003',
+    text: 'Mitochondria have their own DNA, separate from the cell\'s nuclear DNA.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Mitochondrial DNA (mtDNA) is inherited only from mothers. This supports the endosymbiotic theory that mitochondria were once free-living bacteria.',
+    errorPattern: null,
+    subject: 'biology',
+    unit: 'genetics-and-evolution',
+    difficulty: 'medium',
+    gradeLevel: 'high',
+    citation: 'https://www.ncbi.nlm.nih.gov/books/NBK21251/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'high-bio-004',
+    text: 'The appendix has no known function and is purely a vestigial organ.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Recent research shows the appendix serves as a "safe house" for beneficial gut bacteria and plays a role in immune function. It\'s not purely vestigial.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'biology',
+    unit: 'genetics-and-evolution',
+    difficulty: 'medium',
+    gradeLevel: 'high',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'col-bio-001',
+    text: 'Horizontal gene transfer means bacteria can acquire antibiotic resistance without reproducing.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Bacteria can transfer plasmids containing resistance genes directly to neighboring bacteria through conjugation, transformation, or transduction - without cell division.',
+    errorPattern: null,
+    subject: 'biology',
+    unit: 'genetics-and-evolution',
+    difficulty: 'hard',
+    gradeLevel: 'college',
+    citation: 'https://www.ncbi.nlm.nih.gov/pmc/articles/PMC4536516/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'col-bio-002',
+    text: 'Epigenetic changes can be inherited across multiple generations, proving Lamarckian evolution was correct.',
+    answer: 'MIXED',
+    source: 'ai-generated',
+    explanation: 'Transgenerational epigenetic inheritance exists and resembles Lamarck\'s ideas, but this doesn\'t validate his full theory. Modern epigenetics works through different mechanisms than Lamarck proposed.',
+    errorPattern: 'false-causation',
+    subject: 'biology',
+    unit: 'genetics-and-evolution',
+    difficulty: 'hard',
+    gradeLevel: 'college',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'col-bio-003',
+    text: 'The human microbiome contains more bacterial cells than human cells in the body.',
+    answer: 'MIXED',
+    source: 'ai-generated',
+    explanation: 'The commonly cited 10:1 ratio is outdated. Current estimates suggest roughly 1:1 ratio (38 trillion bacteria vs 37 trillion human cells), varying by individual and conditions.',
+    errorPattern: 'confident-specificity',
+    subject: 'biology',
+    unit: 'cells-and-body',
+    difficulty: 'hard',
+    gradeLevel: 'college',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'viral-001',
+    text: 'A blue whale\'s heart is so big that a small child could crawl through its arteries.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'A blue whale\'s heart weighs about 400 pounds and is the size of a small car. Its aorta is large enough for a small child (or a basketball) to pass through!',
+    errorPattern: null,
+    subject: 'biology',
+    unit: 'plants-and-animals',
+    difficulty: 'easy',
+    gradeLevel: 'elementary',
+    citation: 'https://www.nationalgeographic.com/animals/mammals/facts/blue-whale',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'viral-003',
+    text: 'Honey bees can recognize human faces.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Studies show honeybees can learn to recognize and remember human faces, using the same part of their brain they use to recognize flowers!',
+    errorPattern: null,
+    subject: 'biology',
+    unit: 'plants-and-animals',
+    difficulty: 'medium',
+    gradeLevel: 'middle',
+    citation: 'https://www.science.org/doi/10.1126/science.1103676',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'viral-004',
+    text: 'Your brain uses more electricity than a light bulb.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Your brain uses about 12-20 watts - similar to a dim LED bulb but less than most incandescent bulbs (40-100W). "More than a light bulb" is misleading without specifying which bulb.',
+    errorPattern: 'confident-specificity',
+    subject: 'biology',
+    unit: 'cells-and-body',
+    difficulty: 'medium',
+    gradeLevel: 'middle',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'viral-007',
+    text: 'Wombat poop is cube-shaped.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Wombats produce cube-shaped droppings due to the varied elasticity of their intestinal walls. The cubes don\'t roll away, helping mark territory. Scientists won an Ig Nobel Prize studying this!',
+    errorPattern: null,
+    subject: 'biology',
+    unit: 'plants-and-animals',
+    difficulty: 'easy',
+    gradeLevel: 'elementary',
+    citation: 'https://www.nationalgeographic.com/animals/article/wombat-poop-cubes-why-study-reveals-mystery',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'viral-012',
+    text: 'Crows can remember human faces and hold grudges for years.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Research shows crows recognize faces and can hold grudges against people who threatened them. They even teach their offspring to recognize "dangerous" humans!',
+    errorPattern: null,
+    subject: 'biology',
+    unit: 'plants-and-animals',
+    pairId: 'animal-memory',
+    difficulty: 'medium',
+    gradeLevel: 'middle',
+    citation: 'https://www.scientificamerican.com/article/grudge-holding-crows-pass-on-their-anger-to-family-and-friends/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'viral-017',
+    text: 'Every person alive today shares a common ancestor who lived only about 3,000 years ago.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Mathematical modeling shows everyone alive today shares at least one ancestor from roughly 1000 BCE. This "identical ancestors point" is surprisingly recent due to population interconnection.',
+    errorPattern: null,
+    subject: 'biology',
+    unit: 'genetics-and-evolution',
+    difficulty: 'hard',
+    gradeLevel: 'high',
+    citation: 'https://www.nature.com/articles/nature02842',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'viral-020',
+    text: 'A strawberry is not actually a berry, but a banana is.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Botanically, berries develop from a single ovary with seeds inside the flesh. Strawberries develop from multiple ovaries (making them "aggregate fruits"). Bananas meet the berry definition!',
+    errorPattern: null,
+    subject: 'biology',
+    unit: 'plants-and-animals',
+    difficulty: 'medium',
+    gradeLevel: 'middle',
+    citation: 'https://www.britannica.com/science/berry-plant-reproductive-body',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  }
+];
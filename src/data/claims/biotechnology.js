@@ -0,0 +1,399 @@
+/**
+ * CLAIMS - BIOTECHNOLOGY
+ * One subject chunk of the claims database, loaded on demand by claimsLoader.js
+ * See claims.js for the claim format; run `npm run claims:index` after editing
+ */
+
+export default [
+  {
+    id: 'high-bio-002',
+    text: 'CRISPR technology allows scientists to cut and edit DNA with surgical precision, making zero unintended changes.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'CRISPR is powerful but not perfect. "Off-target effects" (unintended edits) remain a significant concern in gene editing research. "Zero unintended changes" is false.',
+    errorPattern: 'confident-specificity',
+    subject: 'biotechnology',
+    difficulty: 'hard',
+    gradeLevel: 'high',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'biotech-new-001',
+    text: 'GMO stands for Genetically Modified Organism.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'GMO refers to organisms whose genetic material has been altered using genetic engineering techniques.',
+    errorPattern: null,
+    subject: 'biotechnology',
+    difficulty: 'easy',
+    citation: 'https://www.fda.gov/food/agricultural-biotechnology/gmos-and-farmers',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'biotech-new-002',
+    text: 'All GMO foods are harmful to humans.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Scientific consensus indicates approved GMO foods are safe to eat. They undergo extensive safety testing.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'biotechnology',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'biotech-new-003',
+    text: 'Insulin for diabetics is now produced using genetically modified bacteria.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Since 1982, human insulin has been produced by bacteria engineered with the human insulin gene, replacing animal sources.',
+    errorPattern: null,
+    subject: 'biotechnology',
+    difficulty: 'easy',
+    citation: 'https://www.diabetes.org/healthy-living/medication-treatments/insulin-other-injectables',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'biotech-new-004',
+    text: 'Cloning creates an exact genetic copy of an organism.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Cloning produces organisms with identical nuclear DNA to the donor. Dolly the sheep was the first cloned mammal.',
+    errorPattern: null,
+    subject: 'biotechnology',
+    difficulty: 'easy',
+    citation: 'https://www.genome.gov/genetics-glossary/Cloning',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'biotech-new-005',
+    text: 'Fermentation is a biotechnology process that has been used for thousands of years.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Humans have used fermentation to make bread, wine, and cheese for over 8,000 years using microorganisms.',
+    errorPattern: null,
+    subject: 'biotechnology',
+    difficulty: 'easy',
+    citation: 'https://www.britannica.com/technology/fermentation',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'biotech-new-006',
+    text: 'Gene therapy can only be performed on adults.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Gene therapy can be performed at any age. Some treatments work better in younger patients before disease progresses.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'biotechnology',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'biotech-new-007',
+    text: 'Bacteria can be engineered to produce human proteins.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Recombinant DNA technology allows human genes to be inserted into bacteria, which then produce human proteins.',
+    errorPattern: null,
+    subject: 'biotechnology',
+    difficulty: 'easy',
+    citation: 'https://www.nature.com/scitable/topicpage/recombinant-dna-technology-and-transgenic-animals-34513/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'biotech-new-008',
+    text: 'Biofuels are made from biological materials.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Biofuels like ethanol and biodiesel are produced from organic matter such as corn, sugarcane, or algae.',
+    errorPattern: null,
+    subject: 'biotechnology',
+    difficulty: 'easy',
+    citation: 'https://www.energy.gov/eere/bioenergy/biofuels-basics',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'biotech-new-009',
+    text: 'PCR (Polymerase Chain Reaction) can amplify small amounts of DNA.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'PCR copies specific DNA segments millions of times, enabling analysis from tiny samples like a single hair.',
+    errorPattern: null,
+    subject: 'biotechnology',
+    difficulty: 'easy',
+    citation: 'https://www.ncbi.nlm.nih.gov/probe/docs/techpcr/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'biotech-new-010',
+    text: 'Genetic engineering was invented in the 21st century.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Genetic engineering began in the 1970s. The first recombinant DNA organism was created in 1973.',
+    errorPattern: 'timeline-compression',
+    subject: 'biotechnology',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'biotech-new-011',
+    text: 'Golden Rice was engineered to contain vitamin A.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Golden Rice contains beta-carotene, which the body converts to vitamin A, addressing deficiency in rice-dependent populations.',
+    errorPattern: null,
+    subject: 'biotechnology',
+    difficulty: 'medium',
+    citation: 'https://www.goldenrice.org/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'biotech-new-012',
+    text: 'Biopharming uses genetically modified plants to produce pharmaceuticals.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Plants can be engineered to produce medicines, vaccines, and antibodies more cheaply than traditional methods.',
+    errorPattern: null,
+    subject: 'biotechnology',
+    difficulty: 'medium',
+    citation: 'https://www.nature.com/articles/nbt0902-922',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'biotech-new-013',
+    text: 'Transgenic animals have DNA from other species inserted into their genome.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Transgenic animals contain foreign DNA that was artificially introduced, often to study gene function or produce proteins.',
+    errorPattern: null,
+    subject: 'biotechnology',
+    difficulty: 'medium',
+    citation: 'https://www.genome.gov/genetics-glossary/Transgenic',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'biotech-new-014',
+    text: 'CRISPR was discovered in humans.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'CRISPR was discovered as a bacterial immune system. Bacteria use it to defend against viruses.',
+    errorPattern: 'geographic-fabrication',
+    subject: 'biotechnology',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'biotech-new-015',
+    text: 'Bioremediation uses organisms to clean up environmental pollution.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Bacteria, fungi, and plants can be used to break down or absorb pollutants from soil and water.',
+    errorPattern: null,
+    subject: 'biotechnology',
+    difficulty: 'medium',
+    citation: 'https://www.epa.gov/remedytech/bioremediation-overview',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'biotech-new-016',
+    text: 'Monoclonal antibodies are identical antibodies made from a single cell clone.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Monoclonal antibodies are produced by cloning a single B cell, yielding identical antibodies for targeted treatments.',
+    errorPattern: null,
+    subject: 'biotechnology',
+    difficulty: 'medium',
+    citation: 'https://www.cancer.gov/about-cancer/treatment/types/immunotherapy/monoclonal-antibodies',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'biotech-new-017',
+    text: 'Gene drives can spread genetic changes through entire wild populations.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Gene drives bias inheritance so modified genes spread rapidly through populations, potentially eliminating disease vectors.',
+    errorPattern: null,
+    subject: 'biotechnology',
+    difficulty: 'medium',
+    citation: 'https://www.nature.com/articles/d41586-019-02087-5',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'biotech-new-018',
+    text: 'DNA fingerprinting is 100% accurate with no possibility of error.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'While highly accurate, DNA testing can be affected by contamination, degradation, and human error in analysis.',
+    errorPattern: 'confident-specificity',
+    subject: 'biotechnology',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'biotech-new-019',
+    text: 'Synthetic biology aims to design and build new biological systems.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Synthetic biology combines engineering principles with biology to create novel biological parts, devices, and systems.',
+    errorPattern: null,
+    subject: 'biotechnology',
+    difficulty: 'medium',
+    citation: 'https://www.genome.gov/genetics-glossary/Synthetic-Biology',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'biotech-new-020',
+    text: 'mRNA vaccines contain live virus particles.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'mRNA vaccines contain instructions for cells to make a harmless protein. They contain no virus at all.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'biotechnology',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'biotech-new-021',
+    text: 'Xenotransplantation involves transplanting organs between different species.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Xenotransplantation transplants organs from one species to another, such as pig hearts into humans.',
+    errorPattern: null,
+    subject: 'biotechnology',
+    difficulty: 'hard',
+    citation: 'https://www.fda.gov/vaccines-blood-biologics/xenotransplantation',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'biotech-new-022',
+    text: 'Optogenetics uses light to control genetically modified neurons.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Light-sensitive proteins are inserted into neurons, allowing precise control of brain activity using light pulses.',
+    errorPattern: null,
+    subject: 'biotechnology',
+    difficulty: 'hard',
+    citation: 'https://www.nature.com/articles/nmeth.f.324',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'biotech-new-023',
+    text: 'Genome sequencing reveals the complete DNA sequence of an organism.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Sequencing determines the exact order of all nucleotide bases in an organism\'s DNA.',
+    errorPattern: null,
+    subject: 'biotechnology',
+    difficulty: 'hard',
+    citation: 'https://www.genome.gov/genetics-glossary/DNA-Sequencing',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'biotech-new-024',
+    text: 'Gene editing permanently changes the DNA in every cell of the body.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Most gene therapies only modify specific target cells. Editing all cells would require germline modification.',
+    errorPattern: 'confident-specificity',
+    subject: 'biotechnology',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'biotech-new-025',
+    text: 'Chimeric antigen receptor (CAR) T-cell therapy modifies a patient\'s T cells.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'CAR-T therapy extracts patient T cells, engineers them to recognize cancer, then reinfuses them.',
+    errorPattern: null,
+    subject: 'biotechnology',
+    difficulty: 'hard',
+    citation: 'https://www.cancer.gov/about-cancer/treatment/research/car-t-cells',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'biotech-new-026',
+    text: 'Organoids are miniature organs grown in laboratories.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Organoids are 3D tissue cultures derived from stem cells that mimic organ structure and function.',
+    errorPattern: null,
+    subject: 'biotechnology',
+    difficulty: 'hard',
+    citation: 'https://www.nature.com/articles/s41576-019-0196-3',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'biotech-new-027',
+    text: 'Base editing can change individual DNA letters without cutting the double helix.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Base editors chemically convert one base to another without breaking DNA strands, reducing unwanted mutations.',
+    errorPattern: null,
+    subject: 'biotechnology',
+    difficulty: 'hard',
+    citation: 'https://www.nature.com/articles/nbt.3811',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'biotech-new-028',
+    text: 'All biotechnology applications require genetic modification.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Traditional biotechnology like fermentation does not involve genetic modification. Even modern techniques vary.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'biotechnology',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'biotech-new-029',
+    text: 'Induced pluripotent stem cells (iPSCs) can be created from adult cells.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'iPSCs are reprogrammed adult cells that regain the ability to become any cell type, like embryonic stem cells.',
+    errorPattern: null,
+    subject: 'biotechnology',
+    difficulty: 'hard',
+    citation: 'https://www.nature.com/articles/nature05944',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  }
+];
@@ -0,0 +1,412 @@
+/**
+ * CLAIMS - CHEMISTRY
+ * One subject chunk of the claims database, loaded on demand by claimsLoader.js
+ * See claims.js for the claim format; run `npm run claims:index` after editing
+ */
+
+export default [
+  {
+    id: 'sci-med-002',
+    text: "Honey never spoils. Archaeologists have found 3,000-year-old honey in Egyptian tombs that was still edible.",
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: "Honey's low moisture content, acidic pH, and hydrogen peroxide production make it inhospitable to bacteria and microorganisms.",
+    errorPattern: null,
+    subject: 'chemistry',
+    difficulty: 'medium',
+    citation: 'https://www.smithsonianmag.com/science-nature/the-science-behind-honeys-eternal-shelf-life-1218690/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'sci-med-003',
+    text: 'The human body contains enough iron to make a 3-inch nail, enough carbon to make 900 pencils, and enough phosphorus to make 2,200 match heads.',
+    answer: 'MIXED',
+    source: 'ai-generated',
+    explanation: 'The iron claim is roughly accurate (~3-4g of iron). However, the pencil and match head numbers are exaggerated fabrications with false precision.',
+    errorPattern: 'confident-specificity',
+    subject: 'chemistry',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'chem-viral-001',
+    text: 'Glass is actually a liquid that flows very, very slowly.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'This is a common myth! Glass is an amorphous solid, not a slow-flowing liquid. Old windows are thicker at the bottom due to manufacturing methods, not flow.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'chemistry',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'chem-viral-002',
+    text: 'Diamond and pencil lead (graphite) are made of the exact same element: carbon.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Both are pure carbon! The difference is how atoms are arranged. Diamond has a rigid 3D structure; graphite has layered sheets that slide easily.',
+    errorPattern: null,
+    subject: 'chemistry',
+    difficulty: 'easy',
+    citation: 'https://www.britannica.com/science/carbon-chemical-element',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'chem-viral-003',
+    text: 'You can turn peanut butter into diamonds.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Scientists have created diamonds from peanut butter! Extreme pressure and heat convert the carbon in peanut butter into diamond - though it\'s not practical.',
+    errorPattern: null,
+    subject: 'chemistry',
+    difficulty: 'hard',
+    citation: 'https://www.bbc.com/news/science-environment-24836108',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'env-001',
+    text: 'There is enough gold in the ocean to give every person on Earth 9 pounds.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The ocean contains about 20 million tons of dissolved gold. However, it\'s so diluted that extraction is impossible.',
+    errorPattern: null,
+    subject: 'chemistry',
+    difficulty: 'hard',
+    citation: 'https://oceanservice.noaa.gov/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'env-003',
+    text: 'Plastic takes exactly 1,000 years to decompose.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Plastic decomposition time varies enormously (20-500+ years) depending on type and conditions. "Exactly 1,000 years" is fabricated.',
+    errorPattern: 'confident-specificity',
+    subject: 'chemistry',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'elem-chem-001',
+    text: 'Honey never spoils and can last thousands of years.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Honey has natural preservatives! Archaeologists found 3,000-year-old honey in Egyptian tombs that was still edible.',
+    errorPattern: null,
+    subject: 'chemistry',
+    difficulty: 'easy',
+    gradeLevel: 'elementary',
+    citation: 'https://www.smithsonianmag.com/science-nature/the-science-behind-honeys-eternal-shelf-life-1218690/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'elem-chem-002',
+    text: 'Water is the only thing that exists as solid, liquid, and gas at normal Earth temperatures.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Water exists as ice (solid), water (liquid), and steam (gas) in everyday conditions on Earth. Most substances need extreme temperatures to change states.',
+    errorPattern: null,
+    subject: 'chemistry',
+    difficulty: 'easy',
+    gradeLevel: 'elementary',
+    citation: 'https://www.usgs.gov/special-topics/water-science-school/science/water-density',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'mid-chem-001',
+    text: 'Glass is actually a liquid that flows very slowly over time.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'This is a popular myth! Glass is an amorphous solid. Old windows are thicker at the bottom because of how they were made, not because glass flows.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'chemistry',
+    difficulty: 'medium',
+    gradeLevel: 'middle',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'mid-chem-002',
+    text: 'Diamond and pencil graphite are both made of the same element - carbon.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Both diamond and graphite are pure carbon! The difference is how the carbon atoms are arranged. Diamond has a 3D crystal structure; graphite has flat sheets.',
+    errorPattern: null,
+    subject: 'chemistry',
+    difficulty: 'medium',
+    gradeLevel: 'middle',
+    citation: 'https://www.britannica.com/science/carbon-chemical-element',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'high-chem-002',
+    text: 'Water is a universal solvent that can dissolve any substance given enough time.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'While water dissolves many substances, it cannot dissolve everything. Oils, fats, and many plastics are hydrophobic and won\'t dissolve in water.',
+    errorPattern: 'confident-specificity',
+    subject: 'chemistry',
+    difficulty: 'medium',
+    gradeLevel: 'high',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'high-env-001',
+    text: 'Recycling a single aluminum can saves enough energy to power a TV for three hours.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Recycling aluminum uses 95% less energy than creating new aluminum from ore. That saved energy (about 255 watt-hours) can power a TV for 2-3 hours.',
+    errorPattern: null,
+    subject: 'chemistry',
+    difficulty: 'medium',
+    gradeLevel: 'high',
+    citation: 'https://www.epa.gov/recycle/recycling-basics',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'col-env-001',
+    text: 'Carbon capture technology can already remove CO2 from the atmosphere at a cost-effective scale.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Current carbon capture is expensive ($400-600+ per ton) and energy-intensive. It works but isn\'t cost-effective at climate-relevant scale. Costs are decreasing but remain prohibitive.',
+    errorPattern: 'timeline-compression',
+    subject: 'chemistry',
+    difficulty: 'hard',
+    gradeLevel: 'college',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'viral-018',
+    text: 'The smell after rain has an official name: petrichor.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Australian scientists coined "petrichor" in 1964 from Greek "petra" (stone) and "ichor" (fluid of the gods). It\'s caused by bacteria, plant oils, and ozone released during rain.',
+    errorPattern: null,
+    subject: 'chemistry',
+    difficulty: 'easy',
+    gradeLevel: 'middle',
+    citation: 'https://www.scientificamerican.com/article/storm-scents-it-s-true-you-can-smell-incoming-rain/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'chem-new-001',
+    text: 'Water is the only substance that expands when it freezes.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'While water is famous for expanding when frozen, some other substances like bismuth and silicon also expand upon freezing.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'chemistry',
+    pairId: 'freezing-water',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'chem-new-002',
+    text: 'Salt lowers the freezing point of water.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Salt disrupts ice crystal formation, lowering the freezing point. This is why salt is used on icy roads.',
+    errorPattern: null,
+    subject: 'chemistry',
+    pairId: 'freezing-water',
+    difficulty: 'easy',
+    citation: 'https://www.scientificamerican.com/article/why-do-we-put-salt-on-icy/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'chem-new-003',
+    text: 'Diamonds and pencil lead (graphite) are made of the same element.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Both are pure carbon - just arranged differently. Diamond has a tetrahedral structure while graphite has layers.',
+    errorPattern: null,
+    subject: 'chemistry',
+    difficulty: 'easy',
+    citation: 'https://www.britannica.com/science/carbon-chemical-element',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'chem-new-004',
+    text: 'Rust is a chemical reaction between iron and oxygen.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Rust (iron oxide) forms when iron reacts with oxygen and water in a process called oxidation.',
+    errorPattern: null,
+    subject: 'chemistry',
+    difficulty: 'easy',
+    citation: 'https://www.britannica.com/science/rust-chemical-compound',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'chem-new-005',
+    text: 'Helium is heavier than air.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Helium is much lighter than air, which is why helium balloons float upward.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'chemistry',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'chem-new-006',
+    text: 'The pH scale only goes from 0 to 14.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'While 0-14 is the typical range, pH can go below 0 or above 14 for extremely concentrated acids or bases.',
+    errorPattern: 'confident-specificity',
+    subject: 'chemistry',
+    pairId: 'ph-scale',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'chem-new-007',
+    text: 'Noble gases do not react with other elements.',
+    answer: 'MIXED',
+    source: 'expert-sourced',
+    explanation: 'Noble gases are very stable but not completely inert. Xenon and krypton can form compounds under special conditions.',
+    errorPattern: null,
+    subject: 'chemistry',
+    difficulty: 'medium',
+    citation: 'https://www.britannica.com/science/noble-gas',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'chem-new-008',
+    text: 'Acids always have a pH less than 7.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'By definition, acids have pH values below 7. The lower the pH, the stronger the acid.',
+    errorPattern: null,
+    subject: 'chemistry',
+    pairId: 'ph-scale',
+    difficulty: 'medium',
+    citation: 'https://www.usgs.gov/special-topics/water-science-school/science/ph-and-water',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'chem-new-009',
+    text: 'Oil floats on water because it is less dense.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Oil has a lower density than water, so it floats. This is why oil spills spread on water surfaces.',
+    errorPattern: null,
+    subject: 'chemistry',
+    difficulty: 'medium',
+    citation: 'https://www.noaa.gov/education/resource-collections/ocean-coasts/oil-spills',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'chem-new-010',
+    text: 'Isotopes of an element have different numbers of protons.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Isotopes have the same number of protons but different numbers of neutrons. Proton count defines the element.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'chemistry',
+    pairId: 'atomic-structure',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'chem-new-011',
+    text: 'Radioactive decay can be sped up by heating the material.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Radioactive decay rates are constant and cannot be changed by temperature, pressure, or chemical reactions.',
+    errorPattern: 'false-causation',
+    subject: 'chemistry',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'chem-new-012',
+    text: 'Catalysts are consumed in chemical reactions.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Catalysts speed up reactions but are not consumed - they can be used repeatedly.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'chemistry',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'chem-new-013',
+    text: 'Glass is technically a very slow-moving liquid.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'This is a popular myth. Glass is an amorphous solid, not a liquid. Old windows are thicker at the bottom due to manufacturing.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'chemistry',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'chem-new-014',
+    text: 'Entropy in a closed system always increases over time.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The second law of thermodynamics states that entropy (disorder) in isolated systems tends to increase.',
+    errorPattern: null,
+    subject: 'chemistry',
+    difficulty: 'hard',
+    citation: 'https://www.britannica.com/science/entropy-physics',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'chem-new-015',
+    text: 'Covalent bonds involve the sharing of electrons between atoms.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'In covalent bonds, atoms share electron pairs. This is different from ionic bonds where electrons are transferred.',
+    errorPattern: null,
+    subject: 'chemistry',
+    pairId: 'atomic-structure',
+    difficulty: 'hard',
+    citation: 'https://www.britannica.com/science/covalent-bond',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  }
+];
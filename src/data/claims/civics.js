@@ -0,0 +1,490 @@
+/**
+ * CLAIMS - CIVICS
+ * One subject chunk of the claims database, loaded on demand by claimsLoader.js
+ * See claims.js for the claim format; run `npm run claims:index` after editing
+ */
+
+export default [
+  {
+    id: 'civ-easy-001',
+    text: 'The United States is a democracy where citizens vote directly on all laws.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'The US is a representative democracy (republic). Citizens elect representatives who vote on laws, rather than voting directly on each law.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'civics',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'civ-easy-002',
+    text: 'The Bill of Rights refers to the first ten amendments to the US Constitution.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The Bill of Rights was ratified in 1791 and consists of the first 10 amendments, guaranteeing fundamental rights like free speech and fair trials.',
+    errorPattern: null,
+    subject: 'civics',
+    difficulty: 'easy',
+    citation: 'https://www.archives.gov/founding-docs/bill-of-rights',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'civ-easy-003',
+    text: 'The President of the United States can declare war without Congress.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'The Constitution grants Congress the power to declare war (Article I, Section 8). The President commands the military but cannot formally declare war.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'civics',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'civ-easy-004',
+    text: 'Supreme Court Justices serve for life once confirmed.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Article III of the Constitution states federal judges "shall hold their Offices during good Behaviour," meaning lifetime appointments unless impeached.',
+    errorPattern: null,
+    subject: 'civics',
+    difficulty: 'easy',
+    citation: 'https://www.supremecourt.gov/about/constitutional.aspx',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'civ-med-001',
+    text: 'The Electoral College was created because the Founding Fathers didn\'t trust ordinary citizens to choose the president wisely.',
+    answer: 'MIXED',
+    source: 'ai-generated',
+    explanation: 'The Electoral College was a compromise involving state representation, slavery (3/5 clause), and practical concerns about communication - not simply distrust of voters.',
+    errorPattern: 'timeline-compression',
+    subject: 'civics',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'civ-med-002',
+    text: 'The phrase "separation of church and state" appears in the US Constitution.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'This phrase comes from Jefferson\'s 1802 letter, not the Constitution. The First Amendment says Congress shall make no law "respecting an establishment of religion."',
+    errorPattern: 'plausible-adjacency',
+    subject: 'civics',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'mixed-civ-001',
+    text: 'The Constitution guarantees Americans the right to vote, which is why all citizens over 18 can vote today.',
+    answer: 'MIXED',
+    source: 'ai-generated',
+    explanation: 'The Constitution doesn\'t explicitly guarantee a right to vote - it only prohibits certain types of discrimination in voting (race, sex, age for 18+). Voting rights are largely controlled by states, and various restrictions still exist.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'civics',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'civics-easy-001',
+    text: 'The United States has three branches of government.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The three branches are Legislative (Congress), Executive (President), and Judicial (Supreme Court), designed to balance power.',
+    errorPattern: null,
+    subject: 'civics',
+    difficulty: 'easy',
+    citation: 'https://www.usa.gov/branches-of-government',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'civics-easy-002',
+    text: 'The President of the United States can serve unlimited terms.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'The 22nd Amendment (1951) limits presidents to two four-year terms, or ten years total if they assumed office mid-term.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'civics',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'civics-easy-003',
+    text: 'The Constitution is the supreme law of the United States.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Article VI establishes the Constitution as the "supreme Law of the Land." All other laws must comply with it.',
+    errorPattern: null,
+    subject: 'civics',
+    difficulty: 'easy',
+    citation: 'https://www.archives.gov/founding-docs/constitution',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'civics-easy-004',
+    text: 'All citizens 18 and older have the right to vote in the United States.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The 26th Amendment (1971) guarantees voting rights to citizens 18 and older. Some restrictions apply to certain felons depending on state law.',
+    errorPattern: null,
+    subject: 'civics',
+    difficulty: 'easy',
+    citation: 'https://www.usa.gov/voting-laws',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'civics-easy-005',
+    text: 'The Bill of Rights contains the first ten amendments to the Constitution.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The Bill of Rights, ratified in 1791, includes freedoms of speech, religion, press, assembly, and other fundamental rights.',
+    errorPattern: null,
+    subject: 'civics',
+    difficulty: 'easy',
+    citation: 'https://www.archives.gov/founding-docs/bill-of-rights',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'civics-easy-006',
+    text: 'Congress is made up of the Senate and the House of Representatives.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The bicameral Congress has 100 Senators (2 per state) and 435 Representatives (based on state population).',
+    errorPattern: null,
+    subject: 'civics',
+    difficulty: 'easy',
+    citation: 'https://www.congress.gov/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'civics-easy-007',
+    text: 'The Supreme Court has exactly 9 justices as required by the Constitution.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'The Constitution does not specify the number of justices. Congress sets the number by law. It has been 9 since 1869 but has changed historically.',
+    errorPattern: 'confident-specificity',
+    subject: 'civics',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'civics-easy-008',
+    text: 'Only Congress can declare war according to the Constitution.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Article I, Section 8 gives Congress the power to declare war, though presidents have used military force without formal declarations.',
+    errorPattern: null,
+    subject: 'civics',
+    difficulty: 'easy',
+    citation: 'https://constitution.congress.gov/browse/article-1/section-8/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'civics-easy-009',
+    text: 'The President is elected directly by the popular vote.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'The President is elected by the Electoral College. A candidate can win the presidency without winning the popular vote.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'civics',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'civics-easy-010',
+    text: 'Freedom of speech means you can say anything without any consequences.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'The First Amendment protects speech from government restriction, but there are limits (incitement, defamation). Private consequences still apply.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'civics',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'civics-med-001',
+    text: 'The Vice President is the President of the Senate and can vote to break ties.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Article I, Section 3 makes the VP President of the Senate, voting only when there is a tie.',
+    errorPattern: null,
+    subject: 'civics',
+    difficulty: 'medium',
+    citation: 'https://www.senate.gov/about/officers-staff/vice-president.htm',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'civics-med-002',
+    text: 'Amendments to the Constitution require unanimous approval from all states.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Amendments require 2/3 vote in Congress and ratification by 3/4 of states (38 states)—not unanimous approval.',
+    errorPattern: 'confident-specificity',
+    subject: 'civics',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'civics-med-003',
+    text: 'The Supreme Court can declare laws unconstitutional through judicial review.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Judicial review, established in Marbury v. Madison (1803), allows courts to strike down laws that violate the Constitution.',
+    errorPattern: null,
+    subject: 'civics',
+    difficulty: 'medium',
+    citation: 'https://www.oyez.org/cases/1789-1850/5us137',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'civics-med-004',
+    text: 'Senators serve 6-year terms while Representatives serve 2-year terms.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The Constitution sets different term lengths: 6 years for Senators (1/3 up for election every 2 years) and 2 years for Representatives.',
+    errorPattern: null,
+    subject: 'civics',
+    difficulty: 'medium',
+    citation: 'https://www.senate.gov/artandhistory/history/common/briefing/Constitution_Senate.htm',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'civics-med-005',
+    text: 'The President can issue executive orders that have the force of law.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Executive orders direct federal agencies and have legal force, though they can be overturned by courts or Congress.',
+    errorPattern: null,
+    subject: 'civics',
+    difficulty: 'medium',
+    citation: 'https://www.archives.gov/federal-register/executive-orders',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'civics-med-006',
+    text: 'The federal government has power over everything not specifically given to states.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'The 10th Amendment reserves powers not delegated to the federal government to the states or people—the opposite of this claim.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'civics',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'civics-med-007',
+    text: 'A filibuster allows senators to delay or block legislation through extended debate.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Senate rules allow unlimited debate. A filibuster continues until 60 senators vote for cloture to end debate.',
+    errorPattern: null,
+    subject: 'civics',
+    difficulty: 'medium',
+    citation: 'https://www.senate.gov/about/powers-procedures/filibusters-cloture.htm',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'civics-med-008',
+    text: 'Impeachment by the House of Representatives removes a president from office.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Impeachment is only an accusation (like an indictment). The Senate must then hold a trial and convict by 2/3 vote to remove.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'civics',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'civics-med-009',
+    text: 'The Census is conducted every 10 years to count the population.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Article I, Section 2 requires a census every 10 years. Results determine House seats and federal funding allocation.',
+    errorPattern: null,
+    subject: 'civics',
+    difficulty: 'medium',
+    citation: 'https://www.census.gov/programs-surveys/decennial-census.html',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'civics-med-010',
+    text: 'Citizens can petition the government for a redress of grievances under the First Amendment.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The First Amendment protects the right to petition the government, allowing citizens to express concerns and seek change.',
+    errorPattern: null,
+    subject: 'civics',
+    difficulty: 'medium',
+    citation: 'https://constitution.congress.gov/constitution/amendment-1/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'civics-hard-001',
+    text: 'The Electoral College was created because the Founders did not trust direct democracy.',
+    answer: 'MIXED',
+    source: 'expert-sourced',
+    explanation: 'The Electoral College was a compromise for multiple reasons: balancing state/federal power, slave state representation, and concerns about uninformed voters.',
+    errorPattern: null,
+    subject: 'civics',
+    difficulty: 'hard',
+    citation: 'https://www.archives.gov/electoral-college/history',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'civics-hard-002',
+    text: 'The Constitution explicitly mentions the separation of church and state.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'The phrase "separation of church and state" does not appear in the Constitution. It comes from Jefferson\'s 1802 letter. The First Amendment prohibits establishing religion.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'civics',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'civics-hard-003',
+    text: 'According to Harvard Law School, the Second Amendment only protects militia membership.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'The Supreme Court in DC v. Heller (2008) ruled the Second Amendment protects an individual right. The claim misattributes a position to Harvard.',
+    errorPattern: 'appeal-to-authority',
+    subject: 'civics',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'civics-hard-004',
+    text: 'Gerrymandering is the practice of drawing electoral district boundaries to favor one party.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Named after Governor Elbridge Gerry, gerrymandering manipulates district shapes to concentrate or dilute voting power.',
+    errorPattern: null,
+    subject: 'civics',
+    difficulty: 'hard',
+    citation: 'https://www.britannica.com/topic/gerrymandering',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'civics-hard-005',
+    text: 'The Commerce Clause has been used to expand federal power over many activities.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Courts have interpreted Congress\'s power to regulate interstate commerce broadly, justifying federal regulation of many activities.',
+    errorPattern: null,
+    subject: 'civics',
+    difficulty: 'hard',
+    citation: 'https://www.law.cornell.edu/wex/commerce_clause',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'civics-hard-006',
+    text: 'Studies show that 95% of Americans support strict voter ID laws.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Polls show varying levels of support depending on how questions are asked. The specific 95% figure is fabricated.',
+    errorPattern: 'statistical-manipulation',
+    errorSpans: [{ start: 18, end: 34, pattern: 'statistical-manipulation' }],
+    subject: 'civics',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'civics-hard-007',
+    text: 'The President has absolute immunity from criminal prosecution while in office.',
+    answer: 'MIXED',
+    source: 'expert-sourced',
+    explanation: 'DOJ policy says sitting presidents cannot be indicted, but this has never been tested in court. Recent Supreme Court cases have addressed aspects of presidential immunity.',
+    errorPattern: null,
+    subject: 'civics',
+    difficulty: 'hard',
+    citation: 'https://www.justice.gov/olc/opinion/sitting-president%E2%80%99s-amenability-indictment-and-criminal-prosecution',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'civics-hard-008',
+    text: 'Citizens United v. FEC ruled that corporations have the same free speech rights as individuals.',
+    answer: 'MIXED',
+    source: 'expert-sourced',
+    explanation: 'The ruling held that political spending is protected speech and cannot be limited for corporations, but the implications are debated.',
+    errorPattern: null,
+    subject: 'civics',
+    difficulty: 'hard',
+    citation: 'https://www.oyez.org/cases/2008/08-205',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'civics-hard-009',
+    text: 'The 14th Amendment\'s Equal Protection Clause was originally intended to protect women\'s rights.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'The 14th Amendment (1868) was enacted to protect formerly enslaved people. Courts later applied it to gender discrimination, but that was not its original purpose.',
+    errorPattern: 'timeline-compression',
+    subject: 'civics',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'civics-hard-010',
+    text: 'The doctrine of nullification allows states to invalidate federal laws they disagree with.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Though historically claimed, nullification has been consistently rejected by courts. The Supremacy Clause makes federal law supreme over state law.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'civics',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  }
+];
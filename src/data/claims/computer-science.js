@@ -0,0 +1,509 @@
+/**
+ * CLAIMS - COMPUTER SCIENCE
+ * One subject chunk of the claims database, loaded on demand by claimsLoader.js
+ * See claims.js for the claim format; run `npm run claims:index` after editing
+ */
+
+export default [
+  {
+    id: 'tech-001',
+    text: 'The first computer virus was created in 1971 and was called "Creeper."',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Creeper was created in 1971 by Bob Thomas at BBN Technologies. It displayed "I\'m the creeper, catch me if you can!"',
+    errorPattern: null,
+    subject: 'computer-science',
+    difficulty: 'medium',
+    citation: 'https://www.kaspersky.com/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'tech-004',
+    text: 'The average smartphone has more computing power than the computers used for the Apollo 11 Moon landing.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The Apollo Guidance Computer had 74 KB of memory and ran at 0.043 MHz. A modern smartphone has billions of times more power.',
+    errorPattern: null,
+    subject: 'computer-science',
+    difficulty: 'easy',
+    citation: 'https://www.nasa.gov/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'elem-tech-001',
+    text: 'The first computer weighed more than an elephant.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'ENIAC (1945) weighed about 30 tons (60,000 pounds)! An African elephant weighs about 6-7 tons. ENIAC was 4-5 elephants heavy!',
+    errorPattern: null,
+    subject: 'computer-science',
+    difficulty: 'easy',
+    gradeLevel: 'elementary',
+    citation: 'https://www.britannica.com/technology/ENIAC',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'elem-tech-002',
+    text: 'The @ symbol was invented for email.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'The @ symbol existed for centuries! Merchants used it to mean "at the rate of" for prices. Ray Tomlinson chose it for email in 1971 because it was already on keyboards.',
+    errorPattern: 'timeline-compression',
+    subject: 'computer-science',
+    difficulty: 'easy',
+    gradeLevel: 'elementary',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'high-tech-001',
+    text: 'Quantum computers can already crack any encryption used today.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Current quantum computers are too small and error-prone. Breaking RSA encryption would require millions of stable qubits. Today\'s quantum computers have ~1000 noisy qubits.',
+    errorPattern: 'timeline-compression',
+    subject: 'computer-science',
+    difficulty: 'hard',
+    gradeLevel: 'high',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'high-tech-002',
+    text: 'The first computer programmer was a woman named Ada Lovelace.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Ada Lovelace wrote the first algorithm intended for machine processing in 1843 for Charles Babbage\'s Analytical Engine, making her history\'s first computer programmer.',
+    errorPattern: null,
+    subject: 'computer-science',
+    difficulty: 'easy',
+    gradeLevel: 'high',
+    citation: 'https://www.britannica.com/biography/Ada-Lovelace',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'col-cs-001',
+    text: 'P vs NP has been solved, proving P ≠ NP.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'P vs NP remains one of the seven Millennium Prize Problems. No accepted proof exists. Many attempts have been made, but none have withstood peer review.',
+    errorPattern: 'timeline-compression',
+    subject: 'computer-science',
+    difficulty: 'hard',
+    gradeLevel: 'college',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'col-cs-002',
+    text: 'Machine learning models can learn to be truly creative and generate genuinely novel ideas beyond their training data.',
+    answer: 'MIXED',
+    source: 'ai-generated',
+    explanation: 'ML models can produce novel combinations and interpolations, but whether this constitutes "true creativity" is philosophical. They cannot reason beyond patterns in training data in the way humans might.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'computer-science',
+    difficulty: 'hard',
+    gradeLevel: 'college',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'cs-easy-001',
+    text: 'A computer program is a set of instructions that tells a computer what to do.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Programs are sequences of instructions written in programming languages that computers execute to perform tasks.',
+    errorPattern: null,
+    subject: 'computer-science',
+    difficulty: 'easy',
+    citation: 'https://www.britannica.com/technology/computer-program',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'cs-easy-002',
+    text: 'Computers only understand two digits: 0 and 1.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Computers use binary (base-2) because electronic circuits have two states: on (1) and off (0). All data is ultimately stored in binary.',
+    errorPattern: null,
+    subject: 'computer-science',
+    difficulty: 'easy',
+    citation: 'https://www.britannica.com/technology/binary-number-system',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'cs-easy-003',
+    text: 'A bug in a computer program is an error that causes unexpected behavior.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The term "bug" has been used since the 1940s to describe errors in computer systems. Debugging is the process of finding and fixing bugs.',
+    errorPattern: null,
+    subject: 'computer-science',
+    difficulty: 'easy',
+    citation: 'https://www.computerhistory.org/tdih/september/9/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'cs-easy-004',
+    text: 'Algorithms always require computers to run.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'An algorithm is just a step-by-step procedure. Recipes, assembly instructions, and math procedures are all algorithms that humans follow without computers.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'computer-science',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'cs-easy-005',
+    text: 'RAM stands for Random Access Memory.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'RAM is temporary, fast memory that stores data currently being used. It loses its contents when power is turned off.',
+    errorPattern: null,
+    subject: 'computer-science',
+    difficulty: 'easy',
+    citation: 'https://www.britannica.com/technology/RAM-computing',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'cs-easy-006',
+    text: 'All programming languages are exactly the same, just with different names.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Programming languages differ in syntax, purpose, and capabilities. Python excels at readability, C at speed, JavaScript at web development.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'computer-science',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'cs-easy-007',
+    text: 'The CPU is often called the "brain" of the computer.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The Central Processing Unit executes instructions and performs calculations. It\'s the primary component that processes data.',
+    errorPattern: null,
+    subject: 'computer-science',
+    difficulty: 'easy',
+    citation: 'https://www.britannica.com/technology/central-processing-unit',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'cs-easy-008',
+    text: 'Computers can only do one thing at a time.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Modern computers use multitasking and multi-core processors to run many programs simultaneously.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'computer-science',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'cs-easy-009',
+    text: 'An operating system manages computer hardware and software.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Operating systems like Windows, macOS, and Linux manage hardware resources and provide a platform for running applications.',
+    errorPattern: null,
+    subject: 'computer-science',
+    difficulty: 'easy',
+    citation: 'https://www.britannica.com/technology/operating-system',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'cs-easy-010',
+    text: 'A URL is the address of a webpage on the internet.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'URL stands for Uniform Resource Locator. It specifies the location of a resource on the internet.',
+    errorPattern: null,
+    subject: 'computer-science',
+    difficulty: 'easy',
+    citation: 'https://www.w3.org/Addressing/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'cs-med-001',
+    text: 'The first computer virus was created in 1983 as an experiment.',
+    answer: 'MIXED',
+    source: 'expert-sourced',
+    explanation: 'The first virus in the wild was Elk Cloner (1982). The term "virus" was coined in 1983. Earlier self-replicating programs existed in the 1970s.',
+    errorPattern: null,
+    subject: 'computer-science',
+    difficulty: 'medium',
+    citation: 'https://www.britannica.com/technology/computer-virus',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'cs-med-002',
+    text: 'Encryption scrambles data so only authorized parties can read it.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Encryption converts readable data into ciphertext. Only those with the correct key can decrypt it back to readable form.',
+    errorPattern: null,
+    subject: 'computer-science',
+    difficulty: 'medium',
+    citation: 'https://www.nist.gov/cryptography',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'cs-med-003',
+    text: 'Machine learning and artificial intelligence are exactly the same thing.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Machine learning is a subset of AI. AI is the broader concept of machines mimicking intelligence; ML is specifically about learning from data.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'computer-science',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'cs-med-004',
+    text: 'A database is an organized collection of structured information.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Databases store and organize data for easy access, management, and updating. They power most applications and websites.',
+    errorPattern: null,
+    subject: 'computer-science',
+    difficulty: 'medium',
+    citation: 'https://www.oracle.com/database/what-is-database/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'cs-med-005',
+    text: 'All websites use HTML to create their structure.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'HTML (HyperText Markup Language) is the standard language for creating web pages. CSS styles them, JavaScript adds interactivity.',
+    errorPattern: null,
+    subject: 'computer-science',
+    difficulty: 'medium',
+    citation: 'https://www.w3.org/html/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'cs-med-006',
+    text: 'Open source software is always free of cost.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Open source refers to source code being available, not price. Companies can charge for support, hosting, or commercial versions.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'computer-science',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'cs-med-007',
+    text: 'Cloud computing means your data is stored on computers in the sky.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'The "cloud" is a network of remote servers in data centers around the world, not literally in the sky. It\'s a metaphor for distributed computing.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'computer-science',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'cs-med-008',
+    text: 'Git is a version control system used by software developers.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Git tracks changes in code, enabling collaboration and history tracking. GitHub and GitLab are platforms built around Git.',
+    errorPattern: null,
+    subject: 'computer-science',
+    difficulty: 'medium',
+    citation: 'https://git-scm.com/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'cs-med-009',
+    text: 'HTTP and HTTPS are identical protocols with no security difference.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'HTTPS includes encryption (SSL/TLS) for security. HTTP transmits data in plain text, making it vulnerable to interception.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'computer-science',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'cs-med-010',
+    text: 'Recursion is when a function calls itself to solve a problem.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Recursive functions break problems into smaller versions of themselves. Classic examples include factorial calculation and tree traversal.',
+    errorPattern: null,
+    subject: 'computer-science',
+    difficulty: 'medium',
+    citation: 'https://www.britannica.com/science/recursion',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'cs-hard-001',
+    text: 'According to MIT researchers, quantum computers will replace all classical computers by 2030.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Quantum computers excel at specific problems but cannot replace classical computers for general tasks. The timeline is fabricated.',
+    errorPattern: 'appeal-to-authority',
+    errorSpans: [{ start: 0, end: 28, pattern: 'appeal-to-authority' }],
+    subject: 'computer-science',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'cs-hard-002',
+    text: 'The halting problem proves that some computing problems are impossible to solve.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Alan Turing proved in 1936 that no algorithm can determine whether an arbitrary program will halt or run forever.',
+    errorPattern: null,
+    subject: 'computer-science',
+    difficulty: 'hard',
+    citation: 'https://www.britannica.com/science/halting-problem',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'cs-hard-003',
+    text: 'P vs NP is one of the most important unsolved problems in computer science.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'This question asks whether problems whose solutions can be quickly verified can also be quickly solved. Solving it carries a $1 million prize.',
+    errorPattern: null,
+    subject: 'computer-science',
+    difficulty: 'hard',
+    citation: 'https://www.claymath.org/millennium-problems/p-vs-np-problem',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'cs-hard-004',
+    text: 'Big O notation describes the exact running time of an algorithm.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Big O describes the upper bound of growth rate, not exact time. It shows how performance scales with input size, ignoring constants.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'computer-science',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'cs-hard-005',
+    text: 'The TCP/IP protocol stack has exactly 7 layers like the OSI model.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'The OSI model has 7 layers, but TCP/IP uses 4 layers (Network Interface, Internet, Transport, Application). They\'re related but different.',
+    errorPattern: 'confident-specificity',
+    subject: 'computer-science',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'cs-hard-006',
+    text: 'Functional programming languages do not allow changing variable values after assignment.',
+    answer: 'MIXED',
+    source: 'expert-sourced',
+    explanation: 'Pure functional languages emphasize immutability, but many practical functional languages allow mutability. It\'s a spectrum.',
+    errorPattern: null,
+    subject: 'computer-science',
+    difficulty: 'hard',
+    citation: 'https://www.britannica.com/technology/functional-language',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'cs-hard-007',
+    text: 'A hash function can always be reversed to find the original input.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Cryptographic hash functions are designed to be one-way. Finding the original input from a hash should be computationally infeasible.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'computer-science',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'cs-hard-008',
+    text: 'Turing complete languages can theoretically compute anything that is computable.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'A Turing complete system can simulate any Turing machine. Most programming languages are Turing complete.',
+    errorPattern: null,
+    subject: 'computer-science',
+    difficulty: 'hard',
+    citation: 'https://www.britannica.com/technology/Turing-machine',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'cs-hard-009',
+    text: 'The Y2K bug would have crashed all computers worldwide exactly at midnight on January 1, 2000.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'The Y2K bug was a real concern about date handling, but massive remediation efforts prevented most issues. Not all computers were affected, and timing varied.',
+    errorPattern: 'confident-specificity',
+    subject: 'computer-science',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'cs-hard-010',
+    text: 'NP-hard problems are considered intractable for large inputs.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'NP-hard problems have no known polynomial-time solutions. For large inputs, solving them exactly becomes practically impossible.',
+    errorPattern: null,
+    subject: 'computer-science',
+    difficulty: 'hard',
+    citation: 'https://www.britannica.com/science/NP-complete-problem',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  }
+];
@@ -0,0 +1,489 @@
+/**
+ * CLAIMS - ECONOMICS
+ * One subject chunk of the claims database, loaded on demand by claimsLoader.js
+ * See claims.js for the claim format; run `npm run claims:index` after editing
+ */
+
+export default [
+  {
+    id: 'econ-easy-001',
+    text: 'Printing more money always leads to inflation.',
+    answer: 'MIXED',
+    source: 'ai-generated',
+    explanation: 'Printing money CAN cause inflation if it exceeds economic growth, but context matters. During recessions or when money replaces destroyed currency, inflation may not occur.',
+    errorPattern: 'false-causation',
+    subject: 'economics',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'econ-easy-002',
+    text: 'Supply and demand determine most prices in a market economy.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Basic economic principle: when demand exceeds supply, prices rise; when supply exceeds demand, prices fall.',
+    errorPattern: null,
+    subject: 'economics',
+    difficulty: 'easy',
+    citation: 'https://www.econlib.org/library/Enc/SupplyandDemand.html',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'econ-easy-003',
+    text: 'Minimum wage increases always cause unemployment.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Economic research shows mixed results. Moderate increases often have minimal employment effects, while stimulating consumer spending.',
+    errorPattern: 'false-causation',
+    subject: 'economics',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'econ-med-001',
+    text: 'The United States has the world\'s largest economy by GDP.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'As of 2024, the US has the largest nominal GDP at approximately $28 trillion, followed by China.',
+    errorPattern: null,
+    subject: 'economics',
+    difficulty: 'medium',
+    citation: 'https://www.worldbank.org/en/home',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'econ-med-002',
+    text: 'Correlation between two economic factors proves that one causes the other.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Correlation does not imply causation. Ice cream sales and drowning deaths both increase in summer, but ice cream doesn\'t cause drowning.',
+    errorPattern: 'false-causation',
+    subject: 'economics',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'econ-viral-001',
+    text: 'A penny costs more to make than it\'s worth.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'It costs about 2-3 cents to produce a single penny due to material and manufacturing costs. The US Mint loses money on every penny made.',
+    errorPattern: null,
+    subject: 'economics',
+    difficulty: 'easy',
+    citation: 'https://www.usmint.gov/about/production-sales-figures',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'econ-viral-002',
+    text: 'Apple has more cash on hand than the US Treasury.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'At various points, Apple\'s cash reserves have exceeded the US operating cash balance. Corporations can accumulate more liquid cash than governments.',
+    errorPattern: null,
+    subject: 'economics',
+    difficulty: 'hard',
+    citation: 'https://www.apple.com/newsroom/2024/02/apple-reports-first-quarter-results/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'econ-easy-new-001',
+    text: 'Money did not always exist—people used to trade goods directly.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Before money, people used barter systems. Money was invented to make trade easier and more efficient.',
+    errorPattern: null,
+    subject: 'economics',
+    difficulty: 'easy',
+    citation: 'https://www.federalreserveeducation.org/about-the-fed/history',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'econ-easy-new-002',
+    text: 'The dollar sign ($) comes from the letters U and S overlapping.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'The $ symbol likely evolved from the Spanish peso abbreviation "ps" gradually merging. The U.S. theory is a popular myth.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'economics',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'econ-easy-new-003',
+    text: 'Banks can lend out more money than they actually have in deposits.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Through fractional reserve banking, banks only keep a fraction of deposits and lend out the rest, effectively creating new money.',
+    errorPattern: null,
+    subject: 'economics',
+    difficulty: 'easy',
+    citation: 'https://www.federalreserve.gov/monetarypolicy/reservereq.htm',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'econ-easy-004',
+    text: 'Supply and demand is a basic principle that affects prices.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'When demand is high and supply is low, prices rise. When supply exceeds demand, prices fall. This is fundamental economics.',
+    errorPattern: null,
+    subject: 'economics',
+    difficulty: 'easy',
+    citation: 'https://www.investopedia.com/terms/l/law-of-supply-demand.asp',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'econ-easy-005',
+    text: 'Inflation means prices generally increase over time.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Inflation is the rate at which the general price level rises, meaning each dollar buys less over time.',
+    errorPattern: null,
+    subject: 'economics',
+    difficulty: 'easy',
+    citation: 'https://www.bls.gov/cpi/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'econ-easy-006',
+    text: 'All countries use the same currency for international trade.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Countries have different currencies. International trade involves currency exchange, though the US dollar is commonly used.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'economics',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'econ-easy-007',
+    text: 'A budget helps people track their income and spending.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'A budget is a plan for managing money by tracking income, expenses, and savings goals.',
+    errorPattern: null,
+    subject: 'economics',
+    difficulty: 'easy',
+    citation: 'https://www.consumerfinance.gov/about-us/blog/budgeting-how-to-create-a-budget-and-stick-with-it/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'econ-easy-008',
+    text: 'Companies that sell similar products are in competition with each other.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Competition occurs when businesses offer similar goods or services, which typically leads to better prices and quality for consumers.',
+    errorPattern: null,
+    subject: 'economics',
+    difficulty: 'easy',
+    citation: 'https://www.investopedia.com/terms/c/competition.asp',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'econ-easy-009',
+    text: 'Paper money has been used for over 2,000 years.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Paper money was first used in China around the 7th century CE, roughly 1,300 years ago—not 2,000 years.',
+    errorPattern: 'confident-specificity',
+    subject: 'economics',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'econ-easy-010',
+    text: 'Interest is money paid for borrowing money.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Interest is the cost of borrowing. Lenders charge interest as compensation for the risk and the time value of money.',
+    errorPattern: null,
+    subject: 'economics',
+    difficulty: 'easy',
+    citation: 'https://www.investopedia.com/terms/i/interest.asp',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'econ-med-new-001',
+    text: 'The stock market always goes up over time, so investing is risk-free.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'While markets have trended upward historically, they experience crashes and recessions. Investing always carries risk.',
+    errorPattern: 'false-causation',
+    subject: 'economics',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'econ-med-new-002',
+    text: 'GDP (Gross Domestic Product) measures the total value of goods and services produced in a country.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'GDP is the standard measure of a country\'s economic output, calculated quarterly and annually.',
+    errorPattern: null,
+    subject: 'economics',
+    difficulty: 'medium',
+    citation: 'https://www.bea.gov/data/gdp',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'econ-med-003',
+    text: 'A recession is officially defined as two consecutive quarters of negative GDP growth.',
+    answer: 'MIXED',
+    source: 'expert-sourced',
+    explanation: 'This is a common definition, but the official determination (in the US) is made by the NBER considering multiple factors, not just GDP.',
+    errorPattern: null,
+    subject: 'economics',
+    difficulty: 'medium',
+    citation: 'https://www.nber.org/research/business-cycle-dating',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'econ-med-004',
+    text: 'The minimum wage automatically adjusts for inflation each year.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'In most places, minimum wage requires legislative action to change. It does not automatically adjust for inflation.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'economics',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'econ-med-005',
+    text: 'Monopolies are illegal in all cases in the United States.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Being a monopoly is not illegal. Using monopoly power to harm competition is illegal under antitrust law. Some monopolies are even government-granted (utilities, patents).',
+    errorPattern: 'plausible-adjacency',
+    subject: 'economics',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'econ-med-006',
+    text: 'The Federal Reserve can print unlimited money without consequences.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Printing too much money leads to inflation and currency devaluation. Central banks must balance money supply carefully.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'economics',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'econ-med-007',
+    text: 'Unemployment rate counts everyone who does not have a job.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'The unemployment rate only counts people actively seeking work. Retirees, students, and those who stopped looking are not counted.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'economics',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'econ-med-008',
+    text: 'Trade between countries can benefit both countries involved.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Comparative advantage theory shows that trade allows countries to specialize in what they produce most efficiently, benefiting all parties.',
+    errorPattern: null,
+    subject: 'economics',
+    difficulty: 'medium',
+    citation: 'https://www.investopedia.com/terms/c/comparativeadvantage.asp',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'econ-med-009',
+    text: 'Compound interest can significantly increase savings over time.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Compound interest earns interest on both the principal and accumulated interest, leading to exponential growth over time.',
+    errorPattern: null,
+    subject: 'economics',
+    difficulty: 'medium',
+    citation: 'https://www.investor.gov/additional-resources/information/compound-interest',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'econ-med-010',
+    text: 'A trade deficit means a country imports more than it exports.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'A trade deficit occurs when a country\'s imports exceed its exports. This is not necessarily bad—it depends on other economic factors.',
+    errorPattern: null,
+    subject: 'economics',
+    difficulty: 'medium',
+    citation: 'https://www.census.gov/foreign-trade/data/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'econ-hard-001',
+    text: 'According to Yale economists, raising taxes always decreases economic growth.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'The relationship between taxes and growth is complex. Some research shows moderate taxes fund services that support growth. The claim falsely invokes authority.',
+    errorPattern: 'appeal-to-authority',
+    subject: 'economics',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'econ-hard-002',
+    text: 'The 2008 financial crisis was largely caused by subprime mortgage lending.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Risky mortgage lending to unqualified borrowers, combined with complex financial products and inadequate regulation, triggered the 2008 crisis.',
+    errorPattern: null,
+    subject: 'economics',
+    difficulty: 'hard',
+    citation: 'https://www.federalreservehistory.org/essays/great-recession-of-200709',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'econ-hard-003',
+    text: 'Behavioral economics shows that humans always make rational economic decisions.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Behavioral economics specifically studies how psychological factors lead to irrational decisions, contradicting traditional "rational actor" assumptions.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'economics',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'econ-hard-004',
+    text: 'The Phillips curve suggests a stable trade-off between inflation and unemployment.',
+    answer: 'MIXED',
+    source: 'expert-sourced',
+    explanation: 'The original Phillips curve showed an inverse relationship, but this broke down in the 1970s stagflation. The relationship is now understood to be more complex.',
+    errorPattern: null,
+    subject: 'economics',
+    difficulty: 'hard',
+    citation: 'https://www.federalreserve.gov/monetarypolicy/2018-07-mpr-summary.htm',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'econ-hard-005',
+    text: 'Studies prove that increasing minimum wage to $15/hour causes exactly 500,000 job losses.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Research on minimum wage effects is mixed. The precise number is fabricated, and effects depend on local economic conditions.',
+    errorPattern: 'confident-specificity',
+    subject: 'economics',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'econ-hard-006',
+    text: 'The Laffer Curve suggests that at some tax rates, lowering taxes can increase government revenue.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The Laffer Curve illustrates that at very high tax rates, people may work/invest less, so moderate rates could generate more revenue.',
+    errorPattern: null,
+    subject: 'economics',
+    difficulty: 'hard',
+    citation: 'https://www.investopedia.com/terms/l/laffercurve.asp',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'econ-hard-007',
+    text: 'Quantitative easing (QE) is when central banks buy assets to increase money supply.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'QE involves central banks purchasing government bonds and other securities to inject money into the economy and lower interest rates.',
+    errorPattern: null,
+    subject: 'economics',
+    difficulty: 'hard',
+    citation: 'https://www.federalreserve.gov/monetarypolicy/bst_openmarketops.htm',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'econ-hard-008',
+    text: 'Game theory in economics was developed to predict stock market prices.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Game theory studies strategic decision-making between rational actors. It was not developed for stock prediction but for analyzing competitive situations.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'economics',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'econ-hard-009',
+    text: 'The "invisible hand" concept suggests markets self-regulate without any government intervention.',
+    answer: 'MIXED',
+    source: 'expert-sourced',
+    explanation: 'Adam Smith\'s "invisible hand" describes how self-interest can benefit society, but Smith also acknowledged roles for government in providing public goods.',
+    errorPattern: null,
+    subject: 'economics',
+    difficulty: 'hard',
+    citation: 'https://www.britannica.com/topic/invisible-hand',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'econ-hard-010',
+    text: 'Cryptocurrency is regulated by the Federal Reserve like traditional currency.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Cryptocurrencies are decentralized and not controlled by any central bank. Regulatory frameworks vary by country and are still developing.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'economics',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  }
+];
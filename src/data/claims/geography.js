@@ -0,0 +1,407 @@
+/**
+ * CLAIMS - GEOGRAPHY
+ * One subject chunk of the claims database, loaded on demand by claimsLoader.js
+ * See claims.js for the claim format; run `npm run claims:index` after editing
+ */
+
+export default [
+  {
+    id: 'sci-easy-003',
+    text: 'The Great Wall of China is the only human-made structure visible from space with the naked eye.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: "This is a persistent myth. Astronauts confirm it's not visible without aid from low Earth orbit. Other structures like highways and cities are actually more visible.",
+    errorPattern: 'myth-perpetuation',
+    subject: 'geography',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'geo-viral-001',
+    text: 'Russia has 11 time zones, more than any other country.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Russia spans 11 time zones, from UTC+2 to UTC+12. When it\'s breakfast in Moscow, it\'s bedtime in Vladivostok.',
+    errorPattern: null,
+    subject: 'geography',
+    difficulty: 'easy',
+    citation: 'https://www.britannica.com/place/Russia',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'geo-viral-002',
+    text: 'Canada has more lakes than the rest of the world combined.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Canada has over 60% of the world\'s lakes - more than 2 million lakes covering 7.6% of its landmass.',
+    errorPattern: null,
+    subject: 'geography',
+    difficulty: 'medium',
+    citation: 'https://www.canada.ca/en/environment-climate-change/services/water-overview/frequently-asked-questions.html',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'geo-viral-003',
+    text: 'Africa is bigger than the USA, China, India, and most of Europe combined.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Africa\'s 30.3 million km² is larger than the US (9.8M), China (9.6M), India (3.3M), and Western Europe combined. Maps often underrepresent its size.',
+    errorPattern: null,
+    subject: 'geography',
+    difficulty: 'medium',
+    citation: 'https://www.britannica.com/place/Africa',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'geo-viral-004',
+    text: 'Maine is the closest US state to Africa.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Quoddy Head, Maine is about 3,154 miles from El Beddouza, Morocco - closer than Florida due to Earth\'s curvature and Africa\'s northwest bulge.',
+    errorPattern: null,
+    subject: 'geography',
+    difficulty: 'hard',
+    citation: 'https://www.ngs.noaa.gov/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'geo-viral-005',
+    text: 'The Amazon River flows through Brazil, Peru, Colombia, and Argentina, making it the longest river in South America.',
+    answer: 'MIXED',
+    source: 'ai-generated',
+    explanation: 'The Amazon DOES flow through Brazil, Peru, and Colombia, and IS the longest in South America. But it does NOT flow through Argentina - that\'s a geographic fabrication.',
+    errorPattern: 'geographic-fabrication',
+    errorSpans: [{ start: 55, end: 68, pattern: 'geographic-fabrication' }],
+    subject: 'geography',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'mixed-geo-001',
+    text: 'Mount Everest is the tallest mountain on Earth at 29,032 feet, making it the point farthest from the center of the Earth.',
+    answer: 'MIXED',
+    source: 'ai-generated',
+    explanation: 'Everest IS the highest point above sea level at 29,032 feet (true). However, due to Earth\'s equatorial bulge, Mount Chimborazo in Ecuador is actually the point farthest from Earth\'s center.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'geography',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'elem-geo-001',
+    text: 'The Amazon River flows through Argentina.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'The Amazon River flows through Brazil, Peru, and Colombia, but NOT Argentina. Argentina is too far south.',
+    errorPattern: 'geographic-fabrication',
+    subject: 'geography',
+    difficulty: 'easy',
+    gradeLevel: 'elementary',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'elem-geo-002',
+    text: 'Australia is both a country and a continent.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Australia is the only place that is both a country (with a government) and a continent (a major landmass). It\'s unique!',
+    errorPattern: null,
+    subject: 'geography',
+    difficulty: 'easy',
+    gradeLevel: 'elementary',
+    citation: 'https://www.britannica.com/place/Australia',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'elem-geo-003',
+    text: 'Mount Everest grows about half an inch taller every year.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The collision of tectonic plates pushes Mount Everest up by about 4mm (roughly half an inch) per year!',
+    errorPattern: null,
+    subject: 'geography',
+    difficulty: 'medium',
+    gradeLevel: 'elementary',
+    citation: 'https://www.nationalgeographic.com/science/article/151214-everest-grows-higher-nepal-earthquake',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'mid-geo-001',
+    text: 'Russia has 11 time zones.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Russia spans 11 time zones, from UTC+2 to UTC+12. When it\'s midnight in western Russia, it\'s already 9 AM the next day in the far east!',
+    errorPattern: null,
+    subject: 'geography',
+    difficulty: 'medium',
+    gradeLevel: 'middle',
+    citation: 'https://www.britannica.com/place/Russia',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'mid-geo-002',
+    text: 'Canada has more lakes than the rest of the world combined.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Canada has an estimated 2 million lakes! That\'s more than all other countries combined. About 9% of Canada\'s area is covered by freshwater.',
+    errorPattern: null,
+    subject: 'geography',
+    difficulty: 'medium',
+    gradeLevel: 'middle',
+    citation: 'https://www.nrcan.gc.ca/our-natural-resources/water-resources/water-basics/8721',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'viral-014',
+    text: 'Human trafficking happens more in the US than in any other country.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'This is difficult to measure accurately. While the US has more identified victims due to better reporting systems, raw numbers don\'t mean more trafficking. Many countries have worse problems but less reporting.',
+    errorPattern: 'statistical-manipulation',
+    subject: 'geography',
+    difficulty: 'hard',
+    gradeLevel: 'high',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'viral-016',
+    text: 'You can see the Great Wall of China from the Moon.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'You can\'t see the Great Wall from the Moon - it\'s far too thin (15-30 feet wide). Apollo astronauts confirmed you can barely see continental outlines from the Moon, let alone structures.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'geography',
+    difficulty: 'easy',
+    gradeLevel: 'middle',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'viral-019',
+    text: 'Maine is the closest US state to Africa.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Due to Earth\'s curvature, Quoddy Head in Maine is about 3,154 miles from El Beddouza, Morocco. Florida looks closer on flat maps but is actually farther due to map projection distortion!',
+    errorPattern: null,
+    subject: 'geography',
+    difficulty: 'hard',
+    gradeLevel: 'high',
+    citation: 'https://www.worldatlas.com/articles/the-african-nation-closest-to-the-united-states.html',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'geo-new-001',
+    text: 'Mount Everest is the tallest mountain measured from base to peak.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Mauna Kea in Hawaii is taller from base to peak (10,210m), but most of it is underwater. Everest is highest above sea level.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'geography',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'geo-new-002',
+    text: 'Russia spans 11 time zones.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Russia is so wide that it covers 11 time zones, from UTC+2 to UTC+12.',
+    errorPattern: null,
+    subject: 'geography',
+    difficulty: 'easy',
+    citation: 'https://www.worldatlas.com/articles/how-many-time-zones-are-there-in-russia.html',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'geo-new-003',
+    text: 'The Sahara Desert is the largest desert in the world.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Antarctica is the largest desert (cold desert). The Sahara is the largest hot desert.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'geography',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'geo-new-004',
+    text: 'The Amazon River is the longest river in the world.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'The Nile is generally considered the longest river. The Amazon carries the most water.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'geography',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'geo-new-005',
+    text: 'Australia is both a country and a continent.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Australia is the only landmass that is both a country and a continent.',
+    errorPattern: null,
+    subject: 'geography',
+    difficulty: 'easy',
+    citation: 'https://www.britannica.com/place/Australia',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'geo-new-006',
+    text: 'The Dead Sea is actually a lake.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Despite its name, the Dead Sea is a salt lake bordered by Jordan and Israel.',
+    errorPattern: null,
+    subject: 'geography',
+    difficulty: 'medium',
+    citation: 'https://www.britannica.com/place/Dead-Sea',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'geo-new-007',
+    text: 'Iceland is covered mostly in ice.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Despite its name, Iceland is mostly green. Greenland is the one mostly covered in ice.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'geography',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'geo-new-008',
+    text: 'The equator passes through 13 countries.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The equator crosses 13 countries in South America, Africa, and Asia.',
+    errorPattern: null,
+    subject: 'geography',
+    difficulty: 'medium',
+    citation: 'https://www.worldatlas.com/articles/what-countries-are-on-the-equator.html',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'geo-new-009',
+    text: 'The Pacific Ocean is shrinking.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Due to plate tectonics, the Pacific is slowly shrinking while the Atlantic is expanding.',
+    errorPattern: null,
+    subject: 'geography',
+    difficulty: 'medium',
+    citation: 'https://www.usgs.gov/faqs/ocean-getting-larger-or-smaller',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'geo-new-010',
+    text: 'All rivers flow from north to south.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Rivers flow downhill regardless of direction. The Nile flows north, for example.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'geography',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'geo-new-011',
+    text: 'The Mariana Trench is deeper than Mount Everest is tall.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The Mariana Trench reaches about 11,000 meters deep, while Everest is about 8,849 meters tall.',
+    errorPattern: null,
+    subject: 'geography',
+    difficulty: 'hard',
+    citation: 'https://oceanexplorer.noaa.gov/facts/mariana-trench.html',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'geo-new-012',
+    text: 'More people live in the Northern Hemisphere than the Southern Hemisphere.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'About 90% of the world\'s population lives in the Northern Hemisphere.',
+    errorPattern: null,
+    subject: 'geography',
+    difficulty: 'hard',
+    citation: 'https://www.worldatlas.com/articles/what-percentage-of-the-world-population-live-in-the-northern-hemisphere.html',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'geo-new-013',
+    text: 'Tectonic plates move about as fast as fingernails grow.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Tectonic plates typically move 1-10 centimeters per year, similar to fingernail growth.',
+    errorPattern: null,
+    subject: 'geography',
+    difficulty: 'hard',
+    citation: 'https://www.usgs.gov/faqs/how-fast-do-tectonic-plates-move',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'geo-new-014',
+    text: 'There are exactly 7 continents on Earth.',
+    answer: 'MIXED',
+    source: 'expert-sourced',
+    explanation: 'The 7-continent model is common but not universal. Some models count 5 or 6 continents.',
+    errorPattern: null,
+    subject: 'geography',
+    difficulty: 'hard',
+    citation: 'https://www.britannica.com/science/continent',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'geo-new-015',
+    text: 'The Ring of Fire contains 75% of the world\'s volcanoes.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The Pacific Ring of Fire hosts about 75% of the world\'s active and dormant volcanoes.',
+    errorPattern: null,
+    subject: 'geography',
+    difficulty: 'hard',
+    citation: 'https://www.usgs.gov/programs/volcano-hazards/ring-fire',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  }
+];
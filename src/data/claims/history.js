@@ -0,0 +1,456 @@
+/**
+ * CLAIMS - HISTORY
+ * One subject chunk of the claims database, loaded on demand by claimsLoader.js
+ * See claims.js for the claim format; run `npm run claims:index` after editing
+ */
+
+export default [
+  {
+    id: 'hist-easy-001',
+    text: 'George Washington had wooden teeth.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Washington\'s dentures were made of ivory, gold, lead, and human/animal teeth - never wood. This is a persistent myth.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'history',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'hist-easy-002',
+    text: 'The ancient Egyptians built the pyramids using slave labor.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Archaeological evidence shows pyramid workers were paid laborers who lived in nearby villages, received medical care, and were buried with honor.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'history',
+    pairId: 'pyramids',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'hist-easy-003',
+    text: 'Vikings wore horned helmets into battle.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'No archaeological evidence supports horned Viking helmets in battle. This myth comes from 19th-century romanticized artwork and opera costumes.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'history',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'hist-easy-004',
+    text: 'The Declaration of Independence was signed on July 4, 1776.',
+    answer: 'MIXED',
+    source: 'ai-generated',
+    explanation: 'The Declaration was adopted on July 4, 1776, but most delegates signed it on August 2, 1776. The date celebrates the adoption, not the signing.',
+    errorPattern: 'timeline-compression',
+    subject: 'history',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'hist-med-001',
+    text: "Isaac Newton discovered gravity in 1687 when an apple fell on his head at Cambridge University, leading him to immediately publish the Principia Mathematica that same day.",
+    answer: 'MIXED',
+    source: 'ai-generated',
+    explanation: 'Newton did publish Principia in 1687, but the apple story is likely apocryphal, and "same day" is fabricated.',
+    errorPattern: 'timeline-compression',
+    subject: 'history',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'hist-med-002',
+    text: "Albert Einstein failed mathematics in school, which proves that grades don't matter for future success.",
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Einstein excelled at mathematics. This myth arose from confusion about Swiss grading scales. He mastered calculus by age 15.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'history',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'hist-med-003',
+    text: 'Oxford University is older than the Aztec Empire.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Teaching at Oxford began around 1096. The Aztec Empire was founded in 1428 when the Triple Alliance was formed. Oxford is over 300 years older!',
+    errorPattern: null,
+    subject: 'history',
+    difficulty: 'medium',
+    citation: 'https://www.ox.ac.uk/about/organisation/history',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'hist-med-004',
+    text: 'Cleopatra lived closer in time to the Moon landing than to the construction of the Great Pyramid of Giza.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The Great Pyramid was built around 2560 BCE. Cleopatra lived around 30 BCE (2,530 years later). The Moon landing was 1969 CE (1,999 years after Cleopatra).',
+    errorPattern: null,
+    subject: 'history',
+    difficulty: 'medium',
+    citation: 'https://www.britannica.com/biography/Cleopatra-queen-of-Egypt',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'hist-hard-001',
+    text: 'The shortest war in history lasted exactly 38 minutes, fought between Britain and Zanzibar on August 27, 1896, resulting in exactly 500 Zanzibari casualties.',
+    answer: 'MIXED',
+    source: 'ai-generated',
+    explanation: 'The Anglo-Zanzibar War did occur on that date and lasted 38-45 minutes, but casualty numbers vary (roughly 500) and "exactly" is fabricated precision.',
+    errorPattern: 'confident-specificity',
+    subject: 'history',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'hist-hard-002',
+    text: "The first computer programmer was a woman named Ada Lovelace, who wrote the first algorithm in 1843 for Charles Babbage's Difference Engine.",
+    answer: 'MIXED',
+    source: 'ai-generated',
+    explanation: 'Ada Lovelace did write the first algorithm (true), but it was for the Analytical Engine, not the Difference Engine. These were different machines.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'history',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'hist-viral-001',
+    text: 'Nintendo was founded while Jack the Ripper was still active in London.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Nintendo was founded in 1889 as a playing card company. Jack the Ripper\'s murders occurred in 1888. Nintendo is older than you think!',
+    errorPattern: null,
+    subject: 'history',
+    pairId: 'nintendo',
+    difficulty: 'hard',
+    citation: 'https://www.nintendo.co.jp/corporate/en/history/index.html',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'hist-viral-002',
+    text: 'The fax machine was invented the same year people were still traveling the Oregon Trail.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Alexander Bain patented an early fax machine in 1843. The Oregon Trail migration peaked in the 1840s-1850s. Technologies coexist in surprising ways!',
+    errorPattern: null,
+    subject: 'history',
+    difficulty: 'hard',
+    citation: 'https://www.britannica.com/technology/fax',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'hist-viral-003',
+    text: 'There was a 335-year war between the Netherlands and the Isles of Scilly with no casualties.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'War was declared in 1651 but no shots were fired. Peace was only formally declared in 1986, making it one of the longest and most bloodless wars in history.',
+    errorPattern: null,
+    subject: 'history',
+    difficulty: 'hard',
+    citation: 'https://www.historic-uk.com/HistoryUK/HistoryofEngland/The-335-Year-War/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'hist-viral-004',
+    text: 'Woolly mammoths were still alive when the Egyptian pyramids were being built.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'A small population of woolly mammoths survived on Wrangel Island until about 1650 BCE. The Great Pyramid was built around 2560 BCE - almost 1000 years earlier!',
+    errorPattern: null,
+    subject: 'history',
+    pairId: 'pyramids',
+    difficulty: 'medium',
+    citation: 'https://www.nature.com/articles/nature12921',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'hist-viral-005',
+    text: 'Harvard University was founded before calculus was invented.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Harvard was founded in 1636. Newton and Leibniz independently developed calculus in the late 1600s (1680s-1690s).',
+    errorPattern: null,
+    subject: 'history',
+    difficulty: 'medium',
+    citation: 'https://www.harvard.edu/about/history/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'mixed-hist-001',
+    text: 'Thomas Edison invented the light bulb in 1879 after testing over 10,000 different materials for the filament.',
+    answer: 'MIXED',
+    source: 'ai-generated',
+    explanation: 'Edison did create a practical incandescent bulb in 1879 (true), but he improved on existing designs rather than "inventing" it. The 10,000 experiments number is an exaggerated myth - the actual number is unknown.',
+    errorPattern: 'confident-specificity',
+    subject: 'history',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'mixed-tech-001',
+    text: 'The first email was sent in 1971 by Ray Tomlinson, and its content was "QWERTYUIOP" - the top row of the keyboard.',
+    answer: 'MIXED',
+    source: 'ai-generated',
+    explanation: 'Ray Tomlinson did send the first networked email in 1971 (true). However, he said the content was likely "something like QWERTYUIOP" but couldn\'t remember exactly - the specific content is uncertain, not confirmed.',
+    errorPattern: 'confident-specificity',
+    subject: 'history',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'mixed-sci-004',
+    text: 'Albert Einstein was a slow learner who didn\'t speak until age 4, which proves that late development can lead to genius.',
+    answer: 'MIXED',
+    source: 'ai-generated',
+    explanation: 'Einstein reportedly was a late talker (possibly true, based on family accounts). However, claiming this "proves" late development leads to genius is a logical fallacy - correlation doesn\'t prove causation.',
+    errorPattern: 'false-causation',
+    subject: 'history',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'elem-hist-001',
+    text: 'Cleopatra lived closer in time to the first iPhone than to the building of the pyramids.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The Great Pyramid was built around 2560 BCE. Cleopatra died in 30 BCE (2,530 years later). iPhone came in 2007 CE (2,037 years after Cleopatra). Mind-blowing!',
+    errorPattern: null,
+    subject: 'history',
+    difficulty: 'medium',
+    gradeLevel: 'elementary',
+    citation: 'https://www.britannica.com/biography/Cleopatra-queen-of-Egypt',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'elem-hist-002',
+    text: 'Vikings wore helmets with horns on them.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'This is a popular myth! Real Viking helmets were plain metal or leather. The horned helmets idea came from old operas and movies.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'history',
+    difficulty: 'easy',
+    gradeLevel: 'elementary',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'elem-hist-003',
+    text: 'The Eiffel Tower can grow 6 inches taller in summer.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'When metal heats up, it expands! In hot summer weather, the iron in the Eiffel Tower expands, making it about 6 inches taller.',
+    errorPattern: null,
+    subject: 'history',
+    difficulty: 'easy',
+    gradeLevel: 'elementary',
+    citation: 'https://www.toureiffel.paris/en/news/history-and-culture',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'mid-hist-001',
+    text: 'Oxford University is older than the Aztec Empire.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Oxford started teaching in 1096; it was established by 1249. The Aztec Empire was founded in 1428 when they built Tenochtitlan. Oxford is about 200 years older!',
+    errorPattern: null,
+    subject: 'history',
+    difficulty: 'hard',
+    gradeLevel: 'middle',
+    citation: 'https://www.ox.ac.uk/about/organisation/history',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'mid-hist-002',
+    text: 'Albert Einstein failed math as a child.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Einstein was excellent at math! This myth started from a misunderstanding of German grading scales. He excelled in math and physics from childhood.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'history',
+    difficulty: 'easy',
+    gradeLevel: 'middle',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'mid-hist-003',
+    text: 'The shortest war in history lasted exactly 38 minutes.',
+    answer: 'MIXED',
+    source: 'ai-generated',
+    explanation: 'The Anglo-Zanzibar War (1896) lasted 38-45 minutes, but "exactly 38 minutes" is too precise. Historical records vary on the exact duration.',
+    errorPattern: 'confident-specificity',
+    subject: 'history',
+    difficulty: 'medium',
+    gradeLevel: 'middle',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'mid-hist-004',
+    text: 'Thomas Edison invented the light bulb.',
+    answer: 'MIXED',
+    source: 'ai-generated',
+    explanation: 'Edison improved and commercialized the light bulb, but didn\'t invent it. At least 20 inventors created incandescent lights before him. He made it practical and affordable.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'history',
+    difficulty: 'medium',
+    gradeLevel: 'middle',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'mid-tech-001',
+    text: 'The inventor of the Pringles can is buried in one.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Fredric Baur invented the Pringles can shape. When he died in 2008, his children honored his wishes by burying some of his ashes in a Pringles can!',
+    errorPattern: null,
+    subject: 'history',
+    difficulty: 'easy',
+    gradeLevel: 'middle',
+    citation: 'https://time.com/3957979/pringles-can-inventor-buried/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'mid-tech-002',
+    text: 'Nintendo started as a video game company.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Nintendo was founded in 1889 as a playing card company! They made "Hanafuda" cards. They didn\'t enter video games until the 1970s.',
+    errorPattern: 'timeline-compression',
+    subject: 'history',
+    pairId: 'nintendo',
+    difficulty: 'easy',
+    gradeLevel: 'middle',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'high-hist-001',
+    text: 'The Library of Alexandria was destroyed in a single fire.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'The Library of Alexandria declined over centuries through multiple events: Julius Caesar\'s fire, Christian riots, and gradual defunding. No single dramatic destruction.',
+    errorPattern: 'timeline-compression',
+    subject: 'history',
+    difficulty: 'hard',
+    gradeLevel: 'high',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'high-hist-002',
+    text: 'The term "cold turkey" for quitting addictions comes from the goosebumps that appear during withdrawal.',
+    answer: 'MIXED',
+    source: 'ai-generated',
+    explanation: 'This is one popular etymology, as withdrawal causes goosebumps resembling plucked turkey skin. However, the true origin is uncertain and other theories exist.',
+    errorPattern: 'appeal-to-authority',
+    subject: 'history',
+    difficulty: 'medium',
+    gradeLevel: 'high',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'col-hist-001',
+    text: 'The "Dark Ages" were actually a period of significant technological and intellectual progress in many regions.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'While Western Europe saw decline after Rome, the Byzantine Empire, Islamic Golden Age, Tang Dynasty China, and other civilizations flourished. The term "Dark Ages" is Eurocentric and misleading.',
+    errorPattern: null,
+    subject: 'history',
+    difficulty: 'medium',
+    gradeLevel: 'college',
+    citation: 'https://www.britannica.com/event/Dark-Ages',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'viral-008',
+    text: 'Scotland\'s national animal is the unicorn.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The unicorn has been a Scottish heraldic symbol since the 12th century! It represents purity, innocence, power, and independence - values important to Scottish identity.',
+    errorPattern: null,
+    subject: 'history',
+    difficulty: 'easy',
+    gradeLevel: 'elementary',
+    citation: 'https://www.visitscotland.com/things-to-do/attractions/arts-culture/traditions/unicorn',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'viral-009',
+    text: 'There\'s a basketball court on the top floor of the Supreme Court building, nicknamed "the highest court in the land."',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'There\'s a full basketball court on the 5th floor above the courtrooms. It\'s nicknamed "the highest court in the land" - a legal pun since the Supreme Court is the highest court!',
+    errorPattern: null,
+    subject: 'history',
+    difficulty: 'easy',
+    gradeLevel: 'middle',
+    citation: 'https://www.supremecourt.gov/about/buildingfeatures.aspx',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'viral-011',
+    text: 'The inventor of the frisbee was turned into a frisbee after death.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Walter Morrison, who invented the modern frisbee (Pluto Platter), died in 2010. His family had his ashes molded into memorial frisbees!',
+    errorPattern: null,
+    subject: 'history',
+    difficulty: 'easy',
+    gradeLevel: 'middle',
+    citation: 'https://www.nytimes.com/2010/02/11/sports/11frisbee.html',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  }
+];
@@ -0,0 +1,398 @@
+/**
+ * CLAIMS - LANGUAGE
+ * One subject chunk of the claims database, loaded on demand by claimsLoader.js
+ * See claims.js for the claim format; run `npm run claims:index` after editing
+ */
+
+export default [
+  {
+    id: 'lang-001',
+    text: '"Set" is the English word with the most definitions.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The word "set" has over 430 definitions in the Oxford English Dictionary, making it the word with the most meanings.',
+    errorPattern: null,
+    subject: 'language',
+    difficulty: 'hard',
+    citation: 'https://www.oed.com/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'lang-002',
+    text: 'The sentence "Buffalo buffalo Buffalo buffalo buffalo buffalo Buffalo buffalo" is grammatically correct.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Using "buffalo" as a noun, adjective, and verb, this sentence means "Buffalo bison that Buffalo bison bully, bully Buffalo bison."',
+    errorPattern: null,
+    subject: 'language',
+    difficulty: 'hard',
+    citation: 'https://www.britannica.com/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'lang-003',
+    text: 'The word "OK" is the most spoken word in the world.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Linguists consider "OK" to be the most universally recognized and spoken word across all languages.',
+    errorPattern: null,
+    subject: 'language',
+    difficulty: 'easy',
+    citation: 'https://www.bbc.com/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'lang-004',
+    text: 'There are more English speakers in China than in the United States.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'China has approximately 300-400 million English learners/speakers, exceeding the total US population.',
+    errorPattern: null,
+    subject: 'language',
+    difficulty: 'hard',
+    citation: 'https://www.britannica.com/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'lang-new-001',
+    text: 'English is the language with the most words in the world.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'English has over 170,000 words in current use, plus 47,000 obsolete words. This exceeds most other languages.',
+    errorPattern: null,
+    subject: 'language',
+    difficulty: 'easy',
+    citation: 'https://www.oed.com/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'lang-new-002',
+    text: 'The shortest complete sentence in English is "I am."',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'The shortest complete sentence is "Go." - an imperative with an implied subject. "I am" has two words.',
+    errorPattern: 'confident-specificity',
+    subject: 'language',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'lang-new-003',
+    text: 'A pangram is a sentence that uses every letter of the alphabet.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: '"The quick brown fox jumps over the lazy dog" is a famous pangram containing all 26 letters.',
+    errorPattern: null,
+    subject: 'language',
+    difficulty: 'easy',
+    citation: 'https://www.merriam-webster.com/dictionary/pangram',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'lang-new-004',
+    text: 'The word "alphabet" comes from the first two Greek letters: alpha and beta.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The word "alphabet" is derived from alpha (α) and beta (β), the first two letters of the Greek alphabet.',
+    errorPattern: null,
+    subject: 'language',
+    difficulty: 'easy',
+    citation: 'https://www.etymonline.com/word/alphabet',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'lang-new-005',
+    text: 'All languages have exactly 26 letters in their alphabets.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Alphabet sizes vary greatly. Hawaiian has 13 letters, Russian has 33, and some languages use non-alphabetic systems.',
+    errorPattern: 'confident-specificity',
+    subject: 'language',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'lang-new-006',
+    text: 'Mandarin Chinese is the most spoken native language in the world.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'With over 900 million native speakers, Mandarin Chinese has more native speakers than any other language.',
+    errorPattern: null,
+    subject: 'language',
+    difficulty: 'easy',
+    citation: 'https://www.ethnologue.com/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'lang-new-007',
+    text: 'Learning a second language damages your ability to speak your first language.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Research shows bilingualism enhances cognitive abilities and does not harm first language skills.',
+    errorPattern: 'false-causation',
+    subject: 'language',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'lang-new-008',
+    text: 'A synonym is a word that means the opposite of another word.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Synonyms are words with similar meanings. Words with opposite meanings are called antonyms.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'language',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'lang-new-009',
+    text: 'The word "set" has the most definitions in the English dictionary.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The word "set" has over 430 different definitions in the Oxford English Dictionary.',
+    errorPattern: null,
+    subject: 'language',
+    difficulty: 'easy',
+    citation: 'https://www.oed.com/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'lang-new-010',
+    text: 'A palindrome is a word that reads the same forwards and backwards.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Examples include "radar," "level," and "civic" - words that spell the same in both directions.',
+    errorPattern: null,
+    subject: 'language',
+    difficulty: 'medium',
+    citation: 'https://www.merriam-webster.com/dictionary/palindrome',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'lang-new-011',
+    text: 'The word "queue" is pronounced differently in British and American English.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Queue is pronounced "kyoo" in both British and American English. The pronunciation is identical.',
+    errorPattern: 'geographic-fabrication',
+    subject: 'language',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'lang-new-012',
+    text: 'An onomatopoeia is a word that sounds like what it describes.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Words like "buzz," "splash," and "meow" are onomatopoeias that imitate the sounds they represent.',
+    errorPattern: null,
+    subject: 'language',
+    difficulty: 'medium',
+    citation: 'https://www.merriam-webster.com/dictionary/onomatopoeia',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'lang-new-013',
+    text: 'Shakespeare invented over 1,700 words that we still use today.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Shakespeare coined words like "assassination," "lonely," "generous," and "bedroom" that remain in use.',
+    errorPattern: null,
+    subject: 'language',
+    difficulty: 'medium',
+    citation: 'https://www.shakespeare.org.uk/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'lang-new-014',
+    text: 'All languages read from left to right.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Arabic and Hebrew read right to left. Traditional Chinese and Japanese can be read top to bottom.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'language',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'lang-new-015',
+    text: 'The dot over the letters "i" and "j" is called a tittle.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The small distinguishing mark over lowercase i and j is called a tittle, from Latin "titulus."',
+    errorPattern: null,
+    subject: 'language',
+    difficulty: 'medium',
+    citation: 'https://www.merriam-webster.com/dictionary/tittle',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'lang-new-016',
+    text: 'The word "emoji" comes from the Japanese words for "picture" and "character."',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Emoji combines the Japanese words "e" (picture) and "moji" (character). It is unrelated to "emotion."',
+    errorPattern: null,
+    subject: 'language',
+    difficulty: 'medium',
+    citation: 'https://www.etymonline.com/word/emoji',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'lang-new-017',
+    text: 'Grammar rules in English have remained unchanged for 500 years.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'English grammar has evolved significantly. "Thee" and "thou" disappeared, and new constructions emerged.',
+    errorPattern: 'timeline-compression',
+    subject: 'language',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'lang-new-018',
+    text: 'Sign languages are universal and the same in all countries.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Sign languages vary by country. American Sign Language (ASL) differs from British Sign Language (BSL).',
+    errorPattern: 'myth-perpetuation',
+    subject: 'language',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'lang-new-019',
+    text: 'An oxymoron is a figure of speech combining contradictory terms.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Examples include "jumbo shrimp," "deafening silence," and "bittersweet" - contradictions used for effect.',
+    errorPattern: null,
+    subject: 'language',
+    difficulty: 'medium',
+    citation: 'https://www.merriam-webster.com/dictionary/oxymoron',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'lang-new-020',
+    text: 'The ampersand (&) was once the 27th letter of the English alphabet.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'In the 19th century, & was taught as the 27th letter, recited as "and per se and."',
+    errorPattern: null,
+    subject: 'language',
+    difficulty: 'hard',
+    citation: 'https://www.dictionary.com/e/ampersand/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'lang-new-021',
+    text: 'Proto-Indo-European is the ancestor of most European and South Asian languages.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'This reconstructed ancient language is the common ancestor of English, Spanish, Hindi, Russian, and many others.',
+    errorPattern: null,
+    subject: 'language',
+    difficulty: 'hard',
+    citation: 'https://www.britannica.com/topic/Indo-European-languages',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'lang-new-022',
+    text: 'Children can only learn languages fluently before age 3.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'While earlier is easier, people can learn languages at any age. The "critical period" extends to puberty, not age 3.',
+    errorPattern: 'confident-specificity',
+    subject: 'language',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'lang-new-023',
+    text: 'The International Phonetic Alphabet (IPA) represents all sounds in human language.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The IPA provides symbols for all documented speech sounds, enabling accurate pronunciation notation.',
+    errorPattern: null,
+    subject: 'language',
+    difficulty: 'hard',
+    citation: 'https://www.internationalphoneticassociation.org/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'lang-new-024',
+    text: 'Latin is the direct ancestor of English.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'English is a Germanic language descended from Proto-Germanic. Latin influenced English but is not its ancestor.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'language',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'lang-new-025',
+    text: 'Esperanto is a constructed language designed to be easy to learn.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Created in 1887 by L.L. Zamenhof, Esperanto was designed as an easy international auxiliary language.',
+    errorPattern: null,
+    subject: 'language',
+    difficulty: 'hard',
+    citation: 'https://www.britannica.com/topic/Esperanto',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'lang-new-026',
+    text: 'The Rosetta Stone was written in exactly 4 languages.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'The Rosetta Stone contains the same text in 2 languages (Egyptian and Greek) using 3 scripts.',
+    errorPattern: 'confident-specificity',
+    subject: 'language',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  }
+];
@@ -0,0 +1,450 @@
+/**
+ * CLAIMS - MARINE BIOLOGY
+ * One subject chunk of the claims database, loaded on demand by claimsLoader.js
+ * See claims.js for the claim format; run `npm run claims:index` after editing
+ */
+
+export default [
+  {
+    id: 'ocean-001',
+    text: 'More people have been to the Moon than to the deepest part of the ocean.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: '12 people have walked on the Moon, while only a handful have reached Challenger Deep in the Mariana Trench.',
+    errorPattern: null,
+    subject: 'marine-biology',
+    difficulty: 'medium',
+    citation: 'https://oceanservice.noaa.gov/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'ocean-002',
+    text: 'Starfish can regenerate their entire body from just one arm.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Many starfish species can regenerate an entire new body from a single arm if it includes part of the central disc.',
+    errorPattern: null,
+    subject: 'marine-biology',
+    difficulty: 'medium',
+    citation: 'https://www.britannica.com/animal/sea-star',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'ocean-003',
+    text: "The ocean produces 70% of Earth's oxygen.",
+    answer: 'MIXED',
+    source: 'ai-generated',
+    explanation: 'Ocean phytoplankton DO produce significant oxygen (roughly 50-80%), but "70%" is a rough estimate. The exact percentage varies.',
+    errorPattern: 'confident-specificity',
+    subject: 'marine-biology',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'ocean-004',
+    text: 'Jellyfish have been on Earth longer than dinosaurs.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Jellyfish fossils date back over 500 million years. Dinosaurs first appeared about 240 million years ago.',
+    errorPattern: null,
+    subject: 'marine-biology',
+    difficulty: 'medium',
+    citation: 'https://www.britannica.com/animal/jellyfish',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'marine-easy-001',
+    text: 'Dolphins are fish because they live in the ocean.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Dolphins are mammals, not fish. They breathe air, are warm-blooded, give birth to live young, and nurse their babies with milk.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'marine-biology',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'marine-easy-002',
+    text: 'Octopuses have three hearts.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Octopuses have two branchial hearts that pump blood through the gills, and one systemic heart that pumps it through the body.',
+    errorPattern: null,
+    subject: 'marine-biology',
+    difficulty: 'easy',
+    citation: 'https://www.britannica.com/animal/octopus-mollusk',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'marine-easy-003',
+    text: 'Sea horses are the only fish where males give birth.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Male seahorses carry eggs in a pouch and give birth to live young—unique among fish and rare in the animal kingdom.',
+    errorPattern: null,
+    subject: 'marine-biology',
+    difficulty: 'easy',
+    citation: 'https://ocean.si.edu/ocean-life/fish/seahorse',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'marine-easy-004',
+    text: 'Sharks must keep swimming constantly or they will die.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Some sharks (like great whites) must swim to breathe, but many species can pump water over their gills while resting on the ocean floor.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'marine-biology',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'marine-easy-005',
+    text: 'Blue whales are the largest animals to ever live on Earth.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Blue whales can reach 100 feet long and weigh 200 tons—larger than any dinosaur. Their hearts alone can weigh as much as a car.',
+    errorPattern: null,
+    subject: 'marine-biology',
+    difficulty: 'easy',
+    citation: 'https://www.britannica.com/animal/blue-whale',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'marine-easy-006',
+    text: 'Coral reefs are made by tiny animals called polyps.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Coral polyps are tiny animals that build hard calcium carbonate skeletons. Over time, these accumulate to form massive reef structures.',
+    errorPattern: null,
+    subject: 'marine-biology',
+    difficulty: 'easy',
+    citation: 'https://oceanservice.noaa.gov/education/tutorial_corals/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'marine-easy-007',
+    text: 'Fish have very short memories, lasting only 3 seconds.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Fish can remember things for months or even years. Studies show they can learn mazes, recognize other fish, and remember feeding schedules.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'marine-biology',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'marine-easy-008',
+    text: 'Sea turtles return to the same beach where they were born to lay their eggs.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Female sea turtles return to their natal beach to nest, traveling thousands of miles to find the exact location using Earth\'s magnetic field.',
+    errorPattern: null,
+    subject: 'marine-biology',
+    difficulty: 'easy',
+    citation: 'https://www.seeturtles.org/sea-turtle-nesting',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'marine-easy-009',
+    text: 'Whales and dolphins sleep with one half of their brain at a time.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'This unihemispheric sleep allows them to continue swimming and surfacing to breathe while resting half their brain.',
+    errorPattern: null,
+    subject: 'marine-biology',
+    difficulty: 'easy',
+    citation: 'https://www.scientificamerican.com/article/how-do-whales-and-lufti/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'marine-easy-010',
+    text: 'Clownfish and sea anemones help each other survive.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'This is called mutualism. Clownfish are protected by the anemone\'s stinging tentacles, while they provide the anemone food and nutrients.',
+    errorPattern: null,
+    subject: 'marine-biology',
+    difficulty: 'easy',
+    citation: 'https://ocean.si.edu/ocean-life/fish/clownfish-and-sea-anemone',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'marine-med-001',
+    text: 'The giant squid has the largest eyes of any animal, up to 10 inches in diameter.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Giant squid eyes are about the size of dinner plates—the largest in the animal kingdom. They help detect bioluminescence in deep, dark waters.',
+    errorPattern: null,
+    subject: 'marine-biology',
+    difficulty: 'medium',
+    citation: 'https://ocean.si.edu/ocean-life/invertebrates/giant-squid',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'marine-med-002',
+    text: 'All jellyfish stings are deadly to humans.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Most jellyfish stings cause only mild discomfort. Only a few species, like the box jellyfish, are potentially fatal to humans.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'marine-biology',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'marine-med-003',
+    text: 'Bioluminescence is light produced by living organisms through chemical reactions.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Many deep-sea creatures produce their own light through bioluminescence, using it for communication, attracting prey, or camouflage.',
+    errorPattern: null,
+    subject: 'marine-biology',
+    difficulty: 'medium',
+    citation: 'https://ocean.si.edu/ocean-life/fish/bioluminescence',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'marine-med-004',
+    text: 'Great white sharks are responsible for most shark attacks on humans.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'While great whites cause some attacks, bull sharks and tiger sharks are responsible for more. Overall, shark attacks are extremely rare.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'marine-biology',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'marine-med-005',
+    text: 'The mantis shrimp can punch with the force of a bullet.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Mantis shrimp can strike at 50 mph, creating cavitation bubbles. The impact produces force equivalent to a .22 caliber bullet.',
+    errorPattern: null,
+    subject: 'marine-biology',
+    difficulty: 'medium',
+    citation: 'https://www.nature.com/articles/nature03111',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'marine-med-006',
+    text: 'Sea cucumbers can expel their internal organs as a defense mechanism.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'When threatened, sea cucumbers can eject their digestive organs through their anus to distract predators. They regenerate these organs later.',
+    errorPattern: null,
+    subject: 'marine-biology',
+    difficulty: 'medium',
+    citation: 'https://ocean.si.edu/ocean-life/invertebrates/sea-cucumber',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'marine-med-007',
+    text: 'All species of whales use echolocation to navigate.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Only toothed whales (dolphins, orcas, sperm whales) use echolocation. Baleen whales like blue whales and humpbacks do not.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'marine-biology',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'marine-med-008',
+    text: 'The ocean\'s twilight zone (200-1000m deep) contains more fish than all other ocean zones combined.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Recent research suggests the mesopelagic zone may contain 10 billion tons of fish—far more than previously estimated.',
+    errorPattern: null,
+    subject: 'marine-biology',
+    difficulty: 'medium',
+    citation: 'https://www.whoi.edu/know-your-ocean/ocean-topics/ocean-life/twilight-zone/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'marine-med-009',
+    text: 'Parrotfish create much of the white sand on tropical beaches.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Parrotfish eat coral and excrete it as fine white sand. A single parrotfish can produce hundreds of pounds of sand per year.',
+    errorPattern: null,
+    subject: 'marine-biology',
+    difficulty: 'medium',
+    citation: 'https://www.floridamuseum.ufl.edu/fish/discover/species-profiles/parrotfish/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'marine-med-010',
+    text: 'Hagfish can produce enough slime in minutes to fill a bucket.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Hagfish produce copious amounts of slime when stressed. Their slime glands can generate liters of mucus almost instantly.',
+    errorPattern: null,
+    subject: 'marine-biology',
+    difficulty: 'medium',
+    citation: 'https://www.scientificamerican.com/article/hagfish-slime-could-be-the-next-great-biomaterial/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'marine-hard-001',
+    text: 'According to NOAA research, we have explored more than 80% of the ocean floor.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Only about 20-25% of the ocean floor has been mapped in detail. The deep ocean remains largely unexplored.',
+    errorPattern: 'appeal-to-authority',
+    subject: 'marine-biology',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'marine-hard-002',
+    text: 'Some deep-sea fish can withstand pressure over 1,000 times atmospheric pressure.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Fish in the hadal zone (below 6,000m) experience pressures over 1,100 atmospheres. They have evolved special proteins and cell membranes.',
+    errorPattern: null,
+    subject: 'marine-biology',
+    difficulty: 'hard',
+    citation: 'https://www.nature.com/articles/s41559-019-0864-8',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'marine-hard-003',
+    text: 'Studies show that exactly 71% of marine species are threatened with extinction.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'While many marine species face threats, the specific 71% figure is fabricated. Extinction risk varies greatly by species and region.',
+    errorPattern: 'confident-specificity',
+    subject: 'marine-biology',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'marine-hard-004',
+    text: 'Hydrothermal vent ecosystems are powered by chemosynthesis rather than photosynthesis.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Bacteria at hydrothermal vents use chemical energy from minerals to produce food, supporting entire ecosystems without sunlight.',
+    errorPattern: null,
+    subject: 'marine-biology',
+    difficulty: 'hard',
+    citation: 'https://oceanexplorer.noaa.gov/facts/vents.html',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'marine-hard-005',
+    text: 'The immortal jellyfish can theoretically live forever by reverting to its juvenile form.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Turritopsis dohrnii can transform back into a polyp when stressed or old, potentially repeating its life cycle indefinitely.',
+    errorPattern: null,
+    subject: 'marine-biology',
+    difficulty: 'hard',
+    citation: 'https://www.nhm.ac.uk/discover/immortal-jellyfish.html',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'marine-hard-006',
+    text: 'Ocean acidification directly causes fish to lose their sense of smell.',
+    answer: 'MIXED',
+    source: 'expert-sourced',
+    explanation: 'Research shows acidification affects fish sensory abilities and behavior, but the exact mechanisms and extent are still being studied.',
+    errorPattern: null,
+    subject: 'marine-biology',
+    difficulty: 'hard',
+    citation: 'https://www.nature.com/articles/nclimate1324',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'marine-hard-007',
+    text: 'Cephalopods like octopuses can edit their own RNA, unlike almost all other animals.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Octopuses, squid, and cuttlefish extensively edit their RNA, allowing rapid adaptation. This is extremely rare in the animal kingdom.',
+    errorPattern: null,
+    subject: 'marine-biology',
+    difficulty: 'hard',
+    citation: 'https://www.cell.com/cell/fulltext/S0092-8674(17)30344-6',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'marine-hard-008',
+    text: 'Whale falls (dead whales on the seafloor) can support ecosystems for decades.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'A single whale carcass can sustain a complex community of organisms for 50-100 years as it slowly decomposes.',
+    errorPattern: null,
+    subject: 'marine-biology',
+    difficulty: 'hard',
+    citation: 'https://oceanexplorer.noaa.gov/facts/whale-fall.html',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'marine-hard-009',
+    text: 'Shark populations have declined by 90% since 1970 according to marine biologists.',
+    answer: 'MIXED',
+    source: 'expert-sourced',
+    explanation: 'Many shark populations have declined dramatically (70%+ for oceanic sharks), but the exact figure varies by species and region.',
+    errorPattern: 'statistical-manipulation',
+    subject: 'marine-biology',
+    difficulty: 'hard',
+    citation: 'https://www.nature.com/articles/s41586-021-03173-7',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'marine-hard-010',
+    text: 'The pistol shrimp snap is the second loudest sound in the ocean after sperm whale clicks.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Pistol shrimp snaps can reach 218 decibels, creating a cavitation bubble that stuns prey. Only sperm whale clicks are louder.',
+    errorPattern: null,
+    subject: 'marine-biology',
+    difficulty: 'hard',
+    citation: 'https://www.science.org/content/article/pistol-shrimp-s-snap-may-be-loudest-ocean-sound',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  }
+];
@@ -0,0 +1,409 @@
+/**
+ * CLAIMS - MATHEMATICS
+ * One subject chunk of the claims database, loaded on demand by claimsLoader.js
+ * See claims.js for the claim format; run `npm run claims:index` after editing
+ */
+
+export default [
+  {
+    id: 'sci-hard-001',
+    text: 'There are more possible iterations of a game of chess than there are atoms in the observable universe.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The Shannon number estimates 10^120 possible chess games. The observable universe has roughly 10^80 atoms. Chess possibilities vastly exceed atoms!',
+    errorPattern: null,
+    subject: 'mathematics',
+    difficulty: 'hard',
+    citation: 'https://doi.org/10.1016/j.artint.2006.11.003',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'math-easy-001',
+    text: 'Zero is an even number.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Zero is divisible by 2 with no remainder (0 ÷ 2 = 0), which is the definition of an even number.',
+    errorPattern: null,
+    subject: 'mathematics',
+    difficulty: 'easy',
+    citation: 'https://www.britannica.com/science/even-number',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'math-easy-002',
+    text: 'If you flip a coin and get heads 10 times in a row, the next flip is more likely to be tails.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Each coin flip is independent. The probability of heads or tails is always 50% regardless of previous results. This is called the "gambler\'s fallacy."',
+    errorPattern: 'false-causation',
+    subject: 'mathematics',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'math-easy-003',
+    text: 'The number 0.999... (repeating forever) is equal to 1.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Mathematically proven: 0.999... = 1. If x = 0.999..., then 10x = 9.999..., so 10x - x = 9, meaning 9x = 9, so x = 1.',
+    errorPattern: null,
+    subject: 'mathematics',
+    difficulty: 'easy',
+    citation: 'https://www.britannica.com/science/decimal-number-system',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'math-easy-004',
+    text: 'A triangle can have two right angles.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'The sum of angles in a triangle is always 180°. Two right angles would be 180°, leaving 0° for the third angle, which is impossible.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'mathematics',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'math-med-001',
+    text: 'The average human has fewer than two legs.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Since some people have lost legs due to accidents or medical conditions, the average is slightly less than 2 (e.g., 1.99). This shows how averages can be misleading.',
+    errorPattern: null,
+    subject: 'mathematics',
+    difficulty: 'medium',
+    citation: 'https://www.britannica.com/science/mean-statistics',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'math-med-002',
+    text: 'In a room of just 23 people, there\'s a 50% chance that two people share a birthday.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'This is the famous "birthday paradox." With 23 people, the probability of a shared birthday is about 50.7%.',
+    errorPattern: null,
+    subject: 'mathematics',
+    difficulty: 'medium',
+    citation: 'https://www.scientificamerican.com/article/bring-science-home-probability-birthday-paradox/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'math-med-003',
+    text: 'If a medical test is 99% accurate and you test positive, there\'s a 99% chance you have the disease.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'This ignores base rates. If only 1 in 10,000 people have the disease, a positive test might only mean a ~1% chance of having it due to false positives.',
+    errorPattern: 'statistical-manipulation',
+    subject: 'mathematics',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'math-viral-001',
+    text: 'A pizza with radius "z" and height "a" has volume = pi × z × z × a (pizza).',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The volume of a cylinder is π × r² × h. With radius z and height a: π × z × z × a, which spells "pizza." Math can be delicious!',
+    errorPattern: null,
+    subject: 'mathematics',
+    difficulty: 'medium',
+    citation: 'https://www.britannica.com/science/cylinder-mathematics',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'math-viral-002',
+    text: 'There are more ways to arrange a deck of 52 cards than there are atoms in the Milky Way galaxy.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: '52! (52 factorial) equals 8×10^67 arrangements. The Milky Way has about 10^68 atoms. They\'re roughly equal - more shuffles than atoms is approximately true!',
+    errorPattern: null,
+    subject: 'mathematics',
+    difficulty: 'hard',
+    citation: 'https://www.britannica.com/science/permutation',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'math-viral-003',
+    text: 'If you fold a piece of paper in half 42 times, it would reach the Moon.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Exponential growth is powerful! 2^42 × 0.1mm (paper thickness) ≈ 440,000 km. The Moon is ~384,000 km away. 42 folds would overshoot!',
+    errorPattern: null,
+    subject: 'mathematics',
+    difficulty: 'hard',
+    citation: 'https://www.britannica.com/science/exponential-function',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'mid-phys-002',
+    text: 'If you could fold a piece of paper 42 times, it would reach the Moon.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Exponential growth! Each fold doubles thickness. 42 folds = 2^42 × 0.1mm ≈ 440,000 km. Moon is ~384,000 km away. (You can\'t actually fold paper that many times!)',
+    errorPattern: null,
+    subject: 'mathematics',
+    difficulty: 'medium',
+    gradeLevel: 'middle',
+    citation: 'https://www.sciencealert.com/fold-a-piece-of-paper-42-times-reach-moon',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'mid-math-001',
+    text: 'Zero is an even number.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Zero is even! An even number is divisible by 2 with no remainder. 0 ÷ 2 = 0 with no remainder. Zero also fits the pattern: -4, -2, 0, 2, 4...',
+    errorPattern: null,
+    subject: 'mathematics',
+    difficulty: 'easy',
+    gradeLevel: 'middle',
+    citation: 'https://www.britannica.com/science/zero-mathematics',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'mid-math-002',
+    text: 'The number "googol" (1 followed by 100 zeros) is bigger than the number of atoms in the observable universe.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The observable universe has about 10^80 atoms. A googol is 10^100. That\'s 100 billion trillion times more than all atoms in the universe!',
+    errorPattern: null,
+    subject: 'mathematics',
+    difficulty: 'hard',
+    gradeLevel: 'middle',
+    citation: 'https://www.britannica.com/topic/googol',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'high-econ-001',
+    text: 'The stock market has returned exactly 10% annually on average since its inception.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Historical S&P 500 returns average about 10-11% including dividends, but "exactly 10%" is too precise. Returns vary greatly by period measured and whether you adjust for inflation.',
+    errorPattern: 'confident-specificity',
+    subject: 'mathematics',
+    difficulty: 'medium',
+    gradeLevel: 'high',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'high-math-001',
+    text: 'There are more possible chess games than atoms in the observable universe.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The Shannon number estimates 10^120 possible chess games. The universe has about 10^80 atoms. Chess possibilities exceed atoms by a factor of 10^40!',
+    errorPattern: null,
+    subject: 'mathematics',
+    difficulty: 'hard',
+    gradeLevel: 'high',
+    citation: 'https://www.chess.com/article/view/how-many-possible-chess-games-are-there',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'high-math-002',
+    text: 'Pi has been proven to contain every possible sequence of digits.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Pi is believed to be a "normal" number containing all digit sequences, but this has NOT been proven. It\'s one of mathematics\' open problems.',
+    errorPattern: 'confident-specificity',
+    subject: 'mathematics',
+    difficulty: 'hard',
+    gradeLevel: 'high',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'col-stat-001',
+    text: 'A statistically significant result means the finding is important and practically meaningful.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Statistical significance (p < 0.05) only means the result is unlikely under the null hypothesis. It says nothing about effect size or practical importance. Large samples can yield significant but trivial effects.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'mathematics',
+    difficulty: 'hard',
+    gradeLevel: 'college',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'col-stat-002',
+    text: 'Bayesian statistics are now widely accepted as superior to frequentist approaches for all applications.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Both approaches have strengths. Bayesian methods excel with prior knowledge and small samples; frequentist methods are often simpler and preferred for regulatory approval. Neither is universally superior.',
+    errorPattern: 'appeal-to-authority',
+    subject: 'mathematics',
+    difficulty: 'hard',
+    gradeLevel: 'college',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'col-econ-001',
+    text: 'The efficient market hypothesis states it\'s impossible to consistently beat the market.',
+    answer: 'MIXED',
+    source: 'ai-generated',
+    explanation: 'EMH has different forms (weak, semi-strong, strong). Only the strong form claims markets are perfectly efficient. Evidence shows markets are mostly efficient but some anomalies exist.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'mathematics',
+    difficulty: 'hard',
+    gradeLevel: 'college',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'col-phil-001',
+    text: 'Gödel\'s incompleteness theorems prove that mathematics is fundamentally flawed.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Gödel showed that sufficiently powerful formal systems can\'t prove all true statements about themselves. This is a feature of formal systems, not a "flaw" in mathematics itself.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'mathematics',
+    difficulty: 'hard',
+    gradeLevel: 'college',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'viral-002',
+    text: 'There are more ways to arrange a deck of cards than atoms on Earth.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: '52! (52 factorial) ≈ 8×10^67 arrangements. Earth has about 10^50 atoms. Card arrangements outnumber atoms by a factor of 10^17 (100,000 trillion times)!',
+    errorPattern: null,
+    subject: 'mathematics',
+    difficulty: 'hard',
+    gradeLevel: 'high',
+    citation: 'https://www.sciencefocus.com/science/how-many-ways-can-you-shuffle-a-deck-of-cards/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'math-easy-new-001',
+    text: 'A triangle always has three sides.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'By definition, a triangle is a polygon with exactly three sides and three angles. "Tri" means three.',
+    errorPattern: null,
+    subject: 'mathematics',
+    difficulty: 'easy',
+    citation: 'https://www.britannica.com/science/triangle',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'math-easy-new-002',
+    text: 'Zero is neither positive nor negative.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Zero is the boundary between positive and negative numbers. It has no sign and is considered neither positive nor negative.',
+    errorPattern: null,
+    subject: 'mathematics',
+    difficulty: 'easy',
+    citation: 'https://www.britannica.com/science/zero-mathematics',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'math-easy-new-003',
+    text: 'Multiplying any number by zero gives zero.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'This is a fundamental property of zero. Any number times zero equals zero (the multiplicative property of zero).',
+    errorPattern: null,
+    subject: 'mathematics',
+    difficulty: 'easy',
+    citation: 'https://www.britannica.com/science/multiplication',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'math-easy-new-004',
+    text: 'A square is a special type of rectangle.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'A square is a rectangle with all sides equal. All squares are rectangles, but not all rectangles are squares.',
+    errorPattern: null,
+    subject: 'mathematics',
+    difficulty: 'easy',
+    citation: 'https://www.britannica.com/science/square-geometry',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'math-easy-new-005',
+    text: 'Dividing by zero is undefined in mathematics.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Division by zero has no defined value because no number multiplied by zero gives anything other than zero.',
+    errorPattern: null,
+    subject: 'mathematics',
+    difficulty: 'easy',
+    citation: 'https://www.britannica.com/science/division-mathematics',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'math-easy-new-006',
+    text: 'The order of numbers matters when subtracting but not when adding.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Addition is commutative (3+5=5+3), but subtraction is not (5-3≠3-5). Order matters in subtraction and division.',
+    errorPattern: null,
+    subject: 'mathematics',
+    difficulty: 'easy',
+    citation: 'https://www.britannica.com/science/commutative-law',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'math-easy-new-007',
+    text: 'Negative numbers are always smaller than positive numbers.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'On the number line, all negative numbers lie to the left of zero, and all positive numbers to the right. Any negative is less than any positive.',
+    errorPattern: null,
+    subject: 'mathematics',
+    difficulty: 'easy',
+    citation: 'https://www.britannica.com/science/negative-number',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'math-easy-new-008',
+    text: 'There are exactly 100 prime numbers.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'There are infinitely many prime numbers. Euclid proved this over 2,000 years ago. The search for larger primes continues.',
+    errorPattern: 'confident-specificity',
+    subject: 'mathematics',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  }
+];
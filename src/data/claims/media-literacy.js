@@ -0,0 +1,603 @@
+/**
+ * CLAIMS - MEDIA LITERACY
+ * One subject chunk of the claims database, loaded on demand by claimsLoader.js
+ * See claims.js for the claim format; run `npm run claims:index` after editing
+ */
+
+export default [
+  {
+    id: 'media-easy-001',
+    text: 'If a news story has been shared millions of times on social media, it must be true.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Viral content is often emotionally provocative, not necessarily accurate. Misinformation spreads 6x faster than accurate information on social media.',
+    errorPattern: 'appeal-to-authority',
+    subject: 'media-literacy',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'media-easy-002',
+    text: 'A website ending in .org is always a reliable, unbiased source.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Anyone can register a .org domain. Many advocacy groups, some with strong biases, use .org. Always evaluate the source itself.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'media-literacy',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'media-easy-003',
+    text: 'Photos and videos can be manipulated to show events that never happened.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Digital editing software and AI can create realistic fake images and "deepfake" videos. Always verify visual media from multiple sources.',
+    errorPattern: null,
+    subject: 'media-literacy',
+    difficulty: 'easy',
+    citation: 'https://www.mit.edu/~tdqc/deepfakes.html',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'media-easy-004',
+    text: 'If Wikipedia says something, it must be true because experts write the articles.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Wikipedia is written by volunteers, not necessarily experts. It\'s a good starting point but should be verified with primary sources.',
+    errorPattern: 'appeal-to-authority',
+    subject: 'media-literacy',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'media-med-001',
+    text: 'Peer-reviewed scientific studies are more reliable than news articles about science.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Peer review means other experts checked the methodology and conclusions. News articles may oversimplify, sensationalize, or misinterpret studies.',
+    errorPattern: null,
+    subject: 'media-literacy',
+    difficulty: 'medium',
+    citation: 'https://www.nature.com/nature/peer-review',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'media-med-002',
+    text: 'A study funded by a company will always be biased in favor of that company.',
+    answer: 'MIXED',
+    source: 'ai-generated',
+    explanation: 'Industry funding creates potential bias but doesn\'t guarantee it. Look for disclosed conflicts of interest, independent replication, and peer review.',
+    errorPattern: 'false-causation',
+    subject: 'media-literacy',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'media-med-003',
+    text: 'Checking if other reputable news sources report the same story is a good way to verify news.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Cross-referencing multiple independent sources is a core fact-checking technique. If only one source reports something major, be skeptical.',
+    errorPattern: null,
+    subject: 'media-literacy',
+    difficulty: 'medium',
+    citation: 'https://www.factcheck.org/our-process/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'media-hard-001',
+    text: 'A scientific study with a sample size of 50 people proves that a drug works for everyone.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Small sample sizes have limited statistical power. Drug trials typically need thousands of participants across diverse populations to establish broad effectiveness.',
+    errorPattern: 'statistical-manipulation',
+    errorSpans: [{ start: 51, end: 88, pattern: 'statistical-manipulation' }],
+    subject: 'media-literacy',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'media-hard-002',
+    text: 'AI language models like ChatGPT always provide accurate, factual information.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'AI models can "hallucinate" - generating plausible-sounding but false information. They don\'t have real-time knowledge and can perpetuate training data biases.',
+    errorPattern: 'appeal-to-authority',
+    subject: 'media-literacy',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'media-viral-001',
+    text: 'An image that looks like a screenshot of a news headline is definitely real news.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Fake news screenshots are extremely easy to create. Anyone can edit images or use headline generators. Always visit the actual news source to verify.',
+    errorPattern: 'appeal-to-authority',
+    subject: 'media-literacy',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'media-viral-002',
+    text: 'If a celebrity posted something on social media, they definitely wrote and believe it.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Many celebrities have social media teams, and accounts can be hacked. Posts might be ads, written by staff, or compromised. Verify through official channels.',
+    errorPattern: 'appeal-to-authority',
+    subject: 'media-literacy',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'media-new-001',
+    text: 'Photos can never be manipulated to show things that did not happen.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Photos can be easily edited with software to add, remove, or change elements. Always verify images from trusted sources.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'media-literacy',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'media-new-002',
+    text: 'If something is on the news, it must be true.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'News organizations can make mistakes or have biases. Critical consumers verify information from multiple sources.',
+    errorPattern: 'appeal-to-authority',
+    subject: 'media-literacy',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'media-new-003',
+    text: 'Clickbait headlines are designed to get emotional reactions.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Clickbait uses sensational language to trigger curiosity or outrage, driving clicks regardless of content quality.',
+    errorPattern: null,
+    subject: 'media-literacy',
+    difficulty: 'easy',
+    citation: 'https://mediasmarts.ca/digital-media-literacy/media-issues/online-ethics/clickbait',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'media-new-004',
+    text: 'Websites ending in .org are always trustworthy.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Anyone can register a .org domain. Website credibility depends on the organization, not the domain extension.',
+    errorPattern: 'appeal-to-authority',
+    subject: 'media-literacy',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'media-new-005',
+    text: 'Social media algorithms tend to show you content similar to what you already engage with.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Algorithms create filter bubbles by prioritizing content matching your past behavior, potentially limiting diverse viewpoints.',
+    errorPattern: null,
+    subject: 'media-literacy',
+    difficulty: 'easy',
+    citation: 'https://www.pewresearch.org/internet/2017/02/08/code-dependent-pros-and-cons-of-the-algorithm-age/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'media-new-006',
+    text: 'Satire websites are required to label their content as fake.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'There is no legal requirement for satire sites to label content. Readers must check if a source is satirical.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'media-literacy',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'media-new-007',
+    text: 'Deepfake videos can make people appear to say things they never said.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'AI-generated deepfakes can create realistic fake videos of real people, making verification increasingly important.',
+    errorPattern: null,
+    subject: 'media-literacy',
+    difficulty: 'medium',
+    citation: 'https://www.brookings.edu/articles/how-to-combat-fake-news-and-disinformation/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'media-new-008',
+    text: 'Confirmation bias makes us more likely to believe information that matches our existing beliefs.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Confirmation bias leads people to favor information confirming their views while dismissing contradictory evidence.',
+    errorPattern: null,
+    subject: 'media-literacy',
+    difficulty: 'medium',
+    citation: 'https://www.britannica.com/science/confirmation-bias',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'media-new-009',
+    text: 'A story with many shares on social media is probably accurate.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Viral content spreads based on emotional appeal, not accuracy. Misinformation often spreads faster than corrections.',
+    errorPattern: 'false-causation',
+    subject: 'media-literacy',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'media-new-010',
+    text: 'Advertisements are required to be 100% truthful.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'While false advertising is illegal, ads can use puffery, selective facts, and emotional manipulation within legal limits.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'media-literacy',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'media-new-011',
+    text: 'Primary sources are generally more reliable than secondary sources.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Primary sources provide firsthand information, while secondary sources interpret or analyze primary sources.',
+    errorPattern: null,
+    subject: 'media-literacy',
+    difficulty: 'hard',
+    citation: 'https://guides.library.harvard.edu/primarysources',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'media-new-012',
+    text: 'Anonymous sources should never be trusted in journalism.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Anonymous sources can be legitimate when protecting whistleblowers. Reputable outlets verify anonymous claims before publishing.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'media-literacy',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'media-new-013',
+    text: 'Fact-checking websites use standardized rating systems.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Different fact-checkers use different rating systems (True/False, Pinocchios, pants on fire, etc.).',
+    errorPattern: 'plausible-adjacency',
+    subject: 'media-literacy',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'media-new-014',
+    text: 'Peer-reviewed research has been evaluated by other experts in the field.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Peer review means experts have assessed the research methodology and conclusions before publication.',
+    errorPattern: null,
+    subject: 'media-literacy',
+    difficulty: 'hard',
+    citation: 'https://www.nature.com/nature-portfolio/about/the-peer-review-process',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'media-new-015',
+    text: 'Media bias only exists in opinion pieces, not news reporting.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Bias can appear in news through story selection, headline framing, source choices, and word selection.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'media-literacy',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'media-new-016',
+    text: 'Correlation between two things proves one causes the other.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Correlation does not equal causation. Two things may be related without one causing the other.',
+    errorPattern: 'false-causation',
+    subject: 'media-literacy',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'media-new-017',
+    text: 'Reverse image search can help verify if a photo is being used out of context.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Reverse image search can reveal when and where an image first appeared, exposing misuse.',
+    errorPattern: null,
+    subject: 'media-literacy',
+    difficulty: 'easy',
+    citation: 'https://support.google.com/websearch/answer/1325808',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'media-new-018',
+    text: 'All Wikipedia articles are written by experts in the field.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Anyone can edit Wikipedia. While many editors are knowledgeable, articles vary in quality and should be verified.',
+    errorPattern: 'appeal-to-authority',
+    subject: 'media-literacy',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'media-new-019',
+    text: 'Native advertising is designed to look like regular content.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Native ads match the style of surrounding content, making them harder to identify as paid promotions.',
+    errorPattern: null,
+    subject: 'media-literacy',
+    difficulty: 'medium',
+    citation: 'https://www.ftc.gov/tips-advice/business-center/guidance/native-advertising-guide-businesses',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'media-chart-001',
+    text: 'According to this chart, Town B recycles about three times as much of its household waste as Town A.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'The y-axis starts at 40%, not 0%, so Town B\'s bar looks about three times taller. The numbers are 41% and 47% - Town B recycles only 6 percentage points more. Always read the axis before comparing bar heights.',
+    errorPattern: 'statistical-manipulation',
+    subject: 'media-literacy',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2026-10-19',
+    reviewedBy: ['content-team'],
+    media: {
+      type: 'chart',
+      alt: 'Bar chart titled "Household waste recycled". The y-axis starts at 40% and ends at 48%. Town A: 41%. Town B: 47%. Town B\'s bar is drawn about three times taller than Town A\'s.',
+      chart: {
+        kind: 'bar',
+        title: 'Household waste recycled',
+        xLabel: 'Town',
+        yLabel: 'Waste recycled',
+        unit: '%',
+        yMin: 40,
+        yMax: 48,
+        points: [
+          { label: 'Town A', value: 41 },
+          { label: 'Town B', value: 47 }
+        ]
+      }
+    }
+  },
+  {
+    id: 'media-chart-002',
+    text: 'This chart proves that the lake\'s water level has been rising for decades.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'The chart only covers 2019 to 2023. Five years cannot show a trend over decades - a longer record could show the level falling overall. Check which years a chart leaves out.',
+    errorPattern: 'statistical-manipulation',
+    subject: 'media-literacy',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2026-10-19',
+    reviewedBy: ['content-team'],
+    media: {
+      type: 'chart',
+      alt: 'Line chart titled "Lake water level". It shows only the years 2019 to 2023. The level rises each year, from 310.2 meters in 2019 to 311.6 meters in 2023. The y-axis runs from 310 to 312 meters.',
+      chart: {
+        kind: 'line',
+        title: 'Lake water level',
+        xLabel: 'Year',
+        yLabel: 'Level (m)',
+        unit: ' m',
+        yMin: 310,
+        yMax: 312,
+        points: [
+          { label: '2019', value: 310.2 },
+          { label: '2020', value: 310.5 },
+          { label: '2021', value: 310.9 },
+          { label: '2022', value: 311.3 },
+          { label: '2023', value: 311.6 }
+        ]
+      }
+    }
+  },
+  {
+    id: 'media-chart-003',
+    text: 'According to this chart, more than twice as many surveyed students walk to school as bike to school.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The y-axis starts at zero, so the bar heights can be compared directly: 34 students walk and 16 bike, and 34 is more than twice 16. Not every chart is misleading - check the axis, then trust what it shows.',
+    errorPattern: null,
+    subject: 'media-literacy',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2026-10-19',
+    reviewedBy: ['content-team'],
+    media: {
+      type: 'chart',
+      alt: 'Bar chart titled "How surveyed students get to school". The y-axis starts at 0 and ends at 40 students. Walk: 34. Bus: 28. Car: 22. Bike: 16.',
+      chart: {
+        kind: 'bar',
+        title: 'How surveyed students get to school',
+        xLabel: 'Way to school',
+        yLabel: 'Students',
+        yMax: 40,
+        points: [
+          { label: 'Walk', value: 34 },
+          { label: 'Bus', value: 28 },
+          { label: 'Car', value: 22 },
+          { label: 'Bike', value: 16 }
+        ]
+      }
+    }
+  },
+  {
+    id: 'media-lateral-001',
+    text: 'A study from the Institute for Healthy Sweetness shows that kids who drink soda at lunch focus better in afternoon classes.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'The institute is funded by soft-drink makers - its own About page says so, and a search turns up reporting on its industry ties and a fact check of the study. Independent research has not found that sugar improves children\'s focus. When a source has a stake in the answer, leave its site and see what others say about it. (The institute and its study are made up for this exercise.)',
+    errorPattern: 'appeal-to-authority',
+    subject: 'media-literacy',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2026-10-19',
+    reviewedBy: ['content-team'],
+    sources: [
+      {
+        id: 'about',
+        kind: 'about-page',
+        title: 'About the Institute for Healthy Sweetness',
+        publisher: 'healthysweetness.org',
+        body: 'The Institute for Healthy Sweetness is a science-based organization dedicated to sharing the facts about sweeteners and family nutrition. Our research is made possible by generous partners across the beverage industry, who share our commitment to balanced diets and active lifestyles.',
+        reliability: 'low',
+        reliabilityNote: 'The organization describing itself. It sounds scientific, but its funding comes from companies that profit if soda looks healthy - and it is the source of the claim you are checking.'
+      },
+      {
+        id: 'search',
+        kind: 'search-results',
+        title: 'Search: "Institute for Healthy Sweetness"',
+        publisher: 'Web search',
+        results: [
+          {
+            title: 'Soda-funded "institute" sends sugar research to schools',
+            url: 'news.example.com/2026/soda-institute',
+            snippet: 'The group was set up by a beverage trade association. Nutrition researchers call its studies marketing.'
+          },
+          {
+            title: 'Institute for Healthy Sweetness - Home',
+            url: 'healthysweetness.org',
+            snippet: 'Get the facts about sweeteners and your family.'
+          },
+          {
+            title: 'Fact check: No, soda does not help kids concentrate',
+            url: 'factcheck.example.org/soda-focus',
+            snippet: 'The study had 24 participants, no comparison group, and was never published in a journal.'
+          }
+        ],
+        reliability: 'high',
+        reliabilityNote: 'Reading across other sites - lateral reading - shows who runs the institute and what independent reporters and fact checkers found. This is where the answer was.'
+      },
+      {
+        id: 'encyclopedia',
+        kind: 'encyclopedia',
+        title: 'Sugar and children\'s behavior',
+        publisher: 'Online encyclopedia',
+        body: 'Controlled studies have generally found that sugar does not improve children\'s attention or learning. Reviews of nutrition research have found that studies funded by food and beverage companies are more likely to report results that favor their funders.',
+        reliability: 'high',
+        reliabilityNote: 'An encyclopedia summarizes many studies and cites its sources - a good place for the big picture, and its citations let you dig deeper.'
+      }
+    ]
+  },
+  {
+    id: 'media-lateral-002',
+    text: 'The World Health Organization recommends that children and teens aged 5-17 get an average of at least 60 minutes of moderate-to-vigorous physical activity a day.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The WHO\'s 2020 guidelines say exactly this, and a search leads straight to the WHO\'s own fact sheet. The viral post claiming the rules changed had no link and no evidence. Checking the original source settles it.',
+    errorPattern: null,
+    subject: 'media-literacy',
+    difficulty: 'easy',
+    citation: 'https://www.who.int/news-room/fact-sheets/detail/physical-activity',
+    lastVerified: '2026-10-19',
+    reviewedBy: ['content-team'],
+    sources: [
+      {
+        id: 'post',
+        kind: 'social-post',
+        title: 'Post from @FitFamFacts',
+        publisher: 'Social media',
+        body: 'Doctors now say kids only need 20 minutes of exercise a WEEK!! The WHO quietly changed the rules 🤯 #share',
+        reliability: 'low',
+        reliabilityNote: 'No link, no named doctors and an urgent tone - and every other source disagrees. Posts like this spread because they are surprising, not because they are checked.'
+      },
+      {
+        id: 'search',
+        kind: 'search-results',
+        title: 'Search: WHO physical activity children',
+        publisher: 'Web search',
+        results: [
+          {
+            title: 'Physical activity - World Health Organization (WHO)',
+            url: 'who.int/news-room/fact-sheets/detail/physical-activity',
+            snippet: 'Children and adolescents aged 5-17 years should do at least an average of 60 minutes per day of moderate-to-vigorous intensity, mostly aerobic, physical activity.'
+          },
+          {
+            title: 'WHO guidelines on physical activity and sedentary behaviour (2020)',
+            url: 'who.int/publications',
+            snippet: 'Recommendations for children, adolescents, adults and older adults.'
+          }
+        ],
+        reliability: 'high',
+        reliabilityNote: 'The search leads to the WHO\'s own fact sheet - the original source for what the WHO recommends.'
+      },
+      {
+        id: 'news',
+        kind: 'news',
+        title: 'How much exercise do kids really need?',
+        publisher: 'Health news site',
+        body: 'The World Health Organization\'s 2020 guidelines say school-age children should average an hour a day of moderate-to-vigorous activity, such as brisk walking, biking or sports, and should build muscle and bone strength at least three days a week.',
+        reliability: 'high',
+        reliabilityNote: 'A news report that names the guidelines it is describing, and its summary matches the WHO\'s own wording.'
+      }
+    ]
+  }
+];
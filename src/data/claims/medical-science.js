@@ -0,0 +1,400 @@
+/**
+ * CLAIMS - MEDICAL SCIENCE
+ * One subject chunk of the claims database, loaded on demand by claimsLoader.js
+ * See claims.js for the claim format; run `npm run claims:index` after editing
+ */
+
+export default [
+  {
+    id: 'col-med-001',
+    text: 'The placebo effect has been shown to cause measurable biological changes, not just subjective improvements.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Placebo responses involve real neurobiological changes: endorphin release, dopamine activity, and changes in brain regions associated with pain and mood. These are objective, measurable effects.',
+    errorPattern: null,
+    subject: 'medical-science',
+    difficulty: 'hard',
+    gradeLevel: 'college',
+    citation: 'https://www.ncbi.nlm.nih.gov/pmc/articles/PMC5841469/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'col-med-002',
+    text: 'Vaccines cause autism according to the original 1998 Lancet study by Andrew Wakefield.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Wakefield\'s study was fraudulent and retracted. He lost his medical license. Dozens of large studies involving millions of children have found no link between vaccines and autism.',
+    errorPattern: 'appeal-to-authority',
+    subject: 'medical-science',
+    difficulty: 'medium',
+    gradeLevel: 'college',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'medsci-new-001',
+    text: 'Antibiotics are effective against viral infections like the common cold.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Antibiotics only kill bacteria, not viruses. Colds are caused by viruses and cannot be treated with antibiotics.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'medical-science',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'medsci-new-002',
+    text: 'The human body replaces most of its cells over time.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Most cells are replaced regularly - red blood cells every 120 days, skin cells every 2-3 weeks, stomach lining every few days.',
+    errorPattern: null,
+    subject: 'medical-science',
+    difficulty: 'easy',
+    citation: 'https://www.ncbi.nlm.nih.gov/books/NBK26869/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'medsci-new-003',
+    text: 'A fever is always dangerous and should be immediately reduced.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Moderate fevers help the immune system fight infection. Only very high fevers (over 104°F/40°C) typically need intervention.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'medical-science',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'medsci-new-004',
+    text: 'Blood types are inherited from parents.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Blood type is determined by genes inherited from both parents following Mendelian genetics.',
+    errorPattern: null,
+    subject: 'medical-science',
+    difficulty: 'easy',
+    citation: 'https://www.redcrossblood.org/learn-about-blood/blood-types.html',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'medsci-new-005',
+    text: 'You need to wait 24 hours before reporting a missing person.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'This is a myth. Police accept missing person reports immediately, especially for vulnerable individuals.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'medical-science',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'medsci-new-006',
+    text: 'The appendix has no known function in the human body.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Research shows the appendix serves as a reservoir for beneficial gut bacteria and supports the immune system.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'medical-science',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'medsci-new-007',
+    text: 'Vaccines work by training the immune system to recognize pathogens.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Vaccines contain weakened or inactive pathogen parts that teach immune cells to recognize and fight actual infections.',
+    errorPattern: null,
+    subject: 'medical-science',
+    difficulty: 'easy',
+    citation: 'https://www.who.int/news-room/feature-stories/detail/how-do-vaccines-work',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'medsci-new-008',
+    text: 'Reading in dim light permanently damages your eyesight.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Reading in dim light can cause eye strain and fatigue but does not cause permanent damage to vision.',
+    errorPattern: 'false-causation',
+    subject: 'medical-science',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'medsci-new-009',
+    text: 'The human heart creates enough pressure to squirt blood 30 feet.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The heart generates significant pressure - systolic pressure can push blood up to 30 feet if an artery is severed.',
+    errorPattern: null,
+    subject: 'medical-science',
+    difficulty: 'easy',
+    citation: 'https://www.heart.org/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'medsci-new-010',
+    text: 'Humans can survive without a spleen.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'While the spleen helps filter blood and fight infection, other organs compensate if it is removed.',
+    errorPattern: null,
+    subject: 'medical-science',
+    difficulty: 'medium',
+    citation: 'https://www.mayoclinic.org/diseases-conditions/enlarged-spleen/diagnosis-treatment/drc-20354331',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'medsci-new-011',
+    text: 'Chemotherapy always causes complete hair loss.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Hair loss depends on the type and dose of chemotherapy drugs. Some regimens cause no hair loss at all.',
+    errorPattern: 'confident-specificity',
+    subject: 'medical-science',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'medsci-new-012',
+    text: 'The gut contains more neurons than the spinal cord.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The enteric nervous system in the gut has about 500 million neurons, earning it the name "second brain."',
+    errorPattern: null,
+    subject: 'medical-science',
+    difficulty: 'medium',
+    citation: 'https://www.scientificamerican.com/article/gut-second-brain/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'medsci-new-013',
+    text: 'Sugar causes hyperactivity in children.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Multiple controlled studies have found no link between sugar consumption and hyperactivity in children.',
+    errorPattern: 'false-causation',
+    subject: 'medical-science',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'medsci-new-014',
+    text: 'Bone is stronger than steel by weight.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Ounce for ounce, bone is stronger than steel. A cubic inch of bone can bear 19,000 pounds.',
+    errorPattern: null,
+    subject: 'medical-science',
+    difficulty: 'medium',
+    citation: 'https://www.bones.nih.gov/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'medsci-new-015',
+    text: 'Cracking your knuckles causes arthritis.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Studies have found no connection between knuckle cracking and arthritis. The sound comes from gas bubbles.',
+    errorPattern: 'false-causation',
+    subject: 'medical-science',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'medsci-new-016',
+    text: 'MRI machines use magnetic fields, not radiation, to create images.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'MRI uses powerful magnetic fields and radio waves. Unlike X-rays or CT scans, it uses no ionizing radiation.',
+    errorPattern: null,
+    subject: 'medical-science',
+    difficulty: 'medium',
+    citation: 'https://www.nibib.nih.gov/science-education/science-topics/magnetic-resonance-imaging-mri',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'medsci-new-017',
+    text: 'You lose 40% of your body heat through your head.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'You lose heat proportional to exposed surface area. The head loses about 10% when the rest of the body is covered.',
+    errorPattern: 'confident-specificity',
+    subject: 'medical-science',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'medsci-new-018',
+    text: 'The human body contains about 2.5 million sweat glands.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Humans have 2-4 million sweat glands distributed across the body, concentrated on palms and soles.',
+    errorPattern: null,
+    subject: 'medical-science',
+    difficulty: 'medium',
+    citation: 'https://www.aad.org/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'medsci-new-019',
+    text: 'All genetic diseases are inherited from parents.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Some genetic diseases result from new mutations that occur spontaneously and are not inherited.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'medical-science',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'medsci-new-020',
+    text: 'CRISPR technology allows scientists to edit specific genes.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'CRISPR-Cas9 enables precise cutting and modification of DNA sequences at specific locations in the genome.',
+    errorPattern: null,
+    subject: 'medical-science',
+    difficulty: 'hard',
+    citation: 'https://www.nature.com/articles/d41586-020-03018-x',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'medsci-new-021',
+    text: 'Stem cells can differentiate into any type of cell in the body.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Pluripotent stem cells can develop into almost any cell type, making them valuable for regenerative medicine.',
+    errorPattern: null,
+    subject: 'medical-science',
+    difficulty: 'hard',
+    citation: 'https://stemcells.nih.gov/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'medsci-new-022',
+    text: 'Prions are infectious agents made entirely of protein.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Prions are misfolded proteins that can cause other proteins to misfold, causing diseases like mad cow disease.',
+    errorPattern: null,
+    subject: 'medical-science',
+    difficulty: 'hard',
+    citation: 'https://www.cdc.gov/prions/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'medsci-new-023',
+    text: 'A double-blind study means neither patients nor doctors know who receives treatment.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Double-blind methodology prevents bias by keeping both participants and researchers unaware of group assignments.',
+    errorPattern: null,
+    subject: 'medical-science',
+    difficulty: 'hard',
+    citation: 'https://www.nih.gov/health-information/nih-clinical-research-trials-you/basics',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'medsci-new-024',
+    text: 'The human microbiome contains approximately 100 trillion cells.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Recent estimates suggest the microbiome contains roughly as many cells as human cells (about 38 trillion), not 100 trillion.',
+    errorPattern: 'confident-specificity',
+    subject: 'medical-science',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'medsci-new-025',
+    text: 'CAR-T cell therapy reprograms a patient\'s own immune cells to fight cancer.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'CAR-T therapy extracts T cells, engineers them to recognize cancer cells, and returns them to the patient.',
+    errorPattern: null,
+    subject: 'medical-science',
+    difficulty: 'hard',
+    citation: 'https://www.cancer.gov/about-cancer/treatment/research/car-t-cells',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'medsci-new-026',
+    text: 'Epigenetic changes cannot be passed to offspring.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Some epigenetic modifications can be inherited across generations, affecting gene expression without changing DNA.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'medical-science',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'medsci-new-027',
+    text: 'The blood-brain barrier protects the brain from most pathogens and toxins.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Specialized cells form a selective barrier preventing most harmful substances from entering brain tissue.',
+    errorPattern: null,
+    subject: 'medical-science',
+    difficulty: 'hard',
+    citation: 'https://www.ninds.nih.gov/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'medsci-new-028',
+    text: 'Antibiotics become less effective over time because bacteria evolve resistance.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Bacteria evolve through natural selection. Those surviving antibiotics reproduce, spreading resistance genes.',
+    errorPattern: null,
+    subject: 'medical-science',
+    difficulty: 'hard',
+    citation: 'https://www.cdc.gov/drugresistance/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  }
+];
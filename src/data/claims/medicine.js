@@ -0,0 +1,402 @@
+/**
+ * CLAIMS - MEDICINE
+ * One subject chunk of the claims database, loaded on demand by claimsLoader.js
+ * See claims.js for the claim format; run `npm run claims:index` after editing
+ */
+
+export default [
+  {
+    id: 'sci-med-006',
+    text: 'Vaccines cause autism, according to a landmark 1998 study published in The Lancet.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'The 1998 Wakefield study was retracted due to ethical violations and data manipulation. Dozens of studies with millions of children have found no link between vaccines and autism.',
+    errorPattern: 'appeal-to-authority',
+    subject: 'medicine',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'med-viral-001',
+    text: 'Cracking your knuckles causes arthritis.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Multiple studies have found no link between knuckle cracking and arthritis. The sound comes from gas bubbles popping in joint fluid.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'medicine',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'med-viral-002',
+    text: 'Carrots improve your night vision.',
+    answer: 'MIXED',
+    source: 'ai-generated',
+    explanation: 'Carrots contain vitamin A, which is necessary for eye health. But eating extra carrots won\'t give you superhuman night vision - this myth was WWII propaganda to hide radar technology.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'medicine',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'med-viral-003',
+    text: 'Your heart stops when you sneeze.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Your heart does NOT stop during a sneeze. The pressure change may briefly affect heart rhythm, but it keeps beating continuously.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'medicine',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'med-viral-004',
+    text: 'You should wait 30 minutes after eating before swimming or you\'ll get cramps and drown.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'There\'s no scientific evidence for this rule. While digestion diverts some blood flow, it won\'t cause dangerous cramps. The rule likely comes from overly cautious parenting.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'medicine',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'mixed-med-001',
+    text: 'The tongue has different regions for tasting sweet, sour, salty, and bitter, which was mapped by scientist D.P. Hanig in 1901.',
+    answer: 'MIXED',
+    source: 'ai-generated',
+    explanation: 'Hanig did publish research in 1901 about taste sensitivity (true), but the "tongue map" showing distinct regions is a misinterpretation. All taste buds can detect all basic tastes, though with slightly varying sensitivity.',
+    errorPattern: 'appeal-to-authority',
+    subject: 'medicine',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'mixed-sci-005',
+    text: 'Sugar causes hyperactivity in children, which is why parents limit candy before bedtime.',
+    answer: 'MIXED',
+    source: 'ai-generated',
+    explanation: 'Parents DO often limit candy before bedtime (true observation). However, numerous scientific studies have found NO link between sugar and hyperactivity in children - it\'s a widely believed myth that isn\'t supported by evidence.',
+    errorPattern: 'false-causation',
+    subject: 'medicine',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'food-002',
+    text: 'Eating chocolate causes acne.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Multiple studies have found no direct link between chocolate and acne. Acne is caused by hormones, bacteria, and genetics.',
+    errorPattern: 'false-causation',
+    subject: 'medicine',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'med-new-001',
+    text: 'Antibiotics can cure viral infections like the common cold.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Antibiotics only work against bacteria, not viruses. Misuse contributes to antibiotic resistance.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'medicine',
+    pairId: 'antibiotics',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'med-new-002',
+    text: 'Vaccines work by training the immune system to recognize pathogens.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Vaccines expose the immune system to weakened or inactive pathogens, teaching it to fight future infections.',
+    errorPattern: null,
+    subject: 'medicine',
+    pairId: 'vaccines',
+    difficulty: 'easy',
+    citation: 'https://www.cdc.gov/vaccines/hcp/conversations/understanding-vacc-work.html',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'med-new-003',
+    text: 'You should always finish your full course of antibiotics.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Stopping early can leave surviving bacteria that may become resistant. Complete the prescription as directed.',
+    errorPattern: null,
+    subject: 'medicine',
+    pairId: 'antibiotics',
+    difficulty: 'easy',
+    citation: 'https://www.who.int/news-room/fact-sheets/detail/antibiotic-resistance',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'med-new-004',
+    text: 'Blood is blue inside your body until it hits oxygen.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Blood is always red. Deoxygenated blood is darker red, not blue. Veins look blue due to how light penetrates skin.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'medicine',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'med-new-005',
+    text: 'The human body has more bacterial cells than human cells.',
+    answer: 'MIXED',
+    source: 'expert-sourced',
+    explanation: 'Recent estimates suggest roughly equal numbers, though this varies. Earlier claims of 10:1 ratio were overestimated.',
+    errorPattern: null,
+    subject: 'medicine',
+    difficulty: 'easy',
+    citation: 'https://www.nature.com/articles/nature.2016.19136',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'med-new-006',
+    text: 'Fever is the body\'s way of fighting infection.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Elevated temperature helps immune cells work better and makes it harder for some pathogens to survive.',
+    errorPattern: null,
+    subject: 'medicine',
+    difficulty: 'easy',
+    citation: 'https://www.ncbi.nlm.nih.gov/books/NBK279456/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'med-new-007',
+    text: 'Generic medications are less effective than brand-name versions.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Generic drugs have the same active ingredients and must meet the same FDA standards as brand-name drugs.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'medicine',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'med-new-008',
+    text: 'The placebo effect can produce real physical changes in the body.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Placebos can trigger real physiological responses, including pain relief and immune changes, through psychological mechanisms.',
+    errorPattern: null,
+    subject: 'medicine',
+    difficulty: 'medium',
+    citation: 'https://www.health.harvard.edu/mental-health/the-power-of-the-placebo-effect',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'med-new-009',
+    text: 'Cancer is always caused by genetic mutations.',
+    answer: 'MIXED',
+    source: 'expert-sourced',
+    explanation: 'Cancer involves genetic changes, but these can be inherited, caused by environment, or occur randomly during cell division.',
+    errorPattern: null,
+    subject: 'medicine',
+    difficulty: 'medium',
+    citation: 'https://www.cancer.gov/about-cancer/causes-prevention/genetics',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'med-new-010',
+    text: 'Humans only use 10% of their brains.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Brain scans show we use all parts of our brain, though not all at once. This is a persistent myth.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'medicine',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'med-new-011',
+    text: 'Double-blind studies are considered the gold standard for clinical trials.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'In double-blind trials, neither participants nor researchers know who gets the treatment, reducing bias.',
+    errorPattern: null,
+    subject: 'medicine',
+    difficulty: 'medium',
+    citation: 'https://www.nih.gov/health-information/nih-clinical-research-trials-you/basics',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'med-new-012',
+    text: 'Allergies occur when the immune system overreacts to harmless substances.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Allergies are immune system responses to substances like pollen or peanuts that are not actually harmful.',
+    errorPattern: null,
+    subject: 'medicine',
+    difficulty: 'medium',
+    citation: 'https://www.niaid.nih.gov/diseases-conditions/allergies',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'med-new-013',
+    text: 'Stem cells can only become one type of cell.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Stem cells can differentiate into many cell types. This versatility makes them valuable for medical research.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'medicine',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'med-new-014',
+    text: 'mRNA vaccines change your DNA.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'mRNA never enters the cell nucleus where DNA is stored. It provides instructions briefly then breaks down.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'medicine',
+    pairId: 'vaccines',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'med-new-015',
+    text: 'The liver can regenerate itself.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The liver is the only internal organ that can regenerate. It can regrow to full size from just 25% of tissue.',
+    errorPattern: null,
+    subject: 'medicine',
+    difficulty: 'hard',
+    citation: 'https://www.liverfoundation.org/about-your-liver/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'med-new-016',
+    text: 'All bacteria in the human body are harmful.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Many bacteria are beneficial, aiding digestion and immune function. The microbiome is essential for health.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'medicine',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'med-new-017',
+    text: 'Autoimmune diseases occur when the body attacks its own tissues.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'In autoimmune conditions, the immune system mistakenly targets healthy cells and tissues.',
+    errorPattern: null,
+    subject: 'medicine',
+    difficulty: 'medium',
+    citation: 'https://www.niaid.nih.gov/diseases-conditions/autoimmune-diseases',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'med-new-018',
+    text: 'Cracking your knuckles causes arthritis.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Studies have found no link between knuckle cracking and arthritis. The sound comes from gas bubbles in joint fluid.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'medicine',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'med-new-019',
+    text: 'CRISPR technology can edit specific genes.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'CRISPR-Cas9 allows precise editing of DNA sequences, revolutionizing genetic research and potential treatments.',
+    errorPattern: null,
+    subject: 'medicine',
+    difficulty: 'hard',
+    citation: 'https://www.broadinstitute.org/what-broad/areas-focus/project-spotlight/crispr',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'med-new-020',
+    text: 'Viruses are considered living organisms.',
+    answer: 'MIXED',
+    source: 'expert-sourced',
+    explanation: 'Scientists debate this. Viruses have genetic material but cannot reproduce without a host cell.',
+    errorPattern: null,
+    subject: 'medicine',
+    difficulty: 'hard',
+    citation: 'https://www.nature.com/scitable/topicpage/the-origins-of-viruses-14398218/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'med-new-021',
+    text: 'Organ transplants require lifelong immunosuppressive medication.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Without immunosuppressants, the body would reject foreign organs. Recipients must take these medications for life.',
+    errorPattern: null,
+    subject: 'medicine',
+    difficulty: 'hard',
+    citation: 'https://www.mayoclinic.org/tests-procedures/organ-transplant/about/pac-20384787',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'med-new-022',
+    text: 'Reading in dim light permanently damages your eyes.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Dim light may cause temporary eye strain but does not cause permanent damage to vision.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'medicine',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  }
+];
@@ -0,0 +1,403 @@
+/**
+ * CLAIMS - NEUROSCIENCE
+ * One subject chunk of the claims database, loaded on demand by claimsLoader.js
+ * See claims.js for the claim format; run `npm run claims:index` after editing
+ */
+
+export default [
+  {
+    id: 'body-001',
+    text: 'Your nose can remember 50,000 different scents.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Research suggests humans can distinguish over 1 trillion scent combinations, with about 50,000 being a common recognition estimate.',
+    errorPattern: null,
+    subject: 'neuroscience',
+    difficulty: 'medium',
+    citation: 'https://www.science.org/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'body-007',
+    text: 'The human brain is about 75% water.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The brain is approximately 73-75% water. Even mild dehydration can affect cognitive function.',
+    errorPattern: null,
+    subject: 'neuroscience',
+    difficulty: 'easy',
+    citation: 'https://www.ncbi.nlm.nih.gov/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'high-psych-001',
+    text: 'People only use 10% of their brain, leaving 90% untapped potential.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Brain scans show we use virtually all areas of our brain. Different regions activate for different tasks. The "10%" myth has been thoroughly debunked.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'neuroscience',
+    difficulty: 'easy',
+    gradeLevel: 'high',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'high-psych-002',
+    text: 'The Dunning-Kruger effect shows that incompetent people think they\'re experts while experts doubt themselves.',
+    answer: 'MIXED',
+    source: 'ai-generated',
+    explanation: 'The original study showed low performers overestimate while high performers underestimate their ranking, but both groups\' estimates correlate with actual ability. The popular interpretation is oversimplified.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'neuroscience',
+    difficulty: 'hard',
+    gradeLevel: 'high',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'col-neuro-001',
+    text: 'Neuroplasticity allows adult brains to form new neurons throughout life in multiple brain regions.',
+    answer: 'MIXED',
+    source: 'ai-generated',
+    explanation: 'Adult neurogenesis is well-established in the hippocampus, but claims about "multiple brain regions" remain controversial. The extent of adult neurogenesis is still being researched.',
+    errorPattern: 'confident-specificity',
+    subject: 'neuroscience',
+    difficulty: 'hard',
+    gradeLevel: 'college',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'col-neuro-002',
+    text: 'The "left brain/right brain" theory accurately describes how creativity and logic are processed.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'While hemispheric specialization exists for some functions (e.g., language in left hemisphere), the creative/logical divide is vastly oversimplified. Most tasks use both hemispheres.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'neuroscience',
+    difficulty: 'medium',
+    gradeLevel: 'college',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'col-ling-001',
+    text: 'The Sapir-Whorf hypothesis has been proven: language completely determines thought.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'The strong version (linguistic determinism) is largely rejected. The weak version (linguistic relativity) - that language influences thought - has more support, but "completely determines" is too strong.',
+    errorPattern: 'confident-specificity',
+    subject: 'neuroscience',
+    difficulty: 'hard',
+    gradeLevel: 'college',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'neuro-new-001',
+    text: 'The brain feels no pain.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The brain has no pain receptors. Headaches come from surrounding tissues, blood vessels, and muscles.',
+    errorPattern: null,
+    subject: 'neuroscience',
+    difficulty: 'easy',
+    citation: 'https://www.britannica.com/science/pain',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'neuro-new-002',
+    text: 'Neurons are the only cells in the brain.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Glial cells outnumber neurons and provide crucial support functions like insulation and nutrient delivery.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'neuroscience',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'neuro-new-003',
+    text: 'The brain uses about 20% of the body\'s energy.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Despite being only 2% of body weight, the brain consumes roughly 20% of oxygen and calories.',
+    errorPattern: null,
+    subject: 'neuroscience',
+    difficulty: 'easy',
+    citation: 'https://www.pnas.org/doi/10.1073/pnas.122249499',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'neuro-new-004',
+    text: 'Left-brained people are logical and right-brained people are creative.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'This is a myth. Both hemispheres work together for all cognitive tasks. People don\'t favor one side.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'neuroscience',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'neuro-new-005',
+    text: 'Sleep is essential for memory consolidation.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'During sleep, the brain processes and consolidates memories from short-term to long-term storage.',
+    errorPattern: null,
+    subject: 'neuroscience',
+    difficulty: 'easy',
+    citation: 'https://www.ninds.nih.gov/health-information/public-education/brain-basics/brain-basics-understanding-sleep',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'neuro-new-006',
+    text: 'Adult brains cannot grow new neurons.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Neurogenesis continues in certain brain regions like the hippocampus throughout adulthood.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'neuroscience',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'neuro-new-007',
+    text: 'Dopamine is only responsible for pleasure.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Dopamine is involved in motivation, movement, learning, and anticipation of rewards, not just pleasure.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'neuroscience',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'neuro-new-008',
+    text: 'Mirror neurons fire both when performing an action and when watching others perform it.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Mirror neurons respond to observed actions, thought to play a role in learning, empathy, and understanding others.',
+    errorPattern: null,
+    subject: 'neuroscience',
+    difficulty: 'medium',
+    citation: 'https://www.nature.com/articles/nrn1176',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'neuro-new-009',
+    text: 'The amygdala is primarily involved in processing emotions.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The amygdala plays a key role in emotional processing, especially fear and emotional memories.',
+    errorPattern: null,
+    subject: 'neuroscience',
+    difficulty: 'medium',
+    citation: 'https://www.britannica.com/science/amygdala',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'neuro-new-010',
+    text: 'Brain damage is always permanent.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'The brain has neuroplasticity - the ability to reorganize and form new connections, allowing some recovery.',
+    errorPattern: 'confident-specificity',
+    subject: 'neuroscience',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'neuro-new-011',
+    text: 'Synapses transmit signals between neurons.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Synapses are the gaps between neurons where chemical or electrical signals pass from one neuron to another.',
+    errorPattern: null,
+    subject: 'neuroscience',
+    difficulty: 'easy',
+    citation: 'https://www.britannica.com/science/synapse',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'neuro-new-012',
+    text: 'The hippocampus is essential for forming new memories.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The hippocampus converts short-term memories to long-term. Damage to it impairs new memory formation.',
+    errorPattern: null,
+    subject: 'neuroscience',
+    difficulty: 'medium',
+    citation: 'https://www.britannica.com/science/hippocampus',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'neuro-new-013',
+    text: 'The corpus callosum connects the left and right brain hemispheres.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The corpus callosum is a band of nerve fibers enabling communication between the two hemispheres.',
+    errorPattern: null,
+    subject: 'neuroscience',
+    difficulty: 'hard',
+    citation: 'https://www.britannica.com/science/corpus-callosum',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'neuro-new-014',
+    text: 'Neurotransmitters can only have excitatory effects.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Neurotransmitters can be excitatory (promoting signals) or inhibitory (reducing signals). GABA is inhibitory.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'neuroscience',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'neuro-new-015',
+    text: 'The prefrontal cortex is fully developed by age 12.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'The prefrontal cortex, responsible for decision-making and impulse control, develops until about age 25.',
+    errorPattern: 'confident-specificity',
+    subject: 'neuroscience',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'neuro-new-016',
+    text: 'Myelin helps nerve signals travel faster.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Myelin is a fatty sheath that insulates axons, dramatically increasing the speed of electrical signals.',
+    errorPattern: null,
+    subject: 'neuroscience',
+    difficulty: 'hard',
+    citation: 'https://www.britannica.com/science/myelin',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'neuro-new-017',
+    text: 'Brain waves can be measured with EEG.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Electroencephalography (EEG) records electrical activity in the brain using scalp electrodes.',
+    errorPattern: null,
+    subject: 'neuroscience',
+    difficulty: 'medium',
+    citation: 'https://www.mayoclinic.org/tests-procedures/eeg/about/pac-20393875',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'neuro-new-018',
+    text: 'Multitasking is an efficient way to use your brain.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'The brain rapidly switches between tasks rather than doing them simultaneously, reducing efficiency and increasing errors.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'neuroscience',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'neuro-new-019',
+    text: 'Long-term potentiation strengthens connections between neurons.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'LTP is a process where repeated stimulation strengthens synaptic connections, underlying learning and memory.',
+    errorPattern: null,
+    subject: 'neuroscience',
+    difficulty: 'hard',
+    citation: 'https://www.britannica.com/science/long-term-potentiation',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'neuro-new-020',
+    text: 'The brain\'s reward system involves the nucleus accumbens.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The nucleus accumbens is a key structure in the brain\'s reward circuitry, responding to pleasurable stimuli.',
+    errorPattern: null,
+    subject: 'neuroscience',
+    difficulty: 'hard',
+    citation: 'https://www.britannica.com/science/nucleus-accumbens',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'neuro-new-021',
+    text: 'Alcohol kills brain cells permanently.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'While heavy drinking damages neurons and their connections, moderate use doesn\'t cause permanent cell death.',
+    errorPattern: 'confident-specificity',
+    subject: 'neuroscience',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'neuro-new-022',
+    text: 'The cerebellum coordinates movement and balance.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The cerebellum fine-tunes motor control, balance, and coordination of voluntary movements.',
+    errorPattern: null,
+    subject: 'neuroscience',
+    difficulty: 'easy',
+    citation: 'https://www.britannica.com/science/cerebellum',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'neuro-new-023',
+    text: 'Phantom limb sensations prove the brain creates body awareness.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'People can feel sensations in amputated limbs because the brain maintains a neural map of the body.',
+    errorPattern: null,
+    subject: 'neuroscience',
+    difficulty: 'hard',
+    citation: 'https://www.britannica.com/science/phantom-limb-syndrome',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  }
+];
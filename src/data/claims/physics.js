@@ -0,0 +1,447 @@
+/**
+ * CLAIMS - PHYSICS
+ * One subject chunk of the claims database, loaded on demand by claimsLoader.js
+ * See claims.js for the claim format; run `npm run claims:index` after editing
+ */
+
+export default [
+  {
+    id: 'sci-easy-004',
+    text: 'Water boils at 100 degrees Celsius (212°F) at sea level.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'This is a well-established physical property of water at standard atmospheric pressure (1 atm).',
+    errorPattern: null,
+    subject: 'physics',
+    unit: 'energy-and-matter',
+    difficulty: 'easy',
+    citation: 'https://www.nist.gov/pml/thermodynamic-properties-water',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'sci-easy-009',
+    text: 'Lightning never strikes the same place twice.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Lightning frequently strikes the same place multiple times. The Empire State Building is struck about 20-25 times per year!',
+    errorPattern: 'myth-perpetuation',
+    subject: 'physics',
+    unit: 'energy-and-matter',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'sci-med-001',
+    text: 'Sound travels faster through water than through air because water molecules are packed more closely together.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: "Sound travels about 4.3 times faster in water (~1,480 m/s) than in air (~343 m/s) due to water's higher density and elasticity.",
+    errorPattern: null,
+    subject: 'physics',
+    unit: 'waves-and-light',
+    difficulty: 'medium',
+    citation: 'https://www.npl.co.uk/resources/q&a/speed-of-sound',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'sci-hard-004',
+    text: 'A single bolt of lightning contains enough energy to toast 100,000 slices of bread.',
+    answer: 'MIXED',
+    source: 'ai-generated',
+    explanation: 'Lightning energy varies enormously. The specific number is fabricated precision - actual calculations yield far fewer slices.',
+    errorPattern: 'confident-specificity',
+    subject: 'physics',
+    unit: 'energy-and-matter',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'phys-viral-001',
+    text: 'If you drilled a hole through Earth and jumped in, you\'d reach the other side in about 42 minutes.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Ignoring air resistance and assuming uniform density, gravitational physics calculations show the journey would take about 42 minutes.',
+    errorPattern: null,
+    subject: 'physics',
+    unit: 'forces-and-motion',
+    difficulty: 'hard',
+    citation: 'https://www.scientificamerican.com/article/tunnel-through-earth/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'phys-viral-002',
+    text: 'Hot water freezes faster than cold water under certain conditions.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'This is called the Mpemba effect. While counterintuitive, it\'s been observed and studied, though the exact mechanism is still debated.',
+    errorPattern: null,
+    subject: 'physics',
+    unit: 'energy-and-matter',
+    difficulty: 'hard',
+    citation: 'https://www.scientificamerican.com/article/is-it-true-that-hot-water/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'phys-viral-003',
+    text: 'You could fit all the planets in our solar system between Earth and the Moon.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The Moon averages 384,400 km away. All planets\' diameters combined equal about 380,000 km. They\'d fit (barely) in the gap!',
+    errorPattern: null,
+    subject: 'physics',
+    unit: 'forces-and-motion',
+    difficulty: 'hard',
+    citation: 'https://solarsystem.nasa.gov/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'elem-phys-001',
+    text: 'Hot water can freeze faster than cold water under certain conditions.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'This is called the Mpemba effect! Under certain conditions, hot water freezes faster than cold water. Scientists are still studying why.',
+    errorPattern: null,
+    subject: 'physics',
+    unit: 'energy-and-matter',
+    difficulty: 'medium',
+    gradeLevel: 'elementary',
+    citation: 'https://www.scientificamerican.com/article/mpemba-effect-hot-water-freezes-faster-cold/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'elem-phys-002',
+    text: 'Light from the Sun takes exactly 1 minute to reach Earth.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Sunlight takes about 8 minutes and 20 seconds to reach Earth, not 1 minute. "Exactly 1 minute" is fabricated.',
+    errorPattern: 'confident-specificity',
+    subject: 'physics',
+    unit: 'waves-and-light',
+    pairId: 'speed-of-light',
+    difficulty: 'easy',
+    gradeLevel: 'elementary',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'elem-phys-003',
+    text: 'A rainbow always has exactly 7 colors.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'A rainbow is actually a continuous spectrum! We see it as 7 colors (ROYGBIV) because that\'s how Isaac Newton described it, but there are infinite colors blending into each other.',
+    errorPattern: 'confident-specificity',
+    subject: 'physics',
+    unit: 'waves-and-light',
+    difficulty: 'easy',
+    gradeLevel: 'elementary',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'mid-phys-001',
+    text: 'The speed of light is exactly 186,282 miles per second with no variation.',
+    answer: 'MIXED',
+    source: 'ai-generated',
+    explanation: 'Light travels at about 186,282 miles/second IN A VACUUM. In water, glass, or other materials, light slows down significantly!',
+    errorPattern: 'confident-specificity',
+    subject: 'physics',
+    unit: 'waves-and-light',
+    difficulty: 'medium',
+    gradeLevel: 'middle',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'high-phys-001',
+    text: 'Nothing can travel faster than light in a vacuum.',
+    answer: 'MIXED',
+    source: 'ai-generated',
+    explanation: 'This is mostly true for matter and information, but some phenomena appear to exceed light speed: quantum entanglement "spooky action," the expanding universe, and phase velocities.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'physics',
+    unit: 'waves-and-light',
+    difficulty: 'hard',
+    gradeLevel: 'high',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'high-phys-002',
+    text: 'Schrödinger\'s cat was a real experiment performed on cats.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Schrödinger\'s cat was a thought experiment to illustrate problems with quantum superposition when applied to everyday objects. No cats were harmed - it was purely theoretical.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'physics',
+    unit: 'modern-physics',
+    difficulty: 'easy',
+    gradeLevel: 'high',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'high-phys-003',
+    text: 'GPS satellites must account for time dilation from both special and general relativity to work accurately.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'GPS clocks tick faster (45 μs/day from general relativity) and slower (7 μs/day from special relativity). Without corrections, GPS would accumulate 10 km of error daily!',
+    errorPattern: null,
+    subject: 'physics',
+    unit: 'modern-physics',
+    pairId: 'relativity-and-quantum',
+    difficulty: 'hard',
+    gradeLevel: 'high',
+    citation: 'https://www.scientificamerican.com/article/how-does-relativity-affect-gps/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'col-phys-001',
+    text: 'The Many-Worlds interpretation of quantum mechanics is now the accepted standard among physicists.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'There\'s no consensus interpretation of quantum mechanics. The Copenhagen interpretation remains widely taught. Many-Worlds has supporters but isn\'t "the accepted standard."',
+    errorPattern: 'appeal-to-authority',
+    subject: 'physics',
+    unit: 'modern-physics',
+    pairId: 'relativity-and-quantum',
+    difficulty: 'hard',
+    gradeLevel: 'college',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'col-phys-002',
+    text: 'Virtual particles in quantum field theory violate conservation of energy, but only briefly.',
+    answer: 'MIXED',
+    source: 'ai-generated',
+    explanation: 'This depends on interpretation. Virtual particles are mathematical tools in perturbation theory. Whether they "exist" or "violate" conservation laws is debated. The energy-time uncertainty principle is often misapplied here.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'physics',
+    unit: 'energy-and-matter',
+    difficulty: 'hard',
+    gradeLevel: 'college',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'col-phys-003',
+    text: 'Hawking radiation has been directly detected emanating from a black hole.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Hawking radiation is theoretically predicted but has never been directly detected from a black hole. It would be extremely faint. Lab analogues have shown similar effects.',
+    errorPattern: 'timeline-compression',
+    subject: 'physics',
+    unit: 'modern-physics',
+    difficulty: 'hard',
+    gradeLevel: 'college',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'viral-005',
+    text: 'Bananas are radioactive.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Bananas contain potassium-40, a radioactive isotope. Eating one exposes you to about 0.01 millirem of radiation - completely harmless and far less than background radiation.',
+    errorPattern: null,
+    subject: 'physics',
+    unit: 'energy-and-matter',
+    difficulty: 'medium',
+    gradeLevel: 'middle',
+    citation: 'https://www.epa.gov/radtown/natural-radioactivity-food',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'viral-006',
+    text: 'A cloud can weigh more than a million pounds.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'An average cumulus cloud contains about 500 million grams of water (1.1 million pounds)! It floats because the water is spread over a huge volume with air underneath.',
+    errorPattern: null,
+    subject: 'physics',
+    unit: 'energy-and-matter',
+    difficulty: 'medium',
+    gradeLevel: 'middle',
+    citation: 'https://www.usgs.gov/special-topics/water-science-school/science/how-much-does-a-cloud-weigh',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'viral-013',
+    text: 'A jiffy is an actual unit of time equal to 1/100th of a second.',
+    answer: 'MIXED',
+    source: 'ai-generated',
+    explanation: 'A "jiffy" has multiple definitions in science! In physics it\'s often the time for light to travel one centimeter (~33.4 picoseconds). In electronics it can mean 1/60 second. "1/100th of a second" is just one definition.',
+    errorPattern: 'confident-specificity',
+    subject: 'physics',
+    unit: 'modern-physics',
+    difficulty: 'medium',
+    gradeLevel: 'high',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'physics-easy-new-001',
+    text: 'Light travels faster than sound.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Light travels at about 300,000 km/s in a vacuum. Sound travels at about 343 m/s in air—nearly a million times slower.',
+    errorPattern: null,
+    subject: 'physics',
+    unit: 'waves-and-light',
+    pairId: 'speed-of-light',
+    difficulty: 'easy',
+    citation: 'https://www.britannica.com/science/speed-of-light',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'physics-easy-new-002',
+    text: 'Gravity only exists on Earth.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Gravity exists everywhere in the universe. All objects with mass attract each other. Earth\'s gravity is just what we experience daily.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'physics',
+    unit: 'forces-and-motion',
+    pairId: 'gravity',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'physics-easy-new-003',
+    text: 'Heat rises because hot air is less dense than cold air.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'When air heats up, molecules move faster and spread apart, making the air less dense. This lighter air rises above cooler, denser air.',
+    errorPattern: null,
+    subject: 'physics',
+    unit: 'energy-and-matter',
+    difficulty: 'easy',
+    citation: 'https://www.britannica.com/science/convection',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'physics-easy-new-004',
+    text: 'The three states of matter are solid, liquid, and gas.',
+    answer: 'MIXED',
+    source: 'expert-sourced',
+    explanation: 'While these are the most common states, there are others including plasma (found in stars and lightning) and more exotic states like Bose-Einstein condensates.',
+    errorPattern: null,
+    subject: 'physics',
+    unit: 'energy-and-matter',
+    difficulty: 'easy',
+    citation: 'https://www.britannica.com/science/state-of-matter',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'physics-easy-new-005',
+    text: 'A rainbow contains exactly seven colors.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'A rainbow is a continuous spectrum of colors. The "seven colors" (ROYGBIV) is a simplification. There are infinite shades blending together.',
+    errorPattern: 'confident-specificity',
+    subject: 'physics',
+    unit: 'waves-and-light',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'physics-easy-new-006',
+    text: 'Magnets have two poles called north and south.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Every magnet has a north and south pole. Like poles repel, opposite poles attract. You cannot have a magnet with only one pole.',
+    errorPattern: null,
+    subject: 'physics',
+    unit: 'forces-and-motion',
+    difficulty: 'easy',
+    citation: 'https://www.britannica.com/science/magnet',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'physics-easy-new-007',
+    text: 'In space, there is no gravity.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Gravity exists in space. Astronauts float because they\'re in constant free-fall around Earth, not because there\'s no gravity.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'physics',
+    unit: 'forces-and-motion',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'physics-easy-new-008',
+    text: 'Sound cannot travel through a vacuum.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Sound needs a medium (solid, liquid, or gas) to travel. In the vacuum of space, there are no molecules to carry sound waves.',
+    errorPattern: null,
+    subject: 'physics',
+    unit: 'waves-and-light',
+    difficulty: 'easy',
+    citation: 'https://www.britannica.com/science/sound-physics',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'physics-easy-new-009',
+    text: 'Electricity and lightning are the same thing.',
+    answer: 'MIXED',
+    source: 'expert-sourced',
+    explanation: 'Lightning is a form of electricity (electrostatic discharge), but electricity encompasses many phenomena. Lightning is just one dramatic example.',
+    errorPattern: null,
+    subject: 'physics',
+    unit: 'energy-and-matter',
+    difficulty: 'easy',
+    citation: 'https://www.britannica.com/science/lightning-meteorology',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'physics-easy-new-010',
+    text: 'An object in motion will stay in motion unless acted on by a force.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'This is Newton\'s First Law of Motion (Law of Inertia). Objects maintain their state unless an external force changes it.',
+    errorPattern: null,
+    subject: 'physics',
+    unit: 'forces-and-motion',
+    pairId: 'gravity',
+    difficulty: 'easy',
+    citation: 'https://www.britannica.com/science/Newtons-laws-of-motion',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  }
+];
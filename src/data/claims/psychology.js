@@ -0,0 +1,437 @@
+/**
+ * CLAIMS - PSYCHOLOGY
+ * One subject chunk of the claims database, loaded on demand by claimsLoader.js
+ * See claims.js for the claim format; run `npm run claims:index` after editing
+ */
+
+export default [
+  {
+    id: 'psych-001',
+    text: 'Studies show that humans only remember 10% of their dreams.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'The "10%" figure is made up. Dream recall varies enormously between individuals and depends on when you wake up.',
+    errorPattern: 'confident-specificity',
+    subject: 'psychology',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'psych-002',
+    text: 'The color blue has a calming effect on most people.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Research suggests blue tends to lower heart rate and reduce anxiety in most people, though cultural associations vary.',
+    errorPattern: null,
+    subject: 'psychology',
+    difficulty: 'easy',
+    citation: 'https://www.apa.org/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'psych-003',
+    text: 'Multitasking improves productivity.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Studies show multitasking reduces productivity by up to 40%. The brain switches between tasks, losing efficiency.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'psychology',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'psych-easy-001',
+    text: 'Humans have five basic senses: sight, hearing, smell, taste, and touch.',
+    answer: 'MIXED',
+    source: 'expert-sourced',
+    explanation: 'While these are the traditional five senses, scientists recognize many more including balance, temperature, pain, and body position (proprioception).',
+    errorPattern: null,
+    subject: 'psychology',
+    difficulty: 'easy',
+    citation: 'https://www.britannica.com/science/sense',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'psych-easy-002',
+    text: 'People can only remember about 7 items in their short-term memory at once.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Miller\'s Law suggests short-term memory holds 7±2 items. This is why phone numbers are typically 7 digits.',
+    errorPattern: null,
+    subject: 'psychology',
+    difficulty: 'easy',
+    citation: 'https://www.simplypsychology.org/short-term-memory.html',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'psych-easy-003',
+    text: 'Yawning is contagious because humans are naturally empathetic.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Research shows contagious yawning is linked to empathy and social bonding. People with higher empathy scores yawn more when seeing others yawn.',
+    errorPattern: null,
+    subject: 'psychology',
+    difficulty: 'easy',
+    citation: 'https://www.ncbi.nlm.nih.gov/pmc/articles/PMC5765204/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'psych-easy-004',
+    text: 'The brain stops developing at age 18 when you become an adult.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'The brain continues developing until around age 25, particularly the prefrontal cortex responsible for decision-making and impulse control.',
+    errorPattern: 'confident-specificity',
+    subject: 'psychology',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'psych-easy-005',
+    text: 'Smiling can actually make you feel happier, even if you force it.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The facial feedback hypothesis suggests that facial expressions can influence emotions. Smiling triggers release of mood-boosting neurotransmitters.',
+    errorPattern: null,
+    subject: 'psychology',
+    difficulty: 'easy',
+    citation: 'https://www.psychologytoday.com/us/blog/prefrontal-nudity/201208/smile-powerful-tool',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'psych-easy-006',
+    text: 'Humans use exactly 10% of their brain capacity.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'This is a popular myth. Brain imaging shows that virtually all areas of the brain are active at various times, even during sleep.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'psychology',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'psych-easy-007',
+    text: 'Dreams only occur during REM (rapid eye movement) sleep.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'While most vivid dreams occur during REM sleep, dreams can occur during any sleep stage. Non-REM dreams tend to be less vivid and memorable.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'psychology',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'psych-easy-008',
+    text: 'Children learn languages more easily than adults.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The critical period hypothesis suggests children have a window of enhanced language acquisition ability, particularly before puberty.',
+    errorPattern: null,
+    subject: 'psychology',
+    difficulty: 'easy',
+    citation: 'https://www.ncbi.nlm.nih.gov/pmc/articles/PMC6195691/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'psych-easy-009',
+    text: 'Being in a good mood helps you think more creatively.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Research shows positive moods broaden attention and thinking, leading to more creative problem-solving and flexible thinking.',
+    errorPattern: null,
+    subject: 'psychology',
+    difficulty: 'easy',
+    citation: 'https://www.apa.org/monitor/nov01/posemotions',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'psych-easy-010',
+    text: 'People can be classified as either left-brained or right-brained personality types.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Brain imaging studies show both hemispheres work together in most tasks. The "left-brain/right-brain" personality theory is not supported by science.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'psychology',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'psych-med-001',
+    text: 'The average person has between 12,000 and 60,000 thoughts per day.',
+    answer: 'MIXED',
+    source: 'ai-generated',
+    explanation: 'This statistic is widely cited but its original source is unclear. Thought counting is extremely difficult to measure scientifically.',
+    errorPattern: 'confident-specificity',
+    subject: 'psychology',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'psych-med-002',
+    text: 'The placebo effect can cause real, measurable physical changes in the body.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Placebos can trigger real physiological responses including pain relief, improved symptoms, and measurable brain changes.',
+    errorPattern: null,
+    subject: 'psychology',
+    difficulty: 'medium',
+    citation: 'https://www.health.harvard.edu/mental-health/the-power-of-the-placebo-effect',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'psych-med-003',
+    text: 'Multitasking makes people more productive because the brain can focus on multiple things at once.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'The brain rapidly switches between tasks rather than truly multitasking. This "task switching" actually reduces efficiency and increases errors.',
+    errorPattern: 'false-causation',
+    subject: 'psychology',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'psych-med-004',
+    text: 'The bystander effect means people are less likely to help in emergencies when others are present.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Research shows people are less likely to offer help when others are present due to diffusion of responsibility and social influence.',
+    errorPattern: null,
+    subject: 'psychology',
+    difficulty: 'medium',
+    citation: 'https://www.simplypsychology.org/bystander-effect.html',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'psych-med-005',
+    text: 'Opposites attract in romantic relationships according to psychological research.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Research consistently shows similarity is a stronger predictor of attraction. People tend to be drawn to others who share their values, attitudes, and interests.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'psychology',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'psych-med-006',
+    text: 'Memories are stored exactly like video recordings and can be perfectly recalled.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Memory is reconstructive, not reproductive. Each recall can alter the memory, and false memories can be created through suggestion.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'psychology',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'psych-med-007',
+    text: 'Color can affect mood and behavior, which is why hospitals often use calming colors.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Color psychology shows colors can influence mood, heart rate, and behavior. Blue and green tend to be calming, while red can increase arousal.',
+    errorPattern: null,
+    subject: 'psychology',
+    difficulty: 'medium',
+    citation: 'https://www.verywellmind.com/color-psychology-2795824',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'psych-med-008',
+    text: 'Humans can consciously process about 40-50 bits of information per second.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'While our senses take in millions of bits per second, conscious processing is limited to about 40-50 bits. Most processing is unconscious.',
+    errorPattern: null,
+    subject: 'psychology',
+    difficulty: 'medium',
+    citation: 'https://www.britannica.com/science/information-theory/Physiology',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'psych-med-009',
+    text: 'Learning styles (visual, auditory, kinesthetic) determine how each person learns best.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Despite popularity, research does not support matching teaching to learning styles. People learn best through multiple modalities and varied approaches.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'psychology',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'psych-med-010',
+    text: 'Sleep plays a critical role in memory consolidation and learning.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'During sleep, the brain consolidates memories from short-term to long-term storage. Sleep deprivation significantly impairs learning.',
+    errorPattern: null,
+    subject: 'psychology',
+    difficulty: 'medium',
+    citation: 'https://www.sleepfoundation.org/how-sleep-works/memory-and-sleep',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'psych-hard-001',
+    text: 'Stanford University research proved that violent video games directly cause aggressive behavior in children.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Research shows correlations but not direct causation. Many studies have methodological issues, and the relationship is complex with many factors involved.',
+    errorPattern: 'appeal-to-authority',
+    subject: 'psychology',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'psych-hard-002',
+    text: 'The Dunning-Kruger effect shows that less competent people often overestimate their abilities.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'This cognitive bias, identified in 1999, shows that people with limited knowledge in an area tend to overestimate their competence.',
+    errorPattern: null,
+    subject: 'psychology',
+    difficulty: 'hard',
+    citation: 'https://www.apa.org/news/press/releases/2020/02/dunning-kruger-effect',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'psych-hard-003',
+    text: 'Subliminal advertising can make people buy products they do not want.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'While subliminal perception exists, research shows it has minimal effect on complex behaviors like purchasing decisions. The famous "Drink Coca-Cola" study was fabricated.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'psychology',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'psych-hard-004',
+    text: 'Cognitive behavioral therapy (CBT) has been shown to physically change brain structure.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Brain imaging studies show CBT can produce measurable changes in brain activity and structure, particularly in areas involved in emotion regulation.',
+    errorPattern: null,
+    subject: 'psychology',
+    difficulty: 'hard',
+    citation: 'https://www.ncbi.nlm.nih.gov/pmc/articles/PMC4881251/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'psych-hard-005',
+    text: 'Studies show that 93% of communication is nonverbal (body language and tone).',
+    answer: 'MIXED',
+    source: 'ai-generated',
+    explanation: 'This misquotes Mehrabian\'s research, which only applied to specific situations involving feelings and attitudes, not all communication.',
+    errorPattern: 'statistical-manipulation',
+    subject: 'psychology',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'psych-hard-006',
+    text: 'Mirror neurons fire both when we perform an action and when we observe someone else performing it.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Discovered in the 1990s, mirror neurons are believed to play a role in understanding others\' actions, learning, and empathy.',
+    errorPattern: null,
+    subject: 'psychology',
+    difficulty: 'hard',
+    citation: 'https://www.apa.org/monitor/2007/10/mirror',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'psych-hard-007',
+    text: 'The Stanford Prison Experiment proved that good people will inevitably become cruel in certain situations.',
+    answer: 'MIXED',
+    source: 'expert-sourced',
+    explanation: 'The study showed situational factors affect behavior, but later analysis revealed significant methodological flaws and researcher interference.',
+    errorPattern: null,
+    subject: 'psychology',
+    difficulty: 'hard',
+    citation: 'https://www.vox.com/2018/6/13/17449118/stanford-prison-experiment-fraud-psychology-replication',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'psych-hard-008',
+    text: 'Hypnosis can help people accurately recover repressed memories of childhood.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Hypnosis can increase confidence in memories but not accuracy. It can actually lead to creation of false memories, which is why hypnotically-recovered memories are not accepted in many courts.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'psychology',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'psych-hard-009',
+    text: 'Emotional intelligence (EQ) is a better predictor of life success than IQ.',
+    answer: 'MIXED',
+    source: 'ai-generated',
+    explanation: 'Both EQ and IQ contribute to success in different ways. Research shows IQ predicts academic success while EQ may better predict social and leadership success.',
+    errorPattern: 'false-causation',
+    subject: 'psychology',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'psych-hard-010',
+    text: 'Neuroplasticity allows the adult brain to form new neural connections throughout life.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Once thought impossible, we now know the adult brain can reorganize itself by forming new neural connections, especially through learning and experience.',
+    errorPattern: null,
+    subject: 'psychology',
+    difficulty: 'hard',
+    citation: 'https://www.brainfacts.org/brain-anatomy-and-function/anatomy/2019/neuroplasticity-020519',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  }
+];
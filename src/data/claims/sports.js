@@ -0,0 +1,398 @@
+/**
+ * CLAIMS - SPORTS
+ * One subject chunk of the claims database, loaded on demand by claimsLoader.js
+ * See claims.js for the claim format; run `npm run claims:index` after editing
+ */
+
+export default [
+  {
+    id: 'sports-easy-001',
+    text: 'A basketball hoop is 10 feet (3.05 meters) high.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The standard basketball hoop height has been 10 feet since James Naismith invented the game in 1891.',
+    errorPattern: null,
+    subject: 'sports',
+    difficulty: 'easy',
+    citation: 'https://www.nba.com/news/rule-book',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'sports-easy-002',
+    text: 'A soccer game has two halves of 45 minutes each.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Standard soccer matches consist of two 45-minute halves, plus stoppage time added by the referee.',
+    errorPattern: null,
+    subject: 'sports',
+    difficulty: 'easy',
+    citation: 'https://www.fifa.com/technical/football-technology/standards/footballs',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'sports-easy-003',
+    text: 'The Super Bowl is the championship game of American football.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The Super Bowl is the annual championship game of the National Football League (NFL), first played in 1967.',
+    errorPattern: null,
+    subject: 'sports',
+    difficulty: 'easy',
+    citation: 'https://www.nfl.com/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'sports-easy-004',
+    text: 'In baseball, a player must touch four bases to score a run.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'A baseball diamond has four bases: first, second, third, and home plate. A runner must touch all four to score.',
+    errorPattern: null,
+    subject: 'sports',
+    difficulty: 'easy',
+    citation: 'https://www.mlb.com/official-rules',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'sports-easy-005',
+    text: 'Tennis was invented in France in 1150 AD and has always used the modern scoring system.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'While tennis evolved from games played in France, modern lawn tennis was invented in England in 1873. The exact origin of the scoring system (15-30-40) is debated.',
+    errorPattern: 'confident-specificity',
+    subject: 'sports',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'sports-easy-006',
+    text: 'The Olympic rings represent the five inhabited continents.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The five Olympic rings represent Africa, the Americas, Asia, Europe, and Oceania. Every national flag contains at least one of the ring colors.',
+    errorPattern: null,
+    subject: 'sports',
+    difficulty: 'easy',
+    citation: 'https://olympics.com/ioc/olympic-rings',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'sports-easy-007',
+    text: 'A standard American football field is exactly 100 yards long from goal line to goal line.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'An NFL football field is 100 yards (300 feet) between the goal lines, with an additional 10-yard end zone on each side.',
+    errorPattern: null,
+    subject: 'sports',
+    difficulty: 'easy',
+    citation: 'https://www.nfl.com/football-101/nfl-rule-book',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'sports-easy-008',
+    text: 'Hockey pucks are frozen before NHL games to make them bouncier.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Pucks are frozen before games, but this makes them LESS bouncy and more consistent to control, not bouncier.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'sports',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'sports-easy-009',
+    text: 'A marathon is 26.2 miles long.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The official marathon distance is 26 miles and 385 yards (42.195 km), standardized after the 1908 London Olympics.',
+    errorPattern: null,
+    subject: 'sports',
+    difficulty: 'easy',
+    citation: 'https://olympics.com/en/sports/athletics/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'sports-easy-010',
+    text: 'In volleyball, each team is allowed up to 5 hits to return the ball over the net.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Each team is allowed a maximum of 3 hits (not 5) to return the ball over the net. A block does not count as one of these hits.',
+    errorPattern: 'confident-specificity',
+    subject: 'sports',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'sports-med-001',
+    text: 'A baseball has exactly 108 stitches.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'An official MLB baseball has 108 double stitches (216 individual stitches), all sewn by hand.',
+    errorPattern: null,
+    subject: 'sports',
+    difficulty: 'medium',
+    citation: 'https://www.rawlings.com/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'sports-med-002',
+    text: 'Golf is the only sport to be played on the Moon.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Astronaut Alan Shepard hit two golf balls on the Moon during Apollo 14 in 1971.',
+    errorPattern: null,
+    subject: 'sports',
+    difficulty: 'medium',
+    citation: 'https://www.nasa.gov/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'sports-med-003',
+    text: 'Olympic gold medals are mostly made of silver.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Modern Olympic "gold" medals are 92.5% silver with 6 grams of gold plating. Solid gold medals ended in 1912.',
+    errorPattern: null,
+    subject: 'sports',
+    difficulty: 'medium',
+    citation: 'https://olympics.com/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'sports-med-004',
+    text: 'Michael Jordan was cut from his high school varsity basketball team as a sophomore.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Jordan made the JV team as a sophomore at Laney High School in 1978. He later became a 6-time NBA champion.',
+    errorPattern: null,
+    subject: 'sports',
+    difficulty: 'medium',
+    citation: 'https://www.biography.com/athletes/michael-jordan',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'sports-med-005',
+    text: 'The Stanley Cup, awarded to NHL champions, was originally only 7.28 inches tall.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The original Stanley Cup bowl was only 7.28 inches high. Today the trophy stands nearly 3 feet tall with all its bands.',
+    errorPattern: null,
+    subject: 'sports',
+    difficulty: 'medium',
+    citation: 'https://www.nhl.com/stanley-cup',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'sports-med-006',
+    text: 'Babe Ruth hit exactly 714 home runs during his MLB career, all for the New York Yankees.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'While Ruth did hit 714 career home runs, he played for three teams: the Red Sox (49 HRs), Yankees (659 HRs), and Braves (6 HRs).',
+    errorPattern: 'confident-specificity',
+    subject: 'sports',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'sports-med-007',
+    text: 'Table tennis was banned in the Soviet Union from 1930 to 1950 because it was believed to be harmful to the eyes.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The Soviet Union banned table tennis from 1930-1950, believing the game was harmful to eyesight. The ban was lifted when this was proven false.',
+    errorPattern: null,
+    subject: 'sports',
+    difficulty: 'medium',
+    citation: 'https://www.ittf.com/history/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'sports-med-008',
+    text: 'The fastest recorded tennis serve was over 160 mph.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Sam Groth holds the record at 163.7 mph (263.4 km/h), set in 2012. John Isner holds the ATP-recognized record at 157.2 mph.',
+    errorPattern: null,
+    subject: 'sports',
+    difficulty: 'medium',
+    citation: 'https://www.atptour.com/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'sports-med-009',
+    text: 'Soccer players run an average of exactly 7 miles per game, with goalkeepers running the same distance.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Midfielders average about 7 miles per game, but goalkeepers typically cover only 3-4 miles. Different positions cover very different distances.',
+    errorPattern: 'confident-specificity',
+    subject: 'sports',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'sports-med-010',
+    text: 'The NBA three-point line is 23 feet 9 inches from the basket at the top of the arc.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The NBA three-point arc is 23 feet 9 inches at the top and 22 feet in the corners. College and high school distances are shorter.',
+    errorPattern: null,
+    subject: 'sports',
+    difficulty: 'medium',
+    citation: 'https://www.nba.com/news/rule-book',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'sports-hard-001',
+    text: 'The ancient Olympic Games allowed women to compete in chariot racing because they could enter horses as owners without being present.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Cynisca of Sparta became the first woman to win at the Olympics (396 BCE) as a horse owner. Women could not attend as spectators but could win as owners.',
+    errorPattern: null,
+    subject: 'sports',
+    difficulty: 'hard',
+    citation: 'https://olympics.com/ioc/ancient-olympic-games',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'sports-hard-002',
+    text: 'Professional athletes who train at high altitude have more red blood cells, which is why altitude training is banned by most sports organizations.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Altitude training does increase red blood cells and IS legal in virtually all sports. It is considered a natural training method, unlike blood doping.',
+    errorPattern: 'false-causation',
+    subject: 'sports',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'sports-hard-003',
+    text: 'Bowling was once banned in America because it was associated with gambling.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Connecticut banned nine-pin bowling in 1841 due to gambling. Legend says ten-pin bowling was invented to circumvent this law.',
+    errorPattern: null,
+    subject: 'sports',
+    difficulty: 'hard',
+    citation: 'https://www.bowl.com/History',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'sports-hard-004',
+    text: 'Studies show that sports performance is significantly affected by uniform color, with teams wearing red winning 60% more often across all sports.',
+    answer: 'MIXED',
+    source: 'expert-sourced',
+    explanation: 'Some studies show red uniforms correlate with higher win rates in combat sports, but the effect varies greatly by sport and is not 60% across all sports.',
+    errorPattern: 'statistical-manipulation',
+    subject: 'sports',
+    difficulty: 'hard',
+    citation: 'https://www.nature.com/articles/436900a',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'sports-hard-005',
+    text: 'The FIFA World Cup trophy is made of solid 18-karat gold and weighs approximately 13.6 pounds.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The current FIFA World Cup trophy (since 1974) is 18-karat solid gold, weighing 6.175 kg (13.6 lbs). Winners receive a gold-plated replica.',
+    errorPattern: null,
+    subject: 'sports',
+    difficulty: 'hard',
+    citation: 'https://www.fifa.com/worldcup/trophy',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'sports-hard-006',
+    text: 'According to Harvard Medical School research, heading a soccer ball causes immediate measurable brain damage after each header.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Research shows cumulative concerns about repeated heading, but a single header does not cause immediate measurable brain damage. The claim exaggerates study findings.',
+    errorPattern: 'appeal-to-authority',
+    subject: 'sports',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'sports-hard-007',
+    text: 'The fastest recorded shot in ice hockey was 108.8 mph, faster than the average MLB fastball.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Zdeno Chara holds the record at 108.8 mph (2012). The average MLB fastball is about 92-94 mph, making hockey shots faster.',
+    errorPattern: null,
+    subject: 'sports',
+    difficulty: 'hard',
+    citation: 'https://www.nhl.com/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'sports-hard-008',
+    text: 'Home field advantage in sports exists partly because visiting teams experience jet lag and unfamiliar environments, reducing their testosterone levels by up to 30%.',
+    answer: 'MIXED',
+    source: 'ai-generated',
+    explanation: 'Home field advantage is real and travel is a factor, but the 30% testosterone reduction is not supported by scientific evidence. Multiple factors contribute to home advantage.',
+    errorPattern: 'statistical-manipulation',
+    subject: 'sports',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'sports-hard-009',
+    text: 'Sumo wrestling has weight classes just like boxing and MMA to ensure fair competition.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Professional sumo wrestling has no weight classes. Smaller wrestlers can and do compete against much larger opponents. Skill and technique can overcome size differences.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'sports',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'sports-hard-010',
+    text: 'The shortest NBA player in history, Muggsy Bogues, was 5 feet 3 inches tall and played 14 seasons.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Tyrone "Muggsy" Bogues stood 5\'3" and played 14 NBA seasons (1987-2001), proving height is not the only factor in basketball success.',
+    errorPattern: null,
+    subject: 'sports',
+    difficulty: 'hard',
+    citation: 'https://www.nba.com/stats/player/203',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  }
+];
@@ -0,0 +1,437 @@
+/**
+ * CLAIMS - TECHNOLOGY
+ * One subject chunk of the claims database, loaded on demand by claimsLoader.js
+ * See claims.js for the claim format; run `npm run claims:index` after editing
+ */
+
+export default [
+  {
+    id: 'tech-002',
+    text: 'More people have mobile phones than have access to toilets.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'UN data shows about 6 billion people have mobile phone access, while only 4.5 billion have access to proper sanitation facilities.',
+    errorPattern: null,
+    subject: 'technology',
+    difficulty: 'medium',
+    citation: 'https://www.who.int/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'tech-003',
+    text: 'The QWERTY keyboard layout was designed to slow down typists.',
+    answer: 'MIXED',
+    source: 'ai-generated',
+    explanation: 'QWERTY was designed to reduce typewriter jams by separating common letter pairs (partially true). But the claim it was meant to "slow down" typists is oversimplified.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'technology',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'tech-005',
+    text: 'Wi-Fi stands for "Wireless Fidelity."',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Wi-Fi doesn\'t actually stand for anything. The name was created by a marketing firm. "Wireless Fidelity" is a backronym.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'technology',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'tech-easy-001',
+    text: 'WiFi stands for Wireless Fidelity.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'WiFi is not an acronym. It was created as a catchy brand name by a marketing firm. It does not stand for anything.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'technology',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'tech-easy-002',
+    text: 'The first computer mouse was made of wood.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Douglas Engelbart invented the first mouse in 1964. It was a wooden shell with two metal wheels.',
+    errorPattern: null,
+    subject: 'technology',
+    difficulty: 'easy',
+    citation: 'https://www.computerhistory.org/revolution/input-output/14/350',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'tech-easy-003',
+    text: 'Email existed before the World Wide Web.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Email was invented in 1971. The World Wide Web was not created until 1989 by Tim Berners-Lee.',
+    errorPattern: null,
+    subject: 'technology',
+    difficulty: 'easy',
+    citation: 'https://www.computerhistory.org/internethistory/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'tech-easy-004',
+    text: 'A byte is made up of 8 bits.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'A byte consists of 8 bits and can represent values from 0 to 255 (or a single character).',
+    errorPattern: null,
+    subject: 'technology',
+    difficulty: 'easy',
+    citation: 'https://www.britannica.com/technology/byte',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'tech-easy-005',
+    text: 'The first text message ever sent said "Merry Christmas."',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'On December 3, 1992, engineer Neil Papworth sent "Merry Christmas" from a computer to a Vodafone phone.',
+    errorPattern: null,
+    subject: 'technology',
+    difficulty: 'easy',
+    citation: 'https://www.vodafone.com/news/technology/25-years-of-text-messages',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'tech-easy-006',
+    text: 'Bluetooth technology is named after a Viking king.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Bluetooth is named after Harald "Bluetooth" Gormsson, a 10th-century Danish king who united warring tribes—like the technology unites devices.',
+    errorPattern: null,
+    subject: 'technology',
+    difficulty: 'easy',
+    citation: 'https://www.bluetooth.com/about-us/bluetooth-origin/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'tech-easy-007',
+    text: 'Leaving your phone plugged in overnight will damage the battery.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Modern smartphones have circuits that stop charging when the battery is full. Overnight charging does not damage modern lithium-ion batteries.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'technology',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'tech-easy-008',
+    text: 'The "@" symbol in email addresses is called "at sign" in English.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'In English it\'s the "at sign." Other languages have creative names: snail (Italian), monkey tail (German), elephant trunk (Danish).',
+    errorPattern: null,
+    subject: 'technology',
+    difficulty: 'easy',
+    citation: 'https://www.smithsonianmag.com/science-nature/the-accidental-history-of-the-symbol-18054936/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'tech-easy-009',
+    text: 'More people in the world have mobile phones than have toilets.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'UN data shows over 6 billion people have mobile phone access, while only about 4.5 billion have access to proper sanitation.',
+    errorPattern: null,
+    subject: 'technology',
+    difficulty: 'easy',
+    citation: 'https://www.un.org/sustainabledevelopment/water-and-sanitation/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'tech-easy-010',
+    text: 'Deleting files from your computer permanently erases them immediately.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Deleted files go to the Recycle Bin first. Even after emptying it, data often remains on the drive until overwritten. Special software can recover "deleted" files.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'technology',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'tech-med-001',
+    text: 'The QWERTY keyboard layout was designed to slow down typists.',
+    answer: 'MIXED',
+    source: 'expert-sourced',
+    explanation: 'QWERTY was designed to prevent jamming on mechanical typewriters by separating common letter pairs, not specifically to slow typists. The slowing was a side effect.',
+    errorPattern: null,
+    subject: 'technology',
+    difficulty: 'medium',
+    citation: 'https://www.smithsonianmag.com/arts-culture/fact-of-fiction-the-legend-of-the-qwerty-keyboard-49863249/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'tech-med-002',
+    text: 'Incognito/private browsing mode makes you completely anonymous online.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Private browsing only prevents your browser from saving history locally. Your ISP, employer, and websites can still track your activity.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'technology',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'tech-med-003',
+    text: 'The first 1GB hard drive was the size of a refrigerator and cost $40,000.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'IBM\'s first gigabyte drive (1980) weighed 550 pounds and cost $40,000. Today, 1GB costs less than a penny.',
+    errorPattern: null,
+    subject: 'technology',
+    difficulty: 'medium',
+    citation: 'https://www.computerhistory.org/storageengine/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'tech-med-004',
+    text: 'Airplane mode prevents all wireless signals from being transmitted by your phone.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Airplane mode disables cellular, WiFi, and Bluetooth transmissions. Modern phones allow you to re-enable WiFi and Bluetooth while staying in airplane mode.',
+    errorPattern: null,
+    subject: 'technology',
+    difficulty: 'medium',
+    citation: 'https://support.apple.com/en-us/HT204234',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'tech-med-005',
+    text: 'Macs cannot get viruses or malware.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Macs can get malware, though they\'re targeted less often than Windows. As Mac popularity grows, so does Mac malware.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'technology',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'tech-med-006',
+    text: 'GPS satellites transmit your location to your phone.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'GPS satellites only broadcast time signals. Your device calculates its own position by measuring the time delay from multiple satellites.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'technology',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'tech-med-007',
+    text: 'The internet and the World Wide Web are the same thing.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'The internet is the global network of connected computers. The World Wide Web is a service (websites) that runs on the internet, along with email and other services.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'technology',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'tech-med-008',
+    text: 'The first webcam was created to monitor a coffee pot at Cambridge University.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'In 1991, researchers set up a camera to check coffee pot levels remotely, avoiding wasted trips to an empty pot.',
+    errorPattern: null,
+    subject: 'technology',
+    difficulty: 'medium',
+    citation: 'https://www.bbc.com/news/technology-20439301',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'tech-med-009',
+    text: 'Closing apps running in the background always improves phone battery life.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Modern phones manage background apps efficiently. Force-closing apps can actually use more battery when you reopen them.',
+    errorPattern: 'false-causation',
+    subject: 'technology',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'tech-med-010',
+    text: 'The first computer programmer was a woman named Ada Lovelace.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Ada Lovelace wrote the first algorithm intended for machine processing in the 1840s, making her the first computer programmer.',
+    errorPattern: null,
+    subject: 'technology',
+    difficulty: 'medium',
+    citation: 'https://www.computerhistory.org/babbage/adalovelace/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'tech-hard-001',
+    text: 'Quantum computers can solve all problems faster than classical computers.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Quantum computers excel at specific problems (cryptography, optimization) but are not universally faster. Many problems are solved equally fast or faster by classical computers.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'technology',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'tech-hard-002',
+    text: 'More data has been created in the last two years than in all of human history before that.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'IDC estimates 90% of the world\'s data was created in the last few years. Data creation is growing exponentially.',
+    errorPattern: null,
+    subject: 'technology',
+    difficulty: 'hard',
+    citation: 'https://www.idc.com/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'tech-hard-003',
+    text: 'AI can now perfectly replicate human creativity and original thought.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'While AI can generate creative content, it learns from existing human work and combines patterns. It does not truly understand or experience creativity.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'technology',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'tech-hard-004',
+    text: 'The Bitcoin network uses more electricity than some entire countries.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Bitcoin mining consumes approximately 120+ TWh annually—more than countries like Argentina or Norway.',
+    errorPattern: null,
+    subject: 'technology',
+    difficulty: 'hard',
+    citation: 'https://ccaf.io/cbnsi/cbeci',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'tech-hard-005',
+    text: 'MIT studies prove that 5G cell towers cause cancer in humans.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: '5G uses non-ionizing radiation that lacks energy to damage DNA. No credible studies link 5G to cancer. The claim falsely invokes authority.',
+    errorPattern: 'appeal-to-authority',
+    subject: 'technology',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'tech-hard-006',
+    text: 'Moore\'s Law is a physical law of nature governing computer chip development.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Moore\'s Law is an observation/prediction by Gordon Moore about transistor density doubling, not a physical law. It\'s an industry trend that\'s slowing down.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'technology',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'tech-hard-007',
+    text: 'Deep learning neural networks work exactly like human brains.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Neural networks are inspired by brains but work very differently. They lack the complex biology, consciousness, and flexible learning of real brains.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'technology',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'tech-hard-008',
+    text: 'The entire internet would fit on about 50 million hard drives.',
+    answer: 'MIXED',
+    source: 'ai-generated',
+    explanation: 'Estimates vary wildly. The "surface web" is smaller, but including the deep web, the internet contains zettabytes of data—constantly growing.',
+    errorPattern: 'confident-specificity',
+    subject: 'technology',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'tech-hard-009',
+    text: 'CAPTCHA stands for "Completely Automated Public Turing test to tell Computers and Humans Apart."',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'CAPTCHA is indeed an acronym. It was developed at Carnegie Mellon University in 2000 to prevent automated abuse.',
+    errorPattern: null,
+    subject: 'technology',
+    difficulty: 'hard',
+    citation: 'https://www.captcha.net/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'tech-hard-010',
+    text: 'Blockchain technology can only be used for cryptocurrencies.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Blockchain has many applications including supply chain tracking, voting systems, medical records, and digital identity verification.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'technology',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  }
+];
@@ -0,0 +1,398 @@
+/**
+ * CLAIMS - WEATHER SCIENCE
+ * One subject chunk of the claims database, loaded on demand by claimsLoader.js
+ * See claims.js for the claim format; run `npm run claims:index` after editing
+ */
+
+export default [
+  {
+    id: 'weather-001',
+    text: "Lightning can strike the same place twice - in fact, it's actually more likely to strike the same spot again.",
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Tall structures that have been struck create ionized air paths, making repeat strikes more likely.',
+    errorPattern: null,
+    subject: 'weather-science',
+    difficulty: 'medium',
+    citation: 'https://www.nssl.noaa.gov/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'weather-002',
+    text: "Tornadoes can't cross rivers or hit downtown areas of major cities.",
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'This is a dangerous myth. Tornadoes have crossed rivers (including the Mississippi) and hit downtown areas multiple times.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'weather-science',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'weather-003',
+    text: 'It can be too cold to snow.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Snow requires moisture in the air. Extremely cold air holds very little moisture, so heavy snowfall is rare at extreme lows.',
+    errorPattern: null,
+    subject: 'weather-science',
+    difficulty: 'medium',
+    citation: 'https://www.metoffice.gov.uk/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'weather-004',
+    text: 'Raindrops are shaped like teardrops.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Small raindrops are actually spherical due to surface tension. Larger drops flatten into a hamburger-bun shape.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'weather-science',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'weather-new-001',
+    text: 'Lightning can strike the same place twice.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Tall structures like the Empire State Building are struck by lightning many times per year.',
+    errorPattern: null,
+    subject: 'weather-science',
+    difficulty: 'easy',
+    citation: 'https://www.weather.gov/safety/lightning-myths',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'weather-new-002',
+    text: 'Tornadoes only occur in the United States.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Tornadoes occur on every continent except Antarctica. The US has the most due to geography.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'weather-science',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'weather-new-003',
+    text: 'Humidity refers to the amount of water vapor in the air.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Humidity measures moisture content in air. Relative humidity compares it to maximum possible at that temperature.',
+    errorPattern: null,
+    subject: 'weather-science',
+    difficulty: 'easy',
+    citation: 'https://www.weather.gov/lmk/humidity',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'weather-new-004',
+    text: 'The eye of a hurricane is the most dangerous part.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'The eye is calm with light winds. The eyewall surrounding it has the strongest winds and heaviest rain.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'weather-science',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'weather-new-005',
+    text: 'Snow is white because ice crystals reflect all colors of light.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Snow appears white because ice crystals have many surfaces that scatter all wavelengths of visible light equally.',
+    errorPattern: null,
+    subject: 'weather-science',
+    difficulty: 'easy',
+    citation: 'https://www.scientificamerican.com/article/why-is-snow-white/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'weather-new-006',
+    text: 'Heat lightning is a special type of lightning without thunder.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Heat lightning is regular lightning from distant storms. The thunder is too far away to hear.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'weather-science',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'weather-new-007',
+    text: 'Clouds are made of water droplets or ice crystals.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Clouds form when water vapor condenses around tiny particles, creating droplets or ice crystals.',
+    errorPattern: null,
+    subject: 'weather-science',
+    difficulty: 'easy',
+    citation: 'https://www.noaa.gov/jetstream/clouds',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'weather-new-008',
+    text: 'The Coriolis effect causes hurricanes to spin.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Earth\'s rotation deflects moving air, causing hurricanes to spin counterclockwise in the Northern Hemisphere.',
+    errorPattern: null,
+    subject: 'weather-science',
+    difficulty: 'medium',
+    citation: 'https://oceanservice.noaa.gov/education/tutorial_currents/03conveyor2.html',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'weather-new-009',
+    text: 'Rainbows always appear in the same order of colors.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Rainbows always show ROYGBIV because different wavelengths of light refract at consistent angles.',
+    errorPattern: null,
+    subject: 'weather-science',
+    difficulty: 'easy',
+    citation: 'https://www.weather.gov/jetstream/rainbow',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'weather-new-010',
+    text: 'Opening windows during a tornado helps equalize pressure.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'This is a dangerous myth. Opening windows wastes time and allows more debris inside. Seek shelter instead.',
+    errorPattern: 'myth-perpetuation',
+    subject: 'weather-science',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'weather-new-011',
+    text: 'El Niño affects weather patterns globally.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'El Niño warming in the Pacific Ocean disrupts atmospheric circulation, affecting weather worldwide.',
+    errorPattern: null,
+    subject: 'weather-science',
+    difficulty: 'medium',
+    citation: 'https://www.climate.gov/enso',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'weather-new-012',
+    text: 'Thunder is caused by lightning heating the air.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Lightning superheats air to about 30,000 K, causing rapid expansion that creates a sonic shock wave - thunder.',
+    errorPattern: null,
+    subject: 'weather-science',
+    difficulty: 'medium',
+    citation: 'https://www.weather.gov/jetstream/lightning',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'weather-new-013',
+    text: 'The jet stream only affects airplane travel.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Jet streams influence weather patterns, storm tracks, and temperature changes across continents.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'weather-science',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'weather-new-014',
+    text: 'Dew forms when air temperature drops to the dew point.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'When air cools to its dew point, water vapor condenses into liquid droplets on surfaces.',
+    errorPattern: null,
+    subject: 'weather-science',
+    difficulty: 'medium',
+    citation: 'https://www.weather.gov/lmk/humidity',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'weather-new-015',
+    text: 'Hailstones are always spherical.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Hailstones can be irregular, spiky, or layered depending on how they form in thunderstorm updrafts.',
+    errorPattern: 'confident-specificity',
+    subject: 'weather-science',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'weather-new-016',
+    text: 'Red sky at night means good weather is coming.',
+    answer: 'MIXED',
+    source: 'expert-sourced',
+    explanation: 'This saying has some validity in mid-latitudes where weather moves west to east, but it\'s not always reliable.',
+    errorPattern: null,
+    subject: 'weather-science',
+    difficulty: 'hard',
+    citation: 'https://www.loc.gov/everyday-mysteries/meteorology-climatology/item/is-the-old-adage-red-sky-at-night-sailors-delight-true/',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'weather-new-017',
+    text: 'Cold air can hold more moisture than warm air.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Warm air holds more water vapor. This is why summer air feels more humid than winter air.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'weather-science',
+    difficulty: 'hard',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'weather-new-018',
+    text: 'Barometric pressure changes can indicate weather changes.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Falling pressure often indicates approaching storms, while rising pressure suggests improving weather.',
+    errorPattern: null,
+    subject: 'weather-science',
+    difficulty: 'hard',
+    citation: 'https://www.weather.gov/jetstream/pressure',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'weather-new-019',
+    text: 'Fog is a cloud at ground level.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Fog and clouds are both composed of tiny water droplets. Fog simply forms at or near Earth\'s surface.',
+    errorPattern: null,
+    subject: 'weather-science',
+    difficulty: 'easy',
+    citation: 'https://www.weather.gov/jetstream/fog',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'weather-new-020',
+    text: 'Microburst winds can exceed tornado wind speeds.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Microbursts can produce winds over 150 mph, comparable to strong tornadoes. They\'re extremely dangerous.',
+    errorPattern: null,
+    subject: 'weather-science',
+    difficulty: 'hard',
+    citation: 'https://www.weather.gov/lmk/microburst',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'weather-new-021',
+    text: 'It can be too cold to snow.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Very cold air holds little moisture, making heavy snowfall rare at extremely low temperatures.',
+    errorPattern: null,
+    subject: 'weather-science',
+    difficulty: 'medium',
+    citation: 'https://www.weather.gov/safety/cold-precip',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'weather-new-022',
+    text: 'All hurricanes rotate counterclockwise.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Only Northern Hemisphere hurricanes rotate counterclockwise. In the Southern Hemisphere, they spin clockwise.',
+    errorPattern: 'confident-specificity',
+    subject: 'weather-science',
+    difficulty: 'medium',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'weather-new-023',
+    text: 'The stratosphere is warmer at higher altitudes.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The ozone layer in the stratosphere absorbs UV radiation, warming the upper stratosphere.',
+    errorPattern: null,
+    subject: 'weather-science',
+    difficulty: 'hard',
+    citation: 'https://www.noaa.gov/jetstream/atmosphere',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'weather-new-024',
+    text: 'Wind is caused by differences in air pressure.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'Air moves from high pressure to low pressure areas, creating wind. Greater differences mean stronger winds.',
+    errorPattern: null,
+    subject: 'weather-science',
+    difficulty: 'easy',
+    citation: 'https://www.weather.gov/jetstream/wind',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'weather-new-025',
+    text: 'Blizzards require both heavy snow and high winds.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'A blizzard is defined by sustained winds over 35 mph with falling or blowing snow reducing visibility.',
+    errorPattern: null,
+    subject: 'weather-science',
+    difficulty: 'easy',
+    citation: 'https://www.weather.gov/safety/winter-blizzard',
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  },
+  {
+    id: 'weather-new-026',
+    text: 'Weather and climate are the same thing.',
+    answer: 'FALSE',
+    source: 'ai-generated',
+    explanation: 'Weather is short-term atmospheric conditions. Climate is the long-term average of weather patterns.',
+    errorPattern: 'plausible-adjacency',
+    subject: 'weather-science',
+    difficulty: 'easy',
+    citation: null,
+    lastVerified: '2024-12-01',
+    reviewedBy: ['content-team']
+  }
+];
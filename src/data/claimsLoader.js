@@ -1,68 +1,208 @@
 /**
  * CLAIMS DATABASE LOADER
- * Lazy-loads the claims database for code-splitting
- * The claims database is ~375KB and should not be in the main bundle
+ * Lazy-loads the claims database one subject chunk at a time
+ *
+ * claimsIndex.json (in the main bundle) lists every subject's chunk, claim IDs and
+ * difficulty / grade level / answer counts. A game downloads only the chunks for its
+ * subjects; each chunk is cached in memory and in IndexedDB (services/claimsStore.js)
+ * so later sessions skip the network. Run `npm run claims:index` after editing
+ * src/data/claims/.
+ *
+ * Claims from enabled claim packs (services/claimPacks.js) are merged in on every
+ * load, so installing or disabling a pack takes effect in the next game.
  */
 
-let claimsCache = null;
-let claimsPromise = null;
+import CLAIMS_INDEX from './claimsIndex.json';
+import { ClaimPacks } from '../services/claimPacks';
+import { ClaimsStore } from '../services/claimsStore';
+import { logger } from '../utils/logger';
+import { resolveSubjectId, claimMatchesStandards, getSubjectsForStandards } from './subjects';
+
+const CHUNK_MODULES = import.meta.glob('./claims/*.js', { import: 'default' });
+const INDEXED_SUBJECTS = Object.keys(CLAIMS_INDEX.subjects);
+const BUILT_IN_IDS = new Set(INDEXED_SUBJECTS.flatMap(subject => CLAIMS_INDEX.subjects[subject].ids));
+
+const chunkCache = new Map(); // chunk name -> claims
+const chunkPromises = new Map(); // chunk name -> in-flight load
 
 /**
- * Lazy-load the claims database
- * Uses caching to avoid repeated loads
- * @returns {Promise<Array>} Claims database
+ * The claims index manifest
+ * @returns {{version: number, subjects: Object}} See utils/claimsIndex.js
  */
-export async function loadClaimsDatabase() {
-  // Return cached claims if already loaded
-  if (claimsCache) {
-    return claimsCache;
-  }
+export function getClaimsIndex() {
+  return CLAIMS_INDEX;
+}
 
-  // Return existing promise if currently loading
-  if (claimsPromise) {
-    return claimsPromise;
-  }
+/**
+ * Filter claims by grade level, difficulty, subject, standards, error pattern and excluded IDs
+ * @param {Array} claims - Claims to filter
+ * @param {Object} filters - { gradeLevel, difficulty, subject, standards, errorPattern, excludeIds }
+ *   subject may be a registry id or an older display name; standards keeps claims
+ *   covering any of the codes (see subjects.js); errorPattern is an AI_ERROR_PATTERNS id
+ * @returns {Array} Filtered claims
+ */
+export function filterClaims(claims, filters = {}) {
+  const { gradeLevel, difficulty, subject, standards = [], errorPattern, excludeIds = [] } = filters;
+  const excludeSet = new Set(excludeIds);
+  const subjectId = subject ? resolveSubjectId(subject) : null;
+
+  return claims.filter(claim => {
+    // Exclude already-seen claims
+    if (excludeSet.has(claim.id)) return false;
+
+    // Grade level filter (claims without gradeLevel default to 'middle')
+    if (gradeLevel) {
+      const claimLevel = claim.gradeLevel || 'middle';
+      if (claimLevel !== gradeLevel) return false;
+    }
 
-  // Start loading
-  claimsPromise = import('./claims.js')
-    .then(module => {
-      claimsCache = module.CLAIMS_DATABASE;
-      claimsPromise = null;
-      return claimsCache;
+    // Difficulty filter
+    if (difficulty && claim.difficulty !== difficulty) return false;
+
+    // Subject filter
+    if (subjectId && resolveSubjectId(claim.subject) !== subjectId) return false;
+
+    // Standards filter
+    if (!claimMatchesStandards(claim, standards)) return false;
+
+    // Error pattern filter
+    if (errorPattern && claim.errorPattern !== errorPattern) return false;
+
+    return true;
+  });
+}
+
+/**
+ * Add enabled pack claims, skipping IDs the built-in claims already use
+ * @param {Array} builtIn - Built-in claims
+ * @param {Array<string>} subjects - Only add pack claims for these subjects (empty = all)
+ * @returns {Array} Combined claims (builtIn itself when no pack claims apply)
+ */
+function withPackClaims(builtIn, subjects = []) {
+  const packClaims = ClaimPacks.getActiveClaims()
+    .filter(claim => subjects.length === 0 || subjects.includes(resolveSubjectId(claim.subject)));
+  if (packClaims.length === 0) return builtIn;
+
+  const ids = new Set(BUILT_IN_IDS);
+  const added = packClaims.filter(claim => {
+    if (ids.has(claim.id)) {
+      logger.warn(`Claim pack ${claim.packId} reuses claim id ${claim.id}; keeping the first one`);
+      return false;
+    }
+    ids.add(claim.id);
+    return true;
+  });
+  return [...builtIn, ...added];
+}
+
+/**
+ * Load one subject's chunk: memory, then IndexedDB, then the network
+ * @param {string} subject - Indexed subject
+ * @returns {Promise<Array>} The subject's claims
+ */
+function loadSubjectChunk(subject) {
+  const { chunk, hash } = CLAIMS_INDEX.subjects[subject];
+  if (chunkCache.has(chunk)) return Promise.resolve(chunkCache.get(chunk));
+  if (chunkPromises.has(chunk)) return chunkPromises.get(chunk);
+
+  const promise = ClaimsStore.get(chunk, hash)
+    .then(async stored => {
+      if (stored) return stored;
+      const claims = await CHUNK_MODULES[`./claims/${chunk}.js`]();
+      ClaimsStore.put(chunk, hash, claims);
+      return claims;
+    })
+    .then(claims => {
+      chunkCache.set(chunk, claims);
+      chunkPromises.delete(chunk);
+      return claims;
     })
     .catch(error => {
-      claimsPromise = null;
+      chunkPromises.delete(chunk);
       throw new Error(`Failed to load claims database: ${error.message}`);
     });
 
-  return claimsPromise;
+  chunkPromises.set(chunk, promise);
+  return promise;
+}
+
+/**
+ * Lazy-load built-in claims for some subjects
+ * @param {Array<string>} subjects - Subject ids to load (empty = all)
+ * @returns {Promise<Array>} Claims in index order
+ */
+async function loadBuiltInClaims(subjects = []) {
+  const wanted = subjects.length > 0
+    ? INDEXED_SUBJECTS.filter(subject => subjects.includes(subject))
+    : INDEXED_SUBJECTS;
+  const chunks = await Promise.all(wanted.map(loadSubjectChunk));
+  return chunks.flat();
+}
+
+/**
+ * Lazy-load the claims database, including enabled claim packs
+ * Only the chunks for the given subjects are downloaded.
+ * @param {Array<string>} subjects - Subject ids or names to load (empty = all)
+ * @param {Object} [options]
+ * @param {boolean} [options.includePacks=true] - Add claims from packs enabled on this device
+ *   (seeded games leave them out so every device gets the same pool)
+ * @returns {Promise<Array>} Claims for those subjects
+ */
+export async function loadClaimsDatabase(subjects = [], { includePacks = true } = {}) {
+  const wanted = (subjects || []).map(resolveSubjectId);
+  const builtIn = await loadBuiltInClaims(wanted);
+  return includePacks ? withPackClaims(builtIn, wanted) : builtIn;
 }
 
 /**
- * Load filtered claims by grade level
- * @param {Object} filters - Filter options
+ * Load filtered claims, including enabled claim packs
+ * Uses the index to skip chunks with no claims for the grade level or difficulty,
+ * and the subject registry to skip subjects outside the requested standards.
+ * @param {Object} filters - { gradeLevel, difficulty, subject, standards, errorPattern, excludeIds }
+ * @param {Object} [options]
+ * @param {boolean} [options.includePacks=true] - Add claims from packs enabled on this device
  * @returns {Promise<Array>} Filtered claims
  */
-export async function loadFilteredClaims(filters) {
-  const module = await import('./claims.js');
-  return module.getFilteredClaims(filters);
+export async function loadFilteredClaims(filters = {}, { includePacks = true } = {}) {
+  const { gradeLevel, difficulty, subject, standards = [] } = filters;
+  const subjectId = subject ? resolveSubjectId(subject) : null;
+  const standardSubjects = standards.length > 0 ? getSubjectsForStandards(standards) : null;
+  const subjects = INDEXED_SUBJECTS.filter(id => {
+    const entry = CLAIMS_INDEX.subjects[id];
+    if (subjectId && id !== subjectId) return false;
+    if (standardSubjects && !standardSubjects.includes(id)) return false;
+    if (gradeLevel && !entry.gradeLevel[gradeLevel]) return false;
+    if (difficulty && !entry.difficulty[difficulty]) return false;
+    return true;
+  });
+
+  const builtIn = subjects.length > 0 ? await loadBuiltInClaims(subjects) : [];
+  return filterClaims(
+    includePacks ? withPackClaims(builtIn, subjectId ? [subjectId] : standardSubjects || []) : builtIn,
+    filters
+  );
 }
 
 /**
  * Check if claims are already loaded (for optimization)
+ * @param {Array<string>} subjects - Subjects to check (empty = all)
  * @returns {boolean}
  */
-export function areClaimsLoaded() {
-  return claimsCache !== null;
+export function areClaimsLoaded(subjects = []) {
+  const wanted = subjects.length > 0 ? subjects.map(resolveSubjectId) : INDEXED_SUBJECTS;
+  return wanted
+    .filter(subject => CLAIMS_INDEX.subjects[subject])
+    .every(subject => chunkCache.has(CLAIMS_INDEX.subjects[subject].chunk));
 }
 
 /**
- * Preload claims database (for optimization during setup phase)
+ * Preload claims (for optimization during setup phase)
  * Call this when user is on setup screen to load claims in background
+ * @param {Array<string>} subjects - Subjects to preload (empty = all)
  */
-export function preloadClaims() {
-  if (!claimsCache && !claimsPromise) {
-    loadClaimsDatabase().catch(() => {
+export function preloadClaims(subjects = []) {
+  if (!areClaimsLoaded(subjects)) {
+    loadBuiltInClaims(subjects.map(resolveSubjectId)).catch(() => {
       // Ignore errors during preload - will retry when actually needed
     });
   }
@@ -0,0 +1,125 @@
+/**
+ * Claims Loader Tests
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { CLAIMS_DATABASE } from './claims';
+import CLAIMS_INDEX from './claimsIndex.json';
+
+vi.mock('../services/claimPacks', () => ({
+  ClaimPacks: { getActiveClaims: vi.fn(() => []) }
+}));
+
+vi.mock('../services/claimsStore', () => ({
+  ClaimsStore: {
+    get: vi.fn(() => Promise.resolve(null)),
+    put: vi.fn(() => Promise.resolve(true))
+  }
+}));
+
+const packClaim = { id: 'u3-eco-001', subject: 'biology', unit: 'plants-and-animals', difficulty: 'easy', gradeLevel: 'high', answer: 'TRUE', packId: 'unit-3' };
+
+describe('claimsLoader', () => {
+  let loader;
+  let ClaimPacks;
+  let ClaimsStore;
+
+  // Fresh module per test so the in-memory chunk cache starts empty
+  beforeEach(async () => {
+    vi.resetModules();
+    vi.clearAllMocks();
+    loader = await import('./claimsLoader');
+    ({ ClaimPacks } = await import('../services/claimPacks'));
+    ({ ClaimsStore } = await import('../services/claimsStore'));
+    ClaimPacks.getActiveClaims.mockReturnValue([]);
+    ClaimsStore.get.mockResolvedValue(null);
+  });
+
+  it('loads every built-in claim when no subjects are given', async () => {
+    expect(await loader.loadClaimsDatabase()).toEqual(CLAIMS_DATABASE);
+  });
+
+  it('loads only the chunks for the requested subjects', async () => {
+    const claims = await loader.loadClaimsDatabase(['physics']);
+    expect(claims).toHaveLength(CLAIMS_INDEX.subjects.physics.count);
+    expect(claims.every(c => c.subject === 'physics')).toBe(true);
+    expect(ClaimsStore.get).toHaveBeenCalledTimes(1);
+    expect(loader.areClaimsLoaded(['physics'])).toBe(true);
+    expect(loader.areClaimsLoaded()).toBe(false);
+  });
+
+  it('accepts older subject names', async () => {
+    const claims = await loader.loadClaimsDatabase(['Physics']);
+    expect(claims).toHaveLength(CLAIMS_INDEX.subjects.physics.count);
+    expect(loader.areClaimsLoaded(['Physics'])).toBe(true);
+  });
+
+  it('saves downloaded chunks and reuses them from memory', async () => {
+    const first = await loader.loadClaimsDatabase(['physics']);
+    const { chunk, hash } = CLAIMS_INDEX.subjects.physics;
+    expect(ClaimsStore.put).toHaveBeenCalledWith(chunk, hash, first);
+
+    await loader.loadClaimsDatabase(['physics']);
+    expect(ClaimsStore.get).toHaveBeenCalledTimes(1);
+  });
+
+  it('uses chunks cached in IndexedDB', async () => {
+    const cached = [{ id: 'cached-1', subject: 'sports' }];
+    ClaimsStore.get.mockResolvedValue(cached);
+
+    expect(await loader.loadClaimsDatabase(['sports'])).toEqual(cached);
+    expect(ClaimsStore.get).toHaveBeenCalledWith(CLAIMS_INDEX.subjects.sports.chunk, CLAIMS_INDEX.subjects.sports.hash);
+    expect(ClaimsStore.put).not.toHaveBeenCalled();
+  });
+
+  it('merges claims from enabled packs', async () => {
+    ClaimPacks.getActiveClaims.mockReturnValue([packClaim]);
+    const claims = await loader.loadClaimsDatabase();
+    expect(claims).toHaveLength(CLAIMS_DATABASE.length + 1);
+    expect(claims[claims.length - 1]).toBe(packClaim);
+
+    const physics = await loader.loadClaimsDatabase(['physics']);
+    expect(physics).not.toContain(packClaim);
+  });
+
+  it('leaves out pack claims when asked to', async () => {
+    ClaimPacks.getActiveClaims.mockReturnValue([packClaim]);
+    expect(await loader.loadClaimsDatabase([], { includePacks: false })).toEqual(CLAIMS_DATABASE);
+    expect(await loader.loadFilteredClaims({ subject: 'biology' }, { includePacks: false })).not.toContain(packClaim);
+  });
+
+  it('keeps built-in claims when a pack reuses their id', async () => {
+    ClaimPacks.getActiveClaims.mockReturnValue([{ ...packClaim, id: CLAIMS_DATABASE[0].id }]);
+    expect(await loader.loadClaimsDatabase()).toHaveLength(CLAIMS_DATABASE.length);
+  });
+
+  describe('loadFilteredClaims', () => {
+    it('applies filters to pack claims too', async () => {
+      ClaimPacks.getActiveClaims.mockReturnValue([packClaim]);
+      const claims = await loader.loadFilteredClaims({ gradeLevel: 'high', subject: 'biology' });
+      expect(claims).toContain(packClaim);
+      expect(claims.every(c => c.gradeLevel === 'high' && c.subject === 'biology')).toBe(true);
+    });
+
+    it('keeps claims covering the requested standards', async () => {
+      const claims = await loader.loadFilteredClaims({ standards: ['MS-PS4'] });
+      expect(claims.length).toBeGreaterThan(0);
+      expect(claims.every(c => c.subject === 'physics' && c.unit === 'waves-and-light')).toBe(true);
+      expect(ClaimsStore.get).toHaveBeenCalledTimes(1);
+    });
+
+    it('skips chunks with no claims at the grade level', async () => {
+      const claims = await loader.loadFilteredClaims({ gradeLevel: 'college' });
+      const collegeSubjects = Object.values(CLAIMS_INDEX.subjects).filter(entry => entry.gradeLevel.college > 0);
+
+      expect(ClaimsStore.get).toHaveBeenCalledTimes(collegeSubjects.length);
+      expect(claims).toHaveLength(collegeSubjects.reduce((sum, entry) => sum + entry.gradeLevel.college, 0));
+    });
+
+    it('keeps claims with the requested error pattern', async () => {
+      const claims = await loader.loadFilteredClaims({ errorPattern: 'myth-perpetuation' });
+      expect(claims).toHaveLength(CLAIMS_DATABASE.filter(c => c.errorPattern === 'myth-perpetuation').length);
+      expect(claims.length).toBeGreaterThan(0);
+    });
+  });
+});
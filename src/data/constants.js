@@ -41,6 +41,12 @@ export const ENCOURAGEMENTS = {
     'The best learners make mistakes!',
     'Stay curious, keep questioning!'
   ],
+  nearMiss: [
+    'So close! You were partly right.',
+    'Almost! Look for the part you missed.',
+    'Half right - nuance matters!',
+    'Close call! Partial credit earned.'
+  ],
   streak: [
     '2 in a row! Keep it up!',
     "3 in a row! You're on fire! 🔥",
@@ -50,6 +56,17 @@ export const ENCOURAGEMENTS = {
   ]
 };
 
+/**
+ * Partial credit for near-miss verdicts
+ * Verdicts sit on a TRUE - MIXED - FALSE scale. A verdict one step from the answer
+ * (e.g. MIXED on a FALSE claim) earns NEAR_MISS of the way from the wrong-answer
+ * payout to the right-answer payout; TRUE vs FALSE earns no credit.
+ */
+export const PARTIAL_CREDIT = {
+  VERDICT_SCALE: ['TRUE', 'MIXED', 'FALSE'],
+  NEAR_MISS: 0.5
+};
+
 /**
  * Scoring matrix for confidence levels
  * Maps confidence level to points earned/lost for correct/incorrect answers
@@ -60,6 +77,34 @@ export const POINTS_MATRIX = {
   3: { correct: 5, incorrect: -6 }
 };
 
+/**
+ * Stated probability of being correct for each confidence level
+ * Used to score calibration (Brier score, log loss) against actual accuracy
+ */
+export const CONFIDENCE_PROBABILITIES = {
+  1: 0.5,
+  2: 0.75,
+  3: 0.95
+};
+
+/**
+ * Probability confidence mode (optional, enabled per class)
+ * Students state a 50-99% chance of being right instead of picking a level.
+ * Scored by a proper scoring rule: points = scale × (score − score at 50%),
+ * so a coin-flip guess is worth 0 and honest reporting maximizes expected points.
+ */
+export const PROBABILITY_CONFIDENCE = {
+  MIN: 0.5,
+  MAX: 0.99,
+  STEP: 0.01,
+  DEFAULT: 0.7,
+  DEFAULT_RULE: 'quadratic',
+  RULES: {
+    quadratic: { label: 'Quadratic (Brier)', scale: 20 },
+    logarithmic: { label: 'Logarithmic', scale: 7 }
+  }
+};
+
 /**
  * Difficulty multipliers for scoring
  */
@@ -67,7 +112,8 @@ export const DIFFICULTY_MULTIPLIERS = {
   easy: 1,
   medium: 1.5,
   hard: 2,
-  mixed: 1
+  mixed: 1,
+  adaptive: 1
 };
 
 // Timing Constants
@@ -103,7 +149,27 @@ export const SPEED_BONUS = {
     { threshold: 0.35, multiplier: 1.5,  tier: 'very-fast',       icon: '🔥',   label: 'VERY FAST!' },
     { threshold: 0.50, multiplier: 1.25, tier: 'fast',            icon: '💨',   label: 'FAST!' },
     { threshold: 0.75, multiplier: 1.1,  tier: 'quick',           icon: '⏱️',  label: 'QUICK!' }
-  ]
+  ],
+  // Reference time the tiers are measured against (class setting speedBonusBaseline)
+  BASELINES: {
+    fixed: {
+      label: 'Round timer',
+      description: 'Tiers are a share of the round timer. Fast readers earn the most.'
+    },
+    'personal-median': {
+      label: 'Personal median',
+      description: "Tiers compare each answer to the player's own typical response time."
+    },
+    'word-count': {
+      label: 'Claim length',
+      description: "Tiers scale with the claim's word count, using the player's usual seconds per word."
+    }
+  },
+  DEFAULT_BASELINE: 'fixed',
+  HISTORY_SIZE: 50,          // Rolling window of response times kept in the player profile
+  MIN_HISTORY: 5,            // Rounds needed before adaptive baselines replace the round timer
+  MEDIAN_SCALE: 2,           // Adaptive window = 2x typical time, so a typical answer sits at the 50% tier
+  MIN_BASELINE_SECONDS: 10   // Floor so very fast histories don't make tiers unreachable
 };
 
 // Anti-Cheating Configuration - ZERO TOLERANCE
@@ -119,6 +185,75 @@ export const ANTI_CHEAT = {
   PAUSE_ON_TAB_SWITCH: true
 };
 
+/**
+ * Named scoring profiles, resolved at runtime by calculatePoints
+ * - pointsMatrix / difficultyMultipliers: base points and difficulty scaling
+ * - speedBonus: whether SPEED_BONUS tiers apply
+ * - forfeitPenalty: points for a timed-out or tab-switch round
+ * - minRoundPoints: floor for a round's points (null = no floor)
+ * - hintCostMultiplier: scales HINT_TYPES costs (0 = hints are free)
+ */
+export const SCORING_PROFILES = {
+  classic: {
+    id: 'classic',
+    name: 'Classic',
+    description: 'Higher confidence risks more. Fast answers earn a bonus.',
+    icon: '🎯',
+    pointsMatrix: POINTS_MATRIX,
+    difficultyMultipliers: DIFFICULTY_MULTIPLIERS,
+    speedBonus: true,
+    forfeitPenalty: ANTI_CHEAT.FORFEIT_PENALTY,
+    minRoundPoints: null,
+    hintCostMultiplier: 1
+  },
+  'no-speed': {
+    id: 'no-speed',
+    name: 'No speed bonus',
+    description: 'Classic points, but no reward for answering quickly.',
+    icon: '🐢',
+    pointsMatrix: POINTS_MATRIX,
+    difficultyMultipliers: DIFFICULTY_MULTIPLIERS,
+    speedBonus: false,
+    forfeitPenalty: ANTI_CHEAT.FORFEIT_PENALTY,
+    minRoundPoints: null,
+    hintCostMultiplier: 1
+  },
+  'calibration-first': {
+    id: 'calibration-first',
+    name: 'Calibration-first',
+    description: 'Symmetric penalties: wrong costs exactly what right earns. No speed bonus.',
+    icon: '⚖️',
+    pointsMatrix: {
+      1: { correct: 1, incorrect: -1 },
+      2: { correct: 3, incorrect: -3 },
+      3: { correct: 5, incorrect: -5 }
+    },
+    difficultyMultipliers: DIFFICULTY_MULTIPLIERS,
+    speedBonus: false,
+    forfeitPenalty: -5,
+    minRoundPoints: null,
+    hintCostMultiplier: 1
+  },
+  gentle: {
+    id: 'gentle',
+    name: 'Gentle',
+    description: 'No negative points. Wrong answers and forfeits score 0, and hints are free.',
+    icon: '🌱',
+    pointsMatrix: {
+      1: { correct: 1, incorrect: 0 },
+      2: { correct: 3, incorrect: 0 },
+      3: { correct: 5, incorrect: 0 }
+    },
+    difficultyMultipliers: DIFFICULTY_MULTIPLIERS,
+    speedBonus: true,
+    forfeitPenalty: 0,
+    minRoundPoints: 0,
+    hintCostMultiplier: 0
+  }
+};
+
+export const DEFAULT_SCORING_PROFILE = 'classic';
+
 /**
  * Difficulty configuration
  */
@@ -158,6 +293,15 @@ export const DIFFICULTY_CONFIG = {
     pointMultiplier: 1,
     color: 'var(--accent-violet)',
     icon: '📈'
+  },
+  adaptive: {
+    name: 'Adaptive',
+    description: 'Picks claims matched to your skill rating',
+    discussTime: 120,
+    stakeTime: 30,
+    pointMultiplier: 1,
+    color: 'var(--accent-cyan)',
+    icon: '🎯'
   }
 };
 
@@ -168,7 +312,216 @@ export const DIFFICULTY_BG_COLORS = {
   easy: 'rgba(52, 211, 153, 0.2)',
   medium: 'rgba(251, 191, 36, 0.2)',
   hard: 'rgba(251, 113, 133, 0.2)',
-  mixed: 'rgba(167, 139, 250, 0.2)'
+  mixed: 'rgba(167, 139, 250, 0.2)',
+  adaptive: 'rgba(34, 211, 238, 0.2)'
+};
+
+/**
+ * Skill ratings for adaptive difficulty (see utils/ratings.js)
+ * Elo scale: a 400-point gap means the stronger side wins ~10:1
+ */
+export const RATINGS = {
+  INITIAL_RATING: 1000,
+  CLAIM_SEEDS: { easy: 850, medium: 1000, hard: 1150 }, // Starting claim ratings from static labels
+  SCALE: 400,
+  K_PLAYER: 24,
+  K_PROVISIONAL: 48,        // Faster player updates for the first PROVISIONAL_ROUNDS rounds
+  PROVISIONAL_ROUNDS: 15,
+  K_CLAIM: 12,
+  SELECTION_WINDOW: 75,     // Claims within this many points of each other count as equally good matches
+  DEFAULT_TARGET_SUCCESS: 0.7,
+  TARGET_SUCCESS_OPTIONS: [0.6, 0.7, 0.8],
+  MAX_LOCAL_CLAIMS: 1000,   // Claim ratings kept in the player profile
+  MAX_CLASS_CLAIMS: 5000,   // Claim and team ratings kept per class (firestore.rules caps classRatings at these)
+  MAX_CLASS_TEAMS: 200
+};
+
+/**
+ * Spaced repetition review queue (see utils/spacedRepetition.js)
+ * Leitner boxes: a missed claim enters box 1, each correct review moves it up a box
+ * and waits longer before the next review, and a miss sends it back to box 1.
+ * Answering correctly from the last box retires the claim from the queue.
+ */
+export const SPACED_REPETITION = {
+  BOX_INTERVALS_DAYS: [1, 3, 7, 14, 30], // Days until the next review, by box (box 1 first)
+  REVIEW_SHARE: 0.5,        // Up to this fraction of a Review game comes from due claims
+  MAX_QUEUE_SIZE: 200       // Claims kept in the player profile's review queue
+};
+
+/**
+ * Claim selection balance (see utils/selectionBalance.js)
+ * Each game aims for a mix of answers, AI vs expert sources, and AI error patterns,
+ * so "it's usually FALSE" stops being a winning strategy. Teachers can change the
+ * targets per class (class settings answerMix, aiSourceShare, maxPerErrorPattern).
+ */
+export const SELECTION_BALANCE = {
+  DEFAULT_ANSWER_MIX: { TRUE: 40, FALSE: 40, MIXED: 20 }, // Relative weights, scaled to the game length
+  DEFAULT_AI_SHARE: 0.5,            // Share of claims with source 'ai-generated'
+  AI_SHARE_OPTIONS: [0.3, 0.5, 0.7],
+  DEFAULT_MAX_PER_ERROR_PATTERN: 1, // Claims per AI error pattern in one game (0 = no limit)
+  MAX_PER_ERROR_PATTERN_OPTIONS: [1, 2, 0],
+  // When no claim fits every target, the lowest total penalty wins
+  PENALTIES: { answer: 8, seen: 4, errorPattern: 2, source: 1 }
+};
+
+/**
+ * Error-pattern practice games (see utils/patternPractice.js)
+ * Claims tagged with the chosen AI_ERROR_PATTERNS plus TRUE controls from the same
+ * subjects, so "always say FALSE" doesn't work. Mastery is judged on lifetime results.
+ */
+export const PATTERN_PRACTICE = {
+  CONTROL_SHARE: 0.4,       // Share of a practice game that is TRUE controls
+  MASTERY: {
+    MIN_ATTEMPTS: 3,        // Pattern claims seen before a mastery level is shown
+    MASTERED: 0.8,          // Lifetime catch rate for "Mastered"
+    DEVELOPING: 0.5         // Lifetime catch rate for "Developing"
+  },
+  LEVELS: {
+    mastered: { label: 'Mastered', icon: '🏆', color: 'var(--correct)' },
+    developing: { label: 'Developing', icon: '📈', color: 'var(--accent-amber)' },
+    'needs-practice': { label: 'Needs practice', icon: '🔁', color: 'var(--incorrect)' },
+    new: { label: 'Just started', icon: '🌱', color: 'var(--text-muted)' }
+  }
+};
+
+/**
+ * Shareable game codes (see utils/gameCode.js)
+ * A code packs the shuffle seed, difficulty, subjects and rounds so every team that
+ * enters it plays the same claims in the same order, e.g. "09KYZ-H00004004Y".
+ * Crockford base32: no I, L, O or U, so codes are easy to read off a projector.
+ */
+export const GAME_CODE = {
+  ALPHABET: '0123456789ABCDEFGHJKMNPQRSTVWXYZ',
+  VERSION: 0,
+  DIFFICULTIES: ['mixed', 'easy', 'medium', 'hard'], // Order is part of the code format - append only
+  SEED_BITS: 20,
+  SUBJECT_CHARS: 8, // Fixed width, room for 40 subjects
+  MAX_ROUNDS: 20
+};
+
+/**
+ * Claim translations (see utils/claimLocale.js)
+ * Claims are written in SOURCE_LANGUAGE; claim.translations.<language> holds the
+ * translated text and explanation with its review status. Players see a translation
+ * whatever its status; the status tells teachers and reviewers what still needs checking.
+ */
+export const CLAIM_TRANSLATIONS = {
+  SOURCE_LANGUAGE: 'en',
+  STATUSES: ['machine', 'draft', 'reviewed'] // machine = unedited machine translation
+};
+
+/**
+ * "Spot the tell": tapping the phrase where a claim's error lives (see utils/errorSpans.js)
+ * Offered on every claim so its presence doesn't give the answer away; only claims with
+ * errorSpans can award the bonus.
+ */
+export const SPOT_THE_TELL = {
+  BONUS_POINTS: 2
+};
+
+/**
+ * Lateral-reading source cards (see components/SourceCards.jsx)
+ * claim.sources holds simulated documents - search results, About pages, articles -
+ * that students can open before voting. Each card's reliability is shown with the answer.
+ */
+export const SOURCE_CARDS = {
+  MIN_CARDS: 2,
+  MAX_CARDS: 5,
+  KINDS: {
+    'search-results': { name: 'Search Results', icon: '🔎' },
+    'about-page': { name: 'About Page', icon: '🏢' },
+    encyclopedia: { name: 'Encyclopedia', icon: '📖' },
+    news: { name: 'News Article', icon: '📰' },
+    'social-post': { name: 'Social Post', icon: '💬' },
+    'fact-check': { name: 'Fact Check', icon: '✅' }
+  },
+  RELIABILITY: {
+    high: { name: 'Trustworthy', color: 'var(--correct)' },
+    mixed: { name: 'Use with care', color: 'var(--accent-amber)' },
+    low: { name: 'Unreliable', color: 'var(--incorrect)' }
+  }
+};
+
+/**
+ * Numeric estimation rounds (see utils/estimation.js)
+ * Students give a low-high range they are 80% or 90% sure contains the answer.
+ * Scored by the interval score relative to the answer: the range's width plus
+ * 2/(1 - level) times how far the answer fell outside it. Base points run from
+ * MAX_POINTS for a tight range that catches the answer down to MIN_POINTS, and
+ * an honest range at the stated level maximizes expected points.
+ */
+export const ESTIMATION = {
+  LEVELS: [0.8, 0.9],
+  DEFAULT_LEVEL: 0.9,
+  MAX_POINTS: 3,
+  MIN_POINTS: -3,
+  POINTS_PER_SCORE: 2,      // Points lost per unit of interval score (1 = a range as wide as the answer)
+  HIT_RATE_TOLERANCE: 0.1,  // Hit rate within this of the level counts as well calibrated
+  MIN_CALIBRATION_ROUNDS: 5 // Ranges at a level needed before judging its hit rate
+};
+
+/**
+ * Round formats a game can be played in, picked on the setup screen
+ * Shared game codes always play verdict rounds, since the code only carries verdict claims.
+ */
+export const ROUND_FORMATS = {
+  verdict: {
+    name: 'True or False?',
+    icon: '⚖️',
+    description: 'Judge each claim TRUE, FALSE or MIXED and stake confidence on it'
+  },
+  estimate: {
+    name: 'Estimation',
+    icon: '📏',
+    description: "Guess numbers with a range you're 80% or 90% sure of - tight ranges that catch the answer score best"
+  },
+  pair: {
+    name: 'Which is AI?',
+    icon: '🤖',
+    description: 'See two claims on the same topic and pick the AI-generated one'
+  }
+};
+
+export const DEFAULT_ROUND_FORMAT = 'verdict';
+
+/**
+ * "Which is AI?" pair rounds (see utils/claimPairs.js)
+ * The source check would give the answer away, so only these hints are offered.
+ */
+export const PAIR_ROUNDS = {
+  HINTS: ['subject-hint']
+};
+
+/**
+ * "Fix the claim" rewrites (see components/RewriteGrading.jsx)
+ * After a FALSE or MIXED verdict, students can rewrite the claim so it becomes true.
+ * Rewrites go to the class for teacher review: each rubric criterion is scored
+ * 0 to MAX_LEVEL and the total is shown as a bonus beside the team's game score.
+ */
+export const CLAIM_REWRITES = {
+  VERDICTS: ['FALSE', 'MIXED'],
+  MAX_LENGTH: 500,
+  MAX_LEVEL: 2,
+  LEVEL_NAMES: ['Not yet', 'Partly', 'Yes'],
+  RUBRIC: [
+    { id: 'accurate', name: 'Accurate', description: 'The rewritten claim is true as stated' },
+    { id: 'targeted', name: 'Fixes the error', description: 'It corrects the mistake in the original rather than saying something unrelated' },
+    { id: 'precise', name: 'Clear & precise', description: 'Specific wording, with numbers or qualifiers where the original overreached' }
+  ]
+};
+
+/**
+ * Claim quality linter (see utils/claimLint.js)
+ * READING_LEVEL holds the highest US school grade each gradeLevel's claims should
+ * need (null = no limit); a claim is flagged when its estimated reading grade is
+ * more than READING_LEVEL_TOLERANCE above it, since one-sentence estimates are rough.
+ */
+export const CLAIM_LINT = {
+  SEVERITIES: ['error', 'warning'],
+  EXPLANATION_LENGTH: { MIN: 40, MAX: 500 }, // Characters
+  MAX_VERIFIED_AGE_MONTHS: 24,
+  READING_LEVEL: { elementary: 5, middle: 8, high: 12, college: null },
+  READING_LEVEL_TOLERANCE: 3
 };
 
 /**
@@ -330,27 +683,3 @@ export const THRESHOLDS = {
   STREAK_LEGENDARY: 5,              // Streak count for legendary status
   ERROR_RETRY_MAX: 2                // Max component error retries before giving up
 };
-
-/**
- * Subject-specific hints
- */
-export const SUBJECT_HINTS = {
-  'Biology': 'Think about what you learned in life science class!',
-  'Physics': 'Consider the basic laws of how things move and interact.',
-  'Chemistry': 'Remember: matter, elements, and reactions.',
-  'History': 'Dates and places are often where errors hide.',
-  'Geography': 'Double-check locations and measurements.',
-  'Astronomy': 'Space facts often sound unbelievable but might be true!',
-  'Neuroscience': 'The brain is complex - be careful with percentages.',
-  'History of Science': 'Famous scientist stories often get embellished.',
-  'Marine Biology': 'Ocean creatures can be surprisingly strange!',
-  'Human Biology': 'Your own body can be surprising.',
-  'Animal Science': 'Animal facts are often exaggerated in myths.',
-  'Evolution': 'Think in millions of years, not thousands.',
-  'Botany': 'Plant classifications can be counterintuitive.',
-  'Weather Science': 'Weather phenomena are often misunderstood.',
-  'Mathematics': 'Big numbers can be hard to grasp.',
-  'Computer Science': 'Tech history has many misconceptions.',
-  'Biotechnology': 'Cutting-edge science dates matter.',
-  'Medical Science': 'Medical claims need careful scrutiny.'
-};
@@ -0,0 +1,68 @@
+/**
+ * AI ERROR PATTERNS
+ * Taxonomy of the mistakes AI-generated claims make
+ * Kept separate from the claims database so screens can list patterns without loading every claim
+ */
+
+/**
+ * Standardized Error Pattern Taxonomy
+ * Every AI-generated claim maps to exactly one pattern
+ */
+export const AI_ERROR_PATTERNS = [
+  {
+    id: 'confident-specificity',
+    name: 'Confident Specificity',
+    description: 'Precise numbers, dates, or measurements that sound authoritative but are fabricated or imprecise',
+    example: '"exactly 1,500 mph" or "2,200 match heads"',
+    teachingPoint: 'Be suspicious of overly precise numbers without citations'
+  },
+  {
+    id: 'plausible-adjacency',
+    name: 'Plausible Adjacency',
+    description: 'Almost-right terminology swaps that sound correct to non-experts',
+    example: '"photosynthesis" instead of "cellular respiration"',
+    teachingPoint: 'Similar-sounding terms may have very different meanings'
+  },
+  {
+    id: 'myth-perpetuation',
+    name: 'Myth Perpetuation',
+    description: 'Repeating common misconceptions as if they were facts',
+    example: 'Great Wall visible from space, Einstein failed math',
+    teachingPoint: 'Popular beliefs are not always true - verify claims'
+  },
+  {
+    id: 'timeline-compression',
+    name: 'Timeline Compression',
+    description: 'Events mashed together implausibly or with invented connections',
+    example: '"published that same day" or "immediately after"',
+    teachingPoint: 'Historical events rarely happen instantly'
+  },
+  {
+    id: 'geographic-fabrication',
+    name: 'Geographic/Factual Invention',
+    description: 'Made-up but plausible-sounding details about places, people, or events',
+    example: 'Amazon flowing through Argentina, wrong university names',
+    teachingPoint: 'Verify geographic and institutional claims'
+  },
+  {
+    id: 'false-causation',
+    name: 'False Causation',
+    description: 'Claiming one thing causes another without evidence',
+    example: '"Video games cause violence" or "Vaccines cause autism"',
+    teachingPoint: 'Correlation does not equal causation'
+  },
+  {
+    id: 'appeal-to-authority',
+    name: 'Appeal to Authority',
+    description: 'Citing experts or institutions that don\'t exist or didn\'t say that',
+    example: '"According to Harvard researchers..." (with no actual study)',
+    teachingPoint: 'Always verify the source actually exists and said what\'s claimed'
+  },
+  {
+    id: 'statistical-manipulation',
+    name: 'Statistical Manipulation',
+    description: 'Misusing percentages, averages, or sample sizes',
+    example: '"90% of doctors recommend..." (based on 10 doctors)',
+    teachingPoint: 'Look for sample size, methodology, and who funded the study'
+  }
+];
@@ -0,0 +1,338 @@
+/**
+ * ESTIMATION QUESTIONS
+ * Numeric questions answered with a low-high range instead of a verdict
+ *
+ * Each question has:
+ * - id: Unique identifier (format: est-subject-number)
+ * - type: 'estimate'
+ * - text: The question, naming the unit the answer is given in
+ * - estimate: { value, unit } - the accepted value and the unit shown with it
+ * - explanation: Where the value comes from, shown with the answer
+ * - subject: Subject id from the registry in subjects.js
+ * - difficulty: 'easy' | 'medium' | 'hard'
+ * - gradeLevel: 'elementary' | 'middle' | 'high' | 'college' (default: 'middle')
+ * - citation: Source URL or DOI (null for mathematical facts)
+ * - lastVerified: Date of last fact-check
+ *
+ * Prefer quantities with one well-established value. Ranges are scored relative to
+ * the value (see utils/estimation.js), so avoid calendar years and other values far
+ * from zero, where a range of a few centuries would still look tight.
+ */
+
+import { getSubject } from './subjects';
+
+export const ESTIMATION_QUESTIONS = [
+  {
+    id: 'est-geo-001',
+    type: 'estimate',
+    text: 'How tall is Mount Everest, in meters?',
+    estimate: { value: 8849, unit: 'm' },
+    explanation: 'A joint China-Nepal survey in 2020 measured Everest at 8,848.86 m above sea level.',
+    subject: 'geography',
+    difficulty: 'easy',
+    gradeLevel: 'middle',
+    citation: 'https://www.britannica.com/place/Mount-Everest',
+    lastVerified: '2026-10-19'
+  },
+  {
+    id: 'est-geo-002',
+    type: 'estimate',
+    text: 'How long is the Nile River, in kilometers?',
+    estimate: { value: 6650, unit: 'km' },
+    explanation: 'The Nile is about 6,650 km long. River lengths depend on where the source is taken to be, which is why some sources give slightly different figures.',
+    subject: 'geography',
+    difficulty: 'medium',
+    gradeLevel: 'middle',
+    citation: 'https://www.britannica.com/place/Nile-River',
+    lastVerified: '2026-10-19'
+  },
+  {
+    id: 'est-geo-003',
+    type: 'estimate',
+    text: 'How deep is the Challenger Deep, the deepest known point in the ocean, in meters?',
+    estimate: { value: 10935, unit: 'm' },
+    explanation: 'Recent sonar and pressure measurements put the Challenger Deep in the Mariana Trench at about 10,935 m - deeper than Everest is tall.',
+    subject: 'geography',
+    difficulty: 'hard',
+    gradeLevel: 'high',
+    citation: 'https://www.britannica.com/place/Mariana-Trench',
+    lastVerified: '2026-10-19'
+  },
+  {
+    id: 'est-geo-004',
+    type: 'estimate',
+    text: "What percentage of Earth's surface is covered by water?",
+    estimate: { value: 71, unit: '%' },
+    explanation: "About 71% of Earth's surface is water-covered, almost all of it ocean.",
+    subject: 'geography',
+    difficulty: 'easy',
+    gradeLevel: 'elementary',
+    citation: 'https://www.usgs.gov/special-topics/water-science-school/science/how-much-water-there-earth',
+    lastVerified: '2026-10-19'
+  },
+  {
+    id: 'est-bio-001',
+    type: 'estimate',
+    text: 'How many bones are in an adult human skeleton?',
+    estimate: { value: 206, unit: 'bones' },
+    explanation: 'Adults have 206 bones. Babies start with around 270, and many fuse together as they grow.',
+    subject: 'biology',
+    difficulty: 'easy',
+    gradeLevel: 'elementary',
+    citation: 'https://www.britannica.com/science/human-skeleton',
+    lastVerified: '2026-10-19'
+  },
+  {
+    id: 'est-bio-002',
+    type: 'estimate',
+    text: 'How many chromosomes are in a typical human body cell?',
+    estimate: { value: 46, unit: 'chromosomes' },
+    explanation: 'Human body cells have 46 chromosomes in 23 pairs - one set from each parent.',
+    subject: 'biology',
+    difficulty: 'easy',
+    gradeLevel: 'middle',
+    citation: 'https://www.genome.gov/genetics-glossary/Chromosome',
+    lastVerified: '2026-10-19'
+  },
+  {
+    id: 'est-neuro-001',
+    type: 'estimate',
+    text: 'About how many neurons are in the human brain, in billions?',
+    estimate: { value: 86, unit: 'billion neurons' },
+    explanation: 'Counting cells in dissolved brain tissue gave about 86 billion neurons - fewer than the popular "100 billion".',
+    subject: 'neuroscience',
+    difficulty: 'hard',
+    gradeLevel: 'high',
+    citation: 'https://doi.org/10.1002/cne.21974',
+    lastVerified: '2026-10-19'
+  },
+  {
+    id: 'est-phys-001',
+    type: 'estimate',
+    text: 'How fast does sound travel through air at room temperature, in meters per second?',
+    estimate: { value: 343, unit: 'm/s' },
+    explanation: 'Sound travels about 343 m/s in air at 20 °C - roughly 1 km every 3 seconds, which is why you can time the distance to a lightning strike.',
+    subject: 'physics',
+    difficulty: 'medium',
+    gradeLevel: 'middle',
+    citation: 'https://www.britannica.com/science/sound-physics',
+    lastVerified: '2026-10-19'
+  },
+  {
+    id: 'est-phys-002',
+    type: 'estimate',
+    text: 'How fast does light travel in a vacuum, in kilometers per second?',
+    estimate: { value: 299792, unit: 'km/s' },
+    explanation: 'The speed of light is exactly 299,792.458 km/s - the meter is defined from it.',
+    subject: 'physics',
+    difficulty: 'hard',
+    gradeLevel: 'high',
+    citation: 'https://physics.nist.gov/cgi-bin/cuu/Value?c',
+    lastVerified: '2026-10-19'
+  },
+  {
+    id: 'est-astro-001',
+    type: 'estimate',
+    text: 'What is the average distance from Earth to the Moon, in kilometers?',
+    estimate: { value: 384400, unit: 'km' },
+    explanation: "The Moon's average distance is about 384,400 km. Its orbit is an ellipse, so the distance varies by roughly 40,000 km over a month.",
+    subject: 'astronomy',
+    difficulty: 'medium',
+    gradeLevel: 'middle',
+    citation: 'https://www.britannica.com/place/Moon',
+    lastVerified: '2026-10-19'
+  },
+  {
+    id: 'est-astro-002',
+    type: 'estimate',
+    text: 'How many minutes does sunlight take to reach Earth?',
+    estimate: { value: 8.3, unit: 'minutes' },
+    explanation: 'Sunlight takes about 8 minutes 20 seconds to cross the 150 million km to Earth, so we always see the Sun as it was a little earlier.',
+    subject: 'astronomy',
+    difficulty: 'medium',
+    gradeLevel: 'middle',
+    citation: 'https://www.britannica.com/place/Sun',
+    lastVerified: '2026-10-19'
+  },
+  {
+    id: 'est-astro-003',
+    type: 'estimate',
+    text: 'How old is the universe, in billions of years?',
+    estimate: { value: 13.8, unit: 'billion years' },
+    explanation: 'Measurements of the cosmic microwave background put the age of the universe at about 13.8 billion years.',
+    subject: 'astronomy',
+    difficulty: 'medium',
+    gradeLevel: 'high',
+    citation: 'https://www.britannica.com/science/universe',
+    lastVerified: '2026-10-19'
+  },
+  {
+    id: 'est-chem-001',
+    type: 'estimate',
+    text: 'How many chemical elements are on the periodic table?',
+    estimate: { value: 118, unit: 'elements' },
+    explanation: 'IUPAC recognizes 118 elements. The last four (nihonium, moscovium, tennessine and oganesson) were named in 2016.',
+    subject: 'chemistry',
+    difficulty: 'easy',
+    gradeLevel: 'middle',
+    citation: 'https://iupac.org/what-we-do/periodic-table-of-elements/',
+    lastVerified: '2026-10-19'
+  },
+  {
+    id: 'est-civ-001',
+    type: 'estimate',
+    text: 'How many voting members are in the U.S. House of Representatives?',
+    estimate: { value: 435, unit: 'members' },
+    explanation: 'The House has 435 voting members, a number fixed by law since 1911 and shared out between states by population after each census.',
+    subject: 'civics',
+    difficulty: 'easy',
+    gradeLevel: 'middle',
+    citation: 'https://www.house.gov/the-house-explained',
+    lastVerified: '2026-10-19'
+  },
+  {
+    id: 'est-civ-002',
+    type: 'estimate',
+    text: 'How many amendments have been added to the U.S. Constitution?',
+    estimate: { value: 27, unit: 'amendments' },
+    explanation: 'There are 27 amendments. The first ten are the Bill of Rights; the most recent was ratified in 1992.',
+    subject: 'civics',
+    difficulty: 'easy',
+    gradeLevel: 'middle',
+    citation: 'https://www.archives.gov/founding-docs/amendments-11-27',
+    lastVerified: '2026-10-19'
+  },
+  {
+    id: 'est-civ-003',
+    type: 'estimate',
+    text: 'How many member states does the United Nations have?',
+    estimate: { value: 193, unit: 'member states' },
+    explanation: 'The UN has 193 member states. South Sudan, admitted in 2011, was the most recent.',
+    subject: 'civics',
+    difficulty: 'medium',
+    gradeLevel: 'middle',
+    citation: 'https://www.un.org/en/about-us/member-states',
+    lastVerified: '2026-10-19'
+  },
+  {
+    id: 'est-sport-001',
+    type: 'estimate',
+    text: 'How long is a marathon, in kilometers?',
+    estimate: { value: 42.195, unit: 'km' },
+    explanation: 'A marathon is 42.195 km (26.2 miles), the distance used at the 1908 London Olympics.',
+    subject: 'sports',
+    difficulty: 'easy',
+    gradeLevel: 'middle',
+    citation: 'https://worldathletics.org/disciplines/road-running/marathon',
+    lastVerified: '2026-10-19'
+  },
+  {
+    id: 'est-sport-002',
+    type: 'estimate',
+    text: "What is the men's 100 m world record, in seconds?",
+    estimate: { value: 9.58, unit: 'seconds' },
+    explanation: 'Usain Bolt ran 9.58 seconds at the 2009 World Championships in Berlin.',
+    subject: 'sports',
+    difficulty: 'medium',
+    gradeLevel: 'middle',
+    citation: 'https://www.britannica.com/biography/Usain-Bolt',
+    lastVerified: '2026-10-19'
+  },
+  {
+    id: 'est-hist-001',
+    type: 'estimate',
+    text: "How many years did the Hundred Years' War actually last?",
+    estimate: { value: 116, unit: 'years' },
+    explanation: "The Hundred Years' War between England and France ran from 1337 to 1453 - 116 years, with long truces in between.",
+    subject: 'history',
+    difficulty: 'medium',
+    gradeLevel: 'middle',
+    citation: 'https://www.britannica.com/event/Hundred-Years-War',
+    lastVerified: '2026-10-19'
+  },
+  {
+    id: 'est-math-001',
+    type: 'estimate',
+    text: 'How many prime numbers are there below 100?',
+    estimate: { value: 25, unit: 'primes' },
+    explanation: 'There are 25 primes below 100, from 2 up to 97. Primes thin out as numbers grow: there are 168 below 1,000.',
+    subject: 'mathematics',
+    difficulty: 'medium',
+    gradeLevel: 'middle',
+    citation: null,
+    lastVerified: '2026-10-19'
+  },
+  {
+    id: 'est-cs-001',
+    type: 'estimate',
+    text: 'How many IPv4 internet addresses are possible, in billions?',
+    estimate: { value: 4.29, unit: 'billion addresses' },
+    explanation: 'IPv4 addresses are 32 bits long, giving 2^32 = about 4.29 billion addresses - fewer than the people on Earth, which is why IPv6 was created.',
+    subject: 'computer-science',
+    difficulty: 'hard',
+    gradeLevel: 'high',
+    citation: 'https://www.rfc-editor.org/rfc/rfc791',
+    lastVerified: '2026-10-19'
+  },
+  {
+    id: 'est-econ-001',
+    type: 'estimate',
+    text: 'What is the U.S. federal minimum wage, in dollars per hour?',
+    estimate: { value: 7.25, unit: 'dollars per hour' },
+    explanation: 'The federal minimum wage has been $7.25 an hour since 2009. Many states and cities set higher minimums.',
+    subject: 'economics',
+    difficulty: 'medium',
+    gradeLevel: 'high',
+    citation: 'https://www.dol.gov/agencies/whd/minimum-wage',
+    lastVerified: '2026-10-19'
+  }
+];
+
+/**
+ * Validate estimation questions
+ * @param {Array} questions - Questions to check (defaults to the built-in set)
+ * @returns {Object} { valid, duplicates, invalidQuestions: [{ index, question, reason }], totalQuestions }
+ */
+export function validateEstimationQuestions(questions = ESTIMATION_QUESTIONS) {
+  const ids = new Set();
+  const duplicates = [];
+  const invalidQuestions = [];
+
+  questions.forEach((question, index) => {
+    if (!question.id || !question.text || !question.explanation) {
+      invalidQuestions.push({ index, question, reason: 'Missing required field (id, text, or explanation)' });
+      return;
+    }
+
+    if (ids.has(question.id)) {
+      duplicates.push(question.id);
+    } else {
+      ids.add(question.id);
+    }
+
+    if (question.type !== 'estimate') {
+      invalidQuestions.push({ index, question, reason: `Invalid type: ${question.type}` });
+    }
+    if (!Number.isFinite(question.estimate?.value) || !question.estimate?.unit) {
+      invalidQuestions.push({ index, question, reason: 'Needs estimate.value and estimate.unit' });
+    } else if (question.estimate.value === 0) {
+      invalidQuestions.push({ index, question, reason: 'estimate.value must not be 0 (ranges are scored relative to it)' });
+    }
+    if (!['easy', 'medium', 'hard'].includes(question.difficulty)) {
+      invalidQuestions.push({ index, question, reason: `Invalid difficulty: ${question.difficulty}` });
+    }
+    if (question.gradeLevel && !['elementary', 'middle', 'high', 'college'].includes(question.gradeLevel)) {
+      invalidQuestions.push({ index, question, reason: `Invalid gradeLevel: ${question.gradeLevel}` });
+    }
+    if (getSubject(question.subject)?.id !== question.subject) {
+      invalidQuestions.push({ index, question, reason: `Unknown subject: ${question.subject}` });
+    }
+  });
+
+  return {
+    valid: duplicates.length === 0 && invalidQuestions.length === 0,
+    duplicates,
+    invalidQuestions,
+    totalQuestions: questions.length
+  };
+}
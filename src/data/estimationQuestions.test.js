@@ -0,0 +1,63 @@
+/**
+ * Estimation Questions Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { ESTIMATION_QUESTIONS, validateEstimationQuestions } from './estimationQuestions';
+
+describe('ESTIMATION_QUESTIONS', () => {
+  it('is a valid question set', () => {
+    const result = validateEstimationQuestions();
+    expect(result.invalidQuestions).toEqual([]);
+    expect(result.duplicates).toEqual([]);
+    expect(result.valid).toBe(true);
+  });
+
+  it('has enough questions for a full game at every difficulty', () => {
+    expect(ESTIMATION_QUESTIONS.length).toBeGreaterThanOrEqual(20);
+    ['easy', 'medium', 'hard'].forEach(difficulty => {
+      expect(ESTIMATION_QUESTIONS.some(q => q.difficulty === difficulty)).toBe(true);
+    });
+  });
+
+  it('has no TRUE/FALSE/MIXED answer', () => {
+    expect(ESTIMATION_QUESTIONS.every(q => q.answer === undefined)).toBe(true);
+  });
+});
+
+describe('validateEstimationQuestions', () => {
+  const question = {
+    id: 'est-test-001',
+    type: 'estimate',
+    text: 'How tall is Mount Everest, in meters?',
+    estimate: { value: 8849, unit: 'm' },
+    explanation: 'Surveyed at 8,849 m in 2020.',
+    subject: 'geography',
+    difficulty: 'easy'
+  };
+
+  it('accepts a well-formed question', () => {
+    expect(validateEstimationQuestions([question]).valid).toBe(true);
+  });
+
+  it('reports duplicates and bad fields', () => {
+    const result = validateEstimationQuestions([
+      question,
+      question,
+      { ...question, id: 'est-test-002', estimate: { value: 0, unit: 'm' } },
+      { ...question, id: 'est-test-003', estimate: { value: 5 } },
+      { ...question, id: 'est-test-004', type: 'claim', subject: 'astrology', difficulty: 'expert' },
+      { id: 'est-test-005', text: 'Missing explanation' }
+    ]);
+    expect(result.valid).toBe(false);
+    expect(result.duplicates).toEqual(['est-test-001']);
+    expect(result.invalidQuestions.map(q => q.reason)).toEqual([
+      'estimate.value must not be 0 (ranges are scored relative to it)',
+      'Needs estimate.value and estimate.unit',
+      'Invalid type: claim',
+      'Invalid difficulty: expert',
+      'Unknown subject: astrology',
+      'Missing required field (id, text, or explanation)'
+    ]);
+  });
+});
@@ -1,31 +1,359 @@
 /**
- * SUBJECTS CONSTANTS
- * List of all available subjects in the claims database
- * This is a static list to avoid importing the entire claims database
- */
-
-export const ALL_SUBJECTS = [
-  'Biology',
-  'Chemistry',
-  'Climate Science',
-  'Computer Science',
-  'Current Events',
-  'Economics',
-  'Geography',
-  'History',
-  'Mathematics',
-  'Medicine',
-  'Physics',
-  'Psychology',
-  'Social Media',
-  'Space Science',
-  'Technology'
-].sort();
-
-/**
- * Get all subjects (for compatibility with old API)
- * @returns {Array<string>} Sorted array of subject names
+ * SUBJECT REGISTRY
+ * The one list of subjects, their units and the standards they cover
+ *
+ * Claims reference a subject by id (claim.subject) and may name one of its units
+ * (claim.unit). A claim covers its subject's standards plus its unit's standards, so
+ * teachers can pick claims by the NGSS, CCSS or C3 code they are teaching.
+ *
+ * Older data (student claims, saved profiles) used display names such as 'Biology'
+ * or 'Space Science'; resolveSubjectId() maps those names and aliases to ids.
+ *
+ * Names and hints are English; translations.<language> holds { name, hint } for
+ * other languages (see utils/claimLocale.js for claim text).
+ *
+ * The order of SUBJECTS is part of the game code format (see utils/gameCode.js) -
+ * append new subjects, never reorder or remove them.
+ */
+
+export const STANDARD_FRAMEWORKS = {
+  NGSS: 'Next Generation Science Standards',
+  CCSS: 'Common Core State Standards',
+  C3: 'C3 Framework for Social Studies'
+};
+
+// Topic-level codes (grades 6-8 unless the code says otherwise)
+export const STANDARDS = {
+  'MS-LS1': { framework: 'NGSS', description: 'From Molecules to Organisms: Structures and Processes' },
+  'MS-LS2': { framework: 'NGSS', description: 'Ecosystems: Interactions, Energy, and Dynamics' },
+  'MS-LS3': { framework: 'NGSS', description: 'Heredity: Inheritance and Variation of Traits' },
+  'MS-LS4': { framework: 'NGSS', description: 'Biological Evolution: Unity and Diversity' },
+  'MS-PS1': { framework: 'NGSS', description: 'Matter and Its Interactions' },
+  'MS-PS2': { framework: 'NGSS', description: 'Motion and Stability: Forces and Interactions' },
+  'MS-PS3': { framework: 'NGSS', description: 'Energy' },
+  'MS-PS4': { framework: 'NGSS', description: 'Waves and Their Applications in Technologies for Information Transfer' },
+  'MS-ESS1': { framework: 'NGSS', description: "Earth's Place in the Universe" },
+  'MS-ESS2': { framework: 'NGSS', description: "Earth's Systems" },
+  'MS-ESS3': { framework: 'NGSS', description: 'Earth and Human Activity' },
+  'MS-ETS1': { framework: 'NGSS', description: 'Engineering Design' },
+  '6.RP': { framework: 'CCSS', description: 'Ratios and Proportional Relationships' },
+  '7.SP': { framework: 'CCSS', description: 'Statistics and Probability' },
+  'RI.8.8': { framework: 'CCSS', description: 'Delineate and evaluate the argument and specific claims in a text' },
+  'RH.6-8.8': { framework: 'CCSS', description: 'Distinguish among fact, opinion, and reasoned judgment in a text' },
+  'RST.6-8.8': { framework: 'CCSS', description: 'Distinguish among facts, reasoned judgment based on research findings, and speculation in a text' },
+  'D2.Civ': { framework: 'C3', description: 'Civics' },
+  'D2.Eco': { framework: 'C3', description: 'Economics' },
+  'D2.Geo': { framework: 'C3', description: 'Geography' },
+  'D2.His': { framework: 'C3', description: 'History' },
+  'D3': { framework: 'C3', description: 'Evaluating Sources and Using Evidence' }
+};
+
+export const SUBJECTS = [
+  {
+    id: 'animal-science',
+    name: 'Animal Science',
+    hint: 'Animal facts are often exaggerated in myths.',
+    translations: { es: { name: 'Ciencia Animal', hint: 'Los datos sobre animales suelen exagerarse en los mitos.' } },
+    standards: ['MS-LS1', 'MS-LS2']
+  },
+  {
+    id: 'astronomy',
+    name: 'Astronomy',
+    hint: 'Space facts often sound unbelievable but might be true!',
+    translations: { es: { name: 'Astronomía', hint: '¡Los datos del espacio suelen sonar increíbles, pero pueden ser ciertos!' } },
+    aliases: ['Space Science'],
+    standards: ['MS-ESS1']
+  },
+  {
+    id: 'biology',
+    name: 'Biology',
+    hint: 'Think about what you learned in life science class!',
+    translations: { es: { name: 'Biología', hint: '¡Piensa en lo que aprendiste en la clase de ciencias de la vida!' } },
+    aliases: ['Life Science', 'Human Biology', 'Evolution', 'Botany'],
+    standards: [],
+    units: [
+      { id: 'cells-and-body', name: 'Cells and the Human Body', hint: 'Your own body can be surprising.', standards: ['MS-LS1'], translations: { es: { name: 'Las Células y el Cuerpo Humano', hint: 'Tu propio cuerpo puede sorprenderte.' } } },
+      { id: 'plants-and-animals', name: 'Plants and Animals', standards: ['MS-LS1', 'MS-LS2'], translations: { es: { name: 'Plantas y Animales' } } },
+      { id: 'genetics-and-evolution', name: 'Genetics and Evolution', hint: 'Think in millions of years, not thousands.', standards: ['MS-LS3', 'MS-LS4'], translations: { es: { name: 'Genética y Evolución', hint: 'Piensa en millones de años, no en miles.' } } }
+    ]
+  },
+  {
+    id: 'biotechnology',
+    name: 'Biotechnology',
+    hint: 'Cutting-edge science dates matter.',
+    translations: { es: { name: 'Biotecnología', hint: 'En la ciencia de punta, las fechas importan.' } },
+    standards: ['MS-LS3', 'MS-ETS1']
+  },
+  {
+    id: 'chemistry',
+    name: 'Chemistry',
+    hint: 'Remember: matter, elements, and reactions.',
+    translations: { es: { name: 'Química', hint: 'Recuerda: materia, elementos y reacciones.' } },
+    standards: ['MS-PS1']
+  },
+  {
+    id: 'civics',
+    name: 'Civics',
+    hint: 'Check who actually holds a power - and which document grants it.',
+    translations: { es: { name: 'Educación Cívica', hint: 'Comprueba quién tiene realmente un poder y qué documento se lo otorga.' } },
+    aliases: ['Government'],
+    standards: ['D2.Civ']
+  },
+  {
+    id: 'computer-science',
+    name: 'Computer Science',
+    hint: 'Tech history has many misconceptions.',
+    translations: { es: { name: 'Informática', hint: 'La historia de la tecnología tiene muchos conceptos erróneos.' } },
+    standards: ['RST.6-8.8']
+  },
+  {
+    id: 'economics',
+    name: 'Economics',
+    hint: 'Money figures and their causes are easy to oversimplify.',
+    translations: { es: { name: 'Economía', hint: 'Las cifras de dinero y sus causas se simplifican con facilidad.' } },
+    standards: ['D2.Eco']
+  },
+  {
+    id: 'geography',
+    name: 'Geography',
+    hint: 'Double-check locations and measurements.',
+    translations: { es: { name: 'Geografía', hint: 'Verifica bien los lugares y las medidas.' } },
+    standards: ['D2.Geo']
+  },
+  {
+    id: 'history',
+    name: 'History',
+    hint: 'Dates and places are often where errors hide.',
+    translations: { es: { name: 'Historia', hint: 'Las fechas y los lugares suelen esconder errores.' } },
+    aliases: ['History of Science'],
+    standards: ['D2.His', 'RH.6-8.8']
+  },
+  {
+    id: 'language',
+    name: 'Language',
+    hint: 'Word origins are a favorite place for made-up stories.',
+    translations: { es: { name: 'Lenguaje', hint: 'El origen de las palabras es un lugar favorito para historias inventadas.' } },
+    standards: ['RI.8.8']
+  },
+  {
+    id: 'marine-biology',
+    name: 'Marine Biology',
+    hint: 'Ocean creatures can be surprisingly strange!',
+    translations: { es: { name: 'Biología Marina', hint: '¡Las criaturas del océano pueden ser sorprendentemente extrañas!' } },
+    standards: ['MS-LS1', 'MS-LS2']
+  },
+  {
+    id: 'mathematics',
+    name: 'Mathematics',
+    hint: 'Big numbers can be hard to grasp.',
+    translations: { es: { name: 'Matemáticas', hint: 'Los números grandes pueden ser difíciles de imaginar.' } },
+    aliases: ['Math'],
+    standards: ['6.RP', '7.SP']
+  },
+  {
+    id: 'media-literacy',
+    name: 'Media Literacy',
+    hint: 'Ask who made it, how they know, and who benefits.',
+    translations: { es: { name: 'Alfabetización Mediática', hint: 'Pregunta quién lo hizo, cómo lo sabe y quién se beneficia.' } },
+    aliases: ['Social Media', 'Current Events'],
+    standards: ['RI.8.8', 'D3']
+  },
+  {
+    id: 'medical-science',
+    name: 'Medical Science',
+    hint: 'Medical claims need careful scrutiny.',
+    translations: { es: { name: 'Ciencias Médicas', hint: 'Las afirmaciones médicas necesitan un examen cuidadoso.' } },
+    standards: ['MS-LS1']
+  },
+  {
+    id: 'medicine',
+    name: 'Medicine',
+    hint: 'Health advice spreads fast - look for what studies actually found.',
+    translations: { es: { name: 'Medicina', hint: 'Los consejos de salud se difunden rápido: busca lo que los estudios realmente encontraron.' } },
+    aliases: ['Health'],
+    standards: ['MS-LS1']
+  },
+  {
+    id: 'neuroscience',
+    name: 'Neuroscience',
+    hint: 'The brain is complex - be careful with percentages.',
+    translations: { es: { name: 'Neurociencia', hint: 'El cerebro es complejo: ten cuidado con los porcentajes.' } },
+    standards: ['MS-LS1']
+  },
+  {
+    id: 'physics',
+    name: 'Physics',
+    hint: 'Consider the basic laws of how things move and interact.',
+    translations: { es: { name: 'Física', hint: 'Considera las leyes básicas de cómo se mueven e interactúan las cosas.' } },
+    standards: [],
+    units: [
+      { id: 'forces-and-motion', name: 'Forces and Motion', standards: ['MS-PS2'], translations: { es: { name: 'Fuerzas y Movimiento' } } },
+      { id: 'energy-and-matter', name: 'Energy and Matter', standards: ['MS-PS1', 'MS-PS3'], translations: { es: { name: 'Energía y Materia' } } },
+      { id: 'waves-and-light', name: 'Waves, Sound and Light', standards: ['MS-PS4'], translations: { es: { name: 'Ondas, Sonido y Luz' } } },
+      { id: 'modern-physics', name: 'Modern Physics', hint: 'Quantum and relativity claims are often stretched past what was observed.', standards: [], translations: { es: { name: 'Física Moderna', hint: 'Las afirmaciones sobre física cuántica y relatividad a menudo van más allá de lo observado.' } } }
+    ]
+  },
+  {
+    id: 'psychology',
+    name: 'Psychology',
+    hint: 'Famous experiments are often retold with the details changed.',
+    translations: { es: { name: 'Psicología', hint: 'Los experimentos famosos a menudo se cuentan con los detalles cambiados.' } },
+    standards: ['RST.6-8.8']
+  },
+  {
+    id: 'sports',
+    name: 'Sports',
+    hint: 'Records and "firsts" are easy to misremember.',
+    translations: { es: { name: 'Deportes', hint: 'Los récords y los "primeros" son fáciles de recordar mal.' } },
+    standards: []
+  },
+  {
+    id: 'technology',
+    name: 'Technology',
+    hint: 'Launch dates and inventors are often mixed up.',
+    translations: { es: { name: 'Tecnología', hint: 'Las fechas de lanzamiento y los inventores suelen confundirse.' } },
+    standards: ['MS-ETS1']
+  },
+  {
+    id: 'weather-science',
+    name: 'Weather Science',
+    hint: 'Weather phenomena are often misunderstood.',
+    translations: { es: { name: 'Meteorología', hint: 'Los fenómenos del tiempo suelen malinterpretarse.' } },
+    aliases: ['Climate Science'],
+    standards: ['MS-ESS2', 'MS-ESS3']
+  }
+];
+
+// Subject ids in registry order
+export const ALL_SUBJECTS = SUBJECTS.map(subject => subject.id);
+
+const SUBJECTS_BY_KEY = new Map();
+SUBJECTS.forEach(subject => {
+  [subject.id, subject.name, ...(subject.aliases || [])].forEach(key => {
+    SUBJECTS_BY_KEY.set(key.toLowerCase(), subject);
+  });
+});
+
+/**
+ * Get all subject ids (for compatibility with old API)
+ * @returns {Array<string>} Subject ids in registry order
  */
 export function getSubjects() {
   return ALL_SUBJECTS;
 }
+
+/**
+ * Look up a subject by id, display name or alias
+ * @param {string} value - e.g. 'astronomy', 'Astronomy' or 'Space Science'
+ * @returns {Object|null} Registry entry
+ */
+export function getSubject(value) {
+  if (typeof value !== 'string') return null;
+  return SUBJECTS_BY_KEY.get(value.trim().toLowerCase()) || null;
+}
+
+/**
+ * Subject id for an id, name or alias
+ * @param {string} value - Subject as stored on a claim or in settings
+ * @returns {string} Registry id, or the value unchanged if it isn't in the registry
+ */
+export function resolveSubjectId(value) {
+  return getSubject(value)?.id ?? value;
+}
+
+/**
+ * A registry entry's field in a language, without falling back to English
+ * @param {Object} entry - Subject or unit
+ * @param {string} field - 'name' or 'hint'
+ * @param {string} language - Language code, e.g. 'es' or 'es-MX'
+ * @returns {string|undefined}
+ */
+function translatedField(entry, field, language = 'en') {
+  const base = language.split('-')[0].toLowerCase();
+  return base === 'en' ? entry?.[field] : entry?.translations?.[base]?.[field];
+}
+
+/**
+ * Display name for a subject
+ * @param {string} value - Subject id, name or alias
+ * @param {string} [language] - Language code; untranslated names stay English
+ * @returns {string} Registry name, or the value unchanged if it isn't in the registry
+ */
+export function getSubjectName(value, language) {
+  const subject = getSubject(value);
+  if (!subject) return value;
+  return (language && translatedField(subject, 'name', language)) || subject.name;
+}
+
+/**
+ * Display name for a unit of a subject
+ * @param {string} subject - Subject id, name or alias
+ * @param {string} unitId - Unit id
+ * @param {string} [language] - Language code; untranslated names stay English
+ * @returns {string|null} Unit name, or null for unknown units
+ */
+export function getUnitName(subject, unitId, language) {
+  const unit = getUnit(subject, unitId);
+  if (!unit) return null;
+  return (language && translatedField(unit, 'name', language)) || unit.name;
+}
+
+/**
+ * Look up a unit of a subject
+ * @param {string} subject - Subject id, name or alias
+ * @param {string} unitId - Unit id
+ * @returns {Object|null} Unit entry
+ */
+export function getUnit(subject, unitId) {
+  return getSubject(subject)?.units?.find(unit => unit.id === unitId) || null;
+}
+
+/**
+ * Hint text for a claim's subject, preferring its unit's hint
+ * A unit with no hint in the language falls back to its subject's, but never to
+ * English - callers decide how to show an English-only hint.
+ * @param {string} subject - Subject id, name or alias
+ * @param {string} [unitId] - Optional unit id
+ * @param {string} [language='en'] - Language code
+ * @returns {string|null} Hint, or null for unknown subjects or missing translations
+ */
+export function getSubjectHint(subject, unitId, language = 'en') {
+  return translatedField(getUnit(subject, unitId), 'hint', language)
+    || translatedField(getSubject(subject), 'hint', language)
+    || null;
+}
+
+/**
+ * Standard codes a claim covers: its subject's plus its unit's
+ * @param {Object} claim - Claim with subject and optional unit
+ * @returns {Array<string>} Standard codes
+ */
+export function getClaimStandards(claim) {
+  const subject = getSubject(claim?.subject);
+  if (!subject) return [];
+  const unit = getUnit(subject.id, claim.unit);
+  return [...new Set([...subject.standards, ...(unit?.standards || [])])];
+}
+
+/**
+ * Check if a claim covers any of the given standards
+ * @param {Object} claim - Claim
+ * @param {Array<string>} standards - Standard codes (empty = every claim matches)
+ * @returns {boolean}
+ */
+export function claimMatchesStandards(claim, standards = []) {
+  if (!standards || standards.length === 0) return true;
+  return getClaimStandards(claim).some(code => standards.includes(code));
+}
+
+/**
+ * Subjects with any claims that can cover the given standards
+ * @param {Array<string>} standards - Standard codes
+ * @returns {Array<string>} Subject ids
+ */
+export function getSubjectsForStandards(standards = []) {
+  return SUBJECTS
+    .filter(subject => [...subject.standards, ...(subject.units || []).flatMap(unit => unit.standards)]
+      .some(code => standards.includes(code)))
+    .map(subject => subject.id);
+}
@@ -0,0 +1,117 @@
+/**
+ * Subject Registry Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  SUBJECTS,
+  STANDARDS,
+  STANDARD_FRAMEWORKS,
+  ALL_SUBJECTS,
+  getSubject,
+  resolveSubjectId,
+  getSubjectName,
+  getUnit,
+  getUnitName,
+  getSubjectHint,
+  getClaimStandards,
+  claimMatchesStandards,
+  getSubjectsForStandards
+} from './subjects';
+import CLAIMS_INDEX from './claimsIndex.json';
+
+describe('SUBJECTS', () => {
+  it('has unique ids, names and aliases', () => {
+    // A subject's id and name may only differ by case ('biology' / 'Biology')
+    const keys = SUBJECTS.flatMap(s => [...new Set([s.id, s.name, ...(s.aliases || [])].map(k => k.toLowerCase()))]);
+    expect(new Set(keys).size).toBe(keys.length);
+  });
+
+  it('only uses known standard codes', () => {
+    SUBJECTS.forEach(subject => {
+      [...subject.standards, ...(subject.units || []).flatMap(u => u.standards)].forEach(code => {
+        expect(STANDARDS[code], `${subject.id} uses ${code}`).toBeDefined();
+      });
+    });
+    Object.values(STANDARDS).forEach(standard => {
+      expect(STANDARD_FRAMEWORKS[standard.framework]).toBeDefined();
+    });
+  });
+
+  it('matches the subject chunks of the claims database', () => {
+    expect(Object.keys(CLAIMS_INDEX.subjects).sort()).toEqual([...ALL_SUBJECTS].sort());
+  });
+
+  it('gives every subject a hint', () => {
+    SUBJECTS.forEach(subject => expect(subject.hint).toBeTruthy());
+  });
+});
+
+describe('subject lookup', () => {
+  it('resolves ids, display names and aliases', () => {
+    expect(getSubject('astronomy').name).toBe('Astronomy');
+    expect(resolveSubjectId('Astronomy')).toBe('astronomy');
+    expect(resolveSubjectId('Space Science')).toBe('astronomy');
+    expect(resolveSubjectId(' marine biology ')).toBe('marine-biology');
+  });
+
+  it('leaves unknown subjects unchanged', () => {
+    expect(getSubject('Astrology')).toBeNull();
+    expect(getSubject(undefined)).toBeNull();
+    expect(resolveSubjectId('Astrology')).toBe('Astrology');
+    expect(getSubjectName('Astrology')).toBe('Astrology');
+  });
+
+  it('finds units and prefers their hints', () => {
+    expect(getUnit('biology', 'genetics-and-evolution').name).toBe('Genetics and Evolution');
+    expect(getUnit('Biology', 'nope')).toBeNull();
+    expect(getSubjectHint('biology', 'genetics-and-evolution')).toBe('Think in millions of years, not thousands.');
+    expect(getSubjectHint('biology', 'plants-and-animals')).toBe(getSubject('biology').hint);
+    expect(getSubjectHint('Astrology')).toBeNull();
+  });
+});
+
+describe('subject translations', () => {
+  it('translates every subject into Spanish', () => {
+    SUBJECTS.forEach(subject => {
+      expect(subject.translations?.es?.name, subject.id).toBeTruthy();
+      expect(subject.translations?.es?.hint, subject.id).toBeTruthy();
+    });
+  });
+
+  it('returns names in the requested language, else English', () => {
+    expect(getSubjectName('astronomy', 'es')).toBe('Astronomía');
+    expect(getSubjectName('Space Science', 'es-MX')).toBe('Astronomía');
+    expect(getSubjectName('astronomy', 'fr')).toBe('Astronomy');
+    expect(getUnitName('physics', 'waves-and-light', 'es')).toBe('Ondas, Sonido y Luz');
+    expect(getUnitName('physics', 'nope', 'es')).toBeNull();
+  });
+
+  it('returns hints only in the requested language', () => {
+    expect(getSubjectHint('biology', 'genetics-and-evolution', 'es')).toBe('Piensa en millones de años, no en miles.');
+    // Unit without a Spanish hint: the subject's Spanish hint
+    expect(getSubjectHint('biology', 'plants-and-animals', 'es')).toBe(getSubject('biology').translations.es.hint);
+    expect(getSubjectHint('biology', null, 'fr')).toBeNull();
+  });
+});
+
+describe('standards', () => {
+  it('combines subject and unit standards for a claim', () => {
+    expect(getClaimStandards({ subject: 'history' })).toEqual(['D2.His', 'RH.6-8.8']);
+    expect(getClaimStandards({ subject: 'biology', unit: 'genetics-and-evolution' })).toEqual(['MS-LS3', 'MS-LS4']);
+    expect(getClaimStandards({ subject: 'Astrology' })).toEqual([]);
+  });
+
+  it('matches claims covering any requested standard', () => {
+    const claim = { subject: 'physics', unit: 'waves-and-light' };
+    expect(claimMatchesStandards(claim, ['MS-PS4', 'D2.His'])).toBe(true);
+    expect(claimMatchesStandards(claim, ['MS-PS2'])).toBe(false);
+    expect(claimMatchesStandards(claim, [])).toBe(true);
+  });
+
+  it('lists the subjects that can cover a standard', () => {
+    expect(getSubjectsForStandards(['MS-PS4'])).toEqual(['physics']);
+    expect(getSubjectsForStandards(['MS-LS3'])).toEqual(['biology', 'biotechnology']);
+    expect(getSubjectsForStandards([])).toEqual([]);
+  });
+});
@@ -6,6 +6,7 @@ import { StrictMode } from 'react';
 import { createRoot } from 'react-dom/client';
 import { App } from './App';
 import { ToastProvider } from './components/Toast';
+import './i18n/config';
 import './styles/index.css';
 
 createRoot(document.getElementById('root')).render(
@@ -0,0 +1,124 @@
+/**
+ * Tests for ClaimPacks service
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { ClaimPacks } from '../claimPacks';
+
+const makePack = (overrides = {}) => ({
+  id: 'unit-3-ecology',
+  version: '1.0.0',
+  locale: 'en',
+  license: 'CC-BY-4.0',
+  claims: [{
+    id: 'u3-eco-001',
+    text: 'Wolves were reintroduced to Yellowstone in 1995.',
+    answer: 'TRUE',
+    source: 'expert-sourced',
+    explanation: 'The US Fish and Wildlife Service released wolves in 1995 and 1996.',
+    errorPattern: null,
+    subject: 'biology',
+    unit: 'plants-and-animals',
+    difficulty: 'medium'
+  }],
+  ...overrides
+});
+
+describe('ClaimPacks', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    vi.restoreAllMocks();
+  });
+
+  describe('install()', () => {
+    it('installs a valid pack enabled', () => {
+      const result = ClaimPacks.install(makePack());
+      expect(result.success).toBe(true);
+      expect(ClaimPacks.getInstalled()).toHaveLength(1);
+      expect(ClaimPacks.getInstalled()[0]).toMatchObject({ id: 'unit-3-ecology', enabled: true });
+    });
+
+    it('rejects invalid packs without saving', () => {
+      const result = ClaimPacks.install(makePack({ license: undefined }));
+      expect(result.success).toBe(false);
+      expect(result.error).toMatch(/license/);
+      expect(ClaimPacks.getInstalled()).toEqual([]);
+    });
+
+    it('replaces an older version and keeps it disabled if it was', () => {
+      ClaimPacks.install(makePack());
+      ClaimPacks.setEnabled('unit-3-ecology', false);
+      const result = ClaimPacks.install(makePack({ version: '1.1.0' }));
+
+      expect(result).toMatchObject({ success: true, replacedVersion: '1.0.0' });
+      expect(ClaimPacks.getInstalled()).toHaveLength(1);
+      expect(ClaimPacks.getInstalled()[0]).toMatchObject({ version: '1.1.0', enabled: false });
+    });
+
+    it('refuses to downgrade', () => {
+      ClaimPacks.install(makePack({ version: '2.0.0' }));
+      const result = ClaimPacks.install(makePack({ version: '1.5.0' }));
+      expect(result.success).toBe(false);
+      expect(ClaimPacks.getInstalled()[0].version).toBe('2.0.0');
+    });
+  });
+
+  describe('getActiveClaims()', () => {
+    it('returns claims from enabled packs tagged with their pack', () => {
+      ClaimPacks.install(makePack());
+      expect(ClaimPacks.getActiveClaims()).toEqual([
+        expect.objectContaining({ id: 'u3-eco-001', packId: 'unit-3-ecology' })
+      ]);
+
+      ClaimPacks.setEnabled('unit-3-ecology', false);
+      expect(ClaimPacks.getActiveClaims()).toEqual([]);
+    });
+  });
+
+  describe('remove()', () => {
+    it('uninstalls a pack', () => {
+      ClaimPacks.install(makePack());
+      ClaimPacks.remove('unit-3-ecology');
+      expect(ClaimPacks.getInstalled()).toEqual([]);
+    });
+  });
+
+  describe('installFromText()', () => {
+    it('reports JSON syntax errors', () => {
+      expect(ClaimPacks.installFromText('{ not json').error).toMatch(/not valid JSON/);
+    });
+
+    it('installs parsed packs', () => {
+      expect(ClaimPacks.installFromText(JSON.stringify(makePack())).success).toBe(true);
+    });
+  });
+
+  describe('installFromPath()', () => {
+    it('fetches same-origin paths', async () => {
+      const fetchMock = vi.fn(() => Promise.resolve({ ok: true, text: () => Promise.resolve(JSON.stringify(makePack())) }));
+      vi.stubGlobal('fetch', fetchMock);
+
+      const result = await ClaimPacks.installFromPath('/claim-packs/unit-3.json');
+      expect(result.success).toBe(true);
+      expect(fetchMock).toHaveBeenCalledWith(`${window.location.origin}/claim-packs/unit-3.json`);
+      vi.unstubAllGlobals();
+    });
+
+    it('refuses other sites', async () => {
+      const fetchMock = vi.fn();
+      vi.stubGlobal('fetch', fetchMock);
+
+      const result = await ClaimPacks.installFromPath('https://example.com/pack.json');
+      expect(result.success).toBe(false);
+      expect(fetchMock).not.toHaveBeenCalled();
+      vi.unstubAllGlobals();
+    });
+
+    it('reports HTTP errors', async () => {
+      vi.stubGlobal('fetch', vi.fn(() => Promise.resolve({ ok: false, status: 404 })));
+      const result = await ClaimPacks.installFromPath('/claim-packs/missing.json');
+      expect(result.error).toMatch(/404/);
+      vi.unstubAllGlobals();
+    });
+  });
+});
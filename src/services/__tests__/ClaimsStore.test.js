@@ -0,0 +1,15 @@
+/**
+ * Tests for ClaimsStore service
+ */
+
+import { describe, it, expect } from 'vitest';
+import { ClaimsStore } from '../claimsStore';
+
+describe('ClaimsStore', () => {
+  it('falls back quietly when IndexedDB is unavailable', async () => {
+    expect(typeof indexedDB).toBe('undefined');
+    await expect(ClaimsStore.get('biology', 'abc')).resolves.toBeNull();
+    await expect(ClaimsStore.put('biology', 'abc', [])).resolves.toBe(false);
+    await expect(ClaimsStore.clear()).resolves.toBe(false);
+  });
+});
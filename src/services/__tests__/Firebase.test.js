@@ -5,6 +5,8 @@
 
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { FirebaseBackend } from '../firebase';
+import { doc, setDoc, getDocs, runTransaction } from 'firebase/firestore';
+import { RATINGS } from '../../data/constants';
 
 // Mock Firebase modules
 vi.mock('firebase/app', () => ({
@@ -324,4 +326,145 @@ describe('FirebaseBackend', () => {
       expect(localStorage.getItem('truthHunters_classCode')).toBeNull();
     });
   });
+
+  describe('save', () => {
+    it('stores games with a session under their session ID', async () => {
+      FirebaseBackend.initialized = true;
+      FirebaseBackend.db = { type: 'firestore' };
+      const gameRef = { path: 'games/game_123' };
+      doc.mockReturnValue(gameRef);
+
+      expect(await FirebaseBackend.save({ teamName: 'Owls', score: 12, sessionId: 'game_123' })).toBe(true);
+      expect(doc).toHaveBeenCalledWith(FirebaseBackend.db, 'games', 'game_123');
+      expect(setDoc).toHaveBeenCalledWith(gameRef, expect.objectContaining({ teamName: 'Owls', sessionId: 'game_123' }));
+    });
+  });
+
+  describe('submitRewrites', () => {
+    beforeEach(() => {
+      FirebaseBackend.initialized = true;
+      FirebaseBackend.db = { type: 'firestore' };
+      FirebaseBackend.classCode = 'TEST';
+      doc.mockImplementation((db, collectionName, id) => ({ path: `${collectionName}/${id}` }));
+    });
+
+    it('stores one rewrite per round under the session ID and round', async () => {
+      const result = await FirebaseBackend.submitRewrites([
+        { claimId: 'bio-1', rewrite: 'Fixed claim', round: 2 },
+        { claimId: 'bio-2', rewrite: 'No round' }
+      ], { sessionId: 'game_123', teamName: 'Owls' });
+
+      expect(result).toEqual({ success: true, count: 1 });
+      expect(setDoc).toHaveBeenCalledTimes(1);
+      expect(setDoc).toHaveBeenCalledWith({ path: 'claimRewrites/game_123_2' }, expect.objectContaining({
+        sessionId: 'game_123',
+        round: 2,
+        claimId: 'bio-1',
+        status: 'pending'
+      }));
+    });
+  });
+
+  describe('gradeRewrite', () => {
+    const rewrite = { id: 'game_123_2', classCode: 'TEST', sessionId: 'game_123' };
+    const rewriteRef = { path: 'claimRewrites/game_123_2' };
+    let transaction;
+    let rewriteStatus;
+
+    beforeEach(() => {
+      FirebaseBackend.initialized = true;
+      FirebaseBackend.db = { type: 'firestore' };
+      rewriteStatus = 'pending';
+      transaction = {
+        get: vi.fn(async () => ({ exists: () => true, data: () => ({ status: rewriteStatus }) })),
+        update: vi.fn()
+      };
+      doc.mockReturnValue(rewriteRef);
+      runTransaction.mockImplementation((db, fn) => fn(transaction));
+    });
+
+    it('grades the rewrite and leaves the game record as saved', async () => {
+      const result = await FirebaseBackend.gradeRewrite(rewrite, { accurate: 2, targeted: 1, precise: 9 }, 'Nice fix');
+
+      expect(result).toEqual({ success: true, bonus: 5 });
+      expect(transaction.update).toHaveBeenCalledTimes(1);
+      expect(transaction.update).toHaveBeenCalledWith(rewriteRef, expect.objectContaining({
+        status: 'graded',
+        rubricScores: { accurate: 2, targeted: 1, precise: 2 },
+        bonus: 5,
+        reviewerNote: 'Nice fix'
+      }));
+      expect(doc).not.toHaveBeenCalledWith(FirebaseBackend.db, 'games', expect.anything());
+    });
+
+    it('refuses to grade a rewrite twice', async () => {
+      rewriteStatus = 'graded';
+      const result = await FirebaseBackend.gradeRewrite(rewrite, { accurate: 2 });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toMatch(/already graded/);
+      expect(transaction.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recordClassRatings', () => {
+    it('drops the least recently played teams and claims to stay under the class caps', async () => {
+      FirebaseBackend.initialized = true;
+      FirebaseBackend.db = { type: 'firestore' };
+      const ratingsRef = { path: 'classRatings/TEST' };
+      doc.mockReturnValue(ratingsRef);
+
+      // A class that has already used the most team names and claims the rules allow
+      const teams = {};
+      for (let i = 0; i < RATINGS.MAX_CLASS_TEAMS; i++) {
+        teams[`team ${i}`] = { rating: 1000, rounds: 5, lastPlayed: 1000 + i };
+      }
+      const claims = {};
+      for (let i = 0; i < RATINGS.MAX_CLASS_CLAIMS; i++) {
+        claims[`claim-${i}`] = { rating: 1000, attempts: 3, lastPlayed: 1000 + i };
+      }
+      const transaction = {
+        get: vi.fn(async () => ({ exists: () => true, data: () => ({ teams, claims }) })),
+        set: vi.fn()
+      };
+      runTransaction.mockImplementation((db, fn) => fn(transaction));
+
+      const result = await FirebaseBackend.recordClassRatings(
+        [{ claimId: 'new-claim', seedRating: 850, outcome: 1 }], 'New Team', 'TEST'
+      );
+
+      expect(result).toEqual({ success: true });
+      const saved = transaction.set.mock.calls[0][1];
+      expect(Object.keys(saved.teams)).toHaveLength(RATINGS.MAX_CLASS_TEAMS);
+      expect(Object.keys(saved.claims)).toHaveLength(RATINGS.MAX_CLASS_CLAIMS);
+      expect(saved.teams['new team']).toBeDefined();
+      expect(saved.teams['team 0']).toBeUndefined();
+      expect(saved.claims['new-claim']).toBeDefined();
+      expect(saved.claims['claim-0']).toBeUndefined();
+    });
+  });
+
+  describe('getRewriteBonuses', () => {
+    it('totals graded bonuses by game session', async () => {
+      FirebaseBackend.initialized = true;
+      FirebaseBackend.db = { type: 'firestore' };
+      const graded = [
+        { sessionId: 'game_123', bonus: 4 },
+        { sessionId: 'game_123', bonus: 6 },
+        { sessionId: 'game_456', bonus: 0 },
+        { sessionId: 'game_789', bonus: 3 }
+      ];
+      getDocs.mockResolvedValue({ docs: graded.map(data => ({ data: () => data })) });
+
+      expect(await FirebaseBackend.getRewriteBonuses('TEST')).toEqual({ game_123: 10, game_789: 3 });
+    });
+
+    it('returns no bonuses without a class', async () => {
+      FirebaseBackend.initialized = true;
+      FirebaseBackend.db = { type: 'firestore' };
+
+      expect(await FirebaseBackend.getRewriteBonuses(null)).toEqual({});
+      expect(getDocs).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -210,6 +210,189 @@ describe('PlayerProfile', () => {
       expect(profile.subjectStats.History).toBeDefined();
       expect(profile.subjectStats.History.incorrect).toBe(1);
     });
+
+    it('should accumulate confidence buckets for calibration', () => {
+      PlayerProfile.recordGame(createGameData());
+      PlayerProfile.recordGame(createGameData());
+
+      // Keyed by stated percent (levels 1-3 state 50%, 75% and 95%)
+      const profile = PlayerProfile.get();
+      expect(profile.stats.confidenceBuckets[95]).toEqual({ total: 2, correct: 0 });
+      expect(profile.stats.confidenceBuckets[75]).toEqual({ total: 2, correct: 2 });
+      expect(profile.stats.confidenceBuckets[50]).toEqual({ total: 2, correct: 2 });
+    });
+
+    it('should bucket probability-mode rounds by the probability stated', () => {
+      PlayerProfile.recordGame(createGameData({
+        rounds: [
+          { correct: true, confidence: 3, probability: 0.85, points: 3 },
+          { correct: false, confidence: 2, probability: 0.7, points: -2 }
+        ]
+      }));
+
+      const profile = PlayerProfile.get();
+      expect(profile.stats.confidenceBuckets[85]).toEqual({ total: 1, correct: 1 });
+      expect(profile.stats.confidenceBuckets[70]).toEqual({ total: 1, correct: 0 });
+      expect(profile.confidenceHistory[0]).toMatchObject({ probability: 0.85, correct: true });
+    });
+
+    it('should convert level-keyed buckets from older profiles', () => {
+      const profile = PlayerProfile.get();
+      profile.stats.confidenceBuckets = { 1: { total: 0, correct: 0 }, 2: { total: 0, correct: 0 }, 3: { total: 4, correct: 3 } };
+      PlayerProfile.save(profile);
+
+      PlayerProfile.recordGame(createGameData());
+
+      expect(PlayerProfile.get().stats.confidenceBuckets[95]).toEqual({ total: 5, correct: 3 });
+      expect(PlayerProfile.get().stats.confidenceBuckets[3]).toBeUndefined();
+    });
+
+    it('should store per-game calibration in recent games', () => {
+      PlayerProfile.recordGame(createGameData());
+
+      const profile = PlayerProfile.get();
+      expect(profile.recentGames[0].brierScore).toBeGreaterThan(0);
+      expect(typeof profile.recentGames[0].calibrationBias).toBe('number');
+    });
+
+    it('should backfill confidence buckets for older profiles', () => {
+      const profile = PlayerProfile.get();
+      delete profile.stats.confidenceBuckets;
+      PlayerProfile.save(profile);
+
+      PlayerProfile.recordGame(createGameData());
+
+      expect(PlayerProfile.get().stats.confidenceBuckets[95].total).toBe(1);
+    });
+
+    it('should remember the scoring profile', () => {
+      PlayerProfile.recordGame({ ...createGameData(), scoringProfile: 'gentle' });
+
+      expect(PlayerProfile.get().recentGames[0].scoringProfile).toBe('gentle');
+      expect(PlayerProfile.getQuickStartSettings().scoringProfile).toBe('gentle');
+    });
+
+    it('should keep a capped per-round confidence history', () => {
+      PlayerProfile.recordGame(createGameData());
+
+      const history = PlayerProfile.get().confidenceHistory;
+      expect(history).toHaveLength(3);
+      expect(history[0]).toMatchObject({ confidence: expect.any(Number), correct: expect.any(Boolean) });
+
+      for (let i = 0; i < 70; i++) {
+        PlayerProfile.recordGame(createGameData());
+      }
+      expect(PlayerProfile.get().confidenceHistory).toHaveLength(200);
+    });
+
+    it('should keep a rolling history of answer times for speed baselines', () => {
+      PlayerProfile.recordGame(createGameData({
+        rounds: [
+          { correct: true, confidence: 2, points: 3, timeElapsed: 12 },
+          { correct: false, confidence: 3, points: -10, timeElapsed: 40, forfeited: true },
+          { correct: true, confidence: 1, points: 1, timeElapsed: 30 }
+        ],
+        claims: [
+          { id: 'claim1', subject: 'Biology', text: 'Bats are blind' },
+          { id: 'claim2', subject: 'History', text: 'Napoleon was short' },
+          { id: 'claim3', subject: 'Biology', text: 'Octopuses have three hearts' }
+        ]
+      }));
+
+      expect(PlayerProfile.get().responseHistory).toEqual([
+        { seconds: 12, words: 3 },
+        { seconds: 30, words: 4 }
+      ]);
+    });
+
+    it('should track near misses as partial subject credit', () => {
+      PlayerProfile.recordGame(createGameData({
+        rounds: [
+          { correct: true, confidence: 2, points: 3 },
+          { correct: false, confidence: 2, points: 0, nearMiss: true, credit: 0.5 },
+          { correct: false, confidence: 3, points: -6 },
+          { correct: false, confidence: 1, points: 0, nearMiss: true, credit: 0.5 }
+        ],
+        claims: [
+          { id: 'claim1', subject: 'Biology' },
+          { id: 'claim2', subject: 'Biology' },
+          { id: 'claim3', subject: 'Biology' },
+          { id: 'claim4', subject: 'History' }
+        ]
+      }));
+
+      const { subjectStats } = PlayerProfile.get();
+      expect(subjectStats.Biology).toMatchObject({ correct: 1, incorrect: 2, partial: 1 });
+      expect(subjectStats.History).toMatchObject({ correct: 0, incorrect: 1, partial: 1 });
+
+      // 1 correct + 0.5 partial out of 3
+      const biology = PlayerProfile.getDisplayStats().bestSubjects.find(sub => sub.name === 'Biology');
+      expect(biology.accuracy).toBe(50);
+    });
+  });
+
+  describe('review queue', () => {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const gameWith = (rounds, claims) => ({ rounds, claims, finalScore: 0, maxStreak: 0, difficulty: 'mixed' });
+
+    it('should queue missed claims and skip correct and forfeited ones', () => {
+      PlayerProfile.recordGame(gameWith(
+        [
+          { correct: true, confidence: 2 },
+          { correct: false, confidence: 2, teamVerdict: 'TRUE' },
+          { correct: false, forfeited: true }
+        ],
+        [
+          { id: 'claim1', subject: 'Biology', answer: 'TRUE' },
+          { id: 'claim2', subject: 'Biology', answer: 'FALSE' },
+          { id: 'claim3', subject: 'Biology', answer: 'TRUE' }
+        ]
+      ));
+
+      const queue = PlayerProfile.get().reviewQueue;
+      expect(Object.keys(queue)).toEqual(['claim2']);
+      expect(queue.claim2.box).toBe(1);
+      expect(PlayerProfile.getDueReviewIds()).toEqual([]);
+      expect(PlayerProfile.getDueReviewIds(Date.now() + DAY_MS + 1000)).toEqual(['claim2']);
+      expect(PlayerProfile.getReviewSummary()).toMatchObject({ total: 1, due: 0 });
+    });
+
+    it('should promote claims answered correctly on review', () => {
+      const claims = [{ id: 'claim1', subject: 'Biology', answer: 'FALSE' }];
+      PlayerProfile.recordGame(gameWith([{ correct: false, teamVerdict: 'TRUE' }], claims));
+      PlayerProfile.recordGame(gameWith([{ correct: true }], claims));
+
+      const entry = PlayerProfile.get().reviewQueue.claim1;
+      expect(entry.box).toBe(2);
+      expect(entry.reviews).toBe(1);
+    });
+
+    it('should not queue missed estimation questions', () => {
+      PlayerProfile.recordGame(gameWith(
+        [{ correct: false, estimate: { low: 1, high: 2, level: 0.9 } }],
+        [{ id: 'est-geo-001', subject: 'geography', type: 'estimate', estimate: { value: 8849, unit: 'm' } }]
+      ));
+
+      expect(PlayerProfile.get().reviewQueue).toEqual({});
+    });
+  });
+
+  describe('recordRating()', () => {
+    it('should update player and claim ratings after each round', () => {
+      PlayerProfile.recordRating({ id: 'claim1', difficulty: 'hard' }, 1);
+
+      const ratings = PlayerProfile.getRatings();
+      expect(ratings.player.rating).toBeGreaterThan(1000);
+      expect(ratings.player.rounds).toBe(1);
+      expect(ratings.claims.claim1.rating).toBeLessThan(1150);
+      expect(ratings.claims.claim1.attempts).toBe(1);
+      expect(PlayerProfile.getDisplayStats().skillRating).toBe(ratings.player.rating);
+    });
+
+    it('should ignore claims without an id', () => {
+      expect(PlayerProfile.recordRating(null, 1)).toBeNull();
+      expect(PlayerProfile.getRatings().player.rounds).toBe(0);
+    });
   });
 
   describe('awardAchievement()', () => {
@@ -252,6 +435,39 @@ describe('PlayerProfile', () => {
       expect(stats.accuracy).toBe(0);
       expect(stats.calibrationRate).toBe(0);
     });
+
+    it('should return lifetime calibration metrics', () => {
+      PlayerProfile.recordGame({
+        rounds: [
+          { correct: true, confidence: 3, points: 5 },
+          { correct: false, confidence: 3, points: -6 }
+        ],
+        claims: [{ id: 'c1', subject: 'Biology' }, { id: 'c2', subject: 'Biology' }],
+        finalScore: -1,
+        difficulty: 'easy'
+      });
+
+      const { calibrationMetrics } = PlayerProfile.getDisplayStats();
+      expect(calibrationMetrics.count).toBe(2);
+      expect(calibrationMetrics.bias).toBeCloseTo(0.45, 6);
+    });
+
+    it('should return lifetime range hit rates for estimation questions', () => {
+      const estimateGame = (correct) => ({
+        rounds: [{ correct, estimate: { low: 1, high: 2, level: 0.9 }, points: correct ? 2 : -1 }],
+        claims: [{ id: 'est-1', subject: 'geography', type: 'estimate' }],
+        finalScore: 0,
+        difficulty: 'easy'
+      });
+      PlayerProfile.recordGame(estimateGame(true));
+      PlayerProfile.recordGame(estimateGame(false));
+
+      const stats = PlayerProfile.getDisplayStats();
+      expect(stats.intervalCalibration).toEqual([
+        { level: 0.9, total: 2, hits: 1, hitRate: 0.5, verdict: 'too-few' }
+      ]);
+      expect(stats.calibrationMetrics.count).toBe(0);
+    });
   });
 
   describe('getQuickStartSettings()', () => {
@@ -0,0 +1,149 @@
+/**
+ * CLAIM PACKS SERVICE
+ * Installs versioned claim packs (see data/claimPackSchema.js) on this device
+ *
+ * Packs let a district or teacher add claims without rebuilding the app. Installed
+ * packs are kept in localStorage; enabled packs are merged into the claims database
+ * by loadClaimsDatabase(). Built-in claims win if a pack reuses one of their IDs.
+ */
+
+import { safeGetItem, safeSetItem } from '../utils/safeStorage';
+import { logger } from '../utils/logger';
+import { validateClaimPack, compareVersions } from '../data/claimPackSchema';
+
+const STORAGE_KEY = 'truthHunters_claimPacks';
+const MAX_PACK_BYTES = 2 * 1024 * 1024;
+
+export const ClaimPacks = {
+  /**
+   * All installed packs, enabled or not
+   * @returns {Array<Object>} Packs with { ...pack, enabled, installedAt }
+   */
+  getInstalled() {
+    const packs = safeGetItem(STORAGE_KEY, []);
+    return Array.isArray(packs) ? packs : [];
+  },
+
+  /**
+   * Claims from every enabled pack, tagged with their packId
+   * @returns {Array<Object>} Claims
+   */
+  getActiveClaims() {
+    return this.getInstalled()
+      .filter(pack => pack.enabled)
+      .flatMap(pack => pack.claims.map(claim => ({ ...claim, packId: pack.id })));
+  },
+
+  /**
+   * Validate and install a pack, replacing an older version with the same id
+   * @param {Object} pack - Parsed pack JSON
+   * @returns {{success: boolean, pack?: Object, replacedVersion?: string, error?: string}}
+   */
+  install(pack) {
+    const validation = validateClaimPack(pack);
+    if (!validation.isValid) {
+      return { success: false, error: validation.error };
+    }
+
+    const installed = this.getInstalled();
+    const existing = installed.find(p => p.id === pack.id);
+    if (existing && compareVersions(pack.version, existing.version) < 0) {
+      return {
+        success: false,
+        error: `Version ${pack.version} is older than the installed ${existing.version}. Remove the pack first to downgrade.`
+      };
+    }
+
+    const entry = { ...pack, enabled: existing ? existing.enabled : true, installedAt: Date.now() };
+    const packs = existing
+      ? installed.map(p => (p.id === pack.id ? entry : p))
+      : [...installed, entry];
+
+    if (!safeSetItem(STORAGE_KEY, packs)) {
+      return { success: false, error: 'Not enough storage space on this device for this pack.' };
+    }
+    return { success: true, pack: entry, replacedVersion: existing?.version };
+  },
+
+  /**
+   * Turn a pack on or off without removing it
+   * @param {string} packId - Pack id
+   * @param {boolean} enabled - Whether its claims are used in games
+   * @returns {boolean} True if the pack exists and was saved
+   */
+  setEnabled(packId, enabled) {
+    const packs = this.getInstalled();
+    if (!packs.some(p => p.id === packId)) return false;
+    return safeSetItem(STORAGE_KEY, packs.map(p => (p.id === packId ? { ...p, enabled } : p)));
+  },
+
+  /**
+   * Uninstall a pack
+   * @param {string} packId - Pack id
+   * @returns {boolean} True if saved
+   */
+  remove(packId) {
+    return safeSetItem(STORAGE_KEY, this.getInstalled().filter(p => p.id !== packId));
+  },
+
+  /**
+   * Parse and install pack JSON text
+   * @param {string} text - File contents
+   * @returns {{success: boolean, pack?: Object, replacedVersion?: string, error?: string}}
+   */
+  installFromText(text) {
+    if (text.length > MAX_PACK_BYTES) {
+      return { success: false, error: 'Pack file is too large (2 MB maximum).' };
+    }
+    let pack;
+    try {
+      pack = JSON.parse(text);
+    } catch {
+      return { success: false, error: 'Pack file is not valid JSON.' };
+    }
+    return this.install(pack);
+  },
+
+  /**
+   * Install a pack from a local file (e.g. an <input type="file"> selection)
+   * @param {File} file - Pack file
+   * @returns {Promise<Object>} Result of installFromText
+   */
+  async installFromFile(file) {
+    if (file.size > MAX_PACK_BYTES) {
+      return { success: false, error: 'Pack file is too large (2 MB maximum).' };
+    }
+    return this.installFromText(await file.text());
+  },
+
+  /**
+   * Install a pack bundled with the app (e.g. /claim-packs/unit-3.json)
+   * Only same-origin paths are allowed.
+   * @param {string} path - Path or same-origin URL
+   * @returns {Promise<Object>} Result of installFromText
+   */
+  async installFromPath(path) {
+    let url;
+    try {
+      url = new URL(path, window.location.origin);
+    } catch {
+      return { success: false, error: 'Invalid pack path.' };
+    }
+    if (url.origin !== window.location.origin) {
+      return { success: false, error: 'Packs can only be loaded from this site. Download the file and upload it instead.' };
+    }
+
+    try {
+      const response = await fetch(url.href);
+      if (!response.ok) {
+        return { success: false, error: `Could not load pack (HTTP ${response.status}).` };
+      }
+      return this.installFromText(await response.text());
+    } catch (error) {
+      logger.warn('Failed to fetch claim pack:', error);
+      return { success: false, error: 'Could not load pack. Check the path and your connection.' };
+    }
+  }
+};
+
+export default ClaimPacks;
@@ -0,0 +1,99 @@
+/**
+ * CLAIMS STORE
+ * Keeps downloaded claim chunks in IndexedDB so later sessions start without the network
+ *
+ * Each record is { chunk, hash, claims }. A record is only used when its hash matches
+ * claimsIndex.json, so a new deploy with edited claims replaces stale chunks.
+ * Every method resolves (never rejects): IndexedDB can be missing, blocked in private
+ * browsing or full, and the loader then just fetches the chunk as usual.
+ */
+
+import { logger } from '../utils/logger';
+
+const DB_NAME = 'truthHunters_claims';
+const DB_VERSION = 1;
+const STORE_NAME = 'chunks';
+
+let dbPromise = null;
+
+function openDatabase() {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+
+  if (!dbPromise) {
+    dbPromise = new Promise(resolve => {
+      try {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(STORE_NAME, { keyPath: 'chunk' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          logger.warn('Claims store unavailable:', request.error);
+          resolve(null);
+        };
+        request.onblocked = () => resolve(null);
+      } catch (error) {
+        logger.warn('Claims store unavailable:', error);
+        resolve(null);
+      }
+    });
+  }
+  return dbPromise;
+}
+
+function runRequest(mode, makeRequest) {
+  return openDatabase().then(db => {
+    if (!db) return null;
+    return new Promise(resolve => {
+      try {
+        const request = makeRequest(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+        request.onsuccess = () => resolve(request.result ?? null);
+        request.onerror = () => {
+          logger.warn('Claims store request failed:', request.error);
+          resolve(null);
+        };
+      } catch (error) {
+        logger.warn('Claims store request failed:', error);
+        resolve(null);
+      }
+    });
+  });
+}
+
+export const ClaimsStore = {
+  /**
+   * Read a cached chunk
+   * @param {string} chunk - Chunk name from claimsIndex.json
+   * @param {string} hash - Expected content hash
+   * @returns {Promise<Array|null>} Claims, or null if missing or stale
+   */
+  async get(chunk, hash) {
+    const record = await runRequest('readonly', store => store.get(chunk));
+    return record && record.hash === hash ? record.claims : null;
+  },
+
+  /**
+   * Cache a chunk, replacing any older copy
+   * @param {string} chunk - Chunk name
+   * @param {string} hash - Content hash
+   * @param {Array} claims - Chunk claims
+   * @returns {Promise<boolean>} True if saved
+   */
+  async put(chunk, hash, claims) {
+    const result = await runRequest('readwrite', store => store.put({ chunk, hash, claims }));
+    return result !== null;
+  },
+
+  /**
+   * Remove every cached chunk
+   * @returns {Promise<boolean>} True if cleared
+   */
+  async clear() {
+    const db = await openDatabase();
+    if (!db) return false;
+    await runRequest('readwrite', store => store.clear());
+    return true;
+  }
+};
+
+export default ClaimsStore;
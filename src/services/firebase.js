@@ -26,6 +26,10 @@ import { sanitizeInput } from '../utils/moderation';
 import { aggregatePlayerScores } from '../utils/leaderboardUtils';
 import { logger } from '../utils/logger';
 import { firebaseCache } from './firebaseCache';
+import { updateRatings, keepRecentRatings } from '../utils/ratings';
+import { RATINGS, CLAIM_REWRITES } from '../data/constants';
+import { normalizeRewriteScores, calculateRewriteBonus } from '../utils/scoring';
+import { resolveSubjectId } from '../data/subjects';
 
 const FIREBASE_CLASS_KEY = 'truthHunters_classCode';
 const FIREBASE_CLASS_SETTINGS_KEY = 'truthHunters_classSettings';
@@ -191,6 +195,7 @@ export const FirebaseBackend = {
 
   /**
    * Save game record to Firestore
+   * Records with a sessionId are stored under it, so graded claim rewrites can find them.
    * @param {Object} record - Game record to save
    */
   async save(record) {
@@ -214,8 +219,11 @@ export const FirebaseBackend = {
         }))
       };
 
-      const gamesRef = collection(this.db, 'games');
-      await addDoc(gamesRef, docData);
+      if (record.sessionId) {
+        await setDoc(doc(this.db, 'games', record.sessionId), docData);
+      } else {
+        await addDoc(collection(this.db, 'games'), docData);
+      }
 
       // Invalidate leaderboard caches after successful write
       firebaseCache.invalidate('getTopTeams');
@@ -265,9 +273,12 @@ export const FirebaseBackend = {
       }
 
       const snapshot = await getDocs(q);
+      // Graded "fix the claim" bonuses are shown beside the score, which stays as played
+      const rewriteBonuses = await this.getRewriteBonuses(filterClass);
       const results = snapshot.docs.map(doc => ({
         id: doc.id,
         ...doc.data(),
+        rewriteBonus: rewriteBonuses[doc.id] || 0,
         timestamp: doc.data().createdAt?.toMillis() || Date.now()
       }));
 
@@ -450,7 +461,7 @@ export const FirebaseBackend = {
         claimText: sanitizedClaimText,
         answer: claimData.answer,
         explanation: sanitizeInput(claimData.explanation || ''),
-        subject: claimData.subject || 'General',
+        subject: resolveSubjectId(claimData.subject || 'General'),
         difficulty: difficulty,
         source: 'student-contributed',
         citation: sanitizeInput(claimData.citation || ''),
@@ -644,7 +655,7 @@ export const FirebaseBackend = {
             text: data.claimText,
             answer: data.answer,
             explanation: data.explanation || 'No explanation provided.',
-            subject: data.subject || 'General',
+            subject: resolveSubjectId(data.subject || 'General'), // Older submissions stored display names
             difficulty: validDifficulties.includes(data.difficulty) ? data.difficulty : 'medium',
             source: 'student-contributed',
             citation: data.citation || null,
@@ -768,6 +779,172 @@ export const FirebaseBackend = {
     }
   },
 
+  // ==================== CLAIM REWRITES ====================
+
+  /**
+   * Send a finished game's "fix the claim" rewrites for teacher grading
+   * Each is stored under its session ID and round, so a round can only have one rewrite.
+   * @param {Array} rewrites - [{ claimId, claimText, claimAnswer, verdict, rewrite, reasoning, round }]
+   * @param {Object} gameInfo - { sessionId, teamName, teamAvatar } (sessionId links to the game record,
+   *   which must be saved first)
+   */
+  async submitRewrites(rewrites, gameInfo = {}) {
+    if (!this.initialized || !this.db) {
+      return { success: false, error: 'Firebase not initialized' };
+    }
+
+    const valid = (rewrites || []).filter(r => r?.claimId && r.rewrite?.trim() && Number.isInteger(r.round));
+    if (valid.length === 0) return { success: false, error: 'No rewrites to submit' };
+    if (!gameInfo.sessionId) return { success: false, error: 'Missing game session' };
+
+    try {
+      const classCode = this.getClassCode() || 'PUBLIC';
+      await Promise.all(valid.map(r => setDoc(doc(this.db, 'claimRewrites', `${gameInfo.sessionId}_${r.round}`), {
+        classCode: classCode,
+        status: 'pending', // pending, graded
+        submittedAt: serverTimestamp(),
+        gradedAt: null,
+        sessionId: gameInfo.sessionId,
+        teamName: sanitizeInput(gameInfo.teamName || 'Team'),
+        teamAvatar: gameInfo.teamAvatar || '🔍',
+        round: r.round,
+        claimId: r.claimId,
+        claimText: sanitizeInput(r.claimText || '', CLAIM_REWRITES.MAX_LENGTH),
+        claimAnswer: r.claimAnswer || null,
+        verdict: CLAIM_REWRITES.VERDICTS.includes(r.verdict) ? r.verdict : null,
+        rewrite: sanitizeInput(r.rewrite, CLAIM_REWRITES.MAX_LENGTH),
+        reasoning: sanitizeInput(r.reasoning || ''),
+        rubricScores: null,
+        bonus: null,
+        reviewerNote: null
+      })));
+
+      return { success: true, count: valid.length };
+    } catch (e) {
+      logger.warn('Failed to submit rewrites:', e);
+      return { success: false, error: e.message };
+    }
+  },
+
+  /**
+   * Get rewrites waiting for a grade
+   * @param {string} classFilter - Optional class code filter
+   */
+  async getPendingRewrites(classFilter = null) {
+    if (!this.initialized || !this.db) {
+      return [];
+    }
+
+    try {
+      const filterClass = classFilter || this.getClassCode();
+      const rewritesRef = collection(this.db, 'claimRewrites');
+
+      let q;
+      if (filterClass) {
+        q = query(
+          rewritesRef,
+          where('classCode', '==', filterClass),
+          where('status', '==', 'pending'),
+          orderBy('submittedAt', 'desc'),
+          limit(50)
+        );
+      } else {
+        q = query(
+          rewritesRef,
+          where('status', '==', 'pending'),
+          orderBy('submittedAt', 'desc'),
+          limit(50)
+        );
+      }
+
+      const snapshot = await getDocs(q);
+      return snapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data(),
+        timestamp: doc.data().submittedAt?.toMillis() || Date.now()
+      }));
+    } catch (e) {
+      logger.warn('Failed to fetch pending rewrites:', e);
+      return [];
+    }
+  },
+
+  /**
+   * Grade a rewrite, once
+   * Game records stay as saved; the bonus is added to the team's rewrite total
+   * on the class leaderboard (see getRewriteBonuses).
+   * @param {Object} rewrite - Pending rewrite (from getPendingRewrites)
+   * @param {Object} rubricScores - Level per CLAIM_REWRITES.RUBRIC criterion
+   * @param {string} reviewerNote - Optional feedback for the team
+   * @returns {Promise<Object>} { success, bonus } or { success: false, error }
+   */
+  async gradeRewrite(rewrite, rubricScores, reviewerNote = '') {
+    if (!this.initialized || !this.db) {
+      return { success: false, error: 'Firebase not initialized' };
+    }
+    if (!rewrite?.id) return { success: false, error: 'Missing rewrite' };
+
+    const scores = normalizeRewriteScores(rubricScores);
+    const bonus = calculateRewriteBonus(scores);
+
+    try {
+      const rewriteRef = doc(this.db, 'claimRewrites', rewrite.id);
+      await runTransaction(this.db, async (transaction) => {
+        const rewriteSnap = await transaction.get(rewriteRef);
+        if (!rewriteSnap.exists() || rewriteSnap.data().status !== 'pending') {
+          throw new Error('Rewrite was already graded');
+        }
+
+        transaction.update(rewriteRef, {
+          status: 'graded',
+          gradedAt: serverTimestamp(),
+          rubricScores: scores,
+          bonus,
+          reviewerNote: sanitizeInput(reviewerNote || '')
+        });
+      });
+
+      // Team leaderboards show rewrite totals
+      firebaseCache.invalidate('getTopTeams');
+
+      return { success: true, bonus };
+    } catch (e) {
+      logger.warn('Failed to grade rewrite:', e);
+      return { success: false, error: e.message };
+    }
+  },
+
+  /**
+   * Total graded rewrite bonus per game in a class
+   * @param {string} classCode - Class code (no class, no rewrites)
+   * @returns {Promise<Object>} Bonus points by game session ID
+   */
+  async getRewriteBonuses(classCode) {
+    if (!this.initialized || !this.db || !classCode) {
+      return {};
+    }
+
+    try {
+      const snapshot = await getDocs(query(
+        collection(this.db, 'claimRewrites'),
+        where('classCode', '==', classCode),
+        where('status', '==', 'graded')
+      ));
+
+      const totals = {};
+      snapshot.docs.forEach(doc => {
+        const { sessionId, bonus } = doc.data();
+        if (sessionId && bonus > 0) {
+          totals[sessionId] = (totals[sessionId] || 0) + bonus;
+        }
+      });
+      return totals;
+    } catch (e) {
+      logger.warn('Failed to fetch rewrite bonuses:', e);
+      return {};
+    }
+  },
+
   // ==================== REAL-TIME LISTENERS ====================
 
   // FIXED: Store active listener unsubscribe functions as arrays to support multiple subscribers
@@ -1114,10 +1291,122 @@ export const FirebaseBackend = {
       requireClaimCitation: false,
       showLeaderboard: true,
       gradeLevel: 'middle', // elementary, middle, high, college
+      confidenceMode: 'levels', // levels (3 stakes) or probability (50-99% slider)
+      probabilityScoringRule: 'quadratic', // quadratic or logarithmic (probability mode only)
+      scoringProfile: null, // SCORING_PROFILES id, or null to let students choose
+      speedBonusBaseline: 'fixed', // fixed (round timer), personal-median or word-count
+      adaptiveTargetSuccess: 0.7, // Success rate Adaptive difficulty aims for (RATINGS.TARGET_SUCCESS_OPTIONS)
+      answerMix: { TRUE: 40, FALSE: 40, MIXED: 20 }, // Relative share of each answer per game (SELECTION_BALANCE)
+      aiSourceShare: 0.5, // Share of AI-generated claims per game
+      maxPerErrorPattern: 1, // Claims per AI error pattern in one game (0 = no limit)
+      practicePatterns: [], // AI_ERROR_PATTERNS ids every game practices (lesson focus), empty for normal games
+      standards: [], // Standard codes from data/subjects.js; games only use claims covering them (empty = all)
       customMessage: ''
     };
   },
 
+  // ==================== CLASS SKILL RATINGS ====================
+
+  /**
+   * Get class-wide skill ratings (with caching)
+   * Claims are rated by every team in the class, so their difficulty settles faster
+   * than a single player's local ratings
+   * @param {string} classCode - The class code
+   * @returns {Promise<Object>} { claims: { [claimId]: { rating, attempts } }, teams: { [teamKey]: { rating, rounds } } }
+   */
+  async getClassRatings(classCode = null) {
+    const empty = { claims: {}, teams: {} };
+    if (!this.initialized || !this.db) {
+      return empty;
+    }
+
+    const code = classCode || this.getClassCode();
+    if (!code) return empty;
+
+    // Check cache first (5 minute TTL - ratings drift slowly)
+    const cached = firebaseCache.get('getClassRatings', code);
+    if (cached !== null) {
+      return cached;
+    }
+
+    try {
+      const snapshot = await getDoc(doc(this.db, 'classRatings', code));
+      const data = snapshot.exists() ? snapshot.data() : {};
+      const result = { claims: data.claims || {}, teams: data.teams || {} };
+
+      firebaseCache.set('getClassRatings', [code], result, 300000);
+
+      return result;
+    } catch (e) {
+      logger.warn('Failed to fetch class ratings:', e);
+      return empty;
+    }
+  },
+
+  /**
+   * Key used for a team's class rating (case-insensitive team name)
+   * @param {string} teamName - Team name
+   * @returns {string} Team key
+   */
+  getTeamRatingKey(teamName) {
+    return sanitizeInput(teamName || 'Team').trim().toLowerCase().slice(0, 40);
+  },
+
+  /**
+   * Fold a finished game's rounds into the class ratings
+   * Rounds are replayed in order against the stored team and claim ratings. Entries are
+   * stamped with lastPlayed, and the least recently played are dropped to stay under
+   * RATINGS.MAX_CLASS_TEAMS / MAX_CLASS_CLAIMS (above those the rules reject the write).
+   * @param {Array} rounds - [{ claimId, seedRating, outcome }] (outcome 0-1, forfeits excluded)
+   * @param {string} teamName - Team that played the game
+   * @param {string} classCode - The class code
+   */
+  async recordClassRatings(rounds, teamName, classCode = null) {
+    if (!this.initialized || !this.db) {
+      return { success: false, error: 'Firebase not initialized' };
+    }
+
+    const code = classCode || this.getClassCode();
+    if (!code || !rounds?.length) return { success: false, error: 'Missing data' };
+
+    try {
+      const ratingsDoc = doc(this.db, 'classRatings', code);
+      const teamKey = this.getTeamRatingKey(teamName);
+
+      // Transaction so games finishing at the same time don't overwrite each other
+      await runTransaction(this.db, async (transaction) => {
+        const snapshot = await transaction.get(ratingsDoc);
+        const data = snapshot.exists() ? snapshot.data() : {};
+        const claims = { ...(data.claims || {}) };
+        const teams = { ...(data.teams || {}) };
+
+        const lastPlayed = Date.now();
+        let team = teams[teamKey] || { rating: RATINGS.INITIAL_RATING, rounds: 0 };
+        rounds.forEach(({ claimId, seedRating, outcome }) => {
+          const claim = claims[claimId] || { rating: seedRating ?? RATINGS.INITIAL_RATING, attempts: 0 };
+          const updated = updateRatings(team, claim, outcome);
+          team = updated.player;
+          claims[claimId] = { ...updated.claim, lastPlayed };
+        });
+        teams[teamKey] = { ...team, lastPlayed };
+
+        transaction.set(ratingsDoc, {
+          classCode: code,
+          claims: keepRecentRatings(claims, RATINGS.MAX_CLASS_CLAIMS),
+          teams: keepRecentRatings(teams, RATINGS.MAX_CLASS_TEAMS),
+          updatedAt: serverTimestamp()
+        });
+      });
+
+      firebaseCache.invalidate('getClassRatings');
+
+      return { success: true };
+    } catch (e) {
+      logger.warn('Failed to record class ratings:', e);
+      return { success: false, error: e.message };
+    }
+  },
+
   // ==================== CLASS SEEN CLAIMS TRACKING ====================
 
   /**
@@ -5,9 +5,30 @@
  */
 
 import { logger } from '../utils/logger';
+import {
+  addToConfidenceBuckets,
+  calculateCalibrationMetrics,
+  calculateCalibrationFromResults,
+  createConfidenceBuckets,
+  getStatedProbability
+} from '../utils/calibration';
+import { getResultCredit } from '../utils/scoring';
+import { countWords } from '../utils/generic';
+import { getClaimRating, updateRatings } from '../utils/ratings';
+import { scheduleReview, getDueClaimIds, getReviewSummary } from '../utils/spacedRepetition';
+import {
+  addToIntervalBuckets,
+  calculateIntervalCalibration,
+  createIntervalBuckets,
+  isEstimateClaim
+} from '../utils/estimation';
+import { isPairClaim } from '../utils/claimPairs';
+import { PARTIAL_CREDIT, SPEED_BONUS, RATINGS, SPACED_REPETITION } from '../data/constants';
+import { getSubjectName } from '../data/subjects';
 
 const STORAGE_KEY = 'truthHunters_playerProfile';
 const PROFILE_VERSION = 1;
+const MAX_CONFIDENCE_HISTORY = 200; // Per-round confidence outcomes kept for calibration charts
 
 /**
  * Default profile structure
@@ -43,9 +64,16 @@ function createDefaultProfile() {
       highConfidenceIncorrect: 0,
       lowConfidenceCorrect: 0,
       lowConfidenceIncorrect: 0,
+
+      // Per-confidence-level { total, correct } for Brier score / log loss
+      confidenceBuckets: createConfidenceBuckets(),
+
+      // Per-range-level { total, hits } for estimation questions
+      intervalBuckets: createIntervalBuckets(),
     },
 
-    // Subject performance: { [subject]: { correct, incorrect, lastPlayed } }
+    // Subject performance: { [subject]: { correct, incorrect, partial, lastPlayed } }
+    // partial counts near misses, which are also included in incorrect
     subjectStats: {},
 
     // Error pattern performance: { [patternId]: { encountered, caught } }
@@ -54,6 +82,23 @@ function createDefaultProfile() {
     // Claims seen: Set of claim IDs (stored as array for JSON)
     claimsSeen: [],
 
+    // Recent per-round confidence outcomes, oldest first: [{ timestamp, confidence, correct }]
+    confidenceHistory: [],
+
+    // Recent answer times for adaptive speed bonus baselines, oldest first: [{ seconds, words }]
+    responseHistory: [],
+
+    // Skill ratings for adaptive difficulty (see utils/ratings.js)
+    // claims: { [claimId]: { rating, attempts } }, least recently updated first
+    ratings: {
+      player: { rating: RATINGS.INITIAL_RATING, rounds: 0 },
+      claims: {}
+    },
+
+    // Spaced repetition queue of missed claims (see utils/spacedRepetition.js)
+    // { [claimId]: { box, due, lapses, reviews, lastReviewed } }, least recently reviewed first
+    reviewQueue: {},
+
     // Lifetime achievements earned (by ID)
     lifetimeAchievements: [],
 
@@ -65,7 +110,8 @@ function createDefaultProfile() {
       defaultDifficulty: 'mixed',
       defaultRounds: 5,
       soundEnabled: true,
-      lastSubjects: []
+      lastSubjects: [],
+      scoringProfile: 'classic'
     }
   };
 }
@@ -230,6 +276,37 @@ export const PlayerProfile = {
       }
     });
 
+    // Update lifetime calibration buckets (older profiles may not have them yet)
+    profile.stats.confidenceBuckets = addToConfidenceBuckets(
+      profile.stats.confidenceBuckets,
+      gameData.rounds
+    );
+    const gameCalibration = calculateCalibrationFromResults(gameData.rounds);
+    profile.stats.intervalBuckets = addToIntervalBuckets(
+      profile.stats.intervalBuckets,
+      gameData.rounds
+    );
+
+    // Keep a rolling per-round history for the reliability diagram
+    const roundOutcomes = gameData.rounds
+      .filter(round => !round.forfeited && getStatedProbability(round) !== null)
+      .map(round => ({
+        timestamp: now,
+        confidence: round.confidence,
+        ...(typeof round.probability === 'number' && { probability: round.probability }),
+        correct: !!round.correct
+      }));
+    profile.confidenceHistory = [...(profile.confidenceHistory || []), ...roundOutcomes]
+      .slice(-MAX_CONFIDENCE_HISTORY);
+
+    // Keep a rolling window of answer times (with claim length) for adaptive speed baselines
+    const responseTimes = gameData.rounds
+      .map((round, i) => ({ round, claim: gameData.claims[i] }))
+      .filter(({ round }) => !round.forfeited && typeof round.timeElapsed === 'number' && round.timeElapsed > 0)
+      .map(({ round, claim }) => ({ seconds: round.timeElapsed, words: countWords(claim?.text) }));
+    profile.responseHistory = [...(profile.responseHistory || []), ...responseTimes]
+      .slice(-SPEED_BONUS.HISTORY_SIZE);
+
     // Update subject stats
     gameData.claims.forEach((claim, i) => {
       const round = gameData.rounds[i];
@@ -237,13 +314,16 @@ export const PlayerProfile = {
 
       const subject = claim.subject;
       if (!profile.subjectStats[subject]) {
-        profile.subjectStats[subject] = { correct: 0, incorrect: 0, lastPlayed: now };
+        profile.subjectStats[subject] = { correct: 0, incorrect: 0, partial: 0, lastPlayed: now };
       }
 
       if (round.correct) {
         profile.subjectStats[subject].correct++;
       } else {
         profile.subjectStats[subject].incorrect++;
+        if (getResultCredit(round, claim) > 0) {
+          profile.subjectStats[subject].partial = (profile.subjectStats[subject].partial || 0) + 1;
+        }
       }
       profile.subjectStats[subject].lastPlayed = now;
     });
@@ -264,6 +344,22 @@ export const PlayerProfile = {
       }
     });
 
+    // Reschedule reviews: missed claims join the queue, reviewed claims move between boxes
+    // (estimation questions and pair rounds have no verdict to review)
+    const reviewQueue = { ...(profile.reviewQueue || {}) };
+    gameData.claims.forEach((claim, i) => {
+      const round = gameData.rounds[i];
+      if (!round || round.forfeited || !claim?.id || isEstimateClaim(claim) || isPairClaim(claim)) return;
+
+      const entry = scheduleReview(reviewQueue[claim.id] || null, getResultCredit(round, claim), now);
+      delete reviewQueue[claim.id];
+      if (entry) reviewQueue[claim.id] = entry;
+    });
+    const queuedIds = Object.keys(reviewQueue);
+    queuedIds.slice(0, Math.max(0, queuedIds.length - SPACED_REPETITION.MAX_QUEUE_SIZE))
+      .forEach(id => delete reviewQueue[id]);
+    profile.reviewQueue = reviewQueue;
+
     // Track claims seen
     gameData.claims.forEach(claim => {
       if (!profile.claimsSeen.includes(claim.id)) {
@@ -278,14 +374,20 @@ export const PlayerProfile = {
       rounds: gameData.rounds.length,
       correct: correct,
       difficulty: gameData.difficulty,
+      scoringProfile: gameData.scoringProfile || 'classic',
       maxStreak: gameData.maxStreak || 0,
-      achievements: gameData.achievements || []
+      achievements: gameData.achievements || [],
+      brierScore: gameCalibration.brierScore,
+      calibrationBias: gameCalibration.bias
     });
     profile.recentGames = profile.recentGames.slice(0, 20);
 
     // Update preferences based on last game
     profile.preferences.defaultDifficulty = gameData.difficulty;
     profile.preferences.defaultRounds = gameData.rounds.length;
+    if (gameData.scoringProfile) {
+      profile.preferences.scoringProfile = gameData.scoringProfile;
+    }
     if (gameData.subjects && gameData.subjects.length > 0) {
       profile.preferences.lastSubjects = gameData.subjects;
     }
@@ -329,15 +431,32 @@ export const PlayerProfile = {
       ? Math.round((stats.highConfidenceCorrect / highConfTotal) * 100)
       : 0;
 
-    // Get best and worst subjects
-    const subjects = Object.entries(profile.subjectStats)
+    // Lifetime calibration metrics (Brier score, log loss, bias, resolution)
+    const calibrationMetrics = calculateCalibrationMetrics(
+      stats.confidenceBuckets || createConfidenceBuckets()
+    );
+
+    // Get best and worst subjects (older games recorded display names, newer ones ids)
+    const subjectTotals = {};
+    Object.entries(profile.subjectStats).forEach(([subject, data]) => {
+      const name = getSubjectName(subject);
+      const total = subjectTotals[name] || { correct: 0, incorrect: 0, partial: 0 };
+      subjectTotals[name] = {
+        correct: total.correct + data.correct,
+        incorrect: total.incorrect + data.incorrect,
+        partial: total.partial + (data.partial || 0)
+      };
+    });
+    const subjects = Object.entries(subjectTotals)
       .map(([name, data]) => ({
         name,
         correct: data.correct,
         incorrect: data.incorrect,
+        partial: data.partial,
         total: data.correct + data.incorrect,
+        // Near misses count for partial credit
         accuracy: data.correct + data.incorrect > 0
-          ? Math.round((data.correct / (data.correct + data.incorrect)) * 100)
+          ? Math.round(((data.correct + data.partial * PARTIAL_CREDIT.NEAR_MISS) / (data.correct + data.incorrect)) * 100)
           : 0
       }))
       .filter(s => s.total >= 3) // Need at least 3 attempts
@@ -380,10 +499,16 @@ export const PlayerProfile = {
       bestStreak: stats.bestStreak,
       currentDayStreak: stats.currentDayStreak,
       accuracy,
+      skillRating: profile.ratings?.player?.rating ?? RATINGS.INITIAL_RATING,
 
       // Calibration
       calibrationRate,
       totalPredictions: stats.totalPredictions,
+      calibrationMetrics,
+      confidenceBuckets: stats.confidenceBuckets || createConfidenceBuckets(),
+      confidenceHistory: profile.confidenceHistory || [],
+      // Estimation ranges: hit rate per stated level
+      intervalCalibration: calculateIntervalCalibration(stats.intervalBuckets || createIntervalBuckets()),
 
       // Confidence
       highConfAccuracy,
@@ -414,6 +539,60 @@ export const PlayerProfile = {
     };
   },
 
+  /**
+   * Update skill ratings after a round
+   * Called once per answered round so ratings stay current mid-game
+   * @param {Object} claim - Claim that was played
+   * @param {number} outcome - 1 correct, 0 wrong, or partial credit in between
+   * @returns {Object|null} { player, claim, expected } or null if the claim is invalid
+   */
+  recordRating(claim, outcome) {
+    if (!claim?.id) return null;
+
+    const profile = this.get();
+    const ratings = profile.ratings || createDefaultProfile().ratings;
+    const claimEntry = ratings.claims[claim.id] || { rating: getClaimRating(claim), attempts: 0 };
+
+    const updated = updateRatings(ratings.player, claimEntry, outcome);
+
+    // Re-insert so the map stays ordered by recency, then drop the stalest claims
+    const claims = { ...ratings.claims };
+    delete claims[claim.id];
+    claims[claim.id] = updated.claim;
+    const ids = Object.keys(claims);
+    ids.slice(0, Math.max(0, ids.length - RATINGS.MAX_LOCAL_CLAIMS)).forEach(id => delete claims[id]);
+
+    profile.ratings = { player: updated.player, claims };
+    this.save(profile);
+    return updated;
+  },
+
+  /**
+   * Get skill ratings for adaptive claim selection
+   * @returns {{player: Object, claims: Object}} Player rating and known claim ratings
+   */
+  getRatings() {
+    return this.get().ratings || createDefaultProfile().ratings;
+  },
+
+  /**
+   * Get claim IDs due for review, most overdue first
+   * @param {number} now - Current timestamp (ms)
+   * @returns {Array<string>} Due claim IDs
+   */
+  getDueReviewIds(now = Date.now()) {
+    return getDueClaimIds(this.get().reviewQueue, now);
+  },
+
+  /**
+   * Get review queue counts for the setup screen
+   * @param {number} now - Current timestamp (ms)
+   * @returns {{total: number, due: number, nextDue: number|null}} Queue summary
+   */
+  getReviewSummary(now = Date.now()) {
+    return getReviewSummary(this.get().reviewQueue, now);
+  },
+
   /**
    * Get quick start settings (for returning players)
    */
@@ -425,7 +604,8 @@ export const PlayerProfile = {
       difficulty: profile.preferences.defaultDifficulty,
       rounds: profile.preferences.defaultRounds,
       soundEnabled: profile.preferences.soundEnabled,
-      subjects: profile.preferences.lastSubjects
+      subjects: profile.preferences.lastSubjects,
+      scoringProfile: profile.preferences.scoringProfile || 'classic'
     };
   },
 
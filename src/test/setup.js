@@ -5,6 +5,8 @@
 
 import { beforeEach } from 'vitest';
 import '@testing-library/jest-dom';
+// Components translate with react-i18next; tests run in the detected language (English)
+import '../i18n/config';
 
 // Mock localStorage
 const localStorageMock = {
@@ -0,0 +1,97 @@
+/**
+ * Assessment Export Tests
+ * Tests for exporting claims as Moodle GIFT and QTI 2.1 packages
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  buildFeedback,
+  exportGift,
+  claimToQtiItem,
+  buildQtiFiles,
+  exportQtiPackage
+} from '../assessmentExport';
+
+const mythClaim = {
+  id: 'hist-001',
+  text: 'The Great Wall of China is visible from space with the naked eye.',
+  answer: 'FALSE',
+  source: 'ai-generated',
+  explanation: 'It is far too narrow to see from orbit: astronauts confirm this.',
+  errorPattern: 'myth-perpetuation',
+  subject: 'history',
+  difficulty: 'easy'
+};
+
+const chartClaim = {
+  id: 'media-001',
+  text: 'Sales tripled in one year, as the chart shows.',
+  answer: 'MIXED',
+  source: 'expert-sourced',
+  explanation: 'Sales rose 20%; the y-axis starts at 90 & exaggerates it.',
+  subject: 'media-literacy',
+  difficulty: 'hard',
+  gradeLevel: 'high',
+  media: { type: 'chart', alt: 'Bar chart of sales for 2022 and 2023 <truncated axis>' }
+};
+
+describe('assessmentExport', () => {
+  it('builds feedback from the answer, explanation and error pattern', () => {
+    const feedback = buildFeedback(mythClaim);
+    expect(feedback).toMatch(/^The claim is False\. It is far too narrow/);
+    expect(feedback).toContain('AI error pattern: Myth Perpetuation.');
+    expect(buildFeedback(chartClaim)).toBe(`The claim is Mixed. ${chartClaim.explanation}`);
+  });
+
+  describe('exportGift', () => {
+    it('writes one escaped multiple choice question per claim, grouped by subject', () => {
+      const gift = exportGift([mythClaim, { ...mythClaim, id: 'hist-002', answer: 'TRUE' }, chartClaim]);
+
+      expect(gift.match(/^\$CATEGORY: /gm)).toEqual(['$CATEGORY: ', '$CATEGORY: ']);
+      expect(gift).toContain('$CATEGORY: Truth Hunters/History');
+      expect(gift).toContain('$CATEGORY: Truth Hunters/Media Literacy');
+      expect(gift).toContain('// hist-001 (easy, middle, ai-generated)');
+      expect(gift).toContain('::hist-001::The Great Wall of China is visible from space with the naked eye. {');
+      expect(gift).toContain('\t~True#The claim is False. It is far too narrow to see from orbit\\: astronauts');
+      expect(gift).toContain('\t=False#');
+      expect(gift).toMatch(/::hist-002::[^{]+\{\n\t=True#/);
+      expect(gift).toContain('(Chart\\: Bar chart of sales for 2022 and 2023 <truncated axis>) {');
+      expect(gift).toContain('\t=Mixed#');
+    });
+
+    it('returns a blank file for no claims', () => {
+      expect(exportGift([])).toBe('\n');
+    });
+  });
+
+  describe('QTI', () => {
+    it('writes a choice item scoring the correct verdict with explanation feedback', () => {
+      const item = claimToQtiItem(chartClaim);
+      expect(item).toContain('identifier="TH-media-001" title="Media Literacy: media-001"');
+      expect(item).toContain('<value>MIXED</value>');
+      expect(item).toContain('<simpleChoice identifier="TRUE">True</simpleChoice>');
+      expect(item).toContain('<p>Chart: Bar chart of sales for 2022 and 2023 &lt;truncated axis&gt;</p>');
+      expect(item).toContain('showHide="show">The claim is Mixed. Sales rose 20%; the y-axis starts at 90 &amp; exaggerates it.</modalFeedback>');
+    });
+
+    it('lists every item in the manifest with unique identifiers', () => {
+      const files = buildQtiFiles([mythClaim, { ...mythClaim, id: 'hist 001' }, { ...mythClaim, id: 'hist_001' }]);
+      expect(files.map(f => f.name)).toEqual([
+        'imsmanifest.xml',
+        'items/TH-hist-001.xml',
+        'items/TH-hist_001.xml',
+        'items/TH-hist_001-2.xml'
+      ]);
+      files.slice(1).forEach(({ name }) => {
+        expect(files[0].content).toContain(`type="imsqti_item_xmlv2p1" href="${name}"`);
+      });
+      expect(files[0].content).toContain('<schema>QTIv2.1 Package</schema>');
+    });
+
+    it('zips the package', () => {
+      const zip = exportQtiPackage([mythClaim, chartClaim]);
+      expect(new DataView(zip.buffer).getUint32(0, true)).toBe(0x04034b50);
+      expect(new TextDecoder().decode(zip)).toContain('items/TH-media-001.xml');
+    });
+  });
+});
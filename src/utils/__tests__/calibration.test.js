@@ -0,0 +1,226 @@
+/**
+ * Calibration Utilities Tests
+ * Tests for Brier score, log loss, bias and resolution metrics
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  confidenceToProbability,
+  probabilityToConfidence,
+  getStatedProbability,
+  createConfidenceBuckets,
+  addToConfidenceBuckets,
+  calculateCalibrationMetrics,
+  calculateCalibrationFromResults,
+  buildReliabilityPoints,
+  describeCalibrationBias
+} from '../calibration';
+import { CONFIDENCE_PROBABILITIES } from '../../data/constants';
+
+describe('calibration utilities', () => {
+  describe('confidenceToProbability', () => {
+    it('maps each confidence level to its probability', () => {
+      expect(confidenceToProbability(1)).toBe(CONFIDENCE_PROBABILITIES[1]);
+      expect(confidenceToProbability(2)).toBe(CONFIDENCE_PROBABILITIES[2]);
+      expect(confidenceToProbability(3)).toBe(CONFIDENCE_PROBABILITIES[3]);
+    });
+
+    it('returns null for unknown levels', () => {
+      expect(confidenceToProbability(0)).toBeNull();
+      expect(confidenceToProbability(undefined)).toBeNull();
+    });
+  });
+
+  describe('probabilityToConfidence', () => {
+    it('maps a probability to the nearest confidence level', () => {
+      expect(probabilityToConfidence(0.5)).toBe(1);
+      expect(probabilityToConfidence(0.6)).toBe(1);
+      expect(probabilityToConfidence(0.75)).toBe(2);
+      expect(probabilityToConfidence(0.8)).toBe(2);
+      expect(probabilityToConfidence(0.9)).toBe(3);
+      expect(probabilityToConfidence(0.99)).toBe(3);
+    });
+
+    it('returns null for invalid input', () => {
+      expect(probabilityToConfidence(null)).toBeNull();
+      expect(probabilityToConfidence(NaN)).toBeNull();
+    });
+  });
+
+  describe('getStatedProbability', () => {
+    it('prefers the stated probability over the confidence level', () => {
+      expect(getStatedProbability({ confidence: 3, probability: 0.82 })).toBe(0.82);
+    });
+
+    it('falls back to the confidence level in level mode', () => {
+      expect(getStatedProbability({ confidence: 2, probability: null })).toBe(CONFIDENCE_PROBABILITIES[2]);
+      expect(getStatedProbability({})).toBeNull();
+    });
+  });
+
+  describe('addToConfidenceBuckets', () => {
+    it('counts totals and correct answers per stated percent', () => {
+      const buckets = addToConfidenceBuckets(createConfidenceBuckets(), [
+        { correct: true, confidence: 3 },
+        { correct: false, confidence: 3 },
+        { correct: true, confidence: 1 }
+      ]);
+
+      expect(buckets).toEqual({
+        95: { total: 2, correct: 1 },
+        50: { total: 1, correct: 1 }
+      });
+    });
+
+    it('buckets probability-mode rounds by the probability stated', () => {
+      const buckets = addToConfidenceBuckets(null, [
+        { correct: true, confidence: 2, probability: 0.82 },
+        { correct: false, confidence: 2, probability: 0.82 },
+        { correct: true, confidence: 3, probability: 0.99 }
+      ]);
+
+      expect(buckets).toEqual({
+        82: { total: 2, correct: 1 },
+        99: { total: 1, correct: 1 }
+      });
+    });
+
+    it('converts level-keyed buckets from older profiles', () => {
+      const buckets = addToConfidenceBuckets({ 2: { total: 3, correct: 2 } }, [{ correct: true, confidence: 2 }]);
+      expect(buckets).toEqual({ 75: { total: 4, correct: 3 } });
+    });
+
+    it('does not mutate the existing buckets', () => {
+      const original = { 75: { total: 0, correct: 0 } };
+      addToConfidenceBuckets(original, [{ correct: true, confidence: 2 }]);
+      expect(original[75].total).toBe(0);
+    });
+
+    it('skips forfeited rounds and invalid confidence', () => {
+      const buckets = addToConfidenceBuckets(null, [
+        { correct: false, confidence: 2, forfeited: true },
+        { correct: true, confidence: 7 },
+        null
+      ]);
+      const total = Object.values(buckets).reduce((sum, b) => sum + b.total, 0);
+      expect(total).toBe(0);
+    });
+  });
+
+  describe('calculateCalibrationMetrics', () => {
+    it('returns null metrics when there are no rounds', () => {
+      const metrics = calculateCalibrationMetrics(createConfidenceBuckets());
+      expect(metrics.count).toBe(0);
+      expect(metrics.brierScore).toBeNull();
+      expect(metrics.logLoss).toBeNull();
+      expect(metrics.bias).toBeNull();
+      expect(metrics.resolution).toBeNull();
+    });
+
+    it('computes Brier score and log loss', () => {
+      // One certain-correct (p=0.95) and one certain-wrong
+      const metrics = calculateCalibrationFromResults([
+        { correct: true, confidence: 3 },
+        { correct: false, confidence: 3 }
+      ]);
+
+      expect(metrics.count).toBe(2);
+      expect(metrics.brierScore).toBeCloseTo((0.05 ** 2 + 0.95 ** 2) / 2, 6);
+      expect(metrics.logLoss).toBeCloseTo(-(Math.log(0.95) + Math.log(0.05)) / 2, 6);
+    });
+
+    it('reports positive bias when overconfident', () => {
+      const metrics = calculateCalibrationFromResults([
+        { correct: false, confidence: 3 },
+        { correct: false, confidence: 3 },
+        { correct: true, confidence: 3 }
+      ]);
+      expect(metrics.bias).toBeCloseTo(0.95 - 1 / 3, 6);
+      expect(describeCalibrationBias(metrics.bias)).toBe('overconfident');
+    });
+
+    it('reports negative bias when underconfident', () => {
+      const metrics = calculateCalibrationFromResults([
+        { correct: true, confidence: 1 },
+        { correct: true, confidence: 1 }
+      ]);
+      expect(metrics.bias).toBeCloseTo(-0.5, 6);
+      expect(describeCalibrationBias(metrics.bias)).toBe('underconfident');
+    });
+
+    it('scores the stated probability, not the nearest level', () => {
+      const metrics = calculateCalibrationFromResults([
+        { correct: true, confidence: 3, probability: 0.85 },
+        { correct: false, confidence: 2, probability: 0.65 }
+      ]);
+
+      expect(metrics.brierScore).toBeCloseTo((0.15 ** 2 + 0.65 ** 2) / 2, 6);
+      expect(metrics.logLoss).toBeCloseTo(-(Math.log(0.85) + Math.log(0.35)) / 2, 6);
+      expect(metrics.bias).toBeCloseTo(0.75 - 0.5, 6);
+    });
+
+    it('has zero resolution when accuracy is the same at every level', () => {
+      const metrics = calculateCalibrationFromResults([
+        { correct: true, confidence: 1 },
+        { correct: false, confidence: 1 },
+        { correct: true, confidence: 3 },
+        { correct: false, confidence: 3 }
+      ]);
+      expect(metrics.resolution).toBeCloseTo(0, 6);
+    });
+
+    it('has positive resolution when confidence separates right from wrong', () => {
+      const metrics = calculateCalibrationFromResults([
+        { correct: false, confidence: 1 },
+        { correct: false, confidence: 1 },
+        { correct: true, confidence: 3 },
+        { correct: true, confidence: 3 }
+      ]);
+      // Accuracy 0 at level 1, 1 at level 3, overall 0.5 → variance 0.25
+      expect(metrics.resolution).toBeCloseTo(0.25, 6);
+    });
+  });
+
+  describe('buildReliabilityPoints', () => {
+    it('returns stated vs observed accuracy for levels with rounds', () => {
+      const points = buildReliabilityPoints({
+        1: { total: 0, correct: 0 },
+        2: { total: 4, correct: 3 },
+        3: { total: 2, correct: 1 }
+      });
+
+      expect(points).toHaveLength(2);
+      expect(points[0]).toMatchObject({ label: '70-79%', confidence: 2, stated: 0.75, observed: 0.75, total: 4 });
+      expect(points[1]).toMatchObject({ label: '90-100%', confidence: 3, stated: 0.95, observed: 0.5, total: 2 });
+    });
+
+    it('bins stated probabilities and places each point at the mean stated', () => {
+      const points = buildReliabilityPoints({
+        62: { total: 1, correct: 0 },
+        68: { total: 3, correct: 3 },
+        81: { total: 2, correct: 1 }
+      });
+
+      expect(points).toHaveLength(2);
+      expect(points[0]).toMatchObject({ label: '60-69%', total: 4, correct: 3, observed: 0.75 });
+      expect(points[0].stated).toBeCloseTo((0.62 + 3 * 0.68) / 4, 6);
+      expect(points[1]).toMatchObject({ label: '80-89%', stated: 0.81, observed: 0.5 });
+    });
+
+    it('returns an empty array without buckets', () => {
+      expect(buildReliabilityPoints(null)).toEqual([]);
+    });
+  });
+
+  describe('describeCalibrationBias', () => {
+    it('treats small bias as calibrated', () => {
+      expect(describeCalibrationBias(0.02)).toBe('calibrated');
+      expect(describeCalibrationBias(-0.02)).toBe('calibrated');
+    });
+
+    it('returns null for missing bias', () => {
+      expect(describeCalibrationBias(null)).toBeNull();
+      expect(describeCalibrationBias(undefined)).toBeNull();
+    });
+  });
+});
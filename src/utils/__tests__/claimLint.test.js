@@ -0,0 +1,117 @@
+/**
+ * Claim Lint Tests
+ * Tests for the rule-based claim quality linter
+ */
+
+import { describe, it, expect } from 'vitest';
+import { CLAIM_LINT_RULES, estimateReadingGrade, lintClaims } from '../claimLint';
+import { CLAIMS_DATABASE } from '../../data/claims';
+
+const now = new Date('2026-10-19T12:00:00Z');
+
+const goodClaim = {
+  id: 'bio-001',
+  text: 'Plants make their own food from sunlight, water and air.',
+  answer: 'TRUE',
+  source: 'expert-sourced',
+  explanation: 'Photosynthesis turns light, water and carbon dioxide into sugar.',
+  errorPattern: null,
+  subject: 'biology',
+  difficulty: 'easy',
+  gradeLevel: 'elementary',
+  citation: 'https://example.org/photosynthesis',
+  lastVerified: '2026-01-10'
+};
+
+const rulesOf = (result) => result.issues.map(issue => issue.rule);
+
+describe('claimLint', () => {
+  it('estimates reading grades', () => {
+    expect(estimateReadingGrade('The cat sat on the mat.')).toBeLessThan(2);
+    expect(estimateReadingGrade(
+      'Mitochondrial dysfunction contributes substantially to neurodegenerative pathophysiology in experimental investigations.'
+    )).toBeGreaterThan(16);
+    expect(estimateReadingGrade('')).toBeNull();
+  });
+
+  it('passes a well-formed claim', () => {
+    expect(lintClaims([goodClaim], { now })).toEqual({
+      valid: true,
+      totalClaims: 1,
+      counts: { error: 0, warning: 0 },
+      rules: Object.fromEntries(CLAIM_LINT_RULES.map(rule => [rule.id, 0])),
+      issues: []
+    });
+  });
+
+  it('requires citations on TRUE claims except chart claims', () => {
+    const uncited = { ...goodClaim, citation: null };
+    expect(rulesOf(lintClaims([uncited], { now }))).toEqual(['citation-required']);
+    expect(rulesOf(lintClaims([{ ...uncited, answer: 'FALSE' }], { now }))).toEqual([]);
+    expect(rulesOf(lintClaims([{ ...uncited, media: { type: 'chart', alt: 'Bar chart' } }], { now }))).toEqual([]);
+  });
+
+  it('checks error patterns on AI-generated claims', () => {
+    const aiFalse = { ...goodClaim, answer: 'FALSE', source: 'ai-generated', citation: null };
+    expect(rulesOf(lintClaims([aiFalse], { now }))).toEqual(['error-pattern-required']);
+
+    const result = lintClaims([{
+      ...aiFalse,
+      errorPattern: 'Confident specificity',
+      errorSpans: [{ start: 0, end: 6, pattern: 'myth-perpetuation' }, { start: 7, end: 11, pattern: 'made-up' }]
+    }], { now });
+    expect(result.issues.map(i => i.pattern)).toEqual(['Confident specificity', 'made-up']);
+    expect(result.valid).toBe(false);
+  });
+
+  it('flags duplicate ids after the first use', () => {
+    const result = lintClaims([goodClaim, { ...goodClaim }, { ...goodClaim, id: 'bio-002' }], { now });
+    expect(result.issues).toEqual([
+      { rule: 'duplicate-id', severity: 'error', claimId: 'bio-001', index: 1, message: 'Duplicate id bio-001 (2 claims use it)' }
+    ]);
+  });
+
+  it('warns about explanation length, stale verification and reading level', () => {
+    const result = lintClaims([
+      { ...goodClaim, id: 'a', explanation: 'Too short.' },
+      { ...goodClaim, id: 'b', explanation: 'x'.repeat(501) },
+      { ...goodClaim, id: 'c', lastVerified: '2024-10-01' },
+      { ...goodClaim, id: 'd', lastVerified: undefined },
+      {
+        ...goodClaim,
+        id: 'e',
+        text: 'Photosynthetic organisms synthesize carbohydrates utilizing electromagnetic radiation, atmospheric carbon dioxide and water.'
+      },
+      { ...goodClaim, id: 'f', gradeLevel: 'college', text: 'Photosynthetic organisms synthesize carbohydrates utilizing electromagnetic radiation.' }
+    ], { now });
+
+    expect(result.valid).toBe(true);
+    expect(result.counts).toEqual({ error: 0, warning: 5 });
+    expect(result.issues.map(i => [i.claimId, i.rule])).toEqual([
+      ['a', 'explanation-length'],
+      ['b', 'explanation-length'],
+      ['c', 'stale-verification'],
+      ['d', 'stale-verification'],
+      ['e', 'reading-level']
+    ]);
+    expect(result.issues[4]).toMatchObject({ gradeLimit: 5 });
+    expect(result.issues[4].readingGrade).toBeGreaterThan(8);
+  });
+
+  it('applies the age limit and severity overrides', () => {
+    const old = { ...goodClaim, lastVerified: '2026-01-10', citation: '' };
+    const result = lintClaims([old], {
+      now,
+      maxAgeMonths: 6,
+      rules: { 'stale-verification': 'error', 'citation-required': 'off' }
+    });
+    expect(result.issues).toMatchObject([{ rule: 'stale-verification', severity: 'error' }]);
+    expect(result.rules).not.toHaveProperty('citation-required');
+    expect(result.valid).toBe(false);
+  });
+
+  it('finds no errors in the built-in claims', () => {
+    const result = lintClaims(CLAIMS_DATABASE);
+    expect(result.issues.filter(issue => issue.severity === 'error')).toEqual([]);
+  });
+});
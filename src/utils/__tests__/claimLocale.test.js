@@ -0,0 +1,72 @@
+/**
+ * Claim Locale Tests
+ * Tests for picking claim text in the player's language with English fallback
+ */
+
+import { describe, it, expect } from 'vitest';
+import { getBaseLanguage, getClaimTranslation, localizeClaim } from '../claimLocale';
+
+const claim = {
+  id: 'elem-bio-002',
+  text: 'Butterflies taste with their feet.',
+  explanation: 'Butterflies have taste sensors on their feet.',
+  translations: {
+    es: {
+      text: 'Las mariposas saborean con las patas.',
+      explanation: 'Las mariposas tienen sensores del gusto en las patas.',
+      status: 'reviewed',
+      reviewedBy: ['ms-garcia']
+    },
+    fr: { text: 'Les papillons goûtent avec leurs pattes.', status: 'machine' }
+  }
+};
+
+describe('claimLocale', () => {
+  describe('getBaseLanguage', () => {
+    it('keeps the primary subtag', () => {
+      expect(getBaseLanguage('es-MX')).toBe('es');
+      expect(getBaseLanguage('EN-us')).toBe('en');
+    });
+
+    it('defaults to English', () => {
+      expect(getBaseLanguage(undefined)).toBe('en');
+      expect(getBaseLanguage('')).toBe('en');
+    });
+  });
+
+  describe('getClaimTranslation', () => {
+    it('returns complete translations only', () => {
+      expect(getClaimTranslation(claim, 'es-MX').status).toBe('reviewed');
+      expect(getClaimTranslation(claim, 'fr')).toBeNull();
+      expect(getClaimTranslation(claim, 'de')).toBeNull();
+      expect(getClaimTranslation({ text: 'x' }, 'es')).toBeNull();
+    });
+  });
+
+  describe('localizeClaim', () => {
+    it('uses the English text for English', () => {
+      expect(localizeClaim(claim, 'en-US')).toEqual({
+        text: claim.text,
+        explanation: claim.explanation,
+        language: 'en',
+        status: null,
+        isFallback: false
+      });
+    });
+
+    it('uses a translation when there is one', () => {
+      const result = localizeClaim(claim, 'es');
+      expect(result.text).toBe('Las mariposas saborean con las patas.');
+      expect(result.language).toBe('es');
+      expect(result.status).toBe('reviewed');
+      expect(result.isFallback).toBe(false);
+    });
+
+    it('falls back to English and says so', () => {
+      const result = localizeClaim(claim, 'fr');
+      expect(result.text).toBe(claim.text);
+      expect(result.language).toBe('en');
+      expect(result.isFallback).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Claim Pairs Tests
+ * Tests for "which is AI?" rounds built from an AI-generated and an expert-sourced claim
+ */
+
+import { describe, it, expect } from 'vitest';
+import { isPairClaim, getPlayedClaimIds, findClaimPairs, createPairRound, getPairCredit } from '../claimPairs';
+
+const claim = (id, source, overrides = {}) => ({
+  id,
+  text: `Claim ${id}`,
+  answer: source === 'ai-generated' ? 'FALSE' : 'TRUE',
+  source,
+  explanation: `Why ${id}`,
+  subject: 'biology',
+  difficulty: 'easy',
+  ...overrides
+});
+
+describe('claimPairs', () => {
+  it('recognizes pair rounds', () => {
+    expect(isPairClaim({ type: 'pair' })).toBe(true);
+    expect(isPairClaim({ answer: 'TRUE' })).toBe(false);
+    expect(isPairClaim(null)).toBe(false);
+  });
+
+  it('lists the real claims behind pair rounds', () => {
+    const round = createPairRound(claim('ai-1', 'ai-generated'), claim('ex-1', 'expert-sourced'), () => 0.1);
+    expect(getPlayedClaimIds([round, claim('bio-3', 'expert-sourced')])).toEqual(['ai-1', 'ex-1', 'bio-3']);
+  });
+
+  it('uses annotated pairs before pairing by subject and unit', () => {
+    const pairs = findClaimPairs([
+      claim('ai-1', 'ai-generated', { unit: 'cells-and-body' }),
+      claim('ex-1', 'expert-sourced', { unit: 'cells-and-body' }),
+      claim('ai-2', 'ai-generated', { pairId: 'brains' }),
+      claim('ex-2', 'expert-sourced', { pairId: 'brains' })
+    ]);
+    expect(pairs.map(p => [p.ai.id, p.expert.id, p.pairId])).toEqual([
+      ['ai-2', 'ex-2', 'brains'],
+      ['ai-1', 'ex-1', null]
+    ]);
+  });
+
+  it('only pairs claims from the same subject and unit, each claim once', () => {
+    const pairs = findClaimPairs([
+      claim('ai-1', 'ai-generated'),
+      claim('ai-2', 'ai-generated'),
+      claim('ex-1', 'expert-sourced'),
+      claim('ex-2', 'expert-sourced', { subject: 'physics' }),
+      claim('ex-3', 'expert-sourced', { unit: 'genetics-and-evolution' }),
+      claim('st-1', 'student-contributed')
+    ]);
+    expect(pairs.map(p => [p.ai.id, p.expert.id])).toEqual([['ai-1', 'ex-1']]);
+  });
+
+  it('prefers an expert claim of the same difficulty', () => {
+    const pairs = findClaimPairs([
+      claim('ai-1', 'ai-generated', { difficulty: 'hard' }),
+      claim('ex-1', 'expert-sourced'),
+      claim('ex-2', 'expert-sourced', { difficulty: 'hard' })
+    ]);
+    expect(pairs[0].expert.id).toBe('ex-2');
+  });
+
+  it('builds a round with the AI claim on a random side', () => {
+    const ai = claim('ai-1', 'ai-generated', { difficulty: 'hard', errorPattern: 'myth-perpetuation' });
+    const expert = claim('ex-1', 'expert-sourced');
+
+    const left = createPairRound(ai, expert, () => 0.1);
+    expect(left).toMatchObject({
+      id: 'pair-ai-1-ex-1',
+      type: 'pair',
+      aiSide: 'A',
+      subject: 'biology',
+      difficulty: 'hard',
+      errorPattern: 'myth-perpetuation'
+    });
+    expect(left.claims.map(c => c.id)).toEqual(['ai-1', 'ex-1']);
+
+    const right = createPairRound(ai, expert, () => 0.9);
+    expect(right.aiSide).toBe('B');
+    expect(right.claims.map(c => c.id)).toEqual(['ex-1', 'ai-1']);
+    expect(right.explanation).toMatch(/^Claim B is AI-generated/);
+  });
+
+  it('gives credit for picking the AI side', () => {
+    const round = createPairRound(claim('ai-1', 'ai-generated'), claim('ex-1', 'expert-sourced'), () => 0.9);
+    expect(getPairCredit('B', round)).toBe(1);
+    expect(getPairCredit('A', round)).toBe(0);
+    expect(getPairCredit(null, round)).toBe(0);
+    expect(getPairCredit('B', { id: 'x', answer: 'TRUE' })).toBe(0);
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * ClaimReview Tests
+ * Tests for importing and exporting schema.org ClaimReview JSON-LD
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  mapRatingToAnswer,
+  findClaimReviews,
+  claimReviewToClaim,
+  importClaimReviews,
+  claimToClaimReview,
+  exportClaimReviews
+} from '../claimReview';
+import { validateClaimPack } from '../../data/claimPackSchema';
+
+const review = {
+  '@context': 'https://schema.org',
+  '@type': 'ClaimReview',
+  url: 'https://factcheck.example.org/2024/03/great-wall-visible-from-space',
+  claimReviewed: 'The Great Wall of China is visible from space with the naked eye.',
+  itemReviewed: {
+    '@type': 'Claim',
+    author: { '@type': 'Person', name: 'Viral post' },
+    datePublished: '2024-02-28'
+  },
+  author: { '@type': 'Organization', name: 'Example Fact Check' },
+  datePublished: '2024-03-02T10:00:00Z',
+  reviewRating: {
+    '@type': 'Rating',
+    ratingValue: 1,
+    bestRating: 5,
+    worstRating: 1,
+    alternateName: 'False',
+    ratingExplanation: 'Astronauts report the wall is too narrow to see from orbit without aid.'
+  }
+};
+
+describe('claimReview', () => {
+  it('maps rating names and numeric ratings to answers', () => {
+    expect(mapRatingToAnswer({ alternateName: 'Pants on Fire!' })).toBe('FALSE');
+    expect(mapRatingToAnswer({ alternateName: 'Half True' })).toBe('MIXED');
+    expect(mapRatingToAnswer({ name: 'TRUE' })).toBe('TRUE');
+    expect(mapRatingToAnswer({ ratingValue: 4.5 })).toBe('TRUE');
+    expect(mapRatingToAnswer({ ratingValue: '3' })).toBe('MIXED');
+    expect(mapRatingToAnswer({ ratingValue: 1, worstRating: 1, bestRating: 10 })).toBe('FALSE');
+    expect(mapRatingToAnswer({ alternateName: 'Satire' })).toBeNull();
+    expect(mapRatingToAnswer(null)).toBeNull();
+  });
+
+  it('finds reviews in single, array and @graph documents', () => {
+    expect(findClaimReviews(review)).toHaveLength(1);
+    expect(findClaimReviews([review, { '@type': 'WebPage' }, review])).toHaveLength(2);
+    expect(findClaimReviews({ '@graph': [{ '@type': ['ClaimReview'] }] })).toHaveLength(1);
+    expect(findClaimReviews('not json-ld')).toEqual([]);
+  });
+
+  it('converts a review into a claim and flags fields that need a person', () => {
+    const { claim, error } = claimReviewToClaim(review);
+    expect(error).toBeNull();
+    expect(claim).toMatchObject({
+      id: 'factcheck-factcheck-example-org-2024-03-great-wall-visible-f',
+      text: 'The Great Wall of China is visible from space with the naked eye.',
+      answer: 'FALSE',
+      source: 'expert-sourced',
+      explanation: 'Astronauts report the wall is too narrow to see from orbit without aid.',
+      citation: review.url,
+      lastVerified: '2024-03-02',
+      reviewedBy: ['Example Fact Check'],
+      needsReview: ['subject', 'difficulty']
+    });
+
+    const { claim: unrated } = claimReviewToClaim({
+      '@type': 'ClaimReview',
+      itemReviewed: { '@type': 'Claim', name: 'Short' },
+      reviewRating: { alternateName: 'Satire' }
+    });
+    expect(unrated.needsReview).toEqual(['text', 'answer', 'subject', 'difficulty', 'explanation']);
+    expect(unrated.answer).toBeNull();
+
+    expect(claimReviewToClaim({ '@type': 'ClaimReview' }).error).toMatch(/No claim text/);
+  });
+
+  it('imports a batch, skipping duplicates and keeping ids unique', () => {
+    const other = { ...review, url: undefined, claimReviewed: 'A different claim about the Great Wall.' };
+    const { claims, skipped } = importClaimReviews(
+      { '@graph': [review, review, other, { '@type': 'ClaimReview' }] },
+      { existing: [{ id: 'factcheck-a-different-claim-about-the-great-wall', text: 'Unrelated' }] }
+    );
+
+    expect(claims.map(c => c.id)).toEqual([
+      'factcheck-factcheck-example-org-2024-03-great-wall-visible-f',
+      'factcheck-a-different-claim-about-the-great-wall-2'
+    ]);
+    expect(skipped).toEqual([
+      { index: 1, reason: 'Already imported' },
+      { index: 3, reason: 'No claim text (itemReviewed or claimReviewed)' }
+    ]);
+    expect(importClaimReviews({}).skipped).toEqual([{ index: 0, reason: 'No ClaimReview found' }]);
+  });
+
+  it('exports claims as ClaimReview JSON-LD that imports back', () => {
+    const claim = {
+      id: 'hist-001',
+      text: 'The Great Wall of China is visible from space with the naked eye.',
+      answer: 'FALSE',
+      source: 'expert-sourced',
+      explanation: 'It is far too narrow to see from orbit.',
+      subject: 'history',
+      difficulty: 'easy',
+      citation: 'https://www.nasa.gov/great-wall',
+      lastVerified: '2024-01-15'
+    };
+    const node = claimToClaimReview(claim);
+    expect(node).toMatchObject({
+      '@type': 'ClaimReview',
+      url: claim.citation,
+      claimReviewed: claim.text,
+      itemReviewed: { '@type': 'Claim', name: claim.text },
+      author: { '@type': 'Organization', name: 'Truth Hunters' },
+      datePublished: '2024-01-15',
+      reviewRating: { ratingValue: 1, alternateName: 'False', ratingExplanation: claim.explanation }
+    });
+
+    const doc = exportClaimReviews([claim], { publisher: 'Room 201' });
+    expect(doc['@context']).toBe('https://schema.org');
+    expect(doc['@graph'][0].author.name).toBe('Room 201');
+
+    const { claims } = importClaimReviews(JSON.parse(JSON.stringify(doc)));
+    expect(claims[0]).toMatchObject({
+      text: claim.text,
+      answer: 'FALSE',
+      explanation: claim.explanation,
+      citation: claim.citation,
+      lastVerified: '2024-01-15'
+    });
+  });
+
+  it('produces claims that pass pack validation once reviewed', () => {
+    const { claim } = claimReviewToClaim(review);
+    const { needsReview, ...reviewed } = claim;
+    expect(needsReview).toHaveLength(2);
+    expect(validateClaimPack({
+      id: 'fact-checks',
+      version: '1.0.0',
+      locale: 'en',
+      license: 'CC-BY-4.0',
+      claims: [{ ...reviewed, subject: 'history', difficulty: 'easy' }]
+    }).errors).toEqual([]);
+  });
+});
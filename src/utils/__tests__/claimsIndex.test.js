@@ -0,0 +1,47 @@
+/**
+ * Claims Index Tests
+ * Tests for the subject chunk manifest
+ */
+
+import { describe, it, expect } from 'vitest';
+import { buildClaimsIndex, hashClaims } from '../claimsIndex';
+import CLAIMS_INDEX from '../../data/claimsIndex.json';
+
+const modules = import.meta.glob('../../data/claims/*.js', { eager: true, import: 'default' });
+const chunks = Object.fromEntries(
+  Object.entries(modules).map(([path, claims]) => [path.match(/([\w-]+)\.js$/)[1], claims])
+);
+
+describe('claims index', () => {
+  it('is up to date with the subject chunks (run npm run claims:index)', () => {
+    expect(buildClaimsIndex(chunks)).toEqual(CLAIMS_INDEX);
+  });
+
+  it('summarizes each subject', () => {
+    const index = buildClaimsIndex({
+      birds: [
+        { id: 'b1', subject: 'Birds', difficulty: 'easy', answer: 'TRUE' },
+        { id: 'b2', subject: 'Birds', difficulty: 'hard', answer: 'FALSE', gradeLevel: 'high' }
+      ]
+    });
+    expect(index.subjects.Birds).toMatchObject({
+      chunk: 'birds',
+      count: 2,
+      ids: ['b1', 'b2'],
+      difficulty: { easy: 1, medium: 0, hard: 1 },
+      gradeLevel: { elementary: 0, middle: 1, high: 1, college: 0 },
+      answers: { TRUE: 1, FALSE: 1, MIXED: 0 }
+    });
+  });
+
+  it('requires one subject per chunk', () => {
+    expect(() => buildClaimsIndex({ mixed: [{ id: 'a', subject: 'A' }, { id: 'b', subject: 'B' }] })).toThrow(/exactly one subject/);
+  });
+
+  it('hashes chunk contents', () => {
+    const claims = [{ id: 'a', text: 'One' }];
+    expect(hashClaims(claims)).toMatch(/^[0-9a-f]{8}$/);
+    expect(hashClaims(claims)).toBe(hashClaims([{ id: 'a', text: 'One' }]));
+    expect(hashClaims(claims)).not.toBe(hashClaims([{ id: 'a', text: 'Two' }]));
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Error Span Tests
+ * Tests for locating a claim's tells and scoring "spot the tell" taps
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  tokenizeWords,
+  splitBySpans,
+  findTell,
+  getTellBonus,
+  getTells,
+  getErrorSpanProblems
+} from '../errorSpans';
+import { SPOT_THE_TELL } from '../../data/constants';
+
+const claim = {
+  id: 'sample-001',
+  text: 'Goldfish have a 3-second memory, say scientists.',
+  errorSpans: [{ start: 16, end: 31, pattern: 'myth-perpetuation' }]
+};
+
+describe('errorSpans', () => {
+  it('tokenizes words with their ranges', () => {
+    const words = tokenizeWords('Bats  are blind.');
+    expect(words).toEqual([
+      { text: 'Bats', start: 0, end: 4 },
+      { text: 'are', start: 6, end: 9 },
+      { text: 'blind.', start: 10, end: 16 }
+    ]);
+    expect(tokenizeWords('')).toEqual([]);
+  });
+
+  it('splits text into plain and annotated segments', () => {
+    const segments = splitBySpans(claim.text, claim.errorSpans);
+    expect(segments.map(s => s.text)).toEqual(['Goldfish have a ', '3-second memory', ', say scientists.']);
+    expect(segments[1].span.pattern).toBe('myth-perpetuation');
+    expect(segments.map(s => s.text).join('')).toBe(claim.text);
+  });
+
+  it('awards the bonus only for taps on a tell', () => {
+    const hit = { start: 16, end: 24 }; // "3-second"
+    const miss = { start: 0, end: 8 }; // "Goldfish"
+    expect(findTell(claim.errorSpans, hit)).toBe(claim.errorSpans[0]);
+    expect(getTellBonus(claim.errorSpans, hit)).toBe(SPOT_THE_TELL.BONUS_POINTS);
+    expect(getTellBonus(claim.errorSpans, miss)).toBe(0);
+    expect(getTellBonus(undefined, hit)).toBe(0);
+    expect(getTellBonus(claim.errorSpans, null)).toBe(0);
+  });
+
+  it('describes tells with their phrase and pattern', () => {
+    const [tell] = getTells(claim);
+    expect(tell.phrase).toBe('3-second memory');
+    expect(tell.pattern.name).toBe('Myth Perpetuation');
+    expect(getTells({ text: 'No spans' })).toEqual([]);
+  });
+
+  it('reports spans outside the text, overlaps and unknown patterns', () => {
+    expect(getErrorSpanProblems(claim.text, claim.errorSpans)).toEqual([]);
+    expect(getErrorSpanProblems(claim.text, [
+      { start: 16, end: 31, pattern: 'myth-perpetuation' },
+      { start: 20, end: 25, pattern: 'false-causation' },
+      { start: 40, end: 99, pattern: 'appeal-to-authority' },
+      { start: 0, end: 8, pattern: 'made-up' }
+    ])).toEqual([
+      'span 0-8 has unknown pattern made-up',
+      'span 20-25 overlaps another span',
+      'span 40-99 is outside the text'
+    ]);
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Estimation Tests
+ * Tests for confidence-interval answers to numeric questions and their calibration
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  isEstimateClaim,
+  parseEstimateInput,
+  getIntervalProblem,
+  isIntervalHit,
+  calculateIntervalScore,
+  createIntervalBuckets,
+  addToIntervalBuckets,
+  calculateIntervalCalibration,
+  calculateIntervalCalibrationFromResults,
+  describeHitRate,
+  formatLevel,
+  formatEstimate
+} from '../estimation';
+
+describe('estimation', () => {
+  it('recognizes estimation questions', () => {
+    expect(isEstimateClaim({ type: 'estimate', estimate: { value: 8849, unit: 'm' } })).toBe(true);
+    expect(isEstimateClaim({ answer: 'TRUE' })).toBe(false);
+    expect(isEstimateClaim(null)).toBe(false);
+  });
+
+  it('parses typed bounds with thousands separators', () => {
+    expect(parseEstimateInput('8,849')).toBe(8849);
+    expect(parseEstimateInput(' 8.3 ')).toBe(8.3);
+    expect(parseEstimateInput('-40')).toBe(-40);
+    expect(parseEstimateInput(12)).toBe(12);
+    expect(parseEstimateInput('')).toBeNull();
+    expect(parseEstimateInput('about 9000')).toBeNull();
+    expect(parseEstimateInput(NaN)).toBeNull();
+  });
+
+  it('explains ranges that cannot be scored', () => {
+    expect(getIntervalProblem({ low: 8000, high: 9000, level: 0.9 })).toBeNull();
+    expect(getIntervalProblem({ low: null, high: 9000, level: 0.9 })).toMatch(/low and a high/);
+    expect(getIntervalProblem({ low: 9000, high: 8000, level: 0.9 })).toMatch(/above the high end/);
+    expect(getIntervalProblem({ low: 8000, high: 9000, level: 0.5 })).toMatch(/80%, 90%/);
+  });
+
+  it('counts the bounds as inside the range', () => {
+    expect(isIntervalHit({ low: 8000, high: 9000 }, 8849)).toBe(true);
+    expect(isIntervalHit({ low: 8849, high: 8849 }, 8849)).toBe(true);
+    expect(isIntervalHit({ low: 9000, high: 10000 }, 8849)).toBe(false);
+  });
+
+  it('scores width plus a penalty for misses, relative to the answer', () => {
+    // Width 20 on a value of 100
+    expect(calculateIntervalScore({ low: 90, high: 110, level: 0.9 }, 100)).toBeCloseTo(0.2);
+    // Width 10 plus 2/0.1 * 10 missed, on a value of 100
+    expect(calculateIntervalScore({ low: 110, high: 120, level: 0.9 }, 100)).toBeCloseTo(2.1);
+    // A miss costs less at 80% than at 90%
+    expect(calculateIntervalScore({ low: 110, high: 120, level: 0.8 }, 100))
+      .toBeLessThan(calculateIntervalScore({ low: 110, high: 120, level: 0.9 }, 100));
+    // The same relative range scores alike on different scales
+    expect(calculateIntervalScore({ low: 0.9, high: 1.1, level: 0.9 }, 1)).toBeCloseTo(0.2);
+  });
+
+  it('adds estimation rounds to per-level buckets, skipping forfeits and verdicts', () => {
+    const buckets = addToIntervalBuckets(createIntervalBuckets(), [
+      { estimate: { low: 1, high: 2, level: 0.9 }, correct: true },
+      { estimate: { low: 1, high: 2, level: 0.9 }, correct: false },
+      { estimate: { low: 1, high: 2, level: 0.8 }, correct: true },
+      { estimate: { low: 1, high: 2, level: 0.9 }, correct: true, forfeited: true },
+      { teamVerdict: 'TRUE', confidence: 3, correct: true }
+    ]);
+    expect(buckets).toEqual({ '0.8': { total: 1, hits: 1 }, '0.9': { total: 2, hits: 1 } });
+
+    const more = addToIntervalBuckets(buckets, [{ estimate: { low: 1, high: 2, level: 0.8 }, correct: false }]);
+    expect(more['0.8']).toEqual({ total: 2, hits: 1 });
+    expect(buckets['0.8']).toEqual({ total: 1, hits: 1 }); // not mutated
+  });
+
+  it('reports hit rates per level that has ranges', () => {
+    const calibration = calculateIntervalCalibration({
+      '0.8': { total: 0, hits: 0 },
+      '0.9': { total: 10, hits: 6 }
+    });
+    expect(calibration).toEqual([{ level: 0.9, total: 10, hits: 6, hitRate: 0.6, verdict: 'overconfident' }]);
+    expect(calculateIntervalCalibrationFromResults([])).toEqual([]);
+  });
+
+  it('classifies hit rates against the stated level', () => {
+    expect(describeHitRate(0.6, 0.9, 10)).toBe('overconfident');
+    expect(describeHitRate(0.9, 0.9, 10)).toBe('calibrated');
+    expect(describeHitRate(1, 0.8, 10)).toBe('underconfident');
+    expect(describeHitRate(0, 0.9, 2)).toBe('too-few');
+  });
+
+  it('formats levels and values for display', () => {
+    expect(formatLevel(0.9)).toBe('90%');
+    expect(formatEstimate(8849, 'm')).toBe('8,849 m');
+    expect(formatEstimate(71, '%')).toBe('71%');
+    expect(formatEstimate(42.195)).toBe('42.2');
+    expect(formatEstimate(null, 'm')).toBe('? m');
+  });
+});
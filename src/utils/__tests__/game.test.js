@@ -6,6 +6,11 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 import {
   selectClaimsByDifficulty,
+  selectPatternPracticeClaims,
+  selectReviewClaims,
+  mixReviewClaims,
+  selectEstimationQuestions,
+  selectPairRounds,
   formatPlayerName,
   getHintContent,
   getUnseenClaimStats
@@ -111,6 +116,42 @@ describe('game utilities', () => {
       });
     });
 
+    describe('adaptive difficulty', () => {
+      it('picks claims rated near the target for the player', async () => {
+        // A 1000-rated player aiming for 70% success wants claims rated ~853 (seeded easy = 850)
+        const claims = await selectClaimsByDifficulty('adaptive', 3, [], [], [], null, {
+          playerRating: 1000,
+          claimRatings: {},
+          targetSuccess: 0.7
+        });
+
+        expect(claims).toHaveLength(3);
+        claims.forEach(claim => expect(claim.difficulty).toBe('easy'));
+      });
+
+      it('uses learned claim ratings over static labels', async () => {
+        const claims = await selectClaimsByDifficulty('adaptive', 2, [], [], [], null, {
+          playerRating: 1600,
+          claimRatings: {
+            '1': { rating: 1450, attempts: 40 },
+            '2': { rating: 1460, attempts: 40 }
+          },
+          targetSuccess: 0.7
+        });
+
+        expect(claims.map(c => c.id).sort()).toEqual(['1', '2']);
+      });
+
+      it('orders adaptive claims from easiest to hardest', async () => {
+        const claims = await selectClaimsByDifficulty('adaptive', 10, [], [], [], null, { playerRating: 1000 });
+        const order = { easy: 0, medium: 1, hard: 2 };
+
+        for (let i = 1; i < claims.length; i++) {
+          expect(order[claims[i].difficulty]).toBeGreaterThanOrEqual(order[claims[i - 1].difficulty]);
+        }
+      });
+    });
+
     describe('subject filtering', () => {
       it('filters by single subject', async () => {
         const claims = await selectClaimsByDifficulty('easy', 2, ['Biology']);
@@ -206,7 +247,7 @@ describe('game utilities', () => {
         expect(claimsLoader.loadFilteredClaims).toHaveBeenCalledWith({
           gradeLevel: 'middle',
           subject: null
-        });
+        }, { includePacks: true });
       });
 
       it('uses loadFilteredClaims with single subject', async () => {
@@ -216,7 +257,7 @@ describe('game utilities', () => {
         expect(claimsLoader.loadFilteredClaims).toHaveBeenCalledWith({
           gradeLevel: 'high',
           subject: 'Physics'
-        });
+        }, { includePacks: true });
       });
 
       it('uses loadClaimsDatabase when no gradeLevel', async () => {
@@ -266,6 +307,308 @@ describe('game utilities', () => {
     });
   });
 
+  describe('balanced selection', () => {
+    const makeClaims = (n, fields) => Array.from({ length: n }, (_, i) => ({
+      id: `${fields.answer}-${fields.source}-${i}`,
+      difficulty: 'easy',
+      subject: 'Biology',
+      ...fields
+    }));
+
+    const countBy = (claims, key) => claims.reduce((counts, claim) => {
+      counts[claim[key]] = (counts[claim[key]] || 0) + 1;
+      return counts;
+    }, {});
+
+    it('mixes answers even when the pool is mostly FALSE', async () => {
+      claimsLoader.loadClaimsDatabase.mockResolvedValue([
+        ...makeClaims(30, { answer: 'FALSE' }),
+        ...makeClaims(3, { answer: 'TRUE' }),
+        ...makeClaims(3, { answer: 'MIXED' })
+      ]);
+
+      const claims = await selectClaimsByDifficulty('easy', 5);
+      expect(countBy(claims, 'answer')).toEqual({ TRUE: 2, FALSE: 2, MIXED: 1 });
+    });
+
+    it('avoids repeating an AI error pattern', async () => {
+      claimsLoader.loadClaimsDatabase.mockResolvedValue([
+        ...makeClaims(20, { answer: 'FALSE', source: 'ai-generated', errorPattern: 'myth-perpetuation' }),
+        ...['false-causation', 'appeal-to-authority', 'plausible-adjacency'].map((errorPattern, i) => ({
+          id: `ai-${i}`, difficulty: 'easy', subject: 'Biology', answer: 'FALSE', source: 'ai-generated', errorPattern
+        }))
+      ]);
+
+      const claims = await selectClaimsByDifficulty('easy', 4);
+      expect(Object.values(countBy(claims, 'errorPattern')).every(n => n === 1)).toBe(true);
+    });
+
+    it('balances AI and expert sources', async () => {
+      claimsLoader.loadClaimsDatabase.mockResolvedValue([
+        ...makeClaims(20, { answer: 'TRUE', source: 'expert-sourced' }),
+        ...makeClaims(20, { answer: 'TRUE', source: 'ai-generated' })
+      ]);
+
+      const claims = await selectClaimsByDifficulty('easy', 6, [], [], [], { maxPerErrorPattern: 0 });
+      expect(countBy(claims, 'source')).toEqual({ 'expert-sourced': 3, 'ai-generated': 3 });
+    });
+
+    it('follows the teacher\'s answer mix', async () => {
+      claimsLoader.loadClaimsDatabase.mockResolvedValue([
+        ...makeClaims(10, { answer: 'FALSE' }),
+        ...makeClaims(10, { answer: 'TRUE' })
+      ]);
+
+      const claims = await selectClaimsByDifficulty('easy', 4, [], [], [], { answerMix: { TRUE: 100, FALSE: 0, MIXED: 0 } });
+      expect(claims.every(c => c.answer === 'TRUE')).toBe(true);
+    });
+
+    it('still fills the game when the pool cannot meet the targets', async () => {
+      claimsLoader.loadClaimsDatabase.mockResolvedValue(makeClaims(5, { answer: 'FALSE' }));
+
+      const claims = await selectClaimsByDifficulty('easy', 5);
+      expect(claims).toHaveLength(5);
+    });
+  });
+
+  describe('seeded selection', () => {
+    it('returns the same claims in the same order for the same seed', async () => {
+      const first = await selectClaimsByDifficulty('mixed', 5, [], [], [], null, null, 4242);
+      const second = await selectClaimsByDifficulty('mixed', 5, [], [], [], null, null, 4242);
+      expect(first.map(c => c.id)).toEqual(second.map(c => c.id));
+    });
+
+    it('ignores each team\'s seen claims so every team gets the same game', async () => {
+      const fresh = await selectClaimsByDifficulty('medium', 3, [], [], [], null, null, 7);
+      const veteran = await selectClaimsByDifficulty('medium', 3, [], ['4', '5'], [], { classSeenIds: ['6'] }, null, 7);
+      expect(veteran.map(c => c.id)).toEqual(fresh.map(c => c.id));
+    });
+
+    it('gives the same game whatever the class settings', async () => {
+      const noSettings = await selectClaimsByDifficulty('mixed', 5, [], [], [], null, null, 4242);
+      const highSchool = await selectClaimsByDifficulty('mixed', 5, [], [], [], {
+        gradeLevel: 'high',
+        standards: ['MS-LS1'],
+        answerMix: { TRUE: 1, FALSE: 0, MIXED: 0 },
+        aiSourceShare: 1,
+        maxPerErrorPattern: 1
+      }, null, 4242);
+
+      expect(highSchool.map(c => c.id)).toEqual(noSettings.map(c => c.id));
+      expect(claimsLoader.loadFilteredClaims).not.toHaveBeenCalled();
+    });
+
+    it('does not depend on the order claims are loaded in', async () => {
+      const first = await selectClaimsByDifficulty('easy', 4, [], [], [], null, null, 99);
+      claimsLoader.loadClaimsDatabase.mockResolvedValue([...mockClaims].reverse());
+      const second = await selectClaimsByDifficulty('easy', 4, [], [], [], null, null, 99);
+      expect(second.map(c => c.id)).toEqual(first.map(c => c.id));
+    });
+
+    it('leaves out claims that vary by device (packs and student claims)', async () => {
+      const studentClaims = [{ id: '0-student', difficulty: 'easy', subject: 'Biology', answer: 'TRUE' }];
+      const claims = await selectClaimsByDifficulty('easy', 4, [], [], studentClaims, null, null, 99);
+
+      expect(claims.map(c => c.id)).not.toContain('0-student');
+      expect(claimsLoader.loadClaimsDatabase).toHaveBeenCalledWith([], { includePacks: false });
+    });
+
+    it('gives different games for different seeds', async () => {
+      const orders = new Set();
+      for (let seed = 0; seed < 10; seed++) {
+        const claims = await selectClaimsByDifficulty('mixed', 10, [], [], [], null, null, seed);
+        orders.add(claims.map(c => c.id).join(','));
+      }
+      expect(orders.size).toBeGreaterThan(1);
+    });
+  });
+
+  describe('selectPatternPracticeClaims', () => {
+    const patternClaims = (errorPattern, n, fields = {}) => Array.from({ length: n }, (_, i) => ({
+      id: `${errorPattern}-${i}`,
+      difficulty: 'medium',
+      subject: 'Biology',
+      answer: 'FALSE',
+      source: 'ai-generated',
+      errorPattern,
+      ...fields
+    }));
+    const controlClaims = (n, fields = {}) => Array.from({ length: n }, (_, i) => ({
+      id: `control-${fields.subject || 'Biology'}-${i}`,
+      difficulty: 'medium',
+      subject: 'Biology',
+      answer: 'TRUE',
+      source: 'expert-sourced',
+      ...fields
+    }));
+
+    it('draws only the chosen patterns plus accurate controls', async () => {
+      claimsLoader.loadClaimsDatabase.mockResolvedValue([
+        ...patternClaims('myth-perpetuation', 10),
+        ...patternClaims('false-causation', 10),
+        ...patternClaims('appeal-to-authority', 10),
+        ...controlClaims(10),
+        ...mockClaims
+      ]);
+
+      const claims = await selectPatternPracticeClaims(['myth-perpetuation', 'false-causation'], 10);
+      expect(claims).toHaveLength(10);
+      claims.forEach(claim => {
+        const isPattern = ['myth-perpetuation', 'false-causation'].includes(claim.errorPattern);
+        const isControl = !claim.errorPattern && claim.answer === 'TRUE';
+        expect(isPattern || isControl).toBe(true);
+      });
+      expect(claims.filter(c => c.errorPattern === 'myth-perpetuation')).toHaveLength(3);
+      expect(claims.filter(c => c.errorPattern === 'false-causation')).toHaveLength(3);
+      expect(claims.filter(c => !c.errorPattern)).toHaveLength(4);
+    });
+
+    it('matches controls to the subject of the pattern claims', async () => {
+      claimsLoader.loadClaimsDatabase.mockResolvedValue([
+        ...patternClaims('myth-perpetuation', 5, { subject: 'Physics' }),
+        ...controlClaims(5, { subject: 'Biology' }),
+        ...controlClaims(5, { subject: 'Physics' })
+      ]);
+
+      const claims = await selectPatternPracticeClaims(['myth-perpetuation'], 5);
+      expect(claims.every(c => c.subject === 'Physics')).toBe(true);
+    });
+
+    it('keeps the pattern/control ratio when pattern claims are scarce', async () => {
+      claimsLoader.loadClaimsDatabase.mockResolvedValue([
+        ...patternClaims('myth-perpetuation', 3),
+        ...controlClaims(20)
+      ]);
+
+      const claims = await selectPatternPracticeClaims(['myth-perpetuation'], 10);
+      expect(claims.filter(c => c.errorPattern)).toHaveLength(3);
+      expect(claims.filter(c => !c.errorPattern)).toHaveLength(2);
+    });
+
+    it('prefers unseen pattern claims and orders the game easy to hard', async () => {
+      claimsLoader.loadClaimsDatabase.mockResolvedValue([
+        ...patternClaims('myth-perpetuation', 2, { difficulty: 'hard' }),
+        { ...patternClaims('myth-perpetuation', 1)[0], id: 'fresh', difficulty: 'easy' },
+        ...controlClaims(5)
+      ]);
+
+      const claims = await selectPatternPracticeClaims(['myth-perpetuation'], 2, [], ['myth-perpetuation-0', 'myth-perpetuation-1']);
+      expect(claims[0].id).toBe('fresh');
+    });
+
+    it('returns no claims when no claim has the pattern', async () => {
+      const claims = await selectPatternPracticeClaims(['myth-perpetuation'], 5);
+      expect(claims).toEqual([]);
+    });
+  });
+
+  describe('selectReviewClaims', () => {
+    it('returns due claims in due order, marked for review', async () => {
+      const claims = await selectReviewClaims(['7', '2', '4'], 2);
+      expect(claims.map(c => c.id)).toEqual(['7', '2']);
+      expect(claims.every(c => c.isReview)).toBe(true);
+    });
+
+    it('respects the subject filter and skips unknown IDs', async () => {
+      const claims = await selectReviewClaims(['missing', '2', '4', '7'], 5, ['Biology']);
+      expect(claims.map(c => c.id)).toEqual(['4', '7']);
+    });
+
+    it('finds student-contributed claims', async () => {
+      const claims = await selectReviewClaims(['student-1'], 1, [], [{ id: 'student-1', subject: 'Biology' }]);
+      expect(claims.map(c => c.id)).toEqual(['student-1']);
+    });
+
+    it('returns nothing when no claims are due', async () => {
+      expect(await selectReviewClaims([], 3)).toEqual([]);
+      expect(claimsLoader.loadClaimsDatabase).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('mixReviewClaims', () => {
+    const fresh = ['a', 'b', 'c', 'd', 'e', 'f'].map(id => ({ id }));
+    const review = ['r1', 'r2'].map(id => ({ id, isReview: true }));
+
+    it('spreads review claims across the game', () => {
+      const mixed = mixReviewClaims(fresh, review, 6);
+      expect(mixed.map(c => c.id)).toEqual(['a', 'r1', 'b', 'c', 'r2', 'd']);
+    });
+
+    it('drops fresh claims that are also being reviewed', () => {
+      const mixed = mixReviewClaims([{ id: 'r1' }, ...fresh], review, 4);
+      const ids = mixed.map(c => c.id);
+      expect(ids).toHaveLength(4);
+      expect(new Set(ids).size).toBe(4);
+      expect(mixed.find(c => c.id === 'r1').isReview).toBe(true);
+    });
+
+    it('uses review claims to fill the game when fresh claims run out', () => {
+      const mixed = mixReviewClaims([{ id: 'a' }], review, 5);
+      expect(mixed.map(c => c.id).sort()).toEqual(['a', 'r1', 'r2']);
+    });
+  });
+
+  describe('selectEstimationQuestions', () => {
+    it('selects estimation questions ordered easy to hard', async () => {
+      const questions = await selectEstimationQuestions(8);
+      expect(questions).toHaveLength(8);
+      expect(questions.every(q => q.type === 'estimate')).toBe(true);
+      const order = { easy: 0, medium: 1, hard: 2 };
+      const ranks = questions.map(q => order[q.difficulty]);
+      expect(ranks).toEqual([...ranks].sort((a, b) => a - b));
+    });
+
+    it('prefers the chosen subjects, then fills from the rest', async () => {
+      const questions = await selectEstimationQuestions(6, ['Geography']);
+      expect(questions).toHaveLength(6);
+      expect(questions.filter(q => q.subject === 'geography')).toHaveLength(4);
+    });
+
+    it('puts unseen questions before seen ones', async () => {
+      const questions = await selectEstimationQuestions(3, ['geography'], ['est-geo-001', 'est-geo-002']);
+      const ids = questions.map(q => q.id);
+      expect(ids).toEqual(expect.arrayContaining(['est-geo-003', 'est-geo-004']));
+      expect(ids.filter(id => id === 'est-geo-001' || id === 'est-geo-002')).toHaveLength(1);
+    });
+  });
+
+  describe('selectPairRounds', () => {
+    const pairClaims = [
+      { id: 'ai-1', subject: 'biology', answer: 'FALSE', source: 'ai-generated', difficulty: 'hard', pairId: 'cells' },
+      { id: 'ex-1', subject: 'biology', answer: 'TRUE', source: 'expert-sourced', difficulty: 'easy', pairId: 'cells' },
+      { id: 'ai-2', subject: 'physics', answer: 'FALSE', source: 'ai-generated', difficulty: 'easy' },
+      { id: 'ex-2', subject: 'physics', answer: 'TRUE', source: 'expert-sourced', difficulty: 'easy' },
+      { id: 'ai-3', subject: 'history', answer: 'MIXED', source: 'ai-generated', difficulty: 'medium' },
+      { id: 'ex-3', subject: 'chemistry', answer: 'TRUE', source: 'expert-sourced', difficulty: 'medium' }
+    ];
+
+    beforeEach(() => {
+      claimsLoader.loadClaimsDatabase.mockResolvedValue([...pairClaims]);
+    });
+
+    it('builds pair rounds from annotated and same-subject claims, easy to hard', async () => {
+      const rounds = await selectPairRounds(5);
+      expect(rounds).toHaveLength(2);
+      expect(rounds.map(r => r.type)).toEqual(['pair', 'pair']);
+      // The annotated pair takes the harder claim's difficulty
+      expect(rounds.map(r => r.difficulty)).toEqual(['easy', 'hard']);
+      expect(rounds[1].pairId).toBe('cells');
+      rounds.forEach(round => {
+        const ai = round.claims[round.aiSide === 'A' ? 0 : 1];
+        expect(ai.source).toBe('ai-generated');
+        expect(round.claims.every(c => c.subject === round.subject)).toBe(true);
+      });
+    });
+
+    it('puts unseen pairs before pairs whose claims were both seen', async () => {
+      const rounds = await selectPairRounds(1, [], ['ai-1', 'ex-1']);
+      expect(rounds[0].subject).toBe('physics');
+
+      const partlySeen = await selectPairRounds(1, [], ['ai-1']);
+      expect(partlySeen[0].pairId).toBe('cells');
+    });
+  });
+
   describe('formatPlayerName', () => {
     it('formats name with first and last initial', () => {
       expect(formatPlayerName('John', 'D')).toBe('John D.');
@@ -397,6 +740,24 @@ describe('game utilities', () => {
       });
     });
 
+    describe('in another language', () => {
+      it('translates source and error hints', () => {
+        expect(getHintContent({ source: 'ai-generated' }, 'source-hint', 'es')).toBe('🤖 Esta afirmación fue generada por IA');
+        expect(getHintContent({ source: 'student-contributed' }, 'source-hint', 'es-MX'))
+          .toBe('✨ Esta afirmación la envió un compañero de clase');
+      });
+
+      it('uses the translated subject or unit hint', () => {
+        expect(getHintContent({ subject: 'biology', unit: 'genetics-and-evolution' }, 'subject-hint', 'es'))
+          .toBe('Piensa en millones de años, no en miles.');
+      });
+
+      it('marks English hints shown for untranslated languages', () => {
+        expect(getHintContent({ subject: 'biology' }, 'subject-hint', 'fr'))
+          .toBe('Think about what you learned in life science class! (English only)');
+      });
+    });
+
     describe('unknown hint type', () => {
       it('returns default message for unknown hint type', () => {
         const claim = { source: 'expert-sourced' };
@@ -0,0 +1,92 @@
+/**
+ * Game Code Tests
+ * Tests for encoding and parsing shareable game codes
+ */
+
+import { describe, it, expect } from 'vitest';
+import { GAME_CODE_LENGTH, GAME_CODE_MAX_SUBJECTS, createGameSeed, encodeGameCode, parseGameCode } from '../gameCode';
+import { GAME_CODE } from '../../data/constants';
+import { ALL_SUBJECTS } from '../../data/subjects';
+
+const settings = { seed: 123456, difficulty: 'medium', subjects: ['biology', 'physics'], rounds: 7 };
+
+describe('game codes', () => {
+  describe('encodeGameCode', () => {
+    it('produces a dashed code of the expected length', () => {
+      const code = encodeGameCode(settings);
+      expect(code).toMatch(/^[0-9A-Z]{5}-[0-9A-Z]+$/);
+      expect(code.replace('-', '')).toHaveLength(GAME_CODE_LENGTH);
+      expect([...code.replace('-', '')].every(char => GAME_CODE.ALPHABET.includes(char))).toBe(true);
+    });
+
+    it('round-trips every supported setting', () => {
+      GAME_CODE.DIFFICULTIES.forEach(difficulty => {
+        [1, 10, GAME_CODE.MAX_ROUNDS].forEach(rounds => {
+          [[], ALL_SUBJECTS, [ALL_SUBJECTS[ALL_SUBJECTS.length - 1]]].forEach(subjects => {
+            const original = { seed: 2 ** GAME_CODE.SEED_BITS - 1, difficulty, subjects, rounds };
+            const parsed = parseGameCode(encodeGameCode(original));
+            expect(parsed.isValid).toBe(true);
+            expect(parsed.settings).toEqual(original);
+          });
+        });
+      });
+    });
+
+    it('rejects settings that cannot be shared', () => {
+      expect(() => encodeGameCode({ ...settings, difficulty: 'adaptive' })).toThrow();
+      expect(() => encodeGameCode({ ...settings, rounds: 0 })).toThrow();
+      expect(() => encodeGameCode({ ...settings, rounds: GAME_CODE.MAX_ROUNDS + 1 })).toThrow();
+      expect(() => encodeGameCode({ ...settings, seed: -1 })).toThrow();
+    });
+
+    it('has room for every subject', () => {
+      // Past this, raise GAME_CODE.SUBJECT_CHARS and bump GAME_CODE.VERSION
+      expect(ALL_SUBJECTS.length).toBeLessThanOrEqual(GAME_CODE_MAX_SUBJECTS);
+    });
+
+    it('ignores unknown subjects', () => {
+      const parsed = parseGameCode(encodeGameCode({ ...settings, subjects: ['biology', 'Astrology'] }));
+      expect(parsed.settings.subjects).toEqual(['biology']);
+    });
+  });
+
+  describe('parseGameCode', () => {
+    const code = encodeGameCode(settings);
+
+    it('accepts lowercase, spaces and missing dashes', () => {
+      const messy = ` ${code.toLowerCase().replace('-', ' ')} `;
+      const parsed = parseGameCode(messy);
+      expect(parsed.isValid).toBe(true);
+      expect(parsed.code).toBe(code);
+      expect(parsed.settings).toEqual(settings);
+    });
+
+    it('reads O as 0 and I or L as 1', () => {
+      const lookalike = code.replace(/0/g, 'O').replace(/1/g, 'l');
+      expect(parseGameCode(lookalike).code).toBe(code);
+    });
+
+    it('catches single-character typos', () => {
+      const chars = code.replace('-', '');
+      const typo = chars.slice(0, 3) + (chars[3] === 'A' ? 'B' : 'A') + chars.slice(4);
+      const parsed = parseGameCode(typo);
+      expect(parsed.isValid).toBe(false);
+      expect(parsed.error).toMatch(/typo/);
+    });
+
+    it('rejects codes of the wrong length or with invalid characters', () => {
+      expect(parseGameCode('ABC').isValid).toBe(false);
+      expect(parseGameCode('').isValid).toBe(false);
+      expect(parseGameCode(null).isValid).toBe(false);
+      expect(parseGameCode('U'.repeat(GAME_CODE_LENGTH)).isValid).toBe(false);
+    });
+  });
+
+  describe('createGameSeed', () => {
+    it('returns a seed that fits in a code', () => {
+      expect(createGameSeed(() => 0)).toBe(0);
+      expect(createGameSeed(() => 0.999999)).toBeLessThan(2 ** GAME_CODE.SEED_BITS);
+      expect(Number.isInteger(createGameSeed())).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Pattern Practice Tests
+ * Tests for error-pattern mastery summaries
+ */
+
+import { describe, it, expect } from 'vitest';
+import { getMasteryLevel, getPracticePatterns, calculatePatternMastery } from '../patternPractice';
+
+describe('pattern practice', () => {
+  describe('getMasteryLevel', () => {
+    it('is new until a pattern has enough attempts', () => {
+      expect(getMasteryLevel(0, 0)).toBe('new');
+      expect(getMasteryLevel(2, 2)).toBe('new');
+    });
+
+    it('grades the lifetime catch rate', () => {
+      expect(getMasteryLevel(4, 5)).toBe('mastered');
+      expect(getMasteryLevel(3, 5)).toBe('developing');
+      expect(getMasteryLevel(1, 5)).toBe('needs-practice');
+    });
+  });
+
+  describe('getPracticePatterns', () => {
+    it('returns known patterns in taxonomy order', () => {
+      const patterns = getPracticePatterns(['false-causation', 'not-a-pattern', 'myth-perpetuation']);
+      expect(patterns.map(p => p.id)).toEqual(['myth-perpetuation', 'false-causation']);
+      expect(patterns[0].teachingPoint).toBeTruthy();
+    });
+
+    it('handles no selection', () => {
+      expect(getPracticePatterns()).toEqual([]);
+    });
+  });
+
+  describe('calculatePatternMastery', () => {
+    const claims = [
+      { id: 'a', answer: 'FALSE', errorPattern: 'myth-perpetuation' },
+      { id: 'b', answer: 'FALSE', errorPattern: 'myth-perpetuation' },
+      { id: 'c', answer: 'TRUE' },
+      { id: 'd', answer: 'MIXED', errorPattern: 'false-causation' },
+      { id: 'e', answer: 'TRUE' }
+    ];
+    const results = [
+      { claimId: 'a', correct: true },
+      { claimId: 'b', correct: false },
+      { claimId: 'c', correct: true },
+      { claimId: 'd', correct: true },
+      { claimId: 'e', correct: false }
+    ];
+
+    it('counts catches per pattern for this game', () => {
+      const { patterns } = calculatePatternMastery(['myth-perpetuation', 'false-causation'], results, claims);
+      expect(patterns.map(({ id, caught, encountered }) => ({ id, caught, encountered }))).toEqual([
+        { id: 'myth-perpetuation', caught: 1, encountered: 2 },
+        { id: 'false-causation', caught: 1, encountered: 1 }
+      ]);
+    });
+
+    it('uses lifetime stats for the mastery level', () => {
+      const { patterns } = calculatePatternMastery(['myth-perpetuation'], results, claims, {
+        'myth-perpetuation': { encountered: 10, caught: 9 }
+      });
+      expect(patterns[0]).toMatchObject({ lifetimeCaught: 9, lifetimeEncountered: 10, level: 'mastered' });
+    });
+
+    it('counts TRUE controls the team trusted', () => {
+      const { controls } = calculatePatternMastery(['myth-perpetuation'], results, claims);
+      expect(controls).toEqual({ trusted: 1, total: 2 });
+    });
+
+    it('ignores rounds that were not played', () => {
+      const { patterns, controls } = calculatePatternMastery(['myth-perpetuation'], results.slice(0, 1), claims);
+      expect(patterns[0].encountered).toBe(1);
+      expect(controls.total).toBe(0);
+    });
+  });
+});
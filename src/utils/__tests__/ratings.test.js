@@ -0,0 +1,112 @@
+/**
+ * Skill Rating Tests
+ * Tests for Elo-style player and claim ratings used by Adaptive difficulty
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  getSeedRating,
+  getClaimRating,
+  expectedSuccess,
+  getTargetClaimRating,
+  updateRatings,
+  mergeClaimRatings,
+  keepRecentRatings,
+  bandClaimsByTarget
+} from '../ratings';
+
+describe('ratings', () => {
+  describe('getSeedRating / getClaimRating', () => {
+    it('seeds claims from their difficulty label', () => {
+      expect(getSeedRating({ difficulty: 'easy' })).toBe(850);
+      expect(getSeedRating({ difficulty: 'hard' })).toBe(1150);
+      expect(getSeedRating({})).toBe(1000);
+    });
+
+    it('prefers a learned rating', () => {
+      const claim = { id: 'c1', difficulty: 'easy' };
+      expect(getClaimRating(claim, { c1: { rating: 1234, attempts: 3 } })).toBe(1234);
+      expect(getClaimRating(claim, {})).toBe(850);
+    });
+  });
+
+  describe('expectedSuccess / getTargetClaimRating', () => {
+    it('gives 50% for equal ratings and ~91% for a 400-point edge', () => {
+      expect(expectedSuccess(1000, 1000)).toBeCloseTo(0.5);
+      expect(expectedSuccess(1400, 1000)).toBeCloseTo(10 / 11);
+    });
+
+    it('inverts expectedSuccess', () => {
+      const target = getTargetClaimRating(1100, 0.7);
+      expect(target).toBeLessThan(1100);
+      expect(expectedSuccess(1100, target)).toBeCloseTo(0.7);
+    });
+  });
+
+  describe('updateRatings', () => {
+    it('moves player up and claim down after an expected-to-be-hard success', () => {
+      const result = updateRatings({ rating: 1000, rounds: 50 }, { rating: 1200, attempts: 3 }, 1);
+
+      expect(result.player.rating).toBeGreaterThan(1000);
+      expect(result.player.rounds).toBe(51);
+      expect(result.claim.rating).toBeLessThan(1200);
+      expect(result.claim.attempts).toBe(4);
+    });
+
+    it('uses a larger step while the player is provisional', () => {
+      const provisional = updateRatings({ rating: 1000, rounds: 0 }, { rating: 1000 }, 1);
+      const established = updateRatings({ rating: 1000, rounds: 100 }, { rating: 1000 }, 1);
+
+      expect(provisional.player.rating - 1000).toBeGreaterThan(established.player.rating - 1000);
+    });
+
+    it('treats partial credit as a partial win', () => {
+      const result = updateRatings({ rating: 1000, rounds: 100 }, { rating: 1000 }, 0.5);
+      expect(result.player.rating).toBe(1000);
+      expect(result.claim.rating).toBe(1000);
+    });
+  });
+
+  describe('mergeClaimRatings', () => {
+    it('keeps the entry with more attempts', () => {
+      const merged = mergeClaimRatings(
+        { a: { rating: 900, attempts: 10 }, b: { rating: 1000, attempts: 1 } },
+        { a: { rating: 950, attempts: 2 }, b: { rating: 1100, attempts: 5 } }
+      );
+
+      expect(merged).toEqual({ a: { rating: 900, attempts: 10 }, b: { rating: 1100, attempts: 5 } });
+    });
+  });
+
+  describe('keepRecentRatings', () => {
+    it('drops the least recently played entries, oldest first', () => {
+      const kept = keepRecentRatings({
+        old: { rating: 1000 },
+        a: { rating: 1000, lastPlayed: 300 },
+        b: { rating: 1000, lastPlayed: 100 },
+        c: { rating: 1000, lastPlayed: 200 }
+      }, 2);
+
+      expect(Object.keys(kept).sort()).toEqual(['a', 'c']);
+    });
+
+    it('keeps every entry under the limit', () => {
+      const map = { a: { rating: 900 }, b: { rating: 1100 } };
+      expect(keepRecentRatings(map, 2)).toEqual(map);
+    });
+  });
+
+  describe('bandClaimsByTarget', () => {
+    it('groups claims by distance from the target, closest first', () => {
+      const claims = [
+        { id: 'hard', difficulty: 'hard' },
+        { id: 'easy', difficulty: 'easy' },
+        { id: 'medium', difficulty: 'medium' }
+      ];
+
+      const bands = bandClaimsByTarget(claims, 1000);
+      expect(bands[0].map(c => c.id)).toEqual(['medium']);
+      expect(bands[1].map(c => c.id).sort()).toEqual(['easy', 'hard']);
+    });
+  });
+});
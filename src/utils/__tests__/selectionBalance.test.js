@@ -0,0 +1,101 @@
+/**
+ * Selection Balance Tests
+ * Tests for per-game answer, source and error pattern targets
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  apportion,
+  resolveSelectionBalance,
+  getBalanceTargets,
+  createBalanceTally,
+  addToBalanceTally,
+  getBalancePenalty
+} from '../selectionBalance';
+import { SELECTION_BALANCE } from '../../data/constants';
+
+describe('selection balance', () => {
+  describe('apportion', () => {
+    it('splits a count by weight and always sums to the count', () => {
+      expect(apportion(5, { TRUE: 40, FALSE: 40, MIXED: 20 })).toEqual({ TRUE: 2, FALSE: 2, MIXED: 1 });
+      expect(apportion(10, { TRUE: 40, FALSE: 40, MIXED: 20 })).toEqual({ TRUE: 4, FALSE: 4, MIXED: 2 });
+      [1, 3, 7, 13, 20].forEach(count => {
+        const shares = apportion(count, { a: 1, b: 1, c: 1 });
+        expect(shares.a + shares.b + shares.c).toBe(count);
+      });
+    });
+
+    it('gives nothing to zero weights', () => {
+      expect(apportion(4, { TRUE: 1, FALSE: 0 })).toEqual({ TRUE: 4, FALSE: 0 });
+    });
+
+    it('handles empty weights and counts', () => {
+      expect(apportion(3, { TRUE: 0, FALSE: 0 })).toEqual({ TRUE: 0, FALSE: 0 });
+      expect(apportion(0, { TRUE: 1 })).toEqual({ TRUE: 0 });
+    });
+  });
+
+  describe('resolveSelectionBalance', () => {
+    it('uses the defaults without class settings', () => {
+      expect(resolveSelectionBalance(null)).toEqual({
+        answerMix: SELECTION_BALANCE.DEFAULT_ANSWER_MIX,
+        aiShare: SELECTION_BALANCE.DEFAULT_AI_SHARE,
+        maxPerErrorPattern: SELECTION_BALANCE.DEFAULT_MAX_PER_ERROR_PATTERN
+      });
+    });
+
+    it('reads teacher settings', () => {
+      const balance = resolveSelectionBalance({
+        answerMix: { TRUE: 20, FALSE: 60, MIXED: 20 },
+        aiSourceShare: 0.7,
+        maxPerErrorPattern: 0
+      });
+      expect(balance).toEqual({ answerMix: { TRUE: 20, FALSE: 60, MIXED: 20 }, aiShare: 0.7, maxPerErrorPattern: 0 });
+    });
+
+    it('falls back for invalid settings', () => {
+      const balance = resolveSelectionBalance({
+        answerMix: { TRUE: 0, FALSE: 0, MIXED: 0 },
+        aiSourceShare: 2,
+        maxPerErrorPattern: -1
+      });
+      expect(balance.answerMix).toEqual(SELECTION_BALANCE.DEFAULT_ANSWER_MIX);
+      expect(balance.aiShare).toBe(SELECTION_BALANCE.DEFAULT_AI_SHARE);
+      expect(balance.maxPerErrorPattern).toBe(SELECTION_BALANCE.DEFAULT_MAX_PER_ERROR_PATTERN);
+    });
+  });
+
+  describe('getBalancePenalty', () => {
+    const targets = getBalanceTargets(5, resolveSelectionBalance(null));
+    const aiFalse = { answer: 'FALSE', source: 'ai-generated', errorPattern: 'myth-perpetuation' };
+
+    it('is zero while a claim fits every quota', () => {
+      expect(getBalancePenalty(aiFalse, createBalanceTally(), targets)).toBe(0);
+    });
+
+    it('penalizes answers, sources and error patterns over their quota', () => {
+      const tally = createBalanceTally();
+      addToBalanceTally(tally, aiFalse);
+      addToBalanceTally(tally, { ...aiFalse, errorPattern: 'false-causation' });
+      addToBalanceTally(tally, { ...aiFalse, errorPattern: 'appeal-to-authority' });
+
+      const { PENALTIES } = SELECTION_BALANCE;
+      expect(getBalancePenalty(aiFalse, tally, targets))
+        .toBe(PENALTIES.answer + PENALTIES.source + PENALTIES.errorPattern);
+      expect(getBalancePenalty({ answer: 'TRUE', source: 'expert-sourced' }, tally, targets)).toBe(0);
+    });
+
+    it('ignores dimensions a claim does not have', () => {
+      const tally = createBalanceTally();
+      addToBalanceTally(tally, aiFalse);
+      expect(getBalancePenalty({ id: 'student-1', source: 'student-contributed' }, tally, targets)).toBe(0);
+    });
+
+    it('does not cap error patterns when the limit is 0', () => {
+      const unlimited = getBalanceTargets(5, { ...resolveSelectionBalance(null), maxPerErrorPattern: 0 });
+      const tally = createBalanceTally();
+      addToBalanceTally(tally, aiFalse);
+      expect(getBalancePenalty({ errorPattern: aiFalse.errorPattern }, tally, unlimited)).toBe(0);
+    });
+  });
+});
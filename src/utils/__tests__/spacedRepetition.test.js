@@ -0,0 +1,112 @@
+/**
+ * Spaced Repetition Tests
+ * Tests for Leitner-box review scheduling
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  getBoxInterval,
+  scheduleReview,
+  getDueClaimIds,
+  getReviewSummary
+} from '../spacedRepetition';
+import { SPACED_REPETITION } from '../../data/constants';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2025, 0, 1);
+const LAST_BOX = SPACED_REPETITION.BOX_INTERVALS_DAYS.length;
+
+describe('spaced repetition', () => {
+  describe('getBoxInterval', () => {
+    it('returns the configured interval for each box', () => {
+      SPACED_REPETITION.BOX_INTERVALS_DAYS.forEach((days, i) => {
+        expect(getBoxInterval(i + 1)).toBe(days);
+      });
+    });
+
+    it('clamps out-of-range boxes', () => {
+      expect(getBoxInterval(0)).toBe(SPACED_REPETITION.BOX_INTERVALS_DAYS[0]);
+      expect(getBoxInterval(LAST_BOX + 5)).toBe(SPACED_REPETITION.BOX_INTERVALS_DAYS[LAST_BOX - 1]);
+    });
+  });
+
+  describe('scheduleReview', () => {
+    it('does not queue claims answered correctly the first time', () => {
+      expect(scheduleReview(null, 1, NOW)).toBeNull();
+    });
+
+    it('queues a missed claim in box 1', () => {
+      const entry = scheduleReview(null, 0, NOW);
+      expect(entry).toEqual({
+        box: 1,
+        due: NOW + getBoxInterval(1) * DAY_MS,
+        lapses: 1,
+        reviews: 0,
+        lastReviewed: NOW
+      });
+    });
+
+    it('queues near misses too', () => {
+      expect(scheduleReview(null, 0.5, NOW).box).toBe(1);
+    });
+
+    it('moves a correctly reviewed claim up a box with a longer interval', () => {
+      const entry = scheduleReview({ box: 1, due: NOW, lapses: 1, reviews: 0 }, 1, NOW);
+      expect(entry.box).toBe(2);
+      expect(entry.due).toBe(NOW + getBoxInterval(2) * DAY_MS);
+      expect(entry.reviews).toBe(1);
+      expect(entry.lapses).toBe(1);
+    });
+
+    it('sends a missed review back to box 1 and counts the lapse', () => {
+      const entry = scheduleReview({ box: 3, due: NOW, lapses: 1, reviews: 2 }, 0, NOW);
+      expect(entry.box).toBe(1);
+      expect(entry.lapses).toBe(2);
+      expect(entry.due).toBe(NOW + getBoxInterval(1) * DAY_MS);
+    });
+
+    it('keeps a near-miss review in the same box', () => {
+      const entry = scheduleReview({ box: 3, due: NOW, lapses: 1, reviews: 2 }, 0.5, NOW);
+      expect(entry.box).toBe(3);
+      expect(entry.lapses).toBe(1);
+      expect(entry.due).toBe(NOW + getBoxInterval(3) * DAY_MS);
+    });
+
+    it('retires a claim answered correctly from the last box', () => {
+      expect(scheduleReview({ box: LAST_BOX, due: NOW, lapses: 1, reviews: 4 }, 1, NOW)).toBeNull();
+    });
+  });
+
+  describe('getDueClaimIds', () => {
+    const queue = {
+      later: { box: 2, due: NOW + DAY_MS },
+      overdue: { box: 1, due: NOW - 2 * DAY_MS },
+      today: { box: 3, due: NOW }
+    };
+
+    it('returns due claims, most overdue first', () => {
+      expect(getDueClaimIds(queue, NOW)).toEqual(['overdue', 'today']);
+    });
+
+    it('handles an empty or missing queue', () => {
+      expect(getDueClaimIds({}, NOW)).toEqual([]);
+      expect(getDueClaimIds(undefined, NOW)).toEqual([]);
+    });
+  });
+
+  describe('getReviewSummary', () => {
+    it('counts queued and due claims and finds the next due time', () => {
+      const queue = {
+        a: { box: 1, due: NOW - DAY_MS },
+        b: { box: 2, due: NOW + 3 * DAY_MS },
+        c: { box: 2, due: NOW + DAY_MS }
+      };
+      expect(getReviewSummary(queue, NOW)).toEqual({ total: 3, due: 1, nextDue: NOW + DAY_MS });
+    });
+
+    it('reports no next due time when everything is due', () => {
+      expect(getReviewSummary({ a: { box: 1, due: NOW } }, NOW).nextDue).toBeNull();
+      expect(getReviewSummary({}, NOW)).toEqual({ total: 0, due: 0, nextDue: null });
+    });
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Zip Tests
+ * Tests for the stored-entry zip writer used by file exports
+ */
+
+import { describe, it, expect } from 'vitest';
+import { crc32, createZip } from '../zip';
+
+const decoder = new TextDecoder();
+
+// Read entries back through the central directory, as unzip tools do
+function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const end = bytes.length - 22;
+  expect(view.getUint32(end, true)).toBe(0x06054b50);
+
+  const count = view.getUint16(end + 10, true);
+  let position = view.getUint32(end + 16, true);
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    expect(view.getUint32(position, true)).toBe(0x02014b50);
+    const crc = view.getUint32(position + 16, true);
+    const size = view.getUint32(position + 24, true);
+    const nameLength = view.getUint16(position + 28, true);
+    const offset = view.getUint32(position + 42, true);
+    const name = decoder.decode(bytes.subarray(position + 46, position + 46 + nameLength));
+
+    expect(view.getUint32(offset, true)).toBe(0x04034b50);
+    const dataStart = offset + 30 + view.getUint16(offset + 26, true) + view.getUint16(offset + 28, true);
+    const data = bytes.subarray(dataStart, dataStart + size);
+    entries.push({ name, crc, data });
+    position += 46 + nameLength;
+  }
+  return entries;
+}
+
+describe('zip', () => {
+  it('computes standard CRC-32 checksums', () => {
+    expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xcbf43926);
+    expect(crc32(new Uint8Array())).toBe(0);
+  });
+
+  it('writes entries that read back with matching names, contents and checksums', () => {
+    const zip = createZip([
+      { name: 'imsmanifest.xml', content: '<manifest/>' },
+      { name: 'items/café.txt', content: 'Ünïcode ✓' },
+      { name: 'raw.bin', content: new Uint8Array([0, 1, 2, 255]) }
+    ], { date: new Date(2024, 0, 15, 10, 30) });
+
+    const entries = readZip(zip);
+    expect(entries.map(e => e.name)).toEqual(['imsmanifest.xml', 'items/café.txt', 'raw.bin']);
+    expect(decoder.decode(entries[1].data)).toBe('Ünïcode ✓');
+    expect([...entries[2].data]).toEqual([0, 1, 2, 255]);
+    entries.forEach(entry => expect(entry.crc).toBe(crc32(entry.data)));
+  });
+
+  it('writes an empty archive', () => {
+    expect(createZip([])).toHaveLength(22);
+  });
+});
@@ -0,0 +1,223 @@
+/**
+ * ASSESSMENT EXPORT
+ * Turns claim sets into quiz formats learning management systems import
+ *
+ * - Moodle GIFT: one multiple choice question per claim, as plain text
+ * - IMS QTI 2.1: one assessmentItem per claim, zipped with an imsmanifest.xml
+ *   content package (Canvas, Blackboard, Moodle and most other LMSs read these)
+ *
+ * Every question asks for the claim's verdict (True / False / Mixed) and carries
+ * feedback built from the claim's explanation and, for AI-generated claims, the
+ * error pattern behind it. Image and chart claims are exported with their alt text.
+ */
+
+import { AI_ERROR_PATTERNS } from '../data/errorPatterns';
+import { getSubjectName } from '../data/subjects';
+import { createZip } from './zip';
+
+const VERDICT_CHOICES = [
+  { answer: 'TRUE', label: 'True' },
+  { answer: 'FALSE', label: 'False' },
+  { answer: 'MIXED', label: 'Mixed' }
+];
+
+const QUESTION_PROMPT = 'Is this claim True, False or Mixed?';
+const CATEGORY_ROOT = 'Truth Hunters';
+
+const QTI_NAMESPACE = 'http://www.imsglobal.org/xsd/imsqti_v2p1';
+const QTI_SCHEMA = 'http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd';
+const CP_NAMESPACE = 'http://www.imsglobal.org/xsd/imscp_v1p1';
+const CP_SCHEMA = 'http://www.imsglobal.org/xsd/imscp_v1p1.xsd';
+const XSI_NAMESPACE = 'http://www.w3.org/2001/XMLSchema-instance';
+
+/**
+ * Claim text as a quiz question, with alt text standing in for any image or chart
+ * @param {Object} claim - Claim
+ * @returns {string}
+ */
+function questionText(claim) {
+  if (!claim.media?.alt) return claim.text;
+  return `${claim.text} (${claim.media.type === 'chart' ? 'Chart' : 'Image'}: ${claim.media.alt})`;
+}
+
+/**
+ * Feedback shown after answering: the verdict, the explanation and any error pattern
+ * @param {Object} claim - Claim
+ * @returns {string}
+ */
+export function buildFeedback(claim) {
+  const label = VERDICT_CHOICES.find(choice => choice.answer === claim.answer)?.label || claim.answer;
+  const pattern = claim.errorPattern && AI_ERROR_PATTERNS.find(p => p.id === claim.errorPattern);
+  return [
+    `The claim is ${label}.`,
+    claim.explanation,
+    pattern && `AI error pattern: ${pattern.name}. ${pattern.teachingPoint}.`
+  ].filter(Boolean).join(' ');
+}
+
+// GIFT reserves ~ = # { } : and the backslash itself
+function escapeGift(value) {
+  return String(value)
+    .replace(/[\\~=#{}:]/g, char => `\\${char}`)
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Export claims as Moodle GIFT questions
+ * Claims are grouped under a Truth Hunters/<Subject> question bank category.
+ * @param {Array<Object>} claims - Claims
+ * @returns {string} GIFT text
+ */
+export function exportGift(claims) {
+  const blocks = [];
+  let category = null;
+
+  (claims || []).forEach(claim => {
+    const subject = getSubjectName(claim.subject);
+    if (subject !== category) {
+      category = subject;
+      blocks.push(`$CATEGORY: ${CATEGORY_ROOT}/${subject}`);
+    }
+
+    const feedback = escapeGift(buildFeedback(claim));
+    const answers = VERDICT_CHOICES.map(({ answer, label }) =>
+      `\t${answer === claim.answer ? '=' : '~'}${label}#${feedback}`
+    );
+    const details = [claim.difficulty, claim.gradeLevel || 'middle', claim.source].filter(Boolean).join(', ');
+
+    blocks.push([
+      `// ${claim.id} (${details})`,
+      `::${escapeGift(claim.id)}::${escapeGift(questionText(claim))} {`,
+      ...answers,
+      '}'
+    ].join('\n'));
+  });
+
+  return `${blocks.join('\n\n')}\n`;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * QTI identifiers must be XML names, so claim IDs are prefixed and cleaned
+ * @param {string} id - Claim ID
+ * @returns {string}
+ */
+function qtiIdentifier(id) {
+  return `TH-${String(id).replace(/[^A-Za-z0-9_.-]/g, '_')}`;
+}
+
+/**
+ * Build a QTI 2.1 assessmentItem for a claim
+ * Scores 1 for the correct verdict, and always shows the explanation as modal feedback.
+ * @param {Object} claim - Claim
+ * @param {string} [identifier] - Item identifier (defaults to one derived from the claim ID)
+ * @returns {string} assessmentItem XML
+ */
+export function claimToQtiItem(claim, identifier = qtiIdentifier(claim.id)) {
+  const title = `${getSubjectName(claim.subject)}: ${claim.id}`;
+  const media = claim.media?.alt
+    ? `\n    <p>${escapeXml(`${claim.media.type === 'chart' ? 'Chart' : 'Image'}: ${claim.media.alt}`)}</p>`
+    : '';
+  const choices = VERDICT_CHOICES
+    .map(({ answer, label }) => `      <simpleChoice identifier="${answer}">${label}</simpleChoice>`)
+    .join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="${QTI_NAMESPACE}" xmlns:xsi="${XSI_NAMESPACE}"
+  xsi:schemaLocation="${QTI_NAMESPACE} ${QTI_SCHEMA}"
+  identifier="${escapeXml(identifier)}" title="${escapeXml(title)}" adaptive="false" timeDependent="false">
+  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="identifier">
+    <correctResponse>
+      <value>${claim.answer}</value>
+    </correctResponse>
+  </responseDeclaration>
+  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">
+    <defaultValue>
+      <value>0</value>
+    </defaultValue>
+  </outcomeDeclaration>
+  <outcomeDeclaration identifier="FEEDBACK" cardinality="single" baseType="identifier"/>
+  <itemBody>
+    <p>${escapeXml(claim.text)}</p>${media}
+    <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="1">
+      <prompt>${QUESTION_PROMPT}</prompt>
+${choices}
+    </choiceInteraction>
+  </itemBody>
+  <responseProcessing>
+    <responseCondition>
+      <responseIf>
+        <match>
+          <variable identifier="RESPONSE"/>
+          <correct identifier="RESPONSE"/>
+        </match>
+        <setOutcomeValue identifier="SCORE">
+          <baseValue baseType="float">1</baseValue>
+        </setOutcomeValue>
+      </responseIf>
+    </responseCondition>
+    <setOutcomeValue identifier="FEEDBACK">
+      <baseValue baseType="identifier">EXPLANATION</baseValue>
+    </setOutcomeValue>
+  </responseProcessing>
+  <modalFeedback outcomeIdentifier="FEEDBACK" identifier="EXPLANATION" showHide="show">${escapeXml(buildFeedback(claim))}</modalFeedback>
+</assessmentItem>
+`;
+}
+
+/**
+ * List the files of a QTI 2.1 content package
+ * Claim IDs that clean up to the same identifier get numbered suffixes.
+ * @param {Array<Object>} claims - Claims
+ * @returns {Array<{name: string, content: string}>} imsmanifest.xml followed by one item per claim
+ */
+export function buildQtiFiles(claims) {
+  const used = new Set();
+  const items = (claims || []).map(claim => {
+    const base = qtiIdentifier(claim.id);
+    let identifier = base;
+    for (let n = 2; used.has(identifier); n++) identifier = `${base}-${n}`;
+    used.add(identifier);
+    return { identifier, name: `items/${identifier}.xml`, content: claimToQtiItem(claim, identifier) };
+  });
+
+  const resources = items.map(({ identifier, name }) =>
+    `    <resource identifier="RES-${identifier}" type="imsqti_item_xmlv2p1" href="${name}">
+      <file href="${name}"/>
+    </resource>`
+  ).join('\n');
+
+  const manifest = `<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="${CP_NAMESPACE}" xmlns:xsi="${XSI_NAMESPACE}"
+  xsi:schemaLocation="${CP_NAMESPACE} ${CP_SCHEMA} ${QTI_NAMESPACE} ${QTI_SCHEMA}"
+  identifier="MANIFEST-truth-hunters">
+  <metadata>
+    <schema>QTIv2.1 Package</schema>
+    <schemaversion>1.0.0</schemaversion>
+  </metadata>
+  <organizations/>
+  <resources>
+${resources}
+  </resources>
+</manifest>
+`;
+
+  return [{ name: 'imsmanifest.xml', content: manifest }, ...items.map(({ name, content }) => ({ name, content }))];
+}
+
+/**
+ * Export claims as a zipped QTI 2.1 item package
+ * @param {Array<Object>} claims - Claims
+ * @returns {Uint8Array} Zip file bytes
+ */
+export function exportQtiPackage(claims) {
+  return createZip(buildQtiFiles(claims));
+}
@@ -0,0 +1,250 @@
+/**
+ * CALIBRATION UTILITIES
+ * Measures how well stated confidence matches actual accuracy
+ *
+ * Every round has a stated probability of being correct: the probability itself
+ * in probability mode, or its confidence level's probability (see
+ * CONFIDENCE_PROBABILITIES) in level mode. Rounds are grouped into buckets of
+ * { total, correct } keyed by stated percent, which is all that is needed to
+ * compute every metric below - so lifetime metrics can be stored as running
+ * bucket counts.
+ */
+
+import { CONFIDENCE_PROBABILITIES } from '../data/constants';
+
+// Clamp probabilities so log loss stays finite
+const MIN_PROBABILITY = 0.001;
+const MAX_PROBABILITY = 0.999;
+
+// Bias within this range (in probability units) counts as well calibrated
+const BIAS_TOLERANCE = 0.05;
+
+// Width of the stated-probability bins in the reliability diagram (percentage points)
+const RELIABILITY_BIN_WIDTH = 10;
+
+/**
+ * Convert a confidence level to the probability of being correct it represents
+ * @param {1|2|3} confidence - Confidence level
+ * @returns {number|null} Probability (0-1), or null for unknown levels
+ */
+export function confidenceToProbability(confidence) {
+  return CONFIDENCE_PROBABILITIES[confidence] ?? null;
+}
+
+/**
+ * Convert a stated probability to the nearest confidence level
+ * Lets probability-mode rounds share buckets, achievements and tips with level-mode rounds
+ * @param {number} probability - Stated probability of being correct (0-1)
+ * @returns {1|2|3|null} Nearest confidence level, or null for invalid input
+ */
+export function probabilityToConfidence(probability) {
+  if (typeof probability !== 'number' || !isFinite(probability)) return null;
+
+  let nearest = null;
+  let nearestDistance = Infinity;
+  Object.entries(CONFIDENCE_PROBABILITIES).forEach(([level, levelProbability]) => {
+    const distance = Math.abs(probability - levelProbability);
+    if (distance < nearestDistance) {
+      nearest = Number(level);
+      nearestDistance = distance;
+    }
+  });
+  return nearest;
+}
+
+/**
+ * Get the probability of being correct a round's player stated
+ * @param {Object} result - Round result with { probability } (probability mode) or { confidence }
+ * @returns {number|null} Probability (0-1), or null when none was stated
+ */
+export function getStatedProbability(result) {
+  if (typeof result?.probability === 'number' && isFinite(result.probability)) {
+    return result.probability;
+  }
+  return confidenceToProbability(result?.confidence);
+}
+
+/**
+ * Get the stated probability a bucket key stands for
+ * Keys are stated percents; profiles saved before probability mode used levels 1-3.
+ * @param {string|number} key - Bucket key
+ * @returns {number|null} Probability (0-1), or null for invalid keys
+ */
+function bucketProbability(key) {
+  const levelProbability = confidenceToProbability(Number(key));
+  if (levelProbability !== null) return levelProbability;
+  const percent = Number(key);
+  return Number.isInteger(percent) && percent >= 0 && percent <= 100 ? percent / 100 : null;
+}
+
+/**
+ * Create empty calibration buckets
+ * @returns {Object} Buckets keyed by stated percent (filled by addToConfidenceBuckets)
+ */
+export function createConfidenceBuckets() {
+  return {};
+}
+
+/**
+ * Add round results to calibration buckets
+ * Forfeited rounds and rounds without a stated probability are skipped
+ * @param {Object} buckets - Existing buckets (not mutated; level-keyed buckets are converted)
+ * @param {Array} results - Round results with { correct, probability or confidence, forfeited }
+ * @returns {Object} New buckets, keyed by stated percent, including the results
+ */
+export function addToConfidenceBuckets(buckets, results = []) {
+  const updated = createConfidenceBuckets();
+  const add = (probability, total, correct) => {
+    const key = Math.round(probability * 100);
+    const bucket = updated[key] || { total: 0, correct: 0 };
+    updated[key] = { total: bucket.total + total, correct: bucket.correct + correct };
+  };
+
+  Object.entries(buckets || {}).forEach(([key, bucket]) => {
+    const probability = bucketProbability(key);
+    if (probability !== null) add(probability, bucket?.total || 0, bucket?.correct || 0);
+  });
+
+  results.forEach(result => {
+    if (!result || result.forfeited) return;
+    const probability = getStatedProbability(result);
+    if (probability === null) return;
+    add(probability, 1, result.correct ? 1 : 0);
+  });
+
+  return updated;
+}
+
+/**
+ * Calculate calibration metrics from calibration buckets
+ *
+ * - brierScore: mean squared error of stated probability (0 = perfect, lower is better)
+ * - logLoss: mean negative log-likelihood of the outcome (lower is better)
+ * - bias: mean stated probability minus accuracy (+ overconfident, - underconfident)
+ * - resolution: how much accuracy differs between stated-probability bins (higher is better)
+ *
+ * @param {Object} buckets - Calibration buckets { total, correct } by stated percent
+ * @returns {Object} { count, accuracy, meanConfidence, brierScore, logLoss, bias, resolution }
+ *   All metrics are null when there are no rounds
+ */
+export function calculateCalibrationMetrics(buckets) {
+  const levels = Object.entries(buckets || {})
+    .map(([key, bucket]) => ({
+      probability: bucketProbability(key),
+      total: bucket?.total || 0,
+      correct: bucket?.correct || 0
+    }))
+    .filter(b => b.probability !== null && b.total > 0);
+
+  const count = levels.reduce((sum, b) => sum + b.total, 0);
+  if (count === 0) {
+    return {
+      count: 0,
+      accuracy: null,
+      meanConfidence: null,
+      brierScore: null,
+      logLoss: null,
+      bias: null,
+      resolution: null
+    };
+  }
+
+  let correctTotal = 0;
+  let probabilitySum = 0;
+  let brierSum = 0;
+  let logLossSum = 0;
+
+  levels.forEach(({ probability, total, correct }) => {
+    const incorrect = total - correct;
+    const p = Math.min(MAX_PROBABILITY, Math.max(MIN_PROBABILITY, probability));
+
+    correctTotal += correct;
+    probabilitySum += probability * total;
+    brierSum += correct * (1 - probability) ** 2 + incorrect * probability ** 2;
+    logLossSum += -(correct * Math.log(p) + incorrect * Math.log(1 - p));
+  });
+
+  const accuracy = correctTotal / count;
+  const meanConfidence = probabilitySum / count;
+
+  // Resolution: weighted variance of per-bin accuracy around overall accuracy
+  const resolution = buildReliabilityPoints(buckets).reduce(
+    (sum, { total, observed }) => sum + total * (observed - accuracy) ** 2,
+    0
+  ) / count;
+
+  return {
+    count,
+    accuracy,
+    meanConfidence,
+    brierScore: brierSum / count,
+    logLoss: logLossSum / count,
+    bias: meanConfidence - accuracy,
+    resolution
+  };
+}
+
+/**
+ * Calculate calibration metrics directly from round results
+ * @param {Array} results - Round results with { correct, probability or confidence }
+ * @returns {Object} Calibration metrics (see calculateCalibrationMetrics)
+ */
+export function calculateCalibrationFromResults(results) {
+  return calculateCalibrationMetrics(addToConfidenceBuckets(null, results));
+}
+
+/**
+ * Build reliability diagram points (stated probability vs observed accuracy)
+ * Buckets are grouped into 10-point stated-probability bins (50-59%, 60-69%, ...);
+ * each point sits at the mean probability stated in its bin.
+ * @param {Object} buckets - Calibration buckets { total, correct } by stated percent
+ * @returns {Array<Object>} [{ bin, label, confidence, stated, observed, total, correct }] for bins
+ *   with data; confidence is the nearest confidence level (for colors)
+ */
+export function buildReliabilityPoints(buckets) {
+  const bins = {};
+  Object.entries(buckets || {}).forEach(([key, bucket]) => {
+    const probability = bucketProbability(key);
+    const total = bucket?.total || 0;
+    if (probability === null || total === 0) return;
+
+    // Percent keys are whole numbers; 100% shares the top bin
+    const low = Math.min(100 - RELIABILITY_BIN_WIDTH,
+      Math.floor(Math.round(probability * 100) / RELIABILITY_BIN_WIDTH) * RELIABILITY_BIN_WIDTH);
+    const bin = bins[low] || { total: 0, correct: 0, statedSum: 0 };
+    bins[low] = {
+      total: bin.total + total,
+      correct: bin.correct + (bucket?.correct || 0),
+      statedSum: bin.statedSum + probability * total
+    };
+  });
+
+  return Object.entries(bins)
+    .map(([key, { total, correct, statedSum }]) => {
+      const low = Number(key);
+      const high = low + RELIABILITY_BIN_WIDTH === 100 ? 100 : low + RELIABILITY_BIN_WIDTH - 1;
+      const stated = statedSum / total;
+      return {
+        bin: low / 100,
+        label: `${low}-${high}%`,
+        confidence: probabilityToConfidence(stated),
+        stated,
+        observed: correct / total,
+        total,
+        correct
+      };
+    })
+    .sort((a, b) => a.stated - b.stated);
+}
+
+/**
+ * Classify calibration bias for display
+ * @param {number|null} bias - Mean confidence minus accuracy
+ * @returns {'overconfident'|'underconfident'|'calibrated'|null}
+ */
+export function describeCalibrationBias(bias) {
+  if (bias === null || bias === undefined || !isFinite(bias)) return null;
+  if (bias > BIAS_TOLERANCE) return 'overconfident';
+  if (bias < -BIAS_TOLERANCE) return 'underconfident';
+  return 'calibrated';
+}
@@ -0,0 +1,178 @@
+/**
+ * CLAIM LINT
+ * Rule-based quality checks for claim content, run by the CMS and `npm run claims:lint`
+ *
+ * validateClaimsDatabase (data/claims.js) rejects claims the game cannot use; the
+ * linter goes further and flags claims that work but fall short of the content
+ * guidelines: missing evidence, stale fact-checks, thin explanations, or text
+ * pitched above its grade level. Results are plain objects so tools can consume them.
+ *
+ * Each rule has an id and a default severity ('error' or 'warning'). Severities can
+ * be overridden per run, or a rule turned 'off'.
+ */
+
+// Extensions included so scripts/lint-claims.js can run this under plain Node
+import { AI_ERROR_PATTERNS } from '../data/errorPatterns.js';
+import { CLAIM_LINT } from '../data/constants.js';
+
+const PATTERN_IDS = new Set(AI_ERROR_PATTERNS.map(p => p.id));
+
+/**
+ * Estimate the syllables in a word (vowel groups, less a silent final e)
+ * @param {string} word - Word
+ * @returns {number} At least 1
+ */
+function countSyllables(word) {
+  const letters = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (letters.length <= 3) return 1;
+  const groups = letters
+    .replace(/(?:[^laeiouy]es|[^laeiouy]ed|[^laeiouy]e)$/, '')
+    .replace(/^y/, '')
+    .match(/[aeiouy]{1,2}/g);
+  return Math.max(1, groups ? groups.length : 1);
+}
+
+/**
+ * Estimate the US school grade needed to read a text (Flesch-Kincaid grade level)
+ * @param {string} text - Text
+ * @returns {number|null} Grade rounded to one decimal, or null for text without words
+ */
+export function estimateReadingGrade(text) {
+  const words = String(text || '').split(/\s+/).filter(word => /[A-Za-z0-9]/.test(word));
+  if (words.length === 0) return null;
+  const sentences = Math.max(1, (String(text).match(/[.!?]+(\s|$)/g) || []).length);
+  const syllables = words.reduce((sum, word) => sum + countSyllables(word), 0);
+  const grade = 0.39 * (words.length / sentences) + 11.8 * (syllables / words.length) - 15.59;
+  return Math.round(Math.max(0, grade) * 10) / 10;
+}
+
+/**
+ * Lint rules, in report order
+ * check(claim, context) returns a problem ({ message, ...details }), a list of them, or null.
+ */
+export const CLAIM_LINT_RULES = [
+  {
+    id: 'duplicate-id',
+    severity: 'error',
+    description: 'Claim IDs must be unique',
+    check: (claim, { idCounts, seenIds }) => {
+      const repeat = seenIds.has(claim.id);
+      seenIds.add(claim.id);
+      return repeat ? { message: `Duplicate id ${claim.id} (${idCounts.get(claim.id)} claims use it)` } : null;
+    }
+  },
+  {
+    id: 'citation-required',
+    severity: 'error',
+    description: 'TRUE claims need a citation (claims about a chart of their own data are exempt)',
+    check: (claim) => {
+      if (claim.answer !== 'TRUE' || claim.media?.type === 'chart') return null;
+      return String(claim.citation || '').trim() ? null : { message: 'TRUE claim has no citation' };
+    }
+  },
+  {
+    id: 'error-pattern-required',
+    severity: 'error',
+    description: 'AI-generated FALSE claims need an errorPattern',
+    check: (claim) => (
+      claim.source === 'ai-generated' && claim.answer === 'FALSE' && !claim.errorPattern
+        ? { message: 'AI-generated FALSE claim has no errorPattern' }
+        : null
+    )
+  },
+  {
+    id: 'error-pattern-unknown',
+    severity: 'error',
+    description: 'errorPattern and error span patterns must be AI_ERROR_PATTERNS ids',
+    check: (claim) => {
+      const patterns = [claim.errorPattern, ...(claim.errorSpans || []).map(span => span.pattern)];
+      return [...new Set(patterns.filter(p => p && !PATTERN_IDS.has(p)))]
+        .map(pattern => ({ message: `Unknown error pattern: ${pattern}`, pattern }));
+    }
+  },
+  {
+    id: 'explanation-length',
+    severity: 'warning',
+    description: `Explanations should be ${CLAIM_LINT.EXPLANATION_LENGTH.MIN}-${CLAIM_LINT.EXPLANATION_LENGTH.MAX} characters`,
+    check: (claim) => {
+      const { MIN, MAX } = CLAIM_LINT.EXPLANATION_LENGTH;
+      const length = String(claim.explanation || '').trim().length;
+      if (length < MIN) return { message: `Explanation is too short (${length} < ${MIN} characters)`, length };
+      if (length > MAX) return { message: `Explanation is too long (${length} > ${MAX} characters)`, length };
+      return null;
+    }
+  },
+  {
+    id: 'stale-verification',
+    severity: 'warning',
+    description: 'Claims should have been fact-checked recently (lastVerified)',
+    check: (claim, { verifiedCutoff, maxAgeMonths }) => {
+      if (!claim.lastVerified) return { message: 'Claim has never been verified (no lastVerified)' };
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(claim.lastVerified)) {
+        return { message: `lastVerified is not a YYYY-MM-DD date: ${claim.lastVerified}` };
+      }
+      return claim.lastVerified < verifiedCutoff
+        ? { message: `Last verified ${claim.lastVerified}, more than ${maxAgeMonths} months ago`, lastVerified: claim.lastVerified }
+        : null;
+    }
+  },
+  {
+    id: 'reading-level',
+    severity: 'warning',
+    description: 'Claim text should suit its gradeLevel (estimated Flesch-Kincaid grade)',
+    check: (claim) => {
+      const gradeLevel = claim.gradeLevel || 'middle';
+      const limit = CLAIM_LINT.READING_LEVEL[gradeLevel];
+      const estimate = estimateReadingGrade(claim.text);
+      if (limit == null || estimate === null || estimate <= limit + CLAIM_LINT.READING_LEVEL_TOLERANCE) return null;
+      return {
+        message: `Reads at about grade ${estimate}, above ${gradeLevel} (grade ${limit})`,
+        readingGrade: estimate,
+        gradeLimit: limit
+      };
+    }
+  }
+];
+
+/**
+ * Lint claims against the content rules
+ * @param {Array<Object>} claims - Claims to check
+ * @param {Object} [options]
+ * @param {Date} [options.now=new Date()] - Reference date for stale verification
+ * @param {number} [options.maxAgeMonths=CLAIM_LINT.MAX_VERIFIED_AGE_MONTHS] - Months before lastVerified is stale
+ * @param {Object<string, 'error'|'warning'|'off'>} [options.rules] - Severity overrides by rule id
+ * @returns {{valid: boolean, totalClaims: number, counts: {error: number, warning: number},
+ *   rules: Object<string, number>, issues: Array<{rule: string, severity: string, claimId: string, index: number, message: string}>}}
+ *   valid is false when any error-severity issue is found; rules counts issues per rule
+ */
+export function lintClaims(claims, { now = new Date(), maxAgeMonths = CLAIM_LINT.MAX_VERIFIED_AGE_MONTHS, rules = {} } = {}) {
+  const list = claims || [];
+  const cutoff = new Date(now);
+  cutoff.setMonth(cutoff.getMonth() - maxAgeMonths);
+
+  const idCounts = new Map();
+  list.forEach(claim => idCounts.set(claim.id, (idCounts.get(claim.id) || 0) + 1));
+  const context = { idCounts, seenIds: new Set(), verifiedCutoff: cutoff.toISOString().slice(0, 10), maxAgeMonths };
+
+  const activeRules = CLAIM_LINT_RULES
+    .map(rule => ({ ...rule, severity: rules[rule.id] || rule.severity }))
+    .filter(rule => CLAIM_LINT.SEVERITIES.includes(rule.severity));
+
+  const issues = [];
+  list.forEach((claim, index) => {
+    activeRules.forEach(rule => {
+      [].concat(rule.check(claim, context) || []).forEach(problem => {
+        issues.push({ rule: rule.id, severity: rule.severity, claimId: claim.id, index, ...problem });
+      });
+    });
+  });
+
+  const counts = { error: 0, warning: 0 };
+  const ruleCounts = Object.fromEntries(activeRules.map(rule => [rule.id, 0]));
+  issues.forEach(issue => {
+    counts[issue.severity]++;
+    ruleCounts[issue.rule]++;
+  });
+
+  return { valid: counts.error === 0, totalClaims: list.length, counts, rules: ruleCounts, issues };
+}
@@ -0,0 +1,66 @@
+/**
+ * CLAIM LOCALE
+ * Picks the claim text and explanation for the player's language
+ *
+ * Claims are written in English. A claim can carry translations:
+ *   translations: {
+ *     es: { text, explanation, status: 'reviewed', translatedBy, reviewedBy: [], lastReviewed }
+ *   }
+ * When a claim has no translation for the language, the English text is used and
+ * isFallback is set so the UI can say so.
+ */
+
+import { CLAIM_TRANSLATIONS } from '../data/constants';
+
+/**
+ * Primary language subtag of an i18next language code
+ * @param {string} language - e.g. 'es', 'es-MX' or undefined
+ * @returns {string} e.g. 'es' (the source language when unknown)
+ */
+export function getBaseLanguage(language) {
+  const base = typeof language === 'string' ? language.split('-')[0].toLowerCase() : '';
+  return base || CLAIM_TRANSLATIONS.SOURCE_LANGUAGE;
+}
+
+/**
+ * Translation of a claim, if it has a usable one
+ * @param {Object} claim - Claim
+ * @param {string} language - Language code
+ * @returns {Object|null} { text, explanation, status, ... } or null
+ */
+export function getClaimTranslation(claim, language) {
+  const translation = claim?.translations?.[getBaseLanguage(language)];
+  return translation?.text && translation?.explanation ? translation : null;
+}
+
+/**
+ * Claim content in the player's language, falling back to English
+ * @param {Object} claim - Claim
+ * @param {string} language - Active i18n language
+ * @returns {{text: string, explanation: string, language: string, status: string|null, isFallback: boolean}}
+ *   language is the language of the returned content
+ */
+export function localizeClaim(claim, language) {
+  const wanted = getBaseLanguage(language);
+  const source = {
+    text: claim.text,
+    explanation: claim.explanation,
+    language: CLAIM_TRANSLATIONS.SOURCE_LANGUAGE,
+    status: null
+  };
+  if (wanted === CLAIM_TRANSLATIONS.SOURCE_LANGUAGE) {
+    return { ...source, isFallback: false };
+  }
+
+  const translation = getClaimTranslation(claim, wanted);
+  if (!translation) {
+    return { ...source, isFallback: true };
+  }
+  return {
+    text: translation.text,
+    explanation: translation.explanation,
+    language: wanted,
+    status: translation.status || null,
+    isFallback: false
+  };
+}
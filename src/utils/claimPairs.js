@@ -0,0 +1,120 @@
+/**
+ * CLAIM PAIRS
+ * "Which is AI?" rounds: two claims on the same topic, one AI-generated and one
+ * expert-sourced, shown side by side
+ *
+ * Instead of a verdict, students pick the claim they think is AI-generated and
+ * stake confidence on the pick, scored like a verdict (see calculatePoints).
+ * Pairs come from claims sharing a pairId (see claims.js); the rest of the pool
+ * is paired automatically within the same subject and unit.
+ *
+ * A pair round is a claim-like object with type 'pair':
+ * { id, type, text, explanation, claims: [A, B], aiSide: 'A' | 'B', pairId,
+ *   subject, unit, difficulty, gradeLevel, errorPattern }
+ */
+
+/** Sides of a pair round, in display order */
+export const PAIR_SIDES = ['A', 'B'];
+
+const isAi = (claim) => claim?.source === 'ai-generated';
+const isExpert = (claim) => claim?.source === 'expert-sourced';
+
+/**
+ * Whether a claim is a "which is AI?" pair round
+ * @param {Object} claim - Claim
+ * @returns {boolean}
+ */
+export function isPairClaim(claim) {
+  return claim?.type === 'pair';
+}
+
+/**
+ * IDs of the claims a game's rounds showed (a pair round stands for its two claims)
+ * @param {Array<Object>} rounds - Game claims, verdict or pair rounds
+ * @returns {Array<string>} Claim IDs
+ */
+export function getPlayedClaimIds(rounds = []) {
+  return rounds.flatMap(round => isPairClaim(round) ? round.claims.map(c => c.id) : [round.id]);
+}
+
+/**
+ * Pair AI-generated claims with expert-sourced claims on the same topic
+ * Annotated pairs (shared pairId) come first, then the remaining claims are
+ * matched within the same subject and unit, preferring the same difficulty.
+ * Each claim is used at most once; claims without a verdict answer are skipped.
+ * @param {Array<Object>} claims - Candidate claims, in order of preference
+ * @returns {Array<{ai: Object, expert: Object, pairId: string|null}>} Pairs
+ */
+export function findClaimPairs(claims = []) {
+  const candidates = claims.filter(c => c?.id && c.answer && (isAi(c) || isExpert(c)));
+  const usedIds = new Set();
+  const pairs = [];
+
+  // Annotated pairs
+  const byPairId = new Map();
+  candidates.filter(c => c.pairId).forEach(c => {
+    byPairId.set(c.pairId, [...(byPairId.get(c.pairId) || []), c]);
+  });
+  byPairId.forEach((members, pairId) => {
+    const ai = members.find(isAi);
+    const expert = members.find(isExpert);
+    if (members.length !== 2 || !ai || !expert || ai.subject !== expert.subject) return;
+    usedIds.add(ai.id);
+    usedIds.add(expert.id);
+    pairs.push({ ai, expert, pairId });
+  });
+
+  // Topic pairs: same subject and unit
+  const experts = candidates.filter(c => isExpert(c) && !usedIds.has(c.id));
+  candidates.filter(c => isAi(c) && !usedIds.has(c.id)).forEach(ai => {
+    const available = experts.filter(c => !usedIds.has(c.id) && c.subject === ai.subject && (c.unit || null) === (ai.unit || null));
+    const expert = available.find(c => c.difficulty === ai.difficulty) || available[0];
+    if (!expert) return;
+    usedIds.add(ai.id);
+    usedIds.add(expert.id);
+    pairs.push({ ai, expert, pairId: null });
+  });
+
+  return pairs;
+}
+
+/**
+ * Build a pair round from an AI-generated and an expert-sourced claim
+ * @param {Object} ai - AI-generated claim
+ * @param {Object} expert - Expert-sourced claim
+ * @param {Function} [random=Math.random] - Random source deciding which side the AI claim is on
+ * @returns {Object} Pair round (see module header)
+ */
+export function createPairRound(ai, expert, random = Math.random) {
+  const aiSide = random() < 0.5 ? 'A' : 'B';
+  const [a, b] = aiSide === 'A' ? [ai, expert] : [expert, ai];
+  const difficultyOrder = { easy: 0, medium: 1, hard: 2 };
+  const difficulty = (difficultyOrder[a.difficulty] ?? 1) >= (difficultyOrder[b.difficulty] ?? 1)
+    ? a.difficulty
+    : b.difficulty;
+
+  return {
+    id: `pair-${a.id}-${b.id}`,
+    type: 'pair',
+    text: `Which is AI-generated? A: "${a.text}" B: "${b.text}"`,
+    explanation: `Claim ${aiSide} is AI-generated. ${ai.explanation || ''}`.trim(),
+    claims: [a, b],
+    aiSide,
+    pairId: ai.pairId || null,
+    subject: ai.subject,
+    ...(ai.unit && { unit: ai.unit }),
+    difficulty,
+    gradeLevel: ai.gradeLevel || expert.gradeLevel || 'middle',
+    errorPattern: ai.errorPattern || null
+  };
+}
+
+/**
+ * Credit for a pick in a pair round
+ * @param {'A'|'B'} pick - Side picked as AI-generated
+ * @param {Object} pairRound - Pair round
+ * @returns {number} 1 if the pick is the AI claim, otherwise 0
+ */
+export function getPairCredit(pick, pairRound) {
+  return isPairClaim(pairRound) && pick === pairRound.aiSide ? 1 : 0;
+}
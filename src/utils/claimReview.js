@@ -0,0 +1,236 @@
+/**
+ * CLAIM REVIEW
+ * Converts between our claims and schema.org ClaimReview JSON-LD, the format
+ * fact-checkers publish their checks in (https://schema.org/ClaimReview)
+ *
+ * Import maps the review's rating to TRUE/FALSE/MIXED, itemReviewed (or
+ * claimReviewed) to text, url to citation, the rating explanation to explanation
+ * and datePublished to lastVerified. A fact-check says nothing about our subject
+ * or difficulty, so those get placeholders, and every field that needs a person
+ * to fill in or confirm is listed in the claim's needsReview array.
+ *
+ * Export emits one ClaimReview per claim, wrapped in a JSON-LD @graph.
+ */
+
+const CLAIM_REVIEW_TYPE = 'ClaimReview';
+
+// Subject and difficulty given to imported claims until someone picks real ones
+const PLACEHOLDER_SUBJECT = 'media-literacy';
+const PLACEHOLDER_DIFFICULTY = 'medium';
+
+// Fact-checkers' rating names (lowercased, punctuation stripped) and our answers
+const RATING_ANSWERS = {
+  true: 'TRUE',
+  correct: 'TRUE',
+  accurate: 'TRUE',
+  verified: 'TRUE',
+  false: 'FALSE',
+  incorrect: 'FALSE',
+  fake: 'FALSE',
+  'pants on fire': 'FALSE',
+  fabricated: 'FALSE',
+  'four pinocchios': 'FALSE',
+  'mostly true': 'MIXED',
+  'half true': 'MIXED',
+  'mostly false': 'MIXED',
+  'partly true': 'MIXED',
+  'partly false': 'MIXED',
+  mixture: 'MIXED',
+  mixed: 'MIXED',
+  misleading: 'MIXED',
+  'missing context': 'MIXED',
+  'needs context': 'MIXED',
+  exaggerated: 'MIXED',
+  'out of context': 'MIXED'
+};
+
+// Ratings we export, on schema.org's default 1-5 scale
+const EXPORT_RATINGS = {
+  TRUE: { ratingValue: 5, alternateName: 'True' },
+  MIXED: { ratingValue: 3, alternateName: 'Mixed' },
+  FALSE: { ratingValue: 1, alternateName: 'False' }
+};
+
+const hasType = (node, type) => [].concat(node?.['@type'] || []).includes(type);
+
+const firstText = (...values) => values.find(v => typeof v === 'string' && v.trim())?.trim() || '';
+
+function slugify(value) {
+  return String(value)
+    .toLowerCase()
+    .replace(/^https?:\/\/(www\.)?/, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 50)
+    .replace(/-+$/, '');
+}
+
+/**
+ * Map a ClaimReview rating to a claim answer
+ * The rating's name is checked first; numeric ratings fall back to their
+ * position between worstRating and bestRating (schema.org defaults 1 and 5).
+ * @param {Object} rating - reviewRating ({ alternateName, name, ratingValue, bestRating, worstRating })
+ * @returns {'TRUE'|'FALSE'|'MIXED'|null} null when the rating can't be read
+ */
+export function mapRatingToAnswer(rating) {
+  if (!rating || typeof rating !== 'object') return null;
+
+  const name = firstText(rating.alternateName, rating.name)
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (RATING_ANSWERS[name]) return RATING_ANSWERS[name];
+
+  const value = Number(rating.ratingValue);
+  const best = Number(rating.bestRating ?? 5);
+  const worst = Number(rating.worstRating ?? 1);
+  if (rating.ratingValue === undefined || ![value, best, worst].every(Number.isFinite) || best === worst) {
+    return null;
+  }
+  const position = (value - worst) / (best - worst);
+  if (position >= 0.75) return 'TRUE';
+  if (position <= 0.25) return 'FALSE';
+  return 'MIXED';
+}
+
+/**
+ * Find the ClaimReview nodes in a parsed JSON-LD document
+ * Accepts a single ClaimReview, an array of them, or a document with @graph.
+ * @param {*} json - Parsed JSON
+ * @returns {Array<Object>} ClaimReview nodes, in document order
+ */
+export function findClaimReviews(json) {
+  if (Array.isArray(json)) return json.flatMap(findClaimReviews);
+  if (!json || typeof json !== 'object') return [];
+  if (Array.isArray(json['@graph'])) return findClaimReviews(json['@graph']);
+  return hasType(json, CLAIM_REVIEW_TYPE) ? [json] : [];
+}
+
+/**
+ * Convert a ClaimReview into a claim for the CMS
+ * @param {Object} review - ClaimReview node
+ * @param {Object} [options]
+ * @param {string} [options.id] - Claim id (defaults to one derived from the review url or text)
+ * @returns {{claim: Object|null, error: string|null}} claim.needsReview lists fields to check
+ */
+export function claimReviewToClaim(review, { id } = {}) {
+  const item = review?.itemReviewed && typeof review.itemReviewed === 'object' ? review.itemReviewed : {};
+  const text = firstText(item.text, item.name, review?.claimReviewed);
+  if (!text) return { claim: null, error: 'No claim text (itemReviewed or claimReviewed)' };
+
+  const answer = mapRatingToAnswer(review.reviewRating);
+  const explanation = firstText(review.reviewRating?.ratingExplanation, review.reviewBody, review.description);
+  const citation = firstText(review.url) || null;
+  const published = firstText(review.datePublished).slice(0, 10);
+  const reviewer = firstText(review.author?.name, typeof review.author === 'string' ? review.author : '');
+
+  // Claims must be 10-500 characters and explained (see CLAIM_SCHEMA)
+  const needsReview = [];
+  if (text.length < 10 || text.length > 500) needsReview.push('text');
+  if (!answer) needsReview.push('answer');
+  needsReview.push('subject', 'difficulty');
+  if (explanation.length < 10) needsReview.push('explanation');
+
+  return {
+    claim: {
+      id: id || `factcheck-${slugify(citation || text)}`,
+      text,
+      answer,
+      source: 'expert-sourced',
+      explanation,
+      errorPattern: null,
+      subject: PLACEHOLDER_SUBJECT,
+      difficulty: PLACEHOLDER_DIFFICULTY,
+      citation,
+      ...(/^\d{4}-\d{2}-\d{2}$/.test(published) && { lastVerified: published }),
+      ...(reviewer && { reviewedBy: [reviewer] }),
+      needsReview
+    },
+    error: null
+  };
+}
+
+/**
+ * Import every ClaimReview in a parsed JSON-LD document
+ * @param {*} json - Parsed JSON (single review, array, or @graph document)
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.existing] - Claims already in the CMS; reviews with the same
+ *   citation or text are skipped, and new ids never collide with theirs
+ * @returns {{claims: Array<Object>, skipped: Array<{index: number, reason: string}>}}
+ */
+export function importClaimReviews(json, { existing = [] } = {}) {
+  const reviews = findClaimReviews(json);
+  const usedIds = new Set(existing.map(c => c.id));
+  const seenCitations = new Set(existing.map(c => c.citation).filter(Boolean));
+  const seenTexts = new Set(existing.map(c => c.text?.trim().toLowerCase()).filter(Boolean));
+  const claims = [];
+  const skipped = [];
+
+  if (reviews.length === 0) {
+    return { claims, skipped: [{ index: 0, reason: 'No ClaimReview found' }] };
+  }
+
+  reviews.forEach((review, index) => {
+    const { claim, error } = claimReviewToClaim(review);
+    if (error) {
+      skipped.push({ index, reason: error });
+      return;
+    }
+    if ((claim.citation && seenCitations.has(claim.citation)) || seenTexts.has(claim.text.toLowerCase())) {
+      skipped.push({ index, reason: 'Already imported' });
+      return;
+    }
+
+    let claimId = claim.id;
+    for (let n = 2; usedIds.has(claimId); n++) claimId = `${claim.id}-${n}`;
+    usedIds.add(claimId);
+    if (claim.citation) seenCitations.add(claim.citation);
+    seenTexts.add(claim.text.toLowerCase());
+    claims.push({ ...claim, id: claimId });
+  });
+
+  return { claims, skipped };
+}
+
+/**
+ * Convert a claim into a ClaimReview
+ * @param {Object} claim - Claim
+ * @param {Object} [options]
+ * @param {string} [options.publisher='Truth Hunters'] - Organization credited as the reviewer
+ * @returns {Object} ClaimReview node (without @context)
+ */
+export function claimToClaimReview(claim, { publisher = 'Truth Hunters' } = {}) {
+  const rating = EXPORT_RATINGS[claim.answer];
+
+  return {
+    '@type': CLAIM_REVIEW_TYPE,
+    ...(claim.citation && { url: claim.citation }),
+    claimReviewed: claim.text,
+    itemReviewed: { '@type': 'Claim', name: claim.text },
+    author: { '@type': 'Organization', name: publisher },
+    ...(claim.lastVerified && { datePublished: claim.lastVerified }),
+    ...(rating && {
+      reviewRating: {
+        '@type': 'Rating',
+        ...rating,
+        bestRating: 5,
+        worstRating: 1,
+        ratingExplanation: claim.explanation
+      }
+    })
+  };
+}
+
+/**
+ * Export claims as a ClaimReview JSON-LD document
+ * @param {Array<Object>} claims - Claims
+ * @param {Object} [options] - Passed to claimToClaimReview
+ * @returns {Object} { '@context': 'https://schema.org', '@graph': [ClaimReview, ...] }
+ */
+export function exportClaimReviews(claims, options) {
+  return {
+    '@context': 'https://schema.org',
+    '@graph': (claims || []).map(claim => claimToClaimReview(claim, options))
+  };
+}
@@ -0,0 +1,64 @@
+/**
+ * CLAIMS INDEX
+ * Builds the manifest (src/data/claimsIndex.json) describing each subject chunk
+ *
+ * The index is small enough for the main bundle: claim IDs plus difficulty, grade
+ * level and answer counts per subject. The loader uses it to fetch only the chunks
+ * a game needs, and the hash tells it when a chunk cached in IndexedDB is stale.
+ * Regenerate with `npm run claims:index`; a test fails if it is out of date.
+ */
+
+export const CLAIMS_INDEX_VERSION = 1;
+
+/**
+ * FNV-1a hash of a chunk's contents
+ * @param {Array<Object>} claims - Chunk claims
+ * @returns {string} 8-digit hex hash
+ */
+export function hashClaims(claims) {
+  const text = JSON.stringify(claims);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, '0');
+}
+
+function countBy(claims, getKey, keys) {
+  const counts = Object.fromEntries(keys.map(key => [key, 0]));
+  claims.forEach(claim => {
+    const key = getKey(claim);
+    counts[key] = (counts[key] || 0) + 1;
+  });
+  return counts;
+}
+
+/**
+ * Build the index from subject chunks
+ * @param {Object} chunks - { [chunkName]: Array<claim> }, one subject per chunk
+ * @returns {{version: number, subjects: Object}} Index keyed by subject:
+ *   { chunk, hash, count, ids, difficulty, gradeLevel, answers }
+ */
+export function buildClaimsIndex(chunks) {
+  const subjects = {};
+  Object.keys(chunks).sort().forEach(chunk => {
+    const claims = chunks[chunk];
+    const chunkSubjects = [...new Set(claims.map(c => c.subject))];
+    if (chunkSubjects.length !== 1) {
+      throw new Error(`Claims chunk "${chunk}" must contain exactly one subject, found: ${chunkSubjects.join(', ') || 'none'}`);
+    }
+
+    subjects[chunkSubjects[0]] = {
+      chunk,
+      hash: hashClaims(claims),
+      count: claims.length,
+      ids: claims.map(c => c.id),
+      difficulty: countBy(claims, c => c.difficulty, ['easy', 'medium', 'hard']),
+      gradeLevel: countBy(claims, c => c.gradeLevel || 'middle', ['elementary', 'middle', 'high', 'college']),
+      answers: countBy(claims, c => c.answer, ['TRUE', 'FALSE', 'MIXED'])
+    };
+  });
+
+  return { version: CLAIMS_INDEX_VERSION, subjects };
+}
@@ -0,0 +1,104 @@
+/**
+ * ERROR SPANS
+ * Where in a claim's text its error lives, and the "spot the tell" bonus
+ *
+ * claim.errorSpans marks the tells as character ranges into claim.text:
+ *   errorSpans: [{ start: 62, end: 81, pattern: 'confident-specificity' }]
+ * end is exclusive and pattern is an AI_ERROR_PATTERNS id. Spans refer to the
+ * English text, so spotting the tell is only offered when the claim is shown in English.
+ */
+
+import { AI_ERROR_PATTERNS } from '../data/errorPatterns';
+import { SPOT_THE_TELL } from '../data/constants';
+
+/**
+ * Split text into words with their character ranges
+ * @param {string} text - Claim text
+ * @returns {Array<{text: string, start: number, end: number}>}
+ */
+export function tokenizeWords(text) {
+  return [...(text || '').matchAll(/\S+/g)].map(match => ({
+    text: match[0],
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+}
+
+/**
+ * Split text into plain and annotated segments for highlighting
+ * @param {string} text - Claim text
+ * @param {Array} spans - Error spans (may be unsorted)
+ * @returns {Array<{text: string, span: Object|null}>} Segments in text order
+ */
+export function splitBySpans(text, spans = []) {
+  const sorted = [...spans].sort((a, b) => a.start - b.start);
+  const segments = [];
+  let cursor = 0;
+  sorted.forEach(span => {
+    if (span.start < cursor) return; // Overlapping spans: keep the first
+    if (span.start > cursor) segments.push({ text: text.slice(cursor, span.start), span: null });
+    segments.push({ text: text.slice(span.start, span.end), span });
+    cursor = span.end;
+  });
+  if (cursor < text.length) segments.push({ text: text.slice(cursor), span: null });
+  return segments;
+}
+
+/**
+ * The error span a tapped range lands on
+ * @param {Array} spans - Error spans
+ * @param {{start: number, end: number}|null} tap - Tapped word's range
+ * @returns {Object|null} The span, or null for a miss
+ */
+export function findTell(spans = [], tap) {
+  if (!tap) return null;
+  return spans.find(span => tap.start < span.end && tap.end > span.start) || null;
+}
+
+/**
+ * Bonus points for tapping a tell
+ * @param {Array} spans - Error spans
+ * @param {{start: number, end: number}|null} tap - Tapped word's range
+ * @returns {number} SPOT_THE_TELL.BONUS_POINTS on a hit, otherwise 0
+ */
+export function getTellBonus(spans, tap) {
+  return findTell(spans, tap) ? SPOT_THE_TELL.BONUS_POINTS : 0;
+}
+
+/**
+ * A claim's tells with their phrases and error patterns, for display
+ * @param {Object} claim - Claim
+ * @returns {Array<{phrase: string, start: number, end: number, pattern: Object|null}>}
+ */
+export function getTells(claim) {
+  return (claim?.errorSpans || []).map(span => ({
+    phrase: claim.text.slice(span.start, span.end),
+    start: span.start,
+    end: span.end,
+    pattern: AI_ERROR_PATTERNS.find(p => p.id === span.pattern) || null
+  }));
+}
+
+/**
+ * Problems with a claim's error spans
+ * @param {string} text - Claim text
+ * @param {Array} spans - Error spans
+ * @returns {Array<string>} Problems (empty when valid)
+ */
+export function getErrorSpanProblems(text, spans) {
+  if (!Array.isArray(spans)) return ['errorSpans must be an array'];
+  const problems = [];
+  const sorted = [...spans].sort((a, b) => a.start - b.start);
+  sorted.forEach((span, i) => {
+    const { start, end, pattern } = span || {};
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end <= start || end > (text || '').length) {
+      problems.push(`span ${start}-${end} is outside the text`);
+    } else if (i > 0 && start < sorted[i - 1].end) {
+      problems.push(`span ${start}-${end} overlaps another span`);
+    }
+    if (!AI_ERROR_PATTERNS.some(p => p.id === pattern)) {
+      problems.push(`span ${start}-${end} has unknown pattern ${pattern}`);
+    }
+  });
+  return problems;
+}
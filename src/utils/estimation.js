@@ -0,0 +1,170 @@
+/**
+ * ESTIMATION
+ * Numeric estimation questions answered with a confidence interval
+ *
+ * Instead of a verdict, students state a low and high bound they are 80% or 90%
+ * sure contains the true value - the classic calibration exercise from
+ * Lichtenstein et al. Ranges are scored with the interval score (Gneiting &
+ * Raftery, 2007), and calibration is the hit rate per stated level: 90% ranges
+ * should catch the answer about 9 times in 10.
+ *
+ * Estimation questions are claims with type 'estimate' and
+ * estimate: { value, unit } instead of a TRUE/FALSE/MIXED answer
+ * (see data/estimationQuestions.js).
+ */
+
+import { ESTIMATION } from '../data/constants';
+
+/**
+ * Whether a claim is a numeric estimation question
+ * @param {Object} claim - Claim
+ * @returns {boolean}
+ */
+export function isEstimateClaim(claim) {
+  return claim?.type === 'estimate';
+}
+
+/**
+ * Parse a typed bound, allowing thousands separators ("8,849")
+ * @param {string|number} input - Typed value
+ * @returns {number|null} The number, or null if it isn't one
+ */
+export function parseEstimateInput(input) {
+  if (typeof input === 'number') return isFinite(input) ? input : null;
+  const cleaned = String(input ?? '').replace(/[,\s]/g, '');
+  if (!/^-?\d*\.?\d+$/.test(cleaned)) return null;
+  return Number(cleaned);
+}
+
+/**
+ * Check a stated range before scoring it
+ * @param {{low: number, high: number, level: number}} interval - Stated range and confidence level
+ * @returns {string|null} Problem, or null when the range can be scored
+ */
+export function getIntervalProblem(interval) {
+  const { low, high, level } = interval || {};
+  if (!Number.isFinite(low) || !Number.isFinite(high)) return 'Enter a low and a high number';
+  if (low > high) return 'The low end must not be above the high end';
+  if (!ESTIMATION.LEVELS.includes(level)) return `Confidence must be one of ${ESTIMATION.LEVELS.map(formatLevel).join(', ')}`;
+  return null;
+}
+
+/**
+ * Whether a range contains the true value (bounds included)
+ * @param {{low: number, high: number}} interval - Stated range
+ * @param {number} value - True value
+ * @returns {boolean}
+ */
+export function isIntervalHit(interval, value) {
+  return !!interval && value >= interval.low && value <= interval.high;
+}
+
+/**
+ * Interval score relative to the size of the answer (lower is better, 0 is perfect)
+ * Width plus 2/(1 - level) per unit the answer falls outside, divided by |value|
+ * so questions on different scales score alike.
+ * @param {{low: number, high: number, level: number}} interval - Stated range and confidence level
+ * @param {number} value - True value
+ * @returns {number} Relative interval score
+ */
+export function calculateIntervalScore(interval, value) {
+  const { low, high, level } = interval;
+  const alpha = 1 - level;
+  const miss = value < low ? low - value : value > high ? value - high : 0;
+  const score = (high - low) + (2 / alpha) * miss;
+  return score / Math.max(Math.abs(value), Number.EPSILON);
+}
+
+/**
+ * Create empty per-level hit buckets
+ * @returns {Object} { '0.8': { total, hits }, '0.9': {...} }
+ */
+export function createIntervalBuckets() {
+  return Object.fromEntries(ESTIMATION.LEVELS.map(level => [String(level), { total: 0, hits: 0 }]));
+}
+
+/**
+ * Add estimation rounds to per-level hit buckets
+ * Forfeited rounds and verdict rounds are skipped
+ * @param {Object} buckets - Existing buckets (not mutated)
+ * @param {Array} results - Round results with { estimate: { low, high, level }, correct, forfeited }
+ * @returns {Object} New buckets including the results
+ */
+export function addToIntervalBuckets(buckets, results = []) {
+  const updated = createIntervalBuckets();
+  Object.entries(buckets || {}).forEach(([level, bucket]) => {
+    if (updated[level]) updated[level] = { total: bucket.total || 0, hits: bucket.hits || 0 };
+  });
+
+  results.forEach(result => {
+    if (!result || result.forfeited || !result.estimate) return;
+    const bucket = updated[String(result.estimate.level)];
+    if (!bucket) return;
+    bucket.total++;
+    if (result.correct) bucket.hits++;
+  });
+
+  return updated;
+}
+
+/**
+ * Hit rate per stated level
+ * @param {Object} buckets - Per-level { total, hits }
+ * @returns {Array<Object>} [{ level, total, hits, hitRate, verdict }] for levels with ranges,
+ *   verdict from describeHitRate
+ */
+export function calculateIntervalCalibration(buckets) {
+  return Object.entries(buckets || {})
+    .map(([level, bucket]) => ({ level: Number(level), total: bucket?.total || 0, hits: bucket?.hits || 0 }))
+    .filter(entry => ESTIMATION.LEVELS.includes(entry.level) && entry.total > 0)
+    .map(entry => {
+      const hitRate = entry.hits / entry.total;
+      return { ...entry, hitRate, verdict: describeHitRate(hitRate, entry.level, entry.total) };
+    })
+    .sort((a, b) => a.level - b.level);
+}
+
+/**
+ * Calculate interval calibration directly from round results
+ * @param {Array} results - Round results
+ * @returns {Array<Object>} See calculateIntervalCalibration
+ */
+export function calculateIntervalCalibrationFromResults(results) {
+  return calculateIntervalCalibration(addToIntervalBuckets(null, results));
+}
+
+/**
+ * Classify a hit rate against its stated level
+ * Too few ranges can't say much, so they are reported as 'too-few'.
+ * @param {number} hitRate - Share of ranges that caught the answer
+ * @param {number} level - Stated confidence level
+ * @param {number} total - Number of ranges
+ * @returns {'overconfident'|'underconfident'|'calibrated'|'too-few'}
+ */
+export function describeHitRate(hitRate, level, total) {
+  if (total < ESTIMATION.MIN_CALIBRATION_ROUNDS) return 'too-few';
+  if (hitRate < level - ESTIMATION.HIT_RATE_TOLERANCE) return 'overconfident';
+  if (hitRate > level + ESTIMATION.HIT_RATE_TOLERANCE) return 'underconfident';
+  return 'calibrated';
+}
+
+/**
+ * Format a confidence level for display
+ * @param {number} level - e.g. 0.9
+ * @returns {string} e.g. "90%"
+ */
+export function formatLevel(level) {
+  return `${Math.round(level * 100)}%`;
+}
+
+/**
+ * Format an estimate value with its unit
+ * @param {number} value - Value
+ * @param {string} unit - Unit (e.g. 'm', 'years')
+ * @returns {string} e.g. "8,849 m" or "71%"
+ */
+export function formatEstimate(value, unit = '') {
+  const number = Number.isFinite(value) ? value.toLocaleString('en-US', { maximumFractionDigits: 2 }) : '?';
+  if (!unit) return number;
+  return unit === '%' ? `${number}%` : `${number} ${unit}`;
+}
@@ -4,76 +4,142 @@
  */
 
 import { loadClaimsDatabase, loadFilteredClaims } from '../data/claimsLoader';
-import { SUBJECT_HINTS } from '../data/constants';
-import { shuffleArray } from './generic';
+import { RATINGS, SELECTION_BALANCE, PATTERN_PRACTICE } from '../data/constants';
+import { resolveSubjectId, getSubjectHint, getSubjectsForStandards, claimMatchesStandards } from '../data/subjects';
+import { shuffleArray, createSeededRandom } from './generic';
+import { bandClaimsByTarget, getClaimRating, getTargetClaimRating } from './ratings';
+import {
+  resolveSelectionBalance,
+  getBalanceTargets,
+  createBalanceTally,
+  addToBalanceTally,
+  getBalancePenalty
+} from './selectionBalance';
 import { logger } from './logger';
+import { getBaseLanguage } from './claimLocale';
+import { findClaimPairs, createPairRound } from './claimPairs';
+import i18n from '../i18n/config';
+
+/**
+ * Load the claims a game can draw from: grade level, subjects, standards, plus any extra claims
+ * @param {Array<string>} subjects - Optional array of subjects to include (empty = all)
+ * @param {Array<Object>} additionalClaims - Extra claims to add to the pool (e.g., student-contributed)
+ * @param {Object} classSettings - Optional class settings { gradeLevel, standards }
+ * @param {boolean} builtInOnly - Leave out claim packs and additionalClaims, which vary by device
+ * @returns {Promise<Array>} Candidate claims (a new array, safe to sort)
+ */
+async function loadClaimPool(subjects, additionalClaims, classSettings, builtInOnly = false) {
+  const standards = classSettings?.standards || [];
+  // Without chosen subjects, standards narrow which subject chunks are downloaded
+  const subjectIds = subjects?.length > 0
+    ? subjects.map(resolveSubjectId)
+    : standards.length > 0 ? getSubjectsForStandards(standards) : [];
+
+  // Use loadFilteredClaims if gradeLevel or standards are specified, otherwise load full database
+  let basePool;
+  if (classSettings?.gradeLevel || standards.length > 0) {
+    const filters = {
+      gradeLevel: classSettings.gradeLevel || null,
+      subject: subjects?.length === 1 ? subjects[0] : null
+    };
+    if (standards.length > 0) filters.standards = standards;
+    basePool = await loadFilteredClaims(filters, { includePacks: !builtInOnly });
+  } else {
+    // Only downloads the chunks for the chosen subjects
+    const CLAIMS_DATABASE = await loadClaimsDatabase(subjectIds, { includePacks: !builtInOnly });
+    basePool = [...CLAIMS_DATABASE];
+  }
+
+  // Combine with any additional claims (e.g., student-contributed; these may use older subject names)
+  const extraClaims = builtInOnly ? [] : additionalClaims.filter(c => claimMatchesStandards(c, standards));
+  const combinedPool = [...basePool, ...extraClaims];
+
+  // Filter by subjects if specified
+  if (subjectIds.length > 0) {
+    return combinedPool.filter(c => subjectIds.includes(resolveSubjectId(c.subject)));
+  }
+  return combinedPool;
+}
 
 /**
  * Select claims based on difficulty, grade level, and optional subject filter
  * GUARANTEES no duplicate claims within a session
  * For solo players: prioritizes unseen claims until all have been seen
+ * Balances answers, sources and error patterns across the game (see utils/selectionBalance.js)
  *
  * NOW ASYNC: Claims database is lazy-loaded for code-splitting (375KB saved from main bundle)
  *
- * @param {string} difficulty - 'easy' | 'medium' | 'hard' | 'mixed'
+ * @param {string} difficulty - 'easy' | 'medium' | 'hard' | 'mixed' | 'adaptive'
  * @param {number} count - Number of claims to select
  * @param {Array<string>} subjects - Optional array of subjects to include (empty = all)
  * @param {Array<string>} previouslySeenIds - Claim IDs the player has already seen (for solo mode)
  * @param {Array<Object>} additionalClaims - Extra claims to add to the pool (e.g., student-contributed)
- * @param {Object} classSettings - Optional class settings { gradeLevel, classSeenIds }
+ * @param {Object} classSettings - Optional class settings { gradeLevel, classSeenIds, answerMix, aiSourceShare, maxPerErrorPattern }
+ * @param {Object} ratingContext - Adaptive mode only { playerRating, claimRatings, targetSuccess }
+ * @param {number|null} seed - Shuffle seed from a game code; the same seed and inputs give the same claims in the same order
+ *   (seeded games draw from built-in claims only and ignore classSettings, leaving out this device's claim packs and additionalClaims)
  * @returns {Promise<Array>} Selected claims (unique, no repeats, prioritizing unseen)
  */
-export async function selectClaimsByDifficulty(difficulty, count, subjects = [], previouslySeenIds = [], additionalClaims = [], classSettings = null) {
-  // Use loadFilteredClaims if gradeLevel is specified, otherwise load full database
-  let basePool;
-  if (classSettings?.gradeLevel) {
-    basePool = await loadFilteredClaims({
-      gradeLevel: classSettings.gradeLevel,
-      subject: subjects?.length === 1 ? subjects[0] : null
-    });
-  } else {
-    const CLAIMS_DATABASE = await loadClaimsDatabase();
-    basePool = [...CLAIMS_DATABASE];
-  }
+export async function selectClaimsByDifficulty(difficulty, count, subjects = [], previouslySeenIds = [], additionalClaims = [], classSettings = null, ratingContext = null, seed = null) {
+  // Seeded games shuffle with a reproducible PRNG, starting from a pool in a fixed order
+  // (plain code-unit comparison, since localeCompare can differ between browsers)
+  const seeded = seed !== null && seed !== undefined;
+  const random = seeded ? createSeededRandom(seed) : Math.random;
+  // Seeded games also ignore class settings: a code must give the same claims in any class,
+  // and on a device whose class settings failed to load
+  const settings = seeded ? null : classSettings;
+  const byId = (a, b) => (String(a.id) < String(b.id) ? -1 : String(a.id) > String(b.id) ? 1 : 0);
 
-  // Combine with any additional claims (e.g., student-contributed)
-  const combinedPool = [...basePool, ...additionalClaims];
-
-  // Filter by subjects if specified (and not already filtered by single subject)
-  let pool = combinedPool;
-  if (subjects && subjects.length > 0 && (!classSettings?.gradeLevel || subjects.length !== 1)) {
-    pool = combinedPool.filter(c => subjects.includes(c.subject));
-  }
+  const pool = await loadClaimPool(subjects, additionalClaims, settings, seeded);
+  if (seeded) pool.sort(byId);
 
   // Combine individual player seen IDs with class-level seen IDs for group play
-  const allSeenIds = new Set([
+  // Seeded games ignore history so every team gets the same claims
+  const allSeenIds = new Set(seeded ? [] : [
     ...previouslySeenIds,
-    ...(classSettings?.classSeenIds || [])
+    ...(settings?.classSeenIds || [])
   ]);
 
   // Track used claim IDs to prevent any duplicates within this game
   const usedIds = new Set();
   const selectedClaims = [];
 
-  // Helper to select unique claims, prioritizing unseen
+  // Answer / source / error pattern quotas for the whole game, shared by every selectUnique call
+  const balanceTargets = getBalanceTargets(count, resolveSelectionBalance(settings));
+  const balanceTally = createBalanceTally();
+
+  // Helper to select unique claims, prioritizing unseen and keeping the game balanced
   const selectUnique = (sourcePool, maxCount, preferUnseen = true) => {
     // Split source into unseen and seen
     const unseen = preferUnseen ? sourcePool.filter(c => !allSeenIds.has(c.id)) : [];
     const seen = preferUnseen ? sourcePool.filter(c => allSeenIds.has(c.id)) : sourcePool;
 
-    const shuffledUnseen = shuffleArray([...unseen]);
-    const shuffledSeen = shuffleArray([...seen]);
+    const shuffledUnseen = shuffleArray([...unseen], random);
+    const shuffledSeen = shuffleArray([...seen], random);
 
     // Prioritize unseen claims, then fill with seen if needed
-    const combined = [...shuffledUnseen, ...shuffledSeen];
+    const candidates = [...shuffledUnseen, ...shuffledSeen];
 
+    // Pick one claim at a time: lowest penalty wins, earlier candidates break ties
     const result = [];
-    for (const claim of combined) {
-      if (result.length >= maxCount) break;
-      if (!usedIds.has(claim.id)) {
-        usedIds.add(claim.id);
-        result.push(claim);
+    while (result.length < maxCount) {
+      let best = null;
+      let bestPenalty = Infinity;
+      for (const claim of candidates) {
+        if (usedIds.has(claim.id)) continue;
+        const penalty = getBalancePenalty(claim, balanceTally, balanceTargets) +
+          (preferUnseen && allSeenIds.has(claim.id) ? SELECTION_BALANCE.PENALTIES.seen : 0);
+        if (penalty < bestPenalty) {
+          best = claim;
+          bestPenalty = penalty;
+          if (penalty === 0) break;
+        }
       }
+      if (!best) break;
+
+      usedIds.add(best.id);
+      addToBalanceTally(balanceTally, best);
+      result.push(best);
     }
     return result;
   };
@@ -101,6 +167,20 @@ export async function selectClaimsByDifficulty(difficulty, count, subjects = [],
       const additional = selectUnique(remaining, count - selectedClaims.length);
       selectedClaims.push(...additional);
     }
+  } else if (difficulty === 'adaptive') {
+    // Adaptive: claims whose rating gives the player the target success rate
+    const claimRatings = ratingContext?.claimRatings || {};
+    const playerRating = ratingContext?.playerRating ?? RATINGS.INITIAL_RATING;
+    const targetRating = getTargetClaimRating(playerRating, ratingContext?.targetSuccess ?? RATINGS.DEFAULT_TARGET_SUCCESS);
+
+    // Closest band first; selectUnique shuffles within a band and prefers unseen claims
+    for (const band of bandClaimsByTarget(pool, targetRating, claimRatings)) {
+      if (selectedClaims.length >= count) break;
+      selectedClaims.push(...selectUnique(band, count - selectedClaims.length));
+    }
+
+    // Order: easiest first, like Progressive
+    selectedClaims.sort((a, b) => getClaimRating(a, claimRatings) - getClaimRating(b, claimRatings));
   } else {
     // Single difficulty mode
     const filtered = pool.filter(c => c.difficulty === difficulty);
@@ -115,12 +195,14 @@ export async function selectClaimsByDifficulty(difficulty, count, subjects = [],
     }
   }
 
-  // CRITICAL: If subject filter resulted in too few claims, fall back to full database
+  // CRITICAL: If subject or standards filters resulted in too few claims, fall back to full database
   // This prevents the game from breaking mid-way when there aren't enough claims
-  if (selectedClaims.length < count && subjects && subjects.length > 0) {
-    logger.warn(`Only ${selectedClaims.length} claims found for subjects [${subjects.join(', ')}], falling back to full database`);
-    const CLAIMS_DATABASE_FALLBACK = await loadClaimsDatabase();
-    const fullPool = [...CLAIMS_DATABASE_FALLBACK, ...additionalClaims].filter(c => !usedIds.has(c.id));
+  const standards = settings?.standards || [];
+  if (selectedClaims.length < count && (subjects?.length > 0 || standards.length > 0)) {
+    logger.warn(`Only ${selectedClaims.length} claims found for subjects [${(subjects || []).join(', ')}] and standards [${standards.join(', ')}], falling back to full database`);
+    const CLAIMS_DATABASE_FALLBACK = await loadClaimsDatabase([], { includePacks: !seeded });
+    const fullPool = [...CLAIMS_DATABASE_FALLBACK, ...(seeded ? [] : additionalClaims)].filter(c => !usedIds.has(c.id));
+    if (seeded) fullPool.sort(byId);
     const additional = selectUnique(fullPool, count - selectedClaims.length, false);
     selectedClaims.push(...additional);
   }
@@ -138,6 +220,178 @@ export async function selectClaimsByDifficulty(difficulty, count, subjects = [],
   return uniqueClaims.slice(0, count);
 }
 
+/**
+ * Select claims for an error-pattern practice game
+ * Pattern claims are shared out evenly between the chosen patterns; TRUE controls
+ * (PATTERN_PRACTICE.CONTROL_SHARE of the game) come from the same subjects and
+ * difficulties so the subject alone doesn't give the answer away.
+ * @param {Array<string>} patternIds - AI_ERROR_PATTERNS ids to practice
+ * @param {number} count - Number of claims to select
+ * @param {Array<string>} subjects - Optional array of subjects to include (empty = all)
+ * @param {Array<string>} previouslySeenIds - Claim IDs the player has already seen
+ * @param {Array<Object>} additionalClaims - Extra claims to add to the pool (e.g., student-contributed)
+ * @param {Object} classSettings - Optional class settings { gradeLevel, classSeenIds }
+ * @returns {Promise<Array>} Selected claims ordered easy to hard; fewer than count if the patterns have few claims
+ */
+export async function selectPatternPracticeClaims(patternIds, count, subjects = [], previouslySeenIds = [], additionalClaims = [], classSettings = null) {
+  const pool = await loadClaimPool(subjects, additionalClaims, classSettings);
+  const seenIds = new Set([...previouslySeenIds, ...(classSettings?.classSeenIds || [])]);
+  const unseenFirst = (claims) => [
+    ...shuffleArray(claims.filter(c => !seenIds.has(c.id))),
+    ...shuffleArray(claims.filter(c => seenIds.has(c.id)))
+  ];
+
+  // Pattern claims: round-robin over the chosen patterns
+  const patternTarget = count - Math.round(count * PATTERN_PRACTICE.CONTROL_SHARE);
+  const queues = patternIds.map(id => unseenFirst(pool.filter(c => c.errorPattern === id)));
+  const usedIds = new Set();
+  const patternClaims = [];
+  while (patternClaims.length < patternTarget && queues.some(queue => queue.length > 0)) {
+    for (const queue of queues) {
+      if (patternClaims.length >= patternTarget) break;
+      const claim = queue.shift();
+      if (claim && !usedIds.has(claim.id)) {
+        usedIds.add(claim.id);
+        patternClaims.push(claim);
+      }
+    }
+  }
+
+  // Controls: keep the same pattern/control ratio even if the patterns ran short
+  const controlTarget = Math.round(
+    (patternClaims.length * PATTERN_PRACTICE.CONTROL_SHARE) / (1 - PATTERN_PRACTICE.CONTROL_SHARE)
+  );
+  const controlPool = unseenFirst(pool.filter(c => c.answer === 'TRUE' && !c.errorPattern));
+  const controls = [];
+  for (let i = 0; i < controlTarget && patternClaims.length > 0; i++) {
+    const match = patternClaims[i % patternClaims.length];
+    const available = controlPool.filter(c => !usedIds.has(c.id));
+    const control =
+      available.find(c => c.subject === match.subject && c.difficulty === match.difficulty) ||
+      available.find(c => c.subject === match.subject) ||
+      available[0];
+    if (!control) break;
+    usedIds.add(control.id);
+    controls.push(control);
+  }
+
+  // Shuffle so controls aren't predictable, then order easy to hard like Progressive
+  const difficultyOrder = { easy: 0, medium: 1, hard: 2 };
+  return shuffleArray([...patternClaims, ...controls])
+    .sort((a, b) => (difficultyOrder[a.difficulty] ?? 1) - (difficultyOrder[b.difficulty] ?? 1));
+}
+
+/**
+ * Look up claims due for spaced-repetition review
+ * @param {Array<string>} dueIds - Due claim IDs, most overdue first
+ * @param {number} count - Maximum number of claims to return
+ * @param {Array<string>} subjects - Optional array of subjects to include (empty = all)
+ * @param {Array<Object>} additionalClaims - Extra claims to search (e.g., student-contributed)
+ * @returns {Promise<Array>} Due claims in dueIds order, marked with isReview
+ */
+export async function selectReviewClaims(dueIds, count, subjects = [], additionalClaims = []) {
+  if (!dueIds?.length || count <= 0) return [];
+
+  const CLAIMS_DATABASE = await loadClaimsDatabase(subjects);
+  const subjectIds = (subjects || []).map(resolveSubjectId);
+  const byId = new Map([...CLAIMS_DATABASE, ...additionalClaims].map(c => [c.id, c]));
+
+  return dueIds
+    .map(id => byId.get(id))
+    .filter(claim => claim && (!subjectIds.length || subjectIds.includes(resolveSubjectId(claim.subject))))
+    .slice(0, count)
+    .map(claim => ({ ...claim, isReview: true }));
+}
+
+/**
+ * Mix review claims into a freshly selected game, spread evenly across the rounds
+ * @param {Array<Object>} freshClaims - Claims from selectClaimsByDifficulty
+ * @param {Array<Object>} reviewClaims - Claims from selectReviewClaims
+ * @param {number} count - Number of rounds
+ * @returns {Array<Object>} Combined claims with no duplicates
+ */
+export function mixReviewClaims(freshClaims, reviewClaims, count) {
+  const reviewIds = new Set(reviewClaims.map(c => c.id));
+  const fresh = freshClaims.filter(c => !reviewIds.has(c.id));
+  const total = Math.min(count, fresh.length + reviewClaims.length);
+  const reviewCount = Math.min(reviewClaims.length, total);
+
+  // Review claims go at evenly spaced rounds; fresh claims keep their order around them
+  const reviewSlots = new Set(
+    Array.from({ length: reviewCount }, (_, i) => Math.floor(((i + 0.5) * total) / reviewCount))
+  );
+
+  const mixed = [];
+  let nextReview = 0;
+  let nextFresh = 0;
+  for (let slot = 0; slot < total; slot++) {
+    if (reviewSlots.has(slot) && nextReview < reviewCount) {
+      mixed.push(reviewClaims[nextReview++]);
+    } else if (nextFresh < fresh.length) {
+      mixed.push(fresh[nextFresh++]);
+    } else {
+      mixed.push(reviewClaims[nextReview++]);
+    }
+  }
+  return mixed;
+}
+
+/**
+ * Select questions for an estimation game
+ * Questions from the chosen subjects come first (all subjects when none are chosen
+ * or they have too few questions), unseen before seen, ordered easy to hard.
+ * @param {number} count - Number of questions to select
+ * @param {Array<string>} subjects - Optional array of subjects to prefer (empty = all)
+ * @param {Array<string>} previouslySeenIds - Question IDs the player has already seen
+ * @returns {Promise<Array>} Selected estimation questions (see data/estimationQuestions.js)
+ */
+export async function selectEstimationQuestions(count, subjects = [], previouslySeenIds = []) {
+  const { ESTIMATION_QUESTIONS } = await import('../data/estimationQuestions');
+  const subjectIds = (subjects || []).map(resolveSubjectId);
+  const seenIds = new Set(previouslySeenIds);
+  const unseenFirst = (questions) => [
+    ...shuffleArray(questions.filter(q => !seenIds.has(q.id))),
+    ...shuffleArray(questions.filter(q => seenIds.has(q.id)))
+  ];
+
+  const inSubjects = ESTIMATION_QUESTIONS.filter(q => !subjectIds.length || subjectIds.includes(q.subject));
+  const others = ESTIMATION_QUESTIONS.filter(q => !inSubjects.includes(q));
+  const difficultyOrder = { easy: 0, medium: 1, hard: 2 };
+  return [...unseenFirst(inSubjects), ...unseenFirst(others)]
+    .slice(0, count)
+    .sort((a, b) => (difficultyOrder[a.difficulty] ?? 1) - (difficultyOrder[b.difficulty] ?? 1));
+}
+
+/**
+ * Select "which is AI?" pair rounds (see utils/claimPairs.js)
+ * Annotated pairs are preferred, then claims paired by subject and unit.
+ * A pair counts as seen when the round or both of its claims have been seen;
+ * unseen pairs come first, ordered easy to hard.
+ * @param {number} count - Number of rounds to select
+ * @param {Array<string>} subjects - Optional array of subjects to include (empty = all)
+ * @param {Array<string>} previouslySeenIds - Round and claim IDs the player has already seen
+ * @param {Array<Object>} additionalClaims - Extra claims to add to the pool (e.g., student-contributed)
+ * @param {Object} classSettings - Optional class settings { gradeLevel, standards, classSeenIds }
+ * @returns {Promise<Array>} Pair rounds; fewer than count if the subjects have few pairs
+ */
+export async function selectPairRounds(count, subjects = [], previouslySeenIds = [], additionalClaims = [], classSettings = null) {
+  const pool = await loadClaimPool(subjects, additionalClaims, classSettings);
+  const seenIds = new Set([...previouslySeenIds, ...(classSettings?.classSeenIds || [])]);
+
+  // Shuffle first so automatic pairs vary from game to game
+  const rounds = findClaimPairs(shuffleArray(pool)).map(({ ai, expert }) => createPairRound(ai, expert));
+  const isSeen = (round) => seenIds.has(round.id) || round.claims.every(c => seenIds.has(c.id));
+  const annotatedFirst = (list) => [...list.filter(r => r.pairId), ...list.filter(r => !r.pairId)];
+
+  const difficultyOrder = { easy: 0, medium: 1, hard: 2 };
+  return [
+    ...annotatedFirst(rounds.filter(r => !isSeen(r))),
+    ...annotatedFirst(rounds.filter(isSeen))
+  ]
+    .slice(0, count)
+    .sort((a, b) => (difficultyOrder[a.difficulty] ?? 1) - (difficultyOrder[b.difficulty] ?? 1));
+}
+
 /**
  * Get count of unseen claims available for a player
  * NOW ASYNC: Claims database is lazy-loaded
@@ -148,12 +402,13 @@ export async function selectClaimsByDifficulty(difficulty, count, subjects = [],
  */
 export async function getUnseenClaimStats(previouslySeenIds = [], subjects = [], additionalClaims = []) {
   // Combine base database with any additional claims
-  const CLAIMS_DATABASE = await loadClaimsDatabase();
+  const CLAIMS_DATABASE = await loadClaimsDatabase(subjects);
   const combinedPool = [...CLAIMS_DATABASE, ...additionalClaims];
 
   let pool = combinedPool;
   if (subjects && subjects.length > 0) {
-    pool = combinedPool.filter(c => subjects.includes(c.subject));
+    const subjectIds = subjects.map(resolveSubjectId);
+    pool = combinedPool.filter(c => subjectIds.includes(resolveSubjectId(c.subject)));
   }
 
   const seenSet = new Set(previouslySeenIds);
@@ -184,31 +439,37 @@ export function formatPlayerName(firstName, lastInitial) {
  * Get hint content for a claim
  * @param {Object} claim - The claim object
  * @param {string} hintType - Type of hint requested
+ * @param {string} [language='en'] - Language to write the hint in
  * @returns {string} Hint content
  */
-export function getHintContent(claim, hintType) {
+export function getHintContent(claim, hintType, language = 'en') {
+  const t = i18n.getFixedT(getBaseLanguage(language));
   switch(hintType) {
     case 'source-hint':
       if (claim.source === 'student-contributed') {
-        return `✨ This claim was submitted by ${claim.contributor || 'a classmate'}`;
+        return t('claims.hints.sourceStudent', { name: claim.contributor || t('claims.hints.aClassmate') });
       }
       return claim.source === 'ai-generated'
-        ? '🤖 This claim was generated by AI'
-        : '📚 This claim comes from expert sources';
+        ? t('claims.hints.sourceAi')
+        : t('claims.hints.sourceExpert');
     case 'error-hint':
       if (claim.source === 'expert-sourced') {
-        return "✅ This claim doesn't contain typical AI errors";
-      }
-      if (claim.source === 'student-contributed' && claim.errorPattern) {
-        return `🎯 Look for: ${claim.errorPattern}`;
+        return t('claims.hints.noAiErrors');
       }
-      if (claim.source === 'student-contributed') {
-        return "🔍 Think critically - what might be wrong here?";
+      if (claim.source === 'student-contributed' && !claim.errorPattern) {
+        return t('claims.hints.thinkCritically');
       }
-      return `🎯 Look for: ${claim.errorPattern}`;
-    case 'subject-hint':
-      return SUBJECT_HINTS[claim.subject] || 'Think critically about this subject area!';
+      return t('claims.hints.lookFor', { pattern: claim.errorPattern });
+    case 'subject-hint': {
+      const hint = getSubjectHint(claim.subject, claim.unit, language);
+      if (hint) return hint;
+      // No hint in this language: show the English one, marked as such
+      const englishHint = getSubjectHint(claim.subject, claim.unit);
+      return englishHint
+        ? t('claims.hintFallback', { hint: englishHint })
+        : t('claims.hints.subjectDefault');
+    }
     default:
-      return 'No hint available.';
+      return t('claims.hints.none');
   }
 }
@@ -0,0 +1,130 @@
+/**
+ * GAME CODES
+ * Short shareable codes for reproducible games
+ *
+ * A code encodes everything claim selection depends on, so teams that enter the same
+ * code play identical claims in identical order (see selectClaimsByDifficulty's seed).
+ * Seeded selection ignores class settings (grade level, standards, answer mix), so a
+ * code gives the same game in any class.
+ *
+ * Layout (base32 characters, see GAME_CODE):
+ *   [0-1]  version (2 bits) | difficulty (3 bits) | rounds - 1 (5 bits)
+ *   [2-5]  shuffle seed (SEED_BITS)
+ *   [6-13] subject bitmask over ALL_SUBJECTS registry ids (0 = all subjects), a fixed
+ *          SUBJECT_CHARS wide so adding subjects doesn't change the layout
+ *   [14]   check character, catches any single mistyped character
+ */
+
+import { GAME_CODE } from '../data/constants';
+import { ALL_SUBJECTS, resolveSubjectId } from '../data/subjects';
+
+const BITS_PER_CHAR = 5;
+// Characters in a code, not counting the dash
+export const GAME_CODE_LENGTH = 2 + GAME_CODE.SEED_BITS / BITS_PER_CHAR + GAME_CODE.SUBJECT_CHARS + 1;
+
+// Most subjects a code can hold; ALL_SUBJECTS must stay within it
+export const GAME_CODE_MAX_SUBJECTS = GAME_CODE.SUBJECT_CHARS * BITS_PER_CHAR;
+
+// Write a number as a fixed number of base32 characters
+function toChars(value, length) {
+  let out = '';
+  for (let i = length - 1; i >= 0; i--) {
+    out += GAME_CODE.ALPHABET[Math.floor(value / 32 ** i) % 32];
+  }
+  return out;
+}
+
+function fromChars(chars) {
+  return [...chars].reduce((value, char) => value * 32 + GAME_CODE.ALPHABET.indexOf(char), 0);
+}
+
+// Odd weights are invertible mod 32, so any single mistyped character changes the check
+function checkChar(body) {
+  const sum = [...body].reduce((total, char, i) => total + GAME_CODE.ALPHABET.indexOf(char) * (2 * i + 1), 0);
+  return GAME_CODE.ALPHABET[sum % 32];
+}
+
+/**
+ * Pick a random seed for a new shareable game
+ * @param {() => number} random - Source of random numbers in [0, 1)
+ * @returns {number} Seed that fits in a game code
+ */
+export function createGameSeed(random = Math.random) {
+  return Math.floor(random() * 2 ** GAME_CODE.SEED_BITS);
+}
+
+/**
+ * Encode game settings as a shareable code
+ * @param {Object} settings - { seed, difficulty, subjects, rounds }
+ * @returns {string} Code such as "09KYZ-H00004004Y"
+ * @throws {Error} If the settings can't be shared with a code (e.g. adaptive difficulty)
+ */
+export function encodeGameCode({ seed, difficulty, subjects = [], rounds }) {
+  const difficultyIndex = GAME_CODE.DIFFICULTIES.indexOf(difficulty);
+  if (difficultyIndex === -1) {
+    throw new Error(`Game codes don't support ${difficulty} difficulty`);
+  }
+  if (!Number.isInteger(rounds) || rounds < 1 || rounds > GAME_CODE.MAX_ROUNDS) {
+    throw new Error(`Game codes need 1-${GAME_CODE.MAX_ROUNDS} rounds`);
+  }
+  if (!Number.isInteger(seed) || seed < 0 || seed >= 2 ** GAME_CODE.SEED_BITS) {
+    throw new Error('Invalid game seed');
+  }
+
+  const subjectMask = (subjects || []).reduce((mask, subject) => {
+    const index = ALL_SUBJECTS.indexOf(resolveSubjectId(subject));
+    return index === -1 ? mask : mask + 2 ** index;
+  }, 0);
+
+  const header = (GAME_CODE.VERSION * 8 + difficultyIndex) * 32 + (rounds - 1);
+  const body = toChars(header, 2) + toChars(seed, GAME_CODE.SEED_BITS / BITS_PER_CHAR) + toChars(subjectMask, GAME_CODE.SUBJECT_CHARS);
+  const code = body + checkChar(body);
+
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+}
+
+/**
+ * Parse a game code typed or pasted by a player
+ * Accepts lowercase, spaces, dashes, and the usual look-alikes (O for 0, I or L for 1)
+ * @param {string} input - Code entered by the player
+ * @returns {{isValid: boolean, settings: Object|null, code: string, error: string|null}}
+ *   settings: { seed, difficulty, subjects, rounds }; code: normalized display form
+ */
+export function parseGameCode(input) {
+  const chars = String(input || '')
+    .toUpperCase()
+    .replace(/[\s-]/g, '')
+    .replace(/O/g, '0')
+    .replace(/[IL]/g, '1');
+
+  const invalid = (error) => ({ isValid: false, settings: null, code: '', error });
+
+  if (chars.length !== GAME_CODE_LENGTH || [...chars].some(char => !GAME_CODE.ALPHABET.includes(char))) {
+    return invalid(`Game codes are ${GAME_CODE_LENGTH} letters and numbers`);
+  }
+
+  const body = chars.slice(0, -1);
+  if (checkChar(body) !== chars.slice(-1)) {
+    return invalid('That code has a typo - check it and try again');
+  }
+
+  const header = fromChars(body.slice(0, 2));
+  const version = Math.floor(header / 256);
+  const difficulty = GAME_CODE.DIFFICULTIES[Math.floor(header / 32) % 8];
+  const rounds = (header % 32) + 1;
+  if (version !== GAME_CODE.VERSION || !difficulty || rounds > GAME_CODE.MAX_ROUNDS) {
+    return invalid('This game code is from a different version of the game');
+  }
+
+  const seedChars = GAME_CODE.SEED_BITS / BITS_PER_CHAR;
+  const seed = fromChars(body.slice(2, 2 + seedChars));
+  const subjectMask = fromChars(body.slice(2 + seedChars));
+  const subjects = ALL_SUBJECTS.filter((_, i) => Math.floor(subjectMask / 2 ** i) % 2 === 1);
+
+  return {
+    isValid: true,
+    settings: { seed, difficulty, subjects, rounds },
+    code: `${chars.slice(0, 5)}-${chars.slice(5)}`,
+    error: null
+  };
+}
@@ -7,17 +7,35 @@
  * Shuffle array using Fisher-Yates algorithm
  * @template T
  * @param {T[]} array - Array to shuffle
+ * @param {() => number} random - Source of random numbers in [0, 1) (e.g. from createSeededRandom)
  * @returns {T[]} Shuffled array
  */
-export function shuffleArray(array) {
+export function shuffleArray(array, random = Math.random) {
   const shuffled = [...array];
   for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
   }
   return shuffled;
 }
 
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ * The same seed always produces the same sequence, so shuffles can be reproduced
+ * @param {number} seed - Integer seed
+ * @returns {() => number} Function returning numbers in [0, 1)
+ */
+export function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
 /**
  * Get random item from array
  * @template T
@@ -31,6 +49,31 @@ export function getRandomItem(array) {
   return array[Math.floor(Math.random() * array.length)];
 }
 
+/**
+ * Count whitespace-separated words in a string
+ * @param {string} text - Text to count
+ * @returns {number} Word count (0 for empty or non-string input)
+ */
+export function countWords(text) {
+  if (typeof text !== 'string') return 0;
+  const trimmed = text.trim();
+  return trimmed ? trimmed.split(/\s+/).length : 0;
+}
+
+/**
+ * Median of a list of numbers
+ * @param {number[]} values - Values (non-finite entries are ignored)
+ * @returns {number|null} Median, or null if there are no valid values
+ */
+export function median(values) {
+  const sorted = (Array.isArray(values) ? values : [])
+    .filter(v => typeof v === 'number' && isFinite(v))
+    .sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+}
+
 /**
  * Create a debounced version of a function
  * @param {Function} fn - Function to debounce
@@ -107,3 +150,19 @@ export function getRankColor(index) {
   if (index === 2) return '#cd7f32'; // Bronze
   return 'var(--text-muted)';
 }
+
+/**
+ * Save data as a file through the browser's download prompt
+ * @param {string|Uint8Array} contents - File contents
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type
+ */
+export function downloadFile(contents, filename, type) {
+  const blob = new Blob([contents], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
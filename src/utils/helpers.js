@@ -3,12 +3,12 @@
  * Re-exports from focused utility modules for backwards compatibility
  *
  * For new code, prefer importing directly from:
- * - './generic' for reusable utilities (shuffleArray, getRandomItem, debounce, preventDoubleClick)
+ * - './generic' for reusable utilities (shuffleArray, createSeededRandom, getRandomItem, countWords, median, debounce, preventDoubleClick)
  * - './game' for game-specific functions (selectClaimsByDifficulty, formatPlayerName, getHintContent)
  */
 
 // Generic utilities
-export { shuffleArray, getRandomItem, debounce, preventDoubleClick, formatTimeAgo, getRankDisplay, getRankColor } from './generic';
+export { shuffleArray, createSeededRandom, getRandomItem, countWords, median, debounce, preventDoubleClick, formatTimeAgo, getRankDisplay, getRankColor } from './generic';
 
 // Game-specific utilities
-export { selectClaimsByDifficulty, formatPlayerName, getHintContent, getUnseenClaimStats } from './game';
+export { selectClaimsByDifficulty, selectPatternPracticeClaims, selectReviewClaims, mixReviewClaims, selectEstimationQuestions, selectPairRounds, formatPlayerName, getHintContent, getUnseenClaimStats } from './game';
@@ -3,7 +3,7 @@
  */
 
 import { describe, it, expect } from 'vitest';
-import { shuffleArray, formatPlayerName, getRandomItem, getHintContent } from './helpers';
+import { shuffleArray, createSeededRandom, formatPlayerName, getRandomItem, getHintContent, countWords, median } from './helpers';
 
 describe('shuffleArray', () => {
   it('returns array of same length', () => {
@@ -32,6 +32,34 @@ describe('shuffleArray', () => {
   it('handles single element', () => {
     expect(shuffleArray([42])).toEqual([42]);
   });
+
+  it('gives the same order for the same seeded random source', () => {
+    const arr = Array.from({ length: 20 }, (_, i) => i);
+    expect(shuffleArray(arr, createSeededRandom(7))).toEqual(shuffleArray(arr, createSeededRandom(7)));
+  });
+});
+
+describe('createSeededRandom', () => {
+  it('produces a repeatable sequence for a seed', () => {
+    const a = createSeededRandom(12345);
+    const b = createSeededRandom(12345);
+    const seqA = Array.from({ length: 5 }, () => a());
+    const seqB = Array.from({ length: 5 }, () => b());
+    expect(seqA).toEqual(seqB);
+  });
+
+  it('produces different sequences for different seeds', () => {
+    expect(createSeededRandom(1)()).not.toBe(createSeededRandom(2)());
+  });
+
+  it('returns numbers in [0, 1)', () => {
+    const random = createSeededRandom(99);
+    for (let i = 0; i < 1000; i++) {
+      const value = random();
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    }
+  });
 });
 
 describe('formatPlayerName', () => {
@@ -77,6 +105,29 @@ describe('getRandomItem', () => {
   });
 });
 
+describe('countWords', () => {
+  it('counts whitespace-separated words', () => {
+    expect(countWords('  The Great Wall  is visible\nfrom space ')).toBe(7);
+  });
+
+  it('returns 0 for empty or missing text', () => {
+    expect(countWords('   ')).toBe(0);
+    expect(countWords(undefined)).toBe(0);
+  });
+});
+
+describe('median', () => {
+  it('returns the middle value', () => {
+    expect(median([9, 1, 5])).toBe(5);
+    expect(median([4, 1, 3, 2])).toBe(2.5);
+  });
+
+  it('ignores invalid values and returns null when empty', () => {
+    expect(median([3, NaN, 'x', 1])).toBe(2);
+    expect(median([])).toBeNull();
+  });
+});
+
 describe('getHintContent', () => {
   it('returns source hint for AI claim', () => {
     const claim = { source: 'ai-generated' };
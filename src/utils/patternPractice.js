@@ -0,0 +1,78 @@
+/**
+ * PATTERN PRACTICE
+ * Mastery summaries for error-pattern practice games
+ *
+ * A pattern claim is "caught" when the team gave the right verdict. TRUE controls
+ * (claims with no error pattern) check the opposite mistake: calling accurate
+ * claims false just because the game is about spotting errors.
+ */
+
+import { AI_ERROR_PATTERNS } from '../data/errorPatterns';
+import { PATTERN_PRACTICE } from '../data/constants';
+
+/**
+ * Mastery level for a pattern from its catch record
+ * @param {number} caught - Pattern claims answered correctly
+ * @param {number} encountered - Pattern claims played
+ * @returns {string} Key of PATTERN_PRACTICE.LEVELS
+ */
+export function getMasteryLevel(caught, encountered) {
+  const { MASTERY } = PATTERN_PRACTICE;
+  if (encountered < MASTERY.MIN_ATTEMPTS) return 'new';
+
+  const rate = caught / encountered;
+  if (rate >= MASTERY.MASTERED) return 'mastered';
+  if (rate >= MASTERY.DEVELOPING) return 'developing';
+  return 'needs-practice';
+}
+
+/**
+ * Look up the chosen patterns, dropping unknown IDs
+ * @param {Array<string>} patternIds - AI_ERROR_PATTERNS ids
+ * @returns {Array<Object>} Pattern definitions in taxonomy order
+ */
+export function getPracticePatterns(patternIds = []) {
+  return AI_ERROR_PATTERNS.filter(pattern => patternIds.includes(pattern.id));
+}
+
+/**
+ * Summarize a practice game pattern by pattern
+ * @param {Array<string>} patternIds - Patterns the game practiced
+ * @param {Array<Object>} results - Round results ({ correct })
+ * @param {Array<Object>} claims - Claims played, in round order
+ * @param {Object} lifetimeStats - PlayerProfile errorPatternStats { [patternId]: { encountered, caught } }
+ * @returns {{patterns: Array<Object>, controls: {trusted: number, total: number}}}
+ *   patterns: { id, name, teachingPoint, caught, encountered, lifetimeCaught, lifetimeEncountered, level }
+ */
+export function calculatePatternMastery(patternIds, results, claims, lifetimeStats = {}) {
+  const patterns = getPracticePatterns(patternIds).map(pattern => {
+    const rounds = claims
+      .map((claim, i) => ({ claim, result: results[i] }))
+      .filter(({ claim, result }) => result && claim?.errorPattern === pattern.id);
+    const caught = rounds.filter(({ result }) => result.correct).length;
+    const lifetime = lifetimeStats?.[pattern.id] || { encountered: 0, caught: 0 };
+
+    return {
+      id: pattern.id,
+      name: pattern.name,
+      teachingPoint: pattern.teachingPoint,
+      caught,
+      encountered: rounds.length,
+      lifetimeCaught: lifetime.caught,
+      lifetimeEncountered: lifetime.encountered,
+      level: getMasteryLevel(lifetime.caught, lifetime.encountered)
+    };
+  });
+
+  const controlRounds = claims
+    .map((claim, i) => ({ claim, result: results[i] }))
+    .filter(({ claim, result }) => result && claim && !claim.errorPattern && claim.answer === 'TRUE');
+
+  return {
+    patterns,
+    controls: {
+      trusted: controlRounds.filter(({ result }) => result.correct).length,
+      total: controlRounds.length
+    }
+  };
+}
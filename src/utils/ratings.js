@@ -0,0 +1,134 @@
+/**
+ * SKILL RATINGS
+ * Elo-style ratings for players and claims (equivalent to a 1-parameter IRT model)
+ *
+ * A player's chance of answering a claim correctly is
+ *   P = 1 / (1 + 10^((claimRating - playerRating) / SCALE))
+ * After each round both ratings move toward the observed outcome, so claims learn
+ * their real difficulty and players learn their skill. Adaptive games pick claims
+ * whose rating gives the player the target success rate.
+ */
+
+import { RATINGS } from '../data/constants';
+
+/**
+ * Starting rating for a claim with no history, seeded from its static difficulty label
+ * @param {Object} claim - Claim with optional difficulty
+ * @returns {number} Seed rating
+ */
+export function getSeedRating(claim) {
+  return RATINGS.CLAIM_SEEDS[claim?.difficulty] ?? RATINGS.INITIAL_RATING;
+}
+
+/**
+ * Current rating for a claim (learned rating if known, otherwise the seed)
+ * @param {Object} claim - Claim object
+ * @param {Object} claimRatings - { [claimId]: { rating, attempts } }
+ * @returns {number} Claim rating
+ */
+export function getClaimRating(claim, claimRatings = {}) {
+  const learned = claimRatings?.[claim?.id]?.rating;
+  return typeof learned === 'number' && isFinite(learned) ? learned : getSeedRating(claim);
+}
+
+/**
+ * Probability that a player answers a claim correctly
+ * @param {number} playerRating - Player or team rating
+ * @param {number} claimRating - Claim rating
+ * @returns {number} Expected success rate (0-1)
+ */
+export function expectedSuccess(playerRating, claimRating) {
+  return 1 / (1 + 10 ** ((claimRating - playerRating) / RATINGS.SCALE));
+}
+
+/**
+ * Claim rating that gives a player the target success rate
+ * @param {number} playerRating - Player or team rating
+ * @param {number} targetSuccess - Desired success rate (e.g. 0.7)
+ * @returns {number} Target claim rating
+ */
+export function getTargetClaimRating(playerRating, targetSuccess = RATINGS.DEFAULT_TARGET_SUCCESS) {
+  const p = Math.min(0.95, Math.max(0.05, targetSuccess));
+  return playerRating - RATINGS.SCALE * Math.log10(p / (1 - p));
+}
+
+/**
+ * Update player and claim ratings after a round
+ * Players move faster while provisional (few rounds played); claims move more
+ * slowly so one team can't swing a claim's difficulty.
+ * @param {Object} player - { rating, rounds }
+ * @param {Object} claim - { rating, attempts }
+ * @param {number} outcome - 1 correct, 0 wrong, or partial credit in between
+ * @returns {{player: Object, claim: Object, expected: number}} Updated ratings
+ */
+export function updateRatings(player, claim, outcome) {
+  const score = Math.min(1, Math.max(0, Number(outcome) || 0));
+  const expected = expectedSuccess(player.rating, claim.rating);
+  const surprise = score - expected;
+
+  const kPlayer = (player.rounds || 0) < RATINGS.PROVISIONAL_ROUNDS ? RATINGS.K_PROVISIONAL : RATINGS.K_PLAYER;
+
+  return {
+    player: {
+      rating: Math.round(player.rating + kPlayer * surprise),
+      rounds: (player.rounds || 0) + 1
+    },
+    claim: {
+      rating: Math.round(claim.rating - RATINGS.K_CLAIM * surprise),
+      attempts: (claim.attempts || 0) + 1
+    },
+    expected
+  };
+}
+
+/**
+ * Merge two claim rating maps, keeping the entry with more attempts for each claim
+ * Used to combine class-wide ratings with a player's local ratings
+ * @param {...Object} maps - { [claimId]: { rating, attempts } }
+ * @returns {Object} Merged map
+ */
+export function mergeClaimRatings(...maps) {
+  const merged = {};
+  maps.forEach(map => {
+    Object.entries(map || {}).forEach(([id, entry]) => {
+      if (!entry || typeof entry.rating !== 'number') return;
+      if (!merged[id] || (entry.attempts || 0) > (merged[id].attempts || 0)) {
+        merged[id] = entry;
+      }
+    });
+  });
+  return merged;
+}
+
+/**
+ * Drop the least recently played entries of a rating map, keeping at most maxCount
+ * Entries without a lastPlayed time count as the oldest.
+ * @param {Object} map - { [id]: { rating, lastPlayed } }
+ * @param {number} maxCount - Entries to keep
+ * @returns {Object} A new map with the most recently played entries
+ */
+export function keepRecentRatings(map, maxCount) {
+  const entries = Object.entries(map || {});
+  if (entries.length <= maxCount) return { ...map };
+  entries.sort(([, a], [, b]) => (b?.lastPlayed || 0) - (a?.lastPlayed || 0));
+  return Object.fromEntries(entries.slice(0, maxCount));
+}
+
+/**
+ * Order claims for an adaptive game: closest to the target rating first
+ * Claims within RATINGS.SELECTION_WINDOW of the best match are treated as ties
+ * and shuffled by the caller, so games don't always repeat the same claims.
+ * @param {Array} claims - Candidate claims
+ * @param {number} targetRating - Target claim rating
+ * @param {Object} claimRatings - { [claimId]: { rating, attempts } }
+ * @returns {Array<Array>} Claims grouped into bands by distance from the target
+ */
+export function bandClaimsByTarget(claims, targetRating, claimRatings = {}) {
+  const bands = [];
+  claims.forEach(claim => {
+    const distance = Math.abs(getClaimRating(claim, claimRatings) - targetRating);
+    const band = Math.floor(distance / RATINGS.SELECTION_WINDOW);
+    (bands[band] = bands[band] || []).push(claim);
+  });
+  return bands.filter(Boolean);
+}
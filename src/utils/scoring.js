@@ -3,7 +3,28 @@
  * Functions for calculating points and game statistics
  */
 
-import { POINTS_MATRIX, DIFFICULTY_MULTIPLIERS, SPEED_BONUS } from '../data/constants';
+import {
+  SPEED_BONUS,
+  PROBABILITY_CONFIDENCE,
+  PARTIAL_CREDIT,
+  SCORING_PROFILES,
+  DEFAULT_SCORING_PROFILE,
+  HINT_TYPES,
+  THRESHOLDS,
+  ESTIMATION,
+  CLAIM_REWRITES
+} from '../data/constants';
+import { calculateCalibrationFromResults } from './calibration';
+import { median } from './generic';
+import { getTellBonus } from './errorSpans';
+import {
+  getIntervalProblem,
+  calculateIntervalScore,
+  isIntervalHit,
+  isEstimateClaim,
+  calculateIntervalCalibrationFromResults
+} from './estimation';
+import { isPairClaim, getPairCredit } from './claimPairs';
 
 /**
  * Calculate speed bonus multiplier based on response time
@@ -35,12 +56,133 @@ export function calculateSpeedBonus(timeElapsed, totalTime) {
   return { multiplier: 1, tier: null };
 }
 
+/**
+ * Reference time (seconds) that speed bonus tiers are measured against
+ * 'fixed' uses the round timer. Adaptive modes use the player's rolling response
+ * history and fall back to the round timer until SPEED_BONUS.MIN_HISTORY rounds exist.
+ * @param {'fixed'|'personal-median'|'word-count'} mode - Class setting speedBonusBaseline
+ * @param {Object} context - { totalTime, claimWords, history: [{ seconds, words }] }
+ * @returns {{seconds: number, mode: string}} Reference time and the mode actually applied
+ */
+export function getSpeedBaseline(mode, { totalTime, claimWords = 0, history = [] } = {}) {
+  const fixed = { seconds: totalTime, mode: 'fixed' };
+  if (mode === 'fixed' || !SPEED_BONUS.BASELINES[mode]) return fixed;
+
+  const samples = (Array.isArray(history) ? history : [])
+    .filter(h => h && typeof h.seconds === 'number' && isFinite(h.seconds) && h.seconds > 0);
+
+  let typicalSeconds;
+  if (mode === 'word-count') {
+    const perWord = samples.filter(h => h.words > 0).map(h => h.seconds / h.words);
+    if (!(claimWords > 0) || perWord.length < SPEED_BONUS.MIN_HISTORY) return fixed;
+    typicalSeconds = median(perWord) * claimWords;
+  } else {
+    if (samples.length < SPEED_BONUS.MIN_HISTORY) return fixed;
+    typicalSeconds = median(samples.map(h => h.seconds));
+  }
+
+  return {
+    seconds: Math.max(SPEED_BONUS.MIN_BASELINE_SECONDS, Math.round(typicalSeconds * SPEED_BONUS.MEDIAN_SCALE)),
+    mode
+  };
+}
+
+/**
+ * Resolve a scoring profile by ID
+ * Unknown or missing IDs fall back to the default (Classic) profile
+ * @param {string} profileId - Scoring profile ID (see SCORING_PROFILES)
+ * @returns {Object} Scoring profile
+ */
+export function resolveScoringProfile(profileId) {
+  return SCORING_PROFILES[profileId] || SCORING_PROFILES[DEFAULT_SCORING_PROFILE];
+}
+
+/**
+ * Points a hint costs under a scoring profile
+ * @param {Object} hint - Hint type (see HINT_TYPES)
+ * @param {string} profileId - Scoring profile ID (see SCORING_PROFILES)
+ * @returns {number} Cost in points (0 when the profile makes hints free)
+ */
+export function getHintCost(hint, profileId) {
+  return (hint?.cost || 0) * resolveScoringProfile(profileId).hintCostMultiplier;
+}
+
+/**
+ * Credit earned by a verdict based on its distance from the answer
+ * on the TRUE - MIXED - FALSE scale (see PARTIAL_CREDIT)
+ * @param {string} verdict - Team's verdict
+ * @param {string} answer - Claim's correct answer
+ * @returns {number} 1 for correct, PARTIAL_CREDIT.NEAR_MISS for one step away, otherwise 0
+ */
+export function getVerdictCredit(verdict, answer) {
+  const scale = PARTIAL_CREDIT.VERDICT_SCALE;
+  const verdictIndex = scale.indexOf(verdict);
+  const answerIndex = scale.indexOf(answer);
+  if (verdictIndex === -1 || answerIndex === -1) return 0;
+
+  const distance = Math.abs(verdictIndex - answerIndex);
+  if (distance === 0) return 1;
+  if (distance === 1) return PARTIAL_CREDIT.NEAR_MISS;
+  return 0;
+}
+
+/**
+ * Credit earned by a stored round result
+ * Uses the recorded credit when present, otherwise derives it from the verdict
+ * (results saved before partial credit only carry the correct flag)
+ * @param {Object} result - Round result { correct, credit, teamVerdict, forfeited }
+ * @param {Object} claim - Claim for the round (may be undefined)
+ * @returns {number} Credit between 0 and 1
+ */
+export function getResultCredit(result, claim) {
+  if (result.forfeited) return 0;
+  if (result.correct) return 1;
+  if (typeof result.credit === 'number' && isFinite(result.credit)) {
+    return Math.min(1, Math.max(0, result.credit));
+  }
+  return claim ? Math.min(getVerdictCredit(result.teamVerdict, claim.answer), PARTIAL_CREDIT.NEAR_MISS) : 0;
+}
+
+/**
+ * Calculate base points for a stated probability using a proper scoring rule
+ * Rescaled so a 50% guess scores 0 either way (see PROBABILITY_CONFIDENCE)
+ * @param {boolean} correct - Whether the answer was correct
+ * @param {number} probability - Stated probability of being correct (0.5-0.99)
+ * @param {'quadratic'|'logarithmic'} rule - Scoring rule
+ * @returns {number} Unrounded base points
+ * @throws {Error} If probability is out of range or the rule is unknown
+ */
+export function calculateProbabilityScore(correct, probability, rule = PROBABILITY_CONFIDENCE.DEFAULT_RULE) {
+  if (typeof probability !== 'number' || !isFinite(probability) ||
+      probability < PROBABILITY_CONFIDENCE.MIN || probability > PROBABILITY_CONFIDENCE.MAX) {
+    throw new Error(`Invalid probability value: ${probability}. Must be between ${PROBABILITY_CONFIDENCE.MIN} and ${PROBABILITY_CONFIDENCE.MAX}.`);
+  }
+
+  const ruleConfig = PROBABILITY_CONFIDENCE.RULES[rule];
+  if (!ruleConfig) {
+    throw new Error(`Invalid scoring rule: ${rule}. Must be one of ${Object.keys(PROBABILITY_CONFIDENCE.RULES).join(', ')}.`);
+  }
+
+  // Probability assigned to what actually happened
+  const outcomeProbability = correct ? probability : 1 - probability;
+
+  const score = rule === 'logarithmic'
+    ? Math.log(outcomeProbability) - Math.log(0.5)
+    : (1 - (1 - outcomeProbability) ** 2) - 0.75;
+
+  return score * ruleConfig.scale;
+}
+
 /**
  * Calculate points based on correctness and confidence
  * @param {boolean} correct - Whether the answer was correct
  * @param {1|2|3} confidence - Confidence level (1-3)
  * @param {string} difficulty - Difficulty level ('easy', 'medium', 'hard', 'mixed')
- * @param {Object} options - Optional enhancements {timeElapsed, totalTime, integrityPenalty}
+ * @param {Object} options - Optional enhancements {timeElapsed, totalTime, speedBaseline, integrityPenalty, probability, scoringRule, scoringProfile, credit}
+ *   speedBaseline (seconds, see getSpeedBaseline) replaces totalTime as the speed tier reference.
+ *   When probability is set, base points come from the proper scoring rule instead of the points matrix.
+ *   scoringProfile selects the points matrix, multipliers, speed bonus and floor (default: Classic).
+ *   credit (0-1, see getVerdictCredit) grades an incorrect answer between the wrong and right payouts.
  * @returns {number|Object} Points or detailed object if options provided
  * @throws {Error} If confidence is not 1, 2, or 3
  */
@@ -55,11 +197,25 @@ export function calculatePoints(correct, confidence, difficulty = 'easy', option
     throw new Error(`Invalid correct value: ${correct}. Must be a boolean.`);
   }
 
-  // Base points from confidence (safe to access now after validation)
-  const basePoints = POINTS_MATRIX[confidence][correct ? 'correct' : 'incorrect'];
+  const profile = resolveScoringProfile(options?.scoringProfile);
+
+  // Base points from stated probability (probability mode) or confidence level
+  const useProbability = options?.probability !== undefined && options?.probability !== null;
+  const scoringRule = useProbability ? (options.scoringRule || PROBABILITY_CONFIDENCE.DEFAULT_RULE) : null;
+  const payout = (outcome) => (useProbability
+    ? calculateProbabilityScore(outcome, options.probability, scoringRule)
+    : profile.pointsMatrix[confidence][outcome ? 'correct' : 'incorrect']);
+
+  // Near misses earn part of the way from the wrong payout to the right payout
+  const credit = !correct && typeof options?.credit === 'number' && options.credit > 0 && options.credit < 1
+    ? options.credit
+    : null;
+  const basePoints = credit === null
+    ? payout(correct)
+    : payout(false) + credit * (payout(true) - payout(false));
 
   // Apply difficulty multiplier
-  const difficultyMultiplier = DIFFICULTY_MULTIPLIERS[difficulty] || 1;
+  const difficultyMultiplier = profile.difficultyMultipliers[difficulty] || 1;
 
   // If no options provided, return simple calculation (backwards compatible)
   if (!options) {
@@ -73,9 +229,28 @@ export function calculatePoints(correct, confidence, difficulty = 'easy', option
     return finalPoints;
   }
 
-  // Enhanced calculation with speed bonus
-  const speedBonus = (options.timeElapsed !== undefined && options.totalTime !== undefined)
-    ? calculateSpeedBonus(options.timeElapsed, options.totalTime)
+  return applyRoundModifiers(basePoints, difficultyMultiplier, profile, options, {
+    ...(credit !== null && { credit }),
+    ...(useProbability && { probability: options.probability, scoringRule })
+  });
+}
+
+/**
+ * Apply speed bonus, integrity penalty and the profile's floor to a round's base points
+ * Shared by verdict rounds (calculatePoints) and estimation rounds (calculateEstimatePoints).
+ * @param {number} basePoints - Unrounded base points
+ * @param {number} difficultyMultiplier - Multiplier for the game's difficulty
+ * @param {Object} profile - Resolved scoring profile
+ * @param {Object} options - { timeElapsed, totalTime, speedBaseline, integrityPenalty }
+ * @param {Object} extraBreakdown - Round-type details added to the breakdown
+ * @returns {Object} { points, speedBonus, breakdown }
+ */
+function applyRoundModifiers(basePoints, difficultyMultiplier, profile, options, extraBreakdown = {}) {
+  // Speed bonus (if the profile allows it)
+  const speedBaseline = options.speedBaseline > 0 ? options.speedBaseline : null;
+  const speedReference = speedBaseline ?? options.totalTime;
+  const speedBonus = (profile.speedBonus && options.timeElapsed !== undefined && speedReference !== undefined)
+    ? calculateSpeedBonus(options.timeElapsed, speedReference)
     : { multiplier: 1, tier: null };
 
   // Apply all multipliers
@@ -86,8 +261,13 @@ export function calculatePoints(correct, confidence, difficulty = 'easy', option
     total += options.integrityPenalty;
   }
 
-  // Round away from zero for fair scoring
-  const finalPoints = total > 0 ? Math.round(total) : -Math.round(Math.abs(total));
+  // Apply the profile's floor (e.g. Gentle never goes negative)
+  if (profile.minRoundPoints !== null) {
+    total = Math.max(profile.minRoundPoints, total);
+  }
+
+  // Round away from zero for fair scoring (|| 0 avoids reporting -0)
+  const finalPoints = (total > 0 ? Math.round(total) : -Math.round(Math.abs(total))) || 0;
 
   // CRITICAL: Validate finalPoints to prevent NaN/Infinity propagation
   if (!isFinite(finalPoints)) {
@@ -119,11 +299,50 @@ export function calculatePoints(correct, confidence, difficulty = 'easy', option
       base: basePoints,
       difficultyMultiplier,
       speedMultiplier: speedBonus.multiplier,
-      integrityPenalty: options.integrityPenalty || 0
+      integrityPenalty: options.integrityPenalty || 0,
+      scoringProfile: profile.id,
+      ...(speedBaseline !== null && { speedBaseline }),
+      ...extraBreakdown
     }
   };
 }
 
+/**
+ * Calculate points for an estimation round from its stated range
+ * Base points fall from ESTIMATION.MAX_POINTS by ESTIMATION.POINTS_PER_SCORE per unit
+ * of relative interval score (see utils/estimation.js), down to ESTIMATION.MIN_POINTS;
+ * difficulty, speed bonus, integrity penalty and the profile's floor apply as for verdicts.
+ * @param {{low: number, high: number, level: number}} interval - Stated range and confidence level
+ * @param {number} value - True value
+ * @param {string} difficulty - Difficulty level
+ * @param {Object} options - { timeElapsed, totalTime, speedBaseline, integrityPenalty, scoringProfile }
+ * @returns {Object} { points, hit, speedBonus, breakdown }
+ * @throws {Error} If the range can't be scored
+ */
+export function calculateEstimatePoints(interval, value, difficulty = 'easy', options = {}) {
+  const problem = getIntervalProblem(interval);
+  if (problem) {
+    throw new Error(`Invalid estimate: ${problem}.`);
+  }
+
+  const profile = resolveScoringProfile(options.scoringProfile);
+  const intervalScore = calculateIntervalScore(interval, value);
+  const basePoints = Math.max(
+    ESTIMATION.MIN_POINTS,
+    ESTIMATION.MAX_POINTS - ESTIMATION.POINTS_PER_SCORE * intervalScore
+  );
+  const difficultyMultiplier = profile.difficultyMultipliers[difficulty] || 1;
+  const hit = isIntervalHit(interval, value);
+
+  return {
+    hit,
+    ...applyRoundModifiers(basePoints, difficultyMultiplier, profile, options, {
+      intervalScore,
+      level: interval.level
+    })
+  };
+}
+
 /**
  * Calculate comprehensive game statistics for achievements
  * @param {Array} results - Round results
@@ -142,12 +361,21 @@ export function calculateGameStats(results, claims, score, predictedScore) {
     humbleCorrect: 0,      // low confidence + correct
     boldCorrect: 0,        // high confidence + correct
     mixedCorrect: 0,       // MIXED verdicts correct
+    mixedCredit: 0,        // credit earned on MIXED claims, including near misses
+    nearMisses: 0,         // verdicts one step from the answer (partial credit)
+    creditEarned: 0,       // total credit: 1 per correct answer plus partial credit
     mythsBusted: 0,        // myth perpetuation caught
+    estimateRounds: 0,     // numeric estimation rounds answered with a range
+    estimatesCaught: 0,    // ranges that contained the answer
+    pairRounds: 0,         // "which is AI?" rounds answered with a pick
+    pairsSpotted: 0,       // picks that found the AI-generated claim
     perfectGame: false,
     gameCompleted: true,
-    calibrationBonus: Math.abs(score - predictedScore) <= 2,
+    calibrationBonus: calculateCalibrationBonus(score, predictedScore) > 0,
     comeback: false,
-    lowestPoint: 0
+    lowestPoint: 0,
+    calibration: calculateCalibrationFromResults(results), // Brier score, log loss, bias, resolution
+    intervalCalibration: calculateIntervalCalibrationFromResults(results) // Hit rate per stated range level
   };
 
   let runningScore = 0;
@@ -155,6 +383,18 @@ export function calculateGameStats(results, claims, score, predictedScore) {
 
   results.forEach((result) => {
     const claim = claims.find(c => c.id === result.claimId);
+    const credit = getResultCredit(result, claim);
+
+    stats.creditEarned += credit;
+    if (claim?.answer === 'MIXED') stats.mixedCredit += credit;
+    if (result.estimate && !result.forfeited) {
+      stats.estimateRounds++;
+      if (result.correct) stats.estimatesCaught++;
+    }
+    if (result.pairPick && !result.forfeited) {
+      stats.pairRounds++;
+      if (result.correct) stats.pairsSpotted++;
+    }
 
     if (result.correct) {
       stats.totalCorrect++;
@@ -168,13 +408,14 @@ export function calculateGameStats(results, claims, score, predictedScore) {
       // Track MIXED correct
       if (claim?.answer === 'MIXED') stats.mixedCorrect++;
 
-      // Track AI catches
-      if (claim?.source === 'ai-generated') stats.aiCaughtCorrect++;
+      // Track AI catches (spotting the AI claim in a pair counts too)
+      if (claim?.source === 'ai-generated' || isPairClaim(claim)) stats.aiCaughtCorrect++;
 
       // Track myths busted
       if (claim?.errorPattern === 'Myth perpetuation') stats.mythsBusted++;
     } else {
       stats.totalIncorrect++;
+      if (credit > 0) stats.nearMisses++;
       currentStreak = 0;
     }
 
@@ -190,3 +431,177 @@ export function calculateGameStats(results, claims, score, predictedScore) {
 
   return stats;
 }
+
+/**
+ * Calculate the end-of-game calibration bonus for predicting the score
+ * @param {number} score - Score before the bonus
+ * @param {number} predictedScore - Score the team predicted at the start
+ * @returns {number} Bonus points (0 if the prediction was too far off)
+ */
+export function calculateCalibrationBonus(score, predictedScore) {
+  const validScore = isFinite(score) ? score : 0;
+  const validPrediction = isFinite(predictedScore) ? predictedScore : 0;
+  return Math.abs(validScore - validPrediction) <= THRESHOLDS.CALIBRATION_BONUS_RANGE
+    ? THRESHOLDS.CALIBRATION_BONUS_POINTS
+    : 0;
+}
+
+/**
+ * Clean up rubric levels for a "fix the claim" rewrite
+ * @param {Object} rubricScores - Level awarded per rubric criterion ({ accurate: 2, ... })
+ * @returns {Object} A whole-number level from 0 to CLAIM_REWRITES.MAX_LEVEL for every
+ *   criterion (missing or invalid levels are 0, unknown criteria are dropped)
+ */
+export function normalizeRewriteScores(rubricScores = {}) {
+  return Object.fromEntries(CLAIM_REWRITES.RUBRIC.map(({ id }) => {
+    const level = Number(rubricScores?.[id]);
+    return [id, Number.isFinite(level) ? Math.min(Math.max(Math.round(level), 0), CLAIM_REWRITES.MAX_LEVEL) : 0];
+  }));
+}
+
+/**
+ * Calculate the bonus for a teacher-graded "fix the claim" rewrite
+ * @param {Object} rubricScores - Level awarded per rubric criterion
+ * @returns {number} Sum of the normalized levels (see normalizeRewriteScores)
+ */
+export function calculateRewriteBonus(rubricScores = {}) {
+  return Object.values(normalizeRewriteScores(rubricScores)).reduce((sum, level) => sum + level, 0);
+}
+
+/**
+ * Rebuild a game's score from stored per-round inputs
+ * Re-runs calculatePoints for every round (correctness is re-checked against the
+ * claim's answer, and a "spot the tell" tap against its error spans) and itemizes
+ * hint costs and the calibration bonus, so a total can be explained and verified
+ * after the game.
+ *
+ * @param {Array} results - Round results as stored by the game
+ *   { claimId, teamVerdict, confidence, probability, forfeited, timeElapsed, totalTime,
+ *     speedBaseline, integrityPenalty, hintsUsed, tellTap, points }
+ *   Estimation rounds carry estimate: { low, high, level } instead of a verdict and confidence.
+ *   Pair rounds carry pairPick: 'A' | 'B' instead of a verdict.
+ * @param {Array} claims - Claims used in the game
+ * @param {Object} settings - { difficulty, scoringProfile, probabilityRule, predictedScore, recordedScore }
+ * @returns {Object} { rounds, roundTotal, hintTotal, subtotal, calibrationBonus, total, verified }
+ *   verified is null when no recordedScore was given
+ */
+export function recomputeScore(results = [], claims = [], settings = {}) {
+  const {
+    difficulty = 'easy',
+    scoringProfile = DEFAULT_SCORING_PROFILE,
+    probabilityRule = PROBABILITY_CONFIDENCE.DEFAULT_RULE,
+    predictedScore = 0,
+    recordedScore = null
+  } = settings;
+  const profile = resolveScoringProfile(scoringProfile);
+
+  let roundTotal = 0;
+  let hintTotal = 0;
+
+  const rounds = results.map((result, i) => {
+    const claim = claims.find(c => c.id === result.claimId) || null;
+    const hints = (result.hintsUsed || [])
+      .map(id => HINT_TYPES.find(h => h.id === id))
+      .filter(Boolean)
+      .map(h => ({ id: h.id, name: h.name, cost: getHintCost(h, profile.id) }));
+    const hintCost = hints.reduce((sum, h) => sum + h.cost, 0);
+
+    const entry = {
+      round: i + 1,
+      claimId: result.claimId,
+      verdict: result.teamVerdict || null,
+      answer: isPairClaim(claim) ? claim.aiSide : claim?.answer || null,
+      pairPick: result.pairPick || null,
+      confidence: result.confidence,
+      probability: typeof result.probability === 'number' ? result.probability : null,
+      estimate: result.estimate || null,
+      forfeited: !!result.forfeited,
+      correct: false,
+      credit: 0,
+      basePoints: 0,
+      difficultyMultiplier: 1,
+      speedMultiplier: 1,
+      speedBonus: null,
+      integrityPenalty: 0,
+      tellBonus: 0,
+      points: 0,
+      hints,
+      hintCost,
+      recordedPoints: typeof result.points === 'number' ? result.points : null,
+      matchesRecorded: null
+    };
+
+    if (entry.forfeited) {
+      entry.points = profile.forfeitPenalty;
+    } else if (entry.estimate) {
+      // Estimation rounds: re-score the range against the claim's value
+      // (without the claim the range can't be re-scored, so the recorded points stand)
+      const value = isEstimateClaim(claim) ? claim.estimate.value : null;
+      const pointsResult = value !== null
+        ? calculateEstimatePoints(entry.estimate, value, difficulty, {
+          timeElapsed: result.timeElapsed,
+          totalTime: result.totalTime,
+          speedBaseline: result.speedBaseline,
+          integrityPenalty: result.integrityPenalty || 0,
+          scoringProfile: profile.id
+        })
+        : null;
+      entry.answer = value;
+      entry.correct = pointsResult ? pointsResult.hit : !!result.correct;
+      entry.credit = entry.correct ? 1 : 0;
+      entry.basePoints = pointsResult ? pointsResult.breakdown.base : 0;
+      entry.difficultyMultiplier = pointsResult ? pointsResult.breakdown.difficultyMultiplier : 1;
+      entry.speedMultiplier = pointsResult ? pointsResult.breakdown.speedMultiplier : 1;
+      entry.speedBonus = pointsResult ? pointsResult.speedBonus : null;
+      entry.integrityPenalty = pointsResult ? pointsResult.breakdown.integrityPenalty : 0;
+      entry.points = pointsResult ? pointsResult.points : (typeof result.points === 'number' ? result.points : 0);
+    } else {
+      // Prefer re-checking against the claim (or the pick, in pair rounds); fall back to the stored result
+      entry.credit = !claim
+        ? getResultCredit(result)
+        : isPairClaim(claim) ? getPairCredit(result.pairPick, claim) : getVerdictCredit(result.teamVerdict, claim.answer);
+      entry.correct = entry.credit === 1;
+      const pointsResult = calculatePoints(entry.correct, result.confidence, difficulty, {
+        credit: entry.credit,
+        timeElapsed: result.timeElapsed,
+        totalTime: result.totalTime,
+        speedBaseline: result.speedBaseline,
+        integrityPenalty: result.integrityPenalty || 0,
+        probability: entry.probability,
+        scoringRule: probabilityRule,
+        scoringProfile: profile.id
+      });
+      entry.basePoints = pointsResult.breakdown.base;
+      entry.difficultyMultiplier = pointsResult.breakdown.difficultyMultiplier;
+      entry.speedMultiplier = pointsResult.breakdown.speedMultiplier;
+      entry.speedBonus = pointsResult.speedBonus;
+      entry.integrityPenalty = pointsResult.breakdown.integrityPenalty;
+      entry.tellBonus = claim ? getTellBonus(claim.errorSpans, result.tellTap) : result.tellBonus || 0;
+      entry.points = pointsResult.points + entry.tellBonus;
+    }
+
+    if (entry.recordedPoints !== null) {
+      entry.matchesRecorded = entry.recordedPoints === entry.points;
+    }
+
+    roundTotal += entry.points;
+    hintTotal += hintCost;
+    return entry;
+  });
+
+  const subtotal = roundTotal - hintTotal;
+  const calibrationBonus = calculateCalibrationBonus(subtotal, predictedScore);
+
+  return {
+    scoringProfile: profile.id,
+    difficulty,
+    rounds,
+    roundTotal,
+    hintTotal,
+    subtotal,
+    predictedScore,
+    calibrationBonus,
+    total: subtotal + calibrationBonus,
+    verified: recordedScore === null ? null : recordedScore === subtotal
+  };
+}
@@ -3,7 +3,21 @@
  */
 
 import { describe, it, expect } from 'vitest';
-import { calculatePoints, calculateGameStats } from './scoring';
+import {
+  calculatePoints,
+  calculateEstimatePoints,
+  calculateGameStats,
+  calculateProbabilityScore,
+  resolveScoringProfile,
+  getVerdictCredit,
+  getSpeedBaseline,
+  calculateCalibrationBonus,
+  calculateRewriteBonus,
+  normalizeRewriteScores,
+  getHintCost,
+  recomputeScore
+} from './scoring';
+import { SCORING_PROFILES, HINT_TYPES } from '../data/constants';
 
 describe('calculatePoints', () => {
   describe('input validation', () => {
@@ -99,6 +113,217 @@ describe('calculatePoints', () => {
   });
 });
 
+describe('calculateProbabilityScore', () => {
+  it('scores a 50% guess as zero either way', () => {
+    expect(calculateProbabilityScore(true, 0.5, 'quadratic')).toBeCloseTo(0, 6);
+    expect(calculateProbabilityScore(false, 0.5, 'quadratic')).toBeCloseTo(0, 6);
+    expect(calculateProbabilityScore(true, 0.5, 'logarithmic')).toBeCloseTo(0, 6);
+    expect(calculateProbabilityScore(false, 0.5, 'logarithmic')).toBeCloseTo(0, 6);
+  });
+
+  it('rewards higher probability when right and penalizes it when wrong', () => {
+    expect(calculateProbabilityScore(true, 0.9)).toBeGreaterThan(calculateProbabilityScore(true, 0.6));
+    expect(calculateProbabilityScore(false, 0.9)).toBeLessThan(calculateProbabilityScore(false, 0.6));
+  });
+
+  it('maximizes expected points by reporting the true probability', () => {
+    // With a true 70% chance of being right, stating 70% beats 60% or 90%
+    ['quadratic', 'logarithmic'].forEach(rule => {
+      const expected = (p) => 0.7 * calculateProbabilityScore(true, p, rule) + 0.3 * calculateProbabilityScore(false, p, rule);
+      expect(expected(0.7)).toBeGreaterThan(expected(0.6));
+      expect(expected(0.7)).toBeGreaterThan(expected(0.9));
+    });
+  });
+
+  it('throws for out-of-range probability or unknown rule', () => {
+    expect(() => calculateProbabilityScore(true, 0.4)).toThrow('Invalid probability value');
+    expect(() => calculateProbabilityScore(true, 1)).toThrow('Invalid probability value');
+    expect(() => calculateProbabilityScore(true, 0.8, 'spherical')).toThrow('Invalid scoring rule');
+  });
+});
+
+describe('scoring profiles', () => {
+  it('falls back to Classic for unknown profiles', () => {
+    expect(resolveScoringProfile('nope')).toBe(SCORING_PROFILES.classic);
+    expect(resolveScoringProfile(undefined)).toBe(SCORING_PROFILES.classic);
+  });
+
+  it('uses Classic points when no profile is given', () => {
+    const result = calculatePoints(false, 3, 'easy', { timeElapsed: 5, totalTime: 100 });
+    expect(result.points).toBe(-12); // -6 × 2.0 ultra-lightning
+    expect(result.breakdown.scoringProfile).toBe('classic');
+  });
+
+  it('skips the speed bonus when the profile disables it', () => {
+    const result = calculatePoints(true, 3, 'easy', { timeElapsed: 5, totalTime: 100, scoringProfile: 'no-speed' });
+    expect(result.points).toBe(5);
+    expect(result.speedBonus).toBeNull();
+  });
+
+  it('uses symmetric penalties for Calibration-first', () => {
+    const result = calculatePoints(false, 3, 'easy', { scoringProfile: 'calibration-first' });
+    expect(result.points).toBe(-5);
+  });
+
+  it('never goes below zero with Gentle', () => {
+    const wrong = calculatePoints(false, 3, 'hard', { scoringProfile: 'gentle' });
+    expect(wrong.points).toBe(0);
+
+    const penalized = calculatePoints(true, 1, 'easy', { scoringProfile: 'gentle', integrityPenalty: -5 });
+    expect(penalized.points).toBe(0);
+
+    const probability = calculatePoints(false, 3, 'easy', { scoringProfile: 'gentle', probability: 0.9 });
+    expect(probability.points).toBe(0);
+  });
+
+  it('makes hints free with Gentle', () => {
+    const hint = HINT_TYPES.find(h => h.id === 'source-hint');
+    expect(getHintCost(hint, 'classic')).toBe(hint.cost);
+    expect(getHintCost(hint, 'gentle')).toBe(0);
+  });
+});
+
+describe('calculatePoints with probability', () => {
+  it('uses the scoring rule instead of the points matrix', () => {
+    const result = calculatePoints(true, 3, 'easy', { probability: 0.99, scoringRule: 'quadratic' });
+    expect(result.points).toBe(5);
+    expect(result.breakdown.probability).toBe(0.99);
+    expect(result.breakdown.scoringRule).toBe('quadratic');
+
+    const wrong = calculatePoints(false, 3, 'easy', { probability: 0.99, scoringRule: 'quadratic' });
+    expect(wrong.points).toBe(-15);
+  });
+
+  it('applies difficulty multipliers to probability scores', () => {
+    const easy = calculatePoints(true, 2, 'easy', { probability: 0.8 });
+    const hard = calculatePoints(true, 2, 'hard', { probability: 0.8 });
+    expect(hard.points).toBe(Math.round(easy.breakdown.base * 2));
+  });
+
+  it('leaves level scoring unchanged without a probability', () => {
+    const result = calculatePoints(true, 3, 'easy', { probability: null });
+    expect(result.points).toBe(5);
+    expect(result.breakdown.probability).toBeUndefined();
+  });
+});
+
+describe('getVerdictCredit', () => {
+  it('gives full credit for the right verdict', () => {
+    expect(getVerdictCredit('MIXED', 'MIXED')).toBe(1);
+    expect(getVerdictCredit('TRUE', 'TRUE')).toBe(1);
+  });
+
+  it('gives partial credit one step away on the TRUE - MIXED - FALSE scale', () => {
+    expect(getVerdictCredit('FALSE', 'MIXED')).toBe(0.5);
+    expect(getVerdictCredit('MIXED', 'TRUE')).toBe(0.5);
+  });
+
+  it('gives no credit for opposite or unknown verdicts', () => {
+    expect(getVerdictCredit('TRUE', 'FALSE')).toBe(0);
+    expect(getVerdictCredit(null, 'MIXED')).toBe(0);
+  });
+});
+
+describe('calculatePoints with partial credit', () => {
+  it('grades a near miss between the wrong and right payouts', () => {
+    // Confidence 3: wrong -6, right +5 -> halfway is -0.5, rounded away from zero
+    expect(calculatePoints(false, 3, 'easy', { credit: 0.5 }).points).toBe(-1);
+    expect(calculatePoints(false, 2, 'easy', { credit: 0.5 }).points).toBe(0);
+    expect(calculatePoints(false, 2, 'easy', { credit: 0.5 }).breakdown.credit).toBe(0.5);
+  });
+
+  it('scores a near miss above a wrong answer and below a right one', () => {
+    const wrong = calculatePoints(false, 2, 'easy', { scoringProfile: 'gentle' }).points;
+    const near = calculatePoints(false, 2, 'easy', { scoringProfile: 'gentle', credit: 0.5 }).points;
+    const right = calculatePoints(true, 2, 'easy', { scoringProfile: 'gentle' }).points;
+    expect(near).toBeGreaterThan(wrong);
+    expect(near).toBeLessThan(right);
+  });
+
+  it('interpolates probability scores', () => {
+    const near = calculatePoints(false, 2, 'easy', { probability: 0.8, credit: 0.5 });
+    const expected = (calculateProbabilityScore(true, 0.8) + calculateProbabilityScore(false, 0.8)) / 2;
+    expect(near.breakdown.base).toBeCloseTo(expected);
+  });
+
+  it('ignores credit for correct answers', () => {
+    expect(calculatePoints(true, 3, 'easy', { credit: 0.5 }).points).toBe(5);
+  });
+});
+
+describe('getSpeedBaseline', () => {
+  const history = [20, 30, 40, 50, 60].map(seconds => ({ seconds, words: seconds / 2 }));
+
+  it('uses the round timer in fixed mode', () => {
+    expect(getSpeedBaseline('fixed', { totalTime: 120, history })).toEqual({ seconds: 120, mode: 'fixed' });
+  });
+
+  it("scales the player's median response time", () => {
+    expect(getSpeedBaseline('personal-median', { totalTime: 120, history })).toEqual({ seconds: 80, mode: 'personal-median' });
+  });
+
+  it("scales the claim's word count by the player's seconds per word", () => {
+    // 2 seconds per word x 25 words x 2
+    expect(getSpeedBaseline('word-count', { totalTime: 120, claimWords: 25, history })).toEqual({ seconds: 100, mode: 'word-count' });
+  });
+
+  it('falls back to the round timer without enough history', () => {
+    expect(getSpeedBaseline('personal-median', { totalTime: 90, history: history.slice(0, 2) }).mode).toBe('fixed');
+    expect(getSpeedBaseline('word-count', { totalTime: 90, claimWords: 0, history }).seconds).toBe(90);
+  });
+
+  it('never goes below the minimum window', () => {
+    const fast = Array(5).fill({ seconds: 1, words: 10 });
+    expect(getSpeedBaseline('personal-median', { totalTime: 120, history: fast }).seconds).toBe(10);
+  });
+});
+
+describe('calculatePoints with a speed baseline', () => {
+  it('measures speed tiers against the baseline instead of the round timer', () => {
+    // 30s of a 120s timer is 25% (very fast); of a 40s personal window it is 75% (quick)
+    const timer = calculatePoints(true, 2, 'easy', { timeElapsed: 30, totalTime: 120 });
+    const personal = calculatePoints(true, 2, 'easy', { timeElapsed: 30, totalTime: 120, speedBaseline: 40 });
+
+    expect(timer.speedBonus.tier).toBe('very-fast');
+    expect(personal.speedBonus.tier).toBe('quick');
+    expect(personal.breakdown.speedBaseline).toBe(40);
+  });
+});
+
+describe('calculateEstimatePoints', () => {
+  it('rewards tight ranges that catch the answer', () => {
+    const tight = calculateEstimatePoints({ low: 90, high: 110, level: 0.9 }, 100);
+    const wide = calculateEstimatePoints({ low: 50, high: 200, level: 0.9 }, 100);
+    expect(tight.hit).toBe(true);
+    expect(tight.points).toBe(3); // 3 - 2 * 0.2
+    expect(tight.breakdown.intervalScore).toBeCloseTo(0.2);
+    expect(tight.breakdown.level).toBe(0.9);
+    expect(wide.hit).toBe(true);
+    expect(wide.points).toBeLessThan(tight.points);
+  });
+
+  it('costs more for misses the surer the range was', () => {
+    const miss90 = calculateEstimatePoints({ low: 110, high: 120, level: 0.9 }, 100);
+    const miss80 = calculateEstimatePoints({ low: 110, high: 120, level: 0.8 }, 100);
+    expect(miss90.hit).toBe(false);
+    expect(miss90.points).toBe(-1); // 3 - 2 * 2.1
+    expect(miss80.points).toBeGreaterThan(miss90.points);
+    expect(calculateEstimatePoints({ low: 1, high: 2, level: 0.9 }, 100).points).toBe(-3);
+  });
+
+  it('applies difficulty, speed bonus and the scoring profile', () => {
+    const range = { low: 90, high: 110, level: 0.9 };
+    expect(calculateEstimatePoints(range, 100, 'hard').points).toBe(5); // 2.6 * 2
+    expect(calculateEstimatePoints(range, 100, 'easy', { timeElapsed: 5, totalTime: 100 }).speedBonus).not.toBeNull();
+    expect(calculateEstimatePoints({ low: 1, high: 2, level: 0.9 }, 100, 'easy', { scoringProfile: 'gentle' }).points).toBe(0);
+  });
+
+  it('rejects ranges that cannot be scored', () => {
+    expect(() => calculateEstimatePoints({ low: 5, high: 1, level: 0.9 }, 3)).toThrow(/Invalid estimate/);
+    expect(() => calculateEstimatePoints({ low: 1, high: 5, level: 0.5 }, 3)).toThrow(/Invalid estimate/);
+  });
+});
+
 describe('calculateGameStats', () => {
   const mockClaims = [
     { id: '1', answer: 'TRUE', source: 'ai-generated', errorPattern: 'Myth perpetuation' },
@@ -187,4 +412,212 @@ describe('calculateGameStats', () => {
     expect(stats.comeback).toBe(true);
     expect(stats.lowestPoint).toBe(-6);
   });
+
+  it('counts near misses and MIXED credit', () => {
+    const results = [
+      { claimId: '3', teamVerdict: 'MIXED', correct: true, points: 3, confidence: 2 },
+      { claimId: '3', teamVerdict: 'FALSE', correct: false, points: 0, confidence: 2, nearMiss: true, credit: 0.5 },
+      { claimId: '1', teamVerdict: 'FALSE', correct: false, points: -3, confidence: 2 }
+    ];
+
+    const stats = calculateGameStats(results, mockClaims, 0, 0);
+    expect(stats.mixedCorrect).toBe(1);
+    expect(stats.mixedCredit).toBe(1.5);
+    expect(stats.nearMisses).toBe(1);
+    expect(stats.creditEarned).toBe(1.5);
+    expect(stats.totalIncorrect).toBe(2);
+  });
+
+  it('derives near misses from the verdict for older results', () => {
+    const results = [{ claimId: '3', teamVerdict: 'TRUE', correct: false, points: -3, confidence: 2 }];
+
+    expect(calculateGameStats(results, mockClaims, -3, 0).nearMisses).toBe(1);
+  });
+
+  it('includes calibration metrics for the game', () => {
+    const results = [
+      { claimId: '1', correct: true, points: 5, confidence: 3 },
+      { claimId: '2', correct: false, points: -6, confidence: 3 }
+    ];
+
+    const stats = calculateGameStats(results, mockClaims, -1, 0);
+    expect(stats.calibration.count).toBe(2);
+    expect(stats.calibration.accuracy).toBe(0.5);
+    expect(stats.calibration.brierScore).toBeGreaterThan(0);
+    expect(stats.calibration.bias).toBeGreaterThan(0); // overconfident
+  });
+
+  it('counts estimation rounds and their range hit rate apart from verdict calibration', () => {
+    const results = [
+      { claimId: 'e1', estimate: { low: 1, high: 2, level: 0.9 }, correct: true, confidence: null, points: 2 },
+      { claimId: 'e2', estimate: { low: 1, high: 2, level: 0.9 }, correct: false, confidence: null, points: -1 },
+      { claimId: 'e3', correct: false, confidence: null, points: -10, forfeited: true }
+    ];
+
+    const stats = calculateGameStats(results, [], 1, 0);
+    expect(stats.estimateRounds).toBe(2);
+    expect(stats.estimatesCaught).toBe(1);
+    expect(stats.calibration.count).toBe(0);
+    expect(stats.intervalCalibration).toEqual([
+      { level: 0.9, total: 2, hits: 1, hitRate: 0.5, verdict: 'too-few' }
+    ]);
+  });
+
+  it('counts pair rounds and spotting the AI claim as an AI catch', () => {
+    const pair = { id: 'p1', type: 'pair', aiSide: 'A', claims: [] };
+    const results = [
+      { claimId: 'p1', pairPick: 'A', teamVerdict: null, correct: true, confidence: 2, points: 2 },
+      { claimId: 'p1', pairPick: 'B', teamVerdict: null, correct: false, confidence: 2, points: -1 }
+    ];
+
+    const stats = calculateGameStats(results, [pair], 1, 0);
+    expect(stats.pairRounds).toBe(2);
+    expect(stats.pairsSpotted).toBe(1);
+    expect(stats.aiCaughtCorrect).toBe(1);
+  });
+});
+
+describe('calculateCalibrationBonus', () => {
+  it('awards the bonus within 2 points of the prediction', () => {
+    expect(calculateCalibrationBonus(10, 12)).toBe(3);
+    expect(calculateCalibrationBonus(10, 10)).toBe(3);
+  });
+
+  it('awards nothing when the prediction is further off', () => {
+    expect(calculateCalibrationBonus(10, 13)).toBe(0);
+  });
+});
+
+describe('calculateRewriteBonus', () => {
+  it('sums the rubric levels', () => {
+    expect(calculateRewriteBonus({ accurate: 2, targeted: 2, precise: 2 })).toBe(6);
+    expect(calculateRewriteBonus({ accurate: 2, targeted: 1, precise: 0 })).toBe(3);
+  });
+
+  it('clamps levels and ignores unknown or missing criteria', () => {
+    expect(calculateRewriteBonus({ accurate: 5, targeted: -1, bonus: 10 })).toBe(2);
+    expect(calculateRewriteBonus({ accurate: 'x' })).toBe(0);
+    expect(calculateRewriteBonus()).toBe(0);
+    expect(calculateRewriteBonus(null)).toBe(0);
+  });
+
+  it('normalizes levels for every rubric criterion', () => {
+    expect(normalizeRewriteScores({ accurate: 1.6, bonus: 10 })).toEqual({ accurate: 2, targeted: 0, precise: 0 });
+  });
+});
+
+describe('recomputeScore', () => {
+  const claims = [
+    { id: '1', answer: 'TRUE' },
+    { id: '2', answer: 'FALSE' },
+    { id: '3', answer: 'MIXED' }
+  ];
+
+  const results = [
+    { claimId: '1', teamVerdict: 'TRUE', correct: true, confidence: 3, points: 5, hintsUsed: ['source-hint'] },
+    { claimId: '2', teamVerdict: 'TRUE', correct: false, confidence: 2, points: -3 },
+    { claimId: '3', teamVerdict: null, correct: false, confidence: 1, points: -10, forfeited: true }
+  ];
+
+  it('rebuilds the total from rounds, hints and the calibration bonus', () => {
+    const ledger = recomputeScore(results, claims, { difficulty: 'easy', predictedScore: -9, recordedScore: -10 });
+
+    expect(ledger.rounds.map(r => r.points)).toEqual([5, -3, -10]);
+    expect(ledger.roundTotal).toBe(-8);
+    expect(ledger.hintTotal).toBe(2);
+    expect(ledger.subtotal).toBe(-10);
+    expect(ledger.calibrationBonus).toBe(3);
+    expect(ledger.total).toBe(-7);
+    expect(ledger.verified).toBe(true);
+    expect(ledger.rounds[0].hints).toEqual([{ id: 'source-hint', name: expect.any(String), cost: 2 }]);
+  });
+
+  it('charges nothing for hints with Gentle, so the total stays at or above zero', () => {
+    const hinted = [
+      { claimId: '2', teamVerdict: 'TRUE', confidence: 3, points: 0, hintsUsed: ['source-hint', 'subject-hint'] }
+    ];
+    const ledger = recomputeScore(hinted, claims, { scoringProfile: 'gentle', recordedScore: 0 });
+
+    expect(ledger.hintTotal).toBe(0);
+    expect(ledger.rounds[0].hints.every(h => h.cost === 0)).toBe(true);
+    expect(ledger.subtotal).toBe(0);
+    expect(ledger.verified).toBe(true);
+  });
+
+  it('re-checks correctness against the claim instead of trusting the stored flag', () => {
+    const tampered = [{ claimId: '2', teamVerdict: 'TRUE', correct: true, confidence: 3, points: 5 }];
+    const ledger = recomputeScore(tampered, claims, { recordedScore: 5 });
+
+    expect(ledger.rounds[0].correct).toBe(false);
+    expect(ledger.rounds[0].points).toBe(-6);
+    expect(ledger.rounds[0].matchesRecorded).toBe(false);
+    expect(ledger.verified).toBe(false);
+  });
+
+  it('applies the scoring profile, difficulty and speed bonus', () => {
+    const timed = [{ claimId: '1', teamVerdict: 'TRUE', confidence: 2, timeElapsed: 10, totalTime: 100 }];
+
+    const classic = recomputeScore(timed, claims, { difficulty: 'hard' });
+    expect(classic.rounds[0].points).toBe(
+      calculatePoints(true, 2, 'hard', { timeElapsed: 10, totalTime: 100 }).points
+    );
+    expect(classic.rounds[0].speedMultiplier).toBeGreaterThan(1);
+
+    const noSpeed = recomputeScore(timed, claims, { difficulty: 'hard', scoringProfile: 'no-speed' });
+    expect(noSpeed.scoringProfile).toBe('no-speed');
+    expect(noSpeed.rounds[0].speedMultiplier).toBe(1);
+    expect(noSpeed.rounds[0].points).toBe(6);
+  });
+
+  it('recomputes near misses with partial credit', () => {
+    const near = [{ claimId: '3', teamVerdict: 'FALSE', confidence: 2, points: 0 }];
+    const ledger = recomputeScore(near, claims, { recordedScore: 0 });
+
+    expect(ledger.rounds[0].correct).toBe(false);
+    expect(ledger.rounds[0].credit).toBe(0.5);
+    expect(ledger.verified).toBe(true);
+  });
+
+  it('re-checks spot-the-tell taps against the claim', () => {
+    const spanned = [{ id: '5', answer: 'FALSE', errorSpans: [{ start: 9, end: 14, pattern: 'myth-perpetuation' }] }];
+    const hit = recomputeScore([{ claimId: '5', teamVerdict: 'FALSE', confidence: 2, tellTap: { start: 9, end: 14 }, tellBonus: 2 }], spanned);
+    const miss = recomputeScore([{ claimId: '5', teamVerdict: 'FALSE', confidence: 2, tellTap: { start: 0, end: 4 }, tellBonus: 2 }], spanned);
+
+    expect(hit.rounds[0].tellBonus).toBe(2);
+    expect(hit.rounds[0].points).toBe(miss.rounds[0].points + 2);
+    expect(miss.rounds[0].tellBonus).toBe(0);
+  });
+
+  it('re-scores estimation ranges against the true value', () => {
+    const questions = [{ id: 'e1', type: 'estimate', estimate: { value: 100, unit: 'm' } }];
+    const tampered = [{ claimId: 'e1', estimate: { low: 110, high: 120, level: 0.9 }, correct: true, confidence: null, points: 3 }];
+    const ledger = recomputeScore(tampered, questions, { recordedScore: 3 });
+
+    expect(ledger.rounds[0].correct).toBe(false);
+    expect(ledger.rounds[0].answer).toBe(100);
+    expect(ledger.rounds[0].points).toBe(-1);
+    expect(ledger.verified).toBe(false);
+
+    // Without the question the recorded points stand
+    expect(recomputeScore(tampered, [], { recordedScore: 3 }).rounds[0].points).toBe(3);
+  });
+
+  it('re-checks pair picks against the AI side', () => {
+    const pairs = [{ id: 'p1', type: 'pair', aiSide: 'B', claims: [] }];
+    const tampered = [{ claimId: 'p1', pairPick: 'A', teamVerdict: null, confidence: 2, correct: true, points: 3 }];
+    const ledger = recomputeScore(tampered, pairs);
+
+    expect(ledger.rounds[0].correct).toBe(false);
+    expect(ledger.rounds[0].pairPick).toBe('A');
+    expect(ledger.rounds[0].answer).toBe('B');
+    expect(ledger.rounds[0].matchesRecorded).toBe(false);
+
+    const honest = recomputeScore([{ ...tampered[0], pairPick: 'B' }], pairs);
+    expect(honest.rounds[0].correct).toBe(true);
+    expect(honest.rounds[0].matchesRecorded).toBe(true);
+  });
+
+  it('leaves verified null when no recorded score is given', () => {
+    expect(recomputeScore(results, claims).verified).toBeNull();
+  });
 });
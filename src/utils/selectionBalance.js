@@ -0,0 +1,125 @@
+/**
+ * SELECTION BALANCE
+ * Targets for the mix of claims in one game
+ *
+ * A game has quotas for each answer (TRUE / FALSE / MIXED) and source (AI vs expert),
+ * plus a cap on claims per AI error pattern. Claims are picked one at a time; a claim
+ * that would go over a quota gets a penalty (SELECTION_BALANCE.PENALTIES), and the
+ * first claim with the lowest penalty wins, so the caller's shuffle still decides ties.
+ * Quotas are soft: a small pool can always fill the game.
+ */
+
+import { SELECTION_BALANCE } from '../data/constants';
+
+const ANSWERS = Object.keys(SELECTION_BALANCE.DEFAULT_ANSWER_MIX);
+const AI_SOURCE = 'ai-generated';
+const EXPERT_SOURCE = 'expert-sourced';
+
+/**
+ * Split a count into whole-number shares using the largest remainder method
+ * @param {number} count - Total to split
+ * @param {Object} weights - { [key]: weight }
+ * @returns {Object} { [key]: share }, summing to count
+ */
+export function apportion(count, weights) {
+  const entries = Object.entries(weights).filter(([, weight]) => weight > 0);
+  const totalWeight = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  const shares = Object.fromEntries(Object.keys(weights).map(key => [key, 0]));
+  if (totalWeight === 0 || count <= 0) return shares;
+
+  const exact = entries.map(([key, weight]) => ({ key, value: (count * weight) / totalWeight }));
+  exact.forEach(({ key, value }) => { shares[key] = Math.floor(value); });
+
+  let left = count - exact.reduce((sum, { key }) => sum + shares[key], 0);
+  [...exact]
+    .sort((a, b) => (b.value - Math.floor(b.value)) - (a.value - Math.floor(a.value)))
+    .forEach(({ key }) => {
+      if (left > 0) {
+        shares[key]++;
+        left--;
+      }
+    });
+  return shares;
+}
+
+/**
+ * Read balance targets from class settings, falling back to the defaults
+ * @param {Object|null} classSettings - { answerMix, aiSourceShare, maxPerErrorPattern }
+ * @returns {{answerMix: Object, aiShare: number, maxPerErrorPattern: number}} Balance settings
+ */
+export function resolveSelectionBalance(classSettings = null) {
+  const mix = classSettings?.answerMix;
+  const validMix = mix && ANSWERS.some(answer => Number(mix[answer]) > 0);
+  const aiShare = Number(classSettings?.aiSourceShare);
+  const maxPerPattern = Number(classSettings?.maxPerErrorPattern);
+
+  return {
+    answerMix: validMix
+      ? Object.fromEntries(ANSWERS.map(answer => [answer, Math.max(0, Number(mix[answer]) || 0)]))
+      : SELECTION_BALANCE.DEFAULT_ANSWER_MIX,
+    aiShare: aiShare >= 0 && aiShare <= 1 ? aiShare : SELECTION_BALANCE.DEFAULT_AI_SHARE,
+    maxPerErrorPattern: Number.isInteger(maxPerPattern) && maxPerPattern >= 0
+      ? maxPerPattern
+      : SELECTION_BALANCE.DEFAULT_MAX_PER_ERROR_PATTERN
+  };
+}
+
+/**
+ * Per-game quotas for a given number of rounds
+ * @param {number} count - Claims in the game
+ * @param {Object} balance - From resolveSelectionBalance
+ * @returns {{answers: Object, sources: Object, maxPerErrorPattern: number}} Quotas
+ */
+export function getBalanceTargets(count, balance) {
+  return {
+    answers: apportion(count, balance.answerMix),
+    sources: apportion(count, { [AI_SOURCE]: balance.aiShare, [EXPERT_SOURCE]: 1 - balance.aiShare }),
+    maxPerErrorPattern: balance.maxPerErrorPattern
+  };
+}
+
+/**
+ * Empty running count of the claims picked so far
+ * @returns {{answers: Object, sources: Object, errorPatterns: Object}}
+ */
+export function createBalanceTally() {
+  return { answers: {}, sources: {}, errorPatterns: {} };
+}
+
+/**
+ * Count a picked claim
+ * @param {Object} tally - From createBalanceTally (updated in place)
+ * @param {Object} claim - Picked claim
+ */
+export function addToBalanceTally(tally, claim) {
+  tally.answers[claim.answer] = (tally.answers[claim.answer] || 0) + 1;
+  tally.sources[claim.source] = (tally.sources[claim.source] || 0) + 1;
+  if (claim.errorPattern) {
+    tally.errorPatterns[claim.errorPattern] = (tally.errorPatterns[claim.errorPattern] || 0) + 1;
+  }
+}
+
+/**
+ * Penalty for picking a claim next: 0 if it fits every quota
+ * Claims without an answer, source or error pattern aren't limited on that dimension.
+ * @param {Object} claim - Candidate claim
+ * @param {Object} tally - Claims picked so far
+ * @param {Object} targets - From getBalanceTargets
+ * @returns {number} Penalty (see SELECTION_BALANCE.PENALTIES)
+ */
+export function getBalancePenalty(claim, tally, targets) {
+  const { PENALTIES } = SELECTION_BALANCE;
+  let penalty = 0;
+
+  if (claim.answer in targets.answers && (tally.answers[claim.answer] || 0) >= targets.answers[claim.answer]) {
+    penalty += PENALTIES.answer;
+  }
+  if (claim.source in targets.sources && (tally.sources[claim.source] || 0) >= targets.sources[claim.source]) {
+    penalty += PENALTIES.source;
+  }
+  if (claim.errorPattern && targets.maxPerErrorPattern > 0 &&
+      (tally.errorPatterns[claim.errorPattern] || 0) >= targets.maxPerErrorPattern) {
+    penalty += PENALTIES.errorPattern;
+  }
+  return penalty;
+}
@@ -0,0 +1,84 @@
+/**
+ * SPACED REPETITION
+ * Leitner-box scheduling for claims a player got wrong
+ *
+ * Queue entries: { box, due, lapses, reviews, lastReviewed }
+ * - A miss (outcome 0) puts the claim in box 1, due the next day
+ * - A correct review (outcome 1) moves it up a box; correct from the last box retires it
+ * - A near miss (partial credit) keeps it in the same box and resets its timer
+ * Claims answered correctly the first time never enter the queue.
+ */
+
+import { SPACED_REPETITION } from '../data/constants';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Days until a claim in the given box is due again
+ * @param {number} box - Leitner box (1-based)
+ * @returns {number} Interval in days
+ */
+export function getBoxInterval(box) {
+  const intervals = SPACED_REPETITION.BOX_INTERVALS_DAYS;
+  return intervals[Math.min(Math.max(box, 1), intervals.length) - 1];
+}
+
+/**
+ * Schedule a claim's next review after it was answered
+ * @param {Object|null} entry - Existing queue entry, or null if the claim isn't queued
+ * @param {number} outcome - 1 correct, 0 wrong, or partial credit in between
+ * @param {number} now - Current timestamp (ms)
+ * @returns {Object|null} Updated entry, or null if the claim isn't (or is no longer) queued
+ */
+export function scheduleReview(entry, outcome, now = Date.now()) {
+  const score = Math.min(1, Math.max(0, Number(outcome) || 0));
+
+  // Only missed claims need reviewing
+  if (!entry) {
+    if (score === 1) return null;
+    return { box: 1, due: now + getBoxInterval(1) * DAY_MS, lapses: 1, reviews: 0, lastReviewed: now };
+  }
+
+  const reviews = (entry.reviews || 0) + 1;
+  let box = entry.box || 1;
+  let lapses = entry.lapses || 0;
+
+  if (score === 1) {
+    if (box >= SPACED_REPETITION.BOX_INTERVALS_DAYS.length) return null;
+    box++;
+  } else if (score === 0) {
+    box = 1;
+    lapses++;
+  }
+
+  return { box, due: now + getBoxInterval(box) * DAY_MS, lapses, reviews, lastReviewed: now };
+}
+
+/**
+ * Claim IDs due for review, most overdue first
+ * @param {Object} queue - { [claimId]: entry }
+ * @param {number} now - Current timestamp (ms)
+ * @returns {Array<string>} Due claim IDs
+ */
+export function getDueClaimIds(queue = {}, now = Date.now()) {
+  return Object.entries(queue || {})
+    .filter(([, entry]) => entry && entry.due <= now)
+    .sort(([, a], [, b]) => a.due - b.due || a.box - b.box)
+    .map(([id]) => id);
+}
+
+/**
+ * Summarize a review queue for display
+ * @param {Object} queue - { [claimId]: entry }
+ * @param {number} now - Current timestamp (ms)
+ * @returns {{total: number, due: number, nextDue: number|null}} Queue size, due count, and next due time
+ */
+export function getReviewSummary(queue = {}, now = Date.now()) {
+  const entries = Object.values(queue || {}).filter(Boolean);
+  const upcoming = entries.filter(entry => entry.due > now).map(entry => entry.due);
+  return {
+    total: entries.length,
+    due: entries.length - upcoming.length,
+    nextDue: upcoming.length > 0 ? Math.min(...upcoming) : null
+  };
+}
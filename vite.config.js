@@ -30,7 +30,12 @@ export default defineConfig({
           if (id.includes('node_modules/i18next')) {
             return 'vendor-i18n';
           }
-          // Code-split the claims database (large data file ~375KB)
+          // One chunk per claims subject, loaded on demand by claimsLoader.js
+          const claimsChunk = id.match(/src\/data\/claims\/([\w-]+)\.js$/);
+          if (claimsChunk) {
+            return `claims-${claimsChunk[1]}`;
+          }
+          // Full claims database (CMS only; the game loads subject chunks)
           if (id.includes('src/data/claims.js')) {
             return 'claims';
           }